@@ -0,0 +1,62 @@
+/**
+ * Bitcoin Data Provider Configuration
+ * Chooses which chain-data backends BitcoinService talks to and in what order.
+ * Providers are tried left to right; the next one is used when a call fails.
+ */
+
+const SUPPORTED_PROVIDERS = ['blockcypher', 'esplora', 'electrum'];
+
+const requestedProviders = (process.env.BITCOIN_PROVIDERS || 'blockcypher')
+  .split(',')
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+
+const unknownProviders = requestedProviders.filter((name) => !SUPPORTED_PROVIDERS.includes(name));
+if (unknownProviders.length > 0) {
+  console.warn(`[Bitcoin] Ignoring unknown BITCOIN_PROVIDERS entries: ${unknownProviders.join(', ')}`);
+}
+
+const providers = [...new Set(requestedProviders.filter((name) => SUPPORTED_PROVIDERS.includes(name)))];
+
+const BITCOIN_PROVIDER_TIMEOUT_MS = Number.parseInt(process.env.BITCOIN_PROVIDER_TIMEOUT_MS || '15000', 10);
+
+/**
+ * Parse `ssl://host:port` or `tcp://host:port` (a bare `host:port` means ssl).
+ */
+export function parseElectrumServer(value) {
+  if (!value) {
+    return null;
+  }
+  const match = /^(?:(ssl|tls|tcp):\/\/)?([^:/]+)(?::(\d+))?\/?$/i.exec(value.trim());
+  if (!match) {
+    console.warn(`[Bitcoin] Invalid Electrum server "${value}" — expected ssl://host:port or tcp://host:port`);
+    return null;
+  }
+  const tls = (match[1] || 'ssl').toLowerCase() !== 'tcp';
+  return {
+    host: match[2],
+    port: match[3] ? Number(match[3]) : (tls ? 50002 : 50001),
+    tls,
+  };
+}
+
+export const bitcoinConfig = {
+  providers: providers.length > 0 ? providers : ['blockcypher'],
+  timeoutMs: Number.isFinite(BITCOIN_PROVIDER_TIMEOUT_MS) && BITCOIN_PROVIDER_TIMEOUT_MS > 0
+    ? BITCOIN_PROVIDER_TIMEOUT_MS
+    : 15000,
+  blockcypher: {
+    baseUrl: 'https://api.blockcypher.com/v1/btc',
+    token: process.env.BLOCKCYPHER_API_KEY || '',
+  },
+  esplora: {
+    mainnet: process.env.BITCOIN_ESPLORA_URL || 'https://blockstream.info/api',
+    testnet: process.env.BITCOIN_ESPLORA_TESTNET_URL || 'https://blockstream.info/testnet/api',
+    regtest: process.env.BITCOIN_ESPLORA_REGTEST_URL || '',
+  },
+  electrum: {
+    mainnet: parseElectrumServer(process.env.BITCOIN_ELECTRUM_SERVER),
+    testnet: parseElectrumServer(process.env.BITCOIN_ELECTRUM_TESTNET_SERVER),
+    regtest: parseElectrumServer(process.env.BITCOIN_ELECTRUM_REGTEST_SERVER),
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * Paymaster Configuration
+ * Sponsorship defaults and ERC-20 gas tokens for vault UserOperations. The
+ * paymaster service URLs themselves (PAYMASTER_RPC_*) are read by
+ * PaymasterService, like the bundler URLs.
+ */
+
+// Provider-side policy id passed in the sponsorship context (e.g. Pimlico's
+// sponsorshipPolicyId, Alchemy's policyId); per-policy overrides live in the DB.
+export const PAYMASTER_SPONSOR_CONTEXT = process.env.PAYMASTER_SPONSOR_POLICY_ID
+  ? { sponsorshipPolicyId: process.env.PAYMASTER_SPONSOR_POLICY_ID }
+  : {};
+
+// Token symbols the ERC-20 paymaster accepts, resolved through the token registry.
+export const PAYMASTER_TOKENS = (process.env.PAYMASTER_TOKENS || 'USDC,USDT')
+  .split(',')
+  .map((symbol) => symbol.trim().toUpperCase())
+  .filter(Boolean);
+
+// Built-in global policy so a new user's first vault operations need no ETH.
+// Created on first use; deactivate the row or set SPONSORED_WELCOME_OPERATIONS=0 to turn it off.
+export const WELCOME_SPONSORSHIP = {
+  id: 'welcome',
+  name: 'First vault operations',
+  maxOperations: Number.parseInt(process.env.SPONSORED_WELCOME_OPERATIONS || '1', 10),
+  maxCostWei: process.env.SPONSORED_WELCOME_MAX_COST_WEI || '5000000000000000', // 0.005 ETH
+};
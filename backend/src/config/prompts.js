@@ -81,6 +81,9 @@ Available commands:
 /recent — Show your recent Telegram transfers
 /last — Show your last Telegram transfer
 /status — Check the status of your latest transfer or a tx hash
+/pending — List transfers that have not confirmed yet
+/speedup — Re-send a pending transfer with a higher fee
+/canceltx — Cancel a pending transfer
 /stealth — Create a private receive address for one of your wallets
 /claim — Sweep funds from a funded stealth address
 /help — Show this message
@@ -1,41 +1,25 @@
 /**
- * Token address registry per chain.
- * Add more tokens and chains as needed.
- * Addresses are checksummed ERC-20 contract addresses.
+ * Token lists in the Uniswap token-list format, loaded in order by
+ * tokenRegistryService. Paths are relative to the backend root, like `.env`.
+ * The first list to claim a symbol on a chain keeps it, so extra lists from
+ * `TOKEN_LISTS` (comma-separated) extend the default list without overriding it.
  */
+export const TOKEN_LIST_FILES = [
+  'src/config/tokenLists/walletrix.tokenlist.json',
+  ...(process.env.TOKEN_LISTS || '').split(',').map(file => file.trim()).filter(Boolean),
+];
 
-export const TOKEN_REGISTRY = {
-  // Native ETH transfers don't need a token address
-  ETH: null,
-  SOL: null,
-  BTC: null,
-
-  // ERC-20 tokens: { chainId: address }
-  USDC: {
-    1: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',       // Ethereum mainnet
-    137: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174',    // Polygon
-    42161: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',  // Arbitrum One
-    10: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85',    // Optimism
-    8453: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // Base
-    11155111: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', // Sepolia
-  },
-  USDT: {
-    1: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-    137: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F',
-    42161: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
-  },
-  WETH: {
-    1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-    137: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619',
-    42161: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
-    10: '0x4200000000000000000000000000000000000006',
-    8453: '0x4200000000000000000000000000000000000006',
-  },
-  DAI: {
-    1: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-    137: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063',
-    42161: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
-  },
+/**
+ * Native currency symbol per chainId. Sending this symbol is a plain value
+ * transfer rather than an ERC-20 call.
+ */
+export const NATIVE_TOKEN_SYMBOLS = {
+  1: 'ETH',
+  137: 'MATIC',
+  42161: 'ETH',
+  10: 'ETH',
+  8453: 'ETH',
+  11155111: 'ETH',
 };
 
 /**
@@ -70,3 +54,93 @@ export const CHAIN_NAME_TO_ID = {
  * Default chain for the bot (can be overridden by user intent).
  */
 export const DEFAULT_CHAIN_ID = parseInt(process.env.BOT_DEFAULT_CHAIN_ID || '11155111'); // Sepolia for dev
+
+/**
+ * ERC-20 discovery from Transfer logs. Public RPCs cap eth_getLogs ranges, so
+ * each scan covers at most `maxRangesPerScan` ranges of `blockRange` blocks and
+ * later scans continue where it stopped, back to `lookbackBlocks` below the head.
+ */
+export const TOKEN_DISCOVERY = {
+  blockRange: parseInt(process.env.TOKEN_DISCOVERY_BLOCK_RANGE || '10000'),
+  maxRangesPerScan: parseInt(process.env.TOKEN_DISCOVERY_MAX_RANGES || '10'),
+  lookbackBlocks: parseInt(process.env.TOKEN_DISCOVERY_LOOKBACK_BLOCKS || '2000000'),
+};
+
+/**
+ * Approval scans use the same ranges but go back to genesis by default: an
+ * allowance granted years ago can still be spent. Set a lookback to cap them.
+ */
+export const APPROVAL_SCAN = {
+  ...TOKEN_DISCOVERY,
+  lookbackBlocks: process.env.APPROVAL_SCAN_LOOKBACK_BLOCKS
+    ? parseInt(process.env.APPROVAL_SCAN_LOOKBACK_BLOCKS)
+    : Number.MAX_SAFE_INTEGER,
+};
+
+/**
+ * Well-known contracts that commonly hold ERC-20 allowances, keyed by chainId.
+ * `all` applies on every chain (same address everywhere). Spenders outside this
+ * list are flagged as unknown on the approvals dashboard.
+ */
+export const KNOWN_SPENDERS = {
+  all: {
+    '0x000000000022D473030F116dDEE9F6B43aC78BA3': 'Uniswap Permit2',
+    '0x1111111254EEB25477B68fb85Ed929f73A960582': '1inch Router v5',
+    '0x111111125421cA6dc452d289314280a0f8842A65': '1inch Router v6',
+    '0x1E0049783F008A0085193E00003D00cd54003c71': 'OpenSea Conduit',
+  },
+  1: {
+    '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D': 'Uniswap V2 Router',
+    '0xE592427A0AEce92De3Edee1F18E0157C05861564': 'Uniswap V3 Router',
+    '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45': 'Uniswap SwapRouter02',
+    '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD': 'Uniswap Universal Router',
+    '0xDef1C0ded9bec7F1a1670819833240f027b25EfF': '0x Exchange Proxy',
+    '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2': 'Aave V3 Pool',
+  },
+  137: {
+    '0xE592427A0AEce92De3Edee1F18E0157C05861564': 'Uniswap V3 Router',
+    '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45': 'Uniswap SwapRouter02',
+    '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD': 'Uniswap Universal Router',
+    '0xDef1C0ded9bec7F1a1670819833240f027b25EfF': '0x Exchange Proxy',
+    '0x794a61358D6845594F94dc1DB02A252b5b4814aD': 'Aave V3 Pool',
+  },
+  42161: {
+    '0xE592427A0AEce92De3Edee1F18E0157C05861564': 'Uniswap V3 Router',
+    '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45': 'Uniswap SwapRouter02',
+    '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD': 'Uniswap Universal Router',
+    '0xDef1C0ded9bec7F1a1670819833240f027b25EfF': '0x Exchange Proxy',
+    '0x794a61358D6845594F94dc1DB02A252b5b4814aD': 'Aave V3 Pool',
+  },
+  10: {
+    '0xE592427A0AEce92De3Edee1F18E0157C05861564': 'Uniswap V3 Router',
+    '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45': 'Uniswap SwapRouter02',
+    '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD': 'Uniswap Universal Router',
+    '0x794a61358D6845594F94dc1DB02A252b5b4814aD': 'Aave V3 Pool',
+  },
+  8453: {
+    '0x2626664c2603336E57B271c5C0b26F421741e481': 'Uniswap SwapRouter02',
+    '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD': 'Uniswap Universal Router',
+    '0xDef1C0ded9bec7F1a1670819833240f027b25EfF': '0x Exchange Proxy',
+    '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5': 'Aave V3 Pool',
+  },
+};
+
+/**
+ * Known SPL mints per Solana cluster, used before on-chain metadata so the
+ * common stablecoins always show a trusted name and symbol.
+ */
+export const SOLANA_TOKEN_REGISTRY = {
+  'mainnet-beta': {
+    EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', name: 'USD Coin' },
+    Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: { symbol: 'USDT', name: 'Tether USD' },
+    '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo': { symbol: 'PYUSD', name: 'PayPal USD' },
+    So11111111111111111111111111111111111111112: { symbol: 'wSOL', name: 'Wrapped SOL' },
+  },
+  devnet: {
+    '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU': { symbol: 'USDC', name: 'USD Coin (Devnet)' },
+    So11111111111111111111111111111111111111112: { symbol: 'wSOL', name: 'Wrapped SOL' },
+  },
+  testnet: {
+    So11111111111111111111111111111111111111112: { symbol: 'wSOL', name: 'Wrapped SOL' },
+  },
+};
@@ -0,0 +1,110 @@
+/**
+ * approvalController.js
+ * HTTP handlers for the token approvals dashboard: allowances granted by the
+ * wallet's EVM address and its smart vault, and revoke transaction building.
+ * All routes require Clerk auth — req.clerkUserId is set by requireClerkAuth middleware.
+ */
+
+import { ethers } from 'ethers';
+import prisma from '../lib/prisma.js';
+import logger from '../services/loggerService.js';
+import approvalService from '../services/approvalService.js';
+import ethereumService from '../services/ethereumService.js';
+import { findEvmWalletForUser } from '../services/customTokenService.js';
+
+async function findAuthenticatedUser(clerkUserId) {
+  return prisma.user.findUnique({ where: { email: clerkUserId } });
+}
+
+function sendServiceError(res, error, fallbackMessage, context = {}) {
+  const statusCode = error.statusCode || 500;
+  logger.error(`[Approvals] ${fallbackMessage}`, { error: error.message, ...context });
+  return res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+  });
+}
+
+/**
+ * The EOA of the wallet group and, when one exists on the network's chain,
+ * the smart vault it owns.
+ */
+async function resolveOwners(userId, walletId, network) {
+  const evmWallet = await findEvmWalletForUser(userId, walletId);
+  const chainId = ethereumService.getChainId(network);
+  const smartAccount = chainId ? await prisma.smartAccount.findFirst({
+    where: { walletId: { in: [evmWallet.id, walletId] }, chainId },
+  }) : null;
+  return {
+    eoa: evmWallet.address,
+    vault: smartAccount?.isDeployed ? smartAccount.vaultAddress : null,
+  };
+}
+
+/**
+ * GET /api/v1/wallets/:walletId/approvals?network=mainnet&scan=true
+ */
+export async function getApprovals(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const network = req.query.network || 'mainnet';
+    const owners = await resolveOwners(user.id, req.params.walletId, network);
+    const scan = req.query.scan !== 'false';
+
+    const eoa = await approvalService.getApprovals(owners.eoa, network, { scan });
+    if (!eoa.success) {
+      return res.status(400).json(eoa);
+    }
+    const vault = owners.vault ? await approvalService.getApprovals(owners.vault, network, { scan }) : null;
+
+    return res.status(200).json({
+      success: true,
+      network,
+      chainId: eoa.chainId,
+      owners: [
+        { type: 'eoa', ...eoa },
+        ...(vault ? [{ type: 'vault', ...vault }] : []),
+      ],
+    });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load token approvals', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * POST /api/v1/wallets/:walletId/approvals/revoke
+ * Body: { network, owner, approvals: [{ tokenAddress, spender }] }
+ * Returns unsigned transactions; the client signs and broadcasts them.
+ */
+export async function buildRevoke(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const { network = 'mainnet', owner, approvals } = req.body || {};
+    const owners = await resolveOwners(user.id, req.params.walletId, network);
+    const isOwner = (address) => address && ethers.isAddress(owner) && ethers.getAddress(owner) === ethers.getAddress(address);
+    if (!isOwner(owners.eoa) && !isOwner(owners.vault)) {
+      return res.status(400).json({ success: false, error: 'owner must be this wallet\'s address or its smart vault' });
+    }
+
+    const result = approvalService.buildRevokeTransactions(owner, approvals, { vaultAddress: owners.vault });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    return res.status(200).json({ ...result, network, signer: owners.eoa });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to build revoke transactions', { walletId: req.params.walletId });
+  }
+}
+
+export default {
+  getApprovals,
+  buildRevoke,
+};
@@ -0,0 +1,134 @@
+/**
+ * bitcoinCoinControlController.js
+ * HTTP handlers for Bitcoin UTXO listing, labelling, freezing and coin-controlled spends.
+ * All routes require Clerk auth — req.clerkUserId is set by requireClerkAuth middleware.
+ */
+
+import prisma from '../lib/prisma.js';
+import logger from '../services/loggerService.js';
+import {
+  consolidateBitcoinUtxosForUser,
+  listBitcoinUtxosForUser,
+  prepareBitcoinFeeBumpForUser,
+  sendBitcoinWithCoinControl,
+  updateBitcoinUtxoForUser,
+} from '../services/bitcoinCoinControlService.js';
+
+async function findAuthenticatedUser(clerkUserId) {
+  return prisma.user.findUnique({ where: { email: clerkUserId } });
+}
+
+function sendServiceError(res, error, fallbackMessage, context = {}) {
+  const statusCode = error.statusCode || 500;
+  logger.error(`[CoinControl] ${fallbackMessage}`, { error: error.message, ...context });
+  return res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+  });
+}
+
+/**
+ * GET /api/v1/wallets/:walletId/bitcoin/utxos?network=mainnet&threshold=10000
+ */
+export async function listUtxos(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await listBitcoinUtxosForUser(user.id, req.params.walletId, {
+      network: req.query.network,
+      threshold: req.query.threshold,
+    });
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load UTXOs', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * PATCH /api/v1/wallets/:walletId/bitcoin/utxos/:txHash/:outputIndex
+ * Body: { label?, frozen? }
+ */
+export async function updateUtxo(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const utxo = await updateBitcoinUtxoForUser(
+      user.id,
+      req.params.walletId,
+      { txHash: req.params.txHash, outputIndex: req.params.outputIndex },
+      req.body || {}
+    );
+    return res.status(200).json({ success: true, utxo });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to update UTXO', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * POST /api/v1/wallets/:walletId/bitcoin/send
+ * Body: { privateKey, toAddress, amount, network?, utxos?, feeRate?, feePriority?, allowMixedLabels? }
+ */
+export async function sendWithCoinControl(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await sendBitcoinWithCoinControl(user.id, req.params.walletId, req.body || {});
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to send Bitcoin transaction', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * POST /api/v1/wallets/:walletId/bitcoin/consolidate
+ * Body: { privateKey, network?, threshold?, utxos?, feeRate?, feePriority? }
+ */
+export async function consolidateUtxos(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await consolidateBitcoinUtxosForUser(user.id, req.params.walletId, req.body || {});
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to consolidate UTXOs', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * POST /api/v1/wallets/:walletId/bitcoin/rbf
+ * Body: { publicKey, txHash, network?, feeRate?, feePriority?, allowMixedLabels? }
+ * Returns the replacement PSBT; the wallet signs it and posts it to /blockchain/bitcoin/transactions/send.
+ */
+export async function buildFeeBump(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await prepareBitcoinFeeBumpForUser(user.id, req.params.walletId, req.body || {});
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to build Bitcoin replacement', { walletId: req.params.walletId });
+  }
+}
+
+export default {
+  listUtxos,
+  updateUtxo,
+  sendWithCoinControl,
+  consolidateUtxos,
+  buildFeeBump,
+};
@@ -1,8 +1,18 @@
 import ethereumService from '../services/ethereumService.js';
+import evmFeeService from '../services/evmFeeService.js';
+import evmSimulationService from '../services/evmSimulationService.js';
 import bitcoinService from '../services/bitcoinService.js';
+import bitcoinTransactionService from '../services/bitcoinTransactionService.js';
 import solanaService from '../services/solanaService.js';
+import solanaTransactionService from '../services/solanaTransactionService.js';
+import solanaStakingService from '../services/solanaStakingService.js';
 import logger from '../services/loggerService.js';
 
+const PRIVATE_KEY_REJECTED = {
+  success: false,
+  error: 'Private keys are not accepted; send the publicKey and sign the returned PSBT in the wallet',
+};
+
 class BlockchainController {
 
   async getEthereumBalance(req, res) {
@@ -68,6 +78,27 @@ class BlockchainController {
     }
   }
 
+  async getSolanaTokenBalances(req, res) {
+    try {
+      const { address } = req.params;
+      const { network = 'mainnet-beta' } = req.query;
+
+      const result = await solanaService.getTokenBalances(address, network);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getSolanaTokenBalances', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get Solana token balances',
+      });
+    }
+  }
+
   async getEthereumTransactions(req, res) {
     try {
       const { address } = req.params;
@@ -110,6 +141,27 @@ class BlockchainController {
     }
   }
 
+  async getSolanaTransactions(req, res) {
+    try {
+      const { address } = req.params;
+      const { network = 'mainnet-beta', limit = 20, before } = req.query;
+
+      const result = await solanaService.getTransactionHistory(address, network, parseInt(limit), before);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getSolanaTransactions', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get transaction history',
+      });
+    }
+  }
+
   async getGasPrice(req, res) {
     try {
       const { network = 'mainnet' } = req.query;
@@ -130,6 +182,50 @@ class BlockchainController {
     }
   }
 
+  async getEthereumFeeSuggestions(req, res) {
+    try {
+      const { network = 'mainnet' } = req.query;
+
+      const result = await evmFeeService.getFeeSuggestions(network);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getEthereumFeeSuggestions', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get fee suggestions',
+      });
+    }
+  }
+
+  async simulateEthereumTransaction(req, res) {
+    try {
+      const { network = 'mainnet', from, to, value = '0', data = '0x', accounts = [] } = req.body || {};
+
+      const result = await evmSimulationService.simulateTransaction(
+        { from, to, value, data },
+        network,
+        { accounts: Array.isArray(accounts) ? accounts : [] }
+      );
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in simulateEthereumTransaction', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to simulate transaction',
+      });
+    }
+  }
+
   async getBitcoinFeeEstimate(req, res) {
     try {
       const { network = 'mainnet' } = req.query;
@@ -150,6 +246,137 @@ class BlockchainController {
     }
   }
 
+  // Bitcoin spends are built from the wallet's public key; the browser signs the PSBT.
+  async buildBitcoinTransaction(req, res) {
+    try {
+      const { privateKey, publicKey, toAddress, amount, network = 'mainnet', addressType, feeRate, feePriority } = req.body || {};
+
+      if (privateKey) {
+        return res.status(400).json(PRIVATE_KEY_REJECTED);
+      }
+      if (!publicKey || !toAddress || !amount) {
+        return res.status(400).json({
+          success: false,
+          error: 'publicKey, toAddress and amount are required',
+        });
+      }
+
+      const result = await bitcoinTransactionService.prepareSend({
+        publicKey,
+        toAddress,
+        amount,
+        network,
+        addressType,
+        feeRate,
+        feePriority,
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in buildBitcoinTransaction', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build Bitcoin transaction',
+      });
+    }
+  }
+
+  async sendBitcoinTransaction(req, res) {
+    try {
+      const { transaction, network = 'mainnet' } = req.body || {};
+
+      if (!transaction) {
+        return res.status(400).json({
+          success: false,
+          error: 'transaction is required',
+        });
+      }
+
+      const result = await bitcoinTransactionService.broadcastSigned({ transaction, network });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in sendBitcoinTransaction', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send Bitcoin transaction',
+      });
+    }
+  }
+
+  async getBitcoinFeeBumpOptions(req, res) {
+    try {
+      const { txHash } = req.params;
+      const { address, network = 'mainnet' } = req.query;
+
+      if (!address) {
+        return res.status(400).json({
+          success: false,
+          error: 'address query parameter is required',
+        });
+      }
+
+      const result = await bitcoinTransactionService.getFeeBumpOptions(txHash, address, network);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getBitcoinFeeBumpOptions', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load fee bump options',
+      });
+    }
+  }
+
+  async buildBitcoinCpfpTransaction(req, res) {
+    try {
+      const { privateKey, publicKey, txHash, outputIndex, network = 'mainnet', feeRate, feePriority } = req.body || {};
+
+      if (privateKey) {
+        return res.status(400).json(PRIVATE_KEY_REJECTED);
+      }
+      if (!publicKey || !txHash) {
+        return res.status(400).json({
+          success: false,
+          error: 'publicKey and txHash are required',
+        });
+      }
+
+      const result = await bitcoinTransactionService.prepareChildPaysForParent({
+        publicKey,
+        txHash,
+        outputIndex,
+        network,
+        feeRate,
+        feePriority,
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in buildBitcoinCpfpTransaction', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build CPFP transaction',
+      });
+    }
+  }
+
   async getTransaction(req, res) {
     try {
       const { chain, txHash } = req.params;
@@ -180,6 +407,262 @@ class BlockchainController {
       });
     }
   }
+
+  async getSolanaPriorityFees(req, res) {
+    try {
+      const { network = 'mainnet-beta', accounts } = req.query;
+      const writableAccounts = accounts ? String(accounts).split(',').filter(Boolean) : [];
+
+      const result = await solanaTransactionService.getPriorityFees(network, writableAccounts);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getSolanaPriorityFees', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get Solana priority fees',
+      });
+    }
+  }
+
+  async buildSolanaTransaction(req, res) {
+    try {
+      const {
+        from,
+        to,
+        amount,
+        mint,
+        sourceAccount,
+        network = 'mainnet-beta',
+        priority,
+        computeUnitPrice,
+        nonceAccount,
+      } = req.body || {};
+
+      if (!from || !to || !amount) {
+        return res.status(400).json({
+          success: false,
+          error: 'from, to and amount are required',
+        });
+      }
+
+      const result = await solanaTransactionService.buildTransferTransaction({
+        from,
+        to,
+        amount,
+        mint,
+        sourceAccount,
+        network,
+        priority,
+        computeUnitPrice,
+        nonceAccount,
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in buildSolanaTransaction', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build Solana transaction',
+      });
+    }
+  }
+
+  async sendSolanaTransaction(req, res) {
+    try {
+      const { transaction, network = 'mainnet-beta', lastValidBlockHeight, minContextSlot } = req.body || {};
+
+      if (!transaction) {
+        return res.status(400).json({
+          success: false,
+          error: 'transaction is required',
+        });
+      }
+
+      const result = await solanaTransactionService.sendSignedTransaction({
+        transaction,
+        network,
+        lastValidBlockHeight,
+        minContextSlot,
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in sendSolanaTransaction', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send Solana transaction',
+      });
+    }
+  }
+
+  async getSolanaNonceAccount(req, res) {
+    try {
+      const { address } = req.params;
+      const { network = 'mainnet-beta' } = req.query;
+
+      const result = await solanaTransactionService.getNonceAccount(address, network);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getSolanaNonceAccount', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get Solana nonce account',
+      });
+    }
+  }
+
+  async buildSolanaNonceAccount(req, res) {
+    try {
+      const { from, network = 'mainnet-beta', seed } = req.body || {};
+
+      if (!from) {
+        return res.status(400).json({
+          success: false,
+          error: 'from is required',
+        });
+      }
+
+      const result = await solanaTransactionService.buildNonceAccountTransaction({ from, network, seed });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in buildSolanaNonceAccount', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build Solana nonce account',
+      });
+    }
+  }
+
+  async getSolanaValidators(req, res) {
+    try {
+      const { network = 'mainnet-beta', limit = 50 } = req.query;
+
+      const result = await solanaStakingService.getValidators(network, parseInt(limit));
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getSolanaValidators', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get Solana validators',
+      });
+    }
+  }
+
+  async getSolanaStakeAccounts(req, res) {
+    try {
+      const { address } = req.params;
+      const { network = 'mainnet-beta' } = req.query;
+
+      const result = await solanaStakingService.getStakeAccounts(address, network);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getSolanaStakeAccounts', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get Solana stake accounts',
+      });
+    }
+  }
+
+  async getSolanaStakeRewards(req, res) {
+    try {
+      const { address } = req.params;
+      const { network = 'mainnet-beta', epochs = 5 } = req.query;
+
+      const result = await solanaStakingService.getStakeRewards(address, network, parseInt(epochs));
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getSolanaStakeRewards', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get Solana staking rewards',
+      });
+    }
+  }
+
+  async buildSolanaStakeTransaction(req, res) {
+    try {
+      const { action } = req.params;
+      const {
+        from,
+        voteAccount,
+        stakeAccount,
+        amount,
+        network = 'mainnet-beta',
+        priority,
+        computeUnitPrice,
+        nonceAccount,
+      } = req.body || {};
+
+      if (!from) {
+        return res.status(400).json({
+          success: false,
+          error: 'from is required',
+        });
+      }
+
+      const result = await solanaStakingService.buildStakeTransaction(action, {
+        from,
+        voteAccount,
+        stakeAccount,
+        amount,
+        network,
+        priority,
+        computeUnitPrice,
+        nonceAccount,
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in buildSolanaStakeTransaction', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build Solana stake transaction',
+      });
+    }
+  }
 }
 
 export default new BlockchainController();
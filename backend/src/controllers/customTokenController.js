@@ -0,0 +1,113 @@
+/**
+ * customTokenController.js
+ * HTTP handlers for per-wallet custom ERC-20 tokens and the wallet token view
+ * that merges them with the token lists and discovered tokens.
+ * All routes require Clerk auth — req.clerkUserId is set by requireClerkAuth middleware.
+ */
+
+import prisma from '../lib/prisma.js';
+import logger from '../services/loggerService.js';
+import tokenDiscoveryService from '../services/tokenDiscoveryService.js';
+import {
+  addCustomTokenForUser,
+  listCustomTokensForUser,
+  removeCustomTokenForUser,
+} from '../services/customTokenService.js';
+
+async function findAuthenticatedUser(clerkUserId) {
+  return prisma.user.findUnique({ where: { email: clerkUserId } });
+}
+
+function sendServiceError(res, error, fallbackMessage, context = {}) {
+  const statusCode = error.statusCode || 500;
+  logger.error(`[CustomTokens] ${fallbackMessage}`, { error: error.message, ...context });
+  return res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+  });
+}
+
+/**
+ * GET /api/v1/wallets/:walletId/tokens/custom?chainId=1
+ */
+export async function listCustomTokens(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await listCustomTokensForUser(user.id, req.params.walletId, { chainId: req.query.chainId });
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load custom tokens', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * POST /api/v1/wallets/:walletId/tokens/custom
+ * Body: { chainId, address, symbol?, name?, decimals?, logoURI? }
+ */
+export async function addCustomToken(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const token = await addCustomTokenForUser(user.id, req.params.walletId, req.body || {});
+    return res.status(201).json({ success: true, token });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to add custom token', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * DELETE /api/v1/wallets/:walletId/tokens/custom/:tokenId
+ */
+export async function removeCustomToken(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const token = await removeCustomTokenForUser(user.id, req.params.walletId, req.params.tokenId);
+    return res.status(200).json({ success: true, token });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to remove custom token', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * GET /api/v1/wallets/:walletId/tokens?network=mainnet&discover=true
+ * Token-list, custom and discovered token balances for the wallet's EVM address.
+ */
+export async function getWalletTokens(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const { address, tokens: customTokens } = await listCustomTokensForUser(user.id, req.params.walletId);
+    const result = await tokenDiscoveryService.getWalletTokenBalances(address, req.query.network || 'mainnet', {
+      discover: req.query.discover === 'true',
+      customTokens,
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load wallet tokens', { walletId: req.params.walletId });
+  }
+}
+
+export default {
+  listCustomTokens,
+  addCustomToken,
+  removeCustomToken,
+  getWalletTokens,
+};
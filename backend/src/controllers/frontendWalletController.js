@@ -1,5 +1,7 @@
 import prisma from '../lib/prisma.js';
 import logger from '../services/loggerService.js';
+import { BITCOIN_ADDRESS_TYPES } from '../services/walletService.js';
+import { describeWatchOnlyRow } from '../services/watchOnlyWalletService.js';
 
 /**
  * FrontendWalletController
@@ -7,10 +9,16 @@ import logger from '../services/loggerService.js';
  * API shape with the Prisma database.
  *
  * The frontend sends:
- *   POST /api/v1/wallets  { name, encryptedData, addresses: { ethereum, bitcoin, solana }, description }
+ *   POST /api/v1/wallets  { name, encryptedData, addresses: { ethereum, bitcoin, solana }, description,
+ *                           bitcoinAddressType?, bitcoinAddresses?: { legacy, segwit, taproot },
+ *                           bitcoinDiscovery?: { network, gapLimit, addresses: [{ address, addressType, path }] } }
  *   GET  /api/v1/wallets
+ *   PATCH /api/v1/wallets/:walletId/bitcoin-address-type  { addressType }
  *   DELETE /api/v1/wallets/:walletId
  *
+ * Watch-only groups (type WATCH_ONLY, see watchOnlyWalletController) are listed here too,
+ * with `encryptedData: null` and a per-chain `watchOnly` description.
+ *
  * Each wallet is stored as multiple rows (one per network) in the Prisma Wallet model,
  * grouped by a shared `walletGroupId` tag stored in metadata.
  */
@@ -26,7 +34,7 @@ class FrontendWalletController {
                 return res.status(401).json({ success: false, error: 'Authentication required' });
             }
 
-            const { name, encryptedData, addresses, description } = req.body;
+            const { name, encryptedData, addresses, description, bitcoinAddressType, bitcoinAddresses, bitcoinDiscovery } = req.body;
             if (!addresses || !encryptedData) {
                 return res.status(400).json({ success: false, error: 'addresses and encryptedData are required' });
             }
@@ -60,13 +68,25 @@ class FrontendWalletController {
                 });
             }
             if (addresses.bitcoin) {
+                // Wallets created before address-type selection only have a legacy address.
+                const btcMetadata = BITCOIN_ADDRESS_TYPES[bitcoinAddressType]
+                    ? { bitcoinAddressType, bitcoinAddresses: bitcoinAddresses || { [bitcoinAddressType]: addresses.bitcoin } }
+                    : { bitcoinAddressType: 'legacy' };
+                // Used addresses found by account discovery on import; balances are re-fetched, not stored.
+                if (Array.isArray(bitcoinDiscovery?.addresses) && bitcoinDiscovery.addresses.length > 0) {
+                    btcMetadata.bitcoinDiscovery = {
+                        network: bitcoinDiscovery.network,
+                        gapLimit: bitcoinDiscovery.gapLimit,
+                        addresses: bitcoinDiscovery.addresses.map(({ address, addressType, path }) => ({ address, addressType, path })),
+                    };
+                }
                 walletsToCreate.push({
                     userId: user.id,
                     label: name || 'My Wallet',
                     type: 'HD',
                     network: 'BITCOIN',
                     address: addresses.bitcoin,
-                    metadata: { groupId, description },
+                    metadata: { groupId, description, ...btcMetadata },
                 });
             }
             if (addresses.solana) {
@@ -103,10 +123,14 @@ class FrontendWalletController {
             } catch (e) { /* non-critical */ }
 
             // Return in the format the frontend expects
+            const btcRow = created.find(w => w.network === 'BITCOIN');
             const walletResponse = {
                 id: created[0]?.id || groupId,
                 name: name || 'My Wallet',
                 addresses,
+                bitcoinAddressType: btcRow?.metadata?.bitcoinAddressType || null,
+                bitcoinAddresses: btcRow?.metadata?.bitcoinAddresses || null,
+                bitcoinDiscovery: btcRow?.metadata?.bitcoinDiscovery || null,
                 encryptedData,
                 description,
                 createdAt: created[0]?.createdAt,
@@ -160,6 +184,17 @@ class FrontendWalletController {
                 }
                 const networkKey = w.network.toLowerCase();
                 groups[groupId].addresses[networkKey] = w.address;
+                if (w.network === 'BITCOIN') {
+                    groups[groupId].bitcoinAddressType = w.metadata?.bitcoinAddressType || 'legacy';
+                    groups[groupId].bitcoinAddresses = w.metadata?.bitcoinAddresses || null;
+                    groups[groupId].bitcoinDiscovery = w.metadata?.bitcoinDiscovery || null;
+                }
+                if (w.type === 'WATCH_ONLY') {
+                    groups[groupId].watchOnly = {
+                        ...groups[groupId].watchOnly,
+                        [networkKey]: describeWatchOnlyRow(w),
+                    };
+                }
                 // Use the encrypted key from ethereum row (it has the full encrypted data)
                 if (w.encryptedKey) {
                     // Parse back from JSON string to object for the frontend
@@ -179,6 +214,78 @@ class FrontendWalletController {
         }
     }
 
+    /**
+     * Switch the default Bitcoin address type for a wallet group.
+     * Only address types derived at creation (stored in metadata.bitcoinAddresses) can be selected.
+     */
+    async updateBitcoinAddressType(req, res) {
+        try {
+            const clerkUserId = req.clerkUserId;
+            const { walletId } = req.params;
+            const { addressType } = req.body || {};
+
+            if (!clerkUserId) {
+                return res.status(401).json({ success: false, error: 'Authentication required' });
+            }
+            if (!BITCOIN_ADDRESS_TYPES[addressType]) {
+                return res.status(400).json({ success: false, error: 'addressType must be legacy, segwit or taproot' });
+            }
+
+            const user = await prisma.user.findUnique({ where: { email: clerkUserId } });
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            const wallet = await prisma.wallet.findFirst({
+                where: { id: walletId, userId: user.id, isActive: true },
+            });
+            if (!wallet) {
+                return res.status(404).json({ success: false, error: 'Wallet not found' });
+            }
+
+            const groupId = wallet.metadata?.groupId;
+            const btcWallet = wallet.network === 'BITCOIN' ? wallet : groupId ? await prisma.wallet.findFirst({
+                where: {
+                    userId: user.id,
+                    network: 'BITCOIN',
+                    isActive: true,
+                    metadata: { path: ['groupId'], equals: groupId },
+                },
+            }) : null;
+            if (!btcWallet) {
+                return res.status(404).json({ success: false, error: 'Wallet has no Bitcoin address' });
+            }
+
+            const address = btcWallet.metadata?.bitcoinAddresses?.[addressType];
+            if (!address) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This address type was not derived for this wallet. Re-import it from the recovery phrase to enable it.',
+                });
+            }
+
+            const updated = await prisma.wallet.update({
+                where: { id: btcWallet.id },
+                data: {
+                    address,
+                    metadata: { ...btcWallet.metadata, bitcoinAddressType: addressType },
+                },
+            });
+
+            res.status(200).json({
+                success: true,
+                bitcoinAddressType: addressType,
+                address: updated.address,
+            });
+        } catch (error) {
+            if (error.code === 'P2002') {
+                return res.status(409).json({ success: false, error: 'This Bitcoin address is already used by another wallet' });
+            }
+            logger.error('Frontend updateBitcoinAddressType failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Failed to update Bitcoin address type' });
+        }
+    }
+
     /**
      * Delete a wallet (soft-delete all wallets in the group).
      */
@@ -0,0 +1,296 @@
+/**
+ * multiSigController.js
+ * HTTP handlers for persisted multi-signature wallets.
+ * All routes require Clerk auth — req.clerkUserId is set by requireClerkAuth middleware.
+ */
+
+import prisma from '../lib/prisma.js';
+import logger from '../services/loggerService.js';
+import {
+  buildMultiSigPsbtForUser,
+  createMultiSigWallet,
+  deleteMultiSigWalletForUser,
+  executeMultiSigTransactionForUser,
+  exportMultiSigPsbtForUser,
+  getMultiSigWalletBalanceForUser,
+  getMultiSigWalletForUser,
+  importMultiSigPsbt,
+  listMultiSigTransactionsForUser,
+  listMultiSigWalletsForUser,
+  proposeMultiSigTransactionForUser,
+  rejectMultiSigTransactionForUser,
+  signMultiSigTransaction,
+} from '../services/multiSigWalletService.js';
+
+async function findAuthenticatedUser(clerkUserId) {
+  return prisma.user.findUnique({ where: { email: clerkUserId } });
+}
+
+async function findOrCreateAuthenticatedUser(clerkUserId) {
+  return prisma.user.upsert({
+    where: { email: clerkUserId },
+    update: {},
+    create: {
+      email: clerkUserId,
+      name: 'Clerk User',
+      passwordHash: 'clerk-managed',
+    },
+  });
+}
+
+function sendServiceError(res, error, fallbackMessage, context = {}) {
+  const statusCode = error.statusCode || 500;
+  logger.error(`[MultiSig] ${fallbackMessage}`, { error: error.message, ...context });
+  return res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+  });
+}
+
+/**
+ * POST /api/v1/wallet/multisig/create
+ */
+export async function createWallet(req, res) {
+  try {
+    const user = await findOrCreateAuthenticatedUser(req.clerkUserId);
+    const multiSigWallet = await createMultiSigWallet(user.id, req.body);
+    return res.status(201).json({ success: true, multiSigWallet });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to create multi-sig wallet');
+  }
+}
+
+/**
+ * GET /api/v1/wallet/multisig/user/:userId
+ * `:userId` may be `me` or the caller's own Clerk user ID.
+ */
+export async function listWallets(req, res) {
+  try {
+    const { userId } = req.params;
+    if (userId !== 'me' && userId !== req.clerkUserId) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(200).json({ success: true, multiSigWallets: [] });
+    }
+
+    const multiSigWallets = await listMultiSigWalletsForUser(user.id);
+    return res.status(200).json({ success: true, multiSigWallets });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load multi-sig wallets');
+  }
+}
+
+/**
+ * GET /api/v1/wallet/multisig/:walletId
+ */
+export async function getWallet(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const multiSigWallet = await getMultiSigWalletForUser(user.id, req.params.walletId);
+    return res.status(200).json({ success: true, multiSigWallet });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load multi-sig wallet', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * DELETE /api/v1/wallet/multisig/:walletId
+ */
+export async function deleteWallet(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    await deleteMultiSigWalletForUser(user.id, req.params.walletId);
+    return res.status(200).json({ success: true, message: 'Multi-sig wallet deleted' });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to delete multi-sig wallet', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * GET /api/v1/wallet/multisig/:walletId/balance?network=ethereum|sepolia
+ */
+export async function getWalletBalance(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await getMultiSigWalletBalanceForUser(user.id, req.params.walletId, req.query.network);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load multi-sig balance', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * GET /api/v1/wallet/multisig/:walletId/transactions
+ */
+export async function listTransactions(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const transactions = await listMultiSigTransactionsForUser(user.id, req.params.walletId);
+    return res.status(200).json({ success: true, transactions });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load multi-sig transactions', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * POST /api/v1/wallet/multisig/:walletId/transaction
+ * Body: { toAddress, amount, tokenSymbol?, data?, signature? }
+ */
+export async function proposeTransaction(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const transaction = await proposeMultiSigTransactionForUser(user.id, req.params.walletId, req.body);
+    return res.status(201).json({ success: true, transaction });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to propose multi-sig transaction', { walletId: req.params.walletId });
+  }
+}
+
+/**
+ * POST /api/v1/wallet/multisig/transaction/:transactionId/sign
+ * Body: { signature } — a signature over the proposal hash by one of the wallet signers.
+ */
+export async function signTransaction(req, res) {
+  try {
+    const user = await findOrCreateAuthenticatedUser(req.clerkUserId);
+    const transaction = await signMultiSigTransaction(user.id, req.params.transactionId, {
+      signature: req.body?.signature,
+    });
+    return res.status(200).json({ success: true, transaction });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to sign multi-sig transaction', {
+      transactionId: req.params.transactionId,
+    });
+  }
+}
+
+/**
+ * POST /api/v1/wallet/multisig/transaction/:transactionId/reject
+ */
+export async function rejectTransaction(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const transaction = await rejectMultiSigTransactionForUser(user.id, req.params.transactionId);
+    return res.status(200).json({ success: true, transaction });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to reject multi-sig transaction', {
+      transactionId: req.params.transactionId,
+    });
+  }
+}
+
+/**
+ * POST /api/v1/wallet/multisig/transaction/:transactionId/psbt
+ * Body: { feeRate? } — sat/vB; defaults to the BlockCypher medium estimate.
+ */
+export async function buildPsbt(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const transaction = await buildMultiSigPsbtForUser(user.id, req.params.transactionId, {
+      feeRate: req.body?.feeRate,
+    });
+    return res.status(201).json({ success: true, transaction });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to build PSBT', { transactionId: req.params.transactionId });
+  }
+}
+
+/**
+ * GET /api/v1/wallet/multisig/transaction/:transactionId/psbt
+ */
+export async function exportPsbt(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await exportMultiSigPsbtForUser(user.id, req.params.transactionId);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to export PSBT', { transactionId: req.params.transactionId });
+  }
+}
+
+/**
+ * POST /api/v1/wallet/multisig/transaction/:transactionId/psbt/import
+ * Body: { psbt } — base64 or hex PSBT carrying a cosigner's partial signatures.
+ */
+export async function importPsbt(req, res) {
+  try {
+    const user = await findOrCreateAuthenticatedUser(req.clerkUserId);
+    const transaction = await importMultiSigPsbt(user.id, req.params.transactionId, { psbt: req.body?.psbt });
+    return res.status(200).json({ success: true, transaction });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to import PSBT', { transactionId: req.params.transactionId });
+  }
+}
+
+/**
+ * PUT /api/v1/wallet/multisig/transaction/:transactionId/execute
+ * Bitcoin transactions with a PSBT are finalized and broadcast; others record the supplied txHash.
+ */
+export async function executeTransaction(req, res) {
+  try {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const transaction = await executeMultiSigTransactionForUser(user.id, req.params.transactionId, {
+      txHash: req.body?.txHash,
+    });
+    return res.status(200).json({ success: true, transaction });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to execute multi-sig transaction', {
+      transactionId: req.params.transactionId,
+    });
+  }
+}
+
+export default {
+  createWallet,
+  listWallets,
+  getWallet,
+  deleteWallet,
+  getWalletBalance,
+  listTransactions,
+  proposeTransaction,
+  signTransaction,
+  rejectTransaction,
+  buildPsbt,
+  exportPsbt,
+  importPsbt,
+  executeTransaction,
+};
@@ -1,5 +1,9 @@
+import prisma from '../lib/prisma.js';
 import smartVaultService from '../services/smartVaultService.js';
 import bundlerService from '../services/bundlerService.js';
+import paymasterService from '../services/paymasterService.js';
+import ethereumService from '../services/ethereumService.js';
+import { findEvmWalletForUser } from '../services/customTokenService.js';
 import logger from '../services/loggerService.js';
 
 /**
@@ -7,6 +11,73 @@ import logger from '../services/loggerService.js';
  * HTTP request handlers for ERC-4337 Smart Vault operations.
  */
 
+async function findAuthenticatedUser(clerkUserId) {
+    return prisma.user.findUnique({ where: { email: clerkUserId } });
+}
+
+async function isVaultOwner(userId, smartAccountId) {
+    const smartAccount = await prisma.smartAccount.findUnique({
+        where: { id: smartAccountId },
+        include: { wallet: true },
+    });
+    return smartAccount?.wallet?.userId === userId;
+}
+
+/**
+ * The signed-in user when they own the vault. Otherwise sends the 404 or 403
+ * response and returns null.
+ */
+async function requireVaultOwner(req, res, smartAccountId) {
+    const user = await findAuthenticatedUser(req.clerkUserId);
+    if (!user) {
+        res.status(404).json({ success: false, error: 'User not found' });
+        return null;
+    }
+    if (!(await isVaultOwner(user.id, smartAccountId))) {
+        res.status(403).json({ success: false, error: 'You do not own this vault' });
+        return null;
+    }
+    return user;
+}
+
+/**
+ * Like requireVaultOwner, for the vault a session key was issued on.
+ */
+async function requireSessionKeyOwner(req, res, sessionKeyId) {
+    const sessionKey = await prisma.vaultSessionKey.findUnique({
+        where: { id: sessionKeyId },
+        select: { smartAccountId: true },
+    });
+    if (!sessionKey) {
+        res.status(404).json({ success: false, error: 'Session key not found' });
+        return null;
+    }
+    return requireVaultOwner(req, res, sessionKey.smartAccountId);
+}
+
+/**
+ * Whether the user owns the vault or is one of its guardians through any of
+ * their Ethereum wallets.
+ */
+async function isVaultOwnerOrGuardian(userId, smartAccountId) {
+    if (await isVaultOwner(userId, smartAccountId)) return true;
+
+    const wallets = await prisma.wallet.findMany({
+        where: { userId, network: 'ETHEREUM', isActive: true },
+        select: { address: true },
+    });
+    if (wallets.length === 0) return false;
+
+    const guardian = await prisma.guardian.findFirst({
+        where: {
+            smartAccountId,
+            isActive: true,
+            OR: wallets.map(wallet => ({ guardianAddress: { equals: wallet.address, mode: 'insensitive' } })),
+        },
+    });
+    return Boolean(guardian);
+}
+
 class SmartVaultController {
     /**
      * POST /api/v1/smart-vault/deploy
@@ -127,11 +198,13 @@ class SmartVaultController {
 
     /**
      * POST /api/v1/smart-vault/build-userop
-     * Build a UserOperation for signing.
+     * Build a UserOperation for signing, with bundler-estimated gas limits
+     * and fees for the requested tier (slow | normal | fast, default normal).
+     * Optional `paymaster`: { mode: 'sponsor' } or { mode: 'erc20', token, maxTokenAmount }.
      */
     async buildUserOp(req, res) {
         try {
-            const { smartAccountId, callData } = req.body;
+            const { smartAccountId, callData, feeTier, paymaster } = req.body;
 
             if (!smartAccountId || !callData) {
                 return res.status(400).json({
@@ -140,9 +213,12 @@ class SmartVaultController {
                 });
             }
 
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
             const result = await smartVaultService.buildUserOperation(
                 smartAccountId,
-                callData
+                callData,
+                { feeTier, paymaster }
             );
 
             if (!result.success) {
@@ -158,6 +234,36 @@ class SmartVaultController {
 
 
 
+    /**
+     * POST /api/v1/smart-vault/sponsor
+     * Gas sponsorship eligibility, remaining quota and ERC-20 gas tokens for a vault.
+     */
+    async getSponsorship(req, res) {
+        try {
+            const { smartAccountId } = req.body;
+
+            if (!smartAccountId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'smartAccountId is required',
+                });
+            }
+
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
+            const result = await paymasterService.getPaymasterOptions(smartAccountId);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Get sponsorship failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
     /**
      * POST /api/v1/smart-vault/send
      * Submit a signed UserOperation to the bundler.
@@ -173,6 +279,8 @@ class SmartVaultController {
                 });
             }
 
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
             const result = await bundlerService.sendUserOp(
                 signedUserOp,
                 smartAccountId,
@@ -183,6 +291,10 @@ class SmartVaultController {
                 return res.status(400).json(result);
             }
 
+            if (signedUserOp.paymasterAndData && signedUserOp.paymasterAndData !== '0x') {
+                await paymasterService.markSubmitted(smartAccountId, signedUserOp.nonce, result.data.userOpHash);
+            }
+
             res.status(200).json(result);
         } catch (error) {
             logger.error('Send UserOp failed', { error: error.message });
@@ -222,6 +334,271 @@ class SmartVaultController {
         }
     }
 
+    /**
+     * POST /api/v1/smart-vault/session-keys
+     * Issue a session key limited to target/selector permissions, a per-call
+     * value cap and a validity window. Returns the grantSessionKey transaction
+     * for the owner to send.
+     */
+    async issueSessionKey(req, res) {
+        try {
+            const { smartAccountId, permissions, valueLimit, validForSeconds, label } = req.body;
+
+            if (!smartAccountId || !permissions) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'smartAccountId and permissions are required',
+                });
+            }
+
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
+            const result = await smartVaultService.issueSessionKey(smartAccountId, {
+                permissions,
+                valueLimit,
+                validForSeconds,
+                label,
+            });
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(201).json(result);
+        } catch (error) {
+            logger.error('Issue session key failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/v1/smart-vault/session-keys/confirm
+     * Activate a session key after its grant transaction is mined.
+     */
+    async confirmSessionKey(req, res) {
+        try {
+            const { sessionKeyId } = req.body;
+
+            if (!sessionKeyId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'sessionKeyId is required',
+                });
+            }
+
+            if (!(await requireSessionKeyOwner(req, res, sessionKeyId))) return;
+
+            const result = await smartVaultService.confirmSessionKey(sessionKeyId);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Confirm session key failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/v1/smart-vault/session-keys/:smartAccountId
+     * List the session keys issued for a vault.
+     */
+    async getSessionKeys(req, res) {
+        try {
+            const { smartAccountId } = req.params;
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
+            const result = await smartVaultService.getSessionKeys(smartAccountId);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Get session keys failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * DELETE /api/v1/smart-vault/session-keys
+     * Revoke a session key. Returns the revokeSessionKey transaction when the
+     * key was granted on-chain.
+     */
+    async revokeSessionKey(req, res) {
+        try {
+            const { sessionKeyId } = req.body;
+
+            if (!sessionKeyId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'sessionKeyId is required',
+                });
+            }
+
+            if (!(await requireSessionKeyOwner(req, res, sessionKeyId))) return;
+
+            const result = await smartVaultService.revokeSessionKey(sessionKeyId);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Revoke session key failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/v1/smart-vault/session-keys/send
+     * Sign a vault call with one of the signed-in user's session keys and
+     * submit it to the bundler. The call must stay inside the key's grant.
+     */
+    async sendWithSessionKey(req, res) {
+        try {
+            const { sessionKeyId, callData, feeTier, paymaster } = req.body;
+
+            if (!sessionKeyId || !callData) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'sessionKeyId and callData are required',
+                });
+            }
+
+            if (!(await requireSessionKeyOwner(req, res, sessionKeyId))) return;
+
+            const result = await smartVaultService.sendWithSessionKey(sessionKeyId, callData, { feeTier, paymaster });
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Send with session key failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/v1/smart-vault/spending-limits/:smartAccountId
+     * Daily spending limits on a vault, current-window usage and queued changes.
+     */
+    async getSpendingLimits(req, res) {
+        try {
+            const { smartAccountId } = req.params;
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
+            const result = await smartVaultService.getSpendingLimits(smartAccountId);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Get spending limits failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/v1/smart-vault/spending-limits
+     * Build the setSpendingLimit transaction for the vault owner to send.
+     * Raising or removing a limit only queues it behind the vault's timelock.
+     */
+    async setSpendingLimit(req, res) {
+        try {
+            const { smartAccountId, token, limit } = req.body;
+
+            if (!smartAccountId || limit === undefined || limit === null) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'smartAccountId and limit are required',
+                });
+            }
+
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
+            const result = await smartVaultService.setSpendingLimit(smartAccountId, { token, limit });
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Set spending limit failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/v1/smart-vault/spending-limits/apply
+     * Build the applySpendingLimit transaction for a queued change whose
+     * timelock has expired.
+     */
+    async applySpendingLimit(req, res) {
+        try {
+            const { smartAccountId, token } = req.body;
+
+            if (!smartAccountId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'smartAccountId is required',
+                });
+            }
+
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
+            const result = await smartVaultService.applySpendingLimit(smartAccountId, { token });
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Apply spending limit failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * DELETE /api/v1/smart-vault/spending-limits
+     * Build the transaction that cancels a queued limit change.
+     */
+    async cancelSpendingLimitChange(req, res) {
+        try {
+            const { smartAccountId, token } = req.body;
+
+            if (!smartAccountId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'smartAccountId is required',
+                });
+            }
+
+            if (!(await requireVaultOwner(req, res, smartAccountId))) return;
+
+            const result = await smartVaultService.cancelSpendingLimitChange(smartAccountId, { token });
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Cancel spending limit change failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
     /**
      * POST /api/v1/smart-vault/guardians
      * Add a guardian to a Smart Account.
@@ -284,6 +661,164 @@ class SmartVaultController {
             res.status(500).json({ success: false, error: 'Internal server error' });
         }
     }
+
+    /**
+     * POST /api/v1/smart-vault/guardians/threshold
+     * Build the setRecoveryThreshold transaction for the vault owner.
+     */
+    async setRecoveryThreshold(req, res) {
+        try {
+            const { smartAccountId, threshold } = req.body;
+
+            if (!smartAccountId || threshold === undefined || threshold === null) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'smartAccountId and threshold are required',
+                });
+            }
+
+            const result = await smartVaultService.setRecoveryThreshold(smartAccountId, threshold);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Set recovery threshold failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/v1/smart-vault/recovery/wallet/:walletId?network=mainnet
+     * Guardians and recovery state of the signed-in user's vault for a wallet.
+     */
+    async getWalletRecovery(req, res) {
+        try {
+            const user = await findAuthenticatedUser(req.clerkUserId);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            const { walletId } = req.params;
+            const evmWallet = await findEvmWalletForUser(user.id, walletId);
+            const chainId = ethereumService.getChainId(req.query.network || 'mainnet');
+            const smartAccount = chainId ? await prisma.smartAccount.findFirst({
+                where: { walletId: { in: [evmWallet.id, walletId] }, chainId },
+            }) : null;
+
+            if (!smartAccount) {
+                return res.status(404).json({ success: false, error: 'No Smart Vault found for this wallet' });
+            }
+
+            const result = await smartVaultService.getRecoveryStatus(smartAccount.id);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ success: false, error: error.message });
+            }
+            logger.error('Get wallet recovery failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/v1/smart-vault/recovery/guarding
+     * Vaults the signed-in user is a guardian of, with their recovery state.
+     */
+    async getGuardedVaults(req, res) {
+        try {
+            const user = await findAuthenticatedUser(req.clerkUserId);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            const result = await smartVaultService.getGuardedVaults(user.id);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Get guarded vaults failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/v1/smart-vault/recovery/:smartAccountId
+     * Sync a vault's guardians and pending recovery from the chain and return
+     * them. Only the vault's owner and its guardians may read it.
+     */
+    async getRecoveryStatus(req, res) {
+        try {
+            const user = await findAuthenticatedUser(req.clerkUserId);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            const { smartAccountId } = req.params;
+            if (!(await isVaultOwnerOrGuardian(user.id, smartAccountId))) {
+                return res.status(404).json({ success: false, error: 'Smart Account not found' });
+            }
+
+            const result = await smartVaultService.getRecoveryStatus(smartAccountId);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Get recovery status failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/v1/smart-vault/recovery
+     * Build an initiate / approve / execute / cancel recovery transaction
+     * for the vault's owner or one of its guardians.
+     */
+    async buildRecoveryTransaction(req, res) {
+        try {
+            const user = await findAuthenticatedUser(req.clerkUserId);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            const { smartAccountId, action, newOwner } = req.body;
+
+            if (!smartAccountId || !action) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'smartAccountId and action are required',
+                });
+            }
+
+            if (!(await isVaultOwnerOrGuardian(user.id, smartAccountId))) {
+                return res.status(404).json({ success: false, error: 'Smart Account not found' });
+            }
+
+            const result = await smartVaultService.buildRecoveryTransaction(smartAccountId, action, { newOwner });
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error('Build recovery transaction failed', { error: error.message });
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
 }
 
 export default new SmartVaultController();
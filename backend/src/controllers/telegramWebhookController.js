@@ -14,7 +14,14 @@ import {
   extractTransferSlots,
   generateConversationalReply,
 } from '../services/geminiService.js';
-import { executeTransfer, getBotWalletBalance } from '../services/telegramExecutionService.js';
+import {
+  cancelBotTransfer,
+  executeTransfer,
+  getBotWalletBalance,
+  getPendingBotTransfers,
+  simulateTransfer,
+  speedUpBotTransfer,
+} from '../services/telegramExecutionService.js';
 import {
   loadConversationSession,
   saveConversationSession,
@@ -1199,6 +1206,58 @@ async function handleTransferStatus(chatId, telegramId, text = '') {
   return sendBotMessage(chatId, telegramId, buildTransferStatusMessage(statusResult));
 }
 
+async function handlePendingTransfers(chatId, telegramId) {
+  try {
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) return sendBotPlain(chatId, telegramId, UNLINKED_MESSAGE);
+
+    const pending = await getPendingBotTransfers(user.id);
+    setScene(telegramId, 'idle', 'ready', { lastIntent: 'pending_transfers' });
+    if (pending.length === 0) {
+      return sendBotPlain(chatId, telegramId, '✅ No pending transfers. Everything you sent has confirmed.');
+    }
+
+    const lines = pending.map(row => {
+      const { amount, token } = row.metadata || {};
+      const label = row.metadata?.replacement === 'cancel' ? 'cancel' : `${amount || '?'} ${token || ''}`.trim();
+      return `• Nonce ${row.nonce}: ${label}\n  \`${row.txHash}\``;
+    });
+    return sendBotMessage(chatId, telegramId,
+      `⏳ *Pending transfers*\n\n${lines.join('\n')}\n\nUse /speedup or /canceltx with a hash, or alone for the oldest one.`
+    );
+  } catch (error) {
+    logger.error('[TelegramBot] Pending transfers lookup failed', { telegramId, error: error.message });
+    return sendBotPlain(chatId, telegramId, '❌ Failed to load pending transfers. Please try again.');
+  }
+}
+
+async function handleReplaceTransfer(chatId, telegramId, text, kind) {
+  try {
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) return sendBotPlain(chatId, telegramId, UNLINKED_MESSAGE);
+
+    const txHash = extractTxHashFromText(text);
+    const replace = kind === 'cancel' ? cancelBotTransfer : speedUpBotTransfer;
+    const result = await replace(user.id, txHash);
+    setScene(telegramId, 'idle', 'ready', { lastIntent: kind === 'cancel' ? 'cancel_transfer' : 'speedup_transfer' });
+
+    const heading = kind === 'cancel' ? '🛑 *Cancellation sent*' : '🚀 *Speed-up sent*';
+    return sendBotMessage(chatId, telegramId,
+      `${heading}\n\nReplacing: \`${result.replaces}\`\nNew tx: \`${result.txHash}\`\nNonce: ${result.nonce}\n\n_Whichever transaction mines first wins. Check with /pending._`
+    );
+  } catch (error) {
+    logger.error('[TelegramBot] Transfer replacement failed', { telegramId, kind, error: error.message });
+    const msg = error.message || '';
+    if (msg.includes('not pending') || msg.includes('no pending') || msg.includes('already')) {
+      return sendBotPlain(chatId, telegramId, `❌ ${msg}. Use /pending to see what can still be replaced.`);
+    }
+    if (msg.includes('insufficient funds')) {
+      return sendBotPlain(chatId, telegramId, '❌ Not enough ETH in the bot wallet to pay the higher fee.');
+    }
+    return sendBotPlain(chatId, telegramId, `❌ Failed to ${kind === 'cancel' ? 'cancel' : 'speed up'} the transfer. Please try again.`);
+  }
+}
+
 async function handleUnlink(chatId, telegramId) {
   try {
     const user = await getUserByTelegramId(telegramId);
@@ -1239,6 +1298,7 @@ const transferConversationHandlers = createTransferConversationHandlers({
   buildMissingFieldPrompt,
   touchSavedRecipientById,
   recordTelegramTransferEvent,
+  simulateTransfer,
 });
 
 // ─────────────────────────────────────────────────────────────
@@ -1553,6 +1613,7 @@ async function handleFreeText(chatId, telegramId, text) {
         telegramId,
         action,
         intentConfidence: intent.confidence,
+        user,
       });
       if (preparedTransferResponse) {
         return preparedTransferResponse;
@@ -1628,6 +1689,9 @@ export async function handleWebhook(req, res) {
         case 'transfers': return handleRecentTransfers(chatId, telegramId);
         case 'last': return handleLastTransfer(chatId, telegramId);
         case 'status': return handleTransferStatus(chatId, telegramId, text);
+        case 'pending': return handlePendingTransfers(chatId, telegramId);
+        case 'speedup': return handleReplaceTransfer(chatId, telegramId, text, 'speedup');
+        case 'canceltx': return handleReplaceTransfer(chatId, telegramId, text, 'cancel');
         case 'stealth': {
           const user = await getUserByTelegramId(telegramId);
           if (!user) return sendBotPlain(chatId, telegramId, UNLINKED_MESSAGE);
@@ -1639,7 +1703,7 @@ export async function handleWebhook(req, res) {
           return handleStealthClaimStart(chatId, telegramId, user);
         }
         case 'unlink':  return handleUnlink(chatId, telegramId);
-        default:        return sendBotPlain(chatId, telegramId, `Unknown command: /${cmd}\n\nUse /help, /balance, /addresses, /recent, /status, /stealth, or /claim.`);
+        default:        return sendBotPlain(chatId, telegramId, `Unknown command: /${cmd}\n\nUse /help, /balance, /addresses, /recent, /status, /pending, /stealth, or /claim.`);
       }
     } else {
       return handleFreeText(chatId, telegramId, text);
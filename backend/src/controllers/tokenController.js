@@ -1,4 +1,6 @@
 import tokenService from '../services/tokenService.js';
+import tokenDiscoveryService from '../services/tokenDiscoveryService.js';
+import tokenRegistry from '../services/tokenRegistryService.js';
 import logger from '../services/loggerService.js';
 
 class TokenController {
@@ -97,6 +99,95 @@ class TokenController {
     }
   }
 
+  async discoverTokens(req, res) {
+    try {
+      const { address } = req.params;
+      const { network, networks } = req.query;
+
+      const result = networks
+        ? await tokenDiscoveryService.discoverAcrossNetworks(
+          address,
+          networks === 'all' ? 'all' : networks.split(',').map(name => name.trim()).filter(Boolean)
+        )
+        : await tokenDiscoveryService.discoverTokens(address, network || 'mainnet');
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in discoverTokens', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to discover tokens',
+      });
+    }
+  }
+
+  async getWalletTokenBalances(req, res) {
+    try {
+      const { address } = req.params;
+      const { network = 'mainnet', discover } = req.query;
+
+      const result = await tokenDiscoveryService.getWalletTokenBalances(address, network, {
+        discover: discover === 'true',
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in getWalletTokenBalances', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get wallet token balances',
+      });
+    }
+  }
+
+  async setDiscoveredTokenHidden(req, res) {
+    try {
+      const { address, tokenAddress } = req.params;
+      const { network = 'mainnet', hidden = true } = req.body;
+
+      const result = await tokenDiscoveryService.setTokenHidden(address, tokenAddress, network, hidden);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in setDiscoveredTokenHidden', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update token',
+      });
+    }
+  }
+
+  getTokenList(req, res) {
+    try {
+      const chainId = req.query.chainId ? Number(req.query.chainId) : null;
+      const tokens = chainId ? tokenRegistry.getTokens(chainId) : tokenRegistry.getAllTokens();
+
+      res.status(200).json({
+        success: true,
+        lists: tokenRegistry.lists,
+        tokens,
+      });
+    } catch (error) {
+      logger.error('Error in getTokenList', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get token list',
+      });
+    }
+  }
+
   getPopularTokens(req, res) {
     try {
       const result = tokenService.getPopularTokens();
@@ -1,11 +1,12 @@
 import walletService from '../services/walletService.js';
+import { normalizeGapLimit } from '../services/bitcoinDiscoveryService.js';
 import logger from '../services/loggerService.js';
 
 class WalletController {
   async generateWallet(req, res) {
     try {
-      const { passphrase } = req.body;
-      const result = walletService.generateNewWallet(passphrase);
+      const { passphrase, bitcoinAddressType } = req.body;
+      const result = walletService.generateNewWallet(passphrase, bitcoinAddressType);
 
       if (!result.success) {
         return res.status(400).json({
@@ -26,6 +27,8 @@ class WalletController {
           bitcoin: {
             address: result.addresses.bitcoin,
             privateKey: result._privateKeys.bitcoin,
+            addressType: result.bitcoinAddressType,
+            accounts: result.bitcoinAccounts,
           },
           solana: {
             address: result.addresses.solana,
@@ -58,7 +61,7 @@ class WalletController {
 
   async importFromMnemonic(req, res) {
     try {
-      const { mnemonic, passphrase } = req.body;
+      const { mnemonic, passphrase, bitcoinAddressType, discover = true, network = 'mainnet' } = req.body;
 
       if (!mnemonic) {
         return res.status(400).json({
@@ -67,7 +70,27 @@ class WalletController {
         });
       }
 
-      const result = walletService.importFromMnemonic(mnemonic.trim(), passphrase);
+      if (!['mainnet', 'testnet', 'regtest'].includes(network)) {
+        return res.status(400).json({
+          success: false,
+          error: 'network must be mainnet, testnet or regtest',
+        });
+      }
+
+      let gapLimit;
+      try {
+        gapLimit = normalizeGapLimit(req.body.gapLimit);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      // Discovery scans receive/change chains of every address type so funds beyond index 0 are found.
+      const result = discover === false
+        ? walletService.importFromMnemonic(mnemonic.trim(), passphrase, bitcoinAddressType)
+        : await walletService.importFromMnemonicWithDiscovery(mnemonic.trim(), passphrase, bitcoinAddressType, { network, gapLimit });
 
       if (!result.success) {
         return res.status(400).json({
@@ -87,6 +110,9 @@ class WalletController {
           bitcoin: {
             address: result.addresses.bitcoin,
             privateKey: result._privateKeys.bitcoin,
+            addressType: result.bitcoinAddressType,
+            accounts: result.bitcoinAccounts,
+            discovery: result.bitcoinDiscovery || null,
           },
           solana: {
             address: result.addresses.solana,
@@ -144,7 +170,7 @@ class WalletController {
 
   async deriveAccounts(req, res) {
     try {
-      const { mnemonic, count = 5 } = req.body;
+      const { mnemonic, count = 5, bitcoinAddressType } = req.body;
 
       if (!mnemonic) {
         return res.status(400).json({
@@ -160,7 +186,7 @@ class WalletController {
         });
       }
 
-      const result = walletService.deriveAccounts(mnemonic.trim(), count);
+      const result = walletService.deriveAccounts(mnemonic.trim(), count, bitcoinAddressType);
 
       if (!result.success) {
         return res.status(400).json({
@@ -0,0 +1,75 @@
+/**
+ * watchOnlyWalletController.js
+ * HTTP handlers for watch-only wallets (extended public keys and bare addresses).
+ * All routes require Clerk auth — req.clerkUserId is set by requireClerkAuth middleware.
+ */
+
+import prisma from '../lib/prisma.js';
+import logger from '../services/loggerService.js';
+import {
+  createWatchOnlyWalletForUser,
+  getWatchOnlySummaryForUser,
+} from '../services/watchOnlyWalletService.js';
+
+function sendServiceError(res, error, fallbackMessage, context = {}) {
+  const statusCode = error.statusCode || 500;
+  logger.error(`[WatchOnly] ${fallbackMessage}`, { error: error.message, ...context });
+  return res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+  });
+}
+
+/**
+ * POST /api/v1/wallets/watch-only
+ * Body: { name, description?, extendedPublicKey?, addresses?: { ethereum, bitcoin, solana },
+ *         networks?: { ethereum, solana }, gapLimit? }
+ */
+export async function createWatchOnlyWallet(req, res) {
+  try {
+    const clerkUserId = req.clerkUserId;
+    const user = await prisma.user.upsert({
+      where: { email: clerkUserId },
+      update: {},
+      create: {
+        email: clerkUserId,
+        name: req.body?.name || 'Clerk User',
+        passwordHash: 'clerk-managed',
+      },
+    });
+
+    const wallet = await createWatchOnlyWalletForUser(user.id, req.body || {});
+
+    try {
+      await prisma.activityLog.create({
+        data: { userId: user.id, action: 'WALLET_CREATED', details: { walletId: wallet.id, name: wallet.name, watchOnly: true } },
+      });
+    } catch (e) { /* non-critical */ }
+
+    return res.status(201).json({ success: true, wallet });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to create watch-only wallet');
+  }
+}
+
+/**
+ * GET /api/v1/wallets/:walletId/watch-only
+ */
+export async function getWatchOnlySummary(req, res) {
+  try {
+    const user = await prisma.user.findUnique({ where: { email: req.clerkUserId } });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const summary = await getWatchOnlySummaryForUser(user.id, req.params.walletId);
+    return res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to load watch-only wallet', { walletId: req.params.walletId });
+  }
+}
+
+export default {
+  createWatchOnlyWallet,
+  getWatchOnlySummary,
+};
@@ -21,6 +21,7 @@ import {
   startMetricsLogging
 } from './middleware/monitoring.js';
 import walletRoutes from './routes/walletRoutes.js';
+import multiSigRoutes from './routes/multiSigRoutes.js';
 import blockchainRoutes from './routes/blockchainRoutes.js';
 import tokenRoutes from './routes/tokenRoutes.js';
 import priceRoutes from './routes/priceRoutes.js';
@@ -135,11 +136,31 @@ app.get('/api/v1', (req, res) => {
         encrypt: 'POST /api/v1/wallet/encrypt',
         decrypt: 'POST /api/v1/wallet/decrypt',
       },
+      multisig: {
+        create: 'POST /api/v1/wallet/multisig/create',
+        list: 'GET /api/v1/wallet/multisig/user/me',
+        get: 'GET /api/v1/wallet/multisig/:walletId',
+        balance: 'GET /api/v1/wallet/multisig/:walletId/balance',
+        transactions: 'GET /api/v1/wallet/multisig/:walletId/transactions',
+        propose: 'POST /api/v1/wallet/multisig/:walletId/transaction',
+        sign: 'POST /api/v1/wallet/multisig/transaction/:transactionId/sign',
+        reject: 'POST /api/v1/wallet/multisig/transaction/:transactionId/reject',
+        buildPsbt: 'POST /api/v1/wallet/multisig/transaction/:transactionId/psbt',
+        exportPsbt: 'GET /api/v1/wallet/multisig/transaction/:transactionId/psbt',
+        importPsbt: 'POST /api/v1/wallet/multisig/transaction/:transactionId/psbt/import',
+        execute: 'PUT /api/v1/wallet/multisig/transaction/:transactionId/execute',
+        delete: 'DELETE /api/v1/wallet/multisig/:walletId',
+      },
       blockchain: {
         ethereumBalance: 'GET /api/v1/blockchain/ethereum/balance/:address',
         bitcoinBalance: 'GET /api/v1/blockchain/bitcoin/balance/:address',
+        bitcoinTransactions: 'GET /api/v1/blockchain/bitcoin/transactions/:address',
         gasPrice: 'GET /api/v1/blockchain/ethereum/gas-price',
         bitcoinFeeEstimate: 'GET /api/v1/blockchain/bitcoin/fee-estimate',
+        bitcoinSend: 'POST /api/v1/blockchain/bitcoin/send',
+        bitcoinFeeBump: 'GET /api/v1/blockchain/bitcoin/fee-bump/:txHash',
+        bitcoinRbf: 'POST /api/v1/blockchain/bitcoin/rbf',
+        bitcoinCpfp: 'POST /api/v1/blockchain/bitcoin/cpfp',
       },
       tokens: {
         info: 'GET /api/v1/tokens/info/:tokenAddress',
@@ -172,12 +193,25 @@ app.get('/api/v1', (req, res) => {
         delete: 'DELETE /api/v1/db-wallets/:walletId',
         transactions: 'GET /api/v1/db-wallets/:walletId/transactions',
       },
+      bitcoinCoinControl: {
+        utxos: 'GET /api/v1/wallets/:walletId/bitcoin/utxos',
+        updateUtxo: 'PATCH /api/v1/wallets/:walletId/bitcoin/utxos/:txHash/:outputIndex',
+        send: 'POST /api/v1/wallets/:walletId/bitcoin/send',
+        consolidate: 'POST /api/v1/wallets/:walletId/bitcoin/consolidate',
+      },
+      watchOnly: {
+        create: 'POST /api/v1/wallets/watch-only',
+        summary: 'GET /api/v1/wallets/:walletId/watch-only',
+      },
       smartVault: {
         deploy: 'POST /api/v1/smart-vault/deploy',
         getVault: 'GET /api/v1/smart-vault/:walletId',
         sponsor: 'POST /api/v1/smart-vault/sponsor',
+        sessionKeys: 'POST /api/v1/smart-vault/session-keys',
+        spendingLimits: 'GET /api/v1/smart-vault/spending-limits/:smartAccountId',
         send: 'POST /api/v1/smart-vault/send',
         guardians: 'POST /api/v1/smart-vault/guardians',
+        recovery: 'GET /api/v1/smart-vault/recovery/:smartAccountId',
       },
       stealth: {
         list: 'GET /api/v1/stealth/issues',
@@ -189,6 +223,7 @@ app.get('/api/v1', (req, res) => {
   });
 });
 
+app.use('/api/v1/wallet/multisig', rateLimiters.global, multiSigRoutes);
 app.use('/api/v1/wallet', rateLimiters.walletGeneration, walletRoutes);
 app.use('/api/v1/blockchain', rateLimiters.blockchainQuery, blockchainRoutes);
 app.use('/api/v1/tokens', rateLimiters.tokenQuery, tokenRoutes);
@@ -202,11 +237,6 @@ app.use('/api/v1/stealth', rateLimiters.global, stealthRoutes);
 app.use('/api/v1/telegram', rateLimiters.global, telegramWebhookRoutes); // Webhook first — no auth, validated inside controller
 app.use('/api/v1/telegram', rateLimiters.global, telegramRoutes);
 
-// Stub: multisig wallet endpoint (returns empty array for now)
-app.get('/api/v1/wallet/multisig/user/:userId', (req, res) => {
-  res.status(200).json({ success: true, wallets: [] });
-});
-
 app.use(notFoundHandler);
 app.use(errorHandler);
 
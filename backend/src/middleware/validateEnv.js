@@ -44,6 +44,18 @@ const optionalEnvVars = {
   SOLANA_TESTNET_RPC: 'Solana testnet RPC',
   BITCOIN_NETWORK: 'Bitcoin network (mainnet/testnet)',
   BITCOIN_TESTNET_NETWORK: 'Bitcoin testnet network',
+  BITCOIN_PROVIDERS: 'Bitcoin data providers in failover order (blockcypher,esplora,electrum)',
+  BITCOIN_ESPLORA_URL: 'Esplora REST base URL for Bitcoin mainnet',
+  BITCOIN_ESPLORA_TESTNET_URL: 'Esplora REST base URL for Bitcoin testnet',
+  BITCOIN_ESPLORA_REGTEST_URL: 'Esplora REST base URL for Bitcoin regtest',
+  BITCOIN_ELECTRUM_SERVER: 'Electrum server for Bitcoin mainnet (ssl://host:port)',
+  BITCOIN_ELECTRUM_TESTNET_SERVER: 'Electrum server for Bitcoin testnet',
+  BITCOIN_ELECTRUM_REGTEST_SERVER: 'Electrum server for Bitcoin regtest',
+  TOKEN_DISCOVERY_BLOCK_RANGE: 'Blocks per eth_getLogs call when discovering ERC-20 tokens',
+  TOKEN_DISCOVERY_MAX_RANGES: 'eth_getLogs ranges scanned per token discovery request',
+  TOKEN_DISCOVERY_LOOKBACK_BLOCKS: 'How far below the chain head token discovery scans',
+  APPROVAL_SCAN_LOOKBACK_BLOCKS: 'How far below the chain head approval scans go (default: full history)',
+  TOKEN_LISTS: 'Extra token-list JSON files loaded after the default list (comma-separated)',
 
   REDIS_URL: 'Redis connection URL for caching',
 
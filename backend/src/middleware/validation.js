@@ -1,6 +1,7 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { ethers } from 'ethers';
 import * as bitcoin from 'bitcoinjs-lib';
+import { BITCOIN_NETWORKS } from '../services/bitcoinProviders/index.js';
 
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -35,7 +36,7 @@ const isValidBitcoinAddress = (address, network = 'mainnet') => {
   if (!address) return false;
 
   try {
-    const networkObj = network === 'mainnet' ? bitcoin.networks.bitcoin : bitcoin.networks.testnet;
+    const networkObj = BITCOIN_NETWORKS[network] || bitcoin.networks.testnet;
     bitcoin.address.toOutputScript(address, networkObj);
     return true;
   } catch {
@@ -54,7 +55,7 @@ const isValidNetworkAddress = (address, network) => {
   }
 
   if (network.startsWith('bitcoin')) {
-    const bitcoinNetwork = network.includes('testnet') ? 'testnet' : 'mainnet';
+    const bitcoinNetwork = ['testnet', 'regtest'].find((name) => network.includes(name)) || 'mainnet';
     return isValidBitcoinAddress(address, bitcoinNetwork);
   }
 
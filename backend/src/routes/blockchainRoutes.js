@@ -1,5 +1,6 @@
 import express from 'express';
 import blockchainController from '../controllers/blockchainController.js';
+import { requireClerkAuth } from '../middleware/clerkAuth.js';
 
 const router = express.Router();
 
@@ -7,10 +8,46 @@ router.get('/ethereum/balance/:address', blockchainController.getEthereumBalance
 
 router.get('/bitcoin/balance/:address', blockchainController.getBitcoinBalance);
 
+router.get('/bitcoin/transactions/:address', blockchainController.getBitcoinTransactions);
+
 router.get('/solana/balance/:address', blockchainController.getSolanaBalance);
 
+router.get('/solana/tokens/:address', blockchainController.getSolanaTokenBalances);
+
+router.get('/solana/transactions/:address', blockchainController.getSolanaTransactions);
+
+router.get('/solana/priority-fees', blockchainController.getSolanaPriorityFees);
+
+router.post('/solana/transactions/build', blockchainController.buildSolanaTransaction);
+
+router.post('/solana/transactions/send', blockchainController.sendSolanaTransaction);
+
+router.get('/solana/nonce/:address', blockchainController.getSolanaNonceAccount);
+
+router.post('/solana/nonce/build', blockchainController.buildSolanaNonceAccount);
+
+router.get('/solana/staking/validators', blockchainController.getSolanaValidators);
+
+router.get('/solana/staking/accounts/:address', blockchainController.getSolanaStakeAccounts);
+
+router.get('/solana/staking/rewards/:address', blockchainController.getSolanaStakeRewards);
+
+router.post('/solana/staking/:action', blockchainController.buildSolanaStakeTransaction);
+
 router.get('/ethereum/gas-price', blockchainController.getGasPrice);
 
+router.get('/ethereum/fee-suggestions', blockchainController.getEthereumFeeSuggestions);
+
+router.post('/ethereum/simulate', blockchainController.simulateEthereumTransaction);
+
 router.get('/bitcoin/fee-estimate', blockchainController.getBitcoinFeeEstimate);
 
+router.post('/bitcoin/transactions/build', requireClerkAuth, blockchainController.buildBitcoinTransaction);
+
+router.post('/bitcoin/transactions/send', requireClerkAuth, blockchainController.sendBitcoinTransaction);
+
+router.get('/bitcoin/fee-bump/:txHash', blockchainController.getBitcoinFeeBumpOptions);
+
+router.post('/bitcoin/cpfp', requireClerkAuth, blockchainController.buildBitcoinCpfpTransaction);
+
 export default router;
@@ -1,5 +1,9 @@
 import express from 'express';
 import frontendWalletController from '../controllers/frontendWalletController.js';
+import bitcoinCoinControlController from '../controllers/bitcoinCoinControlController.js';
+import watchOnlyWalletController from '../controllers/watchOnlyWalletController.js';
+import customTokenController from '../controllers/customTokenController.js';
+import approvalController from '../controllers/approvalController.js';
 import { requireClerkAuth } from '../middleware/clerkAuth.js';
 
 const router = express.Router();
@@ -10,6 +14,28 @@ router.use(requireClerkAuth);
 // CRUD — matches what DatabaseWalletContext.js expects
 router.get('/', frontendWalletController.getWallets);
 router.post('/', frontendWalletController.createWallet);
+router.post('/watch-only', watchOnlyWalletController.createWatchOnlyWallet);
+router.patch('/:walletId/bitcoin-address-type', frontendWalletController.updateBitcoinAddressType);
 router.delete('/:walletId', frontendWalletController.deleteWallet);
 
+// Bitcoin coin control
+router.get('/:walletId/bitcoin/utxos', bitcoinCoinControlController.listUtxos);
+router.patch('/:walletId/bitcoin/utxos/:txHash/:outputIndex', bitcoinCoinControlController.updateUtxo);
+router.post('/:walletId/bitcoin/send', bitcoinCoinControlController.sendWithCoinControl);
+router.post('/:walletId/bitcoin/consolidate', bitcoinCoinControlController.consolidateUtxos);
+router.post('/:walletId/bitcoin/rbf', bitcoinCoinControlController.buildFeeBump);
+
+// ERC-20 tokens: token lists + custom + discovered
+router.get('/:walletId/tokens', customTokenController.getWalletTokens);
+router.get('/:walletId/tokens/custom', customTokenController.listCustomTokens);
+router.post('/:walletId/tokens/custom', customTokenController.addCustomToken);
+router.delete('/:walletId/tokens/custom/:tokenId', customTokenController.removeCustomToken);
+
+// ERC-20 approvals: allowances granted by the EOA and smart vault, revoke tx building
+router.get('/:walletId/approvals', approvalController.getApprovals);
+router.post('/:walletId/approvals/revoke', approvalController.buildRevoke);
+
+// Watch-only wallets (no key material)
+router.get('/:walletId/watch-only', watchOnlyWalletController.getWatchOnlySummary);
+
 export default router;
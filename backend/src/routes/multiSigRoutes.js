@@ -0,0 +1,28 @@
+import express from 'express';
+import multiSigController from '../controllers/multiSigController.js';
+import { requireClerkAuth } from '../middleware/clerkAuth.js';
+
+const router = express.Router();
+
+router.use(requireClerkAuth);
+
+// ── Wallet Lifecycle ──
+router.post('/create', multiSigController.createWallet);
+router.get('/user/:userId', multiSigController.listWallets);
+
+// ── Transactions ──
+router.post('/transaction/:transactionId/sign', multiSigController.signTransaction);
+router.post('/transaction/:transactionId/reject', multiSigController.rejectTransaction);
+router.post('/transaction/:transactionId/psbt', multiSigController.buildPsbt);
+router.get('/transaction/:transactionId/psbt', multiSigController.exportPsbt);
+router.post('/transaction/:transactionId/psbt/import', multiSigController.importPsbt);
+router.put('/transaction/:transactionId/execute', multiSigController.executeTransaction);
+
+// ── Wallet Detail ──
+router.get('/:walletId', multiSigController.getWallet);
+router.delete('/:walletId', multiSigController.deleteWallet);
+router.get('/:walletId/balance', multiSigController.getWalletBalance);
+router.get('/:walletId/transactions', multiSigController.listTransactions);
+router.post('/:walletId/transaction', multiSigController.proposeTransaction);
+
+export default router;
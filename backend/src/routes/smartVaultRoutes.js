@@ -14,12 +14,33 @@ router.post('/predict-address', smartVaultController.predictAddress);
 
 // ── UserOperation Flow ──
 router.post('/build-userop', smartVaultController.buildUserOp);
+router.post('/sponsor', smartVaultController.getSponsorship);
 router.post('/send', smartVaultController.sendUserOp);
 router.get('/receipt/:userOpHash', smartVaultController.getReceipt);
 
+// ── Session Keys ──
+router.post('/session-keys', smartVaultController.issueSessionKey);
+router.post('/session-keys/confirm', smartVaultController.confirmSessionKey);
+router.post('/session-keys/send', smartVaultController.sendWithSessionKey);
+router.get('/session-keys/:smartAccountId', smartVaultController.getSessionKeys);
+router.delete('/session-keys', smartVaultController.revokeSessionKey);
+
+// ── Spending Limits ──
+router.get('/spending-limits/:smartAccountId', smartVaultController.getSpendingLimits);
+router.post('/spending-limits', smartVaultController.setSpendingLimit);
+router.post('/spending-limits/apply', smartVaultController.applySpendingLimit);
+router.delete('/spending-limits', smartVaultController.cancelSpendingLimitChange);
+
 // ── Guardian Management ──
 router.post('/guardians', smartVaultController.addGuardian);
 router.delete('/guardians', smartVaultController.removeGuardian);
+router.post('/guardians/threshold', smartVaultController.setRecoveryThreshold);
+
+// ── Social Recovery ──
+router.get('/recovery/wallet/:walletId', smartVaultController.getWalletRecovery);
+router.get('/recovery/guarding', smartVaultController.getGuardedVaults);
+router.get('/recovery/:smartAccountId', smartVaultController.getRecoveryStatus);
+router.post('/recovery', smartVaultController.buildRecoveryTransaction);
 
 export default router;
 
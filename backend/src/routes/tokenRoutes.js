@@ -11,6 +11,14 @@ router.post('/balances/multiple', tokenController.getMultipleBalances);
 
 router.get('/balances/popular/:address', tokenController.getPopularTokenBalances);
 
+router.get('/balances/wallet/:address', tokenController.getWalletTokenBalances);
+
+router.get('/discover/:address', tokenController.discoverTokens);
+
+router.patch('/discover/:address/:tokenAddress', tokenController.setDiscoveredTokenHidden);
+
+router.get('/list', tokenController.getTokenList);
+
 router.get('/popular', tokenController.getPopularTokens);
 
 export default router;
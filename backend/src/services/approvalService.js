@@ -0,0 +1,304 @@
+import { ethers } from 'ethers';
+import prisma from '../lib/prisma.js';
+import ethereumService from './ethereumService.js';
+import tokenService from './tokenService.js';
+import tokenRegistry from './tokenRegistryService.js';
+import tokenDiscoveryService, { planRanges } from './tokenDiscoveryService.js';
+import logger from './loggerService.js';
+import { APPROVAL_SCAN, KNOWN_SPENDERS } from '../config/tokens.js';
+
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
+
+// ERC-20 Approval indexes owner and spender; ERC-721 also indexes the token id.
+const ERC20_APPROVAL_TOPICS = 3;
+
+// MaxUint256 and anything near it, plus the uint96 cap some governance tokens
+// (UNI, COMP) store when asked for an infinite approval.
+const UNLIMITED_THRESHOLD = 2n ** 96n - 1n;
+
+const erc20Interface = new ethers.Interface(['function approve(address spender, uint256 amount) returns (bool)']);
+const vaultInterface = new ethers.Interface([
+  'function executeBatch((address target, uint256 value, bytes data)[] calls)',
+]);
+
+export function getSpenderLabel(chainId, spender) {
+  return KNOWN_SPENDERS.all[spender] || KNOWN_SPENDERS[chainId]?.[spender] || null;
+}
+
+/**
+ * Finds the ERC-20 allowances an address has granted by scanning Approval
+ * logs, reads what is still approved on-chain and builds approve(spender, 0)
+ * transactions to revoke them.
+ */
+class ApprovalService {
+  constructor(config = APPROVAL_SCAN) {
+    this.config = config;
+  }
+
+  async scanLogs(provider, ownerAddress, range) {
+    const logs = await provider.getLogs({
+      fromBlock: range.from,
+      toBlock: range.to,
+      topics: [APPROVAL_TOPIC, ethers.zeroPadValue(ownerAddress, 32)],
+    });
+
+    const seen = {};
+    for (const log of logs) {
+      if (log.topics.length !== ERC20_APPROVAL_TOPICS) continue;
+      const tokenAddress = ethers.getAddress(log.address);
+      const spender = ethers.getAddress(ethers.dataSlice(log.topics[2], 12));
+      const key = `${tokenAddress}:${spender}`;
+      seen[key] = Math.max(seen[key] || 0, log.blockNumber);
+    }
+    return seen;
+  }
+
+  /**
+   * Scans the next batch of block ranges for Approval events from the owner and
+   * records every token/spender pair. Resumes where the last scan stopped, back
+   * to genesis unless a lookback is configured. Until the scan is complete,
+   * `incompleteFrom` is the newest block below which nothing was scanned yet.
+   */
+  async scanApprovals(ownerAddress, network = 'mainnet') {
+    try {
+      if (!ethers.isAddress(ownerAddress)) {
+        throw new Error('Invalid owner address');
+      }
+      const chainId = ethereumService.getChainId(network);
+      if (!chainId) {
+        throw new Error(`Unsupported network: ${network}`);
+      }
+
+      const owner = ethers.getAddress(ownerAddress);
+      const provider = ethereumService.getProvider(network);
+      const head = await provider.getBlockNumber();
+      const scan = await prisma.approvalScan.findUnique({
+        where: { ownerAddress_chainId: { ownerAddress: owner, chainId } },
+      });
+      const plan = planRanges(scan, head, this.config);
+
+      let { fromBlock, toBlock } = plan;
+      const seen = {};
+      let interrupted = null;
+      for (const range of plan.ranges) {
+        try {
+          const found = await this.scanLogs(provider, owner, range);
+          for (const [key, block] of Object.entries(found)) {
+            seen[key] = Math.max(seen[key] || 0, block);
+          }
+        } catch (error) {
+          interrupted = error.message;
+          logger.warn('Approval scan range failed', { chainId, ...range, error: error.message });
+          break;
+        }
+        if (range.from > toBlock) toBlock = range.to;
+        else fromBlock = range.from;
+      }
+
+      if (fromBlock <= toBlock) {
+        await prisma.approvalScan.upsert({
+          where: { ownerAddress_chainId: { ownerAddress: owner, chainId } },
+          update: { fromBlock, toBlock },
+          create: { ownerAddress: owner, chainId, fromBlock, toBlock },
+        });
+      }
+
+      await Promise.all(Object.entries(seen).map(async ([key, block]) => {
+        const [tokenAddress, spender] = key.split(':');
+        const where = { ownerAddress_chainId_tokenAddress_spender: { ownerAddress: owner, chainId, tokenAddress, spender } };
+        const existing = await prisma.tokenApproval.findUnique({ where });
+        return prisma.tokenApproval.upsert({
+          where,
+          update: { lastSeenBlock: Math.max(block, existing?.lastSeenBlock || 0) },
+          create: { ownerAddress: owner, chainId, tokenAddress, spender, lastSeenBlock: block },
+        });
+      }));
+
+      const scanned = fromBlock <= toBlock;
+      const complete = fromBlock <= plan.floor && toBlock >= head;
+      return {
+        success: true,
+        owner,
+        network,
+        chainId,
+        scannedFrom: scanned ? fromBlock : null,
+        scannedTo: scanned ? toBlock : null,
+        head,
+        complete,
+        incompleteFrom: complete ? null : (scanned ? fromBlock - 1 : head),
+        ...(interrupted && { interrupted }),
+        pairsFound: Object.keys(seen).length,
+      };
+    } catch (error) {
+      logger.error('Error scanning approvals', { ownerAddress, network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Current allowances for every pair seen in the owner's Approval logs.
+   * Revoked pairs (allowance 0) are left out. Each approval carries flags for
+   * unlimited amounts, spenders not in KNOWN_SPENDERS and spenders without code.
+   */
+  async getApprovals(ownerAddress, network = 'mainnet', { scan = true } = {}) {
+    try {
+      if (!ethers.isAddress(ownerAddress)) {
+        throw new Error('Invalid owner address');
+      }
+      const chainId = ethereumService.getChainId(network);
+      if (!chainId) {
+        throw new Error(`Unsupported network: ${network}`);
+      }
+      const owner = ethers.getAddress(ownerAddress);
+
+      let scanResult = null;
+      if (scan) {
+        scanResult = await this.scanApprovals(owner, network);
+      }
+
+      const rows = await prisma.tokenApproval.findMany({
+        where: { ownerAddress: owner, chainId },
+      });
+
+      const tokenAddresses = [...new Set(rows.map(row => row.tokenAddress))];
+      const unlisted = tokenAddresses.filter(address => !tokenRegistry.getToken(chainId, address));
+      const metadata = await tokenDiscoveryService.loadMetadata(chainId, unlisted, network);
+      const tokenInfo = (address) => tokenRegistry.getToken(chainId, address) || metadata[address] || {};
+
+      const provider = ethereumService.getProvider(network);
+      const spenders = [...new Set(rows.map(row => row.spender))];
+      const spenderCode = Object.fromEntries(await Promise.all(spenders.map(async (spender) => {
+        try {
+          return [spender, await provider.getCode(spender)];
+        } catch {
+          return [spender, null];
+        }
+      })));
+
+      const approvals = await Promise.all(rows.map(async (row) => {
+        const { name = null, symbol = null, decimals = null } = tokenInfo(row.tokenAddress);
+        const spenderLabel = getSpenderLabel(chainId, row.spender);
+        const base = {
+          tokenAddress: row.tokenAddress,
+          name,
+          symbol,
+          decimals,
+          verified: Boolean(tokenRegistry.getToken(chainId, row.tokenAddress)),
+          spender: row.spender,
+          spenderLabel,
+          lastSeenBlock: row.lastSeenBlock,
+        };
+        try {
+          const allowance = await tokenService.getTokenContract(row.tokenAddress, network).allowance(owner, row.spender);
+          if (allowance === 0n) return null;
+
+          const flags = {
+            unlimited: allowance >= UNLIMITED_THRESHOLD,
+            unknownSpender: !spenderLabel,
+            eoaSpender: spenderCode[row.spender] === '0x',
+          };
+          const risky = flags.unknownSpender || flags.eoaSpender;
+          return {
+            ...base,
+            allowanceRaw: allowance.toString(),
+            allowance: flags.unlimited ? 'unlimited' : (decimals !== null ? ethers.formatUnits(allowance, decimals) : allowance.toString()),
+            flags,
+            risk: flags.unlimited && risky ? 'high' : (flags.unlimited || risky ? 'medium' : 'low'),
+          };
+        } catch (error) {
+          return { ...base, error: error.message };
+        }
+      }));
+
+      const riskOrder = { high: 0, medium: 1, low: 2 };
+      const active = approvals.filter(Boolean).sort((a, b) => (riskOrder[a.risk] ?? 3) - (riskOrder[b.risk] ?? 3)
+        || (a.symbol || '').localeCompare(b.symbol || ''));
+
+      return {
+        success: true,
+        owner,
+        network,
+        chainId,
+        approvals: active,
+        ...(scanResult && {
+          scan: scanResult.success
+            ? {
+              complete: scanResult.complete,
+              scannedFrom: scanResult.scannedFrom,
+              scannedTo: scanResult.scannedTo,
+              incompleteFrom: scanResult.incompleteFrom,
+            }
+            : { error: scanResult.error },
+        }),
+      };
+    } catch (error) {
+      logger.error('Error getting token approvals', { ownerAddress, network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Unsigned approve(spender, 0) transactions. For an EOA owner that is one
+   * transaction per approval; for a smart vault the calls are wrapped in a
+   * single executeBatch, usable as a direct owner call or as UserOp callData.
+   */
+  buildRevokeTransactions(ownerAddress, approvals, { vaultAddress = null } = {}) {
+    try {
+      if (!ethers.isAddress(ownerAddress)) {
+        throw new Error('Invalid owner address');
+      }
+      if (!Array.isArray(approvals) || approvals.length === 0) {
+        throw new Error('Select at least one approval to revoke');
+      }
+
+      const calls = approvals.map(({ tokenAddress, spender }) => {
+        if (!ethers.isAddress(tokenAddress) || !ethers.isAddress(spender)) {
+          throw new Error('Each approval needs a tokenAddress and spender address');
+        }
+        return {
+          tokenAddress: ethers.getAddress(tokenAddress),
+          spender: ethers.getAddress(spender),
+          data: erc20Interface.encodeFunctionData('approve', [ethers.getAddress(spender), 0n]),
+        };
+      });
+
+      const owner = ethers.getAddress(ownerAddress);
+      if (vaultAddress && owner === ethers.getAddress(vaultAddress)) {
+        const callData = vaultInterface.encodeFunctionData('executeBatch', [
+          calls.map(call => ({ target: call.tokenAddress, value: 0n, data: call.data })),
+        ]);
+        return {
+          success: true,
+          mode: 'vault',
+          owner,
+          transactions: [{ to: owner, data: callData, value: '0' }],
+          callData,
+          revokes: calls.map(({ tokenAddress, spender }) => ({ tokenAddress, spender })),
+        };
+      }
+
+      return {
+        success: true,
+        mode: 'eoa',
+        owner,
+        transactions: calls.map(call => ({ to: call.tokenAddress, data: call.data, value: '0' })),
+        revokes: calls.map(({ tokenAddress, spender }) => ({ tokenAddress, spender })),
+      };
+    } catch (error) {
+      logger.error('Error building revoke transactions', { ownerAddress, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export { ApprovalService };
+export default new ApprovalService();
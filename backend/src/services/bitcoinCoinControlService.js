@@ -0,0 +1,415 @@
+import * as bitcoin from 'bitcoinjs-lib';
+import prisma from '../lib/prisma.js';
+import bitcoinService from './bitcoinService.js';
+import bitcoinTransactionService from './bitcoinTransactionService.js';
+import logger from './loggerService.js';
+
+// Outputs at or below this value are offered for consolidation by default.
+export const DEFAULT_CONSOLIDATION_THRESHOLD_SATS = 10000;
+
+const BITCOIN_SERVICE_NETWORKS = new Set(['mainnet', 'testnet', 'regtest']);
+const TX_HASH_RE = /^[0-9a-f]{64}$/i;
+const MAX_LABEL_LENGTH = 100;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normalizeNetwork(network) {
+  const value = String(network || 'mainnet').trim().toLowerCase();
+  if (!BITCOIN_SERVICE_NETWORKS.has(value)) {
+    throw createHttpError('network must be mainnet, testnet or regtest', 400);
+  }
+  return value;
+}
+
+function outpointKey(txHash, outputIndex) {
+  return `${String(txHash).toLowerCase()}:${Number(outputIndex)}`;
+}
+
+function normalizeOutpoint(outpoint) {
+  const txHash = String(outpoint?.txHash || '').trim().toLowerCase();
+  const outputIndex = Number(outpoint?.outputIndex);
+
+  if (!TX_HASH_RE.test(txHash) || !Number.isInteger(outputIndex) || outputIndex < 0) {
+    throw createHttpError('Each UTXO needs a 64-character txHash and a non-negative outputIndex', 400);
+  }
+  return { txHash, outputIndex };
+}
+
+function normalizeThreshold(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_CONSOLIDATION_THRESHOLD_SATS;
+  }
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold <= 0) {
+    throw createHttpError('threshold must be a positive number of satoshis', 400);
+  }
+  return threshold;
+}
+
+/**
+ * Wallet addresses are stored in mainnet form; re-encode the same script for test networks.
+ */
+function walletAddressForNetwork(wallet, network) {
+  try {
+    const script = bitcoin.address.toOutputScript(wallet.address, bitcoin.networks.bitcoin);
+    return bitcoin.address.fromOutputScript(script, bitcoinTransactionService.getNetwork(network));
+  } catch {
+    return wallet.address;
+  }
+}
+
+/**
+ * Resolve the BITCOIN row for a frontend wallet group. `walletId` may be the id
+ * of any row in the group (the frontend uses the first row's id).
+ */
+export async function findBitcoinWalletForUser(userId, walletId) {
+  const wallet = await prisma.wallet.findFirst({
+    where: { id: walletId, userId, isActive: true },
+  });
+  if (!wallet) {
+    throw createHttpError('Wallet not found', 404);
+  }
+  if (wallet.network === 'BITCOIN') {
+    return wallet;
+  }
+
+  const groupId = wallet.metadata?.groupId;
+  const btcWallet = groupId ? await prisma.wallet.findFirst({
+    where: {
+      userId,
+      network: 'BITCOIN',
+      isActive: true,
+      metadata: { path: ['groupId'], equals: groupId },
+    },
+  }) : null;
+  if (!btcWallet) {
+    throw createHttpError('Wallet has no Bitcoin address', 404);
+  }
+  return btcWallet;
+}
+
+async function loadWalletUtxos(wallet, network) {
+  const address = walletAddressForNetwork(wallet, network);
+  const [utxoResult, labels] = await Promise.all([
+    bitcoinService.getUTXOs(address, network),
+    prisma.bitcoinUtxoLabel.findMany({ where: { walletId: wallet.id } }),
+  ]);
+
+  if (!utxoResult.success) {
+    throw createHttpError(utxoResult.error || 'Failed to load UTXOs', 502);
+  }
+
+  const labelsByOutpoint = new Map(labels.map((entry) => [outpointKey(entry.txHash, entry.outputIndex), entry]));
+  const utxos = utxoResult.utxos.map((utxo) => {
+    const entry = labelsByOutpoint.get(outpointKey(utxo.txHash, utxo.outputIndex));
+    return {
+      txHash: utxo.txHash,
+      outputIndex: utxo.outputIndex,
+      value: utxo.value,
+      valueBTC: bitcoinTransactionService.toBtc(utxo.value),
+      confirmations: utxo.confirmations ?? 0,
+      label: entry?.label || null,
+      frozen: Boolean(entry?.frozen),
+    };
+  });
+
+  return { address, utxos, labelsByOutpoint };
+}
+
+function summarize(utxos, threshold) {
+  const sum = (list) => list.reduce((total, utxo) => total + utxo.value, 0);
+  const spendable = utxos.filter((utxo) => !utxo.frozen);
+  const frozen = utxos.filter((utxo) => utxo.frozen);
+
+  return {
+    count: utxos.length,
+    spendableValue: bitcoinTransactionService.toBtc(sum(spendable)),
+    frozenValue: bitcoinTransactionService.toBtc(sum(frozen)),
+    consolidationCandidates: spendable.filter((utxo) => utxo.value <= threshold).length,
+  };
+}
+
+export async function listBitcoinUtxosForUser(userId, walletId, { network, threshold } = {}) {
+  const btcNetwork = normalizeNetwork(network);
+  const consolidationThreshold = normalizeThreshold(threshold);
+  const wallet = await findBitcoinWalletForUser(userId, walletId);
+  const { address, utxos } = await loadWalletUtxos(wallet, btcNetwork);
+
+  return {
+    walletId: wallet.id,
+    address,
+    network: btcNetwork,
+    consolidationThreshold,
+    utxos: utxos
+      .map((utxo) => ({ ...utxo, consolidationCandidate: !utxo.frozen && utxo.value <= consolidationThreshold }))
+      .sort((a, b) => b.value - a.value),
+    summary: summarize(utxos, consolidationThreshold),
+  };
+}
+
+export async function updateBitcoinUtxoForUser(userId, walletId, outpoint, { label, frozen } = {}) {
+  const { txHash, outputIndex } = normalizeOutpoint(outpoint);
+
+  if (label === undefined && frozen === undefined) {
+    throw createHttpError('Provide a label or frozen flag to update', 400);
+  }
+  if (frozen !== undefined && typeof frozen !== 'boolean') {
+    throw createHttpError('frozen must be a boolean', 400);
+  }
+
+  const normalizedLabel = label === undefined ? undefined : (String(label || '').trim() || null);
+  if (normalizedLabel && normalizedLabel.length > MAX_LABEL_LENGTH) {
+    throw createHttpError(`label must be ${MAX_LABEL_LENGTH} characters or fewer`, 400);
+  }
+
+  const wallet = await findBitcoinWalletForUser(userId, walletId);
+  const changes = {
+    ...(normalizedLabel !== undefined && { label: normalizedLabel }),
+    ...(frozen !== undefined && { frozen }),
+  };
+
+  const entry = await prisma.bitcoinUtxoLabel.upsert({
+    where: { walletId_txHash_outputIndex: { walletId: wallet.id, txHash, outputIndex } },
+    update: changes,
+    create: { walletId: wallet.id, txHash, outputIndex, ...changes },
+  });
+
+  return {
+    txHash: entry.txHash,
+    outputIndex: entry.outputIndex,
+    label: entry.label || null,
+    frozen: entry.frozen,
+  };
+}
+
+/**
+ * `key` is `{ privateKey }` for backend-signed spends or `{ publicKey }` when
+ * the wallet signs the returned PSBT.
+ */
+function assertKeyMatchesWallet(key, wallet, address, network) {
+  if (wallet.type === 'WATCH_ONLY') {
+    throw createHttpError('Watch-only wallets cannot sign transactions', 409);
+  }
+  const addressType = wallet.metadata?.bitcoinAddressType || 'legacy';
+  let keyAddress;
+  try {
+    const keyPair = bitcoinTransactionService.spendingKey(key);
+    keyAddress = bitcoinTransactionService.paymentForKey(
+      keyPair,
+      addressType,
+      bitcoinTransactionService.getNetwork(network)
+    ).address;
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+
+  if (keyAddress !== address) {
+    throw createHttpError(`${key.privateKey ? 'privateKey' : 'publicKey'} does not match this wallet's Bitcoin address`, 400);
+  }
+  return addressType;
+}
+
+function pickRequestedUtxos(utxos, requested) {
+  const byOutpoint = new Map(utxos.map((utxo) => [outpointKey(utxo.txHash, utxo.outputIndex), utxo]));
+  const seen = new Set();
+
+  return requested.map((outpoint) => {
+    const { txHash, outputIndex } = normalizeOutpoint(outpoint);
+    const key = outpointKey(txHash, outputIndex);
+    const utxo = byOutpoint.get(key);
+
+    if (seen.has(key)) {
+      throw createHttpError(`UTXO ${key} was selected twice`, 400);
+    }
+    seen.add(key);
+    if (!utxo) {
+      throw createHttpError(`UTXO ${key} is not unspent at this wallet's address`, 400);
+    }
+    if (utxo.frozen) {
+      throw createHttpError(`UTXO ${key} is frozen`, 409);
+    }
+    return utxo;
+  });
+}
+
+async function broadcast(built, network) {
+  const { hex, ...summary } = built;
+  const result = await bitcoinService.sendTransaction(hex, network);
+  if (!result.success) {
+    throw createHttpError(result.error || 'Failed to broadcast Bitcoin transaction', 502);
+  }
+  return { network, txHash: result.txHash || built.txid, ...summary };
+}
+
+async function buildOrReject(params) {
+  try {
+    return await bitcoinTransactionService.buildTransaction(params);
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+}
+
+/**
+ * Send from the wallet's Bitcoin address honouring coin control: frozen UTXOs
+ * are never spent, and `utxos` (when given) are spent exactly as selected.
+ * Mixing differently labelled coins requires `allowMixedLabels`.
+ */
+export async function sendBitcoinWithCoinControl(userId, walletId, body = {}) {
+  const { privateKey, toAddress, amount, feeRate, feePriority, utxos: requested, allowMixedLabels = false } = body;
+
+  if (!privateKey || !toAddress || !amount) {
+    throw createHttpError('privateKey, toAddress and amount are required', 400);
+  }
+  if (requested !== undefined && (!Array.isArray(requested) || requested.length === 0)) {
+    throw createHttpError('utxos must be a non-empty array when provided', 400);
+  }
+
+  const network = normalizeNetwork(body.network);
+  const wallet = await findBitcoinWalletForUser(userId, walletId);
+  const { address, utxos } = await loadWalletUtxos(wallet, network);
+  const addressType = assertKeyMatchesWallet({ privateKey }, wallet, address, network);
+
+  const candidates = requested ? pickRequestedUtxos(utxos, requested) : utxos.filter((utxo) => !utxo.frozen);
+  if (candidates.length === 0) {
+    throw createHttpError('No unfrozen UTXOs available to spend', 400);
+  }
+
+  const built = await buildOrReject({
+    privateKey,
+    toAddress,
+    amount,
+    network,
+    addressType,
+    feeRate,
+    feePriority,
+    utxos: candidates,
+    spendAllUtxos: Boolean(requested),
+  });
+
+  const spent = new Set(built.outpoints.map(({ txHash, outputIndex }) => outpointKey(txHash, outputIndex)));
+  const labels = new Set(
+    candidates
+      .filter((utxo) => spent.has(outpointKey(utxo.txHash, utxo.outputIndex)))
+      .map((utxo) => utxo.label || '')
+  );
+  if (labels.size > 1 && !allowMixedLabels) {
+    throw createHttpError('This spend would mix UTXOs with different labels. Select coins manually or set allowMixedLabels.', 409);
+  }
+
+  return broadcast(built, network);
+}
+
+/**
+ * Merge small unfrozen UTXOs back into the wallet's own address. Defaults to
+ * every spendable output at or below the consolidation threshold.
+ */
+export async function consolidateBitcoinUtxosForUser(userId, walletId, body = {}) {
+  const { privateKey, feeRate, feePriority, utxos: requested } = body;
+
+  if (!privateKey) {
+    throw createHttpError('privateKey is required', 400);
+  }
+  if (requested !== undefined && !Array.isArray(requested)) {
+    throw createHttpError('utxos must be an array when provided', 400);
+  }
+
+  const network = normalizeNetwork(body.network);
+  const threshold = normalizeThreshold(body.threshold);
+  const wallet = await findBitcoinWalletForUser(userId, walletId);
+  const { address, utxos } = await loadWalletUtxos(wallet, network);
+  const addressType = assertKeyMatchesWallet({ privateKey }, wallet, address, network);
+
+  const candidates = requested
+    ? pickRequestedUtxos(utxos, requested)
+    : utxos.filter((utxo) => !utxo.frozen && utxo.value <= threshold);
+  if (candidates.length < 2) {
+    throw createHttpError('At least two unfrozen UTXOs are needed to consolidate', 400);
+  }
+
+  const built = await buildOrReject({
+    privateKey,
+    toAddress: address,
+    network,
+    addressType,
+    feeRate,
+    feePriority,
+    utxos: candidates,
+    sweep: true,
+  });
+  const result = await broadcast(built, network);
+
+  // Keep the source label on the merged output when every input shared one. The
+  // transaction is already broadcast, so a failed label write must not hide its txid.
+  const labels = new Set(candidates.map((utxo) => utxo.label || ''));
+  const [shared] = labels;
+  let label = null;
+  if (labels.size === 1 && shared) {
+    try {
+      await prisma.bitcoinUtxoLabel.create({
+        data: { walletId: wallet.id, txHash: result.txHash, outputIndex: 0, label: shared },
+      });
+      label = shared;
+    } catch (error) {
+      logger.error('Failed to label consolidated Bitcoin output', {
+        walletId: wallet.id,
+        txHash: result.txHash,
+        error: error.message,
+      });
+    }
+  }
+
+  return { ...result, label };
+}
+
+/**
+ * Build an RBF replacement of a pending send for the wallet to sign. When the
+ * old change cannot cover the higher fee, only unfrozen confirmed UTXOs are
+ * added, and adding them must not mix labels unless `allowMixedLabels` is set.
+ */
+export async function prepareBitcoinFeeBumpForUser(userId, walletId, body = {}) {
+  const { privateKey, publicKey, feeRate, feePriority, allowMixedLabels = false } = body;
+  const txHash = String(body.txHash || '').trim().toLowerCase();
+
+  if (privateKey) {
+    throw createHttpError('Private keys are not accepted; send the publicKey and sign the returned PSBT in the wallet', 400);
+  }
+  if (!publicKey || !TX_HASH_RE.test(txHash)) {
+    throw createHttpError('publicKey and a 64-character txHash are required', 400);
+  }
+
+  const network = normalizeNetwork(body.network);
+  const wallet = await findBitcoinWalletForUser(userId, walletId);
+  const { address, utxos, labelsByOutpoint } = await loadWalletUtxos(wallet, network);
+  assertKeyMatchesWallet({ publicKey }, wallet, address, network);
+
+  let built;
+  try {
+    built = await bitcoinTransactionService.buildReplacement({
+      publicKey,
+      txHash,
+      network,
+      feeRate,
+      feePriority,
+      utxos: utxos.filter((utxo) => !utxo.frozen),
+    });
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+  if (built.from !== address) {
+    throw createHttpError('Only transactions sent from this wallet\'s current Bitcoin address can be replaced', 400);
+  }
+
+  // The replaced inputs are already spent together; only coins added here can introduce a new mix.
+  const unspent = new Set(utxos.map((utxo) => outpointKey(utxo.txHash, utxo.outputIndex)));
+  const keys = built.outpoints.map(({ txHash: hash, outputIndex }) => outpointKey(hash, outputIndex));
+  const labels = new Set(keys.map((key) => labelsByOutpoint.get(key)?.label || ''));
+  if (keys.some((key) => unspent.has(key)) && labels.size > 1 && !allowMixedLabels) {
+    throw createHttpError('This fee bump would mix UTXOs with different labels. Set allowMixedLabels to continue.', 409);
+  }
+
+  return { network, ...built };
+}
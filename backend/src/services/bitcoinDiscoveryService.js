@@ -0,0 +1,100 @@
+import bitcoinService from './bitcoinService.js';
+
+// BIP-44 recommends stopping after 20 consecutive unused addresses.
+export const DEFAULT_GAP_LIMIT = 20;
+export const MAX_GAP_LIMIT = 100;
+// Balance lookups in flight per chain scan; each address type is scanned in parallel.
+export const DISCOVERY_CONCURRENCY = 5;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function normalizeGapLimit(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_GAP_LIMIT;
+  }
+  const gapLimit = Number(value);
+  if (!Number.isInteger(gapLimit) || gapLimit < 1 || gapLimit > MAX_GAP_LIMIT) {
+    throw createHttpError(`gapLimit must be an integer between 1 and ${MAX_GAP_LIMIT}`, 400);
+  }
+  return gapLimit;
+}
+
+export function toBtc(sats) {
+  return (sats / 100000000).toFixed(8);
+}
+
+/**
+ * Derive addresses on one chain until `gapLimit` consecutive addresses have no
+ * history. An address counts as used once it has a confirmed transaction or a
+ * pending balance change. Lookups run in batches no larger than the rest of
+ * the current gap, so the scan never queries past where it would stop.
+ */
+async function scanChain(deriveAddress, chain, { network, gapLimit, concurrency }) {
+  const used = [];
+  let nextUnused = null;
+  let unusedRun = 0;
+  let index = 0;
+
+  while (unusedRun < gapLimit) {
+    const batch = Array.from({ length: Math.min(gapLimit - unusedRun, concurrency) }, (_, offset) => {
+      const address = deriveAddress(chain, index + offset);
+      return { address, index: index + offset };
+    });
+    index += batch.length;
+
+    const results = await Promise.all(batch.map(({ address }) => bitcoinService.getBalance(address, network)));
+    batch.forEach(({ address, index: position }, offset) => {
+      const result = results[offset];
+      if (!result.success) {
+        throw createHttpError(result.error || 'Failed to scan Bitcoin addresses', 502);
+      }
+
+      const unconfirmed = result.balance.unconfirmed.satoshis || 0;
+      if (result.txCount > 0 || unconfirmed !== 0) {
+        used.push({
+          address,
+          chain,
+          index: position,
+          balance: result.balance.satoshis,
+          unconfirmed,
+          txCount: result.txCount,
+        });
+        nextUnused = null;
+        unusedRun = 0;
+      } else {
+        nextUnused = nextUnused || address;
+        unusedRun += 1;
+      }
+    });
+  }
+
+  return { used, nextUnused };
+}
+
+/**
+ * Scan an account's receive chain (0) and, when it has any history, its change
+ * chain (1). `deriveAddress(chain, index)` returns the address for that position.
+ * Balances are in satoshis.
+ */
+export async function scanAccount(deriveAddress, {
+  network = 'mainnet',
+  gapLimit = DEFAULT_GAP_LIMIT,
+  concurrency = DISCOVERY_CONCURRENCY,
+} = {}) {
+  const receive = await scanChain(deriveAddress, 0, { network, gapLimit, concurrency });
+  const change = receive.used.length > 0
+    ? await scanChain(deriveAddress, 1, { network, gapLimit, concurrency })
+    : { used: [] };
+  const addresses = [...receive.used, ...change.used];
+
+  return {
+    addresses,
+    nextReceiveAddress: receive.nextUnused,
+    balance: addresses.reduce((sum, entry) => sum + entry.balance, 0),
+    unconfirmed: addresses.reduce((sum, entry) => sum + entry.unconfirmed, 0),
+  };
+}
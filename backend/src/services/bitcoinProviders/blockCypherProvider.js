@@ -0,0 +1,128 @@
+import axios from 'axios';
+
+const NETWORK_NAMES = {
+  mainnet: 'main',
+  testnet: 'test3',
+};
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function normalizeTransaction(tx) {
+  return {
+    hash: tx.hash,
+    blockHeight: tx.block_height,
+    blockHash: tx.block_hash || null,
+    confirmed: toIso(tx.confirmed),
+    received: toIso(tx.received),
+    confirmations: tx.confirmations,
+    inputs: tx.inputs.map((input) => ({
+      address: input.addresses?.[0] || null,
+      value: input.output_value || 0,
+    })),
+    outputs: tx.outputs.map((output) => ({
+      address: output.addresses?.[0] || null,
+      value: output.value,
+    })),
+    total: tx.total,
+    fees: tx.fees,
+    size: tx.size,
+    vsize: tx.vsize || tx.size,
+    optInRbf: Boolean(tx.opt_in_rbf),
+    preference: tx.preference,
+  };
+}
+
+/**
+ * api.blockcypher.com REST backend. Mainnet and testnet3 only.
+ */
+export default class BlockCypherProvider {
+  constructor({ baseUrl, token = '', timeoutMs = 15000, http = axios } = {}) {
+    this.name = 'blockcypher';
+    this.baseUrl = baseUrl;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+    this.http = http;
+  }
+
+  supportsNetwork(network) {
+    return Boolean(NETWORK_NAMES[network]);
+  }
+
+  requestOptions(params = {}) {
+    return {
+      timeout: this.timeoutMs,
+      params: this.token ? { ...params, token: this.token } : params,
+    };
+  }
+
+  async get(network, path, params) {
+    const response = await this.http.get(`${this.baseUrl}/${NETWORK_NAMES[network]}${path}`, this.requestOptions(params));
+    return response.data;
+  }
+
+  async getAddressSummary(address, network) {
+    const data = await this.get(network, `/addrs/${address}/balance`);
+    return {
+      balance: data.balance,
+      unconfirmed: data.unconfirmed_balance,
+      totalReceived: data.total_received,
+      totalSent: data.total_sent,
+      txCount: data.n_tx,
+    };
+  }
+
+  async getAddressTransactions(address, network, limit) {
+    const data = await this.get(network, `/addrs/${address}/full`, { limit });
+    return data.txs.map(normalizeTransaction);
+  }
+
+  async getTransaction(txHash, network) {
+    return normalizeTransaction(await this.get(network, `/txs/${txHash}`));
+  }
+
+  async getRawTransaction(txHash, network) {
+    const data = await this.get(network, `/txs/${txHash}`, { includeHex: true });
+    return data.hex;
+  }
+
+  async getUtxos(address, network) {
+    const data = await this.get(network, `/addrs/${address}`, { unspentOnly: true });
+    return (data.txrefs || []).map((utxo) => ({
+      txHash: utxo.tx_hash,
+      outputIndex: utxo.tx_output_n,
+      value: utxo.value,
+      confirmations: utxo.confirmations,
+      scriptPubKey: utxo.script,
+    }));
+  }
+
+  async broadcastTransaction(hex, network) {
+    const response = await this.http.post(
+      `${this.baseUrl}/${NETWORK_NAMES[network]}/txs/push`,
+      { tx: hex },
+      this.requestOptions()
+    );
+    return response.data.tx.hash;
+  }
+
+  async getFeeRates(network) {
+    // BlockCypher quotes satoshis per 1024 bytes.
+    const data = await this.get(network, '');
+    return {
+      high: data.high_fee_per_kb / 1024,
+      medium: data.medium_fee_per_kb / 1024,
+      low: data.low_fee_per_kb / 1024,
+    };
+  }
+
+  async getTip(network) {
+    const data = await this.get(network, '');
+    return {
+      height: data.height,
+      hash: data.hash,
+      time: toIso(data.time),
+    };
+  }
+}
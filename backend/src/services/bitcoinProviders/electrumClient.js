@@ -0,0 +1,129 @@
+import net from 'net';
+import tls from 'tls';
+
+const PROTOCOL_VERSION = '1.4';
+
+/**
+ * Minimal Electrum protocol client: newline-delimited JSON-RPC over TCP or TLS.
+ * The connection is opened on first use, kept alive between requests and
+ * re-established after the server drops it.
+ */
+export default class ElectrumClient {
+  constructor({ host, port, tls: useTls = true, timeoutMs = 15000, clientName = 'walletrix' }) {
+    this.host = host;
+    this.port = port;
+    this.useTls = useTls;
+    this.timeoutMs = timeoutMs;
+    this.clientName = clientName;
+    this.socket = null;
+    this.connecting = null;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.buffer = '';
+  }
+
+  async request(method, params = []) {
+    await this.connect();
+    return this.send(method, params);
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.openSocket()
+        .then(() => this.send('server.version', [this.clientName, PROTOCOL_VERSION]))
+        .catch((error) => {
+          this.reset(error);
+          throw error;
+        });
+    }
+    return this.connecting;
+  }
+
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = this.useTls
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Electrum connection to ${this.host}:${this.port} timed out`));
+      }, this.timeoutMs);
+
+      socket.setEncoding('utf8');
+      socket.on('data', (chunk) => this.onData(chunk));
+      socket.on('close', () => this.reset(new Error('Electrum connection closed')));
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+        this.reset(error);
+      });
+      socket.once(this.useTls ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+
+      this.socket = socket;
+    });
+  }
+
+  send(method, params) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Electrum request ${method} timed out`));
+      }, this.timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    });
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    let newline = this.buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      newline = this.buffer.indexOf('\n');
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      // Subscription notifications carry no id and are not tracked.
+      const entry = this.pending.get(message.id);
+      if (!entry) continue;
+      clearTimeout(entry.timer);
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        entry.reject(new Error(message.error.message || JSON.stringify(message.error)));
+      } else {
+        entry.resolve(message.result);
+      }
+    }
+  }
+
+  reset(error) {
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+    this.pending.clear();
+    this.buffer = '';
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.connecting = null;
+  }
+
+  close() {
+    this.reset(new Error('Electrum client closed'));
+  }
+}
@@ -0,0 +1,196 @@
+import * as bitcoin from 'bitcoinjs-lib';
+import ElectrumClient from './electrumClient.js';
+import { addressFromScript, outputScriptFor, signalsRbf, sumValues } from './shared.js';
+
+// Confirmation targets (blocks) used for the high/medium/low fee tiers.
+const FEE_TARGETS = { high: 1, medium: 6, low: 144 };
+
+const OP_RETURN = 0x6a;
+
+// Electrum indexes outputs by the reversed SHA-256 of their scriptPubKey.
+function scriptHash(script) {
+  return Buffer.from(bitcoin.crypto.sha256(script)).reverse().toString('hex');
+}
+
+function parseHeader(hex) {
+  const header = Buffer.from(hex, 'hex');
+  return {
+    hash: Buffer.from(bitcoin.crypto.hash256(header)).reverse().toString('hex'),
+    time: new Date(header.readUInt32LE(68) * 1000).toISOString(),
+  };
+}
+
+function confirmationsAt(height, tipHeight) {
+  return height > 0 ? tipHeight - height + 1 : 0;
+}
+
+/**
+ * Electrum protocol backend (ElectrumX, Fulcrum or electrs). A network is
+ * available when it has a configured server. Electrum exposes no lifetime
+ * received/sent totals, so those are reported as null.
+ */
+export default class ElectrumProvider {
+  constructor({ servers = {}, timeoutMs = 15000, createClient } = {}) {
+    this.name = 'electrum';
+    this.servers = servers;
+    this.createClient = createClient || ((server) => new ElectrumClient({ ...server, timeoutMs }));
+    this.clients = {};
+  }
+
+  supportsNetwork(network) {
+    return Boolean(this.servers[network]);
+  }
+
+  request(network, method, params = []) {
+    if (!this.clients[network]) {
+      this.clients[network] = this.createClient(this.servers[network]);
+    }
+    return this.clients[network].request(method, params);
+  }
+
+  async getTipHeight(network) {
+    const tip = await this.request(network, 'blockchain.headers.subscribe');
+    return tip.height;
+  }
+
+  async getHistory(script, network) {
+    return this.request(network, 'blockchain.scripthash.get_history', [scriptHash(script)]);
+  }
+
+  /**
+   * Electrum returns bare transactions, so input values and addresses come
+   * from the previous outputs and the block data from the header at `height`.
+   */
+  async describeTransaction(network, hex, height, tipHeight) {
+    const tx = bitcoin.Transaction.fromHex(hex);
+    const coinbase = tx.isCoinbase();
+    const previous = new Map();
+
+    const inputs = coinbase
+      ? [{ address: null, value: 0 }]
+      : await Promise.all(tx.ins.map(async (input) => {
+        const prevHash = Buffer.from(input.hash).reverse().toString('hex');
+        if (!previous.has(prevHash)) {
+          previous.set(prevHash, this.request(network, 'blockchain.transaction.get', [prevHash])
+            .then((prevHex) => bitcoin.Transaction.fromHex(prevHex)));
+        }
+        const prevOut = (await previous.get(prevHash)).outs[input.index];
+        return { address: addressFromScript(prevOut.script, network), value: prevOut.value };
+      }));
+    const outputs = tx.outs.map((output) => ({
+      address: addressFromScript(output.script, network),
+      value: output.value,
+    }));
+
+    const block = height > 0
+      ? parseHeader(await this.request(network, 'blockchain.block.header', [height]))
+      : null;
+    const total = sumValues(outputs);
+
+    return {
+      hash: tx.getId(),
+      blockHeight: height > 0 ? height : -1,
+      blockHash: block?.hash || null,
+      confirmed: block?.time || null,
+      received: block?.time || new Date().toISOString(),
+      confirmations: confirmationsAt(height, tipHeight),
+      inputs,
+      outputs,
+      total,
+      fees: coinbase ? 0 : sumValues(inputs) - total,
+      size: tx.byteLength(),
+      vsize: tx.virtualSize(),
+      optInRbf: signalsRbf(tx.ins.map((input) => input.sequence)),
+    };
+  }
+
+  async getAddressSummary(address, network) {
+    const script = outputScriptFor(address, network);
+    const [balance, history] = await Promise.all([
+      this.request(network, 'blockchain.scripthash.get_balance', [scriptHash(script)]),
+      this.getHistory(script, network),
+    ]);
+    return {
+      balance: balance.confirmed,
+      unconfirmed: balance.unconfirmed,
+      totalReceived: null,
+      totalSent: null,
+      txCount: history.filter((entry) => entry.height > 0).length,
+    };
+  }
+
+  async getAddressTransactions(address, network, limit) {
+    const [history, tipHeight] = await Promise.all([
+      this.getHistory(outputScriptFor(address, network), network),
+      this.getTipHeight(network),
+    ]);
+
+    // History is oldest first with mempool entries last; show newest first.
+    const entries = [...history].reverse().slice(0, limit);
+    return Promise.all(entries.map(async (entry) => {
+      const hex = await this.request(network, 'blockchain.transaction.get', [entry.tx_hash]);
+      return this.describeTransaction(network, hex, entry.height, tipHeight);
+    }));
+  }
+
+  async getTransaction(txHash, network) {
+    const [hex, tipHeight] = await Promise.all([
+      this.request(network, 'blockchain.transaction.get', [txHash]),
+      this.getTipHeight(network),
+    ]);
+
+    // The confirmation height is only available through the history of one of its outputs.
+    let height = 0;
+    const scripts = bitcoin.Transaction.fromHex(hex).outs
+      .map((output) => output.script)
+      .filter((script) => script.length > 0 && script[0] !== OP_RETURN);
+    for (const script of scripts) {
+      const entry = (await this.getHistory(script, network)).find((item) => item.tx_hash === txHash);
+      if (entry) {
+        height = entry.height;
+        break;
+      }
+    }
+
+    return this.describeTransaction(network, hex, height, tipHeight);
+  }
+
+  async getRawTransaction(txHash, network) {
+    return this.request(network, 'blockchain.transaction.get', [txHash]);
+  }
+
+  async getUtxos(address, network) {
+    const script = outputScriptFor(address, network);
+    const [unspent, tipHeight] = await Promise.all([
+      this.request(network, 'blockchain.scripthash.listunspent', [scriptHash(script)]),
+      this.getTipHeight(network),
+    ]);
+
+    return unspent.map((utxo) => ({
+      txHash: utxo.tx_hash,
+      outputIndex: utxo.tx_pos,
+      value: utxo.value,
+      confirmations: confirmationsAt(utxo.height, tipHeight),
+      scriptPubKey: script.toString('hex'),
+    }));
+  }
+
+  async broadcastTransaction(hex, network) {
+    return this.request(network, 'blockchain.transaction.broadcast', [hex]);
+  }
+
+  async getFeeRates(network) {
+    // estimatefee answers in BTC/kB, or -1 when the server has no estimate.
+    const tiers = await Promise.all(Object.entries(FEE_TARGETS).map(async ([tier, target]) => {
+      const btcPerKb = await this.request(network, 'blockchain.estimatefee', [target]);
+      return [tier, btcPerKb > 0 ? btcPerKb * 100000 : 1];
+    }));
+    return Object.fromEntries(tiers);
+  }
+
+  async getTip(network) {
+    const tip = await this.request(network, 'blockchain.headers.subscribe');
+    const { hash, time } = parseHeader(tip.hex);
+    return { height: tip.height, hash, time };
+  }
+}
@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { outputScriptFor, signalsRbf, sumValues } from './shared.js';
+
+// Esplora pages confirmed address history 25 transactions at a time.
+const CHAIN_PAGE_SIZE = 25;
+
+// Confirmation targets (blocks) used for the high/medium/low fee tiers.
+const FEE_TARGETS = { high: '1', medium: '6', low: '144' };
+
+function normalizeTransaction(tx, tipHeight) {
+  const confirmed = Boolean(tx.status?.confirmed);
+  const blockTime = confirmed && tx.status.block_time
+    ? new Date(tx.status.block_time * 1000).toISOString()
+    : null;
+  const outputs = tx.vout.map((output) => ({
+    address: output.scriptpubkey_address || null,
+    value: output.value,
+  }));
+
+  return {
+    hash: tx.txid,
+    blockHeight: confirmed ? tx.status.block_height : -1,
+    blockHash: confirmed ? tx.status.block_hash : null,
+    confirmed: blockTime,
+    // Esplora does not record when a mempool transaction was first seen.
+    received: blockTime || new Date().toISOString(),
+    confirmations: confirmed ? Math.max(tipHeight - tx.status.block_height + 1, 1) : 0,
+    inputs: tx.vin.map((input) => ({
+      address: input.prevout?.scriptpubkey_address || null,
+      value: input.prevout?.value || 0,
+    })),
+    outputs,
+    total: sumValues(outputs),
+    fees: tx.fee || 0,
+    size: tx.size,
+    vsize: Math.ceil(tx.weight / 4),
+    optInRbf: signalsRbf(tx.vin.map((input) => input.sequence)),
+  };
+}
+
+/**
+ * Esplora REST backend (Blockstream, mempool.space or a self-hosted
+ * electrs/esplora instance). A network is available when it has a base URL.
+ */
+export default class EsploraProvider {
+  constructor({ urls = {}, timeoutMs = 15000, http = axios } = {}) {
+    this.name = 'esplora';
+    this.urls = urls;
+    this.timeoutMs = timeoutMs;
+    this.http = http;
+  }
+
+  supportsNetwork(network) {
+    return Boolean(this.urls[network]);
+  }
+
+  async get(network, path) {
+    const response = await this.http.get(`${this.urls[network].replace(/\/$/, '')}${path}`, { timeout: this.timeoutMs });
+    return response.data;
+  }
+
+  async getTipHeight(network) {
+    return Number(await this.get(network, '/blocks/tip/height'));
+  }
+
+  async getAddressSummary(address, network) {
+    const data = await this.get(network, `/address/${address}`);
+    const chain = data.chain_stats;
+    const mempool = data.mempool_stats;
+    return {
+      balance: chain.funded_txo_sum - chain.spent_txo_sum,
+      unconfirmed: mempool.funded_txo_sum - mempool.spent_txo_sum,
+      totalReceived: chain.funded_txo_sum + mempool.funded_txo_sum,
+      totalSent: chain.spent_txo_sum + mempool.spent_txo_sum,
+      txCount: chain.tx_count,
+    };
+  }
+
+  async getAddressTransactions(address, network, limit) {
+    const [firstPage, tipHeight] = await Promise.all([
+      this.get(network, `/address/${address}/txs`),
+      this.getTipHeight(network),
+    ]);
+
+    const txs = [...firstPage];
+    let chainPage = firstPage.filter((tx) => tx.status?.confirmed);
+    while (txs.length < limit && chainPage.length === CHAIN_PAGE_SIZE) {
+      const lastSeen = chainPage[chainPage.length - 1].txid;
+      chainPage = await this.get(network, `/address/${address}/txs/chain/${lastSeen}`);
+      txs.push(...chainPage);
+    }
+
+    return txs.slice(0, limit).map((tx) => normalizeTransaction(tx, tipHeight));
+  }
+
+  async getTransaction(txHash, network) {
+    const [tx, tipHeight] = await Promise.all([
+      this.get(network, `/tx/${txHash}`),
+      this.getTipHeight(network),
+    ]);
+    return normalizeTransaction(tx, tipHeight);
+  }
+
+  async getRawTransaction(txHash, network) {
+    return String(await this.get(network, `/tx/${txHash}/hex`)).trim();
+  }
+
+  async getUtxos(address, network) {
+    const [utxos, tipHeight] = await Promise.all([
+      this.get(network, `/address/${address}/utxo`),
+      this.getTipHeight(network),
+    ]);
+    const scriptPubKey = outputScriptFor(address, network).toString('hex');
+
+    return utxos.map((utxo) => ({
+      txHash: utxo.txid,
+      outputIndex: utxo.vout,
+      value: utxo.value,
+      confirmations: utxo.status?.confirmed ? tipHeight - utxo.status.block_height + 1 : 0,
+      scriptPubKey,
+    }));
+  }
+
+  async broadcastTransaction(hex, network) {
+    const response = await this.http.post(`${this.urls[network].replace(/\/$/, '')}/tx`, hex, {
+      timeout: this.timeoutMs,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+    return String(response.data).trim();
+  }
+
+  async getFeeRates(network) {
+    // Regtest and freshly started nodes return no estimates; fall back to the relay minimum.
+    const estimates = await this.get(network, '/fee-estimates');
+    return Object.fromEntries(
+      Object.entries(FEE_TARGETS).map(([tier, target]) => [tier, estimates[target] || 1])
+    );
+  }
+
+  async getTip(network) {
+    const [height, hash] = await Promise.all([
+      this.getTipHeight(network),
+      this.get(network, '/blocks/tip/hash'),
+    ]);
+    const block = await this.get(network, `/block/${String(hash).trim()}`);
+    return {
+      height,
+      hash: String(hash).trim(),
+      time: new Date(block.timestamp * 1000).toISOString(),
+    };
+  }
+}
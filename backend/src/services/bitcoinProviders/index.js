@@ -0,0 +1,23 @@
+import { bitcoinConfig } from '../../config/bitcoin.js';
+import BlockCypherProvider from './blockCypherProvider.js';
+import EsploraProvider from './esploraProvider.js';
+import ElectrumProvider from './electrumProvider.js';
+
+export { BITCOIN_NETWORKS } from './shared.js';
+export { BlockCypherProvider, EsploraProvider, ElectrumProvider };
+
+/**
+ * Build the configured providers in failover order.
+ */
+export function createBitcoinProviders(config = bitcoinConfig) {
+  return config.providers.map((name) => {
+    switch (name) {
+      case 'esplora':
+        return new EsploraProvider({ urls: config.esplora, timeoutMs: config.timeoutMs });
+      case 'electrum':
+        return new ElectrumProvider({ servers: config.electrum, timeoutMs: config.timeoutMs });
+      default:
+        return new BlockCypherProvider({ ...config.blockcypher, timeoutMs: config.timeoutMs });
+    }
+  });
+}
@@ -0,0 +1,46 @@
+/**
+ * Helpers shared by the Bitcoin data providers.
+ *
+ * Every provider implements the same interface and throws on failure; amounts
+ * are satoshis, times are ISO strings and fee rates are sat/vB:
+ *   name, supportsNetwork(network)
+ *   getAddressSummary(address, network)       -> { balance, unconfirmed, totalReceived, totalSent, txCount }
+ *   getAddressTransactions(address, network, limit) -> [transaction]
+ *   getTransaction(txHash, network)           -> transaction
+ *   getRawTransaction(txHash, network)        -> hex
+ *   getUtxos(address, network)                -> [{ txHash, outputIndex, value, confirmations, scriptPubKey }]
+ *   broadcastTransaction(hex, network)        -> txHash
+ *   getFeeRates(network)                      -> { high, medium, low }
+ *   getTip(network)                           -> { height, hash, time }
+ */
+
+import * as bitcoin from 'bitcoinjs-lib';
+
+export const BITCOIN_NETWORKS = {
+  mainnet: bitcoin.networks.bitcoin,
+  testnet: bitcoin.networks.testnet,
+  regtest: bitcoin.networks.regtest,
+};
+
+// BIP-125: any input sequence below 0xfffffffe signals replaceability.
+const RBF_SEQUENCE_LIMIT = 0xfffffffe;
+
+export function signalsRbf(sequences) {
+  return sequences.some((sequence) => sequence < RBF_SEQUENCE_LIMIT);
+}
+
+export function outputScriptFor(address, network) {
+  return bitcoin.address.toOutputScript(address, BITCOIN_NETWORKS[network]);
+}
+
+export function addressFromScript(script, network) {
+  try {
+    return bitcoin.address.fromOutputScript(script, BITCOIN_NETWORKS[network]);
+  } catch {
+    return null;
+  }
+}
+
+export function sumValues(entries) {
+  return entries.reduce((sum, entry) => sum + entry.value, 0);
+}
@@ -1,82 +1,117 @@
-import axios from 'axios';
 import logger from './loggerService.js';
+import { BITCOIN_NETWORKS, createBitcoinProviders } from './bitcoinProviders/index.js';
 
+function toBtc(sats) {
+  return (sats / 100000000).toFixed(8);
+}
+
+function describeError(error) {
+  const data = error.response?.data;
+  return data?.error || (typeof data === 'string' && data.trim()) || error.message;
+}
+
+function formatTransaction(tx) {
+  return {
+    hash: tx.hash,
+    blockHeight: tx.blockHeight,
+    confirmed: tx.confirmed,
+    received: tx.received,
+    confirmations: tx.confirmations,
+    inputs: tx.inputs.map(input => ({
+      address: input.address || 'Unknown',
+      value: toBtc(input.value),
+    })),
+    outputs: tx.outputs.map(output => ({
+      address: output.address || 'Unknown',
+      value: toBtc(output.value),
+    })),
+    total: toBtc(tx.total),
+    fees: toBtc(tx.fees),
+    size: tx.size,
+    vsize: tx.vsize,
+    optInRbf: tx.optInRbf,
+  };
+}
+
+/**
+ * Bitcoin chain data through the configured providers (BlockCypher, Esplora,
+ * Electrum). Each call goes to the first provider that serves the network and
+ * fails over to the next one on error.
+ */
 class BitcoinService {
-  constructor() {
-    this.networks = {
-      mainnet: 'main',
-      testnet: 'test3',
-    };
-    this.baseUrl = 'https://api.blockcypher.com/v1/btc';
+  constructor(providers = createBitcoinProviders()) {
+    this.providers = providers;
   }
 
-  async getBalance(address, network = 'mainnet') {
-    try {
-      const networkName = this.networks[network] || this.networks.mainnet;
-      const url = `${this.baseUrl}/${networkName}/addrs/${address}/balance`;
+  async withProvider(operation, network, call) {
+    const resolvedNetwork = BITCOIN_NETWORKS[network] ? network : 'mainnet';
+    const candidates = this.providers.filter(provider => provider.supportsNetwork(resolvedNetwork));
+    if (candidates.length === 0) {
+      throw new Error(`No Bitcoin data provider is configured for ${resolvedNetwork}`);
+    }
 
-      const response = await axios.get(url);
-      const data = response.data;
+    let lastError;
+    for (const provider of candidates) {
+      try {
+        return { provider: provider.name, data: await call(provider, resolvedNetwork) };
+      } catch (error) {
+        lastError = error;
+        if (provider !== candidates[candidates.length - 1]) {
+          logger.warn('Bitcoin provider failed, trying next', {
+            provider: provider.name,
+            operation,
+            network: resolvedNetwork,
+            error: error.message,
+          });
+        }
+      }
+    }
+    throw lastError;
+  }
 
-      const balanceBTC = data.balance / 100000000;
-      const unconfirmedBalanceBTC = data.unconfirmed_balance / 100000000;
+  async getBalance(address, network = 'mainnet') {
+    try {
+      const { provider, data } = await this.withProvider('getBalance', network,
+        (p, net) => p.getAddressSummary(address, net));
 
       return {
         success: true,
         address,
         network,
+        provider,
         balance: {
           satoshis: data.balance,
-          btc: balanceBTC.toFixed(8),
+          btc: toBtc(data.balance),
           unconfirmed: {
-            satoshis: data.unconfirmed_balance,
-            btc: unconfirmedBalanceBTC.toFixed(8),
+            satoshis: data.unconfirmed,
+            btc: toBtc(data.unconfirmed),
           },
         },
-        totalReceived: (data.total_received / 100000000).toFixed(8),
-        totalSent: (data.total_sent / 100000000).toFixed(8),
-        txCount: data.n_tx,
+        totalReceived: data.totalReceived === null ? null : toBtc(data.totalReceived),
+        totalSent: data.totalSent === null ? null : toBtc(data.totalSent),
+        txCount: data.txCount,
       };
     } catch (error) {
       logger.error('Error getting Bitcoin balance', { address, network, error: error.message });
       return {
         success: false,
-        error: error.response?.data?.error || error.message,
+        error: describeError(error),
       };
     }
   }
 
   async getTransactionHistory(address, network = 'mainnet', limit = 50) {
     try {
-      const networkName = this.networks[network] || this.networks.mainnet;
-      const url = `${this.baseUrl}/${networkName}/addrs/${address}/full?limit=${limit}`;
-
-      const response = await axios.get(url);
-      const data = response.data;
-
-      const transactions = data.txs.map(tx => ({
-        hash: tx.hash,
-        blockHeight: tx.block_height,
-        confirmed: tx.confirmed ? new Date(tx.confirmed).toISOString() : null,
-        received: new Date(tx.received).toISOString(),
-        confirmations: tx.confirmations,
-        inputs: tx.inputs.map(input => ({
-          address: input.addresses?.[0] || 'Unknown',
-          value: (input.output_value / 100000000).toFixed(8),
-        })),
-        outputs: tx.outputs.map(output => ({
-          address: output.addresses?.[0] || 'Unknown',
-          value: (output.value / 100000000).toFixed(8),
-        })),
-        total: (tx.total / 100000000).toFixed(8),
-        fees: (tx.fees / 100000000).toFixed(8),
-        size: tx.size,
-      }));
+      const { provider, data } = await this.withProvider('getTransactionHistory', network,
+        (p, net) => p.getAddressTransactions(address, net, limit));
+
+      const transactions = data.map(formatTransaction);
 
       return {
         success: true,
         address,
         network,
+        provider,
         transactions,
         count: transactions.length,
       };
@@ -84,39 +119,22 @@ class BitcoinService {
       logger.error('Error getting Bitcoin transaction history', { address, network, error: error.message });
       return {
         success: false,
-        error: error.response?.data?.error || error.message,
+        error: describeError(error),
       };
     }
   }
 
   async getTransaction(txHash, network = 'mainnet') {
     try {
-      const networkName = this.networks[network] || this.networks.mainnet;
-      const url = `${this.baseUrl}/${networkName}/txs/${txHash}`;
-
-      const response = await axios.get(url);
-      const tx = response.data;
+      const { provider, data: tx } = await this.withProvider('getTransaction', network,
+        (p, net) => p.getTransaction(txHash, net));
 
       return {
         success: true,
+        provider,
         transaction: {
-          hash: tx.hash,
-          blockHeight: tx.block_height,
-          blockHash: tx.block_hash,
-          confirmed: tx.confirmed ? new Date(tx.confirmed).toISOString() : null,
-          received: new Date(tx.received).toISOString(),
-          confirmations: tx.confirmations,
-          inputs: tx.inputs.map(input => ({
-            address: input.addresses?.[0] || 'Unknown',
-            value: (input.output_value / 100000000).toFixed(8),
-          })),
-          outputs: tx.outputs.map(output => ({
-            address: output.addresses?.[0] || 'Unknown',
-            value: (output.value / 100000000).toFixed(8),
-          })),
-          total: (tx.total / 100000000).toFixed(8),
-          fees: (tx.fees / 100000000).toFixed(8),
-          size: tx.size,
+          ...formatTransaction(tx),
+          blockHash: tx.blockHash,
           preference: tx.preference,
         },
       };
@@ -124,122 +142,133 @@ class BitcoinService {
       logger.error('Error getting Bitcoin transaction', { txHash, network, error: error.message });
       return {
         success: false,
-        error: error.response?.data?.error || error.message,
+        error: describeError(error),
       };
     }
   }
 
-  async getUTXOs(address, network = 'mainnet') {
+  async getRawTransaction(txHash, network = 'mainnet') {
     try {
-      const networkName = this.networks[network] || this.networks.mainnet;
-      const url = `${this.baseUrl}/${networkName}/addrs/${address}?unspentOnly=true`;
+      const { provider, data: hex } = await this.withProvider('getRawTransaction', network,
+        (p, net) => p.getRawTransaction(txHash, net));
 
-      const response = await axios.get(url);
-      const data = response.data;
+      return {
+        success: true,
+        provider,
+        txHash,
+        hex,
+      };
+    } catch (error) {
+      logger.error('Error getting raw Bitcoin transaction', { txHash, network, error: error.message });
+      return {
+        success: false,
+        error: describeError(error),
+      };
+    }
+  }
+
+  async getUTXOs(address, network = 'mainnet') {
+    try {
+      const { provider, data } = await this.withProvider('getUTXOs', network,
+        (p, net) => p.getUtxos(address, net));
 
-      const utxos = data.txrefs?.map(utxo => ({
-        txHash: utxo.tx_hash,
-        outputIndex: utxo.tx_output_n,
-        value: utxo.value,
-        valueBTC: (utxo.value / 100000000).toFixed(8),
-        confirmations: utxo.confirmations,
-        scriptPubKey: utxo.script,
-      })) || [];
+      const utxos = data.map(utxo => ({
+        ...utxo,
+        valueBTC: toBtc(utxo.value),
+      }));
+      const totalValue = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
 
       return {
         success: true,
         address,
         network,
+        provider,
         utxos,
         count: utxos.length,
-        totalValue: utxos.reduce((sum, utxo) => sum + utxo.value, 0),
-        totalValueBTC: (utxos.reduce((sum, utxo) => sum + utxo.value, 0) / 100000000).toFixed(8),
+        totalValue,
+        totalValueBTC: toBtc(totalValue),
       };
     } catch (error) {
       logger.error('Error getting Bitcoin UTXOs', { address, network, error: error.message });
       return {
         success: false,
-        error: error.response?.data?.error || error.message,
+        error: describeError(error),
       };
     }
   }
 
   async sendTransaction(signedTxHex, network = 'mainnet') {
     try {
-      const networkName = this.networks[network] || this.networks.mainnet;
-      const url = `${this.baseUrl}/${networkName}/txs/push`;
-
-      const response = await axios.post(url, {
-        tx: signedTxHex,
-      });
+      const { provider, data: txHash } = await this.withProvider('sendTransaction', network,
+        (p, net) => p.broadcastTransaction(signedTxHex, net));
 
       return {
         success: true,
-        txHash: response.data.tx.hash,
+        provider,
+        txHash,
         message: 'Transaction broadcast successfully',
       };
     } catch (error) {
       logger.error('Error broadcasting Bitcoin transaction', { network, error: error.message });
       return {
         success: false,
-        error: error.response?.data?.error || error.message,
+        error: describeError(error),
       };
     }
   }
 
   async getFeeEstimate(network = 'mainnet') {
     try {
-      const networkName = this.networks[network] || this.networks.mainnet;
-      const url = `${this.baseUrl}/${networkName}`;
-
-      const response = await axios.get(url);
-      const data = response.data;
+      const { provider, data: rates } = await this.withProvider('getFeeEstimate', network,
+        (p, net) => p.getFeeRates(net));
 
+      // `fees` keeps the historical satoshis-per-1024-bytes unit.
       return {
         success: true,
         network,
+        provider,
         fees: {
-          high: data.high_fee_per_kb,
-          medium: data.medium_fee_per_kb,
-          low: data.low_fee_per_kb,
+          high: Math.round(rates.high * 1024),
+          medium: Math.round(rates.medium * 1024),
+          low: Math.round(rates.low * 1024),
         },
         feesPerByte: {
-          high: Math.ceil(data.high_fee_per_kb / 1024),
-          medium: Math.ceil(data.medium_fee_per_kb / 1024),
-          low: Math.ceil(data.low_fee_per_kb / 1024),
+          high: Math.ceil(rates.high),
+          medium: Math.ceil(rates.medium),
+          low: Math.ceil(rates.low),
         },
       };
     } catch (error) {
       logger.error('Error getting Bitcoin fee estimate', { network, error: error.message });
       return {
         success: false,
-        error: error.response?.data?.error || error.message,
+        error: describeError(error),
       };
     }
   }
 
   async getBlockHeight(network = 'mainnet') {
     try {
-      const networkName = this.networks[network] || this.networks.mainnet;
-      const url = `${this.baseUrl}/${networkName}`;
-
-      const response = await axios.get(url);
+      const { provider, data: tip } = await this.withProvider('getBlockHeight', network,
+        (p, net) => p.getTip(net));
 
       return {
         success: true,
         network,
-        blockHeight: response.data.height,
-        lastBlockHash: response.data.hash,
-        lastBlockTime: new Date(response.data.time).toISOString(),
+        provider,
+        blockHeight: tip.height,
+        lastBlockHash: tip.hash,
+        lastBlockTime: tip.time,
       };
     } catch (error) {
       logger.error('Error getting Bitcoin block height', { network, error: error.message });
       return {
         success: false,
-        error: error.response?.data?.error || error.message,
+        error: describeError(error),
       };
     }
   }
 }
 
+export { BitcoinService };
 export default new BitcoinService();
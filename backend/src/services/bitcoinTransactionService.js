@@ -0,0 +1,687 @@
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import { ethers } from 'ethers';
+import bitcoinService from './bitcoinService.js';
+import { BITCOIN_NETWORKS } from './bitcoinProviders/index.js';
+import logger from './loggerService.js';
+
+bitcoin.initEccLib(ecc);
+
+const DUST_THRESHOLD_SATS = 546;
+
+// Approximate vbytes per input/output for single-key spends, keyed by wallet address type.
+const INPUT_VBYTES = { legacy: 148, segwit: 68, taproot: 58 };
+const OUTPUT_VBYTES = 34;
+const TX_OVERHEAD_VBYTES = 10;
+
+// BIP-125: any input sequence below 0xfffffffe opts the transaction into replace-by-fee.
+const RBF_SEQUENCE = 0xfffffffd;
+// Minimum relay fee increment a replacement must add on top of the fee it replaces.
+const INCREMENTAL_RELAY_FEE_RATE = 1;
+
+class BitcoinTransactionService {
+
+  getNetwork(network = 'mainnet') {
+    return BITCOIN_NETWORKS[network] || bitcoin.networks.testnet;
+  }
+
+  toSatoshis(amount) {
+    const value = String(amount ?? '').trim();
+    if (!/^\d+(\.\d{1,8})?$/.test(value)) {
+      throw new Error('Amount must be a positive BTC value with at most 8 decimal places');
+    }
+    const sats = Number(ethers.parseUnits(value, 8));
+    if (sats <= 0) {
+      throw new Error('Amount must be greater than zero');
+    }
+    return sats;
+  }
+
+  toBtc(sats) {
+    return ethers.formatUnits(sats, 8);
+  }
+
+  estimateVsize(inputCount, outputCount, inputType = 'legacy') {
+    return TX_OVERHEAD_VBYTES + inputCount * INPUT_VBYTES[inputType] + outputCount * OUTPUT_VBYTES;
+  }
+
+  /**
+   * Largest-first accumulation. `estimateFee(inputCount, outputCount)` returns sats.
+   * Assumes a change output; if the leftover is dust it is folded into the fee.
+   */
+  selectUtxos(utxos, targetSats, estimateFee) {
+    const sorted = [...utxos].sort((a, b) => b.value - a.value);
+    const selected = [];
+    let total = 0;
+
+    for (const utxo of sorted) {
+      selected.push(utxo);
+      total += utxo.value;
+
+      const fee = estimateFee(selected.length, 2);
+      if (total >= targetSats + fee) {
+        const change = total - targetSats - fee;
+        if (change >= DUST_THRESHOLD_SATS) {
+          return { selected, total, fee, change };
+        }
+        return { selected, total, fee: fee + change, change: 0 };
+      }
+    }
+
+    throw new Error('Insufficient funds to cover amount and fee');
+  }
+
+  /**
+   * Manual coin control: spend exactly the given UTXOs, returning any
+   * non-dust remainder as change.
+   */
+  spendUtxos(utxos, targetSats, estimateFee) {
+    const total = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+    const fee = estimateFee(utxos.length, 2);
+    const change = total - targetSats - fee;
+
+    if (change < 0) {
+      throw new Error('Selected UTXOs do not cover amount and fee');
+    }
+    if (change < DUST_THRESHOLD_SATS) {
+      return { selected: [...utxos], total, fee: fee + change, change: 0 };
+    }
+    return { selected: [...utxos], total, fee, change };
+  }
+
+  /**
+   * Spend every given UTXO to a single output (consolidation / sweep).
+   */
+  sweepUtxos(utxos, estimateFee) {
+    const total = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+    const fee = estimateFee(utxos.length, 1);
+    const amount = total - fee;
+
+    if (amount < DUST_THRESHOLD_SATS) {
+      throw new Error('UTXOs are too small to cover the fee');
+    }
+    return { selected: [...utxos], total, fee, change: 0, amount };
+  }
+
+  keyPairFromPrivateKey(privateKey) {
+    const key = Buffer.from(String(privateKey || '').replace(/^0x/, ''), 'hex');
+    if (key.length !== 32 || !ecc.isPrivate(key)) {
+      throw new Error('Invalid Bitcoin private key');
+    }
+    return {
+      privateKey: key,
+      publicKey: Buffer.from(ecc.pointFromScalar(key, true)),
+      sign: (hash) => Buffer.from(ecc.sign(hash, key)),
+    };
+  }
+
+  keyFromPublicKey(publicKey) {
+    const key = Buffer.from(String(publicKey || '').replace(/^0x/, ''), 'hex');
+    if (key.length !== 33 || !ecc.isPoint(key)) {
+      throw new Error('Invalid Bitcoin public key');
+    }
+    return { publicKey: key };
+  }
+
+  /**
+   * The key a build spends from: a signing key pair, or only the compressed
+   * public key when the wallet signs the returned PSBT itself.
+   */
+  spendingKey({ privateKey, publicKey }) {
+    return privateKey ? this.keyPairFromPrivateKey(privateKey) : this.keyFromPublicKey(publicKey);
+  }
+
+  /**
+   * BIP-86 key-path signer: the internal key is tweaked with its own
+   * TapTweak hash so it matches the output key in the P2TR address.
+   */
+  taprootSigner(keyPair) {
+    const internalPubkey = keyPair.publicKey.subarray(1, 33);
+    const privateKey = keyPair.publicKey[0] === 3
+      ? Buffer.from(ecc.privateNegate(keyPair.privateKey))
+      : keyPair.privateKey;
+    const tweaked = Buffer.from(ecc.privateAdd(privateKey, bitcoin.crypto.taggedHash('TapTweak', internalPubkey)));
+
+    return {
+      publicKey: Buffer.from(ecc.pointFromScalar(tweaked, true)),
+      signSchnorr: (hash) => Buffer.from(ecc.signSchnorr(hash, tweaked)),
+    };
+  }
+
+  paymentForKey(keyPair, addressType, network) {
+    if (addressType === 'segwit') {
+      return bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network });
+    }
+    if (addressType === 'taproot') {
+      return bitcoin.payments.p2tr({ internalPubkey: keyPair.publicKey.subarray(1, 33), network });
+    }
+    if (addressType === 'legacy') {
+      return bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey, network });
+    }
+    throw new Error(`Unsupported Bitcoin address type: ${addressType}`);
+  }
+
+  async resolveFeeRate(network, feeRate, feePriority = 'medium') {
+    if (feeRate !== undefined && feeRate !== null) {
+      const rate = Number(feeRate);
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error('feeRate must be a positive number of sat/vB');
+      }
+      return rate;
+    }
+
+    const estimate = await bitcoinService.getFeeEstimate(network);
+    if (!estimate.success) {
+      throw new Error(estimate.error || 'Failed to estimate Bitcoin fee');
+    }
+    return estimate.feesPerByte[feePriority] || estimate.feesPerByte.medium;
+  }
+
+  /**
+   * Build a spend for a key derived by walletService, signed when `privateKey`
+   * is given and otherwise returned as a PSBT for the wallet to sign from
+   * `publicKey`. `addressType` (legacy, segwit or taproot) selects the sending
+   * address; change returns to it.
+   *
+   * Coin control: `utxos` restricts the candidate set (otherwise every UTXO of
+   * the address is fetched), `spendAllUtxos` spends exactly those candidates and
+   * `sweep` sends their full value minus fee to `toAddress`, ignoring `amount`.
+   */
+  async buildTransaction({
+    privateKey,
+    publicKey,
+    toAddress,
+    amount,
+    network = 'mainnet',
+    addressType = 'legacy',
+    feeRate,
+    feePriority,
+    utxos,
+    spendAllUtxos = false,
+    sweep = false,
+  }) {
+    const btcNetwork = this.getNetwork(network);
+    const keyPair = this.spendingKey({ privateKey, publicKey });
+    const payment = this.paymentForKey(keyPair, addressType, btcNetwork);
+    const fromAddress = payment.address;
+
+    try {
+      bitcoin.address.toOutputScript(toAddress, btcNetwork);
+    } catch {
+      throw new Error(`Invalid Bitcoin ${network} recipient address`);
+    }
+
+    let amountSats = sweep ? null : this.toSatoshis(amount);
+    const rate = await this.resolveFeeRate(network, feeRate, feePriority);
+
+    let candidates = utxos;
+    if (!candidates) {
+      const utxoResult = await bitcoinService.getUTXOs(fromAddress, network);
+      if (!utxoResult.success) {
+        throw new Error(utxoResult.error || 'Failed to load UTXOs');
+      }
+      candidates = utxoResult.utxos;
+    }
+    if (candidates.length === 0) {
+      throw new Error('No spendable UTXOs');
+    }
+
+    const estimateFee = (inputCount, outputCount) =>
+      Math.ceil(rate * this.estimateVsize(inputCount, outputCount, addressType));
+
+    let plan;
+    if (sweep) {
+      plan = this.sweepUtxos(candidates, estimateFee);
+      amountSats = plan.amount;
+    } else if (spendAllUtxos) {
+      plan = this.spendUtxos(candidates, amountSats, estimateFee);
+    } else {
+      plan = this.selectUtxos(candidates, amountSats, estimateFee);
+    }
+    const { selected, fee, change } = plan;
+
+    const psbt = new bitcoin.Psbt({ network: btcNetwork });
+    for (const utxo of selected) {
+      await this.addWalletInput(psbt, utxo, payment, addressType, network);
+    }
+
+    psbt.addOutput({ address: toAddress, value: amountSats });
+    if (change > 0) {
+      psbt.addOutput({ address: fromAddress, value: change });
+    }
+
+    return {
+      ...this.completeTransaction(psbt, keyPair, addressType),
+      addressType,
+      from: fromAddress,
+      to: toAddress,
+      amount: this.toBtc(amountSats),
+      fee: this.toBtc(fee),
+      feeRate: rate,
+      change: this.toBtc(change),
+      inputs: selected.length,
+      outpoints: selected.map(({ txHash, outputIndex }) => ({ txHash, outputIndex })),
+      rbf: true,
+    };
+  }
+
+  /**
+   * Add an input spending one of the wallet's own outputs. Every input signals
+   * BIP-125 so the spend can later be fee-bumped. `rawHex` skips the lookup of
+   * the previous transaction for legacy inputs when the caller already has it.
+   */
+  async addWalletInput(psbt, utxo, payment, addressType, network, rawHex) {
+    const input = { hash: utxo.txHash, index: utxo.outputIndex, sequence: RBF_SEQUENCE };
+
+    if (addressType === 'legacy') {
+      let hex = rawHex;
+      if (!hex) {
+        const raw = await bitcoinService.getRawTransaction(utxo.txHash, network);
+        if (!raw.success) {
+          throw new Error(raw.error || `Failed to load previous transaction ${utxo.txHash}`);
+        }
+        hex = raw.hex;
+      }
+      input.nonWitnessUtxo = Buffer.from(hex, 'hex');
+    } else {
+      input.witnessUtxo = { script: payment.output, value: utxo.value };
+    }
+
+    if (addressType === 'taproot') {
+      input.tapInternalKey = payment.internalPubkey;
+    }
+
+    psbt.addInput(input);
+  }
+
+  signAndExtract(psbt, keyPair, addressType) {
+    psbt.signAllInputs(addressType === 'taproot' ? this.taprootSigner(keyPair) : keyPair);
+    psbt.finalizeAllInputs();
+    return psbt.extractTransaction();
+  }
+
+  /**
+   * Signed transaction when the key can sign, otherwise the PSBT with its
+   * estimated size for the wallet to sign.
+   */
+  completeTransaction(psbt, keyPair, addressType) {
+    if (!keyPair.privateKey) {
+      return {
+        psbt: psbt.toBase64(),
+        vsize: this.estimateVsize(psbt.inputCount, psbt.txOutputs.length, addressType),
+      };
+    }
+    const transaction = this.signAndExtract(psbt, keyPair, addressType);
+    return { hex: transaction.toHex(), txid: transaction.getId(), vsize: transaction.virtualSize() };
+  }
+
+  /**
+   * Find which of the key's address types owns `script`, or null.
+   */
+  addressTypeForScript(keyPair, script, btcNetwork) {
+    return Object.keys(INPUT_VBYTES).find(
+      (type) => this.paymentForKey(keyPair, type, btcNetwork).output.equals(script)
+    ) || null;
+  }
+
+  async loadRawTransaction(txHash, network) {
+    const raw = await bitcoinService.getRawTransaction(txHash, network);
+    if (!raw.success) {
+      throw new Error(raw.error || `Failed to load transaction ${txHash}`);
+    }
+    return { hex: raw.hex, transaction: bitcoin.Transaction.fromHex(raw.hex) };
+  }
+
+  async loadUnconfirmedTransaction(txHash, network) {
+    const status = await bitcoinService.getTransaction(txHash, network);
+    if (!status.success) {
+      throw new Error(status.error || `Failed to load transaction ${txHash}`);
+    }
+    if (status.transaction.confirmations > 0) {
+      throw new Error('Transaction is already confirmed');
+    }
+
+    const { hex, transaction } = await this.loadRawTransaction(txHash, network);
+    return { status: status.transaction, hex, transaction };
+  }
+
+  /**
+   * Resolve every input of `transaction` to its previous output so fees can be
+   * computed exactly (and, for RBF, the inputs re-signed).
+   */
+  async loadPrevouts(transaction, network) {
+    const cache = new Map();
+    const prevouts = [];
+
+    for (const input of transaction.ins) {
+      const txHash = Buffer.from(input.hash).reverse().toString('hex');
+      if (!cache.has(txHash)) {
+        cache.set(txHash, await this.loadRawTransaction(txHash, network));
+      }
+      const parent = cache.get(txHash);
+      const output = parent.transaction.outs[input.index];
+      prevouts.push({ txHash, outputIndex: input.index, value: output.value, script: output.script, hex: parent.hex });
+    }
+
+    return prevouts;
+  }
+
+  isReplaceable(transaction) {
+    return transaction.ins.some((input) => input.sequence < 0xfffffffe);
+  }
+
+  /**
+   * Fee and fee-bump options for a transaction touching `address`:
+   * whether it can be replaced (RBF) and which outputs a child can spend (CPFP).
+   */
+  async getFeeBumpOptions(txHash, address, network = 'mainnet') {
+    try {
+      const btcNetwork = this.getNetwork(network);
+      const ownScript = bitcoin.address.toOutputScript(address, btcNetwork);
+
+      const status = await bitcoinService.getTransaction(txHash, network);
+      if (!status.success) {
+        return status;
+      }
+      const confirmed = status.transaction.confirmations > 0;
+      const { transaction } = await this.loadRawTransaction(txHash, network);
+      const prevouts = await this.loadPrevouts(transaction, network);
+
+      const inputTotal = prevouts.reduce((sum, prevout) => sum + prevout.value, 0);
+      const outputTotal = transaction.outs.reduce((sum, output) => sum + output.value, 0);
+      const fee = inputTotal - outputTotal;
+      const vsize = transaction.virtualSize();
+      const targets = await bitcoinService.getFeeEstimate(network);
+      const ownsAllInputs = prevouts.every((prevout) => prevout.script.equals(ownScript));
+
+      return {
+        success: true,
+        network,
+        txHash,
+        confirmed,
+        fee: this.toBtc(fee),
+        vsize,
+        feeRate: Number((fee / vsize).toFixed(2)),
+        canReplace: !confirmed && ownsAllInputs && this.isReplaceable(transaction),
+        cpfpOutputs: confirmed ? [] : transaction.outs
+          .map((output, outputIndex) => ({ outputIndex, value: output.value, script: output.script }))
+          .filter(({ script, value }) => script.equals(ownScript) && value > DUST_THRESHOLD_SATS)
+          .map(({ outputIndex, value }) => ({ outputIndex, value: this.toBtc(value) })),
+        targets: targets.success ? targets.feesPerByte : null,
+      };
+    } catch (error) {
+      logger.error('Error loading Bitcoin fee bump options', { txHash, network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Replace an unconfirmed, BIP-125 signalling transaction with one paying a
+   * higher fee rate. Recipient outputs are kept; the fee comes out of change,
+   * and confirmed UTXOs from `utxos` (the caller's spendable coins) are added
+   * only when change cannot cover it.
+   */
+  async buildReplacement({
+    privateKey,
+    publicKey,
+    txHash,
+    network = 'mainnet',
+    feeRate,
+    feePriority = 'high',
+    utxos = [],
+  }) {
+    const btcNetwork = this.getNetwork(network);
+    const keyPair = this.spendingKey({ privateKey, publicKey });
+    const { transaction } = await this.loadUnconfirmedTransaction(txHash, network);
+
+    if (!this.isReplaceable(transaction)) {
+      throw new Error('Transaction does not signal replace-by-fee (BIP-125); use CPFP instead');
+    }
+
+    const prevouts = await this.loadPrevouts(transaction, network);
+    const addressType = this.addressTypeForScript(keyPair, prevouts[0].script, btcNetwork);
+    const payment = addressType && this.paymentForKey(keyPair, addressType, btcNetwork);
+    if (!payment || prevouts.some((prevout) => !prevout.script.equals(payment.output))) {
+      throw new Error('Only transactions spending from this key\'s address can be replaced');
+    }
+
+    const inputTotal = prevouts.reduce((sum, prevout) => sum + prevout.value, 0);
+    const outputTotal = transaction.outs.reduce((sum, output) => sum + output.value, 0);
+    const previousFee = inputTotal - outputTotal;
+    const previousVsize = transaction.virtualSize();
+    const previousRate = previousFee / previousVsize;
+
+    const rate = await this.resolveFeeRate(network, feeRate, feePriority);
+    if (rate <= previousRate) {
+      throw new Error(`Fee rate must be higher than the current ${previousRate.toFixed(2)} sat/vB`);
+    }
+
+    // Outputs back to the sender are change and absorb the higher fee; the rest are kept as-is.
+    const payments = transaction.outs.filter((output) => !output.script.equals(payment.output));
+    const paymentTotal = payments.reduce((sum, output) => sum + output.value, 0);
+
+    const requiredFee = (inputCount, outputCount) => {
+      const vsize = this.estimateVsize(inputCount, outputCount, addressType);
+      return Math.max(Math.ceil(rate * vsize), previousFee + Math.ceil(INCREMENTAL_RELAY_FEE_RATE * vsize));
+    };
+
+    // BIP-125 forbids new unconfirmed inputs, so only confirmed UTXOs may top up the fee.
+    const spent = new Set(prevouts.map((prevout) => `${prevout.txHash}:${prevout.outputIndex}`));
+    const extras = utxos
+      .filter((utxo) => utxo.confirmations > 0 && utxo.txHash !== txHash)
+      .filter((utxo) => !spent.has(`${utxo.txHash}:${utxo.outputIndex}`))
+      .sort((a, b) => b.value - a.value);
+    const inputs = [...prevouts];
+    let plan = null;
+
+    while (!plan) {
+      const total = inputs.reduce((sum, input) => sum + input.value, 0);
+      const withChange = total - paymentTotal - requiredFee(inputs.length, payments.length + 1);
+      const withoutChangeFee = requiredFee(inputs.length, payments.length);
+
+      if (withChange >= DUST_THRESHOLD_SATS) {
+        plan = { change: withChange, fee: total - paymentTotal - withChange };
+      } else if (payments.length > 0 && total - paymentTotal >= withoutChangeFee) {
+        plan = { change: 0, fee: total - paymentTotal };
+      } else {
+        const next = extras.shift();
+        if (!next) {
+          throw new Error('Insufficient funds to bump the fee');
+        }
+        inputs.push({ txHash: next.txHash, outputIndex: next.outputIndex, value: next.value });
+      }
+    }
+
+    const psbt = new bitcoin.Psbt({ network: btcNetwork });
+    for (const input of inputs) {
+      await this.addWalletInput(psbt, input, payment, addressType, network, input.hex);
+    }
+    payments.forEach((output) => psbt.addOutput({ script: output.script, value: output.value }));
+    if (plan.change > 0) {
+      psbt.addOutput({ address: payment.address, value: plan.change });
+    }
+
+    return {
+      ...this.completeTransaction(psbt, keyPair, addressType),
+      replaces: txHash,
+      addressType,
+      from: payment.address,
+      fee: this.toBtc(plan.fee),
+      feeRate: rate,
+      previousFee: this.toBtc(previousFee),
+      previousFeeRate: Number(previousRate.toFixed(2)),
+      change: this.toBtc(plan.change),
+      inputs: inputs.length,
+      outpoints: inputs.map(({ txHash: hash, outputIndex }) => ({ txHash: hash, outputIndex })),
+    };
+  }
+
+  /**
+   * Child-pays-for-parent: spend one of the parent's outputs to this key's
+   * address with a fee that lifts the parent + child package to the target rate.
+   */
+  async buildChildPaysForParent({
+    privateKey,
+    publicKey,
+    txHash,
+    outputIndex,
+    network = 'mainnet',
+    feeRate,
+    feePriority = 'high',
+  }) {
+    const btcNetwork = this.getNetwork(network);
+    const keyPair = this.spendingKey({ privateKey, publicKey });
+    const { hex: parentHex, transaction: parent } = await this.loadUnconfirmedTransaction(txHash, network);
+
+    const ownedOutputs = parent.outs
+      .map((output, index) => ({
+        index,
+        value: output.value,
+        addressType: this.addressTypeForScript(keyPair, output.script, btcNetwork),
+      }))
+      .filter((output) => output.addressType);
+
+    const output = outputIndex === undefined || outputIndex === null
+      ? ownedOutputs.sort((a, b) => b.value - a.value)[0]
+      : ownedOutputs.find((entry) => entry.index === Number(outputIndex));
+    if (!output) {
+      throw new Error('Transaction has no output to this key\'s address to spend');
+    }
+
+    const prevouts = await this.loadPrevouts(parent, network);
+    const parentFee = prevouts.reduce((sum, prevout) => sum + prevout.value, 0)
+      - parent.outs.reduce((sum, entry) => sum + entry.value, 0);
+    const parentVsize = parent.virtualSize();
+    const parentRate = parentFee / parentVsize;
+
+    const rate = await this.resolveFeeRate(network, feeRate, feePriority);
+    if (rate <= parentRate) {
+      throw new Error(`Parent already pays ${parentRate.toFixed(2)} sat/vB; choose a higher fee rate`);
+    }
+
+    const { addressType } = output;
+    const payment = this.paymentForKey(keyPair, addressType, btcNetwork);
+    const childVsize = this.estimateVsize(1, 1, addressType);
+    const fee = Math.max(
+      Math.ceil(rate * (parentVsize + childVsize)) - parentFee,
+      Math.ceil(INCREMENTAL_RELAY_FEE_RATE * childVsize)
+    );
+    const value = output.value - fee;
+    if (value < DUST_THRESHOLD_SATS) {
+      throw new Error('Output is too small to pay for the child transaction fee');
+    }
+
+    const psbt = new bitcoin.Psbt({ network: btcNetwork });
+    await this.addWalletInput(
+      psbt,
+      { txHash, outputIndex: output.index, value: output.value },
+      payment,
+      addressType,
+      network,
+      parentHex
+    );
+    psbt.addOutput({ address: payment.address, value });
+
+    const child = this.completeTransaction(psbt, keyPair, addressType);
+    const packageVsize = parentVsize + child.vsize;
+
+    return {
+      ...child,
+      parentTxHash: txHash,
+      addressType,
+      from: payment.address,
+      spentOutputIndex: output.index,
+      fee: this.toBtc(fee),
+      feeRate: rate,
+      parentFeeRate: Number(parentRate.toFixed(2)),
+      effectiveFeeRate: Number(((parentFee + fee) / packageVsize).toFixed(2)),
+    };
+  }
+
+  async broadcastBuilt(build, params, action) {
+    try {
+      const network = params.network || 'mainnet';
+      const built = await build({ ...params, network });
+      const result = await bitcoinService.sendTransaction(built.hex, network);
+
+      if (!result.success) {
+        return result;
+      }
+
+      const { hex, ...summary } = built;
+      return {
+        success: true,
+        network,
+        txHash: result.txHash || built.txid,
+        ...summary,
+      };
+    } catch (error) {
+      logger.error(`Error ${action}`, { network: params.network, txHash: params.txHash, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async bumpFee(params) {
+    return this.broadcastBuilt((p) => this.buildReplacement(p), params, 'replacing Bitcoin transaction');
+  }
+
+  async childPaysForParent(params) {
+    return this.broadcastBuilt((p) => this.buildChildPaysForParent(p), params, 'sending Bitcoin CPFP transaction');
+  }
+
+  async sendBitcoin(params) {
+    return this.broadcastBuilt((p) => this.buildTransaction(p), params, 'sending Bitcoin transaction');
+  }
+
+  /**
+   * Build from the wallet's public key only; the wallet signs the returned
+   * PSBT and submits the transaction through broadcastSigned.
+   */
+  async buildUnsigned(build, params, action) {
+    try {
+      const network = params.network || 'mainnet';
+      const built = await build({ ...params, privateKey: undefined, network });
+      return { success: true, network, ...built };
+    } catch (error) {
+      logger.error(`Error ${action}`, { network: params.network, txHash: params.txHash, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async prepareSend(params) {
+    return this.buildUnsigned((p) => this.buildTransaction(p), params, 'building Bitcoin transaction');
+  }
+
+  async prepareChildPaysForParent(params) {
+    return this.buildUnsigned((p) => this.buildChildPaysForParent(p), params, 'building Bitcoin CPFP transaction');
+  }
+
+  /**
+   * Broadcast a transaction the wallet signed from a prepared PSBT.
+   */
+  async broadcastSigned({ transaction, network = 'mainnet' }) {
+    let decoded;
+    try {
+      decoded = bitcoin.Transaction.fromHex(String(transaction || ''));
+    } catch {
+      return { success: false, error: 'transaction must be a hex-encoded Bitcoin transaction' };
+    }
+
+    const result = await bitcoinService.sendTransaction(decoded.toHex(), network);
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, network, txHash: result.txHash || decoded.getId() };
+  }
+}
+
+export default new BitcoinTransactionService();
@@ -25,7 +25,7 @@ class BundlerService {
     async sendUserOp(signedUserOp, smartAccountId, chainId) {
         try {
             const bundlerUrl = this._getBundlerUrl(chainId);
-            const entryPointAddress = this._getEntryPointAddress();
+            const entryPointAddress = this.getEntryPointAddress();
 
             const response = await fetch(bundlerUrl, {
                 method: 'POST',
@@ -126,7 +126,7 @@ class BundlerService {
     async estimateGas(userOp, chainId) {
         try {
             const bundlerUrl = this._getBundlerUrl(chainId);
-            const entryPointAddress = this._getEntryPointAddress();
+            const entryPointAddress = this.getEntryPointAddress();
 
             const response = await fetch(bundlerUrl, {
                 method: 'POST',
@@ -152,6 +152,11 @@ class BundlerService {
         }
     }
 
+    getEntryPointAddress() {
+        // ERC-4337 v0.7 canonical EntryPoint
+        return process.env.ENTRYPOINT_ADDRESS || '0x0000000071727De22E5E9d8BAf0edAc6f37da032';
+    }
+
     // ─── Private Helpers ───────────────────────────────
 
     _getBundlerUrl(chainId) {
@@ -166,11 +171,6 @@ class BundlerService {
         if (!url) throw new Error(`No bundler RPC configured for chainId ${chainId}`);
         return url;
     }
-
-    _getEntryPointAddress() {
-        // ERC-4337 v0.7 canonical EntryPoint
-        return process.env.ENTRYPOINT_ADDRESS || '0x0000000071727De22E5E9d8BAf0edAc6f37da032';
-    }
 }
 
 export default new BundlerService();
@@ -0,0 +1,158 @@
+import { ethers } from 'ethers';
+import prisma from '../lib/prisma.js';
+import ethereumService from './ethereumService.js';
+import tokenService from './tokenService.js';
+import tokenRegistry, { validateToken } from './tokenRegistryService.js';
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normalizeChainId(value) {
+  const chainId = Number(value);
+  if (!Number.isInteger(chainId) || !ethereumService.getNetworkByChainId(chainId)) {
+    throw createHttpError(`chainId must be one of ${Object.values(ethereumService.networkConfigs).map(config => config.chainId).join(', ')}`, 400);
+  }
+  return chainId;
+}
+
+function serializeCustomToken(row) {
+  return {
+    id: row.id,
+    chainId: row.chainId,
+    address: row.address,
+    symbol: row.symbol,
+    name: row.name,
+    decimals: row.decimals,
+    logoURI: row.logoURI || null,
+    createdAt: row.createdAt,
+  };
+}
+
+/**
+ * Resolve the ETHEREUM row for a frontend wallet group. Custom tokens hang off
+ * that row because every EVM chain shares its address.
+ */
+export async function findEvmWalletForUser(userId, walletId) {
+  const wallet = await prisma.wallet.findFirst({
+    where: { id: walletId, userId, isActive: true },
+  });
+  if (!wallet) {
+    throw createHttpError('Wallet not found', 404);
+  }
+  if (wallet.network === 'ETHEREUM') {
+    return wallet;
+  }
+
+  const groupId = wallet.metadata?.groupId;
+  const evmWallet = groupId ? await prisma.wallet.findFirst({
+    where: {
+      userId,
+      network: 'ETHEREUM',
+      isActive: true,
+      metadata: { path: ['groupId'], equals: groupId },
+    },
+  }) : null;
+  if (!evmWallet) {
+    throw createHttpError('Wallet has no Ethereum address', 404);
+  }
+  return evmWallet;
+}
+
+export async function listCustomTokensForUser(userId, walletId, { chainId } = {}) {
+  const wallet = await findEvmWalletForUser(userId, walletId);
+  const rows = await prisma.customToken.findMany({
+    where: { walletId: wallet.id, ...(chainId !== undefined && { chainId: normalizeChainId(chainId) }) },
+    orderBy: { createdAt: 'asc' },
+  });
+  return { walletId: wallet.id, address: wallet.address, tokens: rows.map(serializeCustomToken) };
+}
+
+/**
+ * Add a token by contract address. Missing name, symbol or decimals are read
+ * from the contract. Tokens already in a token list, or reusing a listed or
+ * native symbol, are rejected so symbol lookups never have two answers.
+ */
+export async function addCustomTokenForUser(userId, walletId, input = {}) {
+  const wallet = await findEvmWalletForUser(userId, walletId);
+  const chainId = normalizeChainId(input.chainId);
+  if (!ethers.isAddress(input.address)) {
+    throw createHttpError('address must be a token contract address', 400);
+  }
+  const address = ethers.getAddress(input.address);
+
+  const listed = tokenRegistry.getToken(chainId, address);
+  if (listed) {
+    throw createHttpError(`${listed.symbol} is already in the ${listed.lists[0]} token list`, 409);
+  }
+
+  let { name, symbol, decimals } = input;
+  if (!name || !symbol || decimals === undefined || decimals === null || decimals === '') {
+    const info = await tokenService.getTokenInfo(address, ethereumService.getNetworkByChainId(chainId));
+    if (!info.success) {
+      throw createHttpError('Could not read token details from the contract; enter name, symbol and decimals', 400);
+    }
+    name = name || info.token.name;
+    symbol = symbol || info.token.symbol;
+    decimals = decimals ?? info.token.decimals;
+  }
+
+  const token = {
+    chainId,
+    address,
+    name: String(name).trim(),
+    symbol: String(symbol).trim(),
+    decimals: Number(decimals),
+    ...(input.logoURI && { logoURI: input.logoURI }),
+  };
+  const errors = validateToken(token);
+  if (errors.length > 0) {
+    throw createHttpError(errors[0], 400);
+  }
+
+  if (tokenRegistry.isNative(token.symbol, chainId)) {
+    throw createHttpError(`${token.symbol} is the native currency on chain ${chainId}`, 409);
+  }
+  const sameSymbol = tokenRegistry.getTokens(chainId).find(entry => entry.symbol.toUpperCase() === token.symbol.toUpperCase());
+  if (sameSymbol) {
+    throw createHttpError(`${token.symbol} on chain ${chainId} is already listed at ${sameSymbol.address}`, 409);
+  }
+
+  const existing = await prisma.customToken.findFirst({
+    where: { walletId: wallet.id, chainId, address },
+  });
+  if (existing) {
+    throw createHttpError('Token already added to this wallet', 409);
+  }
+
+  const row = await prisma.customToken.create({
+    data: { walletId: wallet.id, ...token },
+  });
+  return serializeCustomToken(row);
+}
+
+export async function removeCustomTokenForUser(userId, walletId, tokenId) {
+  const wallet = await findEvmWalletForUser(userId, walletId);
+  const row = await prisma.customToken.findFirst({
+    where: { id: tokenId, walletId: wallet.id },
+  });
+  if (!row) {
+    throw createHttpError('Custom token not found', 404);
+  }
+
+  await prisma.customToken.delete({ where: { id: row.id } });
+  return serializeCustomToken(row);
+}
+
+/**
+ * Custom tokens on one chain across all of a user's active wallets, for flows
+ * such as the Telegram bot that act for the user rather than a single wallet.
+ */
+export async function getCustomTokensForUserChain(userId, chainId) {
+  return prisma.customToken.findMany({
+    where: { chainId, wallet: { userId, isActive: true } },
+    orderBy: { createdAt: 'asc' },
+  });
+}
@@ -2,6 +2,25 @@ import { ethers } from 'ethers';
 import axios from 'axios';
 import logger from './loggerService.js';
 
+const NETWORK_ALIASES = {
+  'ethereum-mainnet': 'mainnet',
+  'ethereum-sepolia': 'sepolia',
+  'ethereum-goerli': 'goerli',
+  'ethereum-holesky': 'holesky',
+  'polygon-mainnet': 'polygon-mainnet',
+  'polygon-mumbai': 'polygon-mumbai',
+  'arbitrum-one': 'arbitrum-one',
+  'arbitrum-goerli': 'arbitrum-goerli',
+  'optimism-mainnet': 'optimism-mainnet',
+  'optimism-goerli': 'optimism-goerli',
+  'bsc-mainnet': 'bsc-mainnet',
+  'bsc-testnet': 'bsc-testnet',
+  'avalanche-mainnet': 'avalanche-mainnet',
+  'avalanche-fuji': 'avalanche-fuji',
+  'base-mainnet': 'base-mainnet',
+  'base-goerli': 'base-goerli',
+};
+
 class EthereumService {
   constructor() {
     this.providers = {
@@ -14,14 +33,16 @@ class EthereumService {
       'base-mainnet': null,
     };
 
+    // blockTime is the target block interval in seconds; minPriorityFee (gwei) is the
+    // lowest tip the network's validators accept, where one is enforced.
     this.networkConfigs = {
-      mainnet: { rpc: process.env.ETHEREUM_MAINNET_RPC || 'https://ethereum.publicnode.com', chainId: 1 },
-      sepolia: { rpc: process.env.ETHEREUM_SEPOLIA_RPC || 'https://ethereum-sepolia.publicnode.com', chainId: 11155111 },
-      'polygon-mainnet': { rpc: process.env.POLYGON_MAINNET_RPC || 'https://polygon-rpc.com', chainId: 137 },
-      'polygon-mumbai': { rpc: process.env.POLYGON_MUMBAI_RPC || 'https://rpc-mumbai.maticvigil.com', chainId: 80001 },
-      'arbitrum-one': { rpc: process.env.ARBITRUM_ONE_RPC || 'https://arb1.arbitrum.io/rpc', chainId: 42161 },
-      'optimism-mainnet': { rpc: process.env.OPTIMISM_MAINNET_RPC || 'https://mainnet.optimism.io', chainId: 10 },
-      'base-mainnet': { rpc: process.env.BASE_MAINNET_RPC || 'https://mainnet.base.org', chainId: 8453 },
+      mainnet: { rpc: process.env.ETHEREUM_MAINNET_RPC || 'https://ethereum.publicnode.com', chainId: 1, blockTime: 12 },
+      sepolia: { rpc: process.env.ETHEREUM_SEPOLIA_RPC || 'https://ethereum-sepolia.publicnode.com', chainId: 11155111, blockTime: 12 },
+      'polygon-mainnet': { rpc: process.env.POLYGON_MAINNET_RPC || 'https://polygon-rpc.com', chainId: 137, blockTime: 2, minPriorityFee: '30' },
+      'polygon-mumbai': { rpc: process.env.POLYGON_MUMBAI_RPC || 'https://rpc-mumbai.maticvigil.com', chainId: 80001, blockTime: 2, minPriorityFee: '30' },
+      'arbitrum-one': { rpc: process.env.ARBITRUM_ONE_RPC || 'https://arb1.arbitrum.io/rpc', chainId: 42161, blockTime: 0.25 },
+      'optimism-mainnet': { rpc: process.env.OPTIMISM_MAINNET_RPC || 'https://mainnet.optimism.io', chainId: 10, blockTime: 2 },
+      'base-mainnet': { rpc: process.env.BASE_MAINNET_RPC || 'https://mainnet.base.org', chainId: 8453, blockTime: 2 },
     };
 
     this._initialized = false;
@@ -43,29 +64,22 @@ class EthereumService {
     }
   }
 
+  resolveNetwork(network = 'mainnet') {
+    return NETWORK_ALIASES[network] || network;
+  }
+
+  getChainId(network = 'mainnet') {
+    return this.networkConfigs[this.resolveNetwork(network)]?.chainId || null;
+  }
+
+  getNetworkByChainId(chainId) {
+    return Object.keys(this.networkConfigs).find(network => this.networkConfigs[network].chainId === Number(chainId)) || null;
+  }
+
   getProvider(network = 'mainnet') {
     this.initializeProviders();
 
-    const networkMap = {
-      'ethereum-mainnet': 'mainnet',
-      'ethereum-sepolia': 'sepolia',
-      'ethereum-goerli': 'goerli',
-      'ethereum-holesky': 'holesky',
-      'polygon-mainnet': 'polygon-mainnet',
-      'polygon-mumbai': 'polygon-mumbai',
-      'arbitrum-one': 'arbitrum-one',
-      'arbitrum-goerli': 'arbitrum-goerli',
-      'optimism-mainnet': 'optimism-mainnet',
-      'optimism-goerli': 'optimism-goerli',
-      'bsc-mainnet': 'bsc-mainnet',
-      'bsc-testnet': 'bsc-testnet',
-      'avalanche-mainnet': 'avalanche-mainnet',
-      'avalanche-fuji': 'avalanche-fuji',
-      'base-mainnet': 'base-mainnet',
-      'base-goerli': 'base-goerli',
-    };
-
-    const mappedNetwork = networkMap[network] || network;
+    const mappedNetwork = this.resolveNetwork(network);
     const provider = this.providers[mappedNetwork];
 
     if (!provider) {
@@ -0,0 +1,129 @@
+import { ethers } from 'ethers';
+import ethereumService from './ethereumService.js';
+import logger from './loggerService.js';
+
+const FEE_HISTORY_BLOCKS = 20;
+
+// Each tier tips at a percentile of recent priority fees and caps maxFeePerGas at
+// the next base fee plus headroom: base fee rises at most 12.5% per full block,
+// so 1.25x covers about two full blocks in a row and 2x about six.
+const FEE_TIERS = {
+  slow: { rewardPercentile: 10, baseFeeHeadroom: 1.25 },
+  normal: { rewardPercentile: 30, baseFeeHeadroom: 1.5 },
+  fast: { rewardPercentile: 60, baseFeeHeadroom: 2 },
+};
+
+const TRANSFER_GAS = 21000n;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted.length === 0 ? 0n : sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+function ceilMul(value, factor) {
+  // Integer math on wei: factor is applied in thousandths.
+  const scaled = BigInt(Math.round(factor * 1000));
+  return (value * scaled + 999n) / 1000n;
+}
+
+const gwei = (wei) => ethers.formatUnits(wei, 'gwei');
+
+/**
+ * EIP-1559 fee suggestions from eth_feeHistory: the next block's base fee and
+ * slow/normal/fast tips with their maxFeePerGas and estimated confirmation
+ * time, so sends do not fall back to ethers' fixed 1 gwei tip and 2x base fee.
+ */
+class EvmFeeService {
+  constructor(blockCount = FEE_HISTORY_BLOCKS) {
+    this.blockCount = blockCount;
+  }
+
+  async getFeeHistory(provider) {
+    const percentiles = Object.values(FEE_TIERS).map(tier => tier.rewardPercentile);
+    const history = await provider.send('eth_feeHistory', [ethers.toQuantity(this.blockCount), 'latest', percentiles]);
+    if (!history?.baseFeePerGas?.length || !history.reward?.length) {
+      throw new Error('Network did not return EIP-1559 fee history');
+    }
+
+    return {
+      oldestBlock: Number(history.oldestBlock),
+      // baseFeePerGas has one extra entry: the base fee of the next block.
+      nextBaseFee: BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]),
+      baseFees: history.baseFeePerGas.slice(0, -1).map(value => BigInt(value)),
+      gasUsedRatio: history.gasUsedRatio,
+      rewards: history.reward.map(block => block.map(value => BigInt(value))),
+    };
+  }
+
+  /**
+   * Tip per tier (median of that percentile across blocks, so a single spike
+   * does not move it), kept monotonic and above the network's minimum.
+   */
+  buildTiers(history, { blockTime, minPriorityFee = '0' }) {
+    const floor = ethers.parseUnits(minPriorityFee, 'gwei');
+    // A block includes our transaction when the tip beats its cheapest included ones.
+    const cheapest = history.rewards.map(block => block[0]);
+
+    let previous = 0n;
+    return Object.fromEntries(Object.entries(FEE_TIERS).map(([tier, { baseFeeHeadroom }], index) => {
+      let priority = median(history.rewards.map(block => block[index]));
+      priority = [priority, floor, previous].reduce((max, value) => (value > max ? value : max));
+      previous = priority;
+
+      const maxFee = ceilMul(history.nextBaseFee, baseFeeHeadroom) + priority;
+      const included = cheapest.filter(value => value <= priority).length;
+      const blocks = included === 0 ? history.rewards.length : Math.max(1, Math.round(history.rewards.length / included));
+
+      return [tier, {
+        maxPriorityFeePerGas: gwei(priority),
+        maxFeePerGas: gwei(maxFee),
+        estimatedBlocks: blocks,
+        estimatedSeconds: Math.max(1, Math.round(blocks * blockTime)),
+        transferCost: {
+          expected: ethers.formatEther(TRANSFER_GAS * (history.nextBaseFee + priority)),
+          max: ethers.formatEther(TRANSFER_GAS * maxFee),
+        },
+      }];
+    }));
+  }
+
+  async getFeeSuggestions(network = 'mainnet') {
+    try {
+      const resolved = ethereumService.resolveNetwork(network);
+      const config = ethereumService.networkConfigs[resolved];
+      if (!config) {
+        throw new Error(`Unsupported network: ${network}`);
+      }
+
+      const history = await this.getFeeHistory(ethereumService.getProvider(resolved));
+      const baseFeeTrend = history.nextBaseFee > history.baseFees[0] ? 'rising'
+        : history.nextBaseFee < history.baseFees[0] ? 'falling' : 'steady';
+      const averageGasUsed = history.gasUsedRatio.reduce((sum, ratio) => sum + ratio, 0) / history.gasUsedRatio.length;
+
+      return {
+        success: true,
+        network,
+        chainId: config.chainId,
+        unit: 'gwei',
+        baseFeePerGas: gwei(history.nextBaseFee),
+        baseFeeTrend,
+        blockTime: config.blockTime,
+        congestion: {
+          averageGasUsedRatio: Number(averageGasUsed.toFixed(2)),
+          sampledBlocks: history.rewards.length,
+          oldestBlock: history.oldestBlock,
+        },
+        tiers: this.buildTiers(history, config),
+      };
+    } catch (error) {
+      logger.error('Error getting EVM fee suggestions', { network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export { EvmFeeService, FEE_TIERS };
+export default new EvmFeeService();
@@ -0,0 +1,284 @@
+import { ethers } from 'ethers';
+import ethereumService from './ethereumService.js';
+import logger from './loggerService.js';
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// ERC-20 Transfer has two indexed addresses; ERC-721 also indexes the token id.
+const ERC20_TRANSFER_TOPICS = 3;
+
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const erc20Interface = new ethers.Interface([
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+
+const vaultInterface = new ethers.Interface([
+  'function execute(address target, uint256 value, bytes data)',
+  'function executeBatch((address target, uint256 value, bytes data)[] calls)',
+]);
+
+const toBigInt = (value) => (value === undefined || value === null || value === '' ? 0n : BigInt(value));
+const lower = (address) => String(address || '').toLowerCase();
+
+function decodeRevert(output) {
+  if (!output || output === '0x') return null;
+  const selector = output.slice(0, 10);
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return ethers.AbiCoder.defaultAbiCoder().decode(['string'], `0x${output.slice(10)}`)[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], `0x${output.slice(10)}`);
+      return `Panic(0x${code.toString(16)})`;
+    }
+  } catch (_error) {
+    // Malformed revert data falls through to the raw selector.
+  }
+  return `Custom error ${selector}`;
+}
+
+/**
+ * Net balance deltas keyed by account then asset ('native' or token address).
+ */
+class BalanceLedger {
+  constructor() {
+    this.deltas = new Map();
+  }
+
+  move(asset, from, to, amount) {
+    if (amount === 0n) return;
+    this.add(from, asset, -amount);
+    this.add(to, asset, amount);
+  }
+
+  add(account, asset, amount) {
+    const key = lower(account);
+    if (!this.deltas.has(key)) this.deltas.set(key, new Map());
+    const assets = this.deltas.get(key);
+    assets.set(asset, (assets.get(asset) || 0n) + amount);
+  }
+
+  entriesFor(accounts) {
+    return accounts.flatMap(account => [...(this.deltas.get(lower(account)) || new Map()).entries()]
+      .filter(([, amount]) => amount !== 0n)
+      .map(([asset, amount]) => ({ account, asset, amount })));
+  }
+}
+
+/**
+ * Dry-runs an EVM transaction before it is signed and reports the revert
+ * reason, gas used and the native and ERC-20 balance changes for the sender.
+ *
+ * Uses debug_traceCall with the call tracer when the RPC exposes it, which
+ * covers transfers made anywhere in the call tree. Otherwise falls back to
+ * eth_call for the revert check and decodes direct ERC-20 transfers and vault
+ * execute/executeBatch calls from the calldata.
+ */
+class EvmSimulationService {
+  async trace(provider, tx) {
+    const frame = await provider.send('debug_traceCall', [
+      this.toRpcRequest(tx),
+      'latest',
+      { tracer: 'callTracer', tracerConfig: { withLog: true } },
+    ]);
+
+    const ledger = new BalanceLedger();
+    const walk = (call) => {
+      // A reverted frame undoes its transfers and logs, including its children's.
+      if (call.error) return;
+      if (call.type !== 'DELEGATECALL' && call.type !== 'STATICCALL') {
+        ledger.move('native', call.from, call.to, toBigInt(call.value));
+      }
+      for (const log of call.logs || []) {
+        if (log.topics?.[0] === TRANSFER_TOPIC && log.topics.length === ERC20_TRANSFER_TOPICS) {
+          ledger.move(
+            lower(log.address),
+            ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+            ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+            toBigInt(log.data),
+          );
+        }
+      }
+      (call.calls || []).forEach(walk);
+    };
+    walk(frame);
+
+    return {
+      mode: 'trace',
+      willRevert: Boolean(frame.error),
+      revertReason: frame.error ? (frame.revertReason || decodeRevert(frame.output) || frame.error) : null,
+      gasUsed: toBigInt(frame.gasUsed),
+      ledger,
+    };
+  }
+
+  /**
+   * Transfers visible in the calldata: the top-level value, ERC-20
+   * transfer/transferFrom, and the calls inside a vault execute/executeBatch.
+   */
+  decodeTransfers(ledger, sender, to, value, data) {
+    ledger.move('native', sender, to, toBigInt(value));
+    if (!data || data === '0x') return;
+
+    let parsed = null;
+    try {
+      parsed = erc20Interface.parseTransaction({ data }) || vaultInterface.parseTransaction({ data });
+    } catch (_error) {
+      return;
+    }
+    if (!parsed) return;
+
+    if (parsed.name === 'transfer') {
+      ledger.move(lower(to), sender, parsed.args.to, parsed.args.amount);
+    } else if (parsed.name === 'transferFrom') {
+      ledger.move(lower(to), parsed.args.from, parsed.args.to, parsed.args.amount);
+    } else if (parsed.name === 'execute') {
+      this.decodeTransfers(ledger, to, parsed.args.target, parsed.args.value, parsed.args.data);
+    } else if (parsed.name === 'executeBatch') {
+      for (const call of parsed.args.calls) {
+        this.decodeTransfers(ledger, to, call.target, call.value, call.data);
+      }
+    }
+  }
+
+  async call(provider, tx) {
+    const request = { from: tx.from, to: tx.to, value: toBigInt(tx.value), data: tx.data || '0x' };
+    try {
+      const output = await provider.call(request);
+      // Some tokens return false instead of reverting.
+      if (request.data.startsWith(erc20Interface.getFunction('transfer').selector)
+        || request.data.startsWith(erc20Interface.getFunction('transferFrom').selector)) {
+        if (output && output !== '0x' && toBigInt(output) === 0n) {
+          return { mode: 'call', willRevert: true, revertReason: 'Token transfer returned false', gasUsed: 0n, ledger: new BalanceLedger() };
+        }
+      }
+    } catch (error) {
+      return {
+        mode: 'call',
+        willRevert: true,
+        revertReason: error.reason || decodeRevert(error.data) || error.shortMessage || error.message,
+        gasUsed: 0n,
+        ledger: new BalanceLedger(),
+      };
+    }
+
+    const gasUsed = await provider.estimateGas(request);
+    const ledger = new BalanceLedger();
+    this.decodeTransfers(ledger, tx.from, tx.to, tx.value, tx.data);
+    return { mode: 'call', willRevert: false, revertReason: null, gasUsed, ledger };
+  }
+
+  toRpcRequest(tx) {
+    return {
+      from: tx.from,
+      to: tx.to,
+      value: ethers.toQuantity(toBigInt(tx.value)),
+      data: tx.data || '0x',
+    };
+  }
+
+  async loadTokenInfo(provider, tokenAddress) {
+    const token = new ethers.Contract(tokenAddress, erc20Interface, provider);
+    try {
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      return { symbol, decimals: Number(decimals) };
+    } catch (_error) {
+      return { symbol: null, decimals: null };
+    }
+  }
+
+  /**
+   * Simulate `tx` against the latest block with `provider`.
+   *
+   * @param {ethers.Provider} provider
+   * @param {{ from: string, to: string, value?: bigint|string, data?: string }} tx
+   * @param {{ accounts?: string[], nativeSymbol?: string }} [options] extra accounts to report
+   *   balance changes for, besides the sender (e.g. the vault behind an executeBatch)
+   */
+  async simulate(provider, tx, { accounts = [], nativeSymbol = 'ETH' } = {}) {
+    let result;
+    try {
+      result = await this.trace(provider, tx);
+    } catch (error) {
+      // Most public RPCs do not expose the debug namespace.
+      logger.debug('debug_traceCall unavailable, falling back to eth_call', { error: error.message });
+      result = await this.call(provider, tx);
+    }
+
+    const tracked = [tx.from, ...accounts.filter(account => lower(account) !== lower(tx.from))];
+    const balanceChanges = await Promise.all(result.ledger.entriesFor(tracked).map(async ({ account, asset, amount }) => {
+      const info = asset === 'native'
+        ? { symbol: nativeSymbol, decimals: 18 }
+        : await this.loadTokenInfo(provider, asset);
+      return {
+        account,
+        token: asset === 'native' ? null : ethers.getAddress(asset),
+        symbol: info.symbol,
+        decimals: info.decimals,
+        amount: info.decimals === null ? null : ethers.formatUnits(amount, info.decimals),
+        raw: amount.toString(),
+      };
+    }));
+
+    const [feeData, balance] = await Promise.all([provider.getFeeData(), provider.getBalance(tx.from)]);
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    const networkFee = result.gasUsed * gasPrice;
+
+    const warnings = [];
+    if (result.willRevert) {
+      warnings.push('Transaction would revert; sending it still spends gas');
+    }
+    if (balance < toBigInt(tx.value) + networkFee) {
+      warnings.push(`${nativeSymbol} balance does not cover the amount plus the network fee`);
+    }
+
+    return {
+      mode: result.mode,
+      willRevert: result.willRevert,
+      revertReason: result.revertReason,
+      gasUsed: result.gasUsed.toString(),
+      networkFee: ethers.formatEther(networkFee),
+      balanceChanges,
+      warnings,
+    };
+  }
+
+  async simulateTransaction(tx, network = 'mainnet', options = {}) {
+    try {
+      const resolved = ethereumService.resolveNetwork(network);
+      const config = ethereumService.networkConfigs[resolved];
+      if (!config) {
+        throw new Error(`Unsupported network: ${network}`);
+      }
+      if (!ethers.isAddress(tx.from) || !ethers.isAddress(tx.to)) {
+        throw new Error('Valid from and to addresses are required');
+      }
+
+      const simulation = await this.simulate(ethereumService.getProvider(resolved), tx, {
+        ...options,
+        nativeSymbol: resolved.startsWith('polygon') ? 'MATIC' : 'ETH',
+      });
+
+      return {
+        success: true,
+        network,
+        chainId: config.chainId,
+        ...simulation,
+      };
+    } catch (error) {
+      logger.error('Error simulating EVM transaction', { network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export { EvmSimulationService, decodeRevert };
+export default new EvmSimulationService();
@@ -0,0 +1,340 @@
+/**
+ * evmTransactionManager.js
+ *
+ * Nonce coordination and pending-transaction tracking for EVM sends signed by
+ * server-held keys (the Telegram bot wallets and stealth claims).
+ *
+ * Sends from one address run one at a time, take their nonce from the chain
+ * plus the pending rows we track, and are persisted in the Transaction table so
+ * dropped or replaced transactions can be detected and sped up or cancelled.
+ * The lock is per process; run a single backend instance per signing key.
+ */
+
+import prisma from '../lib/prisma.js';
+import logger from './loggerService.js';
+
+const CHAIN_ID_TO_NETWORK = {
+  1: 'ETHEREUM',
+  10: 'OPTIMISM',
+  137: 'POLYGON',
+  8453: 'BASE',
+  42161: 'ARBITRUM',
+  11155111: 'SEPOLIA',
+};
+
+// Nodes reject a same-nonce replacement unless both fee caps rise by at least 10%.
+const REPLACEMENT_BUMP_PERMILLE = 1125n;
+
+// A broadcast transaction the node no longer knows about is only treated as
+// dropped after this long, so a load-balanced RPC that has not seen it yet
+// does not make us reuse its nonce.
+const DROP_GRACE_MS = 5 * 60 * 1000;
+
+const CANCEL_GAS_LIMIT = 21000n;
+
+const addressLocks = new Map();
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Run `task` after every earlier task for the same key has settled.
+ */
+function withAddressLock(key, task) {
+  const previous = addressLocks.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  addressLocks.set(key, tail);
+  tail.then(() => {
+    if (addressLocks.get(key) === tail) addressLocks.delete(key);
+  });
+  return run;
+}
+
+const lockKey = (chainId, address) => `${chainId}:${address}`;
+
+const bumpFee = (value) => (BigInt(value) * REPLACEMENT_BUMP_PERMILLE + 999n) / 1000n;
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+function serializeRequest(request) {
+  return {
+    to: request.to,
+    value: (request.value ?? 0n).toString(),
+    data: request.data || '0x',
+    gasLimit: request.gasLimit?.toString() ?? null,
+    maxFeePerGas: request.maxFeePerGas?.toString() ?? null,
+    maxPriorityFeePerGas: request.maxPriorityFeePerGas?.toString() ?? null,
+  };
+}
+
+async function resolveChainId(signer, chainId) {
+  if (chainId) return Number(chainId);
+  const network = await signer.provider.getNetwork();
+  return Number(network.chainId);
+}
+
+/**
+ * Pick the nonce for the next send: the lowest nonce from the confirmed count
+ * that no live tracked transaction holds. That reuses the nonce of a dropped
+ * transaction so later ones are not stuck behind a gap. When the node's
+ * mempool holds transactions we do not track, we queue after them instead.
+ */
+async function nextNonce(provider, address, chainId) {
+  const [latest, pending, tracked] = await Promise.all([
+    provider.getTransactionCount(address, 'latest'),
+    provider.getTransactionCount(address, 'pending'),
+    prisma.transaction.findMany({
+      where: { fromAddress: address, chainId, status: 'PENDING', nonce: { not: null } },
+      select: { nonce: true },
+    }),
+  ]);
+
+  const live = new Set(tracked.map(row => row.nonce));
+  let nonce = latest;
+  while (live.has(nonce)) nonce += 1;
+
+  const highestTracked = live.size > 0 ? Math.max(...live) : -1;
+  if (nonce < pending && nonce > highestTracked) {
+    return pending;
+  }
+  return nonce;
+}
+
+/**
+ * Reconcile the address's PENDING transactions with the chain: mined ones
+ * become CONFIRMED or FAILED, ones whose nonce was used by another transaction
+ * become REPLACED, and ones the node forgot become DROPPED.
+ */
+export async function refreshPendingTransactions(provider, address, chainId) {
+  const rows = await prisma.transaction.findMany({
+    where: { fromAddress: address, chainId, status: 'PENDING', nonce: { not: null } },
+    orderBy: { nonce: 'asc' },
+  });
+  if (rows.length === 0) return [];
+
+  const latest = await provider.getTransactionCount(address, 'latest');
+  const receipts = await Promise.all(rows.map(row => provider.getTransactionReceipt(row.txHash)));
+  const minedByNonce = {};
+  rows.forEach((row, index) => {
+    if (receipts[index]) minedByNonce[row.nonce] = row.txHash;
+  });
+
+  const updates = [];
+  for (const [index, row] of rows.entries()) {
+    const receipt = receipts[index];
+    let data = null;
+
+    if (receipt) {
+      data = {
+        status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+        gasUsed: receipt.gasUsed?.toString() ?? null,
+      };
+    } else if (row.nonce < latest) {
+      data = { status: 'REPLACED', replacedBy: minedByNonce[row.nonce] || null };
+    } else if (Date.now() - new Date(row.timestamp).getTime() > DROP_GRACE_MS
+      && !(await provider.getTransaction(row.txHash))) {
+      data = { status: 'DROPPED' };
+    }
+
+    if (data) {
+      updates.push(await prisma.transaction.update({ where: { id: row.id }, data }));
+      logger.info('[TxManager] Pending transaction resolved', { txHash: row.txHash, nonce: row.nonce, ...data });
+    }
+  }
+  return updates;
+}
+
+async function broadcast(signer, request, { chainId, network, walletId, category, metadata, nonce }) {
+  const from = await signer.getAddress();
+  const tx = await signer.sendTransaction({ ...request, nonce });
+
+  const record = await prisma.transaction.create({
+    data: {
+      walletId: walletId || null,
+      txHash: tx.hash,
+      network: network || CHAIN_ID_TO_NETWORK[chainId] || 'ETHEREUM',
+      chainId,
+      nonce,
+      fromAddress: from,
+      toAddress: request.to,
+      value: (request.value ?? 0n).toString(),
+      status: 'PENDING',
+      category: category || 'TRANSFER',
+      metadata: {
+        ...metadata,
+        request: serializeRequest({
+          ...request,
+          gasLimit: request.gasLimit ?? tx.gasLimit,
+          maxFeePerGas: request.maxFeePerGas ?? tx.maxFeePerGas,
+          maxPriorityFeePerGas: request.maxPriorityFeePerGas ?? tx.maxPriorityFeePerGas,
+        }),
+      },
+    },
+  });
+
+  logger.info('[TxManager] Transaction broadcast', { from, txHash: tx.hash, nonce, chainId });
+  return { tx, record };
+}
+
+/**
+ * Send a transaction from `signer` with a coordinated nonce and persist it as
+ * PENDING. Fees and gas limit are filled in by ethers unless given.
+ *
+ * @param {ethers.Wallet} signer
+ * @param {{ to: string, value?: bigint, data?: string, gasLimit?: bigint, maxFeePerGas?: bigint, maxPriorityFeePerGas?: bigint }} request
+ * @param {{ chainId?: number, network?: string, walletId?: string, category?: string, metadata?: object }} [options]
+ * @returns {Promise<{ tx: ethers.TransactionResponse, record: object }>}
+ */
+export async function sendManagedTransaction(signer, request, options = {}) {
+  const address = await signer.getAddress();
+  const chainId = await resolveChainId(signer, options.chainId);
+
+  return withAddressLock(lockKey(chainId, address), async () => {
+    await refreshPendingTransactions(signer.provider, address, chainId);
+    const nonce = await nextNonce(signer.provider, address, chainId);
+
+    try {
+      return await broadcast(signer, request, { ...options, chainId, nonce });
+    } catch (error) {
+      // Another client used the nonce between our read and the send: resync once.
+      if (error.code !== 'NONCE_EXPIRED') throw error;
+      logger.warn('[TxManager] Nonce already used, retrying with a fresh nonce', { address, chainId, nonce });
+      const retryNonce = await nextNonce(signer.provider, address, chainId);
+      return broadcast(signer, request, { ...options, chainId, nonce: retryNonce });
+    }
+  });
+}
+
+/**
+ * Wait for a managed transaction and record the outcome. A speed-up of the
+ * same transaction (ethers reports it as "repriced") counts as success and
+ * returns the replacement's receipt; a cancel or other replacement throws.
+ */
+export async function waitForManagedTransaction(tx, { confirmations = 1, timeoutMs } = {}) {
+  try {
+    const receipt = await tx.wait(confirmations, timeoutMs);
+    await prisma.transaction.updateMany({
+      where: { txHash: tx.hash },
+      data: { status: 'CONFIRMED', gasUsed: receipt?.gasUsed?.toString() ?? null },
+    });
+    return { receipt, txHash: tx.hash };
+  } catch (error) {
+    if (error.code === 'TRANSACTION_REPLACED') {
+      const replacementHash = error.replacement?.hash;
+      await prisma.transaction.updateMany({
+        where: { txHash: tx.hash },
+        data: { status: 'REPLACED', replacedBy: replacementHash || null },
+      });
+      if (replacementHash) {
+        await prisma.transaction.updateMany({
+          where: { txHash: replacementHash },
+          data: {
+            status: error.receipt?.status === 1 ? 'CONFIRMED' : 'FAILED',
+            gasUsed: error.receipt?.gasUsed?.toString() ?? null,
+          },
+        });
+      }
+      if (error.reason === 'repriced' && error.receipt?.status === 1) {
+        return { receipt: error.receipt, txHash: replacementHash };
+      }
+    } else if (error.code === 'CALL_EXCEPTION') {
+      await prisma.transaction.updateMany({
+        where: { txHash: tx.hash },
+        data: { status: 'FAILED', gasUsed: error.receipt?.gasUsed?.toString() ?? null },
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * PENDING transactions from an address after reconciling them with the chain.
+ */
+export async function getPendingTransactions(provider, address, chainId) {
+  await refreshPendingTransactions(provider, address, chainId);
+  return prisma.transaction.findMany({
+    where: { fromAddress: address, chainId, status: 'PENDING' },
+    orderBy: { nonce: 'asc' },
+  });
+}
+
+async function sendReplacement(signer, txHash, buildRequest, kind) {
+  const address = await signer.getAddress();
+  const original = await prisma.transaction.findFirst({ where: { txHash, fromAddress: address } });
+  if (!original || original.nonce === null) {
+    throw createHttpError('Transaction not found for this wallet', 404);
+  }
+  const { chainId } = original;
+
+  return withAddressLock(lockKey(chainId, address), async () => {
+    await refreshPendingTransactions(signer.provider, address, chainId);
+    const current = await prisma.transaction.findFirst({ where: { id: original.id } });
+    if (current.status !== 'PENDING') {
+      throw createHttpError(`Transaction is already ${current.status.toLowerCase()}`, 409);
+    }
+
+    // Outbid the highest fees already sent at this nonce, and at least match the market.
+    const siblings = await prisma.transaction.findMany({
+      where: { fromAddress: address, chainId, nonce: original.nonce, status: 'PENDING' },
+    });
+    const feeData = await signer.provider.getFeeData();
+    let maxFeePerGas = feeData.maxFeePerGas ?? 0n;
+    let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas ?? 0n;
+    for (const sibling of siblings) {
+      const sent = sibling.metadata?.request || {};
+      if (sent.maxFeePerGas) maxFeePerGas = maxBigInt(maxFeePerGas, bumpFee(sent.maxFeePerGas));
+      if (sent.maxPriorityFeePerGas) maxPriorityFeePerGas = maxBigInt(maxPriorityFeePerGas, bumpFee(sent.maxPriorityFeePerGas));
+    }
+
+    const request = {
+      ...buildRequest(original.metadata?.request || {}, address),
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+    };
+    const result = await broadcast(signer, request, {
+      chainId,
+      network: original.network,
+      walletId: original.walletId,
+      category: original.category,
+      nonce: original.nonce,
+      metadata: {
+        ...original.metadata,
+        replaces: original.txHash,
+        replacement: kind,
+      },
+    });
+
+    logger.info(`[TxManager] Transaction ${kind} sent`, { original: txHash, replacement: result.tx.hash, nonce: original.nonce });
+    return result;
+  });
+}
+
+/**
+ * Re-send a pending transaction unchanged at the same nonce with higher fees.
+ */
+export async function speedUpTransaction(signer, txHash) {
+  return sendReplacement(signer, txHash, (sent) => ({
+    to: sent.to,
+    value: BigInt(sent.value || 0),
+    data: sent.data || '0x',
+    ...(sent.gasLimit && { gasLimit: BigInt(sent.gasLimit) }),
+  }), 'speedup');
+}
+
+/**
+ * Replace a pending transaction with an empty self-transfer at the same nonce.
+ */
+export async function cancelTransaction(signer, txHash) {
+  return sendReplacement(signer, txHash, (sent, address) => ({
+    to: address,
+    value: 0n,
+    data: '0x',
+    gasLimit: CANCEL_GAS_LIMIT,
+  }), 'cancel');
+}
+
+export { CHAIN_ID_TO_NETWORK };
@@ -195,6 +195,188 @@ class MultiSigService {
         }
     }
 
+    /**
+     * Digest that cosigners sign to approve a multisig proposal.
+     * Ethereum signers sign the keccak256 digest with EIP-191 personal_sign;
+     * Bitcoin signers produce a raw ECDSA signature over the sha256 digest.
+     */
+    hashProposal(payload, chain = 'ethereum') {
+        const message = Buffer.from(JSON.stringify(payload), 'utf8');
+        if (chain === 'bitcoin') {
+            return '0x' + crypto.createHash('sha256').update(message).digest('hex');
+        }
+        return ethers.keccak256(message);
+    }
+
+    recoverEthereumSigner(proposalHash, signature, owners) {
+        let recovered;
+        try {
+            recovered = ethers.verifyMessage(ethers.getBytes(proposalHash), signature);
+        } catch (error) {
+            throw new Error('Malformed Ethereum signature');
+        }
+
+        const owner = owners.find(addr => addr && addr.toLowerCase() === recovered.toLowerCase());
+        if (!owner) {
+            throw new Error(`Signature recovered ${recovered}, which is not a wallet owner`);
+        }
+        return owner;
+    }
+
+    recoverBitcoinSigner(proposalHash, signature, publicKeys) {
+        const digest = Buffer.from(proposalHash.replace(/^0x/, ''), 'hex');
+        let sigBuffer = Buffer.from(String(signature || '').replace(/^0x/, ''), 'hex');
+
+        // Accept DER-encoded signatures by converting them to 64-byte compact form.
+        if (sigBuffer.length !== 64 && sigBuffer[0] === 0x30) {
+            try {
+                sigBuffer = bitcoin.script.signature.decode(
+                    Buffer.concat([sigBuffer, Buffer.from([bitcoin.Transaction.SIGHASH_ALL])])
+                ).signature;
+            } catch (error) {
+                throw new Error('Malformed Bitcoin signature');
+            }
+        }
+
+        if (sigBuffer.length !== 64) {
+            throw new Error('Bitcoin signature must be 64-byte compact or DER encoded');
+        }
+
+        const publicKey = publicKeys.find(pk => {
+            try {
+                return pk && ecc.verify(digest, Buffer.from(pk.replace(/^0x/, ''), 'hex'), sigBuffer);
+            } catch {
+                return false;
+            }
+        });
+
+        if (!publicKey) {
+            throw new Error('Signature does not match any wallet signer');
+        }
+        return publicKey;
+    }
+
+    getBitcoinNetwork(network = 'mainnet') {
+        return network === 'mainnet' ? bitcoin.networks.bitcoin : bitcoin.networks.testnet;
+    }
+
+    /**
+     * Rough vsize of a spend from an m-of-n multisig script, used for fee estimation.
+     * Signatures are counted at their 73-byte DER maximum.
+     */
+    estimateMultisigVsize(type, requiredSignatures, scriptLength, inputCount, outputCount) {
+        const scriptSigLength = 1 + requiredSignatures * 74 + scriptLength + 3;
+        const outputBytes = outputCount * 43;
+        if (type === 'P2WSH') {
+            const witnessBytes = 1 + 1 + requiredSignatures * 74 + scriptLength + 3;
+            return Math.ceil(10.5 + inputCount * (41 + witnessBytes / 4) + outputBytes);
+        }
+        return 10 + inputCount * (41 + scriptSigLength) + outputBytes;
+    }
+
+    /**
+     * Build an unsigned PSBT spending multisig UTXOs.
+     * P2WSH inputs carry witnessUtxo + witnessScript; P2SH inputs need the full
+     * previous transaction (nonWitnessUtxo) + redeemScript.
+     */
+    createMultisigPsbt({ type, script, inputs, outputs, network = 'mainnet' }) {
+        const btcNetwork = this.getBitcoinNetwork(network);
+        const scriptBuffer = Buffer.from(script, 'hex');
+        const psbt = new bitcoin.Psbt({ network: btcNetwork });
+
+        inputs.forEach(input => {
+            if (type === 'P2WSH') {
+                const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: scriptBuffer }, network: btcNetwork });
+                psbt.addInput({
+                    hash: input.txHash,
+                    index: input.outputIndex,
+                    witnessUtxo: { script: p2wsh.output, value: input.value },
+                    witnessScript: scriptBuffer,
+                });
+            } else {
+                if (!input.rawTransaction) {
+                    throw new Error(`Previous transaction hex required for P2SH input ${input.txHash}:${input.outputIndex}`);
+                }
+                psbt.addInput({
+                    hash: input.txHash,
+                    index: input.outputIndex,
+                    nonWitnessUtxo: Buffer.from(input.rawTransaction, 'hex'),
+                    redeemScript: scriptBuffer,
+                });
+            }
+        });
+
+        outputs.forEach(output => {
+            psbt.addOutput({ address: output.address, value: output.value });
+        });
+
+        return psbt;
+    }
+
+    parsePsbt(encoded, network = 'mainnet') {
+        const value = String(encoded || '').trim();
+        const opts = { network: this.getBitcoinNetwork(network) };
+        try {
+            return /^[0-9a-fA-F]+$/.test(value)
+                ? bitcoin.Psbt.fromHex(value, opts)
+                : bitcoin.Psbt.fromBase64(value, opts);
+        } catch (error) {
+            throw new Error('Malformed PSBT: ' + error.message);
+        }
+    }
+
+    /**
+     * Merge a cosigner's PSBT into the base PSBT.
+     * Both must describe the same unsigned transaction, and every partial
+     * signature must be valid and come from one of `publicKeys`.
+     */
+    combinePsbt(basePsbt, signedPsbt, publicKeys) {
+        const baseId = basePsbt.data.globalMap.unsignedTx.toBuffer().toString('hex');
+        const signedId = signedPsbt.data.globalMap.unsignedTx.toBuffer().toString('hex');
+        if (baseId !== signedId) {
+            throw new Error('PSBT does not match the transaction being signed');
+        }
+
+        const allowed = new Set(publicKeys.map(pk => pk.replace(/^0x/, '').toLowerCase()));
+        signedPsbt.data.inputs.forEach((input, index) => {
+            (input.partialSig || []).forEach(({ pubkey }) => {
+                if (!allowed.has(pubkey.toString('hex'))) {
+                    throw new Error(`Input ${index} is signed by a key outside the signer set`);
+                }
+                const valid = signedPsbt.validateSignaturesOfInput(index, (pk, msghash, signature) =>
+                    ecc.verify(msghash, pk, signature), pubkey);
+                if (!valid) {
+                    throw new Error(`Invalid signature on input ${index}`);
+                }
+            });
+        });
+
+        return basePsbt.clone().combine(signedPsbt);
+    }
+
+    /**
+     * Public keys that have signed every input of the PSBT.
+     */
+    getPsbtSigners(psbt) {
+        const perInput = psbt.data.inputs.map(input =>
+            new Set((input.partialSig || []).map(({ pubkey }) => pubkey.toString('hex'))));
+        if (perInput.length === 0) {
+            return [];
+        }
+        return [...perInput[0]].filter(pubkey => perInput.every(set => set.has(pubkey)));
+    }
+
+    finalizePsbt(psbt) {
+        try {
+            const finalized = psbt.clone();
+            finalized.finalizeAllInputs();
+            const transaction = finalized.extractTransaction();
+            return { hex: transaction.toHex(), txid: transaction.getId() };
+        } catch (error) {
+            throw new Error('Failed to finalize PSBT: ' + error.message);
+        }
+    }
+
     validateMultisigConfig(config) {
         const errors = [];
         const warnings = [];
@@ -0,0 +1,861 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import * as bitcoin from 'bitcoinjs-lib';
+import prisma from '../lib/prisma.js';
+import logger from './loggerService.js';
+import multiSigService from './multiSigService.js';
+import ethereumService from './ethereumService.js';
+import bitcoinService from './bitcoinService.js';
+import bitcoinTransactionService from './bitcoinTransactionService.js';
+
+const ETHEREUM_NETWORKS = new Set(['ethereum', 'sepolia']);
+const BITCOIN_NETWORKS = new Set(['bitcoin', 'bitcoin-testnet']);
+
+const AMOUNT_RE = /^\d+(\.\d+)?$/;
+// How many times a PSBT import re-combines after losing a race with another import.
+const MAX_PSBT_IMPORT_ATTEMPTS = 3;
+
+const WALLET_INCLUDE = {
+  signers: { orderBy: { position: 'asc' } },
+  _count: { select: { transactions: true } },
+};
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normalizeNetworkInput(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function toPrismaNetwork(network) {
+  if (network === 'sepolia') return 'SEPOLIA';
+  if (BITCOIN_NETWORKS.has(network)) return 'BITCOIN';
+  return 'ETHEREUM';
+}
+
+function toBitcoinServiceNetwork(wallet) {
+  return wallet.configuration?.bitcoinNetwork === 'testnet' ? 'testnet' : 'mainnet';
+}
+
+function toApiNetwork(wallet) {
+  if (wallet.network === 'SEPOLIA') return 'sepolia';
+  if (wallet.network === 'BITCOIN') {
+    return toBitcoinServiceNetwork(wallet) === 'testnet' ? 'bitcoin-testnet' : 'bitcoin';
+  }
+  return 'ethereum';
+}
+
+function normalizeSignerLabels(labels, count) {
+  return Array.from({ length: count }, (_, index) => {
+    const label = String(labels?.[index] || '').trim();
+    return label || null;
+  });
+}
+
+const TRANSACTION_INCLUDE = {
+  signatures: {
+    include: { signer: true },
+    orderBy: { signedAt: 'asc' },
+  },
+};
+
+export function serializeMultiSigTransaction(transaction) {
+  if (!transaction) return null;
+  return {
+    id: transaction.id,
+    walletId: transaction.walletId,
+    proposedBy: transaction.proposedBy || null,
+    proposalHash: transaction.proposalHash,
+    toAddress: transaction.toAddress,
+    amount: transaction.amount,
+    tokenSymbol: transaction.tokenSymbol,
+    data: transaction.data || null,
+    status: String(transaction.status || 'PENDING').toLowerCase(),
+    requiredSignatures: transaction.requiredSignatures,
+    currentSignatures: transaction.currentSignatures,
+    psbt: transaction.psbt || null,
+    fee: transaction.fee || null,
+    txHash: transaction.txHash || null,
+    executedAt: transaction.executedAt || null,
+    rejectedAt: transaction.rejectedAt || null,
+    signatures: (transaction.signatures || []).map((entry) => ({
+      id: entry.id,
+      signerId: entry.signerId,
+      signerLabel: entry.signer?.label || null,
+      signerAddress: entry.signer?.address || null,
+      signerPublicKey: entry.signer?.publicKey || null,
+      signature: entry.signature,
+      signedAt: entry.signedAt,
+    })),
+    createdAt: transaction.createdAt,
+    updatedAt: transaction.updatedAt,
+  };
+}
+
+export function serializeMultiSigWallet(wallet) {
+  if (!wallet) return null;
+  return {
+    id: wallet.id,
+    name: wallet.name,
+    network: toApiNetwork(wallet),
+    type: wallet.type,
+    walletType: wallet.type,
+    address: wallet.address,
+    requiredSignatures: wallet.requiredSignatures,
+    totalSigners: wallet.totalSigners,
+    redeemScript: wallet.redeemScript || wallet.witnessScript || null,
+    witnessScript: wallet.witnessScript || null,
+    configuration: wallet.configuration || null,
+    signers: (wallet.signers || []).map((signer) => ({
+      id: signer.id,
+      position: signer.position,
+      label: signer.label,
+      address: signer.address,
+      publicKey: signer.publicKey,
+    })),
+    transactionCount: wallet._count?.transactions ?? 0,
+    createdAt: wallet.createdAt,
+    updatedAt: wallet.updatedAt,
+  };
+}
+
+/**
+ * Build the on-chain configuration for a new multisig wallet.
+ * Returns the column values to persist plus the ordered signer rows.
+ */
+export function buildMultiSigConfig({ network, type, requiredSignatures, owners, publicKeys, signerLabels }) {
+  const normalizedNetwork = normalizeNetworkInput(network);
+  const threshold = Number.parseInt(requiredSignatures, 10);
+
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    throw createHttpError('requiredSignatures must be a positive integer', 400);
+  }
+
+  if (ETHEREUM_NETWORKS.has(normalizedNetwork)) {
+    const ownerList = (owners || []).map((owner) => String(owner || '').trim()).filter(Boolean);
+    if (ownerList.length < 2) {
+      throw createHttpError('At least 2 owners required', 400);
+    }
+
+    const safe = multiSigService.createEthereumMultisig(ownerList, threshold);
+    const labels = normalizeSignerLabels(signerLabels, ownerList.length);
+
+    return {
+      network: toPrismaNetwork(normalizedNetwork),
+      type: safe.type,
+      address: safe.address,
+      requiredSignatures: safe.threshold,
+      totalSigners: ownerList.length,
+      redeemScript: null,
+      witnessScript: null,
+      configuration: {
+        ...safe.configuration,
+        version: safe.version,
+        deploymentInfo: safe.deploymentInfo,
+      },
+      signers: ownerList.map((owner, index) => ({
+        position: index,
+        label: labels[index],
+        address: ethers.getAddress(owner),
+        publicKey: null,
+      })),
+    };
+  }
+
+  if (BITCOIN_NETWORKS.has(normalizedNetwork)) {
+    const keyList = (publicKeys || []).map((key) => String(key || '').trim()).filter(Boolean);
+    const bitcoinNetwork = normalizedNetwork === 'bitcoin-testnet' ? 'testnet' : 'mainnet';
+    const scriptType = String(type || 'p2wsh').toLowerCase();
+
+    if (scriptType !== 'p2sh' && scriptType !== 'p2wsh') {
+      throw createHttpError('Bitcoin multisig type must be p2sh or p2wsh', 400);
+    }
+
+    const multisig = scriptType === 'p2sh'
+      ? multiSigService.createBitcoinMultisig(keyList, threshold, bitcoinNetwork)
+      : multiSigService.createBitcoinSegWitMultisig(keyList, threshold, bitcoinNetwork);
+    const labels = normalizeSignerLabels(signerLabels, keyList.length);
+
+    return {
+      network: 'BITCOIN',
+      type: multisig.type,
+      address: multisig.address,
+      requiredSignatures: multisig.requiredSignatures,
+      totalSigners: multisig.totalSigners,
+      redeemScript: multisig.redeemScript || null,
+      witnessScript: multisig.witnessScript || null,
+      configuration: {
+        bitcoinNetwork,
+        scriptHash: multisig.scriptHash || multisig.witnessScriptHash,
+      },
+      signers: keyList.map((publicKey, index) => ({
+        position: index,
+        label: labels[index],
+        address: null,
+        publicKey: publicKey.replace(/^0x/, ''),
+      })),
+    };
+  }
+
+  throw createHttpError('Unsupported multisig network. Use ethereum, sepolia, bitcoin or bitcoin-testnet', 400);
+}
+
+async function recordMultiSigActivity(userId, action, details) {
+  try {
+    await prisma.activityLog.create({ data: { userId, action, details } });
+  } catch (error) {
+    logger.warn('[MultiSig] Failed to record activity', { userId, action, error: error.message });
+  }
+}
+
+export async function findMultiSigWalletForUser(userId, walletId) {
+  return prisma.multiSigWallet.findFirst({
+    where: { id: walletId, userId, isActive: true },
+    include: WALLET_INCLUDE,
+  });
+}
+
+async function requireMultiSigWalletForUser(userId, walletId) {
+  const wallet = await findMultiSigWalletForUser(userId, walletId);
+  if (!wallet) {
+    throw createHttpError('Multi-sig wallet not found', 404);
+  }
+  return wallet;
+}
+
+export async function createMultiSigWallet(userId, input) {
+  const name = String(input?.name || '').trim();
+  if (!name) {
+    throw createHttpError('Wallet name is required', 400);
+  }
+  if (name.length > 100) {
+    throw createHttpError('Wallet name must be 100 characters or fewer', 400);
+  }
+
+  let config;
+  try {
+    config = buildMultiSigConfig(input || {});
+  } catch (error) {
+    throw error.statusCode ? error : createHttpError(error.message, 400);
+  }
+
+  const { signers, ...walletData } = config;
+  const wallet = await prisma.multiSigWallet.create({
+    data: {
+      userId,
+      name,
+      ...walletData,
+      signers: { create: signers },
+    },
+    include: WALLET_INCLUDE,
+  });
+
+  await recordMultiSigActivity(userId, 'MULTISIG_WALLET_CREATED', {
+    walletId: wallet.id,
+    network: wallet.network,
+    type: wallet.type,
+    threshold: `${wallet.requiredSignatures}/${wallet.totalSigners}`,
+  });
+
+  logger.info('[MultiSig] Wallet created', { userId, walletId: wallet.id, type: wallet.type });
+  return serializeMultiSigWallet(wallet);
+}
+
+export async function listMultiSigWalletsForUser(userId) {
+  const wallets = await prisma.multiSigWallet.findMany({
+    where: { userId, isActive: true },
+    include: WALLET_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+
+  return wallets.map(serializeMultiSigWallet);
+}
+
+export async function getMultiSigWalletForUser(userId, walletId) {
+  const wallet = await requireMultiSigWalletForUser(userId, walletId);
+  return serializeMultiSigWallet(wallet);
+}
+
+export async function deleteMultiSigWalletForUser(userId, walletId) {
+  await requireMultiSigWalletForUser(userId, walletId);
+
+  await prisma.multiSigWallet.update({
+    where: { id: walletId },
+    data: { isActive: false },
+  });
+
+  await recordMultiSigActivity(userId, 'MULTISIG_WALLET_DELETED', { walletId });
+  return { id: walletId };
+}
+
+/**
+ * Read the live balance of a multisig address.
+ * Ethereum wallets may be queried on mainnet or Sepolia via `requestedNetwork`.
+ */
+export async function getMultiSigWalletBalanceForUser(userId, walletId, requestedNetwork) {
+  const wallet = await requireMultiSigWalletForUser(userId, walletId);
+
+  if (wallet.network === 'BITCOIN') {
+    const network = toBitcoinServiceNetwork(wallet);
+    const result = await bitcoinService.getBalance(wallet.address, network);
+    if (!result.success) {
+      throw createHttpError(result.error || 'Failed to load Bitcoin balance', 502);
+    }
+    return { balance: result.balance.btc, symbol: 'BTC', network: toApiNetwork(wallet) };
+  }
+
+  const network = normalizeNetworkInput(requestedNetwork || toApiNetwork(wallet)) === 'sepolia'
+    ? 'sepolia'
+    : 'mainnet';
+  const result = await ethereumService.getBalance(wallet.address, network);
+  if (!result.success) {
+    throw createHttpError(result.error || 'Failed to load Ethereum balance', 502);
+  }
+  return {
+    balance: result.balance.eth,
+    symbol: 'ETH',
+    network: network === 'sepolia' ? 'sepolia' : 'ethereum',
+  };
+}
+
+export async function listMultiSigTransactionsForUser(userId, walletId) {
+  await requireMultiSigWalletForUser(userId, walletId);
+
+  const transactions = await prisma.multiSigTransaction.findMany({
+    where: { walletId },
+    include: TRANSACTION_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+
+  return transactions.map(serializeMultiSigTransaction);
+}
+
+function validateProposalInput(wallet, input) {
+  const toAddress = String(input?.toAddress || '').trim();
+  const amount = String(input?.amount ?? '').trim();
+  const data = String(input?.data || '').trim();
+
+  if (!toAddress) {
+    throw createHttpError('Recipient address is required', 400);
+  }
+  if (!AMOUNT_RE.test(amount) || Number(amount) <= 0) {
+    throw createHttpError('Amount must be a positive decimal number', 400);
+  }
+
+  if (wallet.network === 'BITCOIN') {
+    const network = toBitcoinServiceNetwork(wallet) === 'testnet'
+      ? bitcoin.networks.testnet
+      : bitcoin.networks.bitcoin;
+    try {
+      bitcoin.address.toOutputScript(toAddress, network);
+    } catch {
+      throw createHttpError('Invalid Bitcoin recipient address', 400);
+    }
+    if ((amount.split('.')[1] || '').length > 8) {
+      throw createHttpError('Bitcoin amounts support at most 8 decimal places', 400);
+    }
+    if (data) {
+      throw createHttpError('Call data is not supported for Bitcoin multisig spends', 400);
+    }
+    return { toAddress, amount, tokenSymbol: 'BTC', data: null };
+  }
+
+  if (!ethers.isAddress(toAddress)) {
+    throw createHttpError('Invalid Ethereum recipient address', 400);
+  }
+  if (data && !ethers.isHexString(data)) {
+    throw createHttpError('Call data must be a 0x-prefixed hex string', 400);
+  }
+
+  return {
+    toAddress: ethers.getAddress(toAddress),
+    amount,
+    tokenSymbol: String(input?.tokenSymbol || 'ETH').trim().toUpperCase() || 'ETH',
+    data: data || null,
+  };
+}
+
+function buildProposalPayload(wallet, proposal, nonce) {
+  return {
+    domain: 'walletrix-multisig-v1',
+    walletId: wallet.id,
+    walletAddress: wallet.address,
+    network: toApiNetwork(wallet),
+    toAddress: proposal.toAddress,
+    amount: proposal.amount,
+    tokenSymbol: proposal.tokenSymbol,
+    data: proposal.data,
+    nonce,
+  };
+}
+
+async function findTransactionWithWallet(where, client = prisma) {
+  return client.multiSigTransaction.findFirst({
+    where,
+    include: {
+      ...TRANSACTION_INCLUDE,
+      wallet: { include: { signers: { orderBy: { position: 'asc' } } } },
+    },
+  });
+}
+
+/**
+ * Propose a spend from a multisig wallet.
+ * The returned `proposalHash` is what each cosigner signs. A signature may be
+ * supplied with the proposal so the proposing signer approves it immediately.
+ */
+export async function proposeMultiSigTransactionForUser(userId, walletId, input = {}) {
+  const wallet = await requireMultiSigWalletForUser(userId, walletId);
+  const proposal = validateProposalInput(wallet, input);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const chain = wallet.network === 'BITCOIN' ? 'bitcoin' : 'ethereum';
+  const proposalHash = multiSigService.hashProposal(buildProposalPayload(wallet, proposal, nonce), chain);
+
+  const transaction = await prisma.multiSigTransaction.create({
+    data: {
+      walletId,
+      proposedBy: userId,
+      ...proposal,
+      nonce,
+      proposalHash,
+      requiredSignatures: wallet.requiredSignatures,
+    },
+    include: TRANSACTION_INCLUDE,
+  });
+
+  await recordMultiSigActivity(userId, 'MULTISIG_TRANSACTION_PROPOSED', {
+    walletId,
+    transactionId: transaction.id,
+    toAddress: proposal.toAddress,
+    amount: proposal.amount,
+    tokenSymbol: proposal.tokenSymbol,
+  });
+
+  if (input.signature) {
+    return signMultiSigTransaction(userId, transaction.id, { signature: input.signature });
+  }
+
+  return serializeMultiSigTransaction(transaction);
+}
+
+/**
+ * Attach a cosigner signature to a pending proposal.
+ * The signature itself is the authorization: it must verify against
+ * `proposalHash` for one of the wallet's signers, so any authenticated
+ * caller may relay it on a cosigner's behalf.
+ * On Bitcoin wallets it records the cosigner's approval only: the threshold
+ * counts PSBT partial signatures, since those are what the spend needs.
+ */
+export async function signMultiSigTransaction(userId, transactionId, { signature } = {}) {
+  if (!signature) {
+    throw createHttpError('Signature is required', 400);
+  }
+
+  const transaction = await findTransactionWithWallet({ id: transactionId, wallet: { isActive: true } });
+  if (!transaction) {
+    throw createHttpError('Multi-sig transaction not found', 404);
+  }
+  if (transaction.status === 'EXECUTED' || transaction.status === 'REJECTED') {
+    throw createHttpError(`Transaction is already ${transaction.status.toLowerCase()}`, 400);
+  }
+
+  const { wallet } = transaction;
+  let signer;
+  try {
+    if (wallet.network === 'BITCOIN') {
+      const publicKey = multiSigService.recoverBitcoinSigner(
+        transaction.proposalHash,
+        signature,
+        wallet.signers.map((entry) => entry.publicKey)
+      );
+      signer = wallet.signers.find((entry) => entry.publicKey === publicKey);
+    } else {
+      const address = multiSigService.recoverEthereumSigner(
+        transaction.proposalHash,
+        signature,
+        wallet.signers.map((entry) => entry.address)
+      );
+      signer = wallet.signers.find((entry) => entry.address === address);
+    }
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+
+  if (transaction.signatures.some((entry) => entry.signerId === signer.id)) {
+    throw createHttpError('This signer has already signed the transaction', 409);
+  }
+
+  try {
+    await prisma.multiSigSignature.create({
+      data: {
+        transactionId,
+        signerId: signer.id,
+        signature,
+        submittedBy: userId,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw createHttpError('This signer has already signed the transaction', 409);
+    }
+    throw error;
+  }
+
+  const currentSignatures = wallet.network === 'BITCOIN'
+    ? transaction.currentSignatures
+    : await prisma.multiSigSignature.count({ where: { transactionId } });
+  const updated = await prisma.multiSigTransaction.update({
+    where: { id: transactionId },
+    data: {
+      currentSignatures,
+      status: currentSignatures >= transaction.requiredSignatures ? 'READY' : 'PENDING',
+    },
+    include: TRANSACTION_INCLUDE,
+  });
+
+  await recordMultiSigActivity(userId, 'MULTISIG_TRANSACTION_SIGNED', {
+    walletId: wallet.id,
+    transactionId,
+    signerId: signer.id,
+    signatures: `${currentSignatures}/${transaction.requiredSignatures}`,
+  });
+
+  return serializeMultiSigTransaction(updated);
+}
+
+/**
+ * Reject a proposal that has not been executed. Only the wallet owner may reject.
+ */
+export async function rejectMultiSigTransactionForUser(userId, transactionId) {
+  const transaction = await prisma.multiSigTransaction.findFirst({
+    where: { id: transactionId, wallet: { userId, isActive: true } },
+  });
+
+  if (!transaction) {
+    throw createHttpError('Multi-sig transaction not found', 404);
+  }
+  if (transaction.status === 'EXECUTED' || transaction.status === 'REJECTED') {
+    throw createHttpError(`Transaction is already ${transaction.status.toLowerCase()}`, 400);
+  }
+
+  const rejected = await prisma.multiSigTransaction.update({
+    where: { id: transactionId },
+    data: { status: 'REJECTED', rejectedAt: new Date() },
+    include: TRANSACTION_INCLUDE,
+  });
+
+  await recordMultiSigActivity(userId, 'MULTISIG_TRANSACTION_REJECTED', {
+    walletId: transaction.walletId,
+    transactionId,
+  });
+
+  return serializeMultiSigTransaction(rejected);
+}
+
+async function findBitcoinTransactionForUser(userId, transactionId) {
+  const transaction = await findTransactionWithWallet({ id: transactionId, wallet: { userId, isActive: true } });
+  if (!transaction) {
+    throw createHttpError('Multi-sig transaction not found', 404);
+  }
+  if (transaction.wallet.network !== 'BITCOIN') {
+    throw createHttpError('PSBTs are only available for Bitcoin multisig wallets', 400);
+  }
+  return transaction;
+}
+
+/**
+ * Build the unsigned PSBT for a Bitcoin proposal from the wallet's UTXOs.
+ * Change goes back to the multisig address; dust change is left to the fee.
+ */
+export async function buildMultiSigPsbtForUser(userId, transactionId, { feeRate } = {}) {
+  const transaction = await findBitcoinTransactionForUser(userId, transactionId);
+  const { wallet } = transaction;
+
+  if (transaction.status === 'EXECUTED' || transaction.status === 'REJECTED') {
+    throw createHttpError(`Transaction is already ${transaction.status.toLowerCase()}`, 400);
+  }
+  if (transaction.psbt) {
+    throw createHttpError('A PSBT has already been built for this transaction', 409);
+  }
+
+  const network = toBitcoinServiceNetwork(wallet);
+  let rate = Number(feeRate);
+  if (feeRate !== undefined && (!Number.isFinite(rate) || rate <= 0)) {
+    throw createHttpError('feeRate must be a positive number of sat/vB', 400);
+  }
+  if (feeRate === undefined) {
+    const estimate = await bitcoinService.getFeeEstimate(network);
+    if (!estimate.success) {
+      throw createHttpError(estimate.error || 'Failed to estimate Bitcoin fee', 502);
+    }
+    rate = estimate.feesPerByte.medium;
+  }
+
+  const utxoResult = await bitcoinService.getUTXOs(wallet.address, network);
+  if (!utxoResult.success) {
+    throw createHttpError(utxoResult.error || 'Failed to load multisig UTXOs', 502);
+  }
+
+  const amountSats = Number(ethers.parseUnits(transaction.amount, 8));
+  const script = wallet.type === 'P2WSH' ? wallet.witnessScript : wallet.redeemScript;
+  const estimateFee = (inputCount, outputCount) => Math.ceil(rate * multiSigService.estimateMultisigVsize(
+    wallet.type, wallet.requiredSignatures, script.length / 2, inputCount, outputCount
+  ));
+  let selection;
+  try {
+    selection = bitcoinTransactionService.selectUtxos(utxoResult.utxos, amountSats, estimateFee);
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+  const { selected, fee, change } = selection;
+
+  const outputs = [{ address: transaction.toAddress, value: amountSats }];
+  if (change > 0) {
+    outputs.push({ address: wallet.address, value: change });
+  }
+
+  if (wallet.type === 'P2SH') {
+    for (const utxo of selected) {
+      const raw = await bitcoinService.getRawTransaction(utxo.txHash, network);
+      if (!raw.success) {
+        throw createHttpError(raw.error || 'Failed to load previous transaction', 502);
+      }
+      utxo.rawTransaction = raw.hex;
+    }
+  }
+
+  let psbt;
+  try {
+    psbt = multiSigService.createMultisigPsbt({ type: wallet.type, script, inputs: selected, outputs, network });
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+
+  const updated = await prisma.multiSigTransaction.update({
+    where: { id: transactionId },
+    data: { psbt: psbt.toBase64(), fee: bitcoinTransactionService.toBtc(fee) },
+    include: TRANSACTION_INCLUDE,
+  });
+
+  await recordMultiSigActivity(userId, 'MULTISIG_PSBT_CREATED', {
+    walletId: wallet.id,
+    transactionId,
+    inputs: selected.length,
+    feeSats: fee,
+  });
+
+  return serializeMultiSigTransaction(updated);
+}
+
+/**
+ * Export the current (possibly partially signed) PSBT in base64 for
+ * cosigners using external PSBT-capable wallets.
+ */
+export async function exportMultiSigPsbtForUser(userId, transactionId) {
+  const transaction = await findBitcoinTransactionForUser(userId, transactionId);
+  if (!transaction.psbt) {
+    throw createHttpError('No PSBT has been built for this transaction', 404);
+  }
+
+  const network = toBitcoinServiceNetwork(transaction.wallet);
+  const psbt = multiSigService.parsePsbt(transaction.psbt, network);
+  return {
+    psbt: transaction.psbt,
+    inputCount: psbt.inputCount,
+    fee: transaction.fee,
+    signedBy: multiSigService.getPsbtSigners(psbt),
+    requiredSignatures: transaction.requiredSignatures,
+  };
+}
+
+/**
+ * Combine `encoded` into the stored PSBT inside a database transaction. The
+ * write only applies if the stored PSBT is still the one that was read;
+ * returns null when another import got there first.
+ */
+async function combineImportedPsbt(client, transactionId, encoded, userId) {
+  const transaction = await findTransactionWithWallet({ id: transactionId, wallet: { isActive: true } }, client);
+  if (!transaction) {
+    throw createHttpError('Multi-sig transaction not found', 404);
+  }
+  if (transaction.status === 'EXECUTED' || transaction.status === 'REJECTED') {
+    throw createHttpError(`Transaction is already ${transaction.status.toLowerCase()}`, 400);
+  }
+  if (!transaction.psbt) {
+    throw createHttpError('No PSBT has been built for this transaction', 400);
+  }
+
+  const { wallet } = transaction;
+  const network = toBitcoinServiceNetwork(wallet);
+  let combined;
+  try {
+    combined = multiSigService.combinePsbt(
+      multiSigService.parsePsbt(transaction.psbt, network),
+      multiSigService.parsePsbt(encoded, network),
+      wallet.signers.map((entry) => entry.publicKey)
+    );
+  } catch (error) {
+    throw createHttpError(error.message, 400);
+  }
+
+  const signedIds = new Set(transaction.signatures.map((entry) => entry.signerId));
+  const psbtSigners = multiSigService.getPsbtSigners(combined)
+    .map((pubkey) => wallet.signers.find((entry) => entry.publicKey?.toLowerCase() === pubkey))
+    .filter(Boolean);
+  const newSigners = psbtSigners.filter((signer) => !signedIds.has(signer.id));
+
+  const currentSignatures = psbtSigners.length;
+  const { count } = await client.multiSigTransaction.updateMany({
+    where: { id: transactionId, psbt: transaction.psbt, updatedAt: transaction.updatedAt },
+    data: {
+      psbt: combined.toBase64(),
+      currentSignatures,
+      status: currentSignatures >= transaction.requiredSignatures ? 'READY' : 'PENDING',
+    },
+  });
+  if (count === 0) {
+    return null;
+  }
+
+  await client.multiSigSignature.createMany({
+    data: newSigners.map((signer) => ({
+      transactionId,
+      signerId: signer.id,
+      signature: combined.data.inputs[0].partialSig
+        .find(({ pubkey }) => pubkey.toString('hex') === signer.publicKey.toLowerCase())
+        .signature.toString('hex'),
+      submittedBy: userId,
+    })),
+    skipDuplicates: true,
+  });
+
+  const updated = await client.multiSigTransaction.findUnique({
+    where: { id: transactionId },
+    include: TRANSACTION_INCLUDE,
+  });
+  return { updated, wallet, newSigners, currentSignatures, requiredSignatures: transaction.requiredSignatures };
+}
+
+/**
+ * Import a cosigner's partially signed PSBT (base64 or hex) and combine it
+ * with the stored PSBT. As with proposal signatures, the partial signatures
+ * are the authorization, so any authenticated caller may relay them. Only
+ * signers with a partial signature on every input count toward the threshold.
+ * Concurrent imports are re-read and re-combined rather than overwriting
+ * each other's signatures.
+ */
+export async function importMultiSigPsbt(userId, transactionId, { psbt: encoded } = {}) {
+  if (!encoded) {
+    throw createHttpError('PSBT is required', 400);
+  }
+
+  for (let attempt = 0; attempt < MAX_PSBT_IMPORT_ATTEMPTS; attempt += 1) {
+    const result = await prisma.$transaction((client) => combineImportedPsbt(client, transactionId, encoded, userId));
+    if (result) {
+      const { updated, wallet, newSigners, currentSignatures, requiredSignatures } = result;
+      await recordMultiSigActivity(userId, 'MULTISIG_PSBT_SIGNED', {
+        walletId: wallet.id,
+        transactionId,
+        signerIds: newSigners.map((signer) => signer.id),
+        signatures: `${currentSignatures}/${requiredSignatures}`,
+      });
+      return serializeMultiSigTransaction(updated);
+    }
+  }
+
+  throw createHttpError('The PSBT was updated by another cosigner at the same time; import it again', 409);
+}
+
+/**
+ * Mark a fully signed transaction as executed.
+ * Only transactions that have reached their signature threshold can be executed.
+ * Bitcoin transactions are executed by finalizing and broadcasting their PSBT,
+ * never on a client-supplied txHash.
+ */
+export async function executeMultiSigTransactionForUser(userId, transactionId, { txHash } = {}) {
+  const transaction = await prisma.multiSigTransaction.findFirst({
+    where: { id: transactionId, wallet: { userId, isActive: true } },
+    include: { wallet: true },
+  });
+
+  if (!transaction) {
+    throw createHttpError('Multi-sig transaction not found', 404);
+  }
+
+  if (transaction.status === 'EXECUTED') {
+    throw createHttpError('Transaction has already been executed', 400);
+  }
+
+  if (transaction.status === 'REJECTED') {
+    throw createHttpError('Transaction has been rejected', 400);
+  }
+
+  if (transaction.currentSignatures < transaction.requiredSignatures) {
+    throw createHttpError(
+      `Transaction needs ${transaction.requiredSignatures} signatures, has ${transaction.currentSignatures}`,
+      400
+    );
+  }
+
+  const isBitcoin = transaction.wallet.network === 'BITCOIN';
+  if (isBitcoin && !transaction.psbt) {
+    throw createHttpError('Build and sign a PSBT before executing a Bitcoin transaction', 400);
+  }
+
+  let broadcastHash = isBitcoin ? null : txHash;
+  if (isBitcoin) {
+    const network = toBitcoinServiceNetwork(transaction.wallet);
+    let finalized;
+    try {
+      finalized = multiSigService.finalizePsbt(multiSigService.parsePsbt(transaction.psbt, network));
+    } catch (error) {
+      throw createHttpError(error.message, 400);
+    }
+
+    const result = await bitcoinService.sendTransaction(finalized.hex, network);
+    if (!result.success) {
+      throw createHttpError(result.error || 'Failed to broadcast Bitcoin transaction', 502);
+    }
+    broadcastHash = result.txHash || finalized.txid;
+  }
+
+  const executed = await prisma.multiSigTransaction.update({
+    where: { id: transactionId },
+    data: {
+      status: 'EXECUTED',
+      txHash: broadcastHash || transaction.txHash || null,
+      executedAt: new Date(),
+    },
+    include: TRANSACTION_INCLUDE,
+  });
+
+  await recordMultiSigActivity(userId, 'MULTISIG_TRANSACTION_EXECUTED', {
+    walletId: transaction.walletId,
+    transactionId,
+    txHash: executed.txHash,
+  });
+
+  return serializeMultiSigTransaction(executed);
+}
+
+export default {
+  buildMultiSigConfig,
+  createMultiSigWallet,
+  listMultiSigWalletsForUser,
+  getMultiSigWalletForUser,
+  deleteMultiSigWalletForUser,
+  getMultiSigWalletBalanceForUser,
+  listMultiSigTransactionsForUser,
+  proposeMultiSigTransactionForUser,
+  signMultiSigTransaction,
+  rejectMultiSigTransactionForUser,
+  buildMultiSigPsbtForUser,
+  exportMultiSigPsbtForUser,
+  importMultiSigPsbt,
+  executeMultiSigTransactionForUser,
+  serializeMultiSigWallet,
+  serializeMultiSigTransaction,
+};
@@ -0,0 +1,360 @@
+import { ethers } from 'ethers';
+import prisma from '../lib/prisma.js';
+import bundlerService from './bundlerService.js';
+import ethereumService from './ethereumService.js';
+import tokenRegistry from './tokenRegistryService.js';
+import logger from './loggerService.js';
+import {
+    PAYMASTER_SPONSOR_CONTEXT,
+    PAYMASTER_TOKENS,
+    WELCOME_SPONSORSHIP,
+} from '../config/paymaster.js';
+
+/**
+ * PaymasterService
+ * Gets paymasterAndData for vault UserOperations from an ERC-7677 paymaster
+ * service, either sponsored (verifying paymaster, limited by per-user
+ * sponsorship policies) or paid by the vault in an ERC-20 token.
+ * Supports Pimlico, Alchemy, Coinbase, or any pm_getPaymasterData provider.
+ */
+
+const PAYMASTER_METHODS = {
+    STUB: 'pm_getPaymasterStubData',
+    DATA: 'pm_getPaymasterData',
+};
+
+const PAYMASTER_MODES = ['sponsor', 'erc20'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ENTRY_POINT_NONCE_ABI = ['function getNonce(address sender, uint192 key) external view returns (uint256)'];
+
+/**
+ * v0.7 paymasterAndData: paymaster address, verification and postOp gas
+ * limits as uint128, then the paymaster's own data.
+ */
+function packPaymasterAndData({ paymaster, paymasterVerificationGasLimit, paymasterPostOpGasLimit, paymasterData }) {
+    return ethers.concat([
+        paymaster,
+        ethers.toBeHex(paymasterVerificationGasLimit, 16),
+        ethers.toBeHex(paymasterPostOpGasLimit, 16),
+        paymasterData || '0x',
+    ]);
+}
+
+class PaymasterService {
+    /**
+     * Resolve a paymaster request for a vault into the ERC-7677 context to
+     * send with it. Sponsored requests must fit the user's sponsorship quota.
+     *
+     * @param {object} smartAccount - SmartAccount row with its wallet
+     * @param {{ mode: 'sponsor'|'erc20', token?: string }} request - token is a symbol or address
+     * @param {bigint} nonce - EntryPoint nonce of the op being built
+     */
+    async prepare(smartAccount, request, nonce) {
+        try {
+            const mode = request?.mode;
+            if (!PAYMASTER_MODES.includes(mode)) {
+                return { success: false, error: `paymaster.mode must be one of: ${PAYMASTER_MODES.join(', ')}` };
+            }
+
+            const { chainId } = smartAccount;
+            if (mode === 'erc20') {
+                const supported = this.getSupportedTokens(chainId);
+                const wanted = String(request.token || '').toLowerCase();
+                const token = supported.find(item => item.symbol.toLowerCase() === wanted || item.address.toLowerCase() === wanted);
+                if (!token) {
+                    return {
+                        success: false,
+                        error: supported.length > 0
+                            ? `paymaster.token must be one of: ${supported.map(item => item.symbol).join(', ')}`
+                            : `No paymaster tokens are available on chain ${chainId}`,
+                    };
+                }
+                return { success: true, data: { mode, token, context: { token: token.address } } };
+            }
+
+            const sponsorship = await this.getSponsorship(smartAccount.wallet.userId, chainId, {
+                exclude: { smartAccountId: smartAccount.id, nonce: nonce.toString() },
+            });
+            if (!sponsorship.eligible) {
+                return { success: false, error: `Gas sponsorship unavailable: ${sponsorship.reason}` };
+            }
+
+            return {
+                success: true,
+                data: {
+                    mode,
+                    sponsorship,
+                    context: { ...PAYMASTER_SPONSOR_CONTEXT, ...(sponsorship.policy.paymasterContext || {}) },
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to prepare paymaster request', { error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * The sponsorship policy that applies to a user on a chain and what is
+     * left of its quota. A policy assigned to the user wins over global ones.
+     * Submitted ops and reservations count against the quota. The signed
+     * paymaster data of a reserved op can be sent through any bundler, so a
+     * reservation keeps counting until it is rebuilt at the same nonce, and
+     * becomes submitted once the EntryPoint has used its nonce.
+     *
+     * @param {{ exclude?: { smartAccountId: string, nonce: string } }} [options] - a
+     *   reservation being rebuilt, which should not count against itself
+     */
+    async getSponsorship(userId, chainId, { exclude } = {}) {
+        const policies = await prisma.sponsorshipPolicy.findMany({
+            where: { isActive: true, OR: [{ userId }, { userId: null }] },
+            orderBy: { createdAt: 'asc' },
+        });
+        let policy = policies
+            .filter(item => item.chainIds.length === 0 || item.chainIds.includes(chainId))
+            .sort((a, b) => Number(Boolean(b.userId)) - Number(Boolean(a.userId)))[0];
+
+        if (!policy && WELCOME_SPONSORSHIP.maxOperations > 0) {
+            const { id, ...welcome } = WELCOME_SPONSORSHIP;
+            policy = await prisma.sponsorshipPolicy.upsert({
+                where: { id },
+                create: { id, ...welcome, chainIds: [] },
+                update: {},
+            });
+            if (!policy.isActive) policy = null;
+        }
+        if (!policy) {
+            return { eligible: false, reason: 'No sponsorship policy covers this chain', policy: null, remaining: null };
+        }
+
+        await this._reconcileReservations(userId, policy.id);
+
+        const used = (await prisma.sponsoredUserOperation.findMany({
+            where: {
+                userId,
+                policyId: policy.id,
+                ...(policy.periodDays && { createdAt: { gte: new Date(Date.now() - policy.periodDays * DAY_MS) } }),
+                status: { in: ['RESERVED', 'SUBMITTED'] },
+            },
+            select: { smartAccountId: true, nonce: true, maxCostWei: true },
+        })).filter(op => !(exclude && op.smartAccountId === exclude.smartAccountId && op.nonce === exclude.nonce));
+
+        const spentWei = used.reduce((sum, op) => sum + BigInt(op.maxCostWei), 0n);
+        const remainingWei = policy.maxTotalWei === null ? null : BigInt(policy.maxTotalWei) - spentWei;
+        const remaining = {
+            operations: policy.maxOperations === null ? null : Math.max(policy.maxOperations - used.length, 0),
+            wei: remainingWei === null ? null : (remainingWei > 0n ? remainingWei : 0n).toString(),
+        };
+
+        let reason = null;
+        if (remaining.operations === 0) {
+            reason = 'Sponsored operation quota used up';
+        } else if (remaining.wei === '0') {
+            reason = 'Sponsored gas budget used up';
+        }
+
+        return { eligible: !reason, reason, policy, remaining };
+    }
+
+    /**
+     * Why a sponsored op costing up to `maxCost` wei is over its policy, or null.
+     */
+    checkSponsoredCost(sponsorship, maxCost) {
+        const { policy, remaining } = sponsorship;
+        if (policy.maxCostWei !== null && maxCost > BigInt(policy.maxCostWei)) {
+            return `Gas sponsorship unavailable: operation may cost ${ethers.formatEther(maxCost)} ETH, over the ${ethers.formatEther(policy.maxCostWei)} ETH limit`;
+        }
+        if (remaining.wei !== null && maxCost > BigInt(remaining.wei)) {
+            return `Gas sponsorship unavailable: operation may cost ${ethers.formatEther(maxCost)} ETH, but only ${ethers.formatEther(remaining.wei)} ETH of sponsored gas is left`;
+        }
+        return null;
+    }
+
+    /**
+     * Hold quota for a built sponsored op. Rebuilding the op at the same
+     * nonce replaces the reservation.
+     */
+    async reserveSponsorship({ policyId, userId, smartAccountId, chainId, nonce, maxCostWei }) {
+        return prisma.sponsoredUserOperation.upsert({
+            where: { smartAccountId_nonce: { smartAccountId, nonce } },
+            create: { policyId, userId, smartAccountId, chainId, nonce, maxCostWei },
+            update: { policyId, maxCostWei, status: 'RESERVED', userOpHash: null },
+        });
+    }
+
+    /**
+     * Count a reserved op as used once the bundler has accepted it.
+     */
+    async markSubmitted(smartAccountId, nonce, userOpHash) {
+        try {
+            const { count } = await prisma.sponsoredUserOperation.updateMany({
+                where: { smartAccountId, nonce: BigInt(nonce).toString(), status: 'RESERVED' },
+                data: { status: 'SUBMITTED', userOpHash },
+            });
+            return { success: true, data: { updated: count } };
+        } catch (error) {
+            logger.error('Failed to record sponsored UserOp', { error: error.message, smartAccountId, userOpHash });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stub paymaster fields for gas estimation (ERC-7677 pm_getPaymasterStubData).
+     */
+    async getStubData(userOp, chainId, context) {
+        return this._call(chainId, PAYMASTER_METHODS.STUB, userOp, context);
+    }
+
+    /**
+     * Final, signed paymaster fields for an op with its gas limits filled in
+     * (ERC-7677 pm_getPaymasterData).
+     */
+    async getPaymasterData(userOp, chainId, context) {
+        return this._call(chainId, PAYMASTER_METHODS.DATA, userOp, context);
+    }
+
+    /**
+     * ERC-20 tokens the paymaster accepts on a chain.
+     */
+    getSupportedTokens(chainId) {
+        return tokenRegistry.getTokens(chainId)
+            .filter(token => PAYMASTER_TOKENS.includes(token.symbol.toUpperCase()))
+            .map(({ symbol, address, decimals }) => ({ symbol, address, decimals }));
+    }
+
+    /**
+     * Paymaster options for a vault: sponsorship eligibility and remaining
+     * quota, and the tokens it can pay gas with.
+     */
+    async getPaymasterOptions(smartAccountId) {
+        try {
+            const smartAccount = await prisma.smartAccount.findUnique({
+                where: { id: smartAccountId },
+                include: { wallet: true },
+            });
+            if (!smartAccount) {
+                return { success: false, error: 'Smart Account not found' };
+            }
+
+            const { chainId } = smartAccount;
+            const sponsorship = await this.getSponsorship(smartAccount.wallet.userId, chainId);
+            const { policy } = sponsorship;
+
+            return {
+                success: true,
+                data: {
+                    chainId,
+                    available: Boolean(this._getPaymasterUrls()[chainId] || process.env.PAYMASTER_RPC_DEFAULT),
+                    sponsorship: {
+                        eligible: sponsorship.eligible,
+                        reason: sponsorship.reason,
+                        policy: policy && {
+                            id: policy.id,
+                            name: policy.name,
+                            maxOperations: policy.maxOperations,
+                            maxCostWei: policy.maxCostWei,
+                            maxTotalWei: policy.maxTotalWei,
+                            periodDays: policy.periodDays,
+                        },
+                        remaining: sponsorship.remaining,
+                    },
+                    tokens: this.getSupportedTokens(chainId),
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to get paymaster options', { error: error.message, smartAccountId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ─── Private Helpers ───────────────────────────────
+
+    /**
+     * Mark a user's reservations as submitted once the EntryPoint nonce of
+     * their vault has moved past them. A nonce that can't be read leaves the
+     * reservation as it is, still counted.
+     */
+    async _reconcileReservations(userId, policyId) {
+        const reserved = await prisma.sponsoredUserOperation.findMany({
+            where: { userId, policyId, status: 'RESERVED' },
+            select: { id: true, nonce: true, smartAccount: { select: { vaultAddress: true, chainId: true } } },
+        });
+
+        const nonces = new Map();
+        const used = [];
+        for (const op of reserved) {
+            const { vaultAddress, chainId } = op.smartAccount;
+            const key = `${chainId}:${vaultAddress.toLowerCase()}`;
+            if (!nonces.has(key)) {
+                nonces.set(key, await this._getEntryPointNonce(chainId, vaultAddress).catch((error) => {
+                    logger.warn('Failed to read EntryPoint nonce', { chainId, vaultAddress, error: error.message });
+                    return null;
+                }));
+            }
+            const current = nonces.get(key);
+            if (current !== null && BigInt(op.nonce) < current) used.push(op.id);
+        }
+
+        if (used.length > 0) {
+            await prisma.sponsoredUserOperation.updateMany({
+                where: { id: { in: used }, status: 'RESERVED' },
+                data: { status: 'SUBMITTED' },
+            });
+        }
+    }
+
+    async _getEntryPointNonce(chainId, vaultAddress) {
+        const network = ethereumService.getNetworkByChainId(chainId);
+        if (!network) throw new Error(`No RPC configured for chainId ${chainId}`);
+
+        const entryPoint = new ethers.Contract(
+            bundlerService.getEntryPointAddress(), ENTRY_POINT_NONCE_ABI, ethereumService.getProvider(network)
+        );
+        return entryPoint.getNonce(vaultAddress, 0);
+    }
+
+    async _call(chainId, method, userOp, context) {
+        try {
+            const response = await fetch(this._getPaymasterUrl(chainId), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method,
+                    params: [userOp, bundlerService.getEntryPointAddress(), ethers.toQuantity(chainId), context],
+                }),
+            });
+
+            const result = await response.json();
+
+            if (result.error) {
+                return { success: false, error: result.error.message || 'Paymaster error' };
+            }
+
+            return { success: true, data: result.result };
+        } catch (error) {
+            logger.error('Paymaster request failed', { method, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    _getPaymasterUrls() {
+        return {
+            1: process.env.PAYMASTER_RPC_MAINNET,
+            11155111: process.env.PAYMASTER_RPC_SEPOLIA,
+            137: process.env.PAYMASTER_RPC_POLYGON,
+            42161: process.env.PAYMASTER_RPC_ARBITRUM,
+        };
+    }
+
+    _getPaymasterUrl(chainId) {
+        const url = this._getPaymasterUrls()[chainId] || process.env.PAYMASTER_RPC_DEFAULT;
+        if (!url) throw new Error(`No paymaster RPC configured for chainId ${chainId}`);
+        return url;
+    }
+}
+
+export { PaymasterService, packPaymasterAndData };
+export default new PaymasterService();
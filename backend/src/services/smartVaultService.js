@@ -1,6 +1,13 @@
 import { ethers } from 'ethers';
 import prisma from '../lib/prisma.js';
+import bundlerService from './bundlerService.js';
+import ethereumService from './ethereumService.js';
+import evmFeeService from './evmFeeService.js';
+import paymasterService, { packPaymasterAndData } from './paymasterService.js';
+import { decryptPrivateKey, encryptPrivateKey } from './telegramExecutionService.js';
+import tokenRegistry from './tokenRegistryService.js';
 import logger from './loggerService.js';
+import { NATIVE_TOKEN_SYMBOLS } from '../config/tokens.js';
 
 /**
  * SmartVaultService
@@ -8,7 +15,9 @@ import logger from './loggerService.js';
  * - Vault address prediction (CREATE2)
  * - Deployment via Factory contract
  * - UserOperation construction
- * - Guardian management (off-chain DB records)
+ * - Session keys (scoped server-held signers)
+ * - On-chain daily spending limits
+ * - Guardians and social recovery, synced from the vault into the DB
  */
 
 // ABI fragments for WalletrixVaultFactory
@@ -27,8 +36,199 @@ const VAULT_ABI = [
     'function recoveryThreshold() external view returns (uint256)',
     'function recoveryPending() external view returns (bool)',
     'function getNonce() external view returns (uint256)',
+    'function execute(address target, uint256 value, bytes data)',
+    'function executeBatch((address target, uint256 value, bytes data)[] calls)',
+    'function grantSessionKey(address key, uint48 validAfter, uint48 validUntil, uint96 valueLimit, (address target, bytes4 selector)[] permissions)',
+    'function revokeSessionKey(address key)',
+    'function sessionKeys(address key) external view returns (uint48 validAfter, uint48 validUntil, uint96 valueLimit, uint32 epoch, uint32 generation)',
+    'function setSpendingLimit(address asset, uint256 limit)',
+    'function applySpendingLimit(address asset)',
+    'function cancelSpendingLimitChange(address asset)',
+    'function spendingLimits(address asset) external view returns (uint256)',
+    'function pendingSpendingLimits(address asset) external view returns (uint256 limit, uint256 executeAfter)',
+    'function spentInWindow(address asset) external view returns (uint256)',
+    'function addGuardian(address guardian)',
+    'function removeGuardian(address guardian)',
+    'function setRecoveryThreshold(uint256 threshold)',
+    'function initiateRecovery(address newOwner)',
+    'function approveRecovery()',
+    'function executeRecovery()',
+    'function cancelRecovery()',
+    'function getPendingRecovery() external view returns (address newOwner, uint256 executeAfter, uint256 approvalCount)',
+    'function hasApprovedRecovery(address guardian) external view returns (bool)',
 ];
 
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) external view returns (uint256)',
+    'function approve(address spender, uint256 amount) external returns (bool)',
+    'function symbol() external view returns (string)',
+    'function decimals() external view returns (uint8)',
+];
+
+const PACKED_USER_OP_TYPE = 'tuple(address sender, uint256 nonce, bytes initCode, bytes callData, bytes32 accountGasLimits, uint256 preVerificationGas, bytes32 gasFees, bytes paymasterAndData, bytes signature)';
+
+const ENTRY_POINT_ABI = [
+    'function getNonce(address sender, uint192 key) external view returns (uint256)',
+    `function getUserOpHash(${PACKED_USER_OP_TYPE} userOp) external view returns (bytes32)`,
+];
+
+// Calldata overheads a bundler charges each op on top of its execution gas
+// (eth-infinitism DefaultGasOverheads, for a bundle of one).
+const PRE_VERIFICATION_OVERHEADS = {
+    fixed: 21000n,
+    perUserOp: 18300n,
+    perUserOpWord: 4n,
+    zeroByte: 4n,
+    nonZeroByte: 16n,
+};
+
+// Bundler estimates reflect current state; leave room for it to change before inclusion.
+const GAS_LIMIT_BUFFER_PERCENT = 10n;
+
+// Estimation needs a well-formed signature. This one recovers to an unrelated
+// key, so the vault returns SIG_VALIDATION_FAILED instead of reverting.
+const DUMMY_SIGNATURE = new ethers.SigningKey(ethers.id('walletrix.userop.dummy-signer'))
+    .sign(ethers.ZeroHash).serialized;
+
+const USER_OP_FEE_TIERS = ['slow', 'normal', 'fast'];
+
+// Two uint128 values in one bytes32, as in accountGasLimits and gasFees.
+const packUint128Pair = (high, low) => ethers.concat([ethers.toBeHex(high, 16), ethers.toBeHex(low, 16)]);
+
+const withBuffer = (gas) => gas + (gas * GAS_LIMIT_BUFFER_PERCENT) / 100n;
+
+const vaultInterface = new ethers.Interface(VAULT_ABI);
+
+const SESSION_KEY_DEFAULT_SECONDS = 24 * 60 * 60;
+const SESSION_KEY_MAX_SECONDS = 30 * 24 * 60 * 60;
+
+// Selector a session permission uses for plain value transfers with empty calldata.
+const VALUE_TRANSFER_SELECTOR = '0x00000000';
+
+// Estimation signs with the dummy key, which fails before the vault looks up the
+// session key, decodes the calls and reads their permissions.
+const SESSION_KEY_VERIFICATION_GAS = 50000n;
+
+// WalletrixVault spending limits: NATIVE_ASSET keys the ETH limit, raising or
+// removing a limit waits SPENDING_LIMIT_TIMELOCK, usage is over SPENDING_WINDOW.
+const NATIVE_ASSET = ethers.ZeroAddress;
+const SPENDING_LIMIT_TIMELOCK_SECONDS = 48 * 60 * 60;
+const SPENDING_WINDOW_SECONDS = 24 * 60 * 60;
+
+// WalletrixVault.RECOVERY_TIMELOCK
+const RECOVERY_TIMELOCK_SECONDS = 48 * 60 * 60;
+
+// Recovery actions, the vault function each calls and who has to send it.
+const RECOVERY_ACTIONS = {
+    initiate: { method: 'initiateRecovery', signer: 'guardian' },
+    approve: { method: 'approveRecovery', signer: 'guardian' },
+    execute: { method: 'executeRecovery', signer: 'anyone' },
+    cancel: { method: 'cancelRecovery', signer: 'owner' },
+};
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Pre-verification gas from the size of the packed op: the calldata cost of
+ * its bytes plus the per-op and per-word bundle overheads.
+ */
+function calcPreVerificationGas(userOp) {
+    const packed = ethers.getBytes(ethers.AbiCoder.defaultAbiCoder().encode(
+        [PACKED_USER_OP_TYPE],
+        [{ ...userOp, preVerificationGas: PRE_VERIFICATION_OVERHEADS.fixed, signature: DUMMY_SIGNATURE }]
+    ));
+    const { fixed, perUserOp, perUserOpWord, zeroByte, nonZeroByte } = PRE_VERIFICATION_OVERHEADS;
+    const callDataCost = packed.reduce((sum, byte) => sum + (byte === 0 ? zeroByte : nonZeroByte), 0n);
+    const words = BigInt(Math.ceil(packed.length / 32));
+    return callDataCost + fixed + perUserOp + perUserOpWord * words;
+}
+
+/**
+ * Validate session key permissions. Each entry names a `target` and either a
+ * 4-byte `selector` or a `function` signature; neither allows plain value
+ * transfers to the target.
+ */
+function normalizeSessionPermissions(permissions, vaultAddress) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+        throw new Error('permissions must be a non-empty array');
+    }
+    return permissions.map(({ target, selector, function: signature } = {}, index) => {
+        if (!ethers.isAddress(target)) {
+            throw new Error(`permissions[${index}].target must be an address`);
+        }
+        if (target.toLowerCase() === vaultAddress.toLowerCase()) {
+            throw new Error('Session keys cannot call the vault itself');
+        }
+        if (selector && !ethers.isHexString(selector, 4)) {
+            throw new Error(`permissions[${index}].selector must be 4 bytes of hex`);
+        }
+        return {
+            target: ethers.getAddress(target),
+            selector: signature
+                ? ethers.FunctionFragment.from(signature).selector
+                : (selector || VALUE_TRANSFER_SELECTOR).toLowerCase(),
+        };
+    });
+}
+
+/**
+ * Whether vault calldata stays inside a session key's grant. Mirrors the
+ * vault's own check so out-of-scope ops are refused before the bundler.
+ */
+function isSessionCallDataAllowed(sessionKey, callData) {
+    let parsed = null;
+    try {
+        parsed = vaultInterface.parseTransaction({ data: callData });
+    } catch (_error) {
+        return false;
+    }
+
+    let calls = [];
+    if (parsed?.name === 'execute') calls = [parsed.args];
+    if (parsed?.name === 'executeBatch') calls = parsed.args.calls;
+
+    const valueLimit = BigInt(sessionKey.valueLimitWei);
+    return calls.length > 0 && calls.every(({ target, value, data }) => {
+        if (value > valueLimit) return false;
+        if (data !== '0x' && ethers.dataLength(data) < 4) return false;
+        const selector = data === '0x' ? VALUE_TRANSFER_SELECTOR : ethers.dataSlice(data, 0, 4);
+        return sessionKey.permissions.some(permission => (
+            permission.target.toLowerCase() === target.toLowerCase() && permission.selector === selector
+        ));
+    });
+}
+
+/**
+ * Packed v0.7 UserOperation to the unpacked JSON-RPC form bundlers accept.
+ */
+function unpackUserOp(userOp) {
+    const high = (packed) => ethers.toQuantity(ethers.dataSlice(packed, 0, 16));
+    const low = (packed) => ethers.toQuantity(ethers.dataSlice(packed, 16, 32));
+    const { initCode, paymasterAndData } = userOp;
+
+    return {
+        sender: userOp.sender,
+        nonce: ethers.toQuantity(BigInt(userOp.nonce)),
+        ...(initCode !== '0x' && {
+            factory: ethers.dataSlice(initCode, 0, 20),
+            factoryData: ethers.dataSlice(initCode, 20),
+        }),
+        callData: userOp.callData,
+        callGasLimit: low(userOp.accountGasLimits),
+        verificationGasLimit: high(userOp.accountGasLimits),
+        preVerificationGas: ethers.toQuantity(BigInt(userOp.preVerificationGas)),
+        maxFeePerGas: low(userOp.gasFees),
+        maxPriorityFeePerGas: high(userOp.gasFees),
+        ...(paymasterAndData !== '0x' && {
+            paymaster: ethers.dataSlice(paymasterAndData, 0, 20),
+            paymasterVerificationGasLimit: ethers.toQuantity(ethers.dataSlice(paymasterAndData, 20, 36)),
+            paymasterPostOpGasLimit: ethers.toQuantity(ethers.dataSlice(paymasterAndData, 36, 52)),
+            paymasterData: ethers.dataSlice(paymasterAndData, 52),
+        }),
+        signature: userOp.signature,
+    };
+}
+
 class SmartVaultService {
     /**
      * Predict the deterministic vault address for an owner + salt.
@@ -146,9 +346,28 @@ class SmartVaultService {
 
     /**
      * Build a UserOperation struct for the vault.
+     * Gas limits come from the bundler's eth_estimateUserOperationGas, fees from
+     * the network's fee history, and both are packed in the v0.7 format.
+     *
+     * With `paymaster`, gas is either sponsored (within the user's sponsorship
+     * policy) or paid in an ERC-20 token. For tokens, an approval of up to
+     * `maxTokenAmount` for the paymaster is batched in front of the calls when
+     * the vault's allowance is lower.
+     *
+     * @param {string} smartAccountId
+     * @param {string} callData - Vault calldata (execute / executeBatch)
+     * @param {{
+     *   feeTier?: 'slow'|'normal'|'fast',
+     *   paymaster?: { mode: 'sponsor'|'erc20', token?: string, maxTokenAmount?: string },
+     *   extraVerificationGas?: bigint,
+     * }} [options] - extraVerificationGas covers validation the dummy signature skips
      */
-    async buildUserOperation(smartAccountId, callData) {
+    async buildUserOperation(smartAccountId, callData, { feeTier = 'normal', paymaster = null, extraVerificationGas = 0n } = {}) {
         try {
+            if (!USER_OP_FEE_TIERS.includes(feeTier)) {
+                return { success: false, error: `feeTier must be one of: ${USER_OP_FEE_TIERS.join(', ')}` };
+            }
+
             const smartAccount = await prisma.smartAccount.findUnique({
                 where: { id: smartAccountId },
                 include: { wallet: true },
@@ -158,25 +377,165 @@ class SmartVaultService {
                 return { success: false, error: 'Smart Account not found' };
             }
 
-            const provider = this._getProvider(smartAccount.chainId);
-            const vault = new ethers.Contract(smartAccount.vaultAddress, VAULT_ABI, provider);
+            const { chainId, vaultAddress } = smartAccount;
+            const provider = this._getProvider(chainId);
+            // The EntryPoint tracks the nonce, which also works before the vault is deployed.
+            const entryPoint = new ethers.Contract(bundlerService.getEntryPointAddress(), ENTRY_POINT_ABI, provider);
+
+            const [nonce, fees] = await Promise.all([
+                entryPoint.getNonce(vaultAddress, 0),
+                this._getUserOpFees(chainId, provider, feeTier),
+            ]);
+
+            let plan = null;
+            if (paymaster) {
+                const prepared = await paymasterService.prepare(smartAccount, paymaster, nonce);
+                if (!prepared.success) return prepared;
+                plan = prepared.data;
+            }
+
+            const initCode = smartAccount.isDeployed ? '0x' : this._buildInitCode(smartAccount);
+            const rpcUserOp = {
+                sender: vaultAddress,
+                nonce: ethers.toQuantity(nonce),
+                ...(!smartAccount.isDeployed && {
+                    factory: ethers.dataSlice(initCode, 0, 20),
+                    factoryData: ethers.dataSlice(initCode, 20),
+                }),
+                callData,
+                callGasLimit: '0x0',
+                verificationGasLimit: '0x0',
+                preVerificationGas: '0x0',
+                maxFeePerGas: ethers.toQuantity(fees.maxFeePerGas),
+                maxPriorityFeePerGas: ethers.toQuantity(fees.maxPriorityFeePerGas),
+                signature: DUMMY_SIGNATURE,
+            };
+
+            let stub = null;
+            if (plan) {
+                const stubResult = await paymasterService.getStubData(rpcUserOp, chainId, plan.context);
+                if (!stubResult.success) {
+                    return { success: false, error: `Paymaster unavailable: ${stubResult.error}` };
+                }
+                stub = stubResult.data;
+                if (plan.mode === 'erc20') {
+                    // The paymaster address is only known from the stub, so the approval is added afterwards.
+                    rpcUserOp.callData = await this._withPaymasterAllowance(
+                        provider, vaultAddress, callData, plan.token, stub.paymaster, paymaster.maxTokenAmount
+                    );
+                }
+                Object.assign(rpcUserOp, {
+                    paymaster: stub.paymaster,
+                    paymasterVerificationGasLimit: stub.paymasterVerificationGasLimit,
+                    paymasterPostOpGasLimit: stub.paymasterPostOpGasLimit,
+                    paymasterData: stub.paymasterData,
+                });
+            }
+
+            const estimate = await bundlerService.estimateGas(rpcUserOp, chainId);
+
+            if (!estimate.success) {
+                return { success: false, error: `UserOperation gas estimation failed: ${estimate.error}` };
+            }
 
-            const nonce = await vault.getNonce();
+            const callGasLimit = withBuffer(BigInt(estimate.data.callGasLimit));
+            const verificationGasLimit = withBuffer(BigInt(estimate.data.verificationGasLimit)) + extraVerificationGas;
+            const paymasterGas = stub && {
+                verification: withBuffer(BigInt(estimate.data.paymasterVerificationGasLimit ?? stub.paymasterVerificationGasLimit ?? 0)),
+                postOp: BigInt(stub.paymasterPostOpGasLimit ?? 0),
+            };
 
             // Construct the UserOperation (ERC-4337 v0.7 packed format)
             const userOp = {
-                sender: smartAccount.vaultAddress,
+                sender: vaultAddress,
                 nonce: nonce.toString(),
-                initCode: smartAccount.isDeployed ? '0x' : this._buildInitCode(smartAccount),
-                callData,
-                accountGasLimits: ethers.zeroPadValue(ethers.toBeHex(500000), 32),
-                preVerificationGas: 50000,
-                gasFees: ethers.zeroPadValue(ethers.toBeHex(1000000000), 32), // 1 gwei
-                paymasterAndData: '0x',
+                initCode,
+                callData: rpcUserOp.callData,
+                accountGasLimits: packUint128Pair(verificationGasLimit, callGasLimit),
+                preVerificationGas: '0',
+                gasFees: packUint128Pair(fees.maxPriorityFeePerGas, fees.maxFeePerGas),
+                // Stub data has the final length, so it prices pre-verification gas correctly.
+                paymasterAndData: stub ? packPaymasterAndData({
+                    ...stub,
+                    paymasterVerificationGasLimit: paymasterGas.verification,
+                    paymasterPostOpGasLimit: paymasterGas.postOp,
+                }) : '0x',
                 signature: '0x',
             };
+            const preVerificationGas = [BigInt(estimate.data.preVerificationGas), calcPreVerificationGas(userOp)]
+                .reduce((max, value) => (value > max ? value : max));
+            userOp.preVerificationGas = preVerificationGas.toString();
 
-            return { success: true, data: userOp };
+            const totalGas = callGasLimit + verificationGasLimit + preVerificationGas
+                + (paymasterGas ? paymasterGas.verification + paymasterGas.postOp : 0n);
+            const maxCost = totalGas * fees.maxFeePerGas;
+
+            if (plan) {
+                if (plan.mode === 'sponsor') {
+                    const overLimit = paymasterService.checkSponsoredCost(plan.sponsorship, maxCost);
+                    if (overLimit) return { success: false, error: overLimit };
+                }
+
+                // Verifying paymasters sign over the gas limits, so the final data is fetched last.
+                let final = stub;
+                if (!stub.isFinal) {
+                    const finalResult = await paymasterService.getPaymasterData({
+                        ...rpcUserOp,
+                        callGasLimit: ethers.toQuantity(callGasLimit),
+                        verificationGasLimit: ethers.toQuantity(verificationGasLimit),
+                        preVerificationGas: ethers.toQuantity(preVerificationGas),
+                        paymasterVerificationGasLimit: ethers.toQuantity(paymasterGas.verification),
+                        paymasterPostOpGasLimit: ethers.toQuantity(paymasterGas.postOp),
+                    }, chainId, plan.context);
+                    if (!finalResult.success) {
+                        return { success: false, error: `Paymaster unavailable: ${finalResult.error}` };
+                    }
+                    final = finalResult.data;
+                }
+                userOp.paymasterAndData = packPaymasterAndData({
+                    paymaster: final.paymaster,
+                    paymasterVerificationGasLimit: paymasterGas.verification,
+                    paymasterPostOpGasLimit: paymasterGas.postOp,
+                    paymasterData: final.paymasterData,
+                });
+
+                if (plan.mode === 'sponsor') {
+                    await paymasterService.reserveSponsorship({
+                        policyId: plan.sponsorship.policy.id,
+                        userId: smartAccount.wallet.userId,
+                        smartAccountId,
+                        chainId,
+                        nonce: nonce.toString(),
+                        maxCostWei: maxCost.toString(),
+                    });
+                }
+            }
+
+            return {
+                success: true,
+                data: userOp,
+                gas: {
+                    callGasLimit: callGasLimit.toString(),
+                    verificationGasLimit: verificationGasLimit.toString(),
+                    preVerificationGas: preVerificationGas.toString(),
+                    ...(paymasterGas && {
+                        paymasterVerificationGasLimit: paymasterGas.verification.toString(),
+                        paymasterPostOpGasLimit: paymasterGas.postOp.toString(),
+                    }),
+                    maxFeePerGas: fees.maxFeePerGas.toString(),
+                    maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+                    feeTier: fees.source === 'feeHistory' ? feeTier : null,
+                    maxCost: ethers.formatEther(maxCost),
+                },
+                ...(plan && {
+                    paymaster: {
+                        mode: plan.mode,
+                        address: ethers.getAddress(stub.paymaster),
+                        token: plan.token?.symbol ?? null,
+                        remaining: plan.sponsorship?.remaining ?? null,
+                    },
+                }),
+            };
         } catch (error) {
             logger.error('Failed to build UserOp', { error: error.message });
             return { success: false, error: error.message };
@@ -184,20 +543,411 @@ class SmartVaultService {
     }
 
     /**
-     * Add a guardian to a Smart Account (off-chain record).
+     * Issue a session key for a vault. The key is generated and kept here,
+     * encrypted; the vault owner must send the returned grantSessionKey
+     * transaction, after which confirmSessionKey activates it.
+     *
+     * @param {string} smartAccountId
+     * @param {{
+     *   permissions: Array<{ target: string, selector?: string, function?: string }>,
+     *   valueLimit?: string,
+     *   validForSeconds?: number,
+     *   label?: string,
+     * }} options - valueLimit is the most ETH any single call may send
+     */
+    async issueSessionKey(smartAccountId, {
+        permissions,
+        valueLimit = '0',
+        validForSeconds = SESSION_KEY_DEFAULT_SECONDS,
+        label,
+    } = {}) {
+        try {
+            const smartAccount = await prisma.smartAccount.findUnique({
+                where: { id: smartAccountId },
+            });
+            if (!smartAccount) {
+                return { success: false, error: 'Smart Account not found' };
+            }
+
+            const seconds = Number(validForSeconds);
+            if (!Number.isInteger(seconds) || seconds <= 0 || seconds > SESSION_KEY_MAX_SECONDS) {
+                return { success: false, error: `validForSeconds must be between 1 and ${SESSION_KEY_MAX_SECONDS}` };
+            }
+            const valueLimitWei = ethers.parseEther(String(valueLimit));
+            if (valueLimitWei < 0n || valueLimitWei >= 2n ** 96n) {
+                return { success: false, error: 'valueLimit is out of range' };
+            }
+            const scoped = normalizeSessionPermissions(permissions, smartAccount.vaultAddress);
+
+            const validAfter = Math.floor(Date.now() / 1000);
+            const validUntil = validAfter + seconds;
+            const key = ethers.Wallet.createRandom();
+
+            const sessionKey = await prisma.vaultSessionKey.create({
+                data: {
+                    smartAccountId,
+                    keyAddress: key.address,
+                    encryptedPrivateKey: encryptPrivateKey(key.privateKey),
+                    label,
+                    permissions: scoped,
+                    valueLimitWei: valueLimitWei.toString(),
+                    validAfter: new Date(validAfter * 1000),
+                    validUntil: new Date(validUntil * 1000),
+                },
+            });
+
+            logger.info('Session key issued', { smartAccountId, keyAddress: key.address, validUntil });
+
+            return {
+                success: true,
+                data: {
+                    ...this._formatSessionKey(sessionKey),
+                    transaction: {
+                        to: smartAccount.vaultAddress,
+                        value: '0',
+                        data: vaultInterface.encodeFunctionData('grantSessionKey', [
+                            key.address,
+                            validAfter,
+                            validUntil,
+                            valueLimitWei,
+                            scoped.map(({ target, selector }) => [target, selector]),
+                        ]),
+                    },
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to issue session key', { error: error.message, smartAccountId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Activate an issued session key once its grant is on-chain.
+     */
+    async confirmSessionKey(sessionKeyId) {
+        try {
+            const sessionKey = await prisma.vaultSessionKey.findUnique({
+                where: { id: sessionKeyId },
+                include: { smartAccount: true },
+            });
+            if (!sessionKey) {
+                return { success: false, error: 'Session key not found' };
+            }
+            if (sessionKey.status !== 'PENDING') {
+                return { success: false, error: `Session key is already ${sessionKey.status.toLowerCase()}` };
+            }
+
+            const { vaultAddress, chainId } = sessionKey.smartAccount;
+            const vault = new ethers.Contract(vaultAddress, VAULT_ABI, this._getProvider(chainId));
+            const granted = await vault.sessionKeys(sessionKey.keyAddress);
+            if (Number(granted.validUntil) !== Math.floor(sessionKey.validUntil.getTime() / 1000)) {
+                return { success: false, error: 'The vault has not granted this session key yet' };
+            }
+
+            const updated = await prisma.vaultSessionKey.update({
+                where: { id: sessionKeyId },
+                data: { status: 'ACTIVE' },
+            });
+
+            logger.info('Session key confirmed', { sessionKeyId, keyAddress: sessionKey.keyAddress });
+            return { success: true, data: this._formatSessionKey(updated) };
+        } catch (error) {
+            logger.error('Failed to confirm session key', { error: error.message, sessionKeyId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stop using a session key right away. When the vault holds a grant for
+     * the key, whatever its status here, the owner should also send the
+     * returned revokeSessionKey transaction.
+     */
+    async revokeSessionKey(sessionKeyId) {
+        try {
+            const sessionKey = await prisma.vaultSessionKey.findUnique({
+                where: { id: sessionKeyId },
+                include: { smartAccount: true },
+            });
+            if (!sessionKey) {
+                return { success: false, error: 'Session key not found' };
+            }
+            if (sessionKey.status === 'REVOKED') {
+                return { success: false, error: 'Session key is already revoked' };
+            }
+
+            // A grant mined without being confirmed here still has to be revoked on-chain.
+            const { vaultAddress, chainId, isDeployed } = sessionKey.smartAccount;
+            let granted = false;
+            if (isDeployed) {
+                const vault = new ethers.Contract(vaultAddress, VAULT_ABI, this._getProvider(chainId));
+                const onChain = await vault.sessionKeys(sessionKey.keyAddress);
+                granted = onChain.validUntil !== 0n;
+            }
+
+            const updated = await prisma.vaultSessionKey.update({
+                where: { id: sessionKeyId },
+                data: { status: 'REVOKED' },
+            });
+
+            logger.info('Session key revoked', { sessionKeyId, keyAddress: sessionKey.keyAddress, granted });
+            return {
+                success: true,
+                data: {
+                    ...this._formatSessionKey(updated),
+                    transaction: granted ? {
+                        to: vaultAddress,
+                        value: '0',
+                        data: vaultInterface.encodeFunctionData('revokeSessionKey', [sessionKey.keyAddress]),
+                    } : null,
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to revoke session key', { error: error.message, sessionKeyId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Session keys issued for a vault, newest first.
+     */
+    async getSessionKeys(smartAccountId) {
+        try {
+            const sessionKeys = await prisma.vaultSessionKey.findMany({
+                where: { smartAccountId },
+                orderBy: { createdAt: 'desc' },
+            });
+            return { success: true, data: sessionKeys.map(sessionKey => this._formatSessionKey(sessionKey)) };
+        } catch (error) {
+            logger.error('Failed to list session keys', { error: error.message, smartAccountId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build, sign with a session key and submit a UserOperation, so a server
+     * process such as the Telegram bot can act on the vault within the key's
+     * grant instead of holding a hot EOA.
+     *
+     * @param {string} sessionKeyId
+     * @param {string} callData - Vault calldata (execute / executeBatch)
+     * @param {{ feeTier?: string, paymaster?: object }} [options] - as for buildUserOperation,
+     *   except that gas cannot be paid in ERC-20 tokens: the paymaster approval
+     *   batched into the operation is outside any session key's grant
+     */
+    async sendWithSessionKey(sessionKeyId, callData, options = {}) {
+        try {
+            const sessionKey = await prisma.vaultSessionKey.findUnique({
+                where: { id: sessionKeyId },
+                include: { smartAccount: true },
+            });
+            if (!sessionKey || sessionKey.status !== 'ACTIVE') {
+                return { success: false, error: 'Session key is not active' };
+            }
+            const now = Date.now();
+            if (now < sessionKey.validAfter.getTime() || now >= sessionKey.validUntil.getTime()) {
+                return { success: false, error: 'Session key has expired' };
+            }
+            if (options.paymaster?.mode === 'erc20') {
+                return { success: false, error: 'Session key operations cannot pay gas in tokens' };
+            }
+            if (!isSessionCallDataAllowed(sessionKey, callData)) {
+                return { success: false, error: 'Call is outside the session key permissions' };
+            }
+
+            const { smartAccountId } = sessionKey;
+            const built = await this.buildUserOperation(smartAccountId, callData, {
+                ...options,
+                extraVerificationGas: SESSION_KEY_VERIFICATION_GAS,
+            });
+            if (!built.success) return built;
+            // The vault checks the calldata that is signed, not the calldata that was asked for.
+            if (!isSessionCallDataAllowed(sessionKey, built.data.callData)) {
+                return { success: false, error: 'Call is outside the session key permissions' };
+            }
+            // Without a paymaster the vault pays the gas, and the vault caps that cost at valueLimit.
+            if (built.data.paymasterAndData === '0x'
+                && ethers.parseEther(built.gas.maxCost) > BigInt(sessionKey.valueLimitWei)) {
+                return {
+                    success: false,
+                    error: `Gas can cost up to ${built.gas.maxCost} ETH, over the session key's value limit. Use a sponsored paymaster or grant a higher value limit`,
+                };
+            }
+
+            const { chainId } = sessionKey.smartAccount;
+            const entryPoint = new ethers.Contract(bundlerService.getEntryPointAddress(), ENTRY_POINT_ABI, this._getProvider(chainId));
+            const userOpHash = await entryPoint.getUserOpHash(built.data);
+            const signer = new ethers.Wallet(decryptPrivateKey(sessionKey.encryptedPrivateKey));
+            const signedUserOp = { ...built.data, signature: await signer.signMessage(ethers.getBytes(userOpHash)) };
+
+            const sent = await bundlerService.sendUserOp(unpackUserOp(signedUserOp), smartAccountId, chainId);
+            if (!sent.success) return sent;
+
+            if (signedUserOp.paymasterAndData !== '0x') {
+                await paymasterService.markSubmitted(smartAccountId, signedUserOp.nonce, sent.data.userOpHash);
+            }
+            await prisma.vaultSessionKey.update({
+                where: { id: sessionKeyId },
+                data: { lastUsedAt: new Date() },
+            });
+
+            return { success: true, data: { userOpHash: sent.data.userOpHash, userOp: signedUserOp }, gas: built.gas };
+        } catch (error) {
+            logger.error('Failed to send with session key', { error: error.message, sessionKeyId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Spending limits set on a deployed vault, with what has been spent in the
+     * current 24-hour window and any queued change. Checks the chain's native
+     * currency and every registry token on the chain.
+     */
+    async getSpendingLimits(smartAccountId) {
+        try {
+            const loaded = await this._getDeployedVault(smartAccountId);
+            if (!loaded.success) return loaded;
+
+            const { smartAccount, vault } = loaded;
+            const assets = [
+                this._nativeAsset(smartAccount.chainId),
+                ...tokenRegistry.getTokens(smartAccount.chainId)
+                    .map(({ symbol, address, decimals }) => ({ symbol, address, decimals })),
+            ];
+
+            const limits = await Promise.all(assets.map(async (asset) => {
+                const [limit, pending] = await Promise.all([
+                    vault.spendingLimits(asset.address),
+                    vault.pendingSpendingLimits(asset.address),
+                ]);
+                if (limit === 0n && pending.executeAfter === 0n) return null;
+
+                const spent = limit === 0n ? 0n : await vault.spentInWindow(asset.address);
+                return {
+                    token: asset.symbol,
+                    address: asset.address,
+                    limit: limit === 0n ? null : ethers.formatUnits(limit, asset.decimals),
+                    spent: ethers.formatUnits(spent, asset.decimals),
+                    remaining: limit === 0n ? null : ethers.formatUnits(spent < limit ? limit - spent : 0n, asset.decimals),
+                    pending: pending.executeAfter === 0n ? null : {
+                        limit: pending.limit === 0n ? null : ethers.formatUnits(pending.limit, asset.decimals),
+                        executeAfter: new Date(Number(pending.executeAfter) * 1000),
+                    },
+                };
+            }));
+
+            return {
+                success: true,
+                data: {
+                    smartAccountId,
+                    vaultAddress: smartAccount.vaultAddress,
+                    windowSeconds: SPENDING_WINDOW_SECONDS,
+                    timelockSeconds: SPENDING_LIMIT_TIMELOCK_SECONDS,
+                    limits: limits.filter(Boolean),
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to get spending limits', { error: error.message, smartAccountId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build the owner transaction that sets a vault's daily limit for the
+     * native currency or a token. Adding or lowering a limit applies at once;
+     * raising or removing one is queued for the vault's 48-hour timelock and
+     * then needs applySpendingLimit.
+     *
+     * @param {string} smartAccountId
+     * @param {{ token?: string, limit: string }} options - token is a symbol or
+     *   address (the native currency when omitted); limit is in whole token
+     *   units, and '0' removes the limit
+     */
+    async setSpendingLimit(smartAccountId, { token, limit }) {
+        try {
+            const loaded = await this._getDeployedVault(smartAccountId);
+            if (!loaded.success) return loaded;
+
+            const { smartAccount, vault } = loaded;
+            const asset = await this._resolveLimitAsset(smartAccount.chainId, token);
+            const limitUnits = ethers.parseUnits(String(limit), asset.decimals);
+            if (limitUnits < 0n || limitUnits >= 2n ** 192n) {
+                return { success: false, error: 'limit is out of range' };
+            }
+
+            const current = await vault.spendingLimits(asset.address);
+            const immediate = current === 0n || (limitUnits !== 0n && limitUnits <= current);
+            const effectiveAt = new Date(Date.now() + (immediate ? 0 : SPENDING_LIMIT_TIMELOCK_SECONDS * 1000));
+
+            return {
+                success: true,
+                data: {
+                    token: asset.symbol,
+                    address: asset.address,
+                    limit: limitUnits === 0n ? null : ethers.formatUnits(limitUnits, asset.decimals),
+                    current: current === 0n ? null : ethers.formatUnits(current, asset.decimals),
+                    immediate,
+                    effectiveAt,
+                    transaction: {
+                        to: smartAccount.vaultAddress,
+                        value: '0',
+                        data: vaultInterface.encodeFunctionData('setSpendingLimit', [asset.address, limitUnits]),
+                    },
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to build spending limit change', { error: error.message, smartAccountId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build the transaction that applies a queued limit change once its
+     * timelock has run out. Any account may send it.
+     */
+    async applySpendingLimit(smartAccountId, { token } = {}) {
+        return this._buildPendingLimitTransaction(smartAccountId, token, 'applySpendingLimit');
+    }
+
+    /**
+     * Build the owner transaction that drops a queued limit change.
+     */
+    async cancelSpendingLimitChange(smartAccountId, { token } = {}) {
+        return this._buildPendingLimitTransaction(smartAccountId, token, 'cancelSpendingLimitChange');
+    }
+
+    /**
+     * Add a guardian to a Smart Account. The guardian only counts for
+     * recovery once the owner sends the returned addGuardian transaction
+     * (null until the vault is deployed); the next sync marks it on-chain.
      */
     async addGuardian(smartAccountId, guardianAddress, label) {
         try {
+            if (!ethers.isAddress(guardianAddress)) {
+                return { success: false, error: 'guardianAddress must be a valid address' };
+            }
+
             const guardian = await prisma.guardian.create({
                 data: {
                     smartAccountId,
                     guardianAddress,
                     label,
                 },
+                include: { smartAccount: true },
             });
+            const { smartAccount, ...record } = guardian;
 
             logger.info('Guardian added', { smartAccountId, guardianAddress });
-            return { success: true, data: guardian };
+            return {
+                success: true,
+                data: {
+                    ...record,
+                    transaction: smartAccount.isDeployed ? {
+                        to: smartAccount.vaultAddress,
+                        value: '0',
+                        data: vaultInterface.encodeFunctionData('addGuardian', [ethers.getAddress(guardianAddress)]),
+                    } : null,
+                },
+            };
         } catch (error) {
             if (error.code === 'P2002') {
                 return { success: false, error: 'Guardian already exists for this vault' };
@@ -208,25 +958,500 @@ class SmartVaultService {
     }
 
     /**
-     * Remove a guardian from a Smart Account (soft-delete).
+     * Remove a guardian from a Smart Account (soft-delete). A guardian already
+     * on-chain keeps its recovery power until the owner sends the returned
+     * removeGuardian transaction.
      */
     async removeGuardian(smartAccountId, guardianAddress) {
         try {
+            const guardian = await prisma.guardian.findFirst({
+                where: { smartAccountId, guardianAddress },
+                include: { smartAccount: true },
+            });
             await prisma.guardian.updateMany({
                 where: { smartAccountId, guardianAddress },
                 data: { isActive: false },
             });
 
             logger.info('Guardian removed', { smartAccountId, guardianAddress });
-            return { success: true };
+            return {
+                success: true,
+                data: {
+                    transaction: guardian?.onChain ? {
+                        to: guardian.smartAccount.vaultAddress,
+                        value: '0',
+                        data: vaultInterface.encodeFunctionData('removeGuardian', [ethers.getAddress(guardianAddress)]),
+                    } : null,
+                },
+            };
         } catch (error) {
             logger.error('Failed to remove guardian', { error: error.message });
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Build the owner transaction that sets how many on-chain guardians must
+     * approve a recovery.
+     */
+    async setRecoveryThreshold(smartAccountId, threshold) {
+        try {
+            const loaded = await this._getDeployedVault(smartAccountId);
+            if (!loaded.success) return loaded;
+
+            const { smartAccount, vault } = loaded;
+            const guardianCount = Number(await vault.getGuardianCount());
+            const value = Number(threshold);
+            if (!Number.isInteger(value) || value < 1 || value > guardianCount) {
+                return {
+                    success: false,
+                    error: guardianCount > 0
+                        ? `threshold must be between 1 and ${guardianCount}`
+                        : 'Add a guardian on-chain before setting the threshold',
+                };
+            }
+
+            return {
+                success: true,
+                data: {
+                    threshold: value,
+                    transaction: {
+                        to: smartAccount.vaultAddress,
+                        value: '0',
+                        data: vaultInterface.encodeFunctionData('setRecoveryThreshold', [value]),
+                    },
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to build recovery threshold change', { error: error.message, smartAccountId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Read a vault's owner, guardians, threshold and pending recovery from
+     * the chain, sync them into the Guardian and VaultRecovery tables, and
+     * return the result. A pending recovery that disappears on-chain is
+     * recorded as executed when the owner changed to its new owner, and as
+     * cancelled otherwise.
+     */
+    async getRecoveryStatus(smartAccountId) {
+        try {
+            const loaded = await this._getDeployedVault(smartAccountId, { wallet: true });
+            if (!loaded.success) return loaded;
+
+            const { smartAccount, vault } = loaded;
+            const [owner, onChainGuardians, threshold, pending] = await Promise.all([
+                vault.owner(),
+                vault.getGuardians(),
+                vault.recoveryThreshold(),
+                vault.getPendingRecovery(),
+            ]);
+
+            const isPending = pending.newOwner !== ethers.ZeroAddress;
+            const approved = isPending
+                ? await Promise.all(onChainGuardians.map(guardian => vault.hasApprovedRecovery(guardian)))
+                : [];
+            const approvals = onChainGuardians.filter((_, index) => approved[index]);
+
+            const guardians = await this._syncGuardians(smartAccountId, onChainGuardians);
+            const recovery = await this._syncRecovery(smartAccount, {
+                owner,
+                pending: isPending ? {
+                    newOwner: pending.newOwner,
+                    executeAfter: new Date(Number(pending.executeAfter) * 1000),
+                    approvalCount: Number(pending.approvalCount),
+                    approvals,
+                } : null,
+                threshold: Number(threshold),
+            });
+
+            return {
+                success: true,
+                data: {
+                    smartAccountId,
+                    chainId: smartAccount.chainId,
+                    vaultAddress: smartAccount.vaultAddress,
+                    owner,
+                    ownerIsWallet: sameAddress(owner, smartAccount.wallet.address),
+                    threshold: Number(threshold),
+                    timelockSeconds: RECOVERY_TIMELOCK_SECONDS,
+                    guardians: guardians.map(guardian => ({
+                        id: guardian.id,
+                        guardianAddress: guardian.guardianAddress,
+                        label: guardian.label,
+                        onChain: guardian.onChain,
+                        approved: recovery?.status === 'PENDING' && recovery.approvals.some(address => sameAddress(address, guardian.guardianAddress)),
+                    })),
+                    recovery: recovery && this._formatRecovery(recovery),
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to get recovery status', { error: error.message, smartAccountId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Vaults a user is a guardian of through any of their Ethereum wallets,
+     * with each vault's synced recovery status.
+     */
+    async getGuardedVaults(userId) {
+        try {
+            const wallets = await prisma.wallet.findMany({
+                where: { userId, network: 'ETHEREUM', isActive: true },
+                select: { address: true },
+            });
+            if (wallets.length === 0) {
+                return { success: true, data: [] };
+            }
+
+            const guardianships = await prisma.guardian.findMany({
+                where: {
+                    isActive: true,
+                    OR: wallets.map(wallet => ({ guardianAddress: { equals: wallet.address, mode: 'insensitive' } })),
+                },
+                select: { smartAccountId: true, guardianAddress: true },
+            });
+
+            const vaults = [];
+            for (const { smartAccountId, guardianAddress } of guardianships) {
+                const status = await this.getRecoveryStatus(smartAccountId);
+                if (!status.success) continue;
+
+                const guardian = status.data.guardians.find(item => sameAddress(item.guardianAddress, guardianAddress));
+                if (!guardian) continue;
+                vaults.push({ ...status.data, guardian });
+            }
+
+            return { success: true, data: vaults };
+        } catch (error) {
+            logger.error('Failed to get guarded vaults', { error: error.message, userId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build a recovery transaction after checking it against the vault's
+     * live state: `initiate` and `approve` are sent by a guardian, `execute`
+     * by anyone once the timelock has passed with enough approvals, and
+     * `cancel` by the owner.
+     *
+     * @param {string} smartAccountId
+     * @param {'initiate'|'approve'|'execute'|'cancel'} action
+     * @param {{ newOwner?: string }} [options] - newOwner is required to initiate
+     */
+    async buildRecoveryTransaction(smartAccountId, action, { newOwner } = {}) {
+        try {
+            const recoveryAction = RECOVERY_ACTIONS[action];
+            if (!recoveryAction) {
+                return { success: false, error: `action must be one of: ${Object.keys(RECOVERY_ACTIONS).join(', ')}` };
+            }
+
+            const status = await this.getRecoveryStatus(smartAccountId);
+            if (!status.success) return status;
+
+            const { recovery, threshold, vaultAddress } = status.data;
+            const isPending = recovery?.status === 'PENDING';
+            const args = [];
+
+            if (action === 'initiate') {
+                if (!ethers.isAddress(newOwner)) {
+                    return { success: false, error: 'newOwner must be a valid address' };
+                }
+                if (isPending) {
+                    return { success: false, error: 'A recovery is already pending for this vault' };
+                }
+                if (threshold === 0) {
+                    return { success: false, error: 'The vault has no recovery threshold set' };
+                }
+                args.push(ethers.getAddress(newOwner));
+            } else if (!isPending) {
+                return { success: false, error: 'No recovery is pending for this vault' };
+            }
+
+            if (action === 'execute' && !recovery.canExecute) {
+                return {
+                    success: false,
+                    error: recovery.approvalCount < recovery.threshold
+                        ? `Recovery needs ${recovery.threshold} approvals and has ${recovery.approvalCount}`
+                        : `Recovery can be executed after ${recovery.executeAfter.toISOString()}`,
+                };
+            }
+
+            return {
+                success: true,
+                data: {
+                    action,
+                    signer: recoveryAction.signer,
+                    recovery,
+                    transaction: {
+                        to: vaultAddress,
+                        value: '0',
+                        data: vaultInterface.encodeFunctionData(recoveryAction.method, args),
+                    },
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to build recovery transaction', { error: error.message, smartAccountId, action });
+            return { success: false, error: error.message };
+        }
+    }
+
     // ─── Private Helpers ───────────────────────────────
 
+    /**
+     * EIP-1559 fees in wei for a UserOperation: the chosen fee-history tier,
+     * or the provider's fee data on chains without a fee-history config.
+     */
+    async _getUserOpFees(chainId, provider, feeTier) {
+        const network = ethereumService.getNetworkByChainId(chainId);
+        if (network) {
+            const suggestions = await evmFeeService.getFeeSuggestions(network);
+            const tier = suggestions.success && suggestions.tiers[feeTier];
+            if (tier) {
+                return {
+                    maxFeePerGas: ethers.parseUnits(tier.maxFeePerGas, 'gwei'),
+                    maxPriorityFeePerGas: ethers.parseUnits(tier.maxPriorityFeePerGas, 'gwei'),
+                    source: 'feeHistory',
+                };
+            }
+        }
+
+        const feeData = await provider.getFeeData();
+        if (feeData.maxFeePerGas === null || feeData.maxPriorityFeePerGas === null) {
+            throw new Error(`Chain ${chainId} did not return EIP-1559 fee data`);
+        }
+        return {
+            maxFeePerGas: feeData.maxFeePerGas,
+            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+            source: 'provider',
+        };
+    }
+
+    /**
+     * Vault calldata that approves the ERC-20 paymaster first when the vault's
+     * allowance is below `maxTokenAmount` (in token units). Token paymasters
+     * charge in postOp, after the approval has run.
+     */
+    async _withPaymasterAllowance(provider, vaultAddress, callData, token, paymasterAddress, maxTokenAmount) {
+        const erc20 = new ethers.Contract(token.address, ERC20_ABI, provider);
+        const allowance = await erc20.allowance(vaultAddress, paymasterAddress);
+
+        if (maxTokenAmount === undefined || maxTokenAmount === null || maxTokenAmount === '') {
+            if (allowance > 0n) return callData;
+            throw new Error(`maxTokenAmount is required to approve the paymaster to spend ${token.symbol}`);
+        }
+
+        const cap = ethers.parseUnits(String(maxTokenAmount), token.decimals);
+        if (allowance >= cap) return callData;
+
+        const vault = new ethers.Interface(VAULT_ABI);
+        const parsed = vault.parseTransaction({ data: callData });
+        if (!parsed || !['execute', 'executeBatch'].includes(parsed.name)) {
+            throw new Error('ERC-20 gas payment needs execute or executeBatch calldata');
+        }
+        const calls = parsed.name === 'execute'
+            ? [[parsed.args.target, parsed.args.value, parsed.args.data]]
+            : parsed.args.calls.map(call => [call.target, call.value, call.data]);
+        const approve = new ethers.Interface(ERC20_ABI).encodeFunctionData('approve', [paymasterAddress, cap]);
+
+        return vault.encodeFunctionData('executeBatch', [[[token.address, 0n, approve], ...calls]]);
+    }
+
+    async _getDeployedVault(smartAccountId, include) {
+        const smartAccount = await prisma.smartAccount.findUnique({
+            where: { id: smartAccountId },
+            ...(include && { include }),
+        });
+        if (!smartAccount) {
+            return { success: false, error: 'Smart Account not found' };
+        }
+        if (!smartAccount.isDeployed) {
+            return { success: false, error: 'Vault is not deployed yet' };
+        }
+
+        const vault = new ethers.Contract(smartAccount.vaultAddress, VAULT_ABI, this._getProvider(smartAccount.chainId));
+        return { success: true, smartAccount, vault };
+    }
+
+    _nativeAsset(chainId) {
+        return { symbol: NATIVE_TOKEN_SYMBOLS[chainId] || 'ETH', address: NATIVE_ASSET, decimals: 18 };
+    }
+
+    /**
+     * The asset a limit applies to: the native currency when `token` is
+     * empty or the native symbol, else a registry token by symbol or any
+     * ERC-20 by address.
+     */
+    async _resolveLimitAsset(chainId, token) {
+        if (!token || tokenRegistry.isNative(token, chainId)) {
+            return this._nativeAsset(chainId);
+        }
+
+        if (!ethers.isAddress(token)) {
+            const { symbol, address, decimals } = tokenRegistry.resolveSymbol(token, chainId);
+            return { symbol, address, decimals };
+        }
+
+        const listed = tokenRegistry.getToken(chainId, token);
+        if (listed) {
+            return { symbol: listed.symbol, address: listed.address, decimals: listed.decimals };
+        }
+        const contract = new ethers.Contract(token, ERC20_ABI, this._getProvider(chainId));
+        const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+        return { symbol, address: ethers.getAddress(token), decimals: Number(decimals) };
+    }
+
+    async _buildPendingLimitTransaction(smartAccountId, token, method) {
+        try {
+            const loaded = await this._getDeployedVault(smartAccountId);
+            if (!loaded.success) return loaded;
+
+            const { smartAccount, vault } = loaded;
+            const asset = await this._resolveLimitAsset(smartAccount.chainId, token);
+            const pending = await vault.pendingSpendingLimits(asset.address);
+            if (pending.executeAfter === 0n) {
+                return { success: false, error: `No ${asset.symbol} spending limit change is pending` };
+            }
+
+            const executeAfter = new Date(Number(pending.executeAfter) * 1000);
+            if (method === 'applySpendingLimit' && executeAfter.getTime() > Date.now()) {
+                return { success: false, error: `The ${asset.symbol} spending limit change can be applied after ${executeAfter.toISOString()}` };
+            }
+
+            return {
+                success: true,
+                data: {
+                    token: asset.symbol,
+                    address: asset.address,
+                    limit: pending.limit === 0n ? null : ethers.formatUnits(pending.limit, asset.decimals),
+                    executeAfter,
+                    transaction: {
+                        to: smartAccount.vaultAddress,
+                        value: '0',
+                        data: vaultInterface.encodeFunctionData(method, [asset.address]),
+                    },
+                },
+            };
+        } catch (error) {
+            logger.error('Failed to build pending spending limit transaction', { error: error.message, smartAccountId, method });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Mirror the on-chain guardian list: guardians on-chain are active and
+     * marked onChain (created if they were added outside the app), the rest
+     * are not onChain. Returns the active guardians.
+     */
+    async _syncGuardians(smartAccountId, onChainGuardians) {
+        const rows = await prisma.guardian.findMany({ where: { smartAccountId } });
+
+        for (const address of onChainGuardians) {
+            if (!rows.some(row => sameAddress(row.guardianAddress, address))) {
+                await prisma.guardian.create({
+                    data: { smartAccountId, guardianAddress: address, onChain: true },
+                });
+            }
+        }
+        for (const row of rows) {
+            const onChain = onChainGuardians.some(address => sameAddress(address, row.guardianAddress));
+            if (row.onChain !== onChain || (onChain && !row.isActive)) {
+                await prisma.guardian.update({
+                    where: { id: row.id },
+                    data: { onChain, ...(onChain && { isActive: true }) },
+                });
+            }
+        }
+
+        return prisma.guardian.findMany({
+            where: { smartAccountId, isActive: true },
+            orderBy: { addedAt: 'asc' },
+        });
+    }
+
+    /**
+     * Bring the vault's VaultRecovery rows in line with its on-chain pending
+     * recovery and return the current (or most recent) one.
+     */
+    async _syncRecovery(smartAccount, { owner, pending, threshold }) {
+        const current = await prisma.vaultRecovery.findFirst({
+            where: { smartAccountId: smartAccount.id, status: 'PENDING' },
+            orderBy: { createdAt: 'desc' },
+        });
+        const isSameRequest = Boolean(current && pending)
+            && sameAddress(current.newOwner, pending.newOwner)
+            && current.executeAfter.getTime() === pending.executeAfter.getTime();
+
+        if (current && !isSameRequest) {
+            const executed = sameAddress(owner, current.newOwner);
+            const resolved = await prisma.vaultRecovery.update({
+                where: { id: current.id },
+                data: { status: executed ? 'EXECUTED' : 'CANCELLED', resolvedAt: new Date() },
+            });
+            logger.info('Vault recovery resolved', { smartAccountId: smartAccount.id, recoveryId: current.id, status: resolved.status });
+            if (!pending) return resolved;
+        }
+
+        if (pending) {
+            const data = { approvals: pending.approvals, approvalCount: pending.approvalCount, threshold };
+            if (isSameRequest) {
+                return prisma.vaultRecovery.update({ where: { id: current.id }, data });
+            }
+
+            logger.info('Vault recovery detected', { smartAccountId: smartAccount.id, newOwner: pending.newOwner });
+            return prisma.vaultRecovery.create({
+                data: {
+                    smartAccountId: smartAccount.id,
+                    previousOwner: owner,
+                    newOwner: pending.newOwner,
+                    executeAfter: pending.executeAfter,
+                    ...data,
+                },
+            });
+        }
+
+        return prisma.vaultRecovery.findFirst({
+            where: { smartAccountId: smartAccount.id },
+            orderBy: { createdAt: 'desc' },
+        });
+    }
+
+    _formatRecovery(recovery) {
+        return {
+            id: recovery.id,
+            status: recovery.status,
+            previousOwner: recovery.previousOwner,
+            newOwner: recovery.newOwner,
+            executeAfter: recovery.executeAfter,
+            approvals: recovery.approvals,
+            approvalCount: recovery.approvalCount,
+            threshold: recovery.threshold,
+            canExecute: recovery.status === 'PENDING'
+                && recovery.approvalCount >= recovery.threshold
+                && recovery.executeAfter.getTime() <= Date.now(),
+            createdAt: recovery.createdAt,
+            resolvedAt: recovery.resolvedAt,
+        };
+    }
+
+    _formatSessionKey(sessionKey) {
+        return {
+            id: sessionKey.id,
+            smartAccountId: sessionKey.smartAccountId,
+            keyAddress: sessionKey.keyAddress,
+            label: sessionKey.label,
+            permissions: sessionKey.permissions,
+            valueLimit: ethers.formatEther(sessionKey.valueLimitWei),
+            validAfter: sessionKey.validAfter,
+            validUntil: sessionKey.validUntil,
+            status: sessionKey.status,
+            expired: sessionKey.validUntil.getTime() <= Date.now(),
+            lastUsedAt: sessionKey.lastUsedAt ?? null,
+        };
+    }
+
     _getProvider(chainId) {
         const rpcUrls = {
             1: process.env.ETHEREUM_MAINNET_RPC,
@@ -257,4 +1482,5 @@ class SmartVaultService {
     }
 }
 
+export { isSessionCallDataAllowed, unpackUserOp };
 export default new SmartVaultService();
@@ -1,6 +1,143 @@
 import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { ethers } from 'ethers';
 import axios from 'axios';
 import logger from './loggerService.js';
+import { SOLANA_TOKEN_REGISTRY } from '../config/tokens.js';
+
+const NETWORK_ALIASES = {
+  'solana-mainnet': 'mainnet-beta',
+  'solana-devnet': 'devnet',
+  'solana-testnet': 'testnet',
+  mainnet: 'mainnet-beta',
+};
+
+const TOKEN_PROGRAMS = [
+  { programId: TOKEN_PROGRAM_ID, tokenProgram: 'spl-token' },
+  { programId: TOKEN_2022_PROGRAM_ID, tokenProgram: 'token-2022' },
+];
+
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// getMultipleAccountsInfo accepts at most 100 keys per call.
+const MAX_MULTIPLE_ACCOUNTS = 100;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Metaplex token metadata: key (1) + update authority (32) + mint (32), then
+ * Borsh strings for name, symbol and uri padded with NUL bytes.
+ */
+function decodeMetaplexMetadata(data) {
+  let offset = 65;
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    offset += 4;
+    const value = data.subarray(offset, offset + length).toString('utf8').replace(/\0/g, '').trim();
+    offset += length;
+    return value;
+  };
+  return { name: readString(), symbol: readString(), uri: readString() };
+}
+
+// Parsed transactions are fetched as one JSON-RPC batch per chunk; public RPCs reject large batches.
+const HISTORY_BATCH_SIZE = 25;
+const MAX_HISTORY_LIMIT = 100;
+
+const SYSTEM_TRANSFER_TYPES = new Set(['transfer', 'transferWithSeed', 'createAccount', 'createAccountWithSeed']);
+const TOKEN_PARSED_PROGRAMS = new Set(['spl-token', 'spl-token-2022']);
+const TOKEN_TRANSFER_TYPES = new Set(['transfer', 'transferChecked']);
+
+function directionFor(from, to, address) {
+  if (from === address && to === address) return 'self';
+  if (from === address) return 'out';
+  if (to === address) return 'in';
+  return null;
+}
+
+/**
+ * SOL and SPL transfers touching `address` in a jsonParsed transaction, from
+ * top-level and inner instructions. Token accounts are mapped to their owners
+ * (and mints/decimals for plain `transfer`) through the pre/post token balances.
+ */
+function decodeParsedTransfers(tx, address, registry) {
+  const accountKeys = tx.transaction.message.accountKeys.map(key => key.pubkey.toBase58());
+  const tokenAccounts = {};
+  for (const balance of [...(tx.meta?.preTokenBalances || []), ...(tx.meta?.postTokenBalances || [])]) {
+    tokenAccounts[accountKeys[balance.accountIndex]] = {
+      owner: balance.owner,
+      mint: balance.mint,
+      decimals: balance.uiTokenAmount.decimals,
+    };
+  }
+
+  const instructions = [
+    ...tx.transaction.message.instructions,
+    ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions),
+  ];
+
+  const transfers = [];
+  let memo = null;
+  for (const instruction of instructions) {
+    if (instruction.program === 'spl-memo' && memo === null) {
+      memo = typeof instruction.parsed === 'string' ? instruction.parsed : null;
+      continue;
+    }
+
+    const { type, info } = instruction.parsed || {};
+    if (!info) continue;
+
+    if (instruction.program === 'system' && SYSTEM_TRANSFER_TYPES.has(type)) {
+      const from = info.source;
+      const to = info.destination || info.newAccount;
+      const direction = directionFor(from, to, address);
+      if (!direction) continue;
+      transfers.push({
+        type: 'sol',
+        direction,
+        from,
+        to,
+        counterparty: direction === 'in' ? from : to,
+        amount: ethers.formatUnits(BigInt(info.lamports), 9),
+        amountRaw: String(info.lamports),
+        symbol: 'SOL',
+        decimals: 9,
+      });
+    } else if (TOKEN_PARSED_PROGRAMS.has(instruction.program) && TOKEN_TRANSFER_TYPES.has(type)) {
+      const source = tokenAccounts[info.source] || {};
+      const destination = tokenAccounts[info.destination] || {};
+      const from = source.owner || info.authority || info.multisigAuthority;
+      const to = destination.owner || info.destination;
+      const direction = directionFor(from, to, address);
+      if (!direction) continue;
+
+      const mint = info.mint || source.mint || destination.mint || null;
+      const decimals = info.tokenAmount?.decimals ?? source.decimals ?? destination.decimals ?? 0;
+      const amountRaw = info.tokenAmount?.amount ?? info.amount;
+      transfers.push({
+        type: 'token',
+        direction,
+        from,
+        to,
+        counterparty: direction === 'in' ? from : to,
+        amount: ethers.formatUnits(BigInt(amountRaw), decimals),
+        amountRaw: String(amountRaw),
+        mint,
+        symbol: registry[mint]?.symbol || null,
+        decimals,
+        tokenProgram: instruction.program === 'spl-token-2022' ? 'token-2022' : 'spl-token',
+      });
+    }
+  }
+
+  return { feePayer: accountKeys[0], transfers, memo };
+}
 
 class SolanaService {
   constructor() {
@@ -47,16 +184,15 @@ class SolanaService {
     }
   }
 
+  resolveCluster(network = 'mainnet-beta') {
+    const cluster = NETWORK_ALIASES[network] || network;
+    return this.networkConfigs[cluster] ? cluster : 'mainnet-beta';
+  }
+
   getConnection(network = 'mainnet-beta') {
     this.initializeConnections();
 
-    const networkMap = {
-      'solana-mainnet': 'mainnet-beta',
-      'solana-devnet': 'devnet',
-      'solana-testnet': 'testnet',
-    };
-
-    const mappedNetwork = networkMap[network] || network;
+    const mappedNetwork = NETWORK_ALIASES[network] || network;
     const connection = this.connections[mappedNetwork];
 
     if (!connection) {
@@ -93,33 +229,191 @@ class SolanaService {
     }
   }
 
-  async getTransactionHistory(address, network = 'mainnet-beta', limit = 10) {
+  /**
+   * SPL token holdings across the classic Token and Token-2022 programs,
+   * aggregated per mint. Names and symbols come from the known-mint registry,
+   * then Token-2022 metadata extensions or Metaplex metadata accounts.
+   */
+  async getTokenBalances(address, network = 'mainnet-beta') {
+    try {
+      const connection = this.getConnection(network);
+      const owner = new PublicKey(address);
+
+      const responses = await Promise.all(TOKEN_PROGRAMS.map(({ programId }) =>
+        connection.getParsedTokenAccountsByOwner(owner, { programId })
+      ));
+
+      const byMint = new Map();
+      responses.forEach((response, index) => {
+        const { programId, tokenProgram } = TOKEN_PROGRAMS[index];
+        for (const { pubkey, account } of response.value) {
+          const info = account.data.parsed.info;
+          const entry = byMint.get(info.mint) || {
+            mint: info.mint,
+            tokenProgram,
+            programId,
+            decimals: info.tokenAmount.decimals,
+            balanceRaw: 0n,
+            accounts: [],
+          };
+          entry.balanceRaw += BigInt(info.tokenAmount.amount);
+          entry.accounts.push({
+            address: pubkey.toBase58(),
+            balanceRaw: info.tokenAmount.amount,
+            frozen: info.state === 'frozen',
+          });
+          byMint.set(info.mint, entry);
+        }
+      });
+
+      const entries = [...byMint.values()];
+      const metadata = await this.getMintMetadata(connection, entries, this.resolveCluster(network));
+
+      const tokens = entries.map((entry) => {
+        const associated = getAssociatedTokenAddressSync(
+          new PublicKey(entry.mint), owner, true, entry.programId
+        ).toBase58();
+        // Send from the associated account when it holds funds, else the largest one.
+        const sourceAccount = entry.accounts.find((acct) => acct.address === associated && acct.balanceRaw !== '0')
+          || entry.accounts.reduce((best, acct) => (BigInt(acct.balanceRaw) > BigInt(best.balanceRaw) ? acct : best));
+        const meta = metadata.get(entry.mint) || {};
+
+        return {
+          mint: entry.mint,
+          name: meta.name || 'Unknown Token',
+          symbol: meta.symbol || `${entry.mint.slice(0, 4)}…`,
+          uri: meta.uri || null,
+          verified: Boolean(meta.verified),
+          decimals: entry.decimals,
+          balance: ethers.formatUnits(entry.balanceRaw, entry.decimals),
+          balanceRaw: entry.balanceRaw.toString(),
+          tokenProgram: entry.tokenProgram,
+          programId: entry.programId.toBase58(),
+          associatedAccount: associated,
+          sourceAccount: sourceAccount.address,
+          accounts: entry.accounts,
+        };
+      }).sort((a, b) => Number(BigInt(b.balanceRaw) > 0n) - Number(BigInt(a.balanceRaw) > 0n)
+        || a.symbol.localeCompare(b.symbol));
+
+      return {
+        success: true,
+        address,
+        network,
+        tokens,
+        count: tokens.length,
+      };
+    } catch (error) {
+      logger.error('Error getting Solana token balances', { address, network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async getMintMetadata(connection, entries, cluster) {
+    const metadata = new Map();
+    const registry = SOLANA_TOKEN_REGISTRY[cluster] || {};
+    const unknown = [];
+
+    for (const entry of entries) {
+      if (registry[entry.mint]) {
+        metadata.set(entry.mint, { ...registry[entry.mint], verified: true });
+      } else {
+        unknown.push(entry);
+      }
+    }
+
+    try {
+      const token2022Mints = unknown.filter((entry) => entry.tokenProgram === 'token-2022');
+      for (const batch of chunk(token2022Mints, MAX_MULTIPLE_ACCOUNTS)) {
+        const accounts = await connection.getMultipleParsedAccounts(batch.map((entry) => new PublicKey(entry.mint)));
+        accounts.value.forEach((account, index) => {
+          const extension = account?.data?.parsed?.info?.extensions
+            ?.find((item) => item.extension === 'tokenMetadata');
+          if (extension?.state?.symbol) {
+            const { name, symbol, uri } = extension.state;
+            metadata.set(batch[index].mint, { name, symbol, uri });
+          }
+        });
+      }
+
+      const remaining = unknown.filter((entry) => !metadata.has(entry.mint));
+      for (const batch of chunk(remaining, MAX_MULTIPLE_ACCOUNTS)) {
+        const metadataAccounts = batch.map((entry) => PublicKey.findProgramAddressSync(
+          [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), new PublicKey(entry.mint).toBuffer()],
+          METADATA_PROGRAM_ID
+        )[0]);
+        const accounts = await connection.getMultipleAccountsInfo(metadataAccounts);
+        accounts.forEach((account, index) => {
+          if (account?.data?.length > 65) {
+            metadata.set(batch[index].mint, decodeMetaplexMetadata(account.data));
+          }
+        });
+      }
+    } catch (error) {
+      logger.warn('Error loading Solana token metadata', { error: error.message });
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Decoded history, newest first. Pass the returned `nextCursor` as `before`
+   * to page further back.
+   */
+  async getTransactionHistory(address, network = 'mainnet-beta', limit = 10, before) {
     try {
       const connection = this.getConnection(network);
       const publicKey = new PublicKey(address);
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_HISTORY_LIMIT);
+      const registry = SOLANA_TOKEN_REGISTRY[this.resolveCluster(network)] || {};
 
-      const signatures = await connection.getSignaturesForAddress(publicKey, { limit });
+      const signatures = await connection.getSignaturesForAddress(publicKey, {
+        limit: pageSize,
+        ...(before && { before }),
+      });
 
       const transactions = [];
-      for (const signatureInfo of signatures) {
+      for (const batch of chunk(signatures, HISTORY_BATCH_SIZE)) {
+        let parsed;
         try {
-          const transaction = await connection.getTransaction(signatureInfo.signature, {
-            maxSupportedTransactionVersion: 0
+          parsed = await connection.getParsedTransactions(batch.map(info => info.signature), {
+            maxSupportedTransactionVersion: 0,
           });
+        } catch (batchError) {
+          logger.warn('Error fetching Solana transaction details', { count: batch.length, error: batchError.message });
+          parsed = [];
+        }
 
-          if (transaction) {
-            transactions.push({
-              signature: signatureInfo.signature,
-              slot: signatureInfo.slot,
-              blockTime: signatureInfo.blockTime,
-              confirmationStatus: signatureInfo.confirmationStatus,
-              fee: transaction.meta?.fee || 0,
-              status: transaction.meta?.err ? 'failed' : 'success',
-            });
+        batch.forEach((signatureInfo, index) => {
+          const tx = parsed[index];
+          const base = {
+            signature: signatureInfo.signature,
+            slot: signatureInfo.slot,
+            blockTime: signatureInfo.blockTime,
+            confirmationStatus: signatureInfo.confirmationStatus,
+            fee: tx?.meta?.fee || 0,
+            status: signatureInfo.err || tx?.meta?.err ? 'failed' : 'success',
+          };
+          if (!tx) {
+            transactions.push({ ...base, decoded: false, transfers: [], memo: null, direction: null });
+            return;
           }
-        } catch (txError) {
-          logger.warn('Error fetching Solana transaction details', { signature: signatureInfo.signature, error: txError.message });
-        }
+
+          const { feePayer, transfers, memo } = decodeParsedTransfers(tx, address, registry);
+          const directions = new Set(transfers.map(transfer => transfer.direction));
+          transactions.push({
+            ...base,
+            decoded: true,
+            feePayer,
+            feePaidByWallet: feePayer === address,
+            memo,
+            transfers,
+            direction: directions.size === 1 ? [...directions][0] : (directions.size > 1 ? 'mixed' : null),
+          });
+        });
       }
 
       return {
@@ -128,6 +422,7 @@ class SolanaService {
         network,
         transactions,
         count: transactions.length,
+        nextCursor: signatures.length === pageSize ? signatures[signatures.length - 1].signature : null,
       };
     } catch (error) {
       logger.error('Error getting Solana transaction history', { address, network, error: error.message });
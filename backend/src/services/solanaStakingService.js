@@ -0,0 +1,407 @@
+import {
+  Authorized,
+  LAMPORTS_PER_SOL,
+  Lockup,
+  PublicKey,
+  StakeProgram,
+  VoteProgram,
+} from '@solana/web3.js';
+import { ethers } from 'ethers';
+import solanaService from './solanaService.js';
+import solanaTransactionService, { parsePublicKey } from './solanaTransactionService.js';
+import logger from './loggerService.js';
+
+// Stake account layout: enum tag (4) + rent exempt reserve (8), then the staker and withdrawer authorities.
+const STAKER_OFFSET = 12;
+const WITHDRAWER_OFFSET = 44;
+
+// deactivationEpoch is u64::MAX until the stake is deactivated.
+const NEVER = '18446744073709551615';
+
+const MAX_REWARD_EPOCHS = 10;
+
+function toSol(lamports) {
+  return ethers.formatUnits(BigInt(lamports), 9);
+}
+
+/**
+ * Stake state at `epoch`. Activation and deactivation take effect at epoch
+ * boundaries; large cluster-wide stake changes can stretch warmup/cooldown
+ * over more than one epoch, so the epochs reported here are the earliest ones.
+ */
+function describeStake(parsed, lamports, epoch) {
+  const { meta, stake } = parsed.info;
+  const rentExemptReserve = BigInt(meta.rentExemptReserve);
+  const delegation = parsed.type === 'delegated' ? stake?.delegation : null;
+
+  if (!delegation) {
+    return {
+      status: 'initialized',
+      voteAccount: null,
+      delegatedLamports: '0',
+      withdrawableLamports: String(lamports),
+    };
+  }
+
+  const activationEpoch = Number(delegation.activationEpoch);
+  const deactivating = delegation.deactivationEpoch !== NEVER;
+  const deactivationEpoch = deactivating ? Number(delegation.deactivationEpoch) : null;
+
+  let status;
+  if (deactivating) {
+    status = epoch > deactivationEpoch ? 'inactive' : 'deactivating';
+  } else {
+    status = epoch > activationEpoch ? 'active' : 'activating';
+  }
+
+  const delegated = BigInt(delegation.stake);
+  const excess = BigInt(lamports) - delegated - rentExemptReserve;
+  return {
+    status,
+    voteAccount: delegation.voter,
+    delegatedLamports: delegation.stake,
+    activationEpoch,
+    deactivationEpoch,
+    activeFromEpoch: activationEpoch + 1,
+    withdrawableFromEpoch: deactivating ? deactivationEpoch + 1 : null,
+    withdrawableLamports: status === 'inactive' ? String(lamports) : String(excess > 0n ? excess : 0n),
+  };
+}
+
+/**
+ * Native staking: validator list, stake positions with per-epoch rewards, and
+ * unsigned create/delegate/deactivate/withdraw transactions that the wallet
+ * signs in the browser and sends through solanaTransactionService.
+ */
+class SolanaStakingService {
+
+  async getValidators(network = 'mainnet-beta', limit = 50) {
+    try {
+      const connection = solanaService.getConnection(network);
+      const { current, delinquent } = await connection.getVoteAccounts();
+
+      const validators = [
+        ...current.map(account => ({ ...account, delinquent: false })),
+        ...delinquent.map(account => ({ ...account, delinquent: true })),
+      ]
+        .sort((a, b) => (a.delinquent - b.delinquent) || (b.activatedStake - a.activatedStake))
+        .slice(0, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500))
+        .map(account => ({
+          voteAccount: account.votePubkey,
+          identity: account.nodePubkey,
+          commission: account.commission,
+          activatedStake: account.activatedStake / LAMPORTS_PER_SOL,
+          lastVote: account.lastVote,
+          delinquent: account.delinquent,
+        }));
+
+      return {
+        success: true,
+        network,
+        validators,
+        count: validators.length,
+        totalValidators: current.length + delinquent.length,
+      };
+    } catch (error) {
+      logger.error('Error getting Solana validators', { network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async loadStakeAccounts(connection, owner) {
+    const byAuthority = (offset) => connection.getParsedProgramAccounts(StakeProgram.programId, {
+      filters: [{ memcmp: { offset, bytes: owner.toBase58() } }],
+    });
+    const [asStaker, asWithdrawer] = await Promise.all([byAuthority(STAKER_OFFSET), byAuthority(WITHDRAWER_OFFSET)]);
+
+    const accounts = new Map();
+    for (const entry of [...asStaker, ...asWithdrawer]) {
+      accounts.set(entry.pubkey.toBase58(), entry);
+    }
+    return [...accounts.values()];
+  }
+
+  async getStakeAccounts(address, network = 'mainnet-beta') {
+    try {
+      const connection = solanaService.getConnection(network);
+      const owner = parsePublicKey(address, 'wallet address');
+      const [entries, { epoch }] = await Promise.all([
+        this.loadStakeAccounts(connection, owner),
+        connection.getEpochInfo(),
+      ]);
+
+      const stakeAccounts = entries.map(({ pubkey, account }) => {
+        const parsed = account.data.parsed;
+        const state = describeStake(parsed, account.lamports, epoch);
+        return {
+          address: pubkey.toBase58(),
+          lamports: String(account.lamports),
+          balance: toSol(account.lamports),
+          ...state,
+          delegated: toSol(state.delegatedLamports),
+          withdrawable: toSol(state.withdrawableLamports),
+          staker: parsed.info.meta.authorized.staker,
+          withdrawer: parsed.info.meta.authorized.withdrawer,
+          canManage: parsed.info.meta.authorized.staker === address,
+          canWithdraw: parsed.info.meta.authorized.withdrawer === address,
+        };
+      }).sort((a, b) => Number(BigInt(b.lamports) - BigInt(a.lamports)));
+
+      const totalLamports = stakeAccounts.reduce((sum, account) => sum + BigInt(account.lamports), 0n);
+
+      return {
+        success: true,
+        address,
+        network,
+        epoch,
+        stakeAccounts,
+        count: stakeAccounts.length,
+        totalStaked: toSol(totalLamports),
+      };
+    } catch (error) {
+      logger.error('Error getting Solana stake accounts', { address, network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Inflation rewards credited to each of the wallet's stake accounts over the
+   * last `epochs` completed epochs, newest first.
+   */
+  async getStakeRewards(address, network = 'mainnet-beta', epochs = 5) {
+    try {
+      const connection = solanaService.getConnection(network);
+      const owner = parsePublicKey(address, 'wallet address');
+      const count = Math.min(Math.max(parseInt(epochs, 10) || 5, 1), MAX_REWARD_EPOCHS);
+
+      const [entries, { epoch }] = await Promise.all([
+        this.loadStakeAccounts(connection, owner),
+        connection.getEpochInfo(),
+      ]);
+      const addresses = entries.map(entry => entry.pubkey);
+
+      const completed = Array.from({ length: count }, (_, i) => epoch - 1 - i).filter(value => value >= 0);
+      const rewards = [];
+      for (const rewardEpoch of completed) {
+        const results = addresses.length > 0 ? await connection.getInflationReward(addresses, rewardEpoch) : [];
+        const accounts = results
+          .map((reward, index) => reward && {
+            stakeAccount: addresses[index].toBase58(),
+            amountLamports: String(reward.amount),
+            amount: toSol(reward.amount),
+            postBalance: toSol(reward.postBalance),
+            commission: reward.commission ?? null,
+          })
+          .filter(Boolean);
+        const total = accounts.reduce((sum, reward) => sum + BigInt(reward.amountLamports), 0n);
+        rewards.push({ epoch: rewardEpoch, total: toSol(total), accounts });
+      }
+
+      const total = rewards.reduce((sum, entry) => sum + ethers.parseUnits(entry.total, 9), 0n);
+
+      return {
+        success: true,
+        address,
+        network,
+        rewards,
+        total: toSol(total),
+      };
+    } catch (error) {
+      logger.error('Error getting Solana stake rewards', { address, network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async loadStakeAccount(connection, stakeAccount, authority, role) {
+    const stakePubkey = parsePublicKey(stakeAccount, 'stake account');
+    const { value } = await connection.getParsedAccountInfo(stakePubkey);
+    if (!value || !value.owner.equals(StakeProgram.programId) || !value.data?.parsed) {
+      throw new Error('Stake account not found');
+    }
+    const { authorized } = value.data.parsed.info.meta;
+    if (authorized[role] !== authority.toBase58()) {
+      throw new Error(`Wallet is not the ${role} authority of this stake account`);
+    }
+    return { stakePubkey, account: value };
+  }
+
+  async loadVoteAccount(connection, voteAccount) {
+    const votePubkey = parsePublicKey(voteAccount, 'vote account');
+    const info = await connection.getAccountInfo(votePubkey);
+    if (!info || !info.owner.equals(VoteProgram.programId)) {
+      throw new Error('Validator vote account not found');
+    }
+    return votePubkey;
+  }
+
+  /**
+   * New stake account (derived from the wallet with a seed, so only the wallet
+   * signs) funded with `amount` SOL plus rent and delegated to `voteAccount`.
+   */
+  async buildCreateStake({ from, voteAccount, amount, network = 'mainnet-beta', ...options }) {
+    const connection = solanaService.getConnection(network);
+    const fromPubkey = parsePublicKey(from, 'wallet address');
+    const votePubkey = await this.loadVoteAccount(connection, voteAccount);
+
+    const stakeLamports = ethers.parseUnits(String(amount), 9);
+    const [rent, minimum] = await Promise.all([
+      connection.getMinimumBalanceForRentExemption(StakeProgram.space),
+      connection.getStakeMinimumDelegation(),
+    ]);
+    if (stakeLamports < BigInt(minimum.value) || stakeLamports <= 0n) {
+      throw new Error(`Minimum stake is ${toSol(Math.max(minimum.value, 1))} SOL`);
+    }
+
+    const seed = `stake:${Date.now().toString(36)}`;
+    const stakePubkey = await PublicKey.createWithSeed(fromPubkey, seed, StakeProgram.programId);
+    const lamports = Number(stakeLamports) + rent;
+
+    const instructions = [
+      ...StakeProgram.createAccountWithSeed({
+        fromPubkey,
+        stakePubkey,
+        basePubkey: fromPubkey,
+        seed,
+        authorized: new Authorized(fromPubkey, fromPubkey),
+        lockup: new Lockup(0, 0, PublicKey.default),
+        lamports,
+      }).instructions,
+      ...StakeProgram.delegate({ stakePubkey, authorizedPubkey: fromPubkey, votePubkey }).instructions,
+    ];
+
+    const unsigned = await solanaTransactionService.buildUnsigned(connection, fromPubkey, instructions, {
+      writableAccounts: [fromPubkey, stakePubkey],
+      ...options,
+    });
+    return {
+      action: 'create',
+      transaction: unsigned.transaction,
+      network,
+      stakeAccount: stakePubkey.toBase58(),
+      seed,
+      voteAccount: votePubkey.toBase58(),
+      amount: toSol(stakeLamports),
+      rentLamports: rent,
+      ...unsigned.summary,
+    };
+  }
+
+  async buildDelegate({ from, stakeAccount, voteAccount, network = 'mainnet-beta', ...options }) {
+    const connection = solanaService.getConnection(network);
+    const fromPubkey = parsePublicKey(from, 'wallet address');
+    const { stakePubkey } = await this.loadStakeAccount(connection, stakeAccount, fromPubkey, 'staker');
+    const votePubkey = await this.loadVoteAccount(connection, voteAccount);
+
+    const instructions = StakeProgram.delegate({ stakePubkey, authorizedPubkey: fromPubkey, votePubkey }).instructions;
+    const unsigned = await solanaTransactionService.buildUnsigned(connection, fromPubkey, instructions, {
+      writableAccounts: [stakePubkey],
+      ...options,
+    });
+    return {
+      action: 'delegate',
+      transaction: unsigned.transaction,
+      network,
+      stakeAccount: stakePubkey.toBase58(),
+      voteAccount: votePubkey.toBase58(),
+      ...unsigned.summary,
+    };
+  }
+
+  async buildDeactivate({ from, stakeAccount, network = 'mainnet-beta', ...options }) {
+    const connection = solanaService.getConnection(network);
+    const fromPubkey = parsePublicKey(from, 'wallet address');
+    const { stakePubkey, account } = await this.loadStakeAccount(connection, stakeAccount, fromPubkey, 'staker');
+    if (account.data.parsed.type !== 'delegated') {
+      throw new Error('Stake account is not delegated');
+    }
+
+    const instructions = StakeProgram.deactivate({ stakePubkey, authorizedPubkey: fromPubkey }).instructions;
+    const unsigned = await solanaTransactionService.buildUnsigned(connection, fromPubkey, instructions, {
+      writableAccounts: [stakePubkey],
+      ...options,
+    });
+    return {
+      action: 'deactivate',
+      transaction: unsigned.transaction,
+      network,
+      stakeAccount: stakePubkey.toBase58(),
+      ...unsigned.summary,
+    };
+  }
+
+  /**
+   * Withdraw to the wallet. Without `amount` everything currently withdrawable
+   * is taken, which closes a fully deactivated account.
+   */
+  async buildWithdraw({ from, stakeAccount, amount, network = 'mainnet-beta', ...options }) {
+    const connection = solanaService.getConnection(network);
+    const fromPubkey = parsePublicKey(from, 'wallet address');
+    const { stakePubkey, account } = await this.loadStakeAccount(connection, stakeAccount, fromPubkey, 'withdrawer');
+    const { epoch } = await connection.getEpochInfo();
+    const state = describeStake(account.data.parsed, account.lamports, epoch);
+
+    const available = BigInt(state.withdrawableLamports);
+    const lamports = amount ? ethers.parseUnits(String(amount), 9) : available;
+    if (lamports <= 0n) {
+      throw new Error(state.status === 'deactivating'
+        ? `Stake is cooling down and can be withdrawn from epoch ${state.withdrawableFromEpoch}`
+        : 'Nothing to withdraw from this stake account');
+    }
+    if (lamports > available) {
+      throw new Error(`At most ${toSol(available)} SOL can be withdrawn now`);
+    }
+
+    const instructions = StakeProgram.withdraw({
+      stakePubkey,
+      authorizedPubkey: fromPubkey,
+      toPubkey: fromPubkey,
+      lamports: Number(lamports),
+    }).instructions;
+    const unsigned = await solanaTransactionService.buildUnsigned(connection, fromPubkey, instructions, {
+      writableAccounts: [stakePubkey, fromPubkey],
+      ...options,
+    });
+    return {
+      action: 'withdraw',
+      transaction: unsigned.transaction,
+      network,
+      stakeAccount: stakePubkey.toBase58(),
+      amount: toSol(lamports),
+      closesAccount: lamports === BigInt(account.lamports),
+      ...unsigned.summary,
+    };
+  }
+
+  async buildStakeTransaction(action, params) {
+    const builders = {
+      create: (p) => this.buildCreateStake(p),
+      delegate: (p) => this.buildDelegate(p),
+      deactivate: (p) => this.buildDeactivate(p),
+      withdraw: (p) => this.buildWithdraw(p),
+    };
+
+    try {
+      if (!builders[action]) {
+        throw new Error('action must be create, delegate, deactivate or withdraw');
+      }
+      return { success: true, ...(await builders[action](params)) };
+    } catch (error) {
+      logger.error('Error building Solana stake transaction', { action, network: params.network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export default new SolanaStakingService();
@@ -0,0 +1,466 @@
+import {
+  ComputeBudgetProgram,
+  NONCE_ACCOUNT_LENGTH,
+  PublicKey,
+  SystemInstruction,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import {
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  createTransferCheckedWithTransferHookInstruction,
+  getAssociatedTokenAddressSync,
+  getMint,
+} from '@solana/spl-token';
+import { ethers } from 'ethers';
+import solanaService from './solanaService.js';
+import logger from './loggerService.js';
+
+// Priority tiers are percentiles of recent non-zero prioritization fees, in micro-lamports per compute unit.
+const PRIORITY_PERCENTILES = { low: 25, medium: 50, high: 75 };
+const MIN_COMPUTE_UNIT_PRICE = { low: 1000, medium: 10000, high: 50000 };
+const MAX_COMPUTE_UNIT_PRICE = 5000000;
+
+// Slots target 400ms; longer observed slots mean the leader schedule is congested.
+const TARGET_SLOT_MS = 400;
+const MAX_CONGESTION_MULTIPLIER = 3;
+const PERFORMANCE_SAMPLE_COUNT = 5;
+
+const MAX_COMPUTE_UNITS = 1400000;
+const DEFAULT_COMPUTE_UNITS = 200000;
+// Headroom over simulated usage, plus room for the nonce advance that simulation skips.
+const COMPUTE_UNIT_MARGIN = 1.2;
+const NONCE_ADVANCE_UNITS = 300;
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+const DEFAULT_NONCE_SEED = 'walletrix-nonce';
+
+function hasCustomPrice(computeUnitPrice) {
+  return computeUnitPrice !== undefined && computeUnitPrice !== null && computeUnitPrice !== '';
+}
+
+function percentile(sortedValues, pct) {
+  if (sortedValues.length === 0) return 0;
+  const index = Math.min(sortedValues.length - 1, Math.ceil((pct / 100) * sortedValues.length) - 1);
+  return sortedValues[Math.max(index, 0)];
+}
+
+function parsePublicKey(value, label) {
+  try {
+    return new PublicKey(value);
+  } catch {
+    throw new Error(`Invalid Solana ${label}`);
+  }
+}
+
+/**
+ * Builds unsigned Solana transactions with compute budget instructions so the
+ * browser only signs. Optionally uses a durable nonce account instead of a
+ * recent blockhash so a transaction signed offline does not expire.
+ */
+class SolanaTransactionService {
+
+  /**
+   * Compute unit price tiers from getRecentPrioritizationFees, scaled up when
+   * getRecentPerformanceSamples shows slots running slower than target.
+   */
+  async estimatePriorityFees(connection, writableAccounts = []) {
+    const [recentFees, samples] = await Promise.all([
+      connection.getRecentPrioritizationFees({ lockedWritableAccounts: writableAccounts }),
+      connection.getRecentPerformanceSamples(PERFORMANCE_SAMPLE_COUNT),
+    ]);
+
+    const slots = samples.reduce((sum, sample) => sum + sample.numSlots, 0);
+    const seconds = samples.reduce((sum, sample) => sum + sample.samplePeriodSecs, 0);
+    const transactions = samples.reduce((sum, sample) => sum + sample.numTransactions, 0);
+    const averageSlotMs = slots > 0 ? (seconds * 1000) / slots : TARGET_SLOT_MS;
+    const multiplier = Math.min(Math.max(averageSlotMs / TARGET_SLOT_MS, 1), MAX_CONGESTION_MULTIPLIER);
+
+    const fees = recentFees
+      .map((entry) => entry.prioritizationFee)
+      .filter((fee) => fee > 0)
+      .sort((a, b) => a - b);
+
+    const tiers = Object.fromEntries(Object.entries(PRIORITY_PERCENTILES).map(([tier, pct]) => {
+      const price = Math.ceil(percentile(fees, pct) * multiplier);
+      return [tier, Math.min(Math.max(price, MIN_COMPUTE_UNIT_PRICE[tier]), MAX_COMPUTE_UNIT_PRICE)];
+    }));
+
+    return {
+      tiers,
+      congestion: {
+        averageSlotMs: Math.round(averageSlotMs),
+        transactionsPerSecond: seconds > 0 ? Math.round(transactions / seconds) : null,
+        multiplier: Number(multiplier.toFixed(2)),
+      },
+      sampledSlots: recentFees.length,
+    };
+  }
+
+  resolveComputeUnitPrice(estimate, priority = 'medium', computeUnitPrice) {
+    if (hasCustomPrice(computeUnitPrice)) {
+      const price = Number(computeUnitPrice);
+      if (!Number.isInteger(price) || price < 0 || price > MAX_COMPUTE_UNIT_PRICE) {
+        throw new Error(`computeUnitPrice must be an integer between 0 and ${MAX_COMPUTE_UNIT_PRICE} micro-lamports`);
+      }
+      return price;
+    }
+    if (!PRIORITY_PERCENTILES[priority]) {
+      throw new Error('priority must be low, medium or high');
+    }
+    return estimate.tiers[priority];
+  }
+
+  /**
+   * Simulate the instructions (signatures and blockhash are not checked) to size
+   * the compute unit limit. A failing simulation is reported to the caller since
+   * the transaction would fail on-chain too.
+   */
+  async estimateComputeUnits(connection, feePayer, instructions, { durableNonce = false } = {}) {
+    let simulation;
+    try {
+      const message = new TransactionMessage({
+        payerKey: feePayer,
+        recentBlockhash: PublicKey.default.toBase58(),
+        instructions: [ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }), ...instructions],
+      }).compileToLegacyMessage();
+      simulation = await connection.simulateTransaction(new VersionedTransaction(message), {
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+      });
+    } catch (error) {
+      logger.warn('Solana simulation unavailable, using default compute unit limit', { error: error.message });
+      return DEFAULT_COMPUTE_UNITS;
+    }
+
+    if (simulation.value.err) {
+      const logs = simulation.value.logs || [];
+      const reason = logs.find((line) => /error|insufficient/i.test(line)) || JSON.stringify(simulation.value.err);
+      throw new Error(`Transaction simulation failed: ${reason}`);
+    }
+
+    const consumed = simulation.value.unitsConsumed || DEFAULT_COMPUTE_UNITS;
+    const units = Math.ceil(consumed * COMPUTE_UNIT_MARGIN) + (durableNonce ? NONCE_ADVANCE_UNITS : 0);
+    return Math.min(units, MAX_COMPUTE_UNITS);
+  }
+
+  async loadNonce(connection, nonceAccount, authority) {
+    const noncePubkey = parsePublicKey(nonceAccount, 'nonce account');
+    const nonce = await connection.getNonce(noncePubkey, 'confirmed');
+    if (!nonce) {
+      throw new Error('Nonce account not found or not initialized');
+    }
+    if (!nonce.authorizedPubkey.equals(authority)) {
+      throw new Error('Nonce account is not controlled by the sending wallet');
+    }
+    return { noncePubkey, nonce };
+  }
+
+  async buildTokenInstructions(connection, { from, to, amount, mint, sourceAccount }) {
+    const mintPubkey = parsePublicKey(mint, 'mint address');
+    const mintAccount = await connection.getAccountInfo(mintPubkey);
+    if (!mintAccount) {
+      throw new Error('Token mint not found');
+    }
+
+    const programId = mintAccount.owner.equals(TOKEN_2022_PROGRAM_ID) ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+    const { decimals } = await getMint(connection, mintPubkey, 'confirmed', programId);
+    const rawAmount = ethers.parseUnits(String(amount), decimals);
+
+    const source = sourceAccount
+      ? parsePublicKey(sourceAccount, 'source token account')
+      : getAssociatedTokenAddressSync(mintPubkey, from, false, programId);
+    const destination = getAssociatedTokenAddressSync(mintPubkey, to, true, programId);
+    const destinationInfo = await connection.getAccountInfo(destination);
+
+    const instructions = [];
+    if (!destinationInfo) {
+      instructions.push(createAssociatedTokenAccountIdempotentInstruction(from, destination, to, mintPubkey, programId));
+    }
+    // Token-2022 mints may carry a transfer hook whose extra accounts must be resolved on-chain.
+    instructions.push(programId.equals(TOKEN_2022_PROGRAM_ID)
+      ? await createTransferCheckedWithTransferHookInstruction(
+        connection, source, mintPubkey, destination, from, rawAmount, decimals, [], 'confirmed', programId
+      )
+      : createTransferCheckedInstruction(source, mintPubkey, destination, from, rawAmount, decimals, [], programId));
+
+    return {
+      instructions,
+      writableAccounts: [source, destination],
+      summary: {
+        mint: mintPubkey.toBase58(),
+        decimals,
+        tokenProgram: programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'spl-token',
+        rawAmount: rawAmount.toString(),
+        destinationAccount: destination.toBase58(),
+        createsRecipientAccount: !destinationInfo,
+      },
+    };
+  }
+
+  /**
+   * Unsigned SOL or SPL transfer. `mint` switches to a token transfer; the
+   * recipient's associated token account is created when missing.
+   */
+  async buildTransfer({
+    from,
+    to,
+    amount,
+    mint,
+    sourceAccount,
+    network = 'mainnet-beta',
+    priority = 'medium',
+    computeUnitPrice,
+    nonceAccount,
+  }) {
+    const connection = solanaService.getConnection(network);
+    const fromPubkey = parsePublicKey(from, 'sender address');
+    const toPubkey = parsePublicKey(to, 'recipient address');
+
+    let transfer;
+    if (mint) {
+      transfer = await this.buildTokenInstructions(connection, { from: fromPubkey, to: toPubkey, amount, mint, sourceAccount });
+    } else {
+      const lamports = ethers.parseUnits(String(amount), 9);
+      if (lamports <= 0n) {
+        throw new Error('Amount must be greater than zero');
+      }
+      transfer = {
+        instructions: [SystemProgram.transfer({ fromPubkey, toPubkey, lamports })],
+        writableAccounts: [fromPubkey, toPubkey],
+        summary: { lamports: lamports.toString() },
+      };
+    }
+
+    const unsigned = await this.buildUnsigned(connection, fromPubkey, transfer.instructions, {
+      writableAccounts: transfer.writableAccounts,
+      priority,
+      computeUnitPrice,
+      nonceAccount,
+    });
+
+    return {
+      transaction: unsigned.transaction,
+      network,
+      from: fromPubkey.toBase58(),
+      to: toPubkey.toBase58(),
+      amount: String(amount),
+      ...transfer.summary,
+      ...unsigned.summary,
+    };
+  }
+
+  /**
+   * Prepends compute budget instructions sized by simulation and priced from
+   * recent fees, and sets the lifetime (durable nonce or recent blockhash).
+   * Shared by transfers and staking.
+   */
+  async buildUnsigned(connection, feePayer, instructions, {
+    writableAccounts = [],
+    priority = 'medium',
+    computeUnitPrice,
+    nonceAccount,
+  } = {}) {
+    const durable = nonceAccount ? await this.loadNonce(connection, nonceAccount, feePayer) : null;
+    const [estimate, computeUnitLimit] = await Promise.all([
+      this.estimatePriorityFees(connection, writableAccounts),
+      this.estimateComputeUnits(connection, feePayer, instructions, { durableNonce: Boolean(durable) }),
+    ]);
+    const price = this.resolveComputeUnitPrice(estimate, priority, computeUnitPrice);
+
+    const budget = [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: price }),
+    ];
+
+    let transaction;
+    let lifetime;
+    if (durable) {
+      transaction = new Transaction({
+        feePayer,
+        nonceInfo: {
+          nonce: durable.nonce.nonce,
+          nonceInstruction: SystemProgram.nonceAdvance({ noncePubkey: durable.noncePubkey, authorizedPubkey: feePayer }),
+        },
+      });
+      lifetime = { durableNonce: { account: durable.noncePubkey.toBase58(), nonce: durable.nonce.nonce } };
+    } else {
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+      transaction = new Transaction({ feePayer, blockhash, lastValidBlockHeight });
+      lifetime = { recentBlockhash: blockhash, lastValidBlockHeight };
+    }
+    transaction.add(...budget, ...instructions);
+
+    const priorityFeeLamports = Math.ceil((computeUnitLimit * price) / 1000000);
+
+    return {
+      transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+      summary: {
+        computeUnitLimit,
+        computeUnitPrice: price,
+        priority: hasCustomPrice(computeUnitPrice) ? 'custom' : priority,
+        fee: {
+          baseLamports: LAMPORTS_PER_SIGNATURE,
+          priorityLamports: priorityFeeLamports,
+          totalLamports: LAMPORTS_PER_SIGNATURE + priorityFeeLamports,
+        },
+        congestion: estimate.congestion,
+        ...lifetime,
+      },
+    };
+  }
+
+  /**
+   * Unsigned transaction creating a nonce account derived from the wallet
+   * address and `seed`, with the wallet as nonce authority. Only the wallet signs.
+   */
+  async buildNonceAccount({ from, network = 'mainnet-beta', seed = DEFAULT_NONCE_SEED }) {
+    const connection = solanaService.getConnection(network);
+    const fromPubkey = parsePublicKey(from, 'wallet address');
+    const noncePubkey = await PublicKey.createWithSeed(fromPubkey, seed, SystemProgram.programId);
+
+    const existing = await connection.getAccountInfo(noncePubkey);
+    if (existing) {
+      return { exists: true, nonceAccount: noncePubkey.toBase58(), seed, network };
+    }
+
+    const [lamports, { blockhash, lastValidBlockHeight }] = await Promise.all([
+      connection.getMinimumBalanceForRentExemption(NONCE_ACCOUNT_LENGTH),
+      connection.getLatestBlockhash('confirmed'),
+    ]);
+    const transaction = new Transaction({ feePayer: fromPubkey, blockhash, lastValidBlockHeight }).add(
+      SystemProgram.createNonceAccount({
+        fromPubkey,
+        noncePubkey,
+        basePubkey: fromPubkey,
+        seed,
+        authorizedPubkey: fromPubkey,
+        lamports,
+      })
+    );
+
+    return {
+      exists: false,
+      transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+      nonceAccount: noncePubkey.toBase58(),
+      seed,
+      rentLamports: lamports,
+      network,
+      recentBlockhash: blockhash,
+      lastValidBlockHeight,
+    };
+  }
+
+  /**
+   * Broadcast a signed transaction and wait for confirmation. Nonce-based
+   * transactions are confirmed against the nonce account, others against the
+   * blockhash validity window supplied by the builder.
+   */
+  async broadcast({ transaction, network = 'mainnet-beta', lastValidBlockHeight, minContextSlot }) {
+    const connection = solanaService.getConnection(network);
+    const raw = Buffer.from(String(transaction || ''), 'base64');
+
+    let decoded;
+    try {
+      decoded = Transaction.from(raw);
+    } catch {
+      throw new Error('transaction must be a base64-encoded Solana transaction');
+    }
+    if (!decoded.verifySignatures()) {
+      throw new Error('Transaction is missing required signatures');
+    }
+
+    const signature = await connection.sendRawTransaction(raw, { maxRetries: 5 });
+
+    const [first] = decoded.instructions;
+    const advancesNonce = first?.programId.equals(SystemProgram.programId)
+      && SystemInstruction.decodeInstructionType(first) === 'AdvanceNonceAccount';
+
+    let strategy = null;
+    if (advancesNonce) {
+      strategy = {
+        signature,
+        nonceAccountPubkey: first.keys[0].pubkey,
+        nonceValue: decoded.recentBlockhash,
+        minContextSlot: Number(minContextSlot) || 0,
+      };
+    } else if (lastValidBlockHeight) {
+      strategy = { signature, blockhash: decoded.recentBlockhash, lastValidBlockHeight: Number(lastValidBlockHeight) };
+    }
+
+    if (!strategy) {
+      return { signature, status: 'submitted' };
+    }
+
+    const confirmation = await connection.confirmTransaction(strategy, 'confirmed');
+    if (confirmation.value.err) {
+      throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+    return { signature, status: 'confirmed' };
+  }
+
+  async getPriorityFees(network = 'mainnet-beta', accounts = []) {
+    try {
+      const connection = solanaService.getConnection(network);
+      const writable = accounts.map((account) => parsePublicKey(account, 'account address'));
+      const estimate = await this.estimatePriorityFees(connection, writable);
+      return { success: true, network, unit: 'microLamportsPerComputeUnit', ...estimate };
+    } catch (error) {
+      logger.error('Error estimating Solana priority fees', { network, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getNonceAccount(nonceAccount, network = 'mainnet-beta') {
+    try {
+      const connection = solanaService.getConnection(network);
+      const nonce = await connection.getNonce(parsePublicKey(nonceAccount, 'nonce account'), 'confirmed');
+      if (!nonce) {
+        throw new Error('Nonce account not found or not initialized');
+      }
+      return {
+        success: true,
+        network,
+        nonceAccount,
+        authority: nonce.authorizedPubkey.toBase58(),
+        nonce: nonce.nonce,
+        lamportsPerSignature: nonce.feeCalculator.lamportsPerSignature,
+      };
+    } catch (error) {
+      logger.error('Error getting Solana nonce account', { nonceAccount, network, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async withResult(task, params, action) {
+    try {
+      return { success: true, ...(await task(params)) };
+    } catch (error) {
+      logger.error(`Error ${action}`, { network: params.network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async buildTransferTransaction(params) {
+    return this.withResult((p) => this.buildTransfer(p), params, 'building Solana transfer');
+  }
+
+  async buildNonceAccountTransaction(params) {
+    return this.withResult((p) => this.buildNonceAccount(p), params, 'building Solana nonce account');
+  }
+
+  async sendSignedTransaction(params) {
+    return this.withResult((p) => this.broadcast(p), params, 'broadcasting Solana transaction');
+  }
+}
+
+export { parsePublicKey };
+export default new SolanaTransactionService();
@@ -5,6 +5,7 @@ import ethereumService from './ethereumService.js';
 import { sendPlainMessage } from './telegramService.js';
 import { loadConversationSession, saveConversationSession } from './conversationSessionService.js';
 import stealthAddressService from './stealthAddressService.js';
+import { sendManagedTransaction, waitForManagedTransaction } from './evmTransactionManager.js';
 import {
   decryptSecret,
   findStealthIssueForUser,
@@ -18,6 +19,8 @@ const DEFAULT_STEALTH_MONITOR_POLL_MS = Number.parseInt(process.env.STEALTH_MONI
 const STEALTH_MONITOR_ENABLED = process.env.STEALTH_MONITOR_ENABLED !== 'false';
 let stealthMonitorHandle = null;
 
+const STEALTH_CHAIN_IDS = { mainnet: 1, sepolia: 11155111 };
+
 function toBigIntSafe(value) {
   try {
     return BigInt(value || '0');
@@ -313,16 +316,21 @@ export async function claimStealthIssueForUser(userId, issueId) {
   }
 
   const wallet = await deriveStealthWallet(latestIssue || issue);
-  const tx = await wallet.sendTransaction({
+  const { tx } = await sendManagedTransaction(wallet, {
     to: issue.destinationAddress,
     value: toBigIntSafe(preview.claimableWei),
     gasLimit: toBigIntSafe(preview.gasLimit),
     maxFeePerGas: toBigIntSafe(preview.maxFeePerGasWei),
     maxPriorityFeePerGas: toBigIntSafe(preview.maxPriorityFeePerGasWei),
+  }, {
+    chainId: STEALTH_CHAIN_IDS[toEthereumServiceNetwork(issue.network)],
+    network: issue.network,
+    metadata: { source: 'stealth', issueId },
   });
 
+  let claimTxHash;
   try {
-    await tx.wait(1);
+    ({ txHash: claimTxHash } = await waitForManagedTransaction(tx, { confirmations: 1 }));
   } catch (error) {
     await recordStealthActivity(userId, 'STEALTH_CLAIM_FAILED', {
       issueId,
@@ -337,7 +345,7 @@ export async function claimStealthIssueForUser(userId, issueId) {
   const updated = await updateStealthIssue(issue.id, {
     status: 'CLAIMED',
     claimedAt: new Date(),
-    claimTxHash: tx.hash,
+    claimTxHash,
     lastCheckedAt: new Date(),
     lastObservedBalanceWei: '0',
   });
@@ -347,7 +355,7 @@ export async function claimStealthIssueForUser(userId, issueId) {
     stealthAddress: issue.stealthAddress,
     destinationAddress: issue.destinationAddress,
     network: issue.network,
-    txHash: tx.hash,
+    txHash: claimTxHash,
     claimedWei: preview.claimableWei,
     estimatedFeeWei: preview.estimatedFeeWei,
   });
@@ -355,7 +363,7 @@ export async function claimStealthIssueForUser(userId, issueId) {
   return {
     issue: serializeStealthIssue(updated || issue),
     preview,
-    txHash: tx.hash,
+    txHash: claimTxHash,
   };
 }
 
@@ -3,12 +3,30 @@ import {
   buildTransferSubmittedMessage,
 } from '../telegramNotificationService.js';
 
-function buildTransferConfirmMessage(details) {
+export function buildSimulationSummary(simulation) {
+  if (!simulation) return '';
+  if (simulation.error) {
+    return `\n\n⚠️ Could not simulate this transfer: ${simulation.error}`;
+  }
+  if (simulation.willRevert) {
+    return `\n\n🔴 *Simulation: this transfer would fail*\nReason: \`${simulation.revertReason || 'unknown'}\`\nSending it anyway would still burn gas.`;
+  }
+
+  const lines = simulation.balanceChanges
+    .filter(change => change.amount !== null)
+    .map(change => `• ${change.amount.startsWith('-') ? '' : '+'}${change.amount} ${change.symbol || 'tokens'}`);
+  lines.push(`• Network fee ≈ ${Number(simulation.networkFee).toFixed(6)} ${simulation.nativeSymbol || 'ETH'} (${Number(simulation.gasUsed).toLocaleString('en-US')} gas)`);
+  const warnings = simulation.warnings.map(warning => `⚠️ ${warning}`);
+
+  return `\n\n🧪 *Simulated outcome*\n${[...lines, ...warnings].join('\n')}`;
+}
+
+function buildTransferConfirmMessage(details, simulation = null) {
   const recipientSummary = details.recipientLabel
     ? `*${details.recipientLabel}*\n\`${details.recipientAddress}\``
     : `\`${details.recipientAddress}\``;
 
-  return `📤 *Confirm Transaction*\n\nI'll send *${details.amount} ${details.tokenSymbol.toUpperCase()}* to:\n${recipientSummary}\n\nReply *yes* to confirm or *no* to cancel.\nYou can also say things like "change amount to 0.2" or "use USDC instead".\n\n⚠️ This will be sent from your bot wallet.`;
+  return `📤 *Confirm Transaction*\n\nI'll send *${details.amount} ${details.tokenSymbol.toUpperCase()}* to:\n${recipientSummary}${buildSimulationSummary(simulation)}\n\nReply *yes* to confirm or *no* to cancel.\nYou can also say things like "change amount to 0.2" or "use USDC instead".\n\n⚠️ This will be sent from your bot wallet.`;
 }
 
 const BARE_AMOUNT_RE = /^\d+(?:\.\d+)?$/;
@@ -20,12 +38,28 @@ function formatEditedFieldList(fields) {
   return `${fields.slice(0, -1).join(', ')}, and ${fields[fields.length - 1]}`;
 }
 
-function buildTransferUpdatedMessage(changedFields, details) {
+function buildTransferUpdatedMessage(changedFields, details, simulation = null) {
   const prefix = changedFields.length > 0
     ? `✏️ Updated ${formatEditedFieldList(changedFields)}.\n\n`
     : '';
 
-  return `${prefix}${buildTransferConfirmMessage(details)}`;
+  return `${prefix}${buildTransferConfirmMessage(details, simulation)}`;
+}
+
+/**
+ * Dry-run the transfer for the confirm step. Simulation is best-effort: a
+ * failure is shown in the message but never blocks the confirmation.
+ */
+async function simulateForConfirmation(deps, details, user) {
+  const { simulateTransfer, logger } = deps;
+  if (typeof simulateTransfer !== 'function' || !user) return null;
+
+  try {
+    return await simulateTransfer({ intent: 'transfer', details }, user);
+  } catch (error) {
+    logger.warn('[TelegramBot] Transfer simulation failed', { userId: user.id, error: error.message });
+    return { error: String(error.message || 'unknown error').split('(')[0].trim() };
+  }
 }
 
 async function applyPendingTransferEdits({
@@ -202,7 +236,8 @@ async function applyPendingTransferEdits({
     expiresAt: Date.now() + 2 * 60 * 1000,
   });
   setScene(telegramId, 'transfer', 'confirm');
-  return sendBotMessage(chatId, telegramId, buildTransferUpdatedMessage(changedFields, details));
+  const simulation = await simulateForConfirmation(deps, details, user);
+  return sendBotMessage(chatId, telegramId, buildTransferUpdatedMessage(changedFields, details, simulation));
 }
 
 export function buildTransferExecutionFailureReason(message = '') {
@@ -419,12 +454,13 @@ export function createTransferConversationHandlers(deps) {
     setScene(telegramId, 'transfer', 'confirm');
 
     const { amount, tokenSymbol, recipientAddress, recipientLabel } = draft.intent.details;
+    const simulation = await simulateForConfirmation(deps, draft.intent.details, user);
     return sendBotMessage(chatId, telegramId, buildTransferConfirmMessage({
       amount,
       tokenSymbol,
       recipientAddress,
       recipientLabel,
-    }));
+    }, simulation));
   }
 
   async function handleTransferCollectionGuardrails({ chatId, telegramId, text }) {
@@ -475,7 +511,7 @@ export function createTransferConversationHandlers(deps) {
     return null;
   }
 
-  async function handlePreparedTransferAction({ chatId, telegramId, action, intentConfidence }) {
+  async function handlePreparedTransferAction({ chatId, telegramId, action, intentConfidence, user = null }) {
     if (!action || action.type !== 'prepare_transfer') return null;
 
     const details = {
@@ -509,7 +545,8 @@ export function createTransferConversationHandlers(deps) {
       expiresAt: Date.now() + 2 * 60 * 1000,
     });
     setScene(telegramId, 'transfer', 'confirm');
-    return sendBotMessage(chatId, telegramId, buildTransferConfirmMessage(details));
+    const simulation = await simulateForConfirmation(deps, details, user);
+    return sendBotMessage(chatId, telegramId, buildTransferConfirmMessage(details, simulation));
   }
 
   return {
@@ -13,7 +13,17 @@ import { ethers } from 'ethers';
 import crypto from 'crypto';
 import prisma from '../lib/prisma.js';
 import telegramConfig from '../config/telegram.js';
-import { TOKEN_REGISTRY, CHAIN_RPC, CHAIN_NAME_TO_ID, DEFAULT_CHAIN_ID } from '../config/tokens.js';
+import { CHAIN_RPC, CHAIN_NAME_TO_ID, DEFAULT_CHAIN_ID, NATIVE_TOKEN_SYMBOLS } from '../config/tokens.js';
+import tokenRegistry from './tokenRegistryService.js';
+import { getCustomTokensForUserChain } from './customTokenService.js';
+import {
+  cancelTransaction,
+  getPendingTransactions,
+  sendManagedTransaction,
+  speedUpTransaction,
+  waitForManagedTransaction,
+} from './evmTransactionManager.js';
+import evmSimulationService from './evmSimulationService.js';
 import logger from './loggerService.js';
 
 // ─────────────────────────────────────────────────────────────
@@ -138,16 +148,11 @@ async function resolveAddress(addressOrEns, provider) {
 }
 
 /**
- * Get the ERC-20 token address for a symbol on a given chainId.
+ * Get the ERC-20 token address for a symbol on a given chainId, from the same
+ * token registry the dashboard uses. Returns null for the native currency.
  */
-function getTokenAddress(tokenSymbol, chainId) {
-  const upper = tokenSymbol.toUpperCase();
-  if (upper === 'ETH' || upper === 'MATIC') return null; // native transfer
-  const tokenMap = TOKEN_REGISTRY[upper];
-  if (!tokenMap) throw new Error(`Token ${upper} not supported. Supported: ETH, USDC, USDT, WETH, DAI`);
-  const addr = tokenMap[chainId];
-  if (!addr) throw new Error(`Token ${upper} not available on chain ${chainId}`);
-  return addr;
+function getTokenAddress(tokenSymbol, chainId, customTokens = []) {
+  return tokenRegistry.resolveSymbol(tokenSymbol, chainId, customTokens)?.address || null;
 }
 
 /**
@@ -169,6 +174,57 @@ function getProvider(chainId) {
   return new ethers.JsonRpcProvider(rpc);
 }
 
+/**
+ * The unsigned native or ERC-20 transfer for a confirmed intent.
+ */
+async function buildTransferRequest(user, { tokenSymbol, amount, chainId, toAddress }, provider) {
+  const customTokens = await getCustomTokensForUserChain(user.id, chainId);
+  const tokenAddress = getTokenAddress(tokenSymbol, chainId, customTokens);
+
+  if (!tokenAddress) {
+    // Native ETH transfer
+    return {
+      to: toAddress,
+      value: ethers.parseEther(amount.toString()),
+    };
+  }
+
+  // ERC-20 transfer
+  const erc20 = new ethers.Contract(
+    tokenAddress,
+    ['function transfer(address to, uint256 amount) returns (bool)',
+     'function decimals() view returns (uint8)'],
+    provider
+  );
+  const decimals = await erc20.decimals();
+  const parsed = ethers.parseUnits(amount.toString(), decimals);
+  return {
+    to: tokenAddress,
+    data: erc20.interface.encodeFunctionData('transfer', [toAddress, parsed]),
+  };
+}
+
+/**
+ * Dry-run a transfer intent from the bot wallet before the user confirms it.
+ *
+ * @param {object} intent — Parsed TransactionIntent from geminiService
+ * @param {object} user   — Prisma User record (must have id)
+ * @returns {Promise<object>} evmSimulationService.simulate result plus chainId, from and nativeSymbol
+ */
+export async function simulateTransfer(intent, user) {
+  const { tokenSymbol, amount, recipientAddress, chain } = intent.details;
+
+  const chainId = resolveChainId(chain);
+  const provider = getProvider(chainId);
+  const botWallet = await getBotWallet(user.id, provider);
+  const toAddress = await resolveAddress(recipientAddress, provider);
+  const request = await buildTransferRequest(user, { tokenSymbol, amount, chainId, toAddress }, provider);
+
+  const nativeSymbol = NATIVE_TOKEN_SYMBOLS[chainId] || 'ETH';
+  const simulation = await evmSimulationService.simulate(provider, { from: botWallet.address, ...request }, { nativeSymbol });
+  return { ...simulation, chainId, from: botWallet.address, nativeSymbol };
+}
+
 /**
  * Main execution function called after user confirms intent in Telegram.
  *
@@ -197,27 +253,19 @@ export async function executeTransfer(intent, user, options = {}) {
     chainId,
   });
 
-  let tx;
-  const tokenAddress = getTokenAddress(tokenSymbol, chainId);
+  const request = await buildTransferRequest(user, { tokenSymbol, amount, chainId, toAddress }, provider);
 
-  if (!tokenAddress) {
-    // Native ETH transfer
-    tx = await botWallet.sendTransaction({
-      to: toAddress,
-      value: ethers.parseEther(amount.toString()),
-    });
-  } else {
-    // ERC-20 transfer
-    const erc20 = new ethers.Contract(
-      tokenAddress,
-      ['function transfer(address to, uint256 amount) returns (bool)',
-       'function decimals() view returns (uint8)'],
-      botWallet
-    );
-    const decimals = await erc20.decimals();
-    const parsed = ethers.parseUnits(amount.toString(), decimals);
-    tx = await erc20.transfer(toAddress, parsed);
-  }
+  // The nonce manager serializes sends from the bot wallet so quick transfers don't collide.
+  const { tx } = await sendManagedTransaction(botWallet, request, {
+    chainId,
+    metadata: {
+      source: 'telegram',
+      userId: user.id,
+      token: tokenSymbol.toUpperCase(),
+      amount: amount.toString(),
+      recipient: toAddress,
+    },
+  });
 
   logger.info('[TelegramBot] Transaction broadcast', { txHash: tx.hash });
 
@@ -232,13 +280,13 @@ export async function executeTransfer(intent, user, options = {}) {
     });
   }
 
-  // Wait for 1 confirmation
-  await tx.wait(1);
+  // Wait for 1 confirmation; a sped-up replacement reports its own hash.
+  const { txHash } = await waitForManagedTransaction(tx, { confirmations: 1 });
 
-  logger.info('[TelegramBot] Transaction confirmed', { txHash: tx.hash });
+  logger.info('[TelegramBot] Transaction confirmed', { txHash });
 
   return {
-    txHash: tx.hash,
+    txHash,
     from: botWallet.address,
     to: toAddress,
     amount: amount.toString(),
@@ -267,3 +315,59 @@ export async function getBotWalletBalance(userId, chainId = DEFAULT_CHAIN_ID) {
     chainId,
   };
 }
+
+// ─────────────────────────────────────────────────────────────
+//  Pending transfers: list, speed up, cancel
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Pending bot wallet transactions on every chain, reconciled with the chain first.
+ * @param {string} userId
+ * @returns {Promise<object[]>} Transaction rows, lowest nonce first per chain
+ */
+export async function getPendingBotTransfers(userId) {
+  const record = await prisma.telegramBotWallet.findUnique({ where: { userId } });
+  if (!record) throw new Error('Bot wallet not found');
+
+  const rows = await prisma.transaction.findMany({
+    where: { fromAddress: record.address, status: 'PENDING', chainId: { not: null } },
+    select: { chainId: true },
+  });
+  const pending = [];
+  for (const chainId of [...new Set(rows.map(row => row.chainId))]) {
+    pending.push(...await getPendingTransactions(getProvider(chainId), record.address, chainId));
+  }
+  return pending;
+}
+
+async function replaceBotTransfer(userId, txHash, replace) {
+  const pending = await getPendingBotTransfers(userId);
+  const target = txHash
+    ? pending.find(row => row.txHash.toLowerCase() === txHash.toLowerCase())
+    : pending[0];
+  if (!target) {
+    throw new Error(txHash ? 'That transaction is not pending' : 'You have no pending transfers');
+  }
+
+  const botWallet = await getBotWallet(userId, getProvider(target.chainId));
+  const { tx } = await replace(botWallet, target.txHash);
+  return { txHash: tx.hash, replaces: target.txHash, nonce: target.nonce, chainId: target.chainId };
+}
+
+/**
+ * Re-send a pending transfer with higher fees. Defaults to the oldest pending one.
+ * @param {string} userId
+ * @param {string} [txHash]
+ */
+export async function speedUpBotTransfer(userId, txHash) {
+  return replaceBotTransfer(userId, txHash, speedUpTransaction);
+}
+
+/**
+ * Cancel a pending transfer by replacing it with an empty self-transfer.
+ * @param {string} userId
+ * @param {string} [txHash]
+ */
+export async function cancelBotTransfer(userId, txHash) {
+  return replaceBotTransfer(userId, txHash, cancelTransaction);
+}
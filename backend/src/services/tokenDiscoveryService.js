@@ -0,0 +1,304 @@
+import { ethers } from 'ethers';
+import prisma from '../lib/prisma.js';
+import ethereumService from './ethereumService.js';
+import tokenService from './tokenService.js';
+import tokenRegistry from './tokenRegistryService.js';
+import logger from './loggerService.js';
+import { TOKEN_DISCOVERY } from '../config/tokens.js';
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// ERC-20 Transfer has two indexed addresses; ERC-721 also indexes the token id.
+const ERC20_TRANSFER_TOPICS = 3;
+
+export function planRanges(scan, head, { blockRange, maxRangesPerScan, lookbackBlocks }) {
+  const floor = Math.max(head - lookbackBlocks, 0);
+  // Nothing scanned yet: start at the head and work backwards.
+  const fromBlock = scan ? scan.fromBlock : head + 1;
+  const toBlock = scan ? scan.toBlock : head;
+
+  const ranges = [];
+  // New blocks first, oldest to newest so the scanned window stays contiguous.
+  for (let start = toBlock + 1; start <= head && ranges.length < maxRangesPerScan; start += blockRange) {
+    ranges.push({ from: start, to: Math.min(start + blockRange - 1, head) });
+  }
+  // Then history, newest to oldest.
+  for (let end = fromBlock - 1; end >= floor && ranges.length < maxRangesPerScan; end -= blockRange) {
+    ranges.push({ from: Math.max(end - blockRange + 1, floor), to: end });
+  }
+  return { ranges, floor, fromBlock, toBlock };
+}
+
+/**
+ * Finds ERC-20 contracts a wallet has sent or received by scanning Transfer
+ * logs, and keeps the per-wallet token set and token metadata in the database
+ * so the dashboard lists tokens without users entering contract addresses.
+ */
+class TokenDiscoveryService {
+  constructor(config = TOKEN_DISCOVERY) {
+    this.config = config;
+  }
+
+  async loadMetadata(chainId, tokenAddresses, network) {
+    if (tokenAddresses.length === 0) return {};
+
+    const cached = await prisma.tokenMetadata.findMany({
+      where: { chainId, address: { in: tokenAddresses } },
+    });
+    const metadata = Object.fromEntries(cached.map((entry) => [entry.address, entry]));
+
+    const missing = tokenAddresses.filter((address) => !metadata[address]);
+    await Promise.all(missing.map(async (address) => {
+      const contract = tokenService.getTokenContract(address, network);
+      let data;
+      try {
+        const [name, symbol, decimals] = await Promise.all([contract.name(), contract.symbol(), contract.decimals()]);
+        data = { name, symbol, decimals: Number(decimals), isErc20: true };
+      } catch (error) {
+        // Contracts that emit Transfer but don't implement the ERC-20 views are remembered and skipped.
+        logger.warn('Token metadata lookup failed', { chainId, address, error: error.message });
+        data = { name: null, symbol: null, decimals: null, isErc20: false };
+      }
+      metadata[address] = await prisma.tokenMetadata.upsert({
+        where: { chainId_address: { chainId, address } },
+        update: data,
+        create: { chainId, address, ...data },
+      });
+    }));
+
+    return metadata;
+  }
+
+  async scanLogs(provider, walletAddress, range) {
+    const padded = ethers.zeroPadValue(walletAddress, 32);
+    const [sent, received] = await Promise.all([
+      provider.getLogs({ fromBlock: range.from, toBlock: range.to, topics: [TRANSFER_TOPIC, padded] }),
+      provider.getLogs({ fromBlock: range.from, toBlock: range.to, topics: [TRANSFER_TOPIC, null, padded] }),
+    ]);
+
+    const seen = {};
+    for (const log of [...sent, ...received]) {
+      if (log.topics.length !== ERC20_TRANSFER_TOPICS) continue;
+      const address = ethers.getAddress(log.address);
+      seen[address] = Math.max(seen[address] || 0, log.blockNumber);
+    }
+    return seen;
+  }
+
+  /**
+   * Scans the next batch of block ranges for the wallet and records new tokens.
+   * `complete` turns true once the lookback window is covered up to the head.
+   */
+  async discoverTokens(walletAddress, network = 'mainnet') {
+    try {
+      if (!ethers.isAddress(walletAddress)) {
+        throw new Error('Invalid wallet address');
+      }
+      const chainId = ethereumService.getChainId(network);
+      if (!chainId) {
+        throw new Error(`Unsupported network: ${network}`);
+      }
+
+      const owner = ethers.getAddress(walletAddress);
+      const provider = ethereumService.getProvider(network);
+      const head = await provider.getBlockNumber();
+      const scan = await prisma.tokenDiscoveryScan.findUnique({
+        where: { walletAddress_chainId: { walletAddress: owner, chainId } },
+      });
+      const plan = planRanges(scan, head, this.config);
+
+      let { fromBlock, toBlock } = plan;
+      const seen = {};
+      let interrupted = null;
+      for (const range of plan.ranges) {
+        try {
+          const found = await this.scanLogs(provider, owner, range);
+          for (const [address, block] of Object.entries(found)) {
+            seen[address] = Math.max(seen[address] || 0, block);
+          }
+        } catch (error) {
+          // Keep what was scanned; the next request resumes from the failed range.
+          interrupted = error.message;
+          logger.warn('Token discovery range failed', { chainId, ...range, error: error.message });
+          break;
+        }
+        if (range.from > toBlock) toBlock = range.to;
+        else fromBlock = range.from;
+      }
+
+      if (fromBlock <= toBlock) {
+        await prisma.tokenDiscoveryScan.upsert({
+          where: { walletAddress_chainId: { walletAddress: owner, chainId } },
+          update: { fromBlock, toBlock },
+          create: { walletAddress: owner, chainId, fromBlock, toBlock },
+        });
+      }
+
+      const existing = await prisma.discoveredToken.findMany({
+        where: { walletAddress: owner, chainId, tokenAddress: { in: Object.keys(seen) } },
+      });
+      const known = Object.fromEntries(existing.map((entry) => [entry.tokenAddress, entry]));
+      const newTokens = Object.keys(seen).filter((address) => !known[address]);
+
+      await Promise.all(Object.entries(seen).map(([tokenAddress, block]) => prisma.discoveredToken.upsert({
+        where: { walletAddress_chainId_tokenAddress: { walletAddress: owner, chainId, tokenAddress } },
+        update: { lastSeenBlock: Math.max(block, known[tokenAddress]?.lastSeenBlock || 0) },
+        create: { walletAddress: owner, chainId, tokenAddress, lastSeenBlock: block },
+      })));
+
+      const metadata = await this.loadMetadata(chainId, newTokens, network);
+
+      return {
+        success: true,
+        wallet: owner,
+        network,
+        chainId,
+        scannedFrom: fromBlock <= toBlock ? fromBlock : null,
+        scannedTo: fromBlock <= toBlock ? toBlock : null,
+        head,
+        complete: fromBlock <= plan.floor && toBlock >= head,
+        ...(interrupted && { interrupted }),
+        newTokens: newTokens
+          .filter((address) => metadata[address]?.isErc20)
+          .map((address) => ({
+            address,
+            name: metadata[address].name,
+            symbol: metadata[address].symbol,
+            decimals: metadata[address].decimals,
+          })),
+      };
+    } catch (error) {
+      logger.error('Error discovering tokens', { walletAddress, network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Runs discovery on each network in turn. `networks` is a list of names or
+   * 'all' for every network ethereumService has an RPC for.
+   */
+  async discoverAcrossNetworks(walletAddress, networks = 'all') {
+    const names = networks === 'all' ? Object.keys(ethereumService.networkConfigs) : networks;
+    const results = [];
+    for (const network of names) {
+      results.push(await this.discoverTokens(walletAddress, network));
+    }
+
+    return {
+      success: results.some(result => result.success),
+      wallet: walletAddress,
+      networks: results.map((result, index) => ({ network: names[index], ...result })),
+      newTokens: results.reduce((count, result) => count + (result.newTokens?.length || 0), 0),
+    };
+  }
+
+  /**
+   * Balances for the token-list tokens of the chain, the wallet's custom tokens
+   * and everything discovered for the address. List and custom tokens carry
+   * their own metadata; discovered ones come from the cache, so mostly only
+   * balanceOf hits the RPC.
+   */
+  async getWalletTokenBalances(walletAddress, network = 'mainnet', { discover = false, customTokens = [] } = {}) {
+    try {
+      if (!ethers.isAddress(walletAddress)) {
+        throw new Error('Invalid wallet address');
+      }
+      const chainId = ethereumService.getChainId(network);
+      if (!chainId) {
+        throw new Error(`Unsupported network: ${network}`);
+      }
+      const owner = ethers.getAddress(walletAddress);
+
+      let discovery = null;
+      if (discover) {
+        discovery = await this.discoverTokens(owner, network);
+      }
+
+      const known = {};
+      for (const token of tokenRegistry.getTokens(chainId, customTokens)) {
+        known[token.address] = { ...token, source: token.custom ? 'custom' : 'registry' };
+      }
+      const discovered = await prisma.discoveredToken.findMany({
+        where: { walletAddress: owner, chainId, hidden: false },
+      });
+      const discoveredAddresses = discovered.map(entry => entry.tokenAddress).filter(address => !known[address]);
+      const metadata = await this.loadMetadata(chainId, discoveredAddresses, network);
+      for (const address of discoveredAddresses) {
+        if (metadata[address]?.isErc20) {
+          known[address] = { ...metadata[address], address, source: 'discovered' };
+        }
+      }
+
+      const tokens = await Promise.all(Object.values(known).map(async ({ address, name, symbol, decimals, source }) => {
+        const base = { address, name, symbol, decimals, source, verified: source === 'registry' };
+        try {
+          const balance = await tokenService.getTokenContract(address, network).balanceOf(owner);
+          return { ...base, balance: ethers.formatUnits(balance, decimals), balanceRaw: balance.toString() };
+        } catch (error) {
+          return { ...base, error: error.message };
+        }
+      }));
+
+      tokens.sort((a, b) => (BigInt(b.balanceRaw || 0) > 0n) - (BigInt(a.balanceRaw || 0) > 0n)
+        || (a.symbol || '').localeCompare(b.symbol || ''));
+
+      return {
+        success: true,
+        wallet: owner,
+        network,
+        chainId,
+        tokens,
+        ...(discovery && {
+          discovery: discovery.success
+            ? { complete: discovery.complete, scannedFrom: discovery.scannedFrom, newTokens: discovery.newTokens.length }
+            : { error: discovery.error },
+        }),
+      };
+    } catch (error) {
+      logger.error('Error getting wallet token balances', { walletAddress, network, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async setTokenHidden(walletAddress, tokenAddress, network = 'mainnet', hidden = true) {
+    try {
+      if (!ethers.isAddress(walletAddress) || !ethers.isAddress(tokenAddress)) {
+        throw new Error('Invalid address');
+      }
+      const chainId = ethereumService.getChainId(network);
+      if (!chainId) {
+        throw new Error(`Unsupported network: ${network}`);
+      }
+
+      const where = {
+        walletAddress_chainId_tokenAddress: {
+          walletAddress: ethers.getAddress(walletAddress),
+          chainId,
+          tokenAddress: ethers.getAddress(tokenAddress),
+        },
+      };
+      const existing = await prisma.discoveredToken.findUnique({ where });
+      if (!existing) {
+        throw new Error('Token was not discovered for this wallet');
+      }
+      await prisma.discoveredToken.update({ where, data: { hidden: Boolean(hidden) } });
+
+      return { success: true, tokenAddress: existing.tokenAddress, hidden: Boolean(hidden) };
+    } catch (error) {
+      logger.error('Error updating discovered token', { walletAddress, tokenAddress, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export { TokenDiscoveryService };
+export default new TokenDiscoveryService();
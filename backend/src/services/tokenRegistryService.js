@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { NATIVE_TOKEN_SYMBOLS, TOKEN_LIST_FILES } from '../config/tokens.js';
+import logger from './loggerService.js';
+
+// Limits and patterns from the Uniswap token-list schema (tokenlist.schema.json).
+const LIST_NAME_RE = /^[\w ]+$/;
+const TAG_ID_RE = /^[\w]+$/;
+const SYMBOL_RE = /^\S+$/;
+const ADDRESS_RE = /^0x[a-fA-F0-9]{40}$/;
+const LIST_KEYS = new Set(['name', 'timestamp', 'version', 'tokens', 'tokenMap', 'keywords', 'tags', 'logoURI']);
+const TOKEN_KEYS = new Set(['chainId', 'address', 'decimals', 'name', 'symbol', 'logoURI', 'tags', 'extensions']);
+const MAX_TOKENS = 10000;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+function validateUri(value, label, errors) {
+  if (typeof value !== 'string') {
+    errors.push(`${label} must be a URI`);
+    return;
+  }
+  try {
+    new URL(value);
+  } catch {
+    errors.push(`${label} must be a URI`);
+  }
+}
+
+/**
+ * Check one token entry against the token-list token schema. Returns a list of
+ * error messages, empty when the token is valid.
+ */
+export function validateToken(token, label = 'token') {
+  const errors = [];
+  if (!token || typeof token !== 'object' || Array.isArray(token)) {
+    return [`${label} must be an object`];
+  }
+
+  for (const key of Object.keys(token)) {
+    if (!TOKEN_KEYS.has(key)) errors.push(`${label}.${key} is not allowed`);
+  }
+  if (!Number.isInteger(token.chainId) || token.chainId < 1) {
+    errors.push(`${label}.chainId must be a positive integer`);
+  }
+  if (typeof token.address !== 'string' || !ADDRESS_RE.test(token.address) || !ethers.isAddress(token.address)) {
+    errors.push(`${label}.address must be a checksummed 0x address`);
+  }
+  if (!isNonNegativeInteger(token.decimals) || token.decimals > 255) {
+    errors.push(`${label}.decimals must be an integer from 0 to 255`);
+  }
+  if (typeof token.name !== 'string' || token.name.length < 1 || token.name.length > 60) {
+    errors.push(`${label}.name must be 1-60 characters`);
+  }
+  if (typeof token.symbol !== 'string' || token.symbol.length < 1 || token.symbol.length > 20 || !SYMBOL_RE.test(token.symbol)) {
+    errors.push(`${label}.symbol must be 1-20 characters without spaces`);
+  }
+  if (token.logoURI !== undefined) validateUri(token.logoURI, `${label}.logoURI`, errors);
+  if (token.tags !== undefined && (!Array.isArray(token.tags) || token.tags.length > 10
+    || token.tags.some(tag => typeof tag !== 'string' || tag.length < 1 || tag.length > 10 || !TAG_ID_RE.test(tag)))) {
+    errors.push(`${label}.tags must be up to 10 tag ids`);
+  }
+  if (token.extensions !== undefined && (typeof token.extensions !== 'object' || token.extensions === null || Array.isArray(token.extensions))) {
+    errors.push(`${label}.extensions must be an object`);
+  }
+  return errors;
+}
+
+/**
+ * Check a token list against the Uniswap token-list schema, plus the rule the
+ * registry relies on: one entry per chainId and address.
+ */
+export function validateTokenList(list) {
+  if (!list || typeof list !== 'object' || Array.isArray(list)) {
+    return ['token list must be a JSON object'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(list)) {
+    if (!LIST_KEYS.has(key)) errors.push(`${key} is not allowed`);
+  }
+  if (typeof list.name !== 'string' || list.name.length < 1 || list.name.length > 30 || !LIST_NAME_RE.test(list.name)) {
+    errors.push('name must be 1-30 letters, digits or spaces');
+  }
+  if (typeof list.timestamp !== 'string' || Number.isNaN(Date.parse(list.timestamp))) {
+    errors.push('timestamp must be an ISO 8601 date-time');
+  }
+  const { version } = list;
+  if (!version || !['major', 'minor', 'patch'].every(part => isNonNegativeInteger(version[part]))) {
+    errors.push('version must have non-negative integer major, minor and patch');
+  }
+  if (list.keywords !== undefined && (!Array.isArray(list.keywords) || list.keywords.length > 20
+    || list.keywords.some(keyword => typeof keyword !== 'string' || keyword.length < 1 || keyword.length > 20))) {
+    errors.push('keywords must be up to 20 strings of 1-20 characters');
+  }
+  if (list.logoURI !== undefined) validateUri(list.logoURI, 'logoURI', errors);
+
+  if (!Array.isArray(list.tokens) || list.tokens.length < 1 || list.tokens.length > MAX_TOKENS) {
+    errors.push(`tokens must be an array of 1-${MAX_TOKENS} tokens`);
+    return errors;
+  }
+
+  const seen = new Set();
+  list.tokens.forEach((token, index) => {
+    const tokenErrors = validateToken(token, `tokens[${index}]`);
+    errors.push(...tokenErrors);
+    if (tokenErrors.length === 0) {
+      const key = `${token.chainId}:${token.address.toLowerCase()}`;
+      if (seen.has(key)) errors.push(`tokens[${index}] duplicates ${token.address} on chain ${token.chainId}`);
+      seen.add(key);
+    }
+  });
+  return errors;
+}
+
+const symbolKey = (chainId, symbol) => `${chainId}:${symbol.toUpperCase()}`;
+
+/**
+ * Merged view of every loaded token list. Tokens are keyed by chainId and
+ * address; each symbol on a chain belongs to the first list that claimed it.
+ * Custom tokens are passed in per call because they belong to a wallet, not
+ * to the registry.
+ */
+class TokenRegistry {
+  constructor() {
+    this.lists = [];
+    this.tokens = new Map();
+    this.symbols = new Map();
+  }
+
+  addList(list, source = list?.name) {
+    const errors = validateTokenList(list);
+    if (errors.length > 0) {
+      throw new Error(`Invalid token list ${source}: ${errors.slice(0, 5).join('; ')}`);
+    }
+
+    for (const token of list.tokens) {
+      const address = ethers.getAddress(token.address);
+      const key = `${token.chainId}:${address}`;
+      const existing = this.tokens.get(key);
+      if (existing) {
+        existing.lists.push(list.name);
+        continue;
+      }
+
+      const entry = {
+        chainId: token.chainId,
+        address,
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        ...(token.logoURI && { logoURI: token.logoURI }),
+        lists: [list.name],
+      };
+      this.tokens.set(key, entry);
+
+      const claimed = this.symbols.get(symbolKey(token.chainId, token.symbol));
+      if (claimed) {
+        logger.warn('Token list symbol already registered, keeping the first', {
+          list: list.name,
+          chainId: token.chainId,
+          symbol: token.symbol,
+          kept: claimed.address,
+          ignored: address,
+        });
+      } else {
+        this.symbols.set(symbolKey(token.chainId, token.symbol), entry);
+      }
+    }
+
+    this.lists.push({
+      name: list.name,
+      version: `${list.version.major}.${list.version.minor}.${list.version.patch}`,
+      timestamp: list.timestamp,
+      tokenCount: list.tokens.length,
+      source,
+    });
+  }
+
+  /**
+   * Load lists from disk in order. A list that is missing or fails validation
+   * is logged and skipped so one bad file does not take the others down.
+   */
+  loadFiles(files) {
+    for (const file of files) {
+      try {
+        const list = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+        this.addList(list, file);
+      } catch (error) {
+        logger.error('Failed to load token list', { file, error: error.message });
+      }
+    }
+    return this;
+  }
+
+  isNative(symbol, chainId) {
+    return NATIVE_TOKEN_SYMBOLS[chainId] === String(symbol).toUpperCase();
+  }
+
+  getToken(chainId, address) {
+    if (!ethers.isAddress(address)) return null;
+    return this.tokens.get(`${chainId}:${ethers.getAddress(address)}`) || null;
+  }
+
+  getAllTokens() {
+    return [...this.tokens.values()];
+  }
+
+  /**
+   * Every list token on the chain followed by the wallet's custom tokens.
+   */
+  getTokens(chainId, customTokens = []) {
+    const listed = [...this.tokens.values()].filter(token => token.chainId === chainId);
+    const custom = customTokens
+      .filter(token => token.chainId === chainId && !this.getToken(chainId, token.address))
+      .map(token => ({
+        chainId,
+        address: ethers.getAddress(token.address),
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        ...(token.logoURI && { logoURI: token.logoURI }),
+        custom: true,
+      }));
+    return [...listed, ...custom];
+  }
+
+  getSymbols(chainId, customTokens = []) {
+    return [...new Set(this.getTokens(chainId, customTokens).map(token => token.symbol.toUpperCase()))];
+  }
+
+  /**
+   * Resolve a symbol on a chain. Returns null for the native currency, the
+   * token entry otherwise, and throws when the symbol is unknown or ambiguous.
+   */
+  resolveSymbol(symbol, chainId, customTokens = []) {
+    const upper = String(symbol || '').toUpperCase();
+    if (this.isNative(upper, chainId)) return null;
+
+    const listed = this.symbols.get(symbolKey(chainId, upper));
+    if (listed) return listed;
+
+    const custom = this.getTokens(chainId, customTokens).filter(token => token.custom && token.symbol.toUpperCase() === upper);
+    const addresses = new Set(custom.map(token => token.address));
+    if (addresses.size > 1) {
+      throw new Error(`Token ${upper} matches ${addresses.size} custom tokens on chain ${chainId}; use the contract address`);
+    }
+    if (custom.length > 0) return custom[0];
+
+    const knownElsewhere = [...this.symbols.keys()].some(key => key.endsWith(`:${upper}`));
+    if (knownElsewhere) {
+      throw new Error(`Token ${upper} not available on chain ${chainId}`);
+    }
+    const supported = [NATIVE_TOKEN_SYMBOLS[chainId], ...this.getSymbols(chainId, customTokens)].filter(Boolean);
+    throw new Error(`Token ${upper} not supported. Supported: ${supported.join(', ')}`);
+  }
+}
+
+export { TokenRegistry };
+export default new TokenRegistry().loadFiles(TOKEN_LIST_FILES);
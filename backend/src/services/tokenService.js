@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import ethereumService from './ethereumService.js';
+import tokenRegistry from './tokenRegistryService.js';
 import logger from './loggerService.js';
 
 const ERC20_ABI = [
@@ -16,17 +17,10 @@ const ERC20_ABI = [
 
 class TokenService {
   constructor() {
-
-    this.popularTokens = {
-      USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-      USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-      DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-      WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-      LINK: '0x514910771AF9Ca656af840dff83E8264EcF986CA',
-      UNI: '0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984',
-      WBTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
-      MATIC: '0x7D1AfA7B718fb893dB30A3aBc0Cfc608AaCfeBB0',
-    };
+    // Mainnet tokens from the token lists, keyed by symbol.
+    this.popularTokens = Object.fromEntries(
+      tokenRegistry.getTokens(1).map(token => [token.symbol, token.address])
+    );
   }
 
   getTokenContract(tokenAddress, network = 'mainnet') {
@@ -7,8 +7,23 @@ import crypto from 'crypto';
 import { Keypair } from '@solana/web3.js';
 import * as ed25519 from 'ed25519-hd-key';
 import logger from './loggerService.js';
+import { DEFAULT_GAP_LIMIT, scanAccount, toBtc } from './bitcoinDiscoveryService.js';
+import { BITCOIN_NETWORKS } from './bitcoinProviders/index.js';
 
 const bip32 = BIP32Factory(ecc);
+bitcoin.initEccLib(ecc);
+
+// Bitcoin address types and their BIP purpose paths:
+// legacy = BIP-44 P2PKH, segwit = BIP-84 P2WPKH, taproot = BIP-86 P2TR (key-path only).
+export const BITCOIN_ADDRESS_TYPES = {
+  legacy: { purpose: 44 },
+  segwit: { purpose: 84 },
+  taproot: { purpose: 86 },
+};
+export const DEFAULT_BITCOIN_ADDRESS_TYPE = 'segwit';
+
+// BIP-44 account discovery stops at the first account without history; this caps runaway scans.
+const MAX_DISCOVERY_ACCOUNTS = 10;
 
 const PBKDF2_ITERATIONS = 600000;
 const SALT_LENGTH = 32;
@@ -107,8 +122,48 @@ class WalletService {
     };
   }
 
-  generateNewWallet(passphrase = '') {
+  normalizeBitcoinAddressType(addressType) {
+    const type = String(addressType || DEFAULT_BITCOIN_ADDRESS_TYPE).toLowerCase();
+    if (!BITCOIN_ADDRESS_TYPES[type]) {
+      throw new Error(`Unsupported Bitcoin address type: ${addressType}`);
+    }
+    return type;
+  }
+
+  bitcoinAddressForPublicKey(publicKey, addressType, network = bitcoin.networks.bitcoin) {
+    const pubkey = Buffer.from(publicKey);
+    if (addressType === 'segwit') {
+      return bitcoin.payments.p2wpkh({ pubkey, network }).address;
+    }
+    if (addressType === 'taproot') {
+      return bitcoin.payments.p2tr({ internalPubkey: pubkey.subarray(1, 33), network }).address;
+    }
+    return bitcoin.payments.p2pkh({ pubkey, network }).address;
+  }
+
+  /**
+   * Derive the receive address at `index` for every supported address type.
+   */
+  deriveBitcoinAccounts(seed, index = 0) {
+    const root = bip32.fromSeed(seed);
+    const accounts = {};
+
+    for (const [type, { purpose }] of Object.entries(BITCOIN_ADDRESS_TYPES)) {
+      const path = `m/${purpose}'/0'/0'/0/${index}`;
+      const child = root.derivePath(path);
+      accounts[type] = {
+        address: this.bitcoinAddressForPublicKey(child.publicKey, type),
+        path,
+        privateKey: Buffer.from(child.privateKey).toString('hex'),
+      };
+    }
+
+    return accounts;
+  }
+
+  generateNewWallet(passphrase = '', bitcoinAddressType = DEFAULT_BITCOIN_ADDRESS_TYPE) {
     try {
+      const btcType = this.normalizeBitcoinAddressType(bitcoinAddressType);
 
       const mnemonic = bip39.generateMnemonic(128);
 
@@ -120,14 +175,7 @@ class WalletService {
       const ethWallet = ethers.Wallet.fromPhrase(mnemonic, passphrase);
 
       const seed = bip39.mnemonicToSeedSync(mnemonic, passphrase);
-      const btcNode = bip32.fromSeed(seed);
-      const btcPath = "m/44'/0'/0'/0/0";
-      const btcChild = btcNode.derivePath(btcPath);
-
-      const btcAddress = bitcoin.payments.p2pkh({
-        pubkey: Buffer.from(btcChild.publicKey),
-        network: bitcoin.networks.bitcoin,
-      }).address;
+      const btcAccounts = this.deriveBitcoinAccounts(seed);
 
       const solSeed = bip39.mnemonicToSeedSync(mnemonic, passphrase);
       const solPath = "m/44'/501'/0'/0'";
@@ -139,13 +187,15 @@ class WalletService {
         mnemonic,
         addresses: {
           ethereum: ethWallet.address,
-          bitcoin: btcAddress,
+          bitcoin: btcAccounts[btcType].address,
           solana: solKeypair.publicKey.toString(),
         },
+        bitcoinAddressType: btcType,
+        bitcoinAccounts: btcAccounts,
 
         _privateKeys: {
           ethereum: ethWallet.privateKey,
-          bitcoin: btcChild.privateKey.toString('hex'),
+          bitcoin: btcAccounts[btcType].privateKey,
           solana: Buffer.from(solKeypair.secretKey).toString('hex'),
         },
       };
@@ -158,8 +208,9 @@ class WalletService {
     }
   }
 
-  importFromMnemonic(mnemonic, passphrase = '') {
+  importFromMnemonic(mnemonic, passphrase = '', bitcoinAddressType = DEFAULT_BITCOIN_ADDRESS_TYPE) {
     try {
+      const btcType = this.normalizeBitcoinAddressType(bitcoinAddressType);
 
       const validation = this.validateMnemonicStrength(mnemonic);
       if (!validation.valid) {
@@ -169,14 +220,7 @@ class WalletService {
       const ethWallet = ethers.Wallet.fromPhrase(mnemonic, passphrase);
 
       const seed = bip39.mnemonicToSeedSync(mnemonic, passphrase);
-      const btcNode = bip32.fromSeed(seed);
-      const btcPath = "m/44'/0'/0'/0/0";
-      const btcChild = btcNode.derivePath(btcPath);
-
-      const btcAddress = bitcoin.payments.p2pkh({
-        pubkey: Buffer.from(btcChild.publicKey),
-        network: bitcoin.networks.bitcoin,
-      }).address;
+      const btcAccounts = this.deriveBitcoinAccounts(seed);
 
       const solSeed = bip39.mnemonicToSeedSync(mnemonic, passphrase);
       const solPath = "m/44'/501'/0'/0'";
@@ -187,13 +231,15 @@ class WalletService {
         success: true,
         addresses: {
           ethereum: ethWallet.address,
-          bitcoin: btcAddress,
+          bitcoin: btcAccounts[btcType].address,
           solana: solKeypair.publicKey.toString(),
         },
+        bitcoinAddressType: btcType,
+        bitcoinAccounts: btcAccounts,
 
         _privateKeys: {
           ethereum: ethWallet.privateKey,
-          bitcoin: btcChild.privateKey.toString('hex'),
+          bitcoin: btcAccounts[btcType].privateKey,
           solana: Buffer.from(solKeypair.secretKey).toString('hex'),
         },
       };
@@ -206,6 +252,100 @@ class WalletService {
     }
   }
 
+  /**
+   * BIP-44 account discovery for every address type: accounts are scanned in
+   * order (receive, then change chain) until one has no history or the gap
+   * limit is hit on each chain. Address types are scanned in parallel.
+   * Reports used addresses and aggregate balances.
+   */
+  async discoverBitcoinAccounts(seed, { network = 'mainnet', gapLimit = DEFAULT_GAP_LIMIT } = {}) {
+    try {
+      const root = bip32.fromSeed(seed);
+      const btcNetwork = BITCOIN_NETWORKS[network] || bitcoin.networks.bitcoin;
+
+      const scans = await Promise.all(Object.entries(BITCOIN_ADDRESS_TYPES).map(async ([type, { purpose }]) => {
+        const addresses = [];
+        let balance = 0;
+        let unconfirmed = 0;
+        let accounts = 0;
+
+        for (let account = 0; account < MAX_DISCOVERY_ACCOUNTS; account++) {
+          const accountNode = root.derivePath(`m/${purpose}'/0'/${account}'`);
+          const scan = await scanAccount(
+            (chain, index) => this.bitcoinAddressForPublicKey(accountNode.derive(chain).derive(index).publicKey, type, btcNetwork),
+            { network, gapLimit }
+          );
+          if (scan.addresses.length === 0) break;
+
+          accounts++;
+          balance += scan.balance;
+          unconfirmed += scan.unconfirmed;
+          for (const entry of scan.addresses) {
+            addresses.push({
+              address: entry.address,
+              addressType: type,
+              path: `m/${purpose}'/0'/${account}'/${entry.chain}/${entry.index}`,
+              balance: toBtc(entry.balance),
+              unconfirmed: toBtc(entry.unconfirmed),
+              txCount: entry.txCount,
+            });
+          }
+        }
+
+        return { type, addresses, summary: { accounts, balance: toBtc(balance), unconfirmed: toBtc(unconfirmed) } };
+      }));
+      const addresses = scans.flatMap(scan => scan.addresses);
+      const addressTypes = Object.fromEntries(scans.map(scan => [scan.type, scan.summary]));
+
+      const totalSats = addresses.reduce((sum, entry) => sum + Math.round(parseFloat(entry.balance) * 100000000), 0);
+      const funded = Object.entries(addressTypes)
+        .filter(([, summary]) => summary.accounts > 0)
+        .sort(([, a], [, b]) => parseFloat(b.balance) - parseFloat(a.balance));
+
+      return {
+        success: true,
+        network,
+        gapLimit,
+        addresses,
+        addressTypes,
+        balance: toBtc(totalSats),
+        primaryAddressType: funded[0]?.[0] || null,
+      };
+    } catch (error) {
+      logger.error('Error discovering Bitcoin accounts', { error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Import with Bitcoin account discovery. When no address type was requested,
+   * the wallet defaults to the type holding the most funds. Discovery failures
+   * do not block the import; they are reported in `bitcoinDiscovery`.
+   */
+  async importFromMnemonicWithDiscovery(mnemonic, passphrase = '', bitcoinAddressType, options = {}) {
+    const result = this.importFromMnemonic(mnemonic, passphrase, bitcoinAddressType);
+    if (!result.success) {
+      return result;
+    }
+
+    const discovery = await this.discoverBitcoinAccounts(bip39.mnemonicToSeedSync(mnemonic, passphrase), options);
+    const btcType = !bitcoinAddressType && discovery.primaryAddressType
+      ? discovery.primaryAddressType
+      : result.bitcoinAddressType;
+    const account = result.bitcoinAccounts[btcType];
+
+    return {
+      ...result,
+      addresses: { ...result.addresses, bitcoin: account.address },
+      bitcoinAddressType: btcType,
+      bitcoinDiscovery: discovery,
+      _privateKeys: { ...result._privateKeys, bitcoin: account.privateKey },
+    };
+  }
+
   importEthereumFromPrivateKey(privateKey) {
     try {
 
@@ -230,12 +370,13 @@ class WalletService {
     }
   }
 
-  deriveAccounts(mnemonic, count = 5) {
+  deriveAccounts(mnemonic, count = 5, bitcoinAddressType = DEFAULT_BITCOIN_ADDRESS_TYPE) {
     try {
       if (!bip39.validateMnemonic(mnemonic)) {
         throw new Error('Invalid mnemonic phrase');
       }
 
+      const btcType = this.normalizeBitcoinAddressType(bitcoinAddressType);
       const accounts = [];
       const seed = bip39.mnemonicToSeedSync(mnemonic);
 
@@ -244,14 +385,7 @@ class WalletService {
         const ethPath = `m/44'/60'/0'/0/${i}`;
         const ethWallet = ethers.HDNodeWallet.fromSeed(seed).derivePath(ethPath);
 
-        const btcNode = bip32.fromSeed(seed);
-        const btcPath = `m/44'/0'/0'/0/${i}`;
-        const btcChild = btcNode.derivePath(btcPath);
-
-        const btcAddress = bitcoin.payments.p2pkh({
-          pubkey: Buffer.from(btcChild.publicKey),
-          network: bitcoin.networks.bitcoin,
-        }).address;
+        const btcAccount = this.deriveBitcoinAccounts(seed, i)[btcType];
 
         const solPath = `m/44'/501'/${i}'/0'`;
         const solDerivedSeed = ed25519.derivePath(solPath, seed.toString('hex')).key;
@@ -264,8 +398,10 @@ class WalletService {
             privateKey: ethWallet.privateKey,
           },
           bitcoin: {
-            address: btcAddress,
-            privateKey: btcChild.privateKey.toString('hex'),
+            address: btcAccount.address,
+            addressType: btcType,
+            path: btcAccount.path,
+            privateKey: btcAccount.privateKey,
           },
           solana: {
             address: solKeypair.publicKey.toString(),
@@ -0,0 +1,425 @@
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import { BIP32Factory } from 'bip32';
+import { ethers } from 'ethers';
+import prisma from '../lib/prisma.js';
+import bitcoinService from './bitcoinService.js';
+import { DEFAULT_GAP_LIMIT, normalizeGapLimit, scanAccount, toBtc } from './bitcoinDiscoveryService.js';
+import ethereumService from './ethereumService.js';
+import solanaService from './solanaService.js';
+
+const bip32 = BIP32Factory(ecc);
+bitcoin.initEccLib(ecc);
+
+const MAX_TRANSACTIONS = 50;
+const BITCOIN_HISTORY_PER_ADDRESS = 10;
+
+// SLIP-132 version bytes: the prefix fixes both the network and the script
+// type the account used for its addresses.
+const EXTENDED_KEY_VERSIONS = [
+  { prefix: 'xpub', public: 0x0488b21e, private: 0x0488ade4, scriptType: 'legacy', network: 'mainnet' },
+  { prefix: 'ypub', public: 0x049d7cb2, private: 0x049d7878, scriptType: 'nested-segwit', network: 'mainnet' },
+  { prefix: 'zpub', public: 0x04b24746, private: 0x04b2430c, scriptType: 'segwit', network: 'mainnet' },
+  { prefix: 'tpub', public: 0x043587cf, private: 0x04358394, scriptType: 'legacy', network: 'testnet' },
+  { prefix: 'upub', public: 0x044a5262, private: 0x044a4e28, scriptType: 'nested-segwit', network: 'testnet' },
+  { prefix: 'vpub', public: 0x045f1cf6, private: 0x045f18bc, scriptType: 'segwit', network: 'testnet' },
+];
+
+const BITCOIN_NETWORKS = {
+  mainnet: bitcoin.networks.bitcoin,
+  testnet: bitcoin.networks.testnet,
+};
+
+const ADDRESS_CHAINS = {
+  ethereum: {
+    network: 'ETHEREUM',
+    networks: ['mainnet', 'sepolia'],
+    isValid: (address) => ethers.isAddress(address),
+  },
+  bitcoin: {
+    network: 'BITCOIN',
+    networks: ['mainnet', 'testnet'],
+    isValid: (address) => Boolean(bitcoinAddressNetwork(address)),
+  },
+  solana: {
+    network: 'SOLANA',
+    networks: ['mainnet-beta', 'devnet', 'testnet'],
+    isValid: (address) => solanaService.validateAddress(address).isValid,
+  },
+};
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toSats(btc) {
+  return Math.round(parseFloat(btc || '0') * 100000000);
+}
+
+function bitcoinAddressNetwork(address) {
+  for (const [name, network] of Object.entries(BITCOIN_NETWORKS)) {
+    try {
+      bitcoin.address.toOutputScript(address, network);
+      return name;
+    } catch {
+      // not valid on this network
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode an account-level xpub/ypub/zpub (or tpub/upub/vpub). Extended private
+ * keys are rejected so no signing material is ever stored for a watch-only wallet.
+ */
+export function parseExtendedPublicKey(extendedKey) {
+  const value = String(extendedKey || '').trim();
+
+  for (const version of EXTENDED_KEY_VERSIONS) {
+    const bitcoinNetwork = {
+      ...BITCOIN_NETWORKS[version.network],
+      bip32: { public: version.public, private: version.private },
+    };
+
+    let node;
+    try {
+      node = bip32.fromBase58(value, bitcoinNetwork);
+    } catch {
+      continue;
+    }
+
+    if (!node.isNeutered()) {
+      throw createHttpError('Extended private keys are not accepted. Export the account public key (xpub/ypub/zpub) instead.', 400);
+    }
+    return { node, bitcoinNetwork, network: version.network, scriptType: version.scriptType, prefix: version.prefix };
+  }
+
+  throw createHttpError('extendedPublicKey must be a valid xpub, ypub or zpub (tpub, upub or vpub on testnet)', 400);
+}
+
+/**
+ * Address at `m/<chain>/<index>` below the account key (chain 0 = receive, 1 = change).
+ */
+export function deriveWatchOnlyAddress(parsed, chain, index) {
+  const pubkey = Buffer.from(parsed.node.derive(chain).derive(index).publicKey);
+  const network = parsed.bitcoinNetwork;
+
+  if (parsed.scriptType === 'segwit') {
+    return bitcoin.payments.p2wpkh({ pubkey, network }).address;
+  }
+  if (parsed.scriptType === 'nested-segwit') {
+    return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey, network }), network }).address;
+  }
+  return bitcoin.payments.p2pkh({ pubkey, network }).address;
+}
+
+/**
+ * Walk the receive and change chains until `gapLimit` consecutive addresses
+ * have no history, returning every used address and the aggregate balance.
+ */
+export async function scanExtendedPublicKey(parsed, gapLimit = DEFAULT_GAP_LIMIT) {
+  return scanAccount((chain, index) => deriveWatchOnlyAddress(parsed, chain, index), {
+    network: parsed.network,
+    gapLimit,
+  });
+}
+
+function normalizeAddressNetwork(chain, address, requested) {
+  if (chain === 'bitcoin') {
+    return bitcoinAddressNetwork(address);
+  }
+
+  const { networks } = ADDRESS_CHAINS[chain];
+  const network = requested || networks[0];
+  if (!networks.includes(network)) {
+    throw createHttpError(`networks.${chain} must be one of: ${networks.join(', ')}`, 400);
+  }
+  return network;
+}
+
+async function createRows(rows) {
+  try {
+    return await prisma.$transaction(rows.map((data) => prisma.wallet.create({ data })));
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw createHttpError('One of these addresses is already in your wallets', 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a watch-only wallet group. Bitcoin may come from an extended public key
+ * (scanned with a gap limit) or a single address; Ethereum and Solana are single addresses.
+ */
+export async function createWatchOnlyWalletForUser(userId, body = {}) {
+  const { name, description, extendedPublicKey, networks = {} } = body;
+  const addresses = body.addresses || {};
+  const label = String(name || '').trim() || 'Watch-only Wallet';
+  const gapLimit = normalizeGapLimit(body.gapLimit);
+
+  const unknownChain = Object.keys(addresses).find((chain) => !ADDRESS_CHAINS[chain]);
+  if (unknownChain) {
+    throw createHttpError(`Unsupported chain: ${unknownChain}`, 400);
+  }
+  if (!extendedPublicKey && !Object.values(addresses).some(Boolean)) {
+    throw createHttpError('Provide an extendedPublicKey or at least one address to watch', 400);
+  }
+  if (extendedPublicKey && addresses.bitcoin) {
+    throw createHttpError('Provide either a Bitcoin extended public key or a Bitcoin address, not both', 400);
+  }
+
+  const groupId = `grp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const rows = [];
+
+  for (const [chain, value] of Object.entries(addresses)) {
+    if (!value) continue;
+    const address = String(value).trim();
+    if (!ADDRESS_CHAINS[chain].isValid(address)) {
+      throw createHttpError(`Invalid ${chain} address`, 400);
+    }
+    rows.push({
+      userId,
+      label,
+      type: 'WATCH_ONLY',
+      network: ADDRESS_CHAINS[chain].network,
+      address,
+      metadata: {
+        groupId,
+        description,
+        watchOnly: { source: 'address', network: normalizeAddressNetwork(chain, address, networks[chain]) },
+      },
+    });
+  }
+
+  if (extendedPublicKey) {
+    const parsed = parseExtendedPublicKey(extendedPublicKey);
+    const scan = await scanExtendedPublicKey(parsed, gapLimit);
+    rows.push({
+      userId,
+      label,
+      type: 'WATCH_ONLY',
+      network: 'BITCOIN',
+      address: deriveWatchOnlyAddress(parsed, 0, 0),
+      metadata: {
+        groupId,
+        description,
+        watchOnly: {
+          source: 'xpub',
+          extendedPublicKey: String(extendedPublicKey).trim(),
+          network: parsed.network,
+          scriptType: parsed.scriptType,
+          gapLimit,
+          addresses: scan.addresses.map(({ address, chain, index }) => ({ address, chain, index })),
+          nextReceiveAddress: scan.nextReceiveAddress,
+        },
+      },
+    });
+  }
+
+  const created = await createRows(rows);
+
+  return {
+    id: created[0].id,
+    name: label,
+    addresses: Object.fromEntries(created.map((row) => [row.network.toLowerCase(), row.address])),
+    watchOnly: Object.fromEntries(created.map((row) => [row.network.toLowerCase(), describeWatchOnlyRow(row)])),
+    encryptedData: null,
+    description,
+    createdAt: created[0].createdAt,
+  };
+}
+
+/**
+ * Public description of a watch-only row for wallet listings (never includes the extended key).
+ */
+export function describeWatchOnlyRow(row) {
+  const { source, network, scriptType, gapLimit, addresses, nextReceiveAddress } = row.metadata?.watchOnly || {};
+  if (source !== 'xpub') {
+    return { source: 'address', network };
+  }
+  return { source, network, scriptType, gapLimit, addressCount: addresses?.length || 0, nextReceiveAddress };
+}
+
+function mergeBitcoinHistory(histories, ownAddresses) {
+  const byHash = new Map();
+  for (const tx of histories.flat()) {
+    byHash.set(tx.hash, tx);
+  }
+
+  return [...byHash.values()]
+    .map((tx) => {
+      const received = tx.outputs
+        .filter((output) => ownAddresses.has(output.address))
+        .reduce((sum, output) => sum + toSats(output.value), 0);
+      const sent = tx.inputs
+        .filter((input) => ownAddresses.has(input.address))
+        .reduce((sum, input) => sum + toSats(input.value), 0);
+      const net = received - sent;
+
+      return {
+        hash: tx.hash,
+        timestamp: tx.confirmed || tx.received,
+        amount: toBtc(Math.abs(net)),
+        direction: net >= 0 ? 'in' : 'out',
+        status: tx.confirmations > 0 ? 'confirmed' : 'pending',
+      };
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, MAX_TRANSACTIONS);
+}
+
+async function loadBitcoinHistory(addresses, network) {
+  const histories = [];
+  for (const address of addresses) {
+    const result = await bitcoinService.getTransactionHistory(address, network, BITCOIN_HISTORY_PER_ADDRESS);
+    if (!result.success) {
+      throw createHttpError(result.error || 'Failed to load Bitcoin history', 502);
+    }
+    histories.push(result.transactions);
+  }
+  return mergeBitcoinHistory(histories, new Set(addresses));
+}
+
+async function summarizeExtendedKeyRow(row) {
+  const watchOnly = row.metadata.watchOnly;
+  const parsed = parseExtendedPublicKey(watchOnly.extendedPublicKey);
+  const scan = await scanExtendedPublicKey(parsed, watchOnly.gapLimit);
+  const used = scan.addresses.map(({ address, chain, index }) => ({ address, chain, index }));
+
+  // Keep the stored address set current so listings reflect newly used addresses.
+  if (used.length !== (watchOnly.addresses?.length || 0) || scan.nextReceiveAddress !== watchOnly.nextReceiveAddress) {
+    await prisma.wallet.update({
+      where: { id: row.id },
+      data: { metadata: { ...row.metadata, watchOnly: { ...watchOnly, addresses: used, nextReceiveAddress: scan.nextReceiveAddress } } },
+    });
+  }
+
+  return {
+    ...describeWatchOnlyRow(row),
+    addressCount: used.length,
+    nextReceiveAddress: scan.nextReceiveAddress,
+    balance: toBtc(scan.balance),
+    unconfirmed: toBtc(scan.unconfirmed),
+    addresses: scan.addresses.map((entry) => ({
+      address: entry.address,
+      path: `${entry.chain}/${entry.index}`,
+      balance: toBtc(entry.balance),
+      txCount: entry.txCount,
+    })),
+    transactions: await loadBitcoinHistory(used.map((entry) => entry.address), parsed.network),
+  };
+}
+
+async function summarizeAddressRow(row) {
+  const { network } = row.metadata?.watchOnly || {};
+  const summary = { source: 'address', network, address: row.address };
+
+  if (row.network === 'BITCOIN') {
+    const balance = await bitcoinService.getBalance(row.address, network);
+    if (!balance.success) {
+      throw createHttpError(balance.error || 'Failed to load Bitcoin balance', 502);
+    }
+    return {
+      ...summary,
+      balance: balance.balance.btc,
+      unconfirmed: balance.balance.unconfirmed.btc,
+      transactions: await loadBitcoinHistory([row.address], network),
+    };
+  }
+
+  if (row.network === 'ETHEREUM') {
+    const [balance, history] = await Promise.all([
+      ethereumService.getBalance(row.address, network),
+      ethereumService.getTransactionHistory(row.address, network),
+    ]);
+    if (!balance.success) {
+      throw createHttpError(balance.error || 'Failed to load Ethereum balance', 502);
+    }
+    const own = row.address.toLowerCase();
+    return {
+      ...summary,
+      balance: balance.balance.eth,
+      transactions: (history.transactions || []).map((tx) => ({
+        hash: tx.hash,
+        timestamp: tx.timestamp,
+        amount: tx.value,
+        direction: tx.from?.toLowerCase() === own ? 'out' : 'in',
+        status: tx.status,
+      })),
+    };
+  }
+
+  const [balance, history] = await Promise.all([
+    solanaService.getBalance(row.address, network),
+    solanaService.getTransactionHistory(row.address, network),
+  ]);
+  if (!balance.success) {
+    throw createHttpError(balance.error || 'Failed to load Solana balance', 502);
+  }
+  return {
+    ...summary,
+    balance: balance.balance,
+    transactions: (history.transactions || []).map((tx) => {
+      const solTransfers = (tx.transfers || []).filter((transfer) => transfer.type === 'sol');
+      const net = solTransfers.reduce((sum, transfer) => {
+        const lamports = BigInt(transfer.amountRaw);
+        if (transfer.direction === 'in') return sum + lamports;
+        if (transfer.direction === 'out') return sum - lamports;
+        return sum;
+      }, 0n);
+      return {
+        hash: tx.signature,
+        timestamp: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+        amount: solTransfers.length > 0 ? ethers.formatUnits(net < 0n ? -net : net, 9) : null,
+        direction: tx.direction === 'in' || tx.direction === 'out' ? tx.direction : null,
+        status: tx.status,
+      };
+    }),
+  };
+}
+
+/**
+ * Balances and recent history for every chain in a watch-only wallet group.
+ * A provider failure on one chain is reported on that chain instead of failing the whole summary.
+ */
+export async function getWatchOnlySummaryForUser(userId, walletId) {
+  const wallet = await prisma.wallet.findFirst({
+    where: { id: walletId, userId, isActive: true },
+  });
+  if (!wallet) {
+    throw createHttpError('Wallet not found', 404);
+  }
+  if (wallet.type !== 'WATCH_ONLY') {
+    throw createHttpError('Wallet is not watch-only', 400);
+  }
+
+  const groupId = wallet.metadata?.groupId;
+  const rows = groupId ? await prisma.wallet.findMany({
+    where: {
+      userId,
+      type: 'WATCH_ONLY',
+      isActive: true,
+      metadata: { path: ['groupId'], equals: groupId },
+    },
+  }) : [wallet];
+
+  const chains = {};
+  for (const row of rows) {
+    const chain = row.network.toLowerCase();
+    try {
+      chains[chain] = row.metadata?.watchOnly?.source === 'xpub'
+        ? await summarizeExtendedKeyRow(row)
+        : await summarizeAddressRow(row);
+    } catch (error) {
+      if (!error.statusCode || error.statusCode === 500) {
+        throw error;
+      }
+      chains[chain] = { ...describeWatchOnlyRow(row), address: row.address, error: error.message };
+    }
+  }
+
+  return { walletId: wallet.id, name: wallet.label, chains };
+}
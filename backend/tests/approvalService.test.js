@@ -0,0 +1,208 @@
+const mockStore = { approvals: [], scans: [] };
+
+jest.mock('../src/lib/prisma.js', () => {
+  const matches = (entry, where) => Object.entries(where).every(([key, value]) => entry[key] === value);
+
+  return {
+    __esModule: true,
+    default: {
+      tokenApproval: {
+        findMany: jest.fn(async ({ where }) => mockStore.approvals.filter((entry) => matches(entry, where))),
+        findUnique: jest.fn(async ({ where }) => mockStore.approvals.find((entry) => (
+          matches(entry, where.ownerAddress_chainId_tokenAddress_spender)
+        )) || null),
+        upsert: jest.fn(async ({ where, update, create }) => {
+          const existing = mockStore.approvals.find((entry) => matches(entry, where.ownerAddress_chainId_tokenAddress_spender));
+          if (existing) return Object.assign(existing, update);
+          mockStore.approvals.push({ ...create });
+          return create;
+        }),
+      },
+      approvalScan: {
+        findUnique: jest.fn(async ({ where }) => mockStore.scans.find((entry) => matches(entry, where.ownerAddress_chainId)) || null),
+        upsert: jest.fn(async ({ where, update, create }) => {
+          const existing = mockStore.scans.find((entry) => matches(entry, where.ownerAddress_chainId));
+          if (existing) return Object.assign(existing, update);
+          mockStore.scans.push({ ...create });
+          return create;
+        }),
+      },
+    },
+  };
+});
+
+jest.mock('../src/services/ethereumService.js', () => ({
+  __esModule: true,
+  default: {
+    getChainId: jest.fn((network) => ({ mainnet: 1 }[network] || null)),
+    getProvider: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/tokenService.js', () => ({
+  __esModule: true,
+  default: {
+    getTokenContract: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/tokenDiscoveryService.js', () => ({
+  __esModule: true,
+  planRanges: jest.requireActual('../src/services/tokenDiscoveryService.js').planRanges,
+  default: {
+    loadMetadata: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import { ethers } from 'ethers';
+import ethereumService from '../src/services/ethereumService.js';
+import tokenService from '../src/services/tokenService.js';
+import tokenDiscoveryService from '../src/services/tokenDiscoveryService.js';
+import { ApprovalService } from '../src/services/approvalService.js';
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const GOLD = '0x2222222222222222222222222222222222222222';
+const DRAINER = '0x3333333333333333333333333333333333333333';
+const NFT = '0x4444444444444444444444444444444444444444';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const PERMIT2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+const UNIV2 = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+const VAULT = '0x5555555555555555555555555555555555555555';
+
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
+const pad = (address) => ethers.zeroPadValue(address, 32);
+
+function approvalLog(token, spender, blockNumber, extraTopics = []) {
+  return { address: token.toLowerCase(), blockNumber, topics: [APPROVAL_TOPIC, pad(OWNER), pad(spender), ...extraTopics] };
+}
+
+describe('approvalService', () => {
+  const config = { blockRange: 1000, maxRangesPerScan: 2, lookbackBlocks: 5000 };
+  let provider;
+  let allowances;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStore.approvals = [];
+    mockStore.scans = [];
+    allowances = {};
+    provider = {
+      getBlockNumber: jest.fn().mockResolvedValue(10000),
+      getLogs: jest.fn().mockResolvedValue([]),
+      getCode: jest.fn(async (address) => (address === DRAINER ? '0x' : '0x6080')),
+    };
+    ethereumService.getProvider.mockReturnValue(provider);
+    tokenService.getTokenContract.mockImplementation((token) => ({
+      allowance: jest.fn(async (owner, spender) => allowances[`${token}:${spender}`] ?? 0n),
+    }));
+    tokenDiscoveryService.loadMetadata.mockImplementation(async (chainId, addresses) => Object.fromEntries(
+      addresses.map((address) => [address, { address, name: 'Gold', symbol: 'GLD', decimals: 18, isErc20: true }])
+    ));
+  });
+
+  it('scans Approval logs by owner, skips ERC-721 approvals and resumes from the stored range', async () => {
+    const service = new ApprovalService(config);
+    provider.getLogs.mockImplementation(async ({ fromBlock }) => (fromBlock === 9001 ? [
+      approvalLog(USDC, PERMIT2, 9100),
+      approvalLog(USDC, PERMIT2, 9500),
+      approvalLog(NFT, DRAINER, 9200, [ethers.zeroPadValue('0x01', 32)]),
+    ] : []));
+
+    const first = await service.scanApprovals(OWNER, 'mainnet');
+
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ topics: [APPROVAL_TOPIC, pad(OWNER)] }));
+    expect(first).toMatchObject({
+      success: true, scannedFrom: 8001, scannedTo: 10000, complete: false, incompleteFrom: 8000, pairsFound: 1,
+    });
+    expect(mockStore.approvals).toEqual([
+      { ownerAddress: OWNER, chainId: 1, tokenAddress: USDC, spender: PERMIT2, lastSeenBlock: 9500 },
+    ]);
+
+    provider.getBlockNumber.mockResolvedValue(10500);
+    const second = await service.scanApprovals(OWNER, 'mainnet');
+    expect(provider.getLogs.mock.calls.slice(2).map(([filter]) => [filter.fromBlock, filter.toBlock]))
+      .toEqual([[10001, 10500], [7001, 8000]]);
+    expect(second).toMatchObject({ scannedFrom: 7001, scannedTo: 10500, incompleteFrom: 7000 });
+  });
+
+  it('scans approvals back to genesis by default', async () => {
+    const service = new ApprovalService();
+    mockStore.scans = [{ ownerAddress: OWNER, chainId: 1, fromBlock: 500, toBlock: 10000 }];
+    provider.getLogs.mockResolvedValue([approvalLog(USDC, DRAINER, 12)]);
+
+    const result = await service.scanApprovals(OWNER, 'mainnet');
+
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 0, toBlock: 499 }));
+    expect(result).toMatchObject({ scannedFrom: 0, scannedTo: 10000, complete: true, incompleteFrom: null, pairsFound: 1 });
+  });
+
+  it('reads live allowances, drops revoked pairs and flags risky approvals', async () => {
+    const service = new ApprovalService(config);
+    mockStore.approvals = [
+      { ownerAddress: OWNER, chainId: 1, tokenAddress: USDC, spender: UNIV2, lastSeenBlock: 1 },
+      { ownerAddress: OWNER, chainId: 1, tokenAddress: USDC, spender: PERMIT2, lastSeenBlock: 2 },
+      { ownerAddress: OWNER, chainId: 1, tokenAddress: GOLD, spender: DRAINER, lastSeenBlock: 3 },
+    ];
+    allowances[`${USDC}:${UNIV2}`] = 2500000n;
+    allowances[`${GOLD}:${DRAINER}`] = ethers.MaxUint256 - 5n;
+
+    const result = await service.getApprovals(OWNER, 'mainnet', { scan: false });
+
+    expect(result.success).toBe(true);
+    expect(tokenDiscoveryService.loadMetadata).toHaveBeenCalledWith(1, [GOLD], 'mainnet');
+    expect(result.approvals).toEqual([
+      expect.objectContaining({
+        tokenAddress: GOLD,
+        symbol: 'GLD',
+        verified: false,
+        spender: DRAINER,
+        spenderLabel: null,
+        allowance: 'unlimited',
+        flags: { unlimited: true, unknownSpender: true, eoaSpender: true },
+        risk: 'high',
+      }),
+      expect.objectContaining({
+        tokenAddress: USDC,
+        symbol: 'USDC',
+        verified: true,
+        spenderLabel: 'Uniswap V2 Router',
+        allowance: '2.5',
+        flags: { unlimited: false, unknownSpender: false, eoaSpender: false },
+        risk: 'low',
+      }),
+    ]);
+  });
+
+  it('builds approve(spender, 0) transactions, batched through executeBatch for a vault', () => {
+    const service = new ApprovalService(config);
+    const erc20 = new ethers.Interface(['function approve(address spender, uint256 amount)']);
+    const vault = new ethers.Interface(['function executeBatch((address target, uint256 value, bytes data)[] calls)']);
+    const selected = [{ tokenAddress: USDC, spender: PERMIT2 }, { tokenAddress: GOLD.toLowerCase(), spender: DRAINER }];
+
+    const eoa = service.buildRevokeTransactions(OWNER, selected, { vaultAddress: VAULT });
+    expect(eoa.mode).toBe('eoa');
+    expect(eoa.transactions).toEqual([
+      { to: USDC, data: erc20.encodeFunctionData('approve', [PERMIT2, 0n]), value: '0' },
+      { to: GOLD, data: erc20.encodeFunctionData('approve', [DRAINER, 0n]), value: '0' },
+    ]);
+
+    const batched = service.buildRevokeTransactions(VAULT, selected, { vaultAddress: VAULT });
+    expect(batched.mode).toBe('vault');
+    expect(batched.transactions).toEqual([{ to: VAULT, data: batched.callData, value: '0' }]);
+    const [calls] = vault.decodeFunctionData('executeBatch', batched.callData);
+    expect(calls.map(([target, value, data]) => [target, value, erc20.decodeFunctionData('approve', data).map(String)]))
+      .toEqual([[USDC, 0n, [PERMIT2, '0']], [GOLD, 0n, [DRAINER, '0']]]);
+
+    expect(service.buildRevokeTransactions(OWNER, [])).toEqual({ success: false, error: 'Select at least one approval to revoke' });
+  });
+});
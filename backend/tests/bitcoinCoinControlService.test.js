@@ -0,0 +1,339 @@
+const mockLabels = [];
+
+jest.mock('../src/lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    wallet: {
+      findFirst: jest.fn(),
+    },
+    bitcoinUtxoLabel: {
+      findMany: jest.fn(async ({ where }) => mockLabels.filter((entry) => entry.walletId === where.walletId)),
+      upsert: jest.fn(async ({ where, update, create }) => {
+        const key = where.walletId_txHash_outputIndex;
+        const existing = mockLabels.find((entry) => entry.walletId === key.walletId
+          && entry.txHash === key.txHash
+          && entry.outputIndex === key.outputIndex);
+        if (existing) {
+          Object.assign(existing, update);
+          return existing;
+        }
+        const entry = { label: null, frozen: false, ...create };
+        mockLabels.push(entry);
+        return entry;
+      }),
+      create: jest.fn(async ({ data }) => {
+        const entry = { frozen: false, ...data };
+        mockLabels.push(entry);
+        return entry;
+      }),
+    },
+  },
+}));
+
+jest.mock('../src/services/bitcoinService.js', () => ({
+  __esModule: true,
+  default: {
+    getFeeEstimate: jest.fn(async () => ({ success: true, feesPerByte: { high: 20, medium: 10, low: 2 } })),
+    getUTXOs: jest.fn(),
+    getRawTransaction: jest.fn(),
+    getTransaction: jest.fn(),
+    sendTransaction: jest.fn(async () => ({ success: true, txHash: 'ab'.repeat(32) })),
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import * as bitcoin from 'bitcoinjs-lib';
+import prisma from '../src/lib/prisma.js';
+import bitcoinService from '../src/services/bitcoinService.js';
+import logger from '../src/services/loggerService.js';
+import bitcoinTransactionService from '../src/services/bitcoinTransactionService.js';
+import {
+  consolidateBitcoinUtxosForUser,
+  listBitcoinUtxosForUser,
+  prepareBitcoinFeeBumpForUser,
+  sendBitcoinWithCoinControl,
+  updateBitcoinUtxoForUser,
+} from '../src/services/bitcoinCoinControlService.js';
+
+const PRIVATE_KEY = '0000000000000000000000000000000000000000000000000000000000000001';
+const RECIPIENT = 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn';
+const keyPair = bitcoinTransactionService.keyPairFromPrivateKey(PRIVATE_KEY);
+const MAINNET_ADDRESS = bitcoinTransactionService.paymentForKey(keyPair, 'segwit', bitcoin.networks.bitcoin).address;
+const TESTNET_ADDRESS = bitcoinTransactionService.paymentForKey(keyPair, 'segwit', bitcoin.networks.testnet).address;
+
+const ethRow = { id: 'w-eth', userId: 'user-1', network: 'ETHEREUM', isActive: true, metadata: { groupId: 'grp_1' } };
+const btcRow = {
+  id: 'w-btc',
+  userId: 'user-1',
+  network: 'BITCOIN',
+  isActive: true,
+  address: MAINNET_ADDRESS,
+  metadata: { groupId: 'grp_1', bitcoinAddressType: 'segwit' },
+};
+
+const txid = (n) => String(n).repeat(64).slice(0, 64);
+
+function mockUtxos(values) {
+  bitcoinService.getUTXOs.mockResolvedValue({
+    success: true,
+    utxos: values.map((value, index) => ({ txHash: txid(index + 1), outputIndex: 0, value, confirmations: index })),
+  });
+}
+
+function broadcastTx() {
+  return bitcoin.Transaction.fromHex(bitcoinService.sendTransaction.mock.calls[0][0]);
+}
+
+function spentTxids(tx) {
+  return tx.ins.map((input) => Buffer.from(input.hash).reverse().toString('hex')).sort();
+}
+
+describe('bitcoinCoinControlService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLabels.length = 0;
+    prisma.wallet.findFirst.mockImplementation(async ({ where }) => {
+      if (where.id === 'w-eth' && where.userId === 'user-1') return ethRow;
+      if (where.network === 'BITCOIN' && where.metadata?.equals === 'grp_1') return btcRow;
+      return null;
+    });
+  });
+
+  it('lists UTXOs for the group\'s Bitcoin row with persisted labels and frozen flags', async () => {
+    mockUtxos([5000, 80000]);
+    mockLabels.push({ walletId: 'w-btc', txHash: txid(2), outputIndex: 0, label: 'Exchange', frozen: true });
+
+    const result = await listBitcoinUtxosForUser('user-1', 'w-eth', { network: 'testnet' });
+
+    expect(bitcoinService.getUTXOs).toHaveBeenCalledWith(TESTNET_ADDRESS, 'testnet');
+    expect(result.utxos).toEqual([
+      expect.objectContaining({ txHash: txid(2), value: 80000, label: 'Exchange', frozen: true, consolidationCandidate: false }),
+      expect.objectContaining({ txHash: txid(1), value: 5000, label: null, frozen: false, consolidationCandidate: true, confirmations: 0 }),
+    ]);
+    expect(result.summary).toEqual({
+      count: 2,
+      spendableValue: '0.00005',
+      frozenValue: '0.0008',
+      consolidationCandidates: 1,
+    });
+
+    await expect(listBitcoinUtxosForUser('user-2', 'w-eth')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('upserts labels and frozen flags per wallet output', async () => {
+    await expect(updateBitcoinUtxoForUser('user-1', 'w-eth', { txHash: txid(1), outputIndex: '0' }, { label: '  Payroll ' }))
+      .resolves.toEqual({ txHash: txid(1), outputIndex: 0, label: 'Payroll', frozen: false });
+    await expect(updateBitcoinUtxoForUser('user-1', 'w-eth', { txHash: txid(1), outputIndex: 0 }, { frozen: true }))
+      .resolves.toEqual({ txHash: txid(1), outputIndex: 0, label: 'Payroll', frozen: true });
+    expect(mockLabels).toHaveLength(1);
+
+    await expect(updateBitcoinUtxoForUser('user-1', 'w-eth', { txHash: 'nope', outputIndex: 0 }, { frozen: true }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(updateBitcoinUtxoForUser('user-1', 'w-eth', { txHash: txid(1), outputIndex: 0 }, { frozen: 'yes' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('never spends frozen UTXOs and spends manual selections exactly', async () => {
+    mockUtxos([200000, 150000, 120000]);
+    mockLabels.push({ walletId: 'w-btc', txHash: txid(1), outputIndex: 0, label: null, frozen: true });
+
+    const auto = await sendBitcoinWithCoinControl('user-1', 'w-eth', {
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.001',
+      network: 'testnet',
+      feeRate: 2,
+    });
+    expect(auto).toMatchObject({ addressType: 'segwit', from: TESTNET_ADDRESS, inputs: 1 });
+    expect(spentTxids(broadcastTx())).toEqual([txid(2)]);
+
+    bitcoinService.sendTransaction.mockClear();
+    await sendBitcoinWithCoinControl('user-1', 'w-eth', {
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.001',
+      network: 'testnet',
+      feeRate: 2,
+      utxos: [{ txHash: txid(2), outputIndex: 0 }, { txHash: txid(3), outputIndex: 0 }],
+    });
+    expect(spentTxids(broadcastTx())).toEqual([txid(2), txid(3)]);
+
+    await expect(sendBitcoinWithCoinControl('user-1', 'w-eth', {
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.001',
+      network: 'testnet',
+      utxos: [{ txHash: txid(1), outputIndex: 0 }],
+    })).rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('frozen') });
+  });
+
+  it('refuses to mix differently labelled coins unless allowed', async () => {
+    mockUtxos([100000, 100000]);
+    mockLabels.push(
+      { walletId: 'w-btc', txHash: txid(1), outputIndex: 0, label: 'Exchange', frozen: false },
+      { walletId: 'w-btc', txHash: txid(2), outputIndex: 0, label: 'Mining', frozen: false }
+    );
+    const params = {
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.0015',
+      network: 'testnet',
+      feeRate: 2,
+    };
+
+    await expect(sendBitcoinWithCoinControl('user-1', 'w-eth', params)).rejects.toMatchObject({ statusCode: 409 });
+    expect(bitcoinService.sendTransaction).not.toHaveBeenCalled();
+
+    await expect(sendBitcoinWithCoinControl('user-1', 'w-eth', { ...params, allowMixedLabels: true }))
+      .resolves.toMatchObject({ inputs: 2 });
+  });
+
+  it('rejects a key that does not belong to the wallet', async () => {
+    mockUtxos([100000]);
+
+    await expect(sendBitcoinWithCoinControl('user-1', 'w-eth', {
+      privateKey: '02'.padStart(64, '0'),
+      toAddress: RECIPIENT,
+      amount: '0.0001',
+      network: 'testnet',
+    })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('does not match') });
+  });
+
+  it('refuses to sign for watch-only wallets', async () => {
+    mockUtxos([100000]);
+    prisma.wallet.findFirst.mockResolvedValueOnce({ ...btcRow, type: 'WATCH_ONLY' });
+
+    await expect(sendBitcoinWithCoinControl('user-1', 'w-btc', {
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.0001',
+      network: 'testnet',
+    })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('consolidates small unfrozen UTXOs into one output and keeps a shared label', async () => {
+    mockUtxos([4000, 3000, 6000, 500000, 2000]);
+    mockLabels.push(
+      ...[1, 2, 3].map((n) => ({ walletId: 'w-btc', txHash: txid(n), outputIndex: 0, label: 'Faucet', frozen: false })),
+      { walletId: 'w-btc', txHash: txid(5), outputIndex: 0, label: null, frozen: true }
+    );
+
+    const result = await consolidateBitcoinUtxosForUser('user-1', 'w-eth', {
+      privateKey: PRIVATE_KEY,
+      network: 'testnet',
+      feeRate: 1,
+    });
+
+    const tx = broadcastTx();
+    expect(spentTxids(tx)).toEqual([txid(1), txid(2), txid(3)]);
+    expect(tx.outs).toHaveLength(1);
+    expect(bitcoin.address.fromOutputScript(tx.outs[0].script, bitcoin.networks.testnet)).toBe(TESTNET_ADDRESS);
+    expect(tx.outs[0].value + Math.round(Number(result.fee) * 1e8)).toBe(13000);
+    expect(result).toMatchObject({ to: TESTNET_ADDRESS, inputs: 3, label: 'Faucet' });
+    expect(prisma.bitcoinUtxoLabel.create).toHaveBeenCalledWith({
+      data: { walletId: 'w-btc', txHash: 'ab'.repeat(32), outputIndex: 0, label: 'Faucet' },
+    });
+  });
+
+  it('still returns the broadcast txid when labelling the consolidated output fails', async () => {
+    mockUtxos([4000, 3000]);
+    mockLabels.push(
+      ...[1, 2].map((n) => ({ walletId: 'w-btc', txHash: txid(n), outputIndex: 0, label: 'Faucet', frozen: false }))
+    );
+    prisma.bitcoinUtxoLabel.create.mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(consolidateBitcoinUtxosForUser('user-1', 'w-eth', {
+      privateKey: PRIVATE_KEY,
+      network: 'testnet',
+      feeRate: 1,
+    })).resolves.toMatchObject({ txHash: 'ab'.repeat(32), inputs: 2, label: null });
+    expect(bitcoinService.sendTransaction).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith(
+      'Failed to label consolidated Bitcoin output',
+      expect.objectContaining({ txHash: 'ab'.repeat(32), error: 'connection reset' })
+    );
+  });
+
+  describe('fee bumping', () => {
+    const PUBLIC_KEY = keyPair.publicKey.toString('hex');
+    let original;
+
+    // A pending 0.001 BTC send whose 854-sat change cannot pay for a 20 sat/vB replacement.
+    beforeEach(async () => {
+      const funding = new bitcoin.Transaction();
+      funding.addInput(Buffer.alloc(32, 7), 0);
+      funding.addOutput(bitcoin.address.toOutputScript(TESTNET_ADDRESS, bitcoin.networks.testnet), 101000);
+
+      const built = await bitcoinTransactionService.buildTransaction({
+        privateKey: PRIVATE_KEY,
+        toAddress: RECIPIENT,
+        amount: '0.001',
+        network: 'testnet',
+        addressType: 'segwit',
+        feeRate: 1,
+        utxos: [{ txHash: funding.getId(), outputIndex: 0, value: 101000, confirmations: 1 }],
+      });
+      original = bitcoin.Transaction.fromHex(built.hex);
+
+      const raw = { [funding.getId()]: funding.toHex(), [original.getId()]: original.toHex() };
+      bitcoinService.getRawTransaction.mockImplementation(async (hash) => ({ success: true, hex: raw[hash] }));
+      bitcoinService.getTransaction.mockResolvedValue({ success: true, transaction: { confirmations: 0 } });
+      bitcoinService.getUTXOs.mockResolvedValue({
+        success: true,
+        utxos: [{ txHash: txid(9), outputIndex: 0, value: 50000, confirmations: 3 }],
+      });
+    });
+
+    const bump = (overrides = {}) => prepareBitcoinFeeBumpForUser('user-1', 'w-eth', {
+      publicKey: PUBLIC_KEY,
+      txHash: original.getId(),
+      network: 'testnet',
+      feeRate: 20,
+      ...overrides,
+    });
+
+    it('tops up the replacement from the wallet\'s unfrozen coins for the browser to sign', async () => {
+      const result = await bump();
+
+      expect(bitcoinService.getUTXOs).toHaveBeenCalledWith(TESTNET_ADDRESS, 'testnet');
+      expect(result).toMatchObject({ network: 'testnet', replaces: original.getId(), from: TESTNET_ADDRESS, inputs: 2 });
+      expect(result.hex).toBeUndefined();
+      const psbt = bitcoin.Psbt.fromBase64(result.psbt, { network: bitcoin.networks.testnet });
+      expect(psbt.txInputs.map((input) => Buffer.from(input.hash).reverse().toString('hex'))).toContain(txid(9));
+      expect(bitcoinService.sendTransaction).not.toHaveBeenCalled();
+    });
+
+    it('fails rather than spend a frozen UTXO when change cannot cover the fee', async () => {
+      mockLabels.push({ walletId: 'w-btc', txHash: txid(9), outputIndex: 0, label: null, frozen: true });
+
+      await expect(bump()).rejects.toMatchObject({ statusCode: 400, message: 'Insufficient funds to bump the fee' });
+    });
+
+    it('refuses to add a differently labelled coin unless allowed', async () => {
+      const [replacedTxid] = spentTxids(original);
+      mockLabels.push(
+        { walletId: 'w-btc', txHash: replacedTxid, outputIndex: 0, label: 'Exchange', frozen: false },
+        { walletId: 'w-btc', txHash: txid(9), outputIndex: 0, label: 'Mining', frozen: false }
+      );
+
+      await expect(bump()).rejects.toMatchObject({ statusCode: 409 });
+      await expect(bump({ allowMixedLabels: true })).resolves.toMatchObject({ inputs: 2 });
+    });
+
+    it('accepts only the wallet\'s public key and never a private key', async () => {
+      const otherKey = bitcoinTransactionService.keyPairFromPrivateKey('02'.padStart(64, '0')).publicKey.toString('hex');
+      await expect(bump({ publicKey: otherKey }))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('publicKey does not match') });
+      await expect(bump({ privateKey: PRIVATE_KEY })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,276 @@
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import * as bitcoin from 'bitcoinjs-lib';
+import logger from '../src/services/loggerService.js';
+import { BitcoinService } from '../src/services/bitcoinService.js';
+import {
+  BlockCypherProvider,
+  ElectrumProvider,
+  EsploraProvider,
+} from '../src/services/bitcoinProviders/index.js';
+import { parseElectrumServer } from '../src/config/bitcoin.js';
+
+const PUBKEY = Buffer.from('0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex');
+const REGTEST_ADDRESS = bitcoin.payments.p2wpkh({ pubkey: PUBKEY, network: bitcoin.networks.regtest }).address;
+const REGTEST_SCRIPT = bitcoin.address.toOutputScript(REGTEST_ADDRESS, bitcoin.networks.regtest);
+
+function fakeProvider(name, networks, overrides = {}) {
+  return {
+    name,
+    supportsNetwork: (network) => networks.includes(network),
+    getAddressSummary: jest.fn(async () => ({
+      balance: 150000,
+      unconfirmed: -2000,
+      totalReceived: 300000,
+      totalSent: 150000,
+      txCount: 4,
+    })),
+    ...overrides,
+  };
+}
+
+describe('BitcoinService provider selection', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('fails over to the next provider and keeps the existing response shape', async () => {
+    const primary = fakeProvider('esplora', ['mainnet', 'testnet'], {
+      getAddressSummary: jest.fn(async () => {
+        throw new Error('socket hang up');
+      }),
+    });
+    const secondary = fakeProvider('blockcypher', ['mainnet', 'testnet']);
+    const service = new BitcoinService([primary, secondary]);
+
+    const result = await service.getBalance('addr', 'testnet');
+
+    expect(primary.getAddressSummary).toHaveBeenCalledWith('addr', 'testnet');
+    expect(result).toEqual({
+      success: true,
+      address: 'addr',
+      network: 'testnet',
+      provider: 'blockcypher',
+      balance: {
+        satoshis: 150000,
+        btc: '0.00150000',
+        unconfirmed: { satoshis: -2000, btc: '-0.00002000' },
+      },
+      totalReceived: '0.00300000',
+      totalSent: '0.00150000',
+      txCount: 4,
+    });
+    expect(logger.warn).toHaveBeenCalledWith('Bitcoin provider failed, trying next', expect.objectContaining({
+      provider: 'esplora',
+      operation: 'getBalance',
+    }));
+  });
+
+  it('only uses providers configured for the requested network', async () => {
+    const blockcypher = fakeProvider('blockcypher', ['mainnet', 'testnet']);
+    const electrum = fakeProvider('electrum', ['regtest']);
+    const service = new BitcoinService([blockcypher, electrum]);
+
+    await expect(service.getBalance(REGTEST_ADDRESS, 'regtest')).resolves.toMatchObject({ success: true, provider: 'electrum' });
+    expect(blockcypher.getAddressSummary).not.toHaveBeenCalled();
+
+    const noRegtest = new BitcoinService([blockcypher]);
+    await expect(noRegtest.getBalance(REGTEST_ADDRESS, 'regtest')).resolves.toEqual({
+      success: false,
+      error: 'No Bitcoin data provider is configured for regtest',
+    });
+  });
+
+  it('returns the last provider error when every provider fails', async () => {
+    const failing = (name, message) => fakeProvider(name, ['mainnet'], {
+      broadcastTransaction: jest.fn(async () => {
+        const error = new Error('Request failed with status code 400');
+        error.response = { data: message };
+        throw error;
+      }),
+    });
+    const service = new BitcoinService([failing('esplora', 'rate limited'), failing('esplora', 'bad-txns-inputs-missingorspent')]);
+
+    await expect(service.sendTransaction('00', 'mainnet')).resolves.toEqual({
+      success: false,
+      error: 'bad-txns-inputs-missingorspent',
+    });
+  });
+});
+
+describe('BlockCypher provider', () => {
+  it('keeps per-kilobyte fees and per-byte rates unchanged', async () => {
+    const http = { get: jest.fn(async () => ({ data: { high_fee_per_kb: 25123, medium_fee_per_kb: 12000, low_fee_per_kb: 3000 } })) };
+    const service = new BitcoinService([
+      new BlockCypherProvider({ baseUrl: 'https://api.blockcypher.com/v1/btc', token: 'secret', http }),
+    ]);
+
+    const result = await service.getFeeEstimate('testnet');
+
+    expect(http.get).toHaveBeenCalledWith('https://api.blockcypher.com/v1/btc/test3', expect.objectContaining({
+      params: { token: 'secret' },
+    }));
+    expect(result.fees).toEqual({ high: 25123, medium: 12000, low: 3000 });
+    expect(result.feesPerByte).toEqual({ high: 25, medium: 12, low: 3 });
+  });
+});
+
+describe('Esplora provider', () => {
+  const responses = {
+    '/blocks/tip/height': 120,
+    [`/address/${REGTEST_ADDRESS}`]: {
+      chain_stats: { funded_txo_sum: 500000, spent_txo_sum: 200000, tx_count: 3 },
+      mempool_stats: { funded_txo_sum: 10000, spent_txo_sum: 0, tx_count: 1 },
+    },
+    [`/address/${REGTEST_ADDRESS}/utxo`]: [
+      { txid: 'aa'.repeat(32), vout: 1, value: 300000, status: { confirmed: true, block_height: 101 } },
+      { txid: 'bb'.repeat(32), vout: 0, value: 10000, status: { confirmed: false } },
+    ],
+    [`/tx/${'cc'.repeat(32)}`]: {
+      txid: 'cc'.repeat(32),
+      vin: [{ prevout: { scriptpubkey_address: REGTEST_ADDRESS, value: 300000 }, sequence: 0xfffffffd }],
+      vout: [{ scriptpubkey_address: 'bcrt1qdest', value: 250000 }, { value: 0 }],
+      size: 222,
+      weight: 561,
+      fee: 50000,
+      status: { confirmed: true, block_height: 118, block_hash: 'dd'.repeat(32), block_time: 1700000000 },
+    },
+    '/fee-estimates': {},
+  };
+  const http = {
+    get: jest.fn(async (url) => ({ data: responses[url.replace('http://localhost:3002', '')] })),
+  };
+  const service = new BitcoinService([new EsploraProvider({ urls: { regtest: 'http://localhost:3002/' }, http })]);
+
+  it('derives balances from chain and mempool stats', async () => {
+    const result = await service.getBalance(REGTEST_ADDRESS, 'regtest');
+
+    expect(result.balance).toEqual({
+      satoshis: 300000,
+      btc: '0.00300000',
+      unconfirmed: { satoshis: 10000, btc: '0.00010000' },
+    });
+    expect(result).toMatchObject({ totalReceived: '0.00510000', totalSent: '0.00200000', txCount: 3 });
+  });
+
+  it('adds scriptPubKey and confirmations to UTXOs', async () => {
+    const result = await service.getUTXOs(REGTEST_ADDRESS, 'regtest');
+
+    expect(result.utxos).toEqual([
+      { txHash: 'aa'.repeat(32), outputIndex: 1, value: 300000, valueBTC: '0.00300000', confirmations: 20, scriptPubKey: REGTEST_SCRIPT.toString('hex') },
+      { txHash: 'bb'.repeat(32), outputIndex: 0, value: 10000, valueBTC: '0.00010000', confirmations: 0, scriptPubKey: REGTEST_SCRIPT.toString('hex') },
+    ]);
+    expect(result.totalValue).toBe(310000);
+  });
+
+  it('normalizes transactions and falls back to 1 sat/vB without fee estimates', async () => {
+    const { transaction } = await service.getTransaction('cc'.repeat(32), 'regtest');
+
+    expect(transaction).toMatchObject({
+      blockHeight: 118,
+      blockHash: 'dd'.repeat(32),
+      confirmed: '2023-11-14T22:13:20.000Z',
+      confirmations: 3,
+      inputs: [{ address: REGTEST_ADDRESS, value: '0.00300000' }],
+      outputs: [{ address: 'bcrt1qdest', value: '0.00250000' }, { address: 'Unknown', value: '0.00000000' }],
+      total: '0.00250000',
+      fees: '0.00050000',
+      vsize: 141,
+      optInRbf: true,
+    });
+
+    await expect(service.getFeeEstimate('regtest')).resolves.toMatchObject({
+      feesPerByte: { high: 1, medium: 1, low: 1 },
+    });
+  });
+});
+
+describe('Electrum provider', () => {
+  const scriptHash = Buffer.from(bitcoin.crypto.sha256(REGTEST_SCRIPT)).reverse().toString('hex');
+
+  const funding = new bitcoin.Transaction();
+  funding.addInput(Buffer.alloc(32, 7), 0);
+  funding.addOutput(REGTEST_SCRIPT, 100000);
+
+  const spend = new bitcoin.Transaction();
+  spend.addInput(funding.getHash(), 0, 0xfffffffd);
+  spend.addOutput(REGTEST_SCRIPT, 90000);
+
+  const header = Buffer.alloc(80);
+  header.writeUInt32LE(1700000000, 68);
+
+  const results = {
+    'blockchain.headers.subscribe': () => ({ height: 110, hex: header.toString('hex') }),
+    'blockchain.block.header': () => header.toString('hex'),
+    'blockchain.transaction.get': ([txid]) => (txid === funding.getId() ? funding.toHex() : spend.toHex()),
+    'blockchain.scripthash.get_balance': () => ({ confirmed: 90000, unconfirmed: 0 }),
+    'blockchain.scripthash.get_history': () => [
+      { tx_hash: funding.getId(), height: 100 },
+      { tx_hash: spend.getId(), height: 105 },
+    ],
+    'blockchain.estimatefee': ([target]) => (target === 1 ? 0.00025 : -1),
+  };
+  const client = {
+    request: jest.fn(async (method, params) => results[method](params)),
+  };
+  const createClient = jest.fn(() => client);
+  const service = new BitcoinService([
+    new ElectrumProvider({ servers: { regtest: { host: '127.0.0.1', port: 50001, tls: false } }, createClient }),
+  ]);
+
+  it('queries balances by script hash and reports lifetime totals as unknown', async () => {
+    const result = await service.getBalance(REGTEST_ADDRESS, 'regtest');
+
+    expect(client.request).toHaveBeenCalledWith('blockchain.scripthash.get_balance', [scriptHash]);
+    expect(result).toMatchObject({
+      success: true,
+      provider: 'electrum',
+      balance: { satoshis: 90000 },
+      totalReceived: null,
+      totalSent: null,
+      txCount: 2,
+    });
+    expect(createClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('decodes transactions with prevout values, block data and confirmations', async () => {
+    const { transaction } = await service.getTransaction(spend.getId(), 'regtest');
+
+    expect(transaction).toMatchObject({
+      hash: spend.getId(),
+      blockHeight: 105,
+      blockHash: Buffer.from(bitcoin.crypto.hash256(header)).reverse().toString('hex'),
+      confirmed: '2023-11-14T22:13:20.000Z',
+      confirmations: 6,
+      inputs: [{ address: REGTEST_ADDRESS, value: '0.00100000' }],
+      outputs: [{ address: REGTEST_ADDRESS, value: '0.00090000' }],
+      fees: '0.00010000',
+      optInRbf: true,
+    });
+
+    const history = await service.getTransactionHistory(REGTEST_ADDRESS, 'regtest', 1);
+    expect(history.transactions.map((tx) => tx.hash)).toEqual([spend.getId()]);
+  });
+
+  it('converts BTC/kB fee estimates to sat/vB', async () => {
+    await expect(service.getFeeEstimate('regtest')).resolves.toMatchObject({
+      feesPerByte: { high: 25, medium: 1, low: 1 },
+    });
+  });
+});
+
+describe('parseElectrumServer', () => {
+  it('parses protocol, host and default ports', () => {
+    expect(parseElectrumServer('ssl://electrum.example.com')).toEqual({ host: 'electrum.example.com', port: 50002, tls: true });
+    expect(parseElectrumServer('tcp://127.0.0.1:60401')).toEqual({ host: '127.0.0.1', port: 60401, tls: false });
+    expect(parseElectrumServer('')).toBeNull();
+  });
+});
@@ -0,0 +1,310 @@
+jest.mock('../src/services/bitcoinService.js', () => ({
+  __esModule: true,
+  default: {
+    getFeeEstimate: jest.fn(async () => ({ success: true, feesPerByte: { high: 20, medium: 10, low: 2 } })),
+    getUTXOs: jest.fn(),
+    getRawTransaction: jest.fn(),
+    getTransaction: jest.fn(),
+    sendTransaction: jest.fn(async () => ({ success: true, txHash: 'pushed-hash' })),
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import * as bitcoin from 'bitcoinjs-lib';
+import bitcoinService from '../src/services/bitcoinService.js';
+import bitcoinTransactionService from '../src/services/bitcoinTransactionService.js';
+
+const PRIVATE_KEY = '0000000000000000000000000000000000000000000000000000000000000001';
+const RECIPIENT = 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn';
+
+function fundingTransaction(address, values) {
+  const tx = new bitcoin.Transaction();
+  tx.addInput(Buffer.alloc(32, 7), 0);
+  values.forEach((value) => {
+    tx.addOutput(bitcoin.address.toOutputScript(address, bitcoin.networks.testnet), value);
+  });
+  return tx;
+}
+
+function mockFunding(address, values) {
+  const funding = fundingTransaction(address, values);
+  bitcoinService.getUTXOs.mockResolvedValue({
+    success: true,
+    utxos: values.map((value, outputIndex) => ({ txHash: funding.getId(), outputIndex, value })),
+  });
+  bitcoinService.getRawTransaction.mockResolvedValue({ success: true, hex: funding.toHex() });
+}
+
+describe('bitcoinTransactionService', () => {
+  const fromAddress = bitcoin.payments.p2pkh({
+    pubkey: bitcoinTransactionService.keyPairFromPrivateKey(PRIVATE_KEY).publicKey,
+    network: bitcoin.networks.testnet,
+  }).address;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('selects the largest UTXOs first and folds dust change into the fee', () => {
+    const utxos = [{ value: 1000 }, { value: 50000 }, { value: 20000 }];
+    const estimate = () => 1000;
+
+    expect(bitcoinTransactionService.selectUtxos(utxos, 30000, estimate)).toMatchObject({
+      selected: [{ value: 50000 }],
+      fee: 1000,
+      change: 19000,
+    });
+    expect(bitcoinTransactionService.selectUtxos(utxos, 48700, estimate)).toMatchObject({
+      fee: 1300,
+      change: 0,
+    });
+    expect(() => bitcoinTransactionService.selectUtxos(utxos, 80000, estimate)).toThrow('Insufficient funds');
+  });
+
+  it('signs, broadcasts and returns change to the sender', async () => {
+    mockFunding(fromAddress, [30000, 200000]);
+
+    const result = await bitcoinTransactionService.sendBitcoin({
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.001',
+      network: 'testnet',
+      feePriority: 'low',
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      txHash: 'pushed-hash',
+      from: fromAddress,
+      amount: '0.001',
+      feeRate: 2,
+      inputs: 1,
+    });
+
+    const [hex, network] = bitcoinService.sendTransaction.mock.calls[0];
+    expect(network).toBe('testnet');
+    const tx = bitcoin.Transaction.fromHex(hex);
+    expect(tx.outs).toHaveLength(2);
+    expect(tx.outs[0].value).toBe(100000);
+    expect(bitcoin.address.fromOutputScript(tx.outs[1].script, bitcoin.networks.testnet)).toBe(fromAddress);
+    expect(200000 - 100000 - tx.outs[1].value).toBe(Math.round(Number(result.fee) * 1e8));
+  });
+
+  it.each(['segwit', 'taproot'])('spends %s outputs with witness data', async (addressType) => {
+    const keyPair = bitcoinTransactionService.keyPairFromPrivateKey(PRIVATE_KEY);
+    const sender = bitcoinTransactionService.paymentForKey(keyPair, addressType, bitcoin.networks.testnet).address;
+    mockFunding(sender, [200000]);
+
+    const result = await bitcoinTransactionService.sendBitcoin({
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.001',
+      network: 'testnet',
+      addressType,
+      feeRate: 3,
+    });
+
+    expect(result).toMatchObject({ success: true, addressType, from: sender, inputs: 1 });
+    expect(bitcoinService.getRawTransaction).not.toHaveBeenCalled();
+
+    const tx = bitcoin.Transaction.fromHex(bitcoinService.sendTransaction.mock.calls[0][0]);
+    expect(tx.hasWitnesses()).toBe(true);
+    expect(tx.ins[0].witness).toHaveLength(addressType === 'taproot' ? 1 : 2);
+    expect(bitcoin.address.fromOutputScript(tx.outs[1].script, bitcoin.networks.testnet)).toBe(sender);
+  });
+
+  it.each(['legacy', 'segwit', 'taproot'])('prepares an unsigned %s PSBT from the public key alone', async (addressType) => {
+    const keyPair = bitcoinTransactionService.keyPairFromPrivateKey(PRIVATE_KEY);
+    const sender = bitcoinTransactionService.paymentForKey(keyPair, addressType, bitcoin.networks.testnet).address;
+    mockFunding(sender, [200000]);
+
+    const built = await bitcoinTransactionService.prepareSend({
+      publicKey: keyPair.publicKey.toString('hex'),
+      toAddress: RECIPIENT,
+      amount: '0.001',
+      network: 'testnet',
+      addressType,
+      feeRate: 3,
+    });
+
+    expect(built).toMatchObject({ success: true, network: 'testnet', addressType, from: sender, inputs: 1 });
+    expect(built.hex).toBeUndefined();
+    expect(bitcoinService.sendTransaction).not.toHaveBeenCalled();
+
+    const psbt = bitcoin.Psbt.fromBase64(built.psbt, { network: bitcoin.networks.testnet });
+    psbt.signAllInputs(addressType === 'taproot' ? bitcoinTransactionService.taprootSigner(keyPair) : keyPair);
+    psbt.finalizeAllInputs();
+    const signed = psbt.extractTransaction();
+    expect(signed.outs[0].value).toBe(100000);
+    expect(200000 - signed.outs[0].value - signed.outs[1].value).toBe(Math.round(Number(built.fee) * 1e8));
+
+    await expect(bitcoinTransactionService.broadcastSigned({ transaction: signed.toHex(), network: 'testnet' }))
+      .resolves.toEqual({ success: true, network: 'testnet', txHash: 'pushed-hash' });
+    expect(bitcoinService.sendTransaction).toHaveBeenCalledWith(signed.toHex(), 'testnet');
+  });
+
+  it('rejects invalid public keys and undecodable signed transactions', async () => {
+    await expect(bitcoinTransactionService.prepareSend({
+      publicKey: '02' + 'ff'.repeat(32),
+      toAddress: RECIPIENT,
+      amount: '0.001',
+      network: 'testnet',
+    })).resolves.toMatchObject({ success: false, error: 'Invalid Bitcoin public key' });
+
+    await expect(bitcoinTransactionService.broadcastSigned({ transaction: 'not-hex', network: 'testnet' }))
+      .resolves.toMatchObject({ success: false, error: expect.stringContaining('hex-encoded') });
+    expect(bitcoinService.getUTXOs).not.toHaveBeenCalled();
+    expect(bitcoinService.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  describe('fee bumping', () => {
+    const keyPair = bitcoinTransactionService.keyPairFromPrivateKey(PRIVATE_KEY);
+    const sender = bitcoinTransactionService.paymentForKey(keyPair, 'segwit', bitcoin.networks.testnet).address;
+    let original;
+
+    beforeEach(async () => {
+      const funding = fundingTransaction(sender, [200000]);
+      bitcoinService.getUTXOs.mockResolvedValue({
+        success: true,
+        utxos: [{ txHash: funding.getId(), outputIndex: 0, value: 200000, confirmations: 3 }],
+      });
+
+      await bitcoinTransactionService.sendBitcoin({
+        privateKey: PRIVATE_KEY,
+        toAddress: RECIPIENT,
+        amount: '0.001',
+        network: 'testnet',
+        addressType: 'segwit',
+        feeRate: 2,
+      });
+      original = bitcoin.Transaction.fromHex(bitcoinService.sendTransaction.mock.calls[0][0]);
+      bitcoinService.sendTransaction.mockClear();
+
+      const raw = { [funding.getId()]: funding.toHex(), [original.getId()]: original.toHex() };
+      bitcoinService.getRawTransaction.mockImplementation(async (txHash) => ({ success: true, hex: raw[txHash] }));
+      bitcoinService.getTransaction.mockResolvedValue({ success: true, transaction: { confirmations: 0 } });
+    });
+
+    it('signals BIP-125 on every input of a new send', () => {
+      expect(original.ins.every((input) => input.sequence === 0xfffffffd)).toBe(true);
+    });
+
+    it('replaces an unconfirmed send at a higher fee rate, paying from change', async () => {
+      const result = await bitcoinTransactionService.bumpFee({
+        privateKey: PRIVATE_KEY,
+        txHash: original.getId(),
+        network: 'testnet',
+        feeRate: 12,
+      });
+
+      expect(result).toMatchObject({ success: true, replaces: original.getId(), addressType: 'segwit', feeRate: 12 });
+      const replacement = bitcoin.Transaction.fromHex(bitcoinService.sendTransaction.mock.calls[0][0]);
+      expect(replacement.ins.map((input) => input.hash.toString('hex'))).toEqual(
+        original.ins.map((input) => input.hash.toString('hex'))
+      );
+      expect(replacement.outs[0]).toMatchObject({ value: 100000, script: original.outs[0].script });
+      expect(replacement.outs[1].value).toBeLessThan(original.outs[1].value);
+
+      const newFee = 200000 - replacement.outs[0].value - replacement.outs[1].value;
+      expect(newFee / replacement.virtualSize()).toBeGreaterThanOrEqual(11.5);
+      expect(newFee).toBeGreaterThan(Math.round(Number(result.previousFee) * 1e8) + replacement.virtualSize() - 1);
+    });
+
+    it('rejects replacements that do not raise the fee rate or target confirmed transactions', async () => {
+      await expect(bitcoinTransactionService.bumpFee({
+        privateKey: PRIVATE_KEY,
+        txHash: original.getId(),
+        network: 'testnet',
+        feeRate: 1,
+      })).resolves.toMatchObject({ success: false, error: expect.stringContaining('higher than the current') });
+
+      bitcoinService.getTransaction.mockResolvedValue({ success: true, transaction: { confirmations: 1 } });
+      await expect(bitcoinTransactionService.childPaysForParent({
+        privateKey: PRIVATE_KEY,
+        txHash: original.getId(),
+        network: 'testnet',
+        feeRate: 20,
+      })).resolves.toMatchObject({ success: false, error: 'Transaction is already confirmed' });
+      expect(bitcoinService.sendTransaction).not.toHaveBeenCalled();
+    });
+
+    it('spends the change output with a child that lifts the package fee rate', async () => {
+      const result = await bitcoinTransactionService.childPaysForParent({
+        privateKey: PRIVATE_KEY,
+        txHash: original.getId(),
+        network: 'testnet',
+        feeRate: 15,
+      });
+
+      expect(result).toMatchObject({ success: true, parentTxHash: original.getId(), spentOutputIndex: 1 });
+      expect(result.effectiveFeeRate).toBeGreaterThanOrEqual(14.5);
+
+      const child = bitcoin.Transaction.fromHex(bitcoinService.sendTransaction.mock.calls[0][0]);
+      expect(Buffer.from(child.ins[0].hash).reverse().toString('hex')).toBe(original.getId());
+      expect(child.ins[0].index).toBe(1);
+      expect(bitcoin.address.fromOutputScript(child.outs[0].script, bitcoin.networks.testnet)).toBe(sender);
+    });
+
+    it('reports replaceability and spendable outputs for pending transactions', async () => {
+      const options = await bitcoinTransactionService.getFeeBumpOptions(original.getId(), sender, 'testnet');
+
+      expect(options).toMatchObject({
+        success: true,
+        confirmed: false,
+        canReplace: true,
+        cpfpOutputs: [{ outputIndex: 1 }],
+        targets: { high: 20, medium: 10, low: 2 },
+      });
+      expect(options.feeRate).toBeCloseTo(2, 0);
+    });
+  });
+
+  it('rejects bad input before touching the network', async () => {
+    await expect(bitcoinTransactionService.sendBitcoin({
+      privateKey: 'zz',
+      toAddress: RECIPIENT,
+      amount: '0.1',
+      network: 'testnet',
+    })).resolves.toMatchObject({ success: false, error: 'Invalid Bitcoin private key' });
+
+    await expect(bitcoinTransactionService.sendBitcoin({
+      privateKey: PRIVATE_KEY,
+      toAddress: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+      amount: '0.1',
+      network: 'testnet',
+    })).resolves.toMatchObject({ success: false, error: 'Invalid Bitcoin testnet recipient address' });
+
+    await expect(bitcoinTransactionService.sendBitcoin({
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.123456789',
+      network: 'testnet',
+      feeRate: 5,
+    })).resolves.toMatchObject({ success: false });
+
+    expect(bitcoinService.getUTXOs).not.toHaveBeenCalled();
+    expect(bitcoinService.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  it('surfaces insufficient funds without broadcasting', async () => {
+    mockFunding(fromAddress, [5000]);
+
+    await expect(bitcoinTransactionService.sendBitcoin({
+      privateKey: PRIVATE_KEY,
+      toAddress: RECIPIENT,
+      amount: '0.001',
+      network: 'testnet',
+      feeRate: 1,
+    })).resolves.toMatchObject({ success: false, error: 'Insufficient funds to cover amount and fee' });
+    expect(bitcoinService.sendTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+const mockTokens = [];
+
+jest.mock('../src/lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    wallet: {
+      findFirst: jest.fn(),
+    },
+    customToken: {
+      findMany: jest.fn(async ({ where }) => mockTokens.filter((entry) => entry.walletId === where.walletId
+        && (where.chainId === undefined || entry.chainId === where.chainId))),
+      findFirst: jest.fn(async ({ where }) => mockTokens.find((entry) => Object.entries(where)
+        .every(([key, value]) => entry[key] === value)) || null),
+      create: jest.fn(async ({ data }) => {
+        const entry = { id: `ct_${mockTokens.length + 1}`, createdAt: new Date(0), logoURI: null, ...data };
+        mockTokens.push(entry);
+        return entry;
+      }),
+      delete: jest.fn(async ({ where }) => mockTokens.splice(mockTokens.findIndex((entry) => entry.id === where.id), 1)[0]),
+    },
+  },
+}));
+
+jest.mock('../src/services/tokenService.js', () => ({
+  __esModule: true,
+  default: {
+    getTokenInfo: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import prisma from '../src/lib/prisma.js';
+import tokenService from '../src/services/tokenService.js';
+import {
+  addCustomTokenForUser,
+  listCustomTokensForUser,
+  removeCustomTokenForUser,
+} from '../src/services/customTokenService.js';
+
+const GOLD = '0x2222222222222222222222222222222222222222';
+const ethRow = { id: 'w-eth', userId: 'user-1', network: 'ETHEREUM', address: '0x1111111111111111111111111111111111111111', metadata: { groupId: 'grp_1' } };
+const solRow = { id: 'w-sol', userId: 'user-1', network: 'SOLANA', address: 'So1', metadata: { groupId: 'grp_1' } };
+
+describe('customTokenService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTokens.length = 0;
+    prisma.wallet.findFirst.mockImplementation(async ({ where }) => {
+      if (where.id === 'w-sol') return solRow;
+      if (where.id === 'w-eth' || where.network === 'ETHEREUM') return ethRow;
+      return null;
+    });
+    tokenService.getTokenInfo.mockResolvedValue({
+      success: true,
+      token: { address: GOLD, name: 'Gold', symbol: 'GLD', decimals: 18 },
+    });
+  });
+
+  it('adds a token to the group ETHEREUM row, reading missing details from the contract', async () => {
+    const token = await addCustomTokenForUser('user-1', 'w-sol', { chainId: '137', address: GOLD.toLowerCase() });
+
+    expect(tokenService.getTokenInfo).toHaveBeenCalledWith(GOLD, 'polygon-mainnet');
+    expect(token).toMatchObject({ id: 'ct_1', chainId: 137, address: GOLD, symbol: 'GLD', name: 'Gold', decimals: 18 });
+    expect(mockTokens[0].walletId).toBe('w-eth');
+
+    await expect(listCustomTokensForUser('user-1', 'w-eth', { chainId: 137 })).resolves.toMatchObject({
+      walletId: 'w-eth',
+      address: ethRow.address,
+      tokens: [{ symbol: 'GLD' }],
+    });
+    await expect(addCustomTokenForUser('user-1', 'w-eth', { chainId: 137, address: GOLD }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Token already added to this wallet' });
+  });
+
+  it('rejects tokens that would shadow the token lists or the native currency', async () => {
+    await expect(addCustomTokenForUser('user-1', 'w-eth', {
+      chainId: 1,
+      address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+    })).rejects.toMatchObject({ statusCode: 409, message: 'USDC is already in the Walletrix Default token list' });
+
+    await expect(addCustomTokenForUser('user-1', 'w-eth', {
+      chainId: 1, address: GOLD, symbol: 'usdc', name: 'Fake', decimals: 6,
+    })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'usdc on chain 1 is already listed at 0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+    });
+
+    await expect(addCustomTokenForUser('user-1', 'w-eth', {
+      chainId: 1, address: GOLD, symbol: 'ETH', name: 'Ether', decimals: 18,
+    })).rejects.toMatchObject({ statusCode: 409, message: 'ETH is the native currency on chain 1' });
+
+    await expect(addCustomTokenForUser('user-1', 'w-eth', { chainId: 56, address: GOLD }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.customToken.create).not.toHaveBeenCalled();
+  });
+
+  it('removes only tokens on the caller wallet', async () => {
+    mockTokens.push({ id: 'ct_9', walletId: 'someone-else', chainId: 1, address: GOLD, symbol: 'GLD', name: 'Gold', decimals: 18 });
+
+    await expect(removeCustomTokenForUser('user-1', 'w-eth', 'ct_9'))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Custom token not found' });
+    await expect(removeCustomTokenForUser('user-1', 'missing', 'ct_9'))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Wallet not found' });
+    expect(mockTokens).toHaveLength(1);
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import { ethers } from 'ethers';
+import ethereumService from '../src/services/ethereumService.js';
+import evmFeeService from '../src/services/evmFeeService.js';
+
+const gwei = (value) => ethers.toQuantity(ethers.parseUnits(String(value), 'gwei'));
+
+function feeHistory({ baseFees, rewards, gasUsedRatio }) {
+  return {
+    oldestBlock: ethers.toQuantity(19000000),
+    baseFeePerGas: baseFees.map(gwei),
+    gasUsedRatio,
+    reward: rewards.map(block => block.map(gwei)),
+  };
+}
+
+describe('evmFeeService', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = { send: jest.fn() };
+    jest.spyOn(ethereumService, 'getProvider').mockReturnValue(provider);
+  });
+
+  it('builds slow, normal and fast tiers from fee history percentiles', async () => {
+    provider.send.mockResolvedValue(feeHistory({
+      baseFees: [10, 10, 11, 12, 12.5],
+      // 10th, 30th and 60th percentile tips per block; the third block has a spike.
+      rewards: [[1, 2, 5], [0.5, 1.5, 3], [2, 3, 10], [3, 4, 6]],
+      gasUsedRatio: [0.4, 0.6, 0.9, 0.7],
+    }));
+
+    const result = await evmFeeService.getFeeSuggestions('ethereum-mainnet');
+
+    expect(provider.send).toHaveBeenCalledWith('eth_feeHistory', ['0x14', 'latest', [10, 30, 60]]);
+    expect(result).toMatchObject({
+      success: true,
+      chainId: 1,
+      baseFeePerGas: '12.5',
+      baseFeeTrend: 'rising',
+      blockTime: 12,
+      congestion: { averageGasUsedRatio: 0.65, sampledBlocks: 4, oldestBlock: 19000000 },
+    });
+    expect(result.tiers).toEqual({
+      slow: {
+        maxPriorityFeePerGas: '1.0',
+        maxFeePerGas: '16.625',
+        estimatedBlocks: 2,
+        estimatedSeconds: 24,
+        transferCost: { expected: '0.0002835', max: '0.000349125' },
+      },
+      normal: expect.objectContaining({ maxPriorityFeePerGas: '2.0', maxFeePerGas: '20.75', estimatedBlocks: 1 }),
+      fast: expect.objectContaining({ maxPriorityFeePerGas: '5.0', maxFeePerGas: '30.0', estimatedSeconds: 12 }),
+    });
+  });
+
+  it('raises tips to the network minimum and keeps tiers in order', async () => {
+    provider.send.mockResolvedValue(feeHistory({
+      baseFees: [100, 100, 100],
+      rewards: [[0, 0, 0], [0, 0, 45]],
+      gasUsedRatio: [0.2, 0.3],
+    }));
+
+    const result = await evmFeeService.getFeeSuggestions('polygon-mainnet');
+
+    expect(Object.values(result.tiers).map(tier => tier.maxPriorityFeePerGas)).toEqual(['30.0', '30.0', '30.0']);
+    expect(result.tiers.slow).toMatchObject({ maxFeePerGas: '155.0', estimatedBlocks: 1, estimatedSeconds: 2 });
+    expect(result.baseFeeTrend).toBe('steady');
+  });
+
+  it('reports unsupported networks and chains without fee history', async () => {
+    await expect(evmFeeService.getFeeSuggestions('bsc-mainnet'))
+      .resolves.toEqual({ success: false, error: 'Unsupported network: bsc-mainnet' });
+
+    provider.send.mockResolvedValue({ oldestBlock: '0x1', baseFeePerGas: [], gasUsedRatio: [], reward: [] });
+    await expect(evmFeeService.getFeeSuggestions('sepolia'))
+      .resolves.toEqual({ success: false, error: 'Network did not return EIP-1559 fee history' });
+  });
+});
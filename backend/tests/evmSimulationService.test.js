@@ -0,0 +1,156 @@
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import { ethers } from 'ethers';
+import ethereumService from '../src/services/ethereumService.js';
+import evmSimulationService from '../src/services/evmSimulationService.js';
+
+const SENDER = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const VAULT = '0x3333333333333333333333333333333333333333';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const padAddress = (address) => ethers.zeroPadValue(address, 32);
+const erc20 = new ethers.Interface(['function transfer(address to, uint256 amount) returns (bool)']);
+const vault = new ethers.Interface(['function executeBatch((address target, uint256 value, bytes data)[] calls)']);
+
+function transferLog(token, from, to, amount) {
+  return {
+    address: token,
+    topics: [TRANSFER_TOPIC, padAddress(from), padAddress(to)],
+    data: ethers.toBeHex(amount, 32),
+  };
+}
+
+describe('evmSimulationService', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = {
+      send: jest.fn(),
+      call: jest.fn(),
+      estimateGas: jest.fn(),
+      getFeeData: jest.fn().mockResolvedValue({ maxFeePerGas: ethers.parseUnits('10', 'gwei') }),
+      getBalance: jest.fn().mockResolvedValue(ethers.parseEther('1')),
+    };
+    jest.spyOn(ethereumService, 'getProvider').mockReturnValue(provider);
+    jest.spyOn(ethers.Contract.prototype, 'getFunction').mockImplementation((name) => jest.fn(async () => (
+      name === 'symbol' ? 'USDC' : 6n
+    )));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports balance changes from a call trace and skips reverted subcalls', async () => {
+    provider.send.mockResolvedValue({
+      type: 'CALL',
+      from: SENDER,
+      to: VAULT,
+      value: '0x0',
+      gasUsed: '0xc350',
+      calls: [
+        { type: 'CALL', from: VAULT, to: RECIPIENT, value: ethers.toQuantity(ethers.parseEther('0.1')) },
+        {
+          type: 'CALL',
+          from: VAULT,
+          to: USDC,
+          value: '0x0',
+          logs: [transferLog(USDC, VAULT, RECIPIENT, 25_000_000n)],
+        },
+        {
+          type: 'CALL',
+          from: VAULT,
+          to: USDC,
+          value: '0x0',
+          error: 'execution reverted',
+          logs: [transferLog(USDC, VAULT, RECIPIENT, 99_000_000n)],
+        },
+      ],
+    });
+
+    const result = await evmSimulationService.simulateTransaction(
+      { from: SENDER, to: VAULT, data: '0x1234' },
+      'mainnet',
+      { accounts: [VAULT] }
+    );
+
+    expect(provider.send).toHaveBeenCalledWith('debug_traceCall', [
+      { from: SENDER, to: VAULT, value: '0x0', data: '0x1234' },
+      'latest',
+      { tracer: 'callTracer', tracerConfig: { withLog: true } },
+    ]);
+    expect(result).toMatchObject({
+      success: true,
+      chainId: 1,
+      mode: 'trace',
+      willRevert: false,
+      revertReason: null,
+      gasUsed: '50000',
+      networkFee: '0.0005',
+      warnings: [],
+    });
+    expect(result.balanceChanges).toEqual([
+      { account: VAULT, token: null, symbol: 'ETH', decimals: 18, amount: '-0.1', raw: '-100000000000000000' },
+      { account: VAULT, token: USDC, symbol: 'USDC', decimals: 6, amount: '-25.0', raw: '-25000000' },
+    ]);
+  });
+
+  it('falls back to eth_call and decodes transfers inside a vault batch', async () => {
+    provider.send.mockRejectedValue(new Error('the method debug_traceCall does not exist/is not available'));
+    provider.call.mockResolvedValue('0x');
+    provider.estimateGas.mockResolvedValue(90_000n);
+
+    const data = vault.encodeFunctionData('executeBatch', [[
+      [RECIPIENT, ethers.parseEther('0.2'), '0x'],
+      [USDC, 0n, erc20.encodeFunctionData('transfer', [RECIPIENT, 5_000_000n])],
+    ]]);
+    const result = await evmSimulationService.simulateTransaction(
+      { from: SENDER, to: VAULT, data },
+      'sepolia',
+      { accounts: [VAULT] }
+    );
+
+    expect(result).toMatchObject({ success: true, mode: 'call', willRevert: false, gasUsed: '90000' });
+    expect(result.balanceChanges.map(({ account, symbol, amount }) => [account, symbol, amount])).toEqual([
+      [VAULT, 'ETH', '-0.2'],
+      [VAULT, 'USDC', '-5.0'],
+    ]);
+  });
+
+  it('surfaces revert reasons and tokens that return false', async () => {
+    provider.send.mockRejectedValue(new Error('method not found'));
+    const revert = new Error('execution reverted');
+    revert.data = ethers.concat([
+      '0x08c379a0',
+      ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['ERC20: transfer amount exceeds balance']),
+    ]);
+    provider.call.mockRejectedValueOnce(revert);
+
+    const data = erc20.encodeFunctionData('transfer', [RECIPIENT, 5_000_000n]);
+    const reverted = await evmSimulationService.simulateTransaction({ from: SENDER, to: USDC, data }, 'mainnet');
+    expect(reverted).toMatchObject({
+      willRevert: true,
+      revertReason: 'ERC20: transfer amount exceeds balance',
+      balanceChanges: [],
+      warnings: ['Transaction would revert; sending it still spends gas'],
+    });
+
+    provider.call.mockResolvedValueOnce(ethers.toBeHex(0, 32));
+    const returnedFalse = await evmSimulationService.simulateTransaction({ from: SENDER, to: USDC, data }, 'mainnet');
+    expect(returnedFalse).toMatchObject({ willRevert: true, revertReason: 'Token transfer returned false' });
+
+    await expect(evmSimulationService.simulateTransaction({ from: SENDER, to: 'nope' }, 'mainnet'))
+      .resolves.toEqual({ success: false, error: 'Valid from and to addresses are required' });
+  });
+});
@@ -0,0 +1,179 @@
+const mockRows = [];
+
+function mockMatches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && 'not' in condition) {
+      return row[key] !== condition.not;
+    }
+    return row[key] === condition;
+  });
+}
+
+jest.mock('../src/lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    transaction: {
+      findMany: jest.fn(async ({ where }) => mockRows
+        .filter(row => mockMatches(row, where))
+        .sort((a, b) => a.nonce - b.nonce)),
+      findFirst: jest.fn(async ({ where }) => mockRows.find(row => mockMatches(row, where)) || null),
+      create: jest.fn(async ({ data }) => {
+        const row = { id: `tx-${mockRows.length + 1}`, timestamp: new Date(), ...data };
+        mockRows.push(row);
+        return row;
+      }),
+      update: jest.fn(async ({ where, data }) => {
+        const row = mockRows.find(item => item.id === where.id);
+        Object.assign(row, data);
+        return row;
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = mockRows.filter(row => mockMatches(row, where));
+        rows.forEach(row => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+    },
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import {
+  cancelTransaction,
+  getPendingTransactions,
+  sendManagedTransaction,
+  speedUpTransaction,
+  waitForManagedTransaction,
+} from '../src/services/evmTransactionManager.js';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const gwei = (value) => BigInt(value) * 1_000_000_000n;
+
+function createSigner({ latest = 5, pending = latest } = {}) {
+  const provider = {
+    getTransactionCount: jest.fn(async (_address, blockTag) => (blockTag === 'latest' ? latest : pending)),
+    getTransactionReceipt: jest.fn(async () => null),
+    getTransaction: jest.fn(async () => ({})),
+    getFeeData: jest.fn(async () => ({ maxFeePerGas: gwei(20), maxPriorityFeePerGas: gwei(1) })),
+  };
+  let sent = 0;
+  const signer = {
+    provider,
+    getAddress: jest.fn(async () => ADDRESS),
+    sendTransaction: jest.fn(async (request) => {
+      sent += 1;
+      // Yield so a concurrent send would read the nonce before this one is recorded.
+      await new Promise(resolve => setImmediate(resolve));
+      return {
+        hash: `0xhash${sent}`,
+        nonce: request.nonce,
+        gasLimit: request.gasLimit ?? 21000n,
+        maxFeePerGas: request.maxFeePerGas ?? gwei(30),
+        maxPriorityFeePerGas: request.maxPriorityFeePerGas ?? gwei(2),
+        wait: jest.fn(async () => ({ status: 1, gasUsed: 21000n })),
+      };
+    }),
+  };
+  return { signer, provider };
+}
+
+describe('evmTransactionManager', () => {
+  beforeEach(() => {
+    mockRows.length = 0;
+    jest.clearAllMocks();
+  });
+
+  it('serializes concurrent sends from one address onto consecutive nonces', async () => {
+    const { signer } = createSigner({ latest: 5 });
+
+    const [first, second] = await Promise.all([
+      sendManagedTransaction(signer, { to: RECIPIENT, value: 1n }, { chainId: 1, metadata: { source: 'telegram' } }),
+      sendManagedTransaction(signer, { to: RECIPIENT, value: 2n }, { chainId: 1, metadata: { source: 'telegram' } }),
+    ]);
+
+    expect(signer.sendTransaction.mock.calls.map(([request]) => request.nonce)).toEqual([5, 6]);
+    expect(first.record).toMatchObject({ nonce: 5, chainId: 1, network: 'ETHEREUM', status: 'PENDING', walletId: null });
+    expect(second.record.metadata).toEqual({
+      source: 'telegram',
+      request: {
+        to: RECIPIENT,
+        value: '2',
+        data: '0x',
+        gasLimit: '21000',
+        maxFeePerGas: gwei(30).toString(),
+        maxPriorityFeePerGas: gwei(2).toString(),
+      },
+    });
+
+    const { txHash } = await waitForManagedTransaction(first.tx);
+    expect(txHash).toBe('0xhash1');
+    expect(mockRows[0]).toMatchObject({ status: 'CONFIRMED', gasUsed: '21000' });
+  });
+
+  it('resolves mined, replaced and dropped transactions and reuses a dropped nonce', async () => {
+    const { signer, provider } = createSigner({ latest: 7, pending: 7 });
+    const old = new Date(Date.now() - 10 * 60 * 1000);
+    mockRows.push(
+      { id: 'a', txHash: '0xmined', fromAddress: ADDRESS, chainId: 1, nonce: 5, status: 'PENDING', timestamp: old },
+      { id: 'b', txHash: '0xoutbid', fromAddress: ADDRESS, chainId: 1, nonce: 5, status: 'PENDING', timestamp: old },
+      { id: 'c', txHash: '0xsibling', fromAddress: ADDRESS, chainId: 1, nonce: 6, status: 'PENDING', timestamp: old },
+      { id: 'd', txHash: '0xdropped', fromAddress: ADDRESS, chainId: 1, nonce: 7, status: 'PENDING', timestamp: old },
+    );
+    provider.getTransactionReceipt.mockImplementation(async (hash) => (
+      hash === '0xmined' ? { status: 1, gasUsed: 21000n } : null
+    ));
+    provider.getTransaction.mockResolvedValue(null);
+
+    const pending = await getPendingTransactions(provider, ADDRESS, 1);
+
+    expect(pending).toEqual([]);
+    expect(mockRows.map(row => [row.txHash, row.status, row.replacedBy])).toEqual([
+      ['0xmined', 'CONFIRMED', undefined],
+      ['0xoutbid', 'REPLACED', '0xmined'],
+      ['0xsibling', 'REPLACED', null],
+      ['0xdropped', 'DROPPED', undefined],
+    ]);
+
+    await sendManagedTransaction(signer, { to: RECIPIENT, value: 1n }, { chainId: 1 });
+    expect(signer.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({ nonce: 7 }));
+  });
+
+  it('speeds up and cancels at the same nonce with bumped fees', async () => {
+    const { signer } = createSigner({ latest: 3 });
+    const { tx } = await sendManagedTransaction(signer, { to: RECIPIENT, value: 10n, data: '0xabcd' }, { chainId: 11155111 });
+
+    const speedUp = await speedUpTransaction(signer, tx.hash);
+    expect(signer.sendTransaction).toHaveBeenLastCalledWith(expect.objectContaining({
+      to: RECIPIENT,
+      value: 10n,
+      data: '0xabcd',
+      nonce: 3,
+      maxFeePerGas: gwei(30) * 1125n / 1000n,
+      maxPriorityFeePerGas: gwei(2) * 1125n / 1000n,
+    }));
+    expect(speedUp.record.metadata).toMatchObject({ replaces: tx.hash, replacement: 'speedup' });
+
+    await cancelTransaction(signer, tx.hash);
+    expect(signer.sendTransaction).toHaveBeenLastCalledWith(expect.objectContaining({
+      to: ADDRESS,
+      value: 0n,
+      nonce: 3,
+      gasLimit: 21000n,
+      maxPriorityFeePerGas: gwei(2) * 1125n * 1125n / 1000n / 1000n,
+    }));
+
+    await expect(speedUpTransaction(signer, '0xunknown')).rejects.toMatchObject({ statusCode: 404 });
+    mockRows.forEach(row => { row.status = 'CONFIRMED'; });
+    await expect(cancelTransaction(signer, tx.hash))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Transaction is already confirmed' });
+  });
+});
@@ -0,0 +1,616 @@
+const mockWallets = new Map();
+const mockTransactions = new Map();
+const mockSignatures = [];
+
+jest.mock('../src/lib/prisma.js', () => {
+  const client = {
+    activityLog: {
+      create: jest.fn(async ({ data }) => ({ id: `activity-${data.action}`, ...data })),
+    },
+    multiSigWallet: {
+      create: jest.fn(async ({ data }) => {
+        const wallet = {
+          id: `msw-${mockWallets.size + 1}`,
+          ...data,
+          isActive: true,
+          signers: data.signers.create.map((signer, index) => ({ id: `signer-${index + 1}`, ...signer })),
+          _count: { transactions: 0 },
+          createdAt: new Date('2026-01-01T00:00:00Z'),
+          updatedAt: new Date('2026-01-01T00:00:00Z'),
+        };
+        mockWallets.set(wallet.id, wallet);
+        return wallet;
+      }),
+      findFirst: jest.fn(async ({ where }) => {
+        const wallet = mockWallets.get(where.id);
+        if (!wallet || wallet.userId !== where.userId || !wallet.isActive) return null;
+        return wallet;
+      }),
+      findMany: jest.fn(async ({ where }) => [...mockWallets.values()].filter(
+        (wallet) => wallet.userId === where.userId && wallet.isActive
+      )),
+      update: jest.fn(async ({ where, data }) => {
+        const wallet = { ...mockWallets.get(where.id), ...data };
+        mockWallets.set(where.id, wallet);
+        return wallet;
+      }),
+    },
+    multiSigTransaction: {
+      findMany: jest.fn(async ({ where }) => [...mockTransactions.values()].filter(
+        (transaction) => transaction.walletId === where.walletId
+      )),
+      create: jest.fn(async ({ data }) => {
+        const transaction = {
+          id: `mstx-${mockTransactions.size + 1}`,
+          ...data,
+          status: 'PENDING',
+          currentSignatures: 0,
+          txHash: null,
+          signatures: [],
+          createdAt: new Date('2026-01-02T00:00:00Z'),
+          updatedAt: new Date('2026-01-02T00:00:00Z'),
+        };
+        mockTransactions.set(transaction.id, transaction);
+        return transaction;
+      }),
+      findFirst: jest.fn(async ({ where }) => {
+        const transaction = mockTransactions.get(where.id);
+        if (!transaction) return null;
+        const wallet = mockWallets.get(transaction.walletId);
+        if (!wallet || !wallet.isActive) return null;
+        if (where.wallet.userId && wallet.userId !== where.wallet.userId) return null;
+        const signatures = mockSignatures.filter((entry) => entry.transactionId === transaction.id);
+        return { ...transaction, signatures, wallet };
+      }),
+      findUnique: jest.fn(async ({ where }) => ({
+        ...mockTransactions.get(where.id),
+        signatures: mockSignatures.filter((entry) => entry.transactionId === where.id),
+      })),
+      update: jest.fn(async ({ where, data }) => {
+        const transaction = { ...mockTransactions.get(where.id), ...data, updatedAt: new Date() };
+        mockTransactions.set(where.id, transaction);
+        return { ...transaction, signatures: mockSignatures.filter((entry) => entry.transactionId === where.id) };
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const transaction = mockTransactions.get(where.id);
+        if (!transaction || transaction.psbt !== where.psbt || transaction.updatedAt !== where.updatedAt) {
+          return { count: 0 };
+        }
+        mockTransactions.set(where.id, { ...transaction, ...data, updatedAt: new Date() });
+        return { count: 1 };
+      }),
+    },
+    multiSigSignature: {
+      create: jest.fn(async ({ data }) => {
+        const wallet = mockWallets.get(mockTransactions.get(data.transactionId).walletId);
+        const signer = wallet.signers.find((entry) => entry.id === data.signerId);
+        const signature = { id: `sig-${mockSignatures.length + 1}`, ...data, signer, signedAt: new Date() };
+        mockSignatures.push(signature);
+        return signature;
+      }),
+      createMany: jest.fn(async ({ data, skipDuplicates }) => {
+        let count = 0;
+        for (const row of data) {
+          if (mockSignatures.some((entry) => entry.transactionId === row.transactionId && entry.signerId === row.signerId)) {
+            if (skipDuplicates) continue;
+            throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+          }
+          await client.multiSigSignature.create({ data: row });
+          count += 1;
+        }
+        return { count };
+      }),
+      count: jest.fn(async ({ where }) => mockSignatures.filter(
+        (entry) => entry.transactionId === where.transactionId
+      ).length),
+    },
+  };
+  client.$transaction = jest.fn(async (callback) => callback(client));
+  return { __esModule: true, default: client };
+});
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/ethereumService.js', () => ({
+  __esModule: true,
+  default: {
+    getBalance: jest.fn(async (address, network) => ({
+      success: true,
+      address,
+      network,
+      balance: { wei: '1500000000000000000', eth: '1.5' },
+    })),
+  },
+}));
+
+jest.mock('../src/services/bitcoinService.js', () => ({
+  __esModule: true,
+  default: {
+    getBalance: jest.fn(async (address, network) => ({
+      success: true,
+      address,
+      network,
+      balance: { satoshis: 25000, btc: '0.00025000' },
+    })),
+    getFeeEstimate: jest.fn(async () => ({ success: true, feesPerByte: { high: 20, medium: 10, low: 5 } })),
+    getUTXOs: jest.fn(async () => ({ success: true, utxos: [] })),
+    getRawTransaction: jest.fn(),
+    sendTransaction: jest.fn(async () => ({ success: true, txHash: 'broadcast-hash' })),
+  },
+}));
+
+import { ethers } from 'ethers';
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import prisma from '../src/lib/prisma.js';
+import ethereumService from '../src/services/ethereumService.js';
+import bitcoinService from '../src/services/bitcoinService.js';
+import {
+  buildMultiSigConfig,
+  buildMultiSigPsbtForUser,
+  createMultiSigWallet,
+  deleteMultiSigWalletForUser,
+  executeMultiSigTransactionForUser,
+  exportMultiSigPsbtForUser,
+  getMultiSigWalletBalanceForUser,
+  getMultiSigWalletForUser,
+  importMultiSigPsbt,
+  listMultiSigTransactionsForUser,
+  listMultiSigWalletsForUser,
+  proposeMultiSigTransactionForUser,
+  rejectMultiSigTransactionForUser,
+  signMultiSigTransaction,
+} from '../src/services/multiSigWalletService.js';
+
+const PUBLIC_KEYS = [
+  '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798',
+  '02c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5',
+  '02f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9',
+];
+
+// Private keys 1, 2 and 3 — the public keys above are their generator multiples.
+const PRIVATE_KEYS = [1, 2, 3].map((value) => Buffer.from(value.toString(16).padStart(64, '0'), 'hex'));
+
+const OWNERS = [
+  '0x1111111111111111111111111111111111111111',
+  '0x2222222222222222222222222222222222222222',
+  '0x3333333333333333333333333333333333333333',
+];
+
+function psbtSigner(privateKey) {
+  return {
+    publicKey: Buffer.from(ecc.pointFromScalar(privateKey)),
+    sign: (hash) => Buffer.from(ecc.sign(hash, privateKey)),
+  };
+}
+
+function seedTransaction(overrides = {}) {
+  const transaction = {
+    id: overrides.id || 'mstx-1',
+    walletId: overrides.walletId,
+    toAddress: '0x4444444444444444444444444444444444444444',
+    amount: '0.1',
+    tokenSymbol: 'ETH',
+    status: 'PENDING',
+    requiredSignatures: 2,
+    currentSignatures: 0,
+    txHash: null,
+    createdAt: new Date('2026-01-02T00:00:00Z'),
+    ...overrides,
+  };
+  mockTransactions.set(transaction.id, transaction);
+  return transaction;
+}
+
+describe('multiSigWalletService', () => {
+  beforeEach(() => {
+    mockWallets.clear();
+    mockTransactions.clear();
+    mockSignatures.length = 0;
+  });
+
+  it('builds a P2WSH config with ordered public-key signers', () => {
+    const config = buildMultiSigConfig({
+      network: 'bitcoin',
+      type: 'p2wsh',
+      requiredSignatures: 2,
+      publicKeys: PUBLIC_KEYS,
+      signerLabels: ['Alice'],
+    });
+
+    expect(config.network).toBe('BITCOIN');
+    expect(config.type).toBe('P2WSH');
+    expect(config.address).toMatch(/^bc1q/);
+    expect(config.witnessScript).toMatch(/^52/);
+    expect(config.configuration.bitcoinNetwork).toBe('mainnet');
+    expect(config.signers).toHaveLength(3);
+    expect(config.signers[0]).toEqual({ position: 0, label: 'Alice', address: null, publicKey: PUBLIC_KEYS[0] });
+    expect(config.signers[1].label).toBeNull();
+  });
+
+  it('rejects unsupported networks and invalid thresholds', () => {
+    expect(() => buildMultiSigConfig({ network: 'solana', requiredSignatures: 1 })).toThrow('Unsupported multisig network');
+    expect(() => buildMultiSigConfig({ network: 'ethereum', requiredSignatures: 0, owners: OWNERS })).toThrow(
+      'requiredSignatures must be a positive integer'
+    );
+  });
+
+  it('creates and lists a Gnosis Safe wallet with owner signers', async () => {
+    const wallet = await createMultiSigWallet('user-1', {
+      name: ' Treasury ',
+      network: 'sepolia',
+      requiredSignatures: 2,
+      owners: OWNERS,
+    });
+
+    expect(wallet).toMatchObject({
+      name: 'Treasury',
+      network: 'sepolia',
+      type: 'gnosis-safe',
+      requiredSignatures: 2,
+      totalSigners: 3,
+    });
+    expect(wallet.signers.map((signer) => signer.address)).toEqual(OWNERS);
+
+    const wallets = await listMultiSigWalletsForUser('user-1');
+    expect(wallets).toHaveLength(1);
+    expect(await listMultiSigWalletsForUser('user-2')).toEqual([]);
+  });
+
+  it('wraps multisig construction failures as 400 errors', async () => {
+    await expect(createMultiSigWallet('user-1', {
+      name: 'Bad',
+      network: 'ethereum',
+      requiredSignatures: 2,
+      owners: ['0x1111111111111111111111111111111111111111', 'not-an-address'],
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('hides wallets from other users and after deletion', async () => {
+    const wallet = await createMultiSigWallet('user-1', {
+      name: 'Vault',
+      network: 'bitcoin',
+      requiredSignatures: 2,
+      publicKeys: PUBLIC_KEYS,
+    });
+
+    await expect(getMultiSigWalletForUser('user-2', wallet.id)).rejects.toMatchObject({ statusCode: 404 });
+
+    await deleteMultiSigWalletForUser('user-1', wallet.id);
+    await expect(getMultiSigWalletForUser('user-1', wallet.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('reads balances from the matching chain service', async () => {
+    const btcWallet = await createMultiSigWallet('user-1', {
+      name: 'Cold',
+      network: 'bitcoin-testnet',
+      type: 'p2sh',
+      requiredSignatures: 2,
+      publicKeys: PUBLIC_KEYS,
+    });
+    const ethWallet = await createMultiSigWallet('user-1', {
+      name: 'Hot',
+      network: 'ethereum',
+      requiredSignatures: 2,
+      owners: OWNERS,
+    });
+
+    await expect(getMultiSigWalletBalanceForUser('user-1', btcWallet.id)).resolves.toEqual({
+      balance: '0.00025000',
+      symbol: 'BTC',
+      network: 'bitcoin-testnet',
+    });
+    expect(bitcoinService.getBalance).toHaveBeenCalledWith(btcWallet.address, 'testnet');
+
+    await expect(getMultiSigWalletBalanceForUser('user-1', ethWallet.id, 'sepolia')).resolves.toEqual({
+      balance: '1.5',
+      symbol: 'ETH',
+      network: 'sepolia',
+    });
+    expect(ethereumService.getBalance).toHaveBeenCalledWith(ethWallet.address, 'sepolia');
+  });
+
+  it('only executes transactions that reached their signature threshold', async () => {
+    const wallet = await createMultiSigWallet('user-1', {
+      name: 'Ops',
+      network: 'ethereum',
+      requiredSignatures: 2,
+      owners: OWNERS,
+    });
+    seedTransaction({ id: 'mstx-pending', walletId: wallet.id, currentSignatures: 1 });
+    seedTransaction({ id: 'mstx-ready', walletId: wallet.id, status: 'READY', currentSignatures: 2 });
+
+    const transactions = await listMultiSigTransactionsForUser('user-1', wallet.id);
+    expect(transactions.map((transaction) => transaction.status)).toEqual(['pending', 'ready']);
+
+    await expect(executeMultiSigTransactionForUser('user-1', 'mstx-pending')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Transaction needs 2 signatures, has 1',
+    });
+
+    const executed = await executeMultiSigTransactionForUser('user-1', 'mstx-ready', { txHash: '0xabc' });
+    expect(executed).toMatchObject({ status: 'executed', txHash: '0xabc' });
+
+    await expect(executeMultiSigTransactionForUser('user-1', 'mstx-ready')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(executeMultiSigTransactionForUser('user-2', 'mstx-ready')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('collects owner signatures until a proposal is ready', async () => {
+    const signers = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    const wallet = await createMultiSigWallet('user-1', {
+      name: 'Payroll',
+      network: 'ethereum',
+      requiredSignatures: 2,
+      owners: signers.map((signer) => signer.address),
+    });
+
+    await expect(proposeMultiSigTransactionForUser('user-2', wallet.id, {
+      toAddress: OWNERS[0],
+      amount: '1',
+    })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(proposeMultiSigTransactionForUser('user-1', wallet.id, {
+      toAddress: OWNERS[0],
+      amount: '-1',
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    const firstSignature = async (hash) => signers[0].signMessage(ethers.getBytes(hash));
+    const proposal = await proposeMultiSigTransactionForUser('user-1', wallet.id, {
+      toAddress: OWNERS[0].toLowerCase(),
+      amount: '0.25',
+    });
+    expect(proposal).toMatchObject({ status: 'pending', tokenSymbol: 'ETH', toAddress: OWNERS[0] });
+    expect(proposal.proposalHash).toMatch(/^0x[0-9a-f]{64}$/);
+
+    const signed = await signMultiSigTransaction('user-2', proposal.id, {
+      signature: await firstSignature(proposal.proposalHash),
+    });
+    expect(signed).toMatchObject({ status: 'pending', currentSignatures: 1 });
+
+    await expect(signMultiSigTransaction('user-1', proposal.id, {
+      signature: await firstSignature(proposal.proposalHash),
+    })).rejects.toMatchObject({ statusCode: 409 });
+
+    const outsider = ethers.Wallet.createRandom();
+    await expect(signMultiSigTransaction('user-1', proposal.id, {
+      signature: await outsider.signMessage(ethers.getBytes(proposal.proposalHash)),
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    const ready = await signMultiSigTransaction('user-1', proposal.id, {
+      signature: await signers[2].signMessage(ethers.getBytes(proposal.proposalHash)),
+    });
+    expect(ready).toMatchObject({ status: 'ready', currentSignatures: 2 });
+    expect(ready.signatures.map((entry) => entry.signerId)).toEqual(['signer-1', 'signer-3']);
+
+    const executed = await executeMultiSigTransactionForUser('user-1', proposal.id, { txHash: '0xdef' });
+    expect(executed.status).toBe('executed');
+  });
+
+  it('verifies Bitcoin cosigner signatures against the signer public keys', async () => {
+    const wallet = await createMultiSigWallet('user-1', {
+      name: 'Cold',
+      network: 'bitcoin-testnet',
+      requiredSignatures: 2,
+      publicKeys: PUBLIC_KEYS,
+    });
+
+    await expect(proposeMultiSigTransactionForUser('user-1', wallet.id, {
+      toAddress: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+      amount: '0.001',
+    })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid Bitcoin recipient address' });
+
+    const proposal = await proposeMultiSigTransactionForUser('user-1', wallet.id, {
+      toAddress: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx',
+      amount: '0.001',
+    });
+    expect(proposal.tokenSymbol).toBe('BTC');
+
+    const digest = Buffer.from(proposal.proposalHash.slice(2), 'hex');
+    const signature = Buffer.from(ecc.sign(digest, PRIVATE_KEYS[1])).toString('hex');
+    const signed = await signMultiSigTransaction('user-1', proposal.id, { signature });
+    expect(signed.signatures[0].signerPublicKey).toBe(PUBLIC_KEYS[1]);
+    // Approvals over the proposal hash cannot spend, so they do not count toward the threshold
+    expect(signed).toMatchObject({ status: 'pending', currentSignatures: 0 });
+  });
+
+  it('only executes Bitcoin transactions by broadcasting their signed PSBT', async () => {
+    const wallet = await createMultiSigWallet('user-1', {
+      name: 'Cold',
+      network: 'bitcoin-testnet',
+      requiredSignatures: 2,
+      publicKeys: PUBLIC_KEYS,
+    });
+    seedTransaction({ id: 'mstx-btc', walletId: wallet.id, tokenSymbol: 'BTC', status: 'READY', currentSignatures: 2 });
+
+    await expect(executeMultiSigTransactionForUser('user-1', 'mstx-btc', { txHash: 'ab'.repeat(32) })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Build and sign a PSBT before executing a Bitcoin transaction',
+    });
+    expect(mockTransactions.get('mstx-btc').status).toBe('READY');
+  });
+
+  it('lets the owner reject a pending proposal', async () => {
+    const wallet = await createMultiSigWallet('user-1', {
+      name: 'Ops',
+      network: 'sepolia',
+      requiredSignatures: 2,
+      owners: OWNERS,
+    });
+    const proposal = await proposeMultiSigTransactionForUser('user-1', wallet.id, {
+      toAddress: OWNERS[1],
+      amount: '1',
+      data: '0x',
+    });
+
+    await expect(rejectMultiSigTransactionForUser('user-2', proposal.id)).rejects.toMatchObject({ statusCode: 404 });
+    const rejected = await rejectMultiSigTransactionForUser('user-1', proposal.id);
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.rejectedAt).toBeInstanceOf(Date);
+
+    await expect(signMultiSigTransaction('user-1', proposal.id, { signature: '0x00' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Transaction is already rejected',
+    });
+  });
+
+  it('builds, combines and broadcasts a P2WSH PSBT', async () => {
+    const wallet = await createMultiSigWallet('user-1', {
+      name: 'Cold',
+      network: 'bitcoin-testnet',
+      type: 'p2wsh',
+      requiredSignatures: 2,
+      publicKeys: PUBLIC_KEYS,
+    });
+    bitcoinService.getUTXOs.mockResolvedValueOnce({
+      success: true,
+      utxos: [
+        { txHash: 'aa'.repeat(32), outputIndex: 0, value: 30000 },
+        { txHash: 'bb'.repeat(32), outputIndex: 1, value: 200000 },
+      ],
+    });
+
+    const proposal = await proposeMultiSigTransactionForUser('user-1', wallet.id, {
+      toAddress: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx',
+      amount: '0.001',
+    });
+    await expect(exportMultiSigPsbtForUser('user-1', proposal.id)).rejects.toMatchObject({ statusCode: 404 });
+
+    const built = await buildMultiSigPsbtForUser('user-1', proposal.id, { feeRate: 2 });
+    const unsigned = bitcoin.Psbt.fromBase64(built.psbt, { network: bitcoin.networks.testnet });
+    expect(unsigned.inputCount).toBe(1);
+    expect(unsigned.txOutputs[0].value).toBe(100000);
+    expect(unsigned.txOutputs[1].address).toBe(wallet.address);
+    expect(Number(built.fee)).toBeGreaterThan(0);
+
+    await expect(buildMultiSigPsbtForUser('user-1', proposal.id)).rejects.toMatchObject({ statusCode: 409 });
+
+    const first = bitcoin.Psbt.fromBase64(built.psbt).signAllInputs(psbtSigner(PRIVATE_KEYS[0]));
+    const afterFirst = await importMultiSigPsbt('user-2', proposal.id, { psbt: first.toBase64() });
+    expect(afterFirst).toMatchObject({ status: 'pending', currentSignatures: 1 });
+
+    await expect(executeMultiSigTransactionForUser('user-1', proposal.id)).rejects.toMatchObject({ statusCode: 400 });
+
+    const exported = await exportMultiSigPsbtForUser('user-1', proposal.id);
+    expect(exported.signedBy).toEqual([PUBLIC_KEYS[0]]);
+
+    const second = bitcoin.Psbt.fromBase64(exported.psbt).signAllInputs(psbtSigner(PRIVATE_KEYS[2]));
+    const ready = await importMultiSigPsbt('user-3', proposal.id, { psbt: second.toHex() });
+    expect(ready).toMatchObject({ status: 'ready', currentSignatures: 2 });
+
+    const executed = await executeMultiSigTransactionForUser('user-1', proposal.id);
+    expect(executed).toMatchObject({ status: 'executed', txHash: 'broadcast-hash' });
+    const [broadcastHex, broadcastNetwork] = bitcoinService.sendTransaction.mock.calls[0];
+    expect(broadcastNetwork).toBe('testnet');
+    expect(bitcoin.Transaction.fromHex(broadcastHex).ins[0].witness).toHaveLength(4);
+  });
+
+  it('rejects PSBTs for a different transaction or signed by outside keys', async () => {
+    const wallet = await createMultiSigWallet('user-1', {
+      name: 'Cold',
+      network: 'bitcoin-testnet',
+      type: 'p2wsh',
+      requiredSignatures: 2,
+      publicKeys: PUBLIC_KEYS,
+    });
+    bitcoinService.getUTXOs.mockResolvedValue({
+      success: true,
+      utxos: [{ txHash: 'cc'.repeat(32), outputIndex: 0, value: 500000 }],
+    });
+
+    const proposals = [];
+    for (const amount of ['0.001', '0.002']) {
+      const proposal = await proposeMultiSigTransactionForUser('user-1', wallet.id, {
+        toAddress: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx',
+        amount,
+      });
+      proposals.push(await buildMultiSigPsbtForUser('user-1', proposal.id));
+    }
+    bitcoinService.getUTXOs.mockReset();
+
+    const wrongTx = bitcoin.Psbt.fromBase64(proposals[1].psbt).signAllInputs(psbtSigner(PRIVATE_KEYS[0]));
+    await expect(importMultiSigPsbt('user-1', proposals[0].id, { psbt: wrongTx.toBase64() })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'PSBT does not match the transaction being signed',
+    });
+
+    const outsiderKey = Buffer.from('04'.padStart(64, '0'), 'hex');
+    const outsider = bitcoin.Psbt.fromBase64(proposals[0].psbt);
+    outsider.updateInput(0, {
+      partialSig: [{
+        pubkey: psbtSigner(outsiderKey).publicKey,
+        signature: bitcoin.script.signature.encode(Buffer.alloc(64, 1), bitcoin.Transaction.SIGHASH_ALL),
+      }],
+    });
+    await expect(importMultiSigPsbt('user-1', proposals[0].id, { psbt: outsider.toBase64() })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Input 0 is signed by a key outside the signer set',
+    });
+
+    await expect(importMultiSigPsbt('user-1', proposals[0].id, { psbt: 'not-a-psbt' })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  describe('concurrent PSBT imports', () => {
+    let proposal;
+
+    beforeEach(async () => {
+      const wallet = await createMultiSigWallet('user-1', {
+        name: 'Cold',
+        network: 'bitcoin-testnet',
+        type: 'p2wsh',
+        requiredSignatures: 2,
+        publicKeys: PUBLIC_KEYS,
+      });
+      bitcoinService.getUTXOs.mockResolvedValueOnce({
+        success: true,
+        utxos: [{ txHash: 'dd'.repeat(32), outputIndex: 0, value: 500000 }],
+      });
+      const proposed = await proposeMultiSigTransactionForUser('user-1', wallet.id, {
+        toAddress: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx',
+        amount: '0.001',
+      });
+      proposal = await buildMultiSigPsbtForUser('user-1', proposed.id, { feeRate: 2 });
+      prisma.multiSigTransaction.updateMany.mockClear();
+    });
+
+    const signed = (privateKey) => bitcoin.Psbt.fromBase64(proposal.psbt)
+      .signAllInputs(psbtSigner(privateKey))
+      .toBase64();
+
+    it('keeps both cosigners\' signatures when their imports race', async () => {
+      await Promise.all([
+        importMultiSigPsbt('user-2', proposal.id, { psbt: signed(PRIVATE_KEYS[0]) }),
+        importMultiSigPsbt('user-3', proposal.id, { psbt: signed(PRIVATE_KEYS[1]) }),
+      ]);
+
+      expect(prisma.multiSigTransaction.updateMany).toHaveBeenCalledTimes(3);
+      const exported = await exportMultiSigPsbtForUser('user-1', proposal.id);
+      expect(exported.signedBy.sort()).toEqual([PUBLIC_KEYS[0], PUBLIC_KEYS[1]].sort());
+      expect(mockTransactions.get(proposal.id)).toMatchObject({ status: 'READY', currentSignatures: 2 });
+      expect(mockSignatures.map((entry) => entry.signerId).sort()).toEqual(['signer-1', 'signer-2']);
+    });
+
+    it('records a re-imported signature once and gives up with 409 while the PSBT keeps changing', async () => {
+      await importMultiSigPsbt('user-2', proposal.id, { psbt: signed(PRIVATE_KEYS[0]) });
+      await importMultiSigPsbt('user-3', proposal.id, { psbt: signed(PRIVATE_KEYS[0]) });
+      expect(mockSignatures).toHaveLength(1);
+
+      prisma.multiSigTransaction.updateMany
+        .mockResolvedValueOnce({ count: 0 })
+        .mockResolvedValueOnce({ count: 0 })
+        .mockResolvedValueOnce({ count: 0 });
+      await expect(importMultiSigPsbt('user-3', proposal.id, { psbt: signed(PRIVATE_KEYS[1]) }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.multiSigTransaction.updateMany).toHaveBeenCalledTimes(5);
+      expect(mockSignatures).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+jest.mock('../src/lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    smartAccount: {
+      findUnique: jest.fn(),
+    },
+    sponsorshipPolicy: {
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+    },
+    sponsoredUserOperation: {
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../src/services/ethereumService.js', () => ({
+  __esModule: true,
+  default: {
+    getNetworkByChainId: jest.fn(() => 'sepolia'),
+    getProvider: jest.fn(() => ({})),
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import { ethers } from 'ethers';
+import prisma from '../src/lib/prisma.js';
+import paymasterService, { packPaymasterAndData } from '../src/services/paymasterService.js';
+
+const VAULT = '0x3333333333333333333333333333333333333333';
+const PAYMASTER = '0x5555555555555555555555555555555555555555';
+const SEPOLIA_USDC = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+
+const smartAccount = { id: 'sa-1', chainId: 11155111, vaultAddress: VAULT, wallet: { userId: 'user-1' } };
+
+function policy(overrides = {}) {
+  return {
+    id: 'global',
+    name: 'Global',
+    userId: null,
+    chainIds: [],
+    maxOperations: null,
+    maxCostWei: null,
+    maxTotalWei: null,
+    periodDays: null,
+    paymasterContext: null,
+    isActive: true,
+    ...overrides,
+  };
+}
+
+describe('paymasterService', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+    process.env.PAYMASTER_RPC_DEFAULT = 'https://paymaster.test';
+    prisma.sponsoredUserOperation.findMany.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('prefers the user policy and counts submitted ops and reservations against its quota', async () => {
+    prisma.sponsorshipPolicy.findMany.mockResolvedValue([
+      policy({ maxOperations: 100 }),
+      policy({ id: 'vip', userId: 'user-1', chainIds: [11155111], maxOperations: 3, maxTotalWei: '1000', periodDays: 30, paymasterContext: { sponsorshipPolicyId: 'sp_vip' } }),
+      policy({ id: 'polygon', userId: 'user-1', chainIds: [137] }),
+    ]);
+    prisma.sponsoredUserOperation.findMany
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([
+        { smartAccountId: 'sa-1', nonce: '5', maxCostWei: '400' },
+        { smartAccountId: 'sa-1', nonce: '7', maxCostWei: '300' },
+      ]);
+
+    const prepared = await paymasterService.prepare(smartAccount, { mode: 'sponsor' }, 7n);
+
+    const { where } = prisma.sponsoredUserOperation.findMany.mock.calls[1][0];
+    expect(where).toEqual({
+      userId: 'user-1',
+      policyId: 'vip',
+      createdAt: { gte: expect.any(Date) },
+      status: { in: ['RESERVED', 'SUBMITTED'] },
+    });
+    // The reservation at nonce 7 is the op being rebuilt, so only nonce 5 counts.
+    expect(prepared).toMatchObject({
+      success: true,
+      data: {
+        mode: 'sponsor',
+        context: { sponsorshipPolicyId: 'sp_vip' },
+        sponsorship: { eligible: true, policy: { id: 'vip' }, remaining: { operations: 2, wei: '600' } },
+      },
+    });
+
+    const { sponsorship } = prepared.data;
+    expect(paymasterService.checkSponsoredCost(sponsorship, 600n)).toBeNull();
+    expect(paymasterService.checkSponsoredCost(sponsorship, 601n)).toMatch(/only 0.0000000000000006 ETH of sponsored gas is left/);
+
+    prisma.sponsoredUserOperation.findMany.mockResolvedValueOnce([]).mockResolvedValueOnce([
+      { smartAccountId: 'sa-1', nonce: '4', maxCostWei: '1' },
+      { smartAccountId: 'sa-1', nonce: '5', maxCostWei: '1' },
+      { smartAccountId: 'sa-1', nonce: '6', maxCostWei: '1' },
+    ]);
+    await expect(paymasterService.prepare(smartAccount, { mode: 'sponsor' }, 7n)).resolves.toEqual({
+      success: false,
+      error: 'Gas sponsorship unavailable: Sponsored operation quota used up',
+    });
+  });
+
+  it('keeps reservations counted until the EntryPoint has used their nonce', async () => {
+    prisma.sponsorshipPolicy.findMany.mockResolvedValue([policy({ maxOperations: 2 })]);
+    const onChainNonce = jest.fn(async () => 6n);
+    jest.spyOn(ethers.Contract.prototype, 'getFunction').mockImplementation(() => onChainNonce);
+    prisma.sponsoredUserOperation.findMany.mockResolvedValueOnce([
+      { id: 'op-5', nonce: '5', smartAccount: { vaultAddress: VAULT, chainId: 11155111 } },
+      { id: 'op-6', nonce: '6', smartAccount: { vaultAddress: VAULT, chainId: 11155111 } },
+    ]).mockResolvedValueOnce([
+      { smartAccountId: 'sa-1', nonce: '5', maxCostWei: '1' },
+      { smartAccountId: 'sa-1', nonce: '6', maxCostWei: '1' },
+    ]);
+
+    // Built long ago and never sent through us, nonce 6 can still be submitted anywhere.
+    const sponsorship = await paymasterService.getSponsorship('user-1', 11155111);
+
+    expect(prisma.sponsoredUserOperation.findMany.mock.calls[0][0].where).toEqual({
+      userId: 'user-1', policyId: 'global', status: 'RESERVED',
+    });
+    expect(onChainNonce).toHaveBeenCalledTimes(1);
+    expect(onChainNonce).toHaveBeenCalledWith(VAULT, 0);
+    expect(prisma.sponsoredUserOperation.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['op-5'] }, status: 'RESERVED' },
+      data: { status: 'SUBMITTED' },
+    });
+    expect(sponsorship).toMatchObject({ eligible: false, reason: 'Sponsored operation quota used up' });
+    jest.restoreAllMocks();
+  });
+
+  it('creates the welcome policy for new users and resolves paymaster tokens', async () => {
+    prisma.sponsorshipPolicy.findMany.mockResolvedValue([policy({ chainIds: [1] })]);
+    prisma.sponsorshipPolicy.upsert.mockImplementation(async ({ create }) => policy(create));
+    prisma.smartAccount.findUnique.mockResolvedValue(smartAccount);
+
+    const options = await paymasterService.getPaymasterOptions('sa-1');
+
+    expect(prisma.sponsorshipPolicy.upsert).toHaveBeenCalledWith({
+      where: { id: 'welcome' },
+      create: { id: 'welcome', name: 'First vault operations', maxOperations: 1, maxCostWei: '5000000000000000', chainIds: [] },
+      update: {},
+    });
+    expect(options.data).toEqual({
+      chainId: 11155111,
+      available: true,
+      sponsorship: {
+        eligible: true,
+        reason: null,
+        policy: expect.objectContaining({ id: 'welcome', maxOperations: 1, maxCostWei: '5000000000000000' }),
+        remaining: { operations: 1, wei: null },
+      },
+      tokens: [{ symbol: 'USDC', address: SEPOLIA_USDC, decimals: 6 }],
+    });
+    expect(paymasterService.checkSponsoredCost(options.data.sponsorship, ethers.parseEther('0.006')))
+      .toBe('Gas sponsorship unavailable: operation may cost 0.006 ETH, over the 0.005 ETH limit');
+
+    await expect(paymasterService.prepare(smartAccount, { mode: 'erc20', token: 'usdc' }, 0n)).resolves.toEqual({
+      success: true,
+      data: { mode: 'erc20', token: { symbol: 'USDC', address: SEPOLIA_USDC, decimals: 6 }, context: { token: SEPOLIA_USDC } },
+    });
+    await expect(paymasterService.prepare(smartAccount, { mode: 'erc20', token: 'DAI' }, 0n)).resolves.toEqual({
+      success: false,
+      error: 'paymaster.token must be one of: USDC',
+    });
+    await expect(paymasterService.prepare(smartAccount, { mode: 'free' }, 0n)).resolves.toEqual({
+      success: false,
+      error: 'paymaster.mode must be one of: sponsor, erc20',
+    });
+  });
+
+  it('calls the ERC-7677 paymaster RPC and records submitted sponsored ops', async () => {
+    const stub = {
+      paymaster: PAYMASTER,
+      paymasterData: '0x1234',
+      paymasterVerificationGasLimit: '0x7530',
+      paymasterPostOpGasLimit: '0x0',
+    };
+    fetchMock.mockResolvedValueOnce({ json: async () => ({ result: stub }) });
+
+    const result = await paymasterService.getStubData({ sender: VAULT }, 11155111, { token: SEPOLIA_USDC });
+
+    expect(result).toEqual({ success: true, data: stub });
+    const [url, request] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://paymaster.test');
+    expect(JSON.parse(request.body)).toMatchObject({
+      method: 'pm_getPaymasterStubData',
+      params: [{ sender: VAULT }, '0x0000000071727De22E5E9d8BAf0edAc6f37da032', '0xaa36a7', { token: SEPOLIA_USDC }],
+    });
+    expect(packPaymasterAndData(stub)).toBe(ethers.concat([PAYMASTER, ethers.toBeHex(30000, 16), ethers.toBeHex(0, 16), '0x1234']));
+
+    fetchMock.mockResolvedValueOnce({ json: async () => ({ error: { message: 'policy rejected' } }) });
+    await expect(paymasterService.getPaymasterData({ sender: VAULT }, 11155111, {}))
+      .resolves.toEqual({ success: false, error: 'policy rejected' });
+
+    prisma.sponsoredUserOperation.updateMany.mockResolvedValue({ count: 1 });
+    await paymasterService.markSubmitted('sa-1', '0x7', '0xophash');
+    expect(prisma.sponsoredUserOperation.updateMany).toHaveBeenCalledWith({
+      where: { smartAccountId: 'sa-1', nonce: '7', status: 'RESERVED' },
+      data: { status: 'SUBMITTED', userOpHash: '0xophash' },
+    });
+  });
+});
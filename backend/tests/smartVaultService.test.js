@@ -0,0 +1,745 @@
+jest.mock('../src/lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    smartAccount: {
+      findUnique: jest.fn(),
+    },
+    vaultSessionKey: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+    },
+    guardian: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+    },
+    vaultRecovery: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../src/services/telegramExecutionService.js', () => ({
+  __esModule: true,
+  encryptPrivateKey: jest.fn((privateKey) => `enc:${privateKey}`),
+  decryptPrivateKey: jest.fn((encrypted) => encrypted.replace('enc:', '')),
+}));
+
+jest.mock('../src/services/bundlerService.js', () => ({
+  __esModule: true,
+  default: {
+    estimateGas: jest.fn(),
+    sendUserOp: jest.fn(),
+    getEntryPointAddress: jest.fn(() => '0x0000000071727De22E5E9d8BAf0edAc6f37da032'),
+  },
+}));
+
+jest.mock('../src/services/evmFeeService.js', () => ({
+  __esModule: true,
+  default: {
+    getFeeSuggestions: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/paymasterService.js', () => ({
+  __esModule: true,
+  packPaymasterAndData: jest.requireActual('../src/services/paymasterService.js').packPaymasterAndData,
+  default: {
+    prepare: jest.fn(),
+    getStubData: jest.fn(),
+    getPaymasterData: jest.fn(),
+    checkSponsoredCost: jest.fn(() => null),
+    reserveSponsorship: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import { ethers } from 'ethers';
+import prisma from '../src/lib/prisma.js';
+import bundlerService from '../src/services/bundlerService.js';
+import evmFeeService from '../src/services/evmFeeService.js';
+import paymasterService from '../src/services/paymasterService.js';
+import smartVaultService from '../src/services/smartVaultService.js';
+
+const VAULT = '0x3333333333333333333333333333333333333333';
+const OWNER = '0x1111111111111111111111111111111111111111';
+const FACTORY = '0x4444444444444444444444444444444444444444';
+const CALL_DATA = '0xb61d27f6' + '00'.repeat(96);
+const PAYMASTER = '0x5555555555555555555555555555555555555555';
+const USDC = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+
+describe('smartVaultService.buildUserOperation', () => {
+  let provider;
+  let getNonce;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.VAULT_FACTORY_ADDRESS = FACTORY;
+    provider = { getFeeData: jest.fn() };
+    jest.spyOn(smartVaultService, '_getProvider').mockReturnValue(provider);
+    getNonce = jest.fn().mockResolvedValue(7n);
+    jest.spyOn(ethers.Contract.prototype, 'getFunction').mockImplementation(() => getNonce);
+    prisma.smartAccount.findUnique.mockResolvedValue({
+      id: 'sa-1',
+      chainId: 11155111,
+      vaultAddress: VAULT,
+      factorySalt: '0',
+      isDeployed: true,
+      wallet: { address: OWNER, userId: 'user-1' },
+    });
+    evmFeeService.getFeeSuggestions.mockResolvedValue({
+      success: true,
+      tiers: {
+        slow: { maxFeePerGas: '12.0', maxPriorityFeePerGas: '1.0' },
+        normal: { maxFeePerGas: '15.0', maxPriorityFeePerGas: '1.5' },
+        fast: { maxFeePerGas: '20.0', maxPriorityFeePerGas: '3.0' },
+      },
+    });
+    bundlerService.estimateGas.mockResolvedValue({
+      success: true,
+      data: { callGasLimit: '0x186a0', verificationGasLimit: '0x11170', preVerificationGas: '0xb3b0' },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.VAULT_FACTORY_ADDRESS;
+  });
+
+  it('estimates gas through the bundler and packs limits and fees in the v0.7 format', async () => {
+    const result = await smartVaultService.buildUserOperation('sa-1', CALL_DATA, { feeTier: 'fast' });
+
+    expect(getNonce).toHaveBeenCalledWith(VAULT, 0);
+    expect(evmFeeService.getFeeSuggestions).toHaveBeenCalledWith('sepolia');
+    const [estimateOp, chainId] = bundlerService.estimateGas.mock.calls[0];
+    expect(chainId).toBe(11155111);
+    expect(estimateOp).toMatchObject({
+      sender: VAULT,
+      nonce: '0x7',
+      callData: CALL_DATA,
+      maxFeePerGas: ethers.toQuantity(ethers.parseUnits('20', 'gwei')),
+      maxPriorityFeePerGas: ethers.toQuantity(ethers.parseUnits('3', 'gwei')),
+    });
+    expect(estimateOp).not.toHaveProperty('factory');
+    expect(ethers.dataLength(estimateOp.signature)).toBe(65);
+
+    // 100000 call and 70000 verification gas from the bundler, plus 10%.
+    expect(result.data.accountGasLimits).toBe(ethers.concat([ethers.toBeHex(77000, 16), ethers.toBeHex(110000, 16)]));
+    expect(result.data.gasFees).toBe(ethers.concat([
+      ethers.toBeHex(ethers.parseUnits('3', 'gwei'), 16),
+      ethers.toBeHex(ethers.parseUnits('20', 'gwei'), 16),
+    ]));
+    expect(result.data).toMatchObject({ sender: VAULT, nonce: '7', initCode: '0x', signature: '0x' });
+    expect(result.gas).toMatchObject({ callGasLimit: '110000', verificationGasLimit: '77000', feeTier: 'fast' });
+    expect(result.gas.maxCost).toBe(ethers.formatEther(
+      (110000n + 77000n + BigInt(result.data.preVerificationGas)) * ethers.parseUnits('20', 'gwei')
+    ));
+  });
+
+  it('prices pre-verification gas from calldata size and adds the factory before deployment', async () => {
+    prisma.smartAccount.findUnique.mockResolvedValue({
+      id: 'sa-1',
+      chainId: 11155111,
+      vaultAddress: VAULT,
+      factorySalt: '0',
+      isDeployed: false,
+      wallet: { address: OWNER },
+    });
+    bundlerService.estimateGas.mockResolvedValue({
+      success: true,
+      data: { callGasLimit: '0x186a0', verificationGasLimit: '0x4c4b4', preVerificationGas: '0x1' },
+    });
+
+    const result = await smartVaultService.buildUserOperation('sa-1', CALL_DATA);
+
+    const [estimateOp] = bundlerService.estimateGas.mock.calls[0];
+    expect(estimateOp.factory).toBe(FACTORY);
+    expect(ethers.dataSlice(estimateOp.factoryData, 0, 4)).toBe(ethers.id('createAccount(address,uint256)').slice(0, 10));
+    expect(result.data.initCode).toBe(ethers.concat([estimateOp.factory, estimateOp.factoryData]));
+
+    // The bundler's figure is too low, so the calldata-based cost is used: overheads plus 4/16 gas per byte.
+    const pvg = BigInt(result.data.preVerificationGas);
+    expect(pvg).toBeGreaterThan(21000n + 18300n);
+    expect(result.gas.preVerificationGas).toBe(result.data.preVerificationGas);
+    expect(result.gas.maxCost).toBe(ethers.formatEther(
+      (110000n + 343750n + pvg) * ethers.parseUnits('15', 'gwei')
+    ));
+  });
+
+  it('falls back to provider fee data and surfaces bundler estimation errors', async () => {
+    evmFeeService.getFeeSuggestions.mockResolvedValue({ success: false, error: 'Network did not return EIP-1559 fee history' });
+    provider.getFeeData.mockResolvedValue({ maxFeePerGas: 5n, maxPriorityFeePerGas: 1n });
+    bundlerService.estimateGas.mockResolvedValue({ success: false, error: 'AA23 reverted' });
+
+    const result = await smartVaultService.buildUserOperation('sa-1', CALL_DATA);
+
+    expect(bundlerService.estimateGas.mock.calls[0][0]).toMatchObject({ maxFeePerGas: '0x5', maxPriorityFeePerGas: '0x1' });
+    expect(result).toEqual({ success: false, error: 'UserOperation gas estimation failed: AA23 reverted' });
+
+    await expect(smartVaultService.buildUserOperation('sa-1', CALL_DATA, { feeTier: 'instant' }))
+      .resolves.toEqual({ success: false, error: 'feeTier must be one of: slow, normal, fast' });
+  });
+
+  it('sponsors gas with paymaster data signed over the final limits and reserves quota', async () => {
+    const sponsorship = { eligible: true, policy: { id: 'welcome' }, remaining: { operations: 1, wei: null } };
+    paymasterService.prepare.mockResolvedValue({
+      success: true,
+      data: { mode: 'sponsor', sponsorship, context: { sponsorshipPolicyId: 'sp_1' } },
+    });
+    paymasterService.getStubData.mockResolvedValue({
+      success: true,
+      data: {
+        paymaster: PAYMASTER,
+        paymasterData: '0x' + '00'.repeat(8),
+        paymasterVerificationGasLimit: '0x7530',
+        paymasterPostOpGasLimit: '0x1',
+      },
+    });
+    paymasterService.getPaymasterData.mockResolvedValue({
+      success: true,
+      data: { paymaster: PAYMASTER, paymasterData: '0x' + 'ab'.repeat(8) },
+    });
+    bundlerService.estimateGas.mockResolvedValue({
+      success: true,
+      data: {
+        callGasLimit: '0x186a0',
+        verificationGasLimit: '0x11170',
+        preVerificationGas: '0xb3b0',
+        paymasterVerificationGasLimit: '0x88b8',
+      },
+    });
+
+    const result = await smartVaultService.buildUserOperation('sa-1', CALL_DATA, { paymaster: { mode: 'sponsor' } });
+
+    expect(paymasterService.prepare).toHaveBeenCalledWith(expect.objectContaining({ id: 'sa-1' }), { mode: 'sponsor' }, 7n);
+    expect(bundlerService.estimateGas.mock.calls[0][0]).toMatchObject({ paymaster: PAYMASTER, paymasterVerificationGasLimit: '0x7530' });
+
+    // 35000 paymaster verification gas from the bundler, plus 10%.
+    const [finalOp, , context] = paymasterService.getPaymasterData.mock.calls[0];
+    expect(context).toEqual({ sponsorshipPolicyId: 'sp_1' });
+    expect(finalOp).toMatchObject({
+      callGasLimit: '0x1adb0',
+      verificationGasLimit: '0x12cc8',
+      paymasterVerificationGasLimit: ethers.toQuantity(38500),
+      paymasterPostOpGasLimit: '0x1',
+    });
+    expect(result.data.paymasterAndData).toBe(ethers.concat([
+      PAYMASTER, ethers.toBeHex(38500, 16), ethers.toBeHex(1, 16), '0x' + 'ab'.repeat(8),
+    ]));
+
+    const maxCost = (110000n + 77000n + BigInt(result.data.preVerificationGas) + 38500n + 1n) * ethers.parseUnits('15', 'gwei');
+    expect(result.gas.maxCost).toBe(ethers.formatEther(maxCost));
+    expect(paymasterService.checkSponsoredCost).toHaveBeenCalledWith(sponsorship, maxCost);
+    expect(paymasterService.reserveSponsorship).toHaveBeenCalledWith({
+      policyId: 'welcome',
+      userId: 'user-1',
+      smartAccountId: 'sa-1',
+      chainId: 11155111,
+      nonce: '7',
+      maxCostWei: maxCost.toString(),
+    });
+    expect(result.paymaster).toEqual({ mode: 'sponsor', address: PAYMASTER, token: null, remaining: { operations: 1, wei: null } });
+  });
+
+  it('batches a capped token approval for the ERC-20 paymaster when the allowance is too low', async () => {
+    const vault = new ethers.Interface(['function execute(address target, uint256 value, bytes data)', 'function executeBatch((address target, uint256 value, bytes data)[] calls)']);
+    const erc20 = new ethers.Interface(['function approve(address spender, uint256 amount) returns (bool)']);
+    const callData = vault.encodeFunctionData('execute', [RECIPIENT, ethers.parseEther('0.1'), '0x']);
+    const allowance = jest.fn().mockResolvedValue(1_000_000n);
+    ethers.Contract.prototype.getFunction.mockImplementation((name) => (name === 'allowance' ? allowance : getNonce));
+    paymasterService.prepare.mockResolvedValue({
+      success: true,
+      data: { mode: 'erc20', token: { symbol: 'USDC', address: USDC, decimals: 6 }, context: { token: USDC } },
+    });
+    paymasterService.getStubData.mockResolvedValue({
+      success: true,
+      data: {
+        paymaster: PAYMASTER,
+        paymasterData: '0x',
+        paymasterVerificationGasLimit: '0xc350',
+        paymasterPostOpGasLimit: '0xc350',
+        isFinal: true,
+      },
+    });
+
+    const result = await smartVaultService.buildUserOperation('sa-1', callData, {
+      paymaster: { mode: 'erc20', token: 'USDC', maxTokenAmount: '2.5' },
+    });
+
+    expect(allowance).toHaveBeenCalledWith(VAULT, PAYMASTER);
+    const batch = vault.decodeFunctionData('executeBatch', result.data.callData).calls;
+    expect(batch.map(call => [call.target, call.value, call.data])).toEqual([
+      [USDC, 0n, erc20.encodeFunctionData('approve', [PAYMASTER, 2_500_000n])],
+      [RECIPIENT, ethers.parseEther('0.1'), '0x'],
+    ]);
+    expect(bundlerService.estimateGas.mock.calls[0][0].callData).toBe(result.data.callData);
+    expect(paymasterService.getPaymasterData).not.toHaveBeenCalled();
+    expect(paymasterService.reserveSponsorship).not.toHaveBeenCalled();
+    expect(result.paymaster).toMatchObject({ mode: 'erc20', token: 'USDC' });
+
+    allowance.mockResolvedValue(0n);
+    await expect(smartVaultService.buildUserOperation('sa-1', callData, { paymaster: { mode: 'erc20', token: 'USDC' } }))
+      .resolves.toEqual({ success: false, error: 'maxTokenAmount is required to approve the paymaster to spend USDC' });
+  });
+});
+
+describe('smartVaultService session keys', () => {
+  const TOKEN = '0x6666666666666666666666666666666666666666';
+  const vault = new ethers.Interface([
+    'function execute(address target, uint256 value, bytes data)',
+    'function grantSessionKey(address key, uint48 validAfter, uint48 validUntil, uint96 valueLimit, (address target, bytes4 selector)[] permissions)',
+  ]);
+  const erc20 = new ethers.Interface([
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+  ]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.smartAccount.findUnique.mockResolvedValue({
+      id: 'sa-1',
+      chainId: 11155111,
+      vaultAddress: VAULT,
+      factorySalt: '0',
+      isDeployed: true,
+      wallet: { address: OWNER, userId: 'user-1' },
+    });
+    prisma.vaultSessionKey.create.mockImplementation(async ({ data }) => ({
+      id: 'sk-1', status: 'PENDING', lastUsedAt: null, ...data,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues a scoped key and returns the grant transaction for the owner', async () => {
+    const result = await smartVaultService.issueSessionKey('sa-1', {
+      permissions: [{ target: TOKEN, function: 'transfer(address,uint256)' }, { target: RECIPIENT }],
+      valueLimit: '0.05',
+      validForSeconds: 3600,
+      label: 'Telegram bot',
+    });
+
+    const { data } = prisma.vaultSessionKey.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      smartAccountId: 'sa-1',
+      label: 'Telegram bot',
+      valueLimitWei: ethers.parseEther('0.05').toString(),
+      permissions: [
+        { target: TOKEN, selector: '0xa9059cbb' },
+        { target: RECIPIENT, selector: '0x00000000' },
+      ],
+    });
+    expect(data.encryptedPrivateKey).toMatch(/^enc:0x/);
+    expect(new ethers.Wallet(data.encryptedPrivateKey.slice(4)).address).toBe(data.keyAddress);
+    expect(result.data).not.toHaveProperty('encryptedPrivateKey');
+    expect(result.data).toMatchObject({ id: 'sk-1', keyAddress: data.keyAddress, valueLimit: '0.05', status: 'PENDING' });
+
+    expect(result.data.transaction.to).toBe(VAULT);
+    const [key, validAfter, validUntil, valueLimit, permissions] = vault.decodeFunctionData('grantSessionKey', result.data.transaction.data);
+    expect(key).toBe(data.keyAddress);
+    expect(validUntil - validAfter).toBe(3600n);
+    expect(valueLimit).toBe(ethers.parseEther('0.05'));
+    expect(permissions.map(([target, selector]) => [target, selector])).toEqual([
+      [TOKEN, '0xa9059cbb'],
+      [RECIPIENT, '0x00000000'],
+    ]);
+
+    await expect(smartVaultService.issueSessionKey('sa-1', { permissions: [{ target: VAULT }] }))
+      .resolves.toEqual({ success: false, error: 'Session keys cannot call the vault itself' });
+    await expect(smartVaultService.issueSessionKey('sa-1', { permissions: [{ target: TOKEN }], validForSeconds: 31 * 24 * 3600 }))
+      .resolves.toEqual({ success: false, error: 'validForSeconds must be between 1 and 2592000' });
+  });
+
+  it('signs permitted calls with the session key and refuses calls outside its grant', async () => {
+    const sessionWallet = ethers.Wallet.createRandom();
+    prisma.vaultSessionKey.findUnique.mockResolvedValue({
+      id: 'sk-1',
+      smartAccountId: 'sa-1',
+      keyAddress: sessionWallet.address,
+      encryptedPrivateKey: `enc:${sessionWallet.privateKey}`,
+      permissions: [{ target: TOKEN, selector: '0xa9059cbb' }],
+      valueLimitWei: ethers.parseEther('0.01').toString(),
+      validAfter: new Date(Date.now() - 60_000),
+      validUntil: new Date(Date.now() + 60_000),
+      status: 'ACTIVE',
+      smartAccount: { id: 'sa-1', chainId: 11155111, vaultAddress: VAULT },
+    });
+    const userOpHash = ethers.id('userop');
+    jest.spyOn(smartVaultService, '_getProvider').mockReturnValue({ getFeeData: jest.fn() });
+    jest.spyOn(ethers.Contract.prototype, 'getFunction').mockImplementation((name) => jest.fn(async () => (
+      name === 'getUserOpHash' ? userOpHash : 7n
+    )));
+    evmFeeService.getFeeSuggestions.mockResolvedValue({
+      success: true,
+      tiers: { normal: { maxFeePerGas: '15.0', maxPriorityFeePerGas: '1.5' } },
+    });
+    bundlerService.estimateGas.mockResolvedValue({
+      success: true,
+      data: { callGasLimit: '0x186a0', verificationGasLimit: '0x11170', preVerificationGas: '0xb3b0' },
+    });
+    bundlerService.sendUserOp.mockResolvedValue({ success: true, data: { userOpHash } });
+
+    const transfer = vault.encodeFunctionData('execute', [TOKEN, 0n, erc20.encodeFunctionData('transfer', [RECIPIENT, 5n])]);
+    const result = await smartVaultService.sendWithSessionKey('sk-1', transfer);
+
+    const [rpcOp, smartAccountId, chainId] = bundlerService.sendUserOp.mock.calls[0];
+    expect([smartAccountId, chainId]).toEqual(['sa-1', 11155111]);
+    // Verification gas is padded for the session key checks the dummy signature skips.
+    expect(rpcOp).toMatchObject({
+      sender: VAULT,
+      nonce: '0x7',
+      callData: transfer,
+      callGasLimit: ethers.toQuantity(110000),
+      verificationGasLimit: ethers.toQuantity(77000 + 50000),
+      maxFeePerGas: ethers.toQuantity(ethers.parseUnits('15', 'gwei')),
+    });
+    expect(rpcOp).not.toHaveProperty('paymaster');
+    expect(ethers.verifyMessage(ethers.getBytes(userOpHash), rpcOp.signature)).toBe(sessionWallet.address);
+    expect(result.data.userOpHash).toBe(userOpHash);
+    expect(prisma.vaultSessionKey.update).toHaveBeenCalledWith({ where: { id: 'sk-1' }, data: { lastUsedAt: expect.any(Date) } });
+
+    const approve = vault.encodeFunctionData('execute', [TOKEN, 0n, erc20.encodeFunctionData('approve', [RECIPIENT, 5n])]);
+    const withValue = vault.encodeFunctionData('execute', [TOKEN, ethers.parseEther('0.01') + 1n, erc20.encodeFunctionData('transfer', [RECIPIENT, 5n])]);
+    for (const callData of [approve, withValue]) {
+      await expect(smartVaultService.sendWithSessionKey('sk-1', callData))
+        .resolves.toEqual({ success: false, error: 'Call is outside the session key permissions' });
+    }
+    expect(bundlerService.sendUserOp).toHaveBeenCalledTimes(1);
+
+    // Paying gas in tokens batches a paymaster approval the key was never granted.
+    await expect(smartVaultService.sendWithSessionKey('sk-1', transfer, { paymaster: { mode: 'erc20', token: 'USDC' } }))
+      .resolves.toEqual({ success: false, error: 'Session key operations cannot pay gas in tokens' });
+    expect(paymasterService.prepare).not.toHaveBeenCalled();
+  });
+
+  it('refuses self-paid session key operations whose gas can cost more than the value limit', async () => {
+    const sessionWallet = ethers.Wallet.createRandom();
+    prisma.vaultSessionKey.findUnique.mockResolvedValue({
+      id: 'sk-1',
+      smartAccountId: 'sa-1',
+      keyAddress: sessionWallet.address,
+      encryptedPrivateKey: `enc:${sessionWallet.privateKey}`,
+      permissions: [{ target: TOKEN, selector: '0xa9059cbb' }],
+      valueLimitWei: ethers.parseEther('0.001').toString(),
+      validAfter: new Date(Date.now() - 60_000),
+      validUntil: new Date(Date.now() + 60_000),
+      status: 'ACTIVE',
+      smartAccount: { id: 'sa-1', chainId: 11155111, vaultAddress: VAULT },
+    });
+    jest.spyOn(smartVaultService, '_getProvider').mockReturnValue({ getFeeData: jest.fn() });
+    jest.spyOn(ethers.Contract.prototype, 'getFunction').mockImplementation(() => jest.fn(async () => 7n));
+    evmFeeService.getFeeSuggestions.mockResolvedValue({
+      success: true,
+      tiers: { normal: { maxFeePerGas: '15.0', maxPriorityFeePerGas: '1.5' } },
+    });
+    bundlerService.estimateGas.mockResolvedValue({
+      success: true,
+      data: { callGasLimit: '0x186a0', verificationGasLimit: '0x11170', preVerificationGas: '0xb3b0' },
+    });
+
+    // Over 280k gas at 15 gwei is more than the key's 0.001 ETH value limit.
+    const transfer = vault.encodeFunctionData('execute', [TOKEN, 0n, erc20.encodeFunctionData('transfer', [RECIPIENT, 5n])]);
+    const result = await smartVaultService.sendWithSessionKey('sk-1', transfer);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/over the session key's value limit/);
+    expect(bundlerService.sendUserOp).not.toHaveBeenCalled();
+  });
+
+  it('returns the on-chain revoke transaction whenever the vault holds a grant', async () => {
+    const keyAddress = ethers.Wallet.createRandom().address;
+    const granted = { [keyAddress]: 1_900_000_000n };
+    jest.spyOn(smartVaultService, '_getProvider').mockReturnValue({});
+    jest.spyOn(ethers.Contract.prototype, 'getFunction').mockImplementation(() => jest.fn(async (key) => ({
+      validAfter: 0n, validUntil: granted[key] ?? 0n, valueLimit: 0n, epoch: 0n, generation: 0n,
+    })));
+    prisma.vaultSessionKey.update.mockImplementation(async ({ data }) => ({
+      id: 'sk-1', keyAddress, permissions: [], valueLimitWei: '0', validAfter: new Date(), validUntil: new Date(), ...data,
+    }));
+    const sessionKey = (status, address = keyAddress) => ({
+      id: 'sk-1',
+      keyAddress: address,
+      status,
+      smartAccount: { id: 'sa-1', chainId: 11155111, vaultAddress: VAULT, isDeployed: true },
+    });
+
+    // The grant was mined but never confirmed here.
+    prisma.vaultSessionKey.findUnique.mockResolvedValueOnce(sessionKey('PENDING'));
+    const pending = await smartVaultService.revokeSessionKey('sk-1');
+    expect(pending.data.status).toBe('REVOKED');
+    expect(pending.data.transaction).toEqual({
+      to: VAULT,
+      value: '0',
+      data: new ethers.Interface(['function revokeSessionKey(address key)']).encodeFunctionData('revokeSessionKey', [keyAddress]),
+    });
+
+    prisma.vaultSessionKey.findUnique.mockResolvedValueOnce(sessionKey('ACTIVE', RECIPIENT));
+    const notGranted = await smartVaultService.revokeSessionKey('sk-1');
+    expect(notGranted.data.transaction).toBeNull();
+  });
+});
+
+describe('smartVaultService spending limits', () => {
+  const NATIVE = ethers.ZeroAddress;
+  const vault = new ethers.Interface([
+    'function setSpendingLimit(address asset, uint256 limit)',
+    'function applySpendingLimit(address asset)',
+    'function cancelSpendingLimitChange(address asset)',
+  ]);
+  let onChain;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.smartAccount.findUnique.mockResolvedValue({
+      id: 'sa-1',
+      chainId: 11155111,
+      vaultAddress: VAULT,
+      isDeployed: true,
+    });
+    onChain = {
+      spendingLimits: { [NATIVE]: ethers.parseEther('1') },
+      pendingSpendingLimits: {},
+      spentInWindow: { [NATIVE]: ethers.parseEther('0.4') },
+    };
+    jest.spyOn(smartVaultService, '_getProvider').mockReturnValue({});
+    jest.spyOn(ethers.Contract.prototype, 'getFunction').mockImplementation((name) => jest.fn(async (asset) => {
+      const value = onChain[name][asset];
+      if (name === 'pendingSpendingLimits') return value || { limit: 0n, executeAfter: 0n };
+      return value || 0n;
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports limits with current-window usage and queued changes', async () => {
+    const executeAfter = Math.floor(Date.now() / 1000) + 3600;
+    onChain.pendingSpendingLimits[USDC] = { limit: 500_000000n, executeAfter: BigInt(executeAfter) };
+
+    const result = await smartVaultService.getSpendingLimits('sa-1');
+
+    expect(result).toEqual({
+      success: true,
+      data: {
+        smartAccountId: 'sa-1',
+        vaultAddress: VAULT,
+        windowSeconds: 86400,
+        timelockSeconds: 172800,
+        limits: [
+          { token: 'ETH', address: NATIVE, limit: '1.0', spent: '0.4', remaining: '0.6', pending: null },
+          {
+            token: 'USDC',
+            address: USDC,
+            limit: null,
+            spent: '0.0',
+            remaining: null,
+            pending: { limit: '500.0', executeAfter: new Date(executeAfter * 1000) },
+          },
+        ],
+      },
+    });
+
+    prisma.smartAccount.findUnique.mockResolvedValue({ id: 'sa-1', chainId: 11155111, vaultAddress: VAULT, isDeployed: false });
+    await expect(smartVaultService.getSpendingLimits('sa-1'))
+      .resolves.toEqual({ success: false, error: 'Vault is not deployed yet' });
+  });
+
+  it('builds limit transactions, flagging changes that wait out the timelock', async () => {
+    const raise = await smartVaultService.setSpendingLimit('sa-1', { limit: '2' });
+    expect(raise.data).toMatchObject({ token: 'ETH', limit: '2.0', current: '1.0', immediate: false });
+    expect(raise.data.effectiveAt.getTime()).toBeGreaterThan(Date.now() + 47 * 3600 * 1000);
+    expect(raise.data.transaction.to).toBe(VAULT);
+    expect(vault.decodeFunctionData('setSpendingLimit', raise.data.transaction.data))
+      .toEqual([NATIVE, ethers.parseEther('2')]);
+
+    const lower = await smartVaultService.setSpendingLimit('sa-1', { token: 'eth', limit: '0.5' });
+    expect(lower.data).toMatchObject({ limit: '0.5', immediate: true });
+
+    const added = await smartVaultService.setSpendingLimit('sa-1', { token: 'usdc', limit: '250' });
+    expect(added.data).toMatchObject({ token: 'USDC', address: USDC, limit: '250.0', current: null, immediate: true });
+    expect(vault.decodeFunctionData('setSpendingLimit', added.data.transaction.data)).toEqual([USDC, 250_000000n]);
+
+    await expect(smartVaultService.setSpendingLimit('sa-1', { limit: '-1' }))
+      .resolves.toEqual({ success: false, error: 'limit is out of range' });
+    await expect(smartVaultService.applySpendingLimit('sa-1', {}))
+      .resolves.toEqual({ success: false, error: 'No ETH spending limit change is pending' });
+
+    const executeAfter = Math.floor(Date.now() / 1000) + 3600;
+    onChain.pendingSpendingLimits[NATIVE] = { limit: 0n, executeAfter: BigInt(executeAfter) };
+    await expect(smartVaultService.applySpendingLimit('sa-1', {})).resolves.toEqual({
+      success: false,
+      error: `The ETH spending limit change can be applied after ${new Date(executeAfter * 1000).toISOString()}`,
+    });
+
+    const cancel = await smartVaultService.cancelSpendingLimitChange('sa-1', {});
+    expect(cancel.data).toMatchObject({ token: 'ETH', limit: null, executeAfter: new Date(executeAfter * 1000) });
+    expect(vault.decodeFunctionData('cancelSpendingLimitChange', cancel.data.transaction.data)).toEqual([NATIVE]);
+
+    onChain.pendingSpendingLimits[NATIVE].executeAfter = BigInt(executeAfter - 7200);
+    const apply = await smartVaultService.applySpendingLimit('sa-1', {});
+    expect(vault.decodeFunctionData('applySpendingLimit', apply.data.transaction.data)).toEqual([NATIVE]);
+  });
+});
+
+describe('smartVaultService social recovery', () => {
+  const GUARDIAN_1 = '0xA1A1A1A1a1A1A1A1A1a1a1A1A1a1a1a1A1A1A1a1';
+  const GUARDIAN_2 = '0xB2B2b2B2b2b2B2b2B2B2b2b2B2B2B2B2b2B2b2B2';
+  const NEW_OWNER = '0x7777777777777777777777777777777777777777';
+  const vault = new ethers.Interface([
+    'function initiateRecovery(address newOwner)',
+    'function approveRecovery()',
+  ]);
+  let onChain;
+  let guardianRows;
+  let recoveryRows;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.smartAccount.findUnique.mockResolvedValue({
+      id: 'sa-1',
+      chainId: 11155111,
+      vaultAddress: VAULT,
+      isDeployed: true,
+      wallet: { address: OWNER },
+    });
+    onChain = {
+      owner: OWNER,
+      guardians: [GUARDIAN_1, GUARDIAN_2],
+      threshold: 2n,
+      pending: { newOwner: ethers.ZeroAddress, executeAfter: 0n, approvalCount: 0n },
+      approved: {},
+    };
+    jest.spyOn(smartVaultService, '_getProvider').mockReturnValue({});
+    jest.spyOn(ethers.Contract.prototype, 'getFunction').mockImplementation((name) => jest.fn(async (arg) => ({
+      owner: onChain.owner,
+      getGuardians: onChain.guardians,
+      recoveryThreshold: onChain.threshold,
+      getPendingRecovery: onChain.pending,
+      hasApprovedRecovery: Boolean(onChain.approved[arg]),
+    })[name]));
+
+    // One guardian was added in the app but not yet on-chain, one only on-chain.
+    guardianRows = [
+      { id: 'g-1', smartAccountId: 'sa-1', guardianAddress: GUARDIAN_1.toLowerCase(), label: 'Alice', isActive: true, onChain: false },
+      { id: 'g-3', smartAccountId: 'sa-1', guardianAddress: RECIPIENT, label: 'Bob', isActive: true, onChain: false },
+    ];
+    prisma.guardian.findMany.mockImplementation(async ({ where }) => guardianRows.filter(row => !where.isActive || row.isActive));
+    prisma.guardian.create.mockImplementation(async ({ data }) => {
+      const row = { id: `g-${guardianRows.length + 1}`, label: null, isActive: true, ...data };
+      guardianRows.push(row);
+      return row;
+    });
+    prisma.guardian.update.mockImplementation(async ({ where, data }) => Object.assign(guardianRows.find(row => row.id === where.id), data));
+
+    recoveryRows = [];
+    prisma.vaultRecovery.findFirst.mockImplementation(async ({ where }) => recoveryRows
+      .filter(row => !where.status || row.status === where.status).at(-1) || null);
+    prisma.vaultRecovery.create.mockImplementation(async ({ data }) => {
+      const row = { id: `r-${recoveryRows.length + 1}`, status: 'PENDING', resolvedAt: null, createdAt: new Date(), ...data };
+      recoveryRows.push(row);
+      return row;
+    });
+    prisma.vaultRecovery.update.mockImplementation(async ({ where, data }) => Object.assign(recoveryRows.find(row => row.id === where.id), data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('syncs guardians and the pending recovery from the vault, then records its execution', async () => {
+    const executeAfter = Math.floor(Date.now() / 1000) + 3600;
+    onChain.pending = { newOwner: NEW_OWNER, executeAfter: BigInt(executeAfter), approvalCount: 1n };
+    onChain.approved = { [GUARDIAN_1]: true };
+
+    const status = await smartVaultService.getRecoveryStatus('sa-1');
+
+    expect(prisma.guardian.update).toHaveBeenCalledWith({ where: { id: 'g-1' }, data: { onChain: true, isActive: true } });
+    expect(prisma.guardian.create).toHaveBeenCalledWith({ data: { smartAccountId: 'sa-1', guardianAddress: GUARDIAN_2, onChain: true } });
+    expect(status.data).toMatchObject({
+      owner: OWNER,
+      ownerIsWallet: true,
+      threshold: 2,
+      timelockSeconds: 172800,
+      guardians: [
+        { id: 'g-1', label: 'Alice', onChain: true, approved: true },
+        { id: 'g-3', label: 'Bob', onChain: false, approved: false },
+        { guardianAddress: GUARDIAN_2, onChain: true, approved: false },
+      ],
+      recovery: {
+        status: 'PENDING',
+        previousOwner: OWNER,
+        newOwner: NEW_OWNER,
+        executeAfter: new Date(executeAfter * 1000),
+        approvals: [GUARDIAN_1],
+        approvalCount: 1,
+        threshold: 2,
+        canExecute: false,
+      },
+    });
+
+    // A second approval updates the same request
+    onChain.pending = { ...onChain.pending, approvalCount: 2n };
+    onChain.approved[GUARDIAN_2] = true;
+    await smartVaultService.getRecoveryStatus('sa-1');
+    expect(recoveryRows).toHaveLength(1);
+    expect(recoveryRows[0]).toMatchObject({ approvals: [GUARDIAN_1, GUARDIAN_2], approvalCount: 2 });
+
+    // Once executed, the request is gone on-chain and the vault has the new owner
+    onChain.owner = NEW_OWNER;
+    onChain.pending = { newOwner: ethers.ZeroAddress, executeAfter: 0n, approvalCount: 0n };
+    const after = await smartVaultService.getRecoveryStatus('sa-1');
+    expect(after.data).toMatchObject({
+      owner: NEW_OWNER,
+      ownerIsWallet: false,
+      recovery: { id: 'r-1', status: 'EXECUTED', resolvedAt: expect.any(Date), canExecute: false },
+    });
+  });
+
+  it('builds recovery transactions only when the vault state allows them', async () => {
+    await expect(smartVaultService.buildRecoveryTransaction('sa-1', 'approve'))
+      .resolves.toEqual({ success: false, error: 'No recovery is pending for this vault' });
+    await expect(smartVaultService.buildRecoveryTransaction('sa-1', 'initiate', { newOwner: 'nope' }))
+      .resolves.toEqual({ success: false, error: 'newOwner must be a valid address' });
+
+    const initiate = await smartVaultService.buildRecoveryTransaction('sa-1', 'initiate', { newOwner: NEW_OWNER });
+    expect(initiate.data).toMatchObject({ action: 'initiate', signer: 'guardian', transaction: { to: VAULT, value: '0' } });
+    expect(vault.decodeFunctionData('initiateRecovery', initiate.data.transaction.data)).toEqual([NEW_OWNER]);
+
+    const executeAfter = Math.floor(Date.now() / 1000) + 3600;
+    onChain.pending = { newOwner: NEW_OWNER, executeAfter: BigInt(executeAfter), approvalCount: 2n };
+    onChain.approved = { [GUARDIAN_1]: true, [GUARDIAN_2]: true };
+
+    await expect(smartVaultService.buildRecoveryTransaction('sa-1', 'initiate', { newOwner: NEW_OWNER }))
+      .resolves.toEqual({ success: false, error: 'A recovery is already pending for this vault' });
+    await expect(smartVaultService.buildRecoveryTransaction('sa-1', 'execute')).resolves.toEqual({
+      success: false,
+      error: `Recovery can be executed after ${new Date(executeAfter * 1000).toISOString()}`,
+    });
+
+    const approve = await smartVaultService.buildRecoveryTransaction('sa-1', 'approve');
+    expect(approve.data.transaction.data).toBe(vault.encodeFunctionData('approveRecovery'));
+
+    const cancel = await smartVaultService.buildRecoveryTransaction('sa-1', 'cancel');
+    expect(cancel.data).toMatchObject({ signer: 'owner', recovery: { status: 'PENDING', approvalCount: 2 } });
+
+    await expect(smartVaultService.buildRecoveryTransaction('sa-1', 'steal'))
+      .resolves.toEqual({ success: false, error: 'action must be one of: initiate, approve, execute, cancel' });
+  });
+});
@@ -0,0 +1,226 @@
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import solanaService from '../src/services/solanaService.js';
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const owner = Keypair.generate().publicKey;
+const memeMint = Keypair.generate().publicKey.toBase58();
+const token2022Mint = Keypair.generate().publicKey.toBase58();
+const usdcAta = getAssociatedTokenAddressSync(new PublicKey(USDC), owner, true, TOKEN_PROGRAM_ID);
+const strayUsdcAccount = Keypair.generate().publicKey;
+
+function tokenAccount(pubkey, mint, amount, decimals, state = 'initialized') {
+  return {
+    pubkey,
+    account: { data: { parsed: { info: { mint, state, tokenAmount: { amount, decimals } } } } },
+  };
+}
+
+function borshString(value, padTo) {
+  const bytes = Buffer.alloc(padTo);
+  bytes.write(value);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(padTo);
+  return Buffer.concat([length, bytes]);
+}
+
+const metaplexData = Buffer.concat([
+  Buffer.alloc(65, 4),
+  borshString('Bonk Dog', 32),
+  borshString('BDOG', 10),
+  borshString('https://example.com/bdog.json', 200),
+]);
+
+const connection = {
+  getParsedTokenAccountsByOwner: jest.fn(async (_owner, { programId }) => ({
+    value: programId.equals(TOKEN_PROGRAM_ID)
+      ? [
+        tokenAccount(strayUsdcAccount, USDC, '2500000', 6),
+        tokenAccount(usdcAta, USDC, '10000000', 6),
+        tokenAccount(Keypair.generate().publicKey, memeMint, '0', 5, 'frozen'),
+      ]
+      : [tokenAccount(Keypair.generate().publicKey, token2022Mint, '1500000000', 9)],
+  })),
+  getMultipleParsedAccounts: jest.fn(async () => ({
+    value: [{
+      data: {
+        parsed: {
+          info: {
+            extensions: [{ extension: 'tokenMetadata', state: { name: 'Pay Token', symbol: 'PAY', uri: 'ipfs://pay' } }],
+          },
+        },
+      },
+    }],
+  })),
+  getMultipleAccountsInfo: jest.fn(async () => [{ data: metaplexData }]),
+};
+
+describe('solanaService.getTokenBalances', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(solanaService, 'getConnection').mockReturnValue(connection);
+  });
+
+  it('aggregates token accounts per mint across both token programs with metadata', async () => {
+    const result = await solanaService.getTokenBalances(owner.toBase58(), 'mainnet');
+
+    expect(result.success).toBe(true);
+    expect(connection.getParsedTokenAccountsByOwner).toHaveBeenCalledWith(owner, { programId: TOKEN_2022_PROGRAM_ID });
+    expect(result.tokens.map((token) => token.symbol)).toEqual(['PAY', 'USDC', 'BDOG']);
+
+    const usdc = result.tokens.find((token) => token.mint === USDC);
+    expect(usdc).toMatchObject({
+      name: 'USD Coin',
+      verified: true,
+      decimals: 6,
+      balance: '12.5',
+      balanceRaw: '12500000',
+      tokenProgram: 'spl-token',
+      associatedAccount: usdcAta.toBase58(),
+      sourceAccount: usdcAta.toBase58(),
+    });
+    expect(usdc.accounts).toHaveLength(2);
+
+    expect(result.tokens[0]).toMatchObject({
+      mint: token2022Mint,
+      name: 'Pay Token',
+      verified: false,
+      balance: '1.5',
+      tokenProgram: 'token-2022',
+      programId: TOKEN_2022_PROGRAM_ID.toBase58(),
+    });
+    expect(result.tokens[2]).toMatchObject({
+      name: 'Bonk Dog',
+      uri: 'https://example.com/bdog.json',
+      balance: '0.0',
+      accounts: [expect.objectContaining({ frozen: true })],
+    });
+  });
+
+  it('keeps balances when metadata lookups fail', async () => {
+    connection.getMultipleParsedAccounts.mockRejectedValueOnce(new Error('429 Too Many Requests'));
+
+    const result = await solanaService.getTokenBalances(owner.toBase58(), 'mainnet-beta');
+
+    expect(result.success).toBe(true);
+    expect(result.tokens.find((token) => token.mint === token2022Mint)).toMatchObject({
+      name: 'Unknown Token',
+      symbol: `${token2022Mint.slice(0, 4)}…`,
+      balance: '1.5',
+    });
+  });
+
+  it('reports an invalid owner address', async () => {
+    await expect(solanaService.getTokenBalances('not-a-key')).resolves.toMatchObject({ success: false });
+  });
+});
+
+describe('solanaService.getTransactionHistory', () => {
+  const wallet = owner.toBase58();
+  const friend = Keypair.generate().publicKey.toBase58();
+  const friendUsdc = Keypair.generate().publicKey;
+
+  function signatureInfo(index) {
+    return { signature: `sig${index}`, slot: 1000 - index, blockTime: 1700000000 - index, confirmationStatus: 'finalized', err: null };
+  }
+
+  // Incoming USDC (plain `transfer`, mint resolved from token balances) with a memo.
+  const tokenReceive = {
+    transaction: {
+      message: {
+        accountKeys: [friend, friendUsdc.toBase58(), usdcAta.toBase58()].map(key => ({ pubkey: new PublicKey(key) })),
+        instructions: [
+          { program: 'spl-memo', parsed: 'invoice 42' },
+          { program: 'spl-token', parsed: { type: 'transfer', info: { source: friendUsdc.toBase58(), destination: usdcAta.toBase58(), authority: friend, amount: '2500000' } } },
+        ],
+      },
+    },
+    meta: {
+      fee: 5000,
+      err: null,
+      preTokenBalances: [
+        { accountIndex: 1, owner: friend, mint: USDC, uiTokenAmount: { decimals: 6 } },
+        { accountIndex: 2, owner: wallet, mint: USDC, uiTokenAmount: { decimals: 6 } },
+      ],
+      postTokenBalances: [],
+      innerInstructions: [],
+    },
+  };
+
+  // Outgoing SOL sent through an inner instruction.
+  const solSend = {
+    transaction: {
+      message: {
+        accountKeys: [wallet, friend].map(key => ({ pubkey: new PublicKey(key) })),
+        instructions: [{ program: 'compute-budget', programId: PublicKey.default, data: '' }],
+      },
+    },
+    meta: {
+      fee: 7000,
+      err: null,
+      innerInstructions: [{
+        index: 0,
+        instructions: [{ program: 'system', parsed: { type: 'transfer', info: { source: wallet, destination: friend, lamports: 1500000000 } } }],
+      }],
+    },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(solanaService, 'getConnection').mockReturnValue({
+      getSignaturesForAddress: jest.fn(async () => [signatureInfo(0), signatureInfo(1), signatureInfo(2)]),
+      getParsedTransactions: jest.fn(async () => [tokenReceive, solSend, null]),
+    });
+  });
+
+  it('decodes SOL and SPL transfers with direction, counterparty and memo', async () => {
+    const result = await solanaService.getTransactionHistory(wallet, 'mainnet', 3, 'sigPrev');
+    const connection = solanaService.getConnection.mock.results[0].value;
+
+    expect(connection.getSignaturesForAddress).toHaveBeenCalledWith(owner, { limit: 3, before: 'sigPrev' });
+    expect(connection.getParsedTransactions).toHaveBeenCalledTimes(1);
+    expect(result.nextCursor).toBe('sig2');
+
+    const [received, sent, missing] = result.transactions;
+    expect(received).toMatchObject({
+      signature: 'sig0',
+      fee: 5000,
+      memo: 'invoice 42',
+      direction: 'in',
+      feePaidByWallet: false,
+      transfers: [{
+        type: 'token',
+        direction: 'in',
+        counterparty: friend,
+        amount: '2.5',
+        mint: USDC,
+        symbol: 'USDC',
+        tokenProgram: 'spl-token',
+      }],
+    });
+    expect(sent).toMatchObject({
+      direction: 'out',
+      feePaidByWallet: true,
+      memo: null,
+      transfers: [{ type: 'sol', direction: 'out', counterparty: friend, amount: '1.5', amountRaw: '1500000000' }],
+    });
+    expect(missing).toMatchObject({ signature: 'sig2', decoded: false, transfers: [] });
+  });
+
+  it('stops paginating when a page comes back short', async () => {
+    const result = await solanaService.getTransactionHistory(wallet, 'mainnet-beta', 10);
+
+    expect(result.count).toBe(3);
+    expect(result.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import {
+  Keypair,
+  PublicKey,
+  StakeInstruction,
+  StakeProgram,
+  SystemInstruction,
+  Transaction,
+  VoteProgram,
+} from '@solana/web3.js';
+import solanaService from '../src/services/solanaService.js';
+import solanaStakingService from '../src/services/solanaStakingService.js';
+
+const NEVER = '18446744073709551615';
+const wallet = Keypair.generate().publicKey;
+const voteAccount = Keypair.generate().publicKey;
+const stranger = Keypair.generate().publicKey.toBase58();
+
+function stakeEntry(lamports, { delegation, staker = wallet.toBase58() } = {}) {
+  return {
+    pubkey: Keypair.generate().publicKey,
+    account: {
+      lamports,
+      owner: StakeProgram.programId,
+      data: {
+        parsed: {
+          type: delegation ? 'delegated' : 'initialized',
+          info: {
+            meta: { rentExemptReserve: '2282880', authorized: { staker, withdrawer: wallet.toBase58() } },
+            stake: delegation ? {
+              delegation: { voter: voteAccount.toBase58(), stake: String(lamports - 2282880), deactivationEpoch: NEVER, ...delegation },
+            } : null,
+          },
+        },
+      },
+    },
+  };
+}
+
+const activating = stakeEntry(1002282880, { delegation: { activationEpoch: '500' } });
+const active = stakeEntry(5002282880 + 10000, { delegation: { activationEpoch: '400' } });
+const deactivating = stakeEntry(2002282880, { delegation: { activationEpoch: '400', deactivationEpoch: '500' } });
+const inactive = stakeEntry(3002282880, { delegation: { activationEpoch: '400', deactivationEpoch: '450' } });
+const initialized = stakeEntry(2282880);
+const entries = [activating, active, deactivating, inactive, initialized];
+
+function createConnection() {
+  return {
+    getEpochInfo: jest.fn(async () => ({ epoch: 500 })),
+    getParsedProgramAccounts: jest.fn(async (_programId, { filters }) => (
+      filters[0].memcmp.offset === 12 ? entries : [inactive]
+    )),
+    getParsedAccountInfo: jest.fn(async (pubkey) => ({
+      value: entries.find(entry => entry.pubkey.equals(pubkey))?.account || null,
+    })),
+    getInflationReward: jest.fn(async (addresses, epoch) => addresses.map((address) => (
+      address.equals(active.pubkey) ? { epoch, amount: 1500000, postBalance: 5002292880, commission: 7 } : null
+    ))),
+    getAccountInfo: jest.fn(async (pubkey) => (pubkey.equals(voteAccount) ? { owner: VoteProgram.programId } : null)),
+    getMinimumBalanceForRentExemption: jest.fn(async () => 2282880),
+    getStakeMinimumDelegation: jest.fn(async () => ({ context: { slot: 1 }, value: 1000000000 })),
+    getRecentPrioritizationFees: jest.fn(async () => []),
+    getRecentPerformanceSamples: jest.fn(async () => []),
+    simulateTransaction: jest.fn(async () => ({ value: { err: null, logs: [], unitsConsumed: 5000 } })),
+    getLatestBlockhash: jest.fn(async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 99 })),
+  };
+}
+
+function decodeBuilt(result) {
+  return Transaction.from(Buffer.from(result.transaction, 'base64')).instructions.slice(2);
+}
+
+describe('solanaStakingService', () => {
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connection = createConnection();
+    jest.spyOn(solanaService, 'getConnection').mockReturnValue(connection);
+  });
+
+  it('reports stake state by epoch and what can be withdrawn', async () => {
+    const result = await solanaStakingService.getStakeAccounts(wallet.toBase58(), 'devnet');
+
+    expect(result).toMatchObject({ success: true, epoch: 500, count: 5 });
+    const byAddress = Object.fromEntries(result.stakeAccounts.map(account => [account.address, account]));
+
+    expect(byAddress[activating.pubkey.toBase58()]).toMatchObject({ status: 'activating', activeFromEpoch: 501, withdrawable: '0.0' });
+    expect(byAddress[active.pubkey.toBase58()]).toMatchObject({ status: 'active', delegated: '5.00001', withdrawable: '0.0' });
+    expect(byAddress[deactivating.pubkey.toBase58()]).toMatchObject({ status: 'deactivating', withdrawableFromEpoch: 501 });
+    expect(byAddress[inactive.pubkey.toBase58()]).toMatchObject({ status: 'inactive', withdrawable: '3.00228288', canWithdraw: true });
+    expect(byAddress[initialized.pubkey.toBase58()]).toMatchObject({ status: 'initialized', voteAccount: null });
+    expect(result.totalStaked).toBe('11.0114244');
+  });
+
+  it('sums inflation rewards per completed epoch', async () => {
+    const result = await solanaStakingService.getStakeRewards(wallet.toBase58(), 'devnet', 3);
+
+    expect(connection.getInflationReward.mock.calls.map(([, epoch]) => epoch)).toEqual([499, 498, 497]);
+    expect(result.rewards[0]).toEqual({
+      epoch: 499,
+      total: '0.0015',
+      accounts: [{ stakeAccount: active.pubkey.toBase58(), amountLamports: '1500000', amount: '0.0015', postBalance: '5.00229288', commission: 7 }],
+    });
+    expect(result.total).toBe('0.0045');
+  });
+
+  it('creates a seeded stake account and delegates it in one transaction', async () => {
+    const result = await solanaStakingService.buildStakeTransaction('create', {
+      from: wallet.toBase58(),
+      voteAccount: voteAccount.toBase58(),
+      amount: '2',
+      network: 'devnet',
+    });
+
+    expect(result).toMatchObject({ success: true, action: 'create', amount: '2.0', rentLamports: 2282880 });
+    const expected = await PublicKey.createWithSeed(wallet, result.seed, StakeProgram.programId);
+    expect(result.stakeAccount).toBe(expected.toBase58());
+
+    const [create, initialize, delegate] = decodeBuilt(result);
+    expect(SystemInstruction.decodeCreateWithSeed(create)).toMatchObject({ lamports: 2002282880, seed: result.seed });
+    expect(StakeInstruction.decodeInitialize(initialize).authorized.withdrawer.equals(wallet)).toBe(true);
+    expect(StakeInstruction.decodeDelegate(delegate).votePubkey.equals(voteAccount)).toBe(true);
+
+    await expect(solanaStakingService.buildStakeTransaction('create', {
+      from: wallet.toBase58(),
+      voteAccount: voteAccount.toBase58(),
+      amount: '0.5',
+    })).resolves.toEqual({ success: false, error: 'Minimum stake is 1.0 SOL' });
+  });
+
+  it('withdraws everything from inactive stake and explains cooldown', async () => {
+    const result = await solanaStakingService.buildStakeTransaction('withdraw', {
+      from: wallet.toBase58(),
+      stakeAccount: inactive.pubkey.toBase58(),
+    });
+
+    expect(result).toMatchObject({ success: true, amount: '3.00228288', closesAccount: true });
+    const [withdraw] = decodeBuilt(result);
+    expect(StakeInstruction.decodeWithdraw(withdraw)).toMatchObject({ lamports: 3002282880 });
+
+    await expect(solanaStakingService.buildStakeTransaction('withdraw', {
+      from: wallet.toBase58(),
+      stakeAccount: deactivating.pubkey.toBase58(),
+    })).resolves.toEqual({ success: false, error: 'Stake is cooling down and can be withdrawn from epoch 501' });
+  });
+
+  it('only lets the stake authority deactivate', async () => {
+    const result = await solanaStakingService.buildStakeTransaction('deactivate', {
+      from: wallet.toBase58(),
+      stakeAccount: active.pubkey.toBase58(),
+    });
+    expect(StakeInstruction.decodeInstructionType(decodeBuilt(result)[0])).toBe('Deactivate');
+
+    await expect(solanaStakingService.buildStakeTransaction('deactivate', {
+      from: stranger,
+      stakeAccount: active.pubkey.toBase58(),
+    })).resolves.toEqual({ success: false, error: 'Wallet is not the staker authority of this stake account' });
+
+    await expect(solanaStakingService.buildStakeTransaction('split', { from: stranger }))
+      .resolves.toEqual({ success: false, error: 'action must be create, delegate, deactivate or withdraw' });
+  });
+});
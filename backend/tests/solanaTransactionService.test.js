@@ -0,0 +1,188 @@
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import {
+  ComputeBudgetInstruction,
+  Keypair,
+  PublicKey,
+  SystemInstruction,
+  SystemProgram,
+  Transaction,
+} from '@solana/web3.js';
+import solanaService from '../src/services/solanaService.js';
+import solanaTransactionService from '../src/services/solanaTransactionService.js';
+
+const sender = Keypair.generate();
+const recipient = Keypair.generate().publicKey;
+const nonceAccount = Keypair.generate().publicKey;
+const blockhash = Keypair.generate().publicKey.toBase58();
+const nonceValue = Keypair.generate().publicKey.toBase58();
+
+function createConnection(overrides = {}) {
+  return {
+    getRecentPrioritizationFees: jest.fn(async () => [0, 0, 2000, 4000, 8000, 16000].map((fee, slot) => ({
+      slot,
+      prioritizationFee: fee,
+    }))),
+    // 60 slots in 36s: 600ms slots, 1.5x congestion.
+    getRecentPerformanceSamples: jest.fn(async () => [
+      { slot: 2, numSlots: 30, numTransactions: 60000, samplePeriodSecs: 18 },
+      { slot: 1, numSlots: 30, numTransactions: 48000, samplePeriodSecs: 18 },
+    ]),
+    simulateTransaction: jest.fn(async () => ({ value: { err: null, logs: [], unitsConsumed: 450 } })),
+    getLatestBlockhash: jest.fn(async () => ({ blockhash, lastValidBlockHeight: 1000 })),
+    getNonce: jest.fn(async () => ({
+      authorizedPubkey: sender.publicKey,
+      nonce: nonceValue,
+      feeCalculator: { lamportsPerSignature: 5000 },
+    })),
+    getAccountInfo: jest.fn(async () => null),
+    getMinimumBalanceForRentExemption: jest.fn(async () => 1447680),
+    sendRawTransaction: jest.fn(async () => 'signature123'),
+    confirmTransaction: jest.fn(async () => ({ value: { err: null } })),
+    ...overrides,
+  };
+}
+
+function decodeBuilt(result) {
+  return Transaction.from(Buffer.from(result.transaction, 'base64'));
+}
+
+describe('solanaTransactionService', () => {
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connection = createConnection();
+    jest.spyOn(solanaService, 'getConnection').mockReturnValue(connection);
+  });
+
+  it('derives priority tiers from recent fees scaled by slot congestion', async () => {
+    const result = await solanaTransactionService.getPriorityFees('mainnet', [recipient.toBase58()]);
+
+    expect(connection.getRecentPrioritizationFees).toHaveBeenCalledWith({ lockedWritableAccounts: [recipient] });
+    expect(result).toMatchObject({
+      success: true,
+      unit: 'microLamportsPerComputeUnit',
+      congestion: { averageSlotMs: 600, transactionsPerSecond: 3000, multiplier: 1.5 },
+    });
+    // Non-zero fees are 2000/4000/8000/16000; medium is p50 = 4000 * 1.5. Low falls back to its floor.
+    expect(result.tiers).toEqual({ low: 3000, medium: 10000, high: 50000 });
+  });
+
+  it('builds an unsigned SOL transfer with compute budget instructions and a recent blockhash', async () => {
+    const result = await solanaTransactionService.buildTransferTransaction({
+      from: sender.publicKey.toBase58(),
+      to: recipient.toBase58(),
+      amount: '0.25',
+      network: 'devnet',
+      priority: 'high',
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      lamports: '250000000',
+      computeUnitLimit: 540,
+      computeUnitPrice: 50000,
+      priority: 'high',
+      recentBlockhash: blockhash,
+      lastValidBlockHeight: 1000,
+      fee: { baseLamports: 5000, priorityLamports: 27, totalLamports: 5027 },
+    });
+
+    const transaction = decodeBuilt(result);
+    expect(transaction.feePayer.equals(sender.publicKey)).toBe(true);
+    expect(transaction.signatures[0].signature).toBeNull();
+    expect(ComputeBudgetInstruction.decodeSetComputeUnitLimit(transaction.instructions[0]).units).toBe(540);
+    expect(ComputeBudgetInstruction.decodeSetComputeUnitPrice(transaction.instructions[1]).microLamports).toBe(50000n);
+    expect(SystemInstruction.decodeTransfer(transaction.instructions[2])).toMatchObject({ lamports: 250000000n });
+  });
+
+  it('uses a durable nonce and advances it first when a nonce account is given', async () => {
+    const result = await solanaTransactionService.buildTransferTransaction({
+      from: sender.publicKey.toBase58(),
+      to: recipient.toBase58(),
+      amount: '1',
+      computeUnitPrice: 1234,
+      nonceAccount: nonceAccount.toBase58(),
+    });
+
+    expect(connection.getLatestBlockhash).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      success: true,
+      priority: 'custom',
+      computeUnitPrice: 1234,
+      computeUnitLimit: 840,
+      durableNonce: { account: nonceAccount.toBase58(), nonce: nonceValue },
+    });
+
+    const transaction = decodeBuilt(result);
+    expect(transaction.recentBlockhash).toBe(nonceValue);
+    expect(SystemInstruction.decodeInstructionType(transaction.instructions[0])).toBe('AdvanceNonceAccount');
+    expect(SystemInstruction.decodeNonceAdvance(transaction.instructions[0]).noncePubkey.equals(nonceAccount)).toBe(true);
+  });
+
+  it('rejects nonce accounts controlled by another authority and failing simulations', async () => {
+    connection.getNonce.mockResolvedValueOnce({
+      authorizedPubkey: Keypair.generate().publicKey,
+      nonce: nonceValue,
+      feeCalculator: { lamportsPerSignature: 5000 },
+    });
+    const params = { from: sender.publicKey.toBase58(), to: recipient.toBase58(), amount: '1' };
+
+    await expect(solanaTransactionService.buildTransferTransaction({ ...params, nonceAccount: nonceAccount.toBase58() }))
+      .resolves.toEqual({ success: false, error: 'Nonce account is not controlled by the sending wallet' });
+
+    connection.simulateTransaction.mockResolvedValueOnce({
+      value: { err: { InstructionError: [1, { Custom: 1 }] }, logs: ['Transfer: insufficient lamports 10, need 1000000000'] },
+    });
+    await expect(solanaTransactionService.buildTransferTransaction(params)).resolves.toEqual({
+      success: false,
+      error: 'Transaction simulation failed: Transfer: insufficient lamports 10, need 1000000000',
+    });
+  });
+
+  it('builds a seeded nonce account owned by the wallet', async () => {
+    const result = await solanaTransactionService.buildNonceAccountTransaction({ from: sender.publicKey.toBase58() });
+    const expected = await PublicKey.createWithSeed(sender.publicKey, 'walletrix-nonce', SystemProgram.programId);
+
+    expect(result).toMatchObject({ success: true, exists: false, nonceAccount: expected.toBase58(), rentLamports: 1447680 });
+    const [create, initialize] = decodeBuilt(result).instructions;
+    expect(SystemInstruction.decodeInstructionType(create)).toBe('CreateWithSeed');
+    expect(SystemInstruction.decodeNonceInitialize(initialize).authorizedPubkey.equals(sender.publicKey)).toBe(true);
+  });
+
+  it('confirms signed nonce transactions against the nonce account', async () => {
+    const built = await solanaTransactionService.buildTransferTransaction({
+      from: sender.publicKey.toBase58(),
+      to: recipient.toBase58(),
+      amount: '1',
+      nonceAccount: nonceAccount.toBase58(),
+    });
+    const transaction = decodeBuilt(built);
+    transaction.partialSign(sender);
+
+    const result = await solanaTransactionService.sendSignedTransaction({
+      transaction: transaction.serialize().toString('base64'),
+      minContextSlot: 42,
+    });
+
+    expect(result).toEqual({ success: true, signature: 'signature123', status: 'confirmed' });
+    expect(connection.confirmTransaction).toHaveBeenCalledWith({
+      signature: 'signature123',
+      nonceAccountPubkey: nonceAccount,
+      nonceValue,
+      minContextSlot: 42,
+    }, 'confirmed');
+
+    await expect(solanaTransactionService.sendSignedTransaction({ transaction: built.transaction }))
+      .resolves.toEqual({ success: false, error: 'Transaction is missing required signatures' });
+  });
+});
@@ -38,6 +38,9 @@ const mockProvider = {
   getBalance: jest.fn(),
   getFeeData: jest.fn(),
   estimateGas: jest.fn(),
+  getTransactionCount: jest.fn(async () => 0),
+  getTransactionReceipt: jest.fn(async () => null),
+  getTransaction: jest.fn(async () => null),
 };
 
 jest.mock('../src/lib/prisma.js', () => ({
@@ -49,6 +52,12 @@ jest.mock('../src/lib/prisma.js', () => ({
     stealthAddressIssue: {
       findMany: jest.fn(async () => [...mockIssueState.values()]),
     },
+    transaction: {
+      findMany: jest.fn(async () => []),
+      create: jest.fn(async ({ data }) => ({ id: `tx-${data.txHash}`, ...data })),
+      update: jest.fn(async ({ data }) => data),
+      updateMany: jest.fn(async () => ({ count: 1 })),
+    },
   },
 }));
 
@@ -293,6 +302,16 @@ describe('stealthLifecycleService', () => {
       value: 399979000000000000n,
     }));
     expect(result.txHash).toBe('0xstealthclaim');
+    expect(prisma.transaction.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        txHash: '0xstealthclaim',
+        chainId: 11155111,
+        network: 'SEPOLIA',
+        nonce: 0,
+        status: 'PENDING',
+        metadata: expect.objectContaining({ source: 'stealth', issueId: 'issue-claim' }),
+      }),
+    });
     expect(mockIssueState.get('issue-claim').status).toBe('CLAIMED');
     expect(mockIssueState.get('issue-claim').claimTxHash).toBe('0xstealthclaim');
     expect(prisma.activityLog.create).toHaveBeenCalledWith(expect.objectContaining({
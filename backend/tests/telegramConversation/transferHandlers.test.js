@@ -16,7 +16,7 @@ import {
 function createDeps() {
   return {
     executeTransfer: jest.fn(),
-    logger: { error: jest.fn() },
+    logger: { error: jest.fn(), warn: jest.fn() },
     sendBotPlain: jest.fn().mockResolvedValue({ ok: true }),
     sendBotMessage: jest.fn().mockResolvedValue({ ok: true }),
     setPendingIntent: jest.fn(),
@@ -310,6 +310,79 @@ describe('transferHandlers', () => {
     expect(deps.setTransferDraft).not.toHaveBeenCalled();
   });
 
+  it('includes the simulated outcome in the confirmation', async () => {
+    const deps = createDeps();
+    deps.simulateTransfer = jest.fn()
+      .mockResolvedValueOnce({
+        willRevert: false,
+        gasUsed: '51234',
+        networkFee: '0.000512340000',
+        balanceChanges: [{ symbol: 'USDC', amount: '-2.0' }],
+        warnings: [],
+      })
+      .mockResolvedValueOnce({
+        willRevert: true,
+        revertReason: 'ERC20: transfer amount exceeds balance',
+        balanceChanges: [],
+        warnings: [],
+      });
+    const handlers = createTransferConversationHandlers(deps);
+    const action = {
+      type: 'prepare_transfer',
+      details: {
+        tokenSymbol: 'USDC',
+        amount: 2,
+        recipientAddress: '0x1111111111111111111111111111111111111111',
+        chain: null,
+      },
+      missing: [],
+    };
+
+    await handlers.handlePreparedTransferAction({ chatId: 10, telegramId: '123', action, user: { id: 'user-1' } });
+    await handlers.handlePreparedTransferAction({ chatId: 10, telegramId: '123', action, user: { id: 'user-1' } });
+
+    expect(deps.simulateTransfer).toHaveBeenCalledWith(
+      { intent: 'transfer', details: expect.objectContaining({ tokenSymbol: 'USDC', amount: 2 }) },
+      { id: 'user-1' }
+    );
+    const [[, , simulated], [, , reverted]] = deps.sendBotMessage.mock.calls;
+    expect(simulated).toContain('🧪 *Simulated outcome*\n• -2.0 USDC\n• Network fee ≈ 0.000512 ETH (51,234 gas)');
+    expect(reverted).toContain('this transfer would fail*\nReason: `ERC20: transfer amount exceeds balance`');
+    expect(reverted).toContain('Reply *yes* to confirm');
+  });
+
+  it('shows the network fee in the chain\'s native currency', async () => {
+    const deps = createDeps();
+    deps.simulateTransfer = jest.fn().mockResolvedValue({
+      willRevert: false,
+      gasUsed: '21000',
+      networkFee: '0.000630000000',
+      nativeSymbol: 'MATIC',
+      balanceChanges: [{ symbol: 'MATIC', amount: '-2.0' }],
+      warnings: [],
+    });
+    const handlers = createTransferConversationHandlers(deps);
+
+    await handlers.handlePreparedTransferAction({
+      chatId: 10,
+      telegramId: '123',
+      user: { id: 'user-1' },
+      action: {
+        type: 'prepare_transfer',
+        details: {
+          tokenSymbol: 'MATIC',
+          amount: 2,
+          recipientAddress: '0x1111111111111111111111111111111111111111',
+          chain: 'polygon',
+        },
+        missing: [],
+      },
+    });
+
+    const [[, , message]] = deps.sendBotMessage.mock.calls;
+    expect(message).toContain('• -2.0 MATIC\n• Network fee ≈ 0.000630 MATIC (21,000 gas)');
+  });
+
   it('keeps collecting when prepare_transfer is missing fields', async () => {
     const deps = createDeps();
     const handlers = createTransferConversationHandlers(deps);
@@ -0,0 +1,225 @@
+const mockStore = { metadata: [], discovered: [], scans: [] };
+
+jest.mock('../src/lib/prisma.js', () => {
+  const matches = (entry, where) => Object.entries(where).every(([key, value]) => (
+    value && typeof value === 'object' && 'in' in value ? value.in.includes(entry[key]) : entry[key] === value
+  ));
+  const upsertInto = (rows, key) => jest.fn(async ({ where, update, create }) => {
+    const existing = rows().find((entry) => matches(entry, where[key]));
+    if (existing) return Object.assign(existing, update);
+    rows().push({ ...create });
+    return rows()[rows().length - 1];
+  });
+
+  return {
+    __esModule: true,
+    default: {
+      tokenMetadata: {
+        findMany: jest.fn(async ({ where }) => mockStore.metadata.filter((entry) => matches(entry, where))),
+        upsert: upsertInto(() => mockStore.metadata, 'chainId_address'),
+      },
+      discoveredToken: {
+        findMany: jest.fn(async ({ where }) => mockStore.discovered.filter((entry) => matches(entry, where))),
+        findUnique: jest.fn(async ({ where }) => mockStore.discovered.find((entry) => (
+          matches(entry, where.walletAddress_chainId_tokenAddress)
+        )) || null),
+        update: jest.fn(async ({ where, data }) => Object.assign(mockStore.discovered.find((entry) => (
+          matches(entry, where.walletAddress_chainId_tokenAddress)
+        )), data)),
+        upsert: jest.fn(async ({ where, update, create }) => {
+          const existing = mockStore.discovered.find((entry) => matches(entry, where.walletAddress_chainId_tokenAddress));
+          if (existing) return Object.assign(existing, update);
+          mockStore.discovered.push({ hidden: false, ...create });
+          return create;
+        }),
+      },
+      tokenDiscoveryScan: {
+        findUnique: jest.fn(async ({ where }) => mockStore.scans.find((entry) => matches(entry, where.walletAddress_chainId)) || null),
+        upsert: upsertInto(() => mockStore.scans, 'walletAddress_chainId'),
+      },
+    },
+  };
+});
+
+jest.mock('../src/services/ethereumService.js', () => ({
+  __esModule: true,
+  default: {
+    networkConfigs: { mainnet: { chainId: 1 }, sepolia: { chainId: 11155111 } },
+    getChainId: jest.fn((network) => ({ mainnet: 1, 'ethereum-mainnet': 1, sepolia: 11155111 }[network] || null)),
+    getProvider: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/tokenService.js', () => ({
+  __esModule: true,
+  default: {
+    popularTokens: {},
+    getTokenContract: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import { ethers } from 'ethers';
+import ethereumService from '../src/services/ethereumService.js';
+import tokenService from '../src/services/tokenService.js';
+import { TokenDiscoveryService } from '../src/services/tokenDiscoveryService.js';
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const GOLD = '0x2222222222222222222222222222222222222222';
+const NFT = '0x3333333333333333333333333333333333333333';
+const BROKEN = '0x4444444444444444444444444444444444444444';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const SILVER = '0x6666666666666666666666666666666666666666';
+const TRANSFER = ethers.id('Transfer(address,address,uint256)');
+const padded = ethers.zeroPadValue(WALLET, 32);
+const other = ethers.zeroPadValue('0x5555555555555555555555555555555555555555', 32);
+
+const contracts = {
+  [GOLD]: { name: 'Gold', symbol: 'GLD', decimals: 18n, balance: 2500000000000000000n },
+  [USDC]: { name: 'USD Coin', symbol: 'USDC', decimals: 6n, balance: 0n },
+  [SILVER]: { name: 'Silver', symbol: 'SLV', decimals: 8n, balance: 100000000n },
+};
+
+function contractFor(address) {
+  const token = contracts[address];
+  const call = (value) => jest.fn(async () => {
+    if (!token) throw new Error('execution reverted');
+    return value;
+  });
+  return {
+    name: call(token?.name),
+    symbol: call(token?.symbol),
+    decimals: call(token?.decimals),
+    balanceOf: call(token?.balance),
+  };
+}
+
+function createProvider(head, logs, failFrom = null) {
+  return {
+    getBlockNumber: jest.fn(async () => head),
+    getLogs: jest.fn(async ({ fromBlock, toBlock, topics }) => {
+      if (failFrom !== null && fromBlock <= failFrom && failFrom <= toBlock) {
+        throw new Error('query returned more than 10000 results');
+      }
+      return logs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+        && topics.every((topic, index) => topic === null || log.topics[index] === topic));
+    }),
+  };
+}
+
+describe('tokenDiscoveryService', () => {
+  const service = new TokenDiscoveryService({ blockRange: 1000, maxRangesPerScan: 3, lookbackBlocks: 5000 });
+  const logs = [
+    { address: GOLD.toLowerCase(), blockNumber: 99500, topics: [TRANSFER, other, padded] },
+    { address: GOLD, blockNumber: 97200, topics: [TRANSFER, padded, other] },
+    // ERC-721 transfers index the token id as a fourth topic.
+    { address: NFT, blockNumber: 98000, topics: [TRANSFER, other, padded, ethers.zeroPadValue('0x01', 32)] },
+    { address: BROKEN, blockNumber: 99900, topics: [TRANSFER, padded, other] },
+    { address: USDC, blockNumber: 95500, topics: [TRANSFER, other, padded] },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStore.metadata = [];
+    mockStore.discovered = [];
+    mockStore.scans = [];
+    tokenService.getTokenContract.mockImplementation(contractFor);
+  });
+
+  it('scans Transfer logs backwards from the head and caches token metadata', async () => {
+    ethereumService.getProvider.mockReturnValue(createProvider(100000, logs));
+
+    const result = await service.discoverTokens(WALLET.toLowerCase(), 'ethereum-mainnet');
+
+    expect(result).toMatchObject({
+      success: true,
+      chainId: 1,
+      scannedFrom: 97001,
+      scannedTo: 100000,
+      complete: false,
+      newTokens: [{ address: GOLD, name: 'Gold', symbol: 'GLD', decimals: 18 }],
+    });
+    expect(mockStore.discovered.map((entry) => [entry.tokenAddress, entry.lastSeenBlock]).sort()).toEqual([
+      [GOLD, 99500],
+      [BROKEN, 99900],
+    ]);
+    expect(mockStore.metadata.find((entry) => entry.address === BROKEN)).toMatchObject({ isErc20: false });
+    expect(mockStore.scans).toEqual([{ walletAddress: WALLET, chainId: 1, fromBlock: 97001, toBlock: 100000 }]);
+  });
+
+  // The lookback floor is now 100400 - 5000 = 95400.
+  it('picks up new blocks first, then resumes history and keeps progress when a range fails', async () => {
+    mockStore.scans = [{ walletAddress: WALLET, chainId: 1, fromBlock: 97001, toBlock: 100000 }];
+    const provider = createProvider(100400, logs, 95500);
+    ethereumService.getProvider.mockReturnValue(provider);
+
+    const result = await service.discoverTokens(WALLET, 'mainnet');
+
+    expect(provider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock])).toEqual([
+      [100001, 100400], [100001, 100400],
+      [96001, 97000], [96001, 97000],
+      [95400, 96000], [95400, 96000],
+    ]);
+    expect(result).toMatchObject({
+      success: true,
+      scannedFrom: 96001,
+      scannedTo: 100400,
+      interrupted: 'query returned more than 10000 results',
+      newTokens: [],
+    });
+    expect(mockStore.scans[0]).toMatchObject({ fromBlock: 96001, toBlock: 100400 });
+  });
+
+  it('merges list, custom and discovered tokens into balances, skipping hidden and non-ERC-20 contracts', async () => {
+    mockStore.discovered = [
+      { walletAddress: WALLET, chainId: 1, tokenAddress: GOLD, lastSeenBlock: 99500, hidden: false },
+      { walletAddress: WALLET, chainId: 1, tokenAddress: BROKEN, lastSeenBlock: 99900, hidden: false },
+      { walletAddress: WALLET, chainId: 1, tokenAddress: NFT, lastSeenBlock: 98000, hidden: true },
+    ];
+    mockStore.metadata = [{ chainId: 1, address: BROKEN, isErc20: false }];
+
+    const result = await service.getWalletTokenBalances(WALLET, 'mainnet', {
+      customTokens: [{ chainId: 1, address: SILVER, name: 'Silver', symbol: 'SLV', decimals: 8 }],
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.tokens[0]).toEqual({
+      address: GOLD,
+      name: 'Gold',
+      symbol: 'GLD',
+      decimals: 18,
+      source: 'discovered',
+      verified: false,
+      balance: '2.5',
+      balanceRaw: '2500000000000000000',
+    });
+    const usdc = result.tokens.find((token) => token.address === USDC);
+    expect(usdc).toMatchObject({ source: 'registry', verified: true, balance: '0.0' });
+    expect(result.tokens.find((token) => token.address === SILVER)).toMatchObject({ source: 'custom', verified: false, balance: '1.0' });
+    expect(result.tokens.map((token) => token.address)).not.toContain(BROKEN);
+    expect(result.tokens.map((token) => token.address)).not.toContain(NFT);
+    expect(tokenService.getTokenContract).not.toHaveBeenCalledWith(BROKEN, 'mainnet');
+  });
+
+  it('rejects unsupported networks and hides only discovered tokens', async () => {
+    await expect(service.discoverTokens(WALLET, 'dogechain'))
+      .resolves.toEqual({ success: false, error: 'Unsupported network: dogechain' });
+
+    mockStore.discovered = [{ walletAddress: WALLET, chainId: 1, tokenAddress: GOLD, lastSeenBlock: 1, hidden: false }];
+    await expect(service.setTokenHidden(WALLET, GOLD.toLowerCase(), 'mainnet'))
+      .resolves.toEqual({ success: true, tokenAddress: GOLD, hidden: true });
+    expect(mockStore.discovered[0].hidden).toBe(true);
+
+    await expect(service.setTokenHidden(WALLET, USDC, 'mainnet'))
+      .resolves.toEqual({ success: false, error: 'Token was not discovered for this wallet' });
+  });
+});
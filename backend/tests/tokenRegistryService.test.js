@@ -0,0 +1,105 @@
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../src/services/loggerService.js';
+import tokenRegistry, { TokenRegistry, validateTokenList } from '../src/services/tokenRegistryService.js';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const FAKE_USDC = '0x1111111111111111111111111111111111111111';
+const GOLD = '0x2222222222222222222222222222222222222222';
+const OTHER_GOLD = '0x3333333333333333333333333333333333333333';
+
+function list(name, tokens) {
+  return { name, timestamp: '2026-01-01T00:00:00Z', version: { major: 1, minor: 0, patch: 0 }, tokens };
+}
+
+const token = (overrides) => ({ chainId: 1, address: USDC, name: 'USD Coin', symbol: 'USDC', decimals: 6, ...overrides });
+
+describe('tokenRegistryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('loads the bundled default list', () => {
+    expect(tokenRegistry.lists).toEqual([expect.objectContaining({ name: 'Walletrix Default', version: '1.0.0' })]);
+    expect(tokenRegistry.resolveSymbol('usdc', 8453).address).toBe('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
+    expect(tokenRegistry.resolveSymbol('MATIC', 137)).toBeNull();
+    expect(tokenRegistry.resolveSymbol('MATIC', 1)).toMatchObject({ decimals: 18, lists: ['Walletrix Default'] });
+  });
+
+  it('validates lists against the token-list schema', () => {
+    expect(validateTokenList(list('Good List', [token()]))).toEqual([]);
+
+    expect(validateTokenList({
+      ...list('Bad/List', [
+        token({ address: USDC.toLowerCase().replace('0x', '0X') }),
+        token({ decimals: 300, symbol: 'US DC', website: 'https://example.com' }),
+        token({ chainId: 1, address: GOLD }),
+        token({ chainId: 1, address: GOLD.toUpperCase().replace('0X', '0x') }),
+      ]),
+      version: { major: 1, minor: -1, patch: 0 },
+    })).toEqual([
+      'name must be 1-30 letters, digits or spaces',
+      'version must have non-negative integer major, minor and patch',
+      'tokens[0].address must be a checksummed 0x address',
+      'tokens[1].website is not allowed',
+      'tokens[1].decimals must be an integer from 0 to 255',
+      'tokens[1].symbol must be 1-20 characters without spaces',
+      `tokens[3] duplicates ${GOLD} on chain 1`,
+    ]);
+  });
+
+  it('merges lists so the first list keeps a symbol and shared tokens record every list', () => {
+    const registry = new TokenRegistry();
+    registry.addList(list('Main', [token(), token({ address: GOLD, symbol: 'GLD', name: 'Gold', decimals: 18 })]));
+    registry.addList(list('Extra', [token({ address: FAKE_USDC }), token({ address: GOLD, symbol: 'GLD', name: 'Gold', decimals: 18 })]));
+
+    expect(registry.resolveSymbol('USDC', 1).address).toBe(USDC);
+    expect(registry.getToken(1, FAKE_USDC)).toMatchObject({ symbol: 'USDC', lists: ['Extra'] });
+    expect(registry.getToken(1, GOLD.toLowerCase()).lists).toEqual(['Main', 'Extra']);
+    expect(logger.warn).toHaveBeenCalledWith('Token list symbol already registered, keeping the first', expect.objectContaining({
+      kept: USDC,
+      ignored: FAKE_USDC,
+    }));
+    expect(() => registry.addList(list('Broken', []))).toThrow('Invalid token list Broken: tokens must be an array of 1-10000 tokens');
+  });
+
+  it('resolves custom tokens after list tokens and refuses ambiguous symbols', () => {
+    const registry = new TokenRegistry();
+    registry.addList(list('Main', [token()]));
+    const gold = { chainId: 1, address: GOLD, symbol: 'GLD', name: 'Gold', decimals: 18 };
+
+    expect(registry.resolveSymbol('gld', 1, [gold])).toMatchObject({ address: GOLD, custom: true });
+    expect(registry.getTokens(1, [gold]).map(entry => entry.symbol)).toEqual(['USDC', 'GLD']);
+    expect(() => registry.resolveSymbol('GLD', 1, [gold, { ...gold, address: OTHER_GOLD }]))
+      .toThrow('Token GLD matches 2 custom tokens on chain 1; use the contract address');
+    expect(() => registry.resolveSymbol('USDC', 10)).toThrow('Token USDC not available on chain 10');
+    expect(() => registry.resolveSymbol('GLD', 1)).toThrow('Token GLD not supported. Supported: ETH, USDC');
+  });
+
+  it('skips list files that are missing or invalid', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-lists-'));
+    const good = path.join(dir, 'good.tokenlist.json');
+    const bad = path.join(dir, 'bad.tokenlist.json');
+    fs.writeFileSync(good, JSON.stringify(list('Good', [token()])));
+    fs.writeFileSync(bad, JSON.stringify({ name: 'Bad' }));
+
+    try {
+      const registry = new TokenRegistry().loadFiles([bad, path.join(dir, 'missing.json'), good]);
+      expect(registry.lists.map(entry => entry.name)).toEqual(['Good']);
+      expect(logger.error).toHaveBeenCalledTimes(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/bitcoinService.js', () => ({
+  __esModule: true,
+  default: {
+    getBalance: jest.fn(),
+  },
+}));
+
+import * as bip39 from 'bip39';
+import bitcoinService from '../src/services/bitcoinService.js';
+import walletService, { DEFAULT_BITCOIN_ADDRESS_TYPE } from '../src/services/walletService.js';
+
+// BIP-84/BIP-86 reference vector (rejected by import's strength check, so derived directly).
+const VECTOR_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+describe('walletService bitcoin address types', () => {
+  it('derives BIP-44, BIP-84 and BIP-86 addresses from the same seed', () => {
+    const accounts = walletService.deriveBitcoinAccounts(bip39.mnemonicToSeedSync(VECTOR_MNEMONIC));
+
+    expect(accounts.legacy).toMatchObject({
+      address: '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA',
+      path: "m/44'/0'/0'/0/0",
+    });
+    expect(accounts.segwit).toMatchObject({
+      address: 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu',
+      path: "m/84'/0'/0'/0/0",
+    });
+    expect(accounts.taproot).toMatchObject({
+      address: 'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr',
+      path: "m/86'/0'/0'/0/0",
+    });
+  });
+
+  it('defaults new wallets to native SegWit and honours a requested type on import', () => {
+    const generated = walletService.generateNewWallet();
+
+    expect(generated.success).toBe(true);
+    expect(generated.bitcoinAddressType).toBe(DEFAULT_BITCOIN_ADDRESS_TYPE);
+    expect(generated.addresses.bitcoin).toBe(generated.bitcoinAccounts.segwit.address);
+    expect(generated._privateKeys.bitcoin).toBe(generated.bitcoinAccounts.segwit.privateKey);
+
+    const imported = walletService.importFromMnemonic(generated.mnemonic, '', 'taproot');
+    expect(imported.bitcoinAddressType).toBe('taproot');
+    expect(imported.addresses.bitcoin).toBe(generated.bitcoinAccounts.taproot.address);
+  });
+
+  it('derives accounts for the requested type and rejects unknown types', () => {
+    const derived = walletService.deriveAccounts(VECTOR_MNEMONIC, 2, 'legacy');
+
+    expect(derived.success).toBe(true);
+    expect(derived.accounts[0].bitcoin).toMatchObject({
+      address: '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA',
+      addressType: 'legacy',
+    });
+    expect(derived.accounts[1].bitcoin.path).toBe("m/44'/0'/0'/0/1");
+    expect(walletService.deriveAccounts(VECTOR_MNEMONIC, 1, 'p2sh')).toMatchObject({ success: false });
+  });
+});
+
+describe('walletService bitcoin account discovery', () => {
+  const mockUsedAddresses = (used) => {
+    bitcoinService.getBalance.mockImplementation(async (address) => {
+      const satoshis = used[address] ?? null;
+      return {
+        success: true,
+        address,
+        balance: { satoshis: satoshis || 0, unconfirmed: { satoshis: 0 } },
+        txCount: satoshis === null ? 0 : 1,
+      };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('scans receive and change chains past index 0 and stops at the gap limit', async () => {
+    mockUsedAddresses({
+      bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g: 40000, // m/84'/0'/0'/0/1
+      bc1q8c6fshw2dlwun7ekn9qwf37cu2rn755upcp6el: 2500, // m/84'/0'/0'/1/0
+    });
+
+    const discovery = await walletService.discoverBitcoinAccounts(bip39.mnemonicToSeedSync(VECTOR_MNEMONIC), { gapLimit: 2 });
+
+    expect(discovery).toMatchObject({
+      success: true,
+      balance: '0.00042500',
+      primaryAddressType: 'segwit',
+    });
+    expect(discovery.addresses.map(({ address, path }) => ({ address, path }))).toEqual([
+      { address: 'bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g', path: "m/84'/0'/0'/0/1" },
+      { address: 'bc1q8c6fshw2dlwun7ekn9qwf37cu2rn755upcp6el', path: "m/84'/0'/0'/1/0" },
+    ]);
+    expect(discovery.addressTypes.segwit).toMatchObject({ accounts: 1, balance: '0.00042500' });
+    expect(discovery.addressTypes.legacy.accounts).toBe(0);
+    // legacy 2 + segwit account 0 (4 receive + 3 change) + segwit account 1 (2) + taproot 2
+    expect(bitcoinService.getBalance).toHaveBeenCalledTimes(13);
+  });
+
+  it('runs balance lookups in parallel with a bound', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    bitcoinService.getBalance.mockImplementation(async (address) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight -= 1;
+      return { success: true, address, balance: { satoshis: 0, unconfirmed: { satoshis: 0 } }, txCount: 0 };
+    });
+
+    const discovery = await walletService.discoverBitcoinAccounts(bip39.mnemonicToSeedSync(VECTOR_MNEMONIC));
+
+    expect(discovery.addresses).toEqual([]);
+    // One empty receive chain per address type, never past the default gap limit of 20
+    expect(bitcoinService.getBalance).toHaveBeenCalledTimes(60);
+    expect(maxInFlight).toBe(15);
+  });
+
+  it('defaults an import to the funded address type unless one was requested', async () => {
+    const { mnemonic } = walletService.generateNewWallet();
+    const accounts = walletService.deriveBitcoinAccounts(bip39.mnemonicToSeedSync(mnemonic));
+    mockUsedAddresses({ [accounts.taproot.address]: 100000 });
+
+    const discovered = await walletService.importFromMnemonicWithDiscovery(mnemonic, '', undefined, { gapLimit: 1 });
+    expect(discovered.bitcoinAddressType).toBe('taproot');
+    expect(discovered.addresses.bitcoin).toBe(accounts.taproot.address);
+    expect(discovered._privateKeys.bitcoin).toBe(accounts.taproot.privateKey);
+    expect(discovered.bitcoinDiscovery.balance).toBe('0.00100000');
+
+    const explicit = await walletService.importFromMnemonicWithDiscovery(mnemonic, '', 'segwit', { gapLimit: 1 });
+    expect(explicit.addresses.bitcoin).toBe(accounts.segwit.address);
+  });
+
+  it('still imports when discovery fails', async () => {
+    const { mnemonic } = walletService.generateNewWallet();
+    bitcoinService.getBalance.mockResolvedValue({ success: false, error: 'Rate limited' });
+
+    const result = await walletService.importFromMnemonicWithDiscovery(mnemonic, '', undefined, { gapLimit: 1 });
+
+    expect(result.success).toBe(true);
+    expect(result.bitcoinAddressType).toBe(DEFAULT_BITCOIN_ADDRESS_TYPE);
+    expect(result.bitcoinDiscovery).toEqual({ success: false, error: 'Rate limited' });
+  });
+});
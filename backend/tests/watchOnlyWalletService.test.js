@@ -0,0 +1,198 @@
+const mockRows = [];
+
+jest.mock('../src/lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    $transaction: jest.fn(async (operations) => Promise.all(operations)),
+    wallet: {
+      create: jest.fn(async ({ data }) => {
+        const row = { id: `w-${mockRows.length + 1}`, createdAt: new Date('2026-01-01'), isActive: true, ...data };
+        mockRows.push(row);
+        return row;
+      }),
+      findFirst: jest.fn(async ({ where }) => mockRows.find((row) => row.id === where.id && row.userId === where.userId) || null),
+      findMany: jest.fn(async ({ where }) => mockRows.filter((row) => row.userId === where.userId
+        && row.metadata?.groupId === where.metadata.equals)),
+      update: jest.fn(async ({ where, data }) => {
+        const row = mockRows.find((entry) => entry.id === where.id);
+        Object.assign(row, data);
+        return row;
+      }),
+    },
+  },
+}));
+
+jest.mock('../src/services/bitcoinService.js', () => ({
+  __esModule: true,
+  default: {
+    getBalance: jest.fn(),
+    getTransactionHistory: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/ethereumService.js', () => ({
+  __esModule: true,
+  default: {
+    getBalance: jest.fn(),
+    getTransactionHistory: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/loggerService.js', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+import bitcoinService from '../src/services/bitcoinService.js';
+import ethereumService from '../src/services/ethereumService.js';
+import {
+  createWatchOnlyWalletForUser,
+  deriveWatchOnlyAddress,
+  getWatchOnlySummaryForUser,
+  parseExtendedPublicKey,
+} from '../src/services/watchOnlyWalletService.js';
+
+// BIP-84 test vector account key for "abandon ... about".
+const ZPUB = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+const ZPRV = 'zprvAdG4iTXWBoARxkkzNpNh8r6Qag3irQB8PzEMkAFeTRXxHpbF9z4QgEvBRmfvqWvGp42t42nvgGpNgYSJA9iefm1yYNZKEm7z6qUWCroSQnE';
+const RECEIVE_0 = 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu';
+const RECEIVE_1 = 'bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g';
+const CHANGE_0 = 'bc1q8c6fshw2dlwun7ekn9qwf37cu2rn755upcp6el';
+const ETH_ADDRESS = '0x9858EfFD232B4033E47d90003D41EC34EcaEda94';
+const SOL_ADDRESS = 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk';
+
+const usedBalances = {
+  [RECEIVE_0]: { satoshis: 50000, unconfirmed: 0, txCount: 1 },
+  [RECEIVE_1]: { satoshis: 0, unconfirmed: 0, txCount: 2 },
+  [CHANGE_0]: { satoshis: 30000, unconfirmed: 1000, txCount: 1 },
+};
+
+function balanceFor(address) {
+  const entry = usedBalances[address] || { satoshis: 0, unconfirmed: 0, txCount: 0 };
+  return {
+    success: true,
+    address,
+    balance: {
+      satoshis: entry.satoshis,
+      btc: (entry.satoshis / 1e8).toFixed(8),
+      unconfirmed: { satoshis: entry.unconfirmed, btc: (entry.unconfirmed / 1e8).toFixed(8) },
+    },
+    txCount: entry.txCount,
+  };
+}
+
+describe('watchOnlyWalletService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRows.length = 0;
+    bitcoinService.getBalance.mockImplementation(async (address) => balanceFor(address));
+    bitcoinService.getTransactionHistory.mockResolvedValue({ success: true, transactions: [] });
+  });
+
+  it('derives BIP-84 receive and change addresses from a zpub', () => {
+    const parsed = parseExtendedPublicKey(ZPUB);
+
+    expect(parsed).toMatchObject({ network: 'mainnet', scriptType: 'segwit', prefix: 'zpub' });
+    expect(deriveWatchOnlyAddress(parsed, 0, 0)).toBe(RECEIVE_0);
+    expect(deriveWatchOnlyAddress(parsed, 0, 1)).toBe(RECEIVE_1);
+    expect(deriveWatchOnlyAddress(parsed, 1, 0)).toBe(CHANGE_0);
+  });
+
+  it('rejects extended private keys and unknown key formats', () => {
+    expect(() => parseExtendedPublicKey(ZPRV)).toThrow(/Extended private keys are not accepted/);
+    expect(() => parseExtendedPublicKey('not-a-key')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('scans both chains up to the gap limit and stores no key material', async () => {
+    const wallet = await createWatchOnlyWalletForUser('user-1', { name: 'Cold storage', extendedPublicKey: ZPUB, gapLimit: 3 });
+
+    // receive: 2 used + 3 unused, change: 1 used + 3 unused
+    expect(bitcoinService.getBalance).toHaveBeenCalledTimes(9);
+    expect(mockRows).toHaveLength(1);
+    expect(mockRows[0]).toMatchObject({ type: 'WATCH_ONLY', network: 'BITCOIN', address: RECEIVE_0 });
+    expect(mockRows[0].encryptedKey).toBeUndefined();
+    expect(mockRows[0].metadata.watchOnly.addresses).toEqual([
+      { address: RECEIVE_0, chain: 0, index: 0 },
+      { address: RECEIVE_1, chain: 0, index: 1 },
+      { address: CHANGE_0, chain: 1, index: 0 },
+    ]);
+    expect(wallet).toMatchObject({
+      encryptedData: null,
+      addresses: { bitcoin: RECEIVE_0 },
+      watchOnly: {
+        bitcoin: {
+          source: 'xpub',
+          scriptType: 'segwit',
+          addressCount: 3,
+          nextReceiveAddress: deriveWatchOnlyAddress(parseExtendedPublicKey(ZPUB), 0, 2),
+        },
+      },
+    });
+  });
+
+  it('accepts bare addresses and validates them per chain', async () => {
+    const wallet = await createWatchOnlyWalletForUser('user-1', {
+      addresses: { ethereum: ETH_ADDRESS, solana: SOL_ADDRESS },
+      networks: { ethereum: 'sepolia' },
+    });
+
+    expect(wallet.addresses).toEqual({ ethereum: ETH_ADDRESS, solana: SOL_ADDRESS });
+    expect(wallet.watchOnly).toEqual({
+      ethereum: { source: 'address', network: 'sepolia' },
+      solana: { source: 'address', network: 'mainnet-beta' },
+    });
+
+    await expect(createWatchOnlyWalletForUser('user-1', { addresses: { ethereum: '0x1234' } }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid ethereum address' });
+    await expect(createWatchOnlyWalletForUser('user-1', { extendedPublicKey: ZPUB, addresses: { bitcoin: RECEIVE_0 } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(createWatchOnlyWalletForUser('user-1', {}))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('aggregates balances and history across derived addresses and reports chain failures separately', async () => {
+    const wallet = await createWatchOnlyWalletForUser('user-1', {
+      extendedPublicKey: ZPUB,
+      gapLimit: 2,
+      addresses: { ethereum: ETH_ADDRESS },
+    });
+    bitcoinService.getTransactionHistory.mockImplementation(async (address) => ({
+      success: true,
+      transactions: address === RECEIVE_0 || address === CHANGE_0 ? [{
+        hash: 'aa'.repeat(32),
+        confirmed: '2026-01-02T00:00:00.000Z',
+        received: '2026-01-02T00:00:00.000Z',
+        confirmations: 3,
+        inputs: [{ address: RECEIVE_0, value: '0.00100000' }],
+        outputs: [
+          { address: 'bc1qexternal', value: '0.00060000' },
+          { address: CHANGE_0, value: '0.00030000' },
+        ],
+      }] : [],
+    }));
+    ethereumService.getBalance.mockResolvedValue({ success: false, error: 'RPC unavailable' });
+    ethereumService.getTransactionHistory.mockResolvedValue({ success: true, transactions: [] });
+
+    const summary = await getWatchOnlySummaryForUser('user-1', wallet.id);
+
+    expect(summary.chains.bitcoin).toMatchObject({
+      source: 'xpub',
+      balance: '0.00080000',
+      unconfirmed: '0.00001000',
+      addressCount: 3,
+    });
+    expect(summary.chains.bitcoin.transactions).toEqual([{
+      hash: 'aa'.repeat(32),
+      timestamp: '2026-01-02T00:00:00.000Z',
+      amount: '0.00070000',
+      direction: 'out',
+      status: 'confirmed',
+    }]);
+    expect(summary.chains.ethereum).toMatchObject({ source: 'address', address: ETH_ADDRESS, error: 'RPC unavailable' });
+  });
+});
@@ -6,7 +6,11 @@ import {IEntryPoint} from "@account-abstraction/interfaces/IEntryPoint.sol";
 import {
     PackedUserOperation
 } from "@account-abstraction/interfaces/PackedUserOperation.sol";
-import {SIG_VALIDATION_FAILED} from "@account-abstraction/core/Helpers.sol";
+import {
+    SIG_VALIDATION_FAILED,
+    _packValidationData
+} from "@account-abstraction/core/Helpers.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import {
     MessageHashUtils
@@ -22,7 +26,8 @@ import {
  * @title WalletrixVault
  * @author Walletrix Team
  * @notice ERC-4337 compliant Smart Account with EIP-712 signature validation,
- *         batch execution, role-based permissions, and social recovery.
+ *         batch execution, role-based permissions, scoped session keys,
+ *         rolling daily spending limits, and social recovery.
  * @dev Inherits BaseAccount from eth-infinitism's account-abstraction v0.7.
  *      Deployed via WalletrixVaultFactory using CREATE2 for deterministic addresses.
  *      The user's BIP-39 derived EOA acts as the "owner" (signer) of this vault.
@@ -44,6 +49,25 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
     /// @dev Maximum number of guardians allowed
     uint256 public constant MAX_GUARDIANS = 10;
 
+    /// @dev Delay before a raised or removed spending limit takes effect (48 hours)
+    uint256 public constant SPENDING_LIMIT_TIMELOCK = 48 hours;
+
+    /// @dev Rolling window that spending limits apply to
+    uint256 public constant SPENDING_WINDOW = 24 hours;
+
+    /// @dev Asset key used for native ETH spending limits
+    address public constant NATIVE_ASSET = address(0);
+
+    /// @dev increaseAllowance(address,uint256), which IERC20 does not declare
+    bytes4 internal constant INCREASE_ALLOWANCE_SELECTOR = 0x39509351;
+
+    /// @dev increaseApproval(address,uint256), its name in older tokens
+    bytes4 internal constant INCREASE_APPROVAL_SELECTOR = 0xd73dd623;
+
+    /// @dev decreaseAllowance(address,uint256), allowed on limited tokens
+    ///      so approvals can still be revoked
+    bytes4 internal constant DECREASE_ALLOWANCE_SELECTOR = 0xa457c2d7;
+
     // ──────────────────────────────────────────────
     //  Storage
     // ──────────────────────────────────────────────
@@ -84,6 +108,66 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
     /// @notice Whether a recovery is currently pending
     bool public recoveryPending;
 
+    // ── Session Keys ──
+
+    /// @notice A time-limited signer that may only make the calls it was granted
+    struct SessionKey {
+        uint48 validAfter;
+        uint48 validUntil; // 0 = revoked or never granted
+        uint96 valueLimit; // Max native value per call, and gas per self-paid op
+        uint32 epoch; // Bumped on every grant so earlier permissions stop applying
+        uint32 generation; // Must match sessionKeyGeneration to be usable
+    }
+
+    /// @notice A target contract and function selector a session key may call.
+    ///         A zero selector permits plain value transfers with empty calldata.
+    struct SessionPermission {
+        address target;
+        bytes4 selector;
+    }
+
+    /// @notice Mapping of session key address => its validity window and limits
+    mapping(address => SessionKey) public sessionKeys;
+
+    /// @dev keccak256(key, epoch, target, selector) => granted
+    mapping(bytes32 => bool) private _sessionPermissions;
+
+    /// @notice Bumped on recovery, which invalidates every session key at once
+    uint32 public sessionKeyGeneration;
+
+    // ── Spending Limits ──
+
+    /// @notice An amount that left the vault, kept until it leaves the window
+    struct Outflow {
+        uint64 timestamp;
+        uint192 amount;
+    }
+
+    /// @notice A raised or removed limit waiting out SPENDING_LIMIT_TIMELOCK
+    struct PendingSpendingLimit {
+        uint256 limit; // 0 = remove the limit
+        uint256 executeAfter; // 0 = nothing pending
+    }
+
+    /// @notice Max outflow per SPENDING_WINDOW by asset (NATIVE_ASSET for ETH).
+    ///         0 = unlimited.
+    mapping(address => uint256) public spendingLimits;
+
+    /// @notice Queued limit changes by asset
+    mapping(address => PendingSpendingLimit) public pendingSpendingLimits;
+
+    /// @notice Number of assets with a limit; upgrades are blocked while nonzero
+    uint256 public spendingLimitCount;
+
+    /// @dev Outflows per asset, oldest first. Entries before the head have
+    ///      left the window and been cleared.
+    mapping(address => Outflow[]) private _outflows;
+    mapping(address => uint256) private _outflowHead;
+    mapping(address => uint256) private _outflowTotal; // Sum from the head on
+
+    /// @dev Native prefund paid since the last execute, not yet in the window
+    uint256 private _unsettledPrefund;
+
     // ──────────────────────────────────────────────
     //  Events
     // ──────────────────────────────────────────────
@@ -99,6 +183,21 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
     event RecoveryApproved(address indexed guardian, address indexed newOwner);
     event RecoveryExecuted(address indexed oldOwner, address indexed newOwner);
     event RecoveryCancelled();
+    event SessionKeyGranted(
+        address indexed key,
+        uint48 validAfter,
+        uint48 validUntil,
+        uint96 valueLimit,
+        SessionPermission[] permissions
+    );
+    event SessionKeyRevoked(address indexed key);
+    event SpendingLimitSet(address indexed asset, uint256 limit);
+    event SpendingLimitChangeQueued(
+        address indexed asset,
+        uint256 limit,
+        uint256 executeAfter
+    );
+    event SpendingLimitChangeCancelled(address indexed asset);
 
     // ──────────────────────────────────────────────
     //  Errors
@@ -118,6 +217,20 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
     error RecoveryTimelockNotExpired();
     error AlreadyApproved();
     error RecoveryNotReady();
+    error InvalidSessionKey();
+    error InvalidSessionWindow();
+    error InvalidSessionPermission();
+    error SessionKeyNotFound();
+    error InvalidSpendingLimit();
+    error SpendingLimitExceeded(
+        address asset,
+        uint256 amount,
+        uint256 remaining
+    );
+    error UnsupportedLimitedTokenCall(address token, bytes4 selector);
+    error NoSpendingLimitChangePending();
+    error SpendingLimitTimelockNotExpired();
+    error UpgradeBlockedBySpendingLimits();
 
     // ──────────────────────────────────────────────
     //  Modifiers
@@ -188,10 +301,17 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
      * @dev The `userOpHash` is produced by the EntryPoint and includes:
      *      hash(userOp) + entryPointAddress + chainId
      *      This prevents cross-chain and cross-entrypoint replay attacks.
-     *      We recover the signer from the signature and verify it matches `owner`.
+     *      We recover the signer from the signature and accept it if it is `owner`,
+     *      or a session key whose permissions cover every call in `userOp.callData`.
+     *      Session keys return their window as validAfter/validUntil so the
+     *      EntryPoint enforces expiry. A session op without a paymaster pays
+     *      its gas from the vault, so its maximum gas cost must also fit
+     *      the key's valueLimit; otherwise a leaked key could drain ETH
+     *      through fees paid to a colluding bundler.
      * @param userOp The packed user operation containing the signature.
      * @param userOpHash The hash of the user operation (produced by EntryPoint).
-     * @return validationData 0 if valid, SIG_VALIDATION_FAILED (1) otherwise.
+     * @return validationData 0 or the session key's packed time range if valid,
+     *         SIG_VALIDATION_FAILED (1) otherwise.
      */
     function _validateSignature(
         PackedUserOperation calldata userOp,
@@ -203,12 +323,27 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
         // Recover the signer from the signature
         address recovered = ethSignedHash.recover(userOp.signature);
 
-        // If signer is not the owner, return failure
-        if (recovered != owner) {
+        if (recovered == owner) {
+            return 0;
+        }
+
+        // Otherwise the signer must be a live session key allowed to make these calls
+        SessionKey memory session = sessionKeys[recovered];
+        if (
+            !_isSessionLive(session) ||
+            !_isSessionCallDataAllowed(recovered, session, userOp.callData)
+        ) {
+            return SIG_VALIDATION_FAILED;
+        }
+        if (
+            userOp.paymasterAndData.length == 0 &&
+            _maxGasCost(userOp) > session.valueLimit
+        ) {
             return SIG_VALIDATION_FAILED;
         }
 
-        return 0;
+        return
+            _packValidationData(false, session.validUntil, session.validAfter);
     }
 
     // ──────────────────────────────────────────────
@@ -226,6 +361,93 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
         }
     }
 
+    /**
+     * @notice Execute a single call from the vault.
+     * @dev Overridden so every call is checked against the spending limits
+     *      before it runs.
+     */
+    function execute(
+        address target,
+        uint256 value,
+        bytes calldata data
+    ) external override {
+        _requireForExecute();
+        _settlePrefund();
+        _recordCallOutflows(target, value, data);
+        _call(target, value, data);
+    }
+
+    /**
+     * @notice Execute a batch of calls from the vault.
+     * @dev The whole batch counts against the spending limits, so splitting
+     *      a transfer across calls does not get around them.
+     */
+    function executeBatch(Call[] calldata calls) external override {
+        _requireForExecute();
+        _settlePrefund();
+        uint256 len = calls.length;
+        for (uint256 i = 0; i < len; ) {
+            _recordCallOutflows(
+                calls[i].target,
+                calls[i].value,
+                calls[i].data
+            );
+            _call(calls[i].target, calls[i].value, calls[i].data);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /// @dev Bubble up the callee's revert data unchanged.
+    function _call(
+        address target,
+        uint256 value,
+        bytes calldata data
+    ) internal {
+        (bool success, bytes memory result) = target.call{value: value}(data);
+        if (!success) {
+            assembly ("memory-safe") {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /**
+     * @notice Count the prefund a UserOperation pays the EntryPoint against
+     *         the native spending limit.
+     * @dev Validation may not read the clock (ERC-7562), so the prefund is
+     *      held as unsettled and added to the rolling window by the next
+     *      execute or executeBatch, before its calls. Unsettled prefund may
+     *      not exceed the limit, so once it is used up no op can pay gas out
+     *      of the vault until an execute settles it into a window with room.
+     */
+    function _payPrefund(uint256 missingAccountFunds) internal override {
+        uint256 limit = spendingLimits[NATIVE_ASSET];
+        if (limit != 0 && missingAccountFunds != 0) {
+            uint256 unsettled = _unsettledPrefund;
+            if (
+                unsettled > limit || missingAccountFunds > limit - unsettled
+            ) {
+                revert SpendingLimitExceeded(
+                    NATIVE_ASSET,
+                    missingAccountFunds,
+                    unsettled < limit ? limit - unsettled : 0
+                );
+            }
+            _unsettledPrefund = unsettled + missingAccountFunds;
+        }
+        super._payPrefund(missingAccountFunds);
+    }
+
+    /// @dev Move unsettled prefund into the native rolling window.
+    function _settlePrefund() internal {
+        uint256 unsettled = _unsettledPrefund;
+        if (unsettled == 0) return;
+        _unsettledPrefund = 0;
+        _recordOutflow(NATIVE_ASSET, unsettled);
+    }
+
     // ──────────────────────────────────────────────
     //  Role-Based Permissions
     // ──────────────────────────────────────────────
@@ -250,6 +472,379 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
         emit RoleRevoked(account);
     }
 
+    // ──────────────────────────────────────────────
+    //  Session Keys
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Grant (or replace) a session key that may sign UserOperations
+     *         calling only the given targets and selectors.
+     * @dev Re-granting an existing key drops its previous permissions.
+     * @param key The session key's signer address.
+     * @param validAfter Timestamp from which the key is usable.
+     * @param validUntil Timestamp after which the key expires.
+     * @param valueLimit Maximum native value per call, and maximum gas cost
+     *        of a UserOperation that pays for itself.
+     * @param permissions Target and selector pairs the key may call.
+     */
+    function grantSessionKey(
+        address key,
+        uint48 validAfter,
+        uint48 validUntil,
+        uint96 valueLimit,
+        SessionPermission[] calldata permissions
+    ) external onlyOwner {
+        if (key == address(0) || key == owner) revert InvalidSessionKey();
+        if (validUntil <= validAfter || validUntil <= block.timestamp) {
+            revert InvalidSessionWindow();
+        }
+        if (permissions.length == 0) revert InvalidSessionPermission();
+
+        SessionKey storage session = sessionKeys[key];
+        session.validAfter = validAfter;
+        session.validUntil = validUntil;
+        session.valueLimit = valueLimit;
+        session.epoch++;
+        session.generation = sessionKeyGeneration;
+
+        uint256 len = permissions.length;
+        for (uint256 i = 0; i < len; ) {
+            address target = permissions[i].target;
+            // Calls back into the vault itself are never delegated
+            if (target == address(0) || target == address(this)) {
+                revert InvalidSessionPermission();
+            }
+            _sessionPermissions[
+                _sessionPermissionId(
+                    key,
+                    session.epoch,
+                    target,
+                    permissions[i].selector
+                )
+            ] = true;
+            unchecked {
+                ++i;
+            }
+        }
+
+        emit SessionKeyGranted(
+            key,
+            validAfter,
+            validUntil,
+            valueLimit,
+            permissions
+        );
+    }
+
+    /**
+     * @notice Revoke a session key immediately.
+     * @param key The session key's signer address.
+     */
+    function revokeSessionKey(address key) external onlyOwner {
+        SessionKey storage session = sessionKeys[key];
+        if (session.validUntil == 0) revert SessionKeyNotFound();
+
+        session.validAfter = 0;
+        session.validUntil = 0;
+        session.valueLimit = 0;
+
+        emit SessionKeyRevoked(key);
+    }
+
+    /**
+     * @notice Whether `key` may currently make a call to `target`.
+     * @param key The session key's signer address.
+     * @param target The called contract or recipient.
+     * @param value Native value sent with the call.
+     * @param data Calldata of the call.
+     */
+    function isSessionCallAllowed(
+        address key,
+        address target,
+        uint256 value,
+        bytes calldata data
+    ) external view returns (bool) {
+        SessionKey memory session = sessionKeys[key];
+        return
+            _isSessionLive(session) &&
+            block.timestamp >= session.validAfter &&
+            block.timestamp <= session.validUntil &&
+            _isSessionCallAllowed(key, session, target, value, data);
+    }
+
+    /// @dev Granted, not revoked, and not invalidated by a recovery.
+    function _isSessionLive(
+        SessionKey memory session
+    ) internal view returns (bool) {
+        return
+            session.validUntil != 0 &&
+            session.generation == sessionKeyGeneration;
+    }
+
+    /**
+     * @dev Only execute and executeBatch are allowed, and every call inside
+     *      must be permitted; anything else (including an empty batch) fails.
+     */
+    function _isSessionCallDataAllowed(
+        address key,
+        SessionKey memory session,
+        bytes calldata callData
+    ) internal view returns (bool) {
+        if (callData.length < 4) return false;
+        bytes4 selector = bytes4(callData[:4]);
+
+        if (selector == this.execute.selector) {
+            (address target, uint256 value, bytes memory data) = abi.decode(
+                callData[4:],
+                (address, uint256, bytes)
+            );
+            return _isSessionCallAllowed(key, session, target, value, data);
+        }
+
+        if (selector == this.executeBatch.selector) {
+            Call[] memory calls = abi.decode(callData[4:], (Call[]));
+            uint256 len = calls.length;
+            if (len == 0) return false;
+            for (uint256 i = 0; i < len; ) {
+                if (
+                    !_isSessionCallAllowed(
+                        key,
+                        session,
+                        calls[i].target,
+                        calls[i].value,
+                        calls[i].data
+                    )
+                ) {
+                    return false;
+                }
+                unchecked {
+                    ++i;
+                }
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    function _isSessionCallAllowed(
+        address key,
+        SessionKey memory session,
+        address target,
+        uint256 value,
+        bytes memory data
+    ) internal view returns (bool) {
+        if (value > session.valueLimit) return false;
+        if (data.length != 0 && data.length < 4) return false;
+        bytes4 selector = data.length == 0 ? bytes4(0) : bytes4(data);
+        return
+            _sessionPermissions[
+                _sessionPermissionId(key, session.epoch, target, selector)
+            ];
+    }
+
+    /// @dev The prefund the EntryPoint requires of an op without a paymaster:
+    ///      its gas limits at maxFeePerGas.
+    function _maxGasCost(
+        PackedUserOperation calldata userOp
+    ) internal pure returns (uint256) {
+        uint256 verificationGasLimit = uint128(
+            bytes16(userOp.accountGasLimits)
+        );
+        uint256 callGasLimit = uint128(uint256(userOp.accountGasLimits));
+        uint256 maxFeePerGas = uint128(uint256(userOp.gasFees));
+        return
+            (verificationGasLimit + callGasLimit + userOp.preVerificationGas) *
+            maxFeePerGas;
+    }
+
+    function _sessionPermissionId(
+        address key,
+        uint32 epoch,
+        address target,
+        bytes4 selector
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(key, epoch, target, selector));
+    }
+
+    // ──────────────────────────────────────────────
+    //  Spending Limits
+    // ──────────────────────────────────────────────
+
+    /**
+     * @notice Set the most of `asset` that may leave the vault per rolling
+     *         24 hours. Use NATIVE_ASSET for ETH and 0 to remove a limit.
+     * @dev Adding or lowering a limit applies at once. Raising or removing
+     *      one is queued for SPENDING_LIMIT_TIMELOCK, so a stolen owner key
+     *      cannot lift the limit and drain the vault in one go; the real
+     *      owner has that long to start a recovery. Only approvals made while
+     *      the limit is set are counted: allowances granted before it stay
+     *      spendable in full and should be revoked when adding a limit.
+     * @param asset ERC-20 token address, or NATIVE_ASSET.
+     * @param limit Max outflow per window in the asset's smallest unit.
+     */
+    function setSpendingLimit(address asset, uint256 limit) external onlyOwner {
+        if (limit > type(uint192).max) revert InvalidSpendingLimit();
+
+        uint256 current = spendingLimits[asset];
+        if (current != 0 && (limit == 0 || limit > current)) {
+            uint256 executeAfter = block.timestamp + SPENDING_LIMIT_TIMELOCK;
+            pendingSpendingLimits[asset] = PendingSpendingLimit(
+                limit,
+                executeAfter
+            );
+            emit SpendingLimitChangeQueued(asset, limit, executeAfter);
+            return;
+        }
+
+        // A tighter limit also replaces any looser one still queued
+        if (pendingSpendingLimits[asset].executeAfter != 0) {
+            delete pendingSpendingLimits[asset];
+            emit SpendingLimitChangeCancelled(asset);
+        }
+        _setSpendingLimit(asset, limit);
+    }
+
+    /**
+     * @notice Apply a queued limit change once its timelock has expired.
+     * @dev Anyone can call this, like executeRecovery.
+     * @param asset ERC-20 token address, or NATIVE_ASSET.
+     */
+    function applySpendingLimit(address asset) external {
+        PendingSpendingLimit memory pending = pendingSpendingLimits[asset];
+        if (pending.executeAfter == 0) revert NoSpendingLimitChangePending();
+        if (block.timestamp < pending.executeAfter) {
+            revert SpendingLimitTimelockNotExpired();
+        }
+
+        delete pendingSpendingLimits[asset];
+        _setSpendingLimit(asset, pending.limit);
+    }
+
+    /**
+     * @notice Drop a queued limit change.
+     * @param asset ERC-20 token address, or NATIVE_ASSET.
+     */
+    function cancelSpendingLimitChange(address asset) external onlyOwner {
+        if (pendingSpendingLimits[asset].executeAfter == 0) {
+            revert NoSpendingLimitChangePending();
+        }
+        delete pendingSpendingLimits[asset];
+        emit SpendingLimitChangeCancelled(asset);
+    }
+
+    /**
+     * @notice How much of `asset` has left the vault in the current window.
+     * @dev Only outflows made while the asset had a limit are counted.
+     * @param asset ERC-20 token address, or NATIVE_ASSET.
+     */
+    function spentInWindow(address asset) public view returns (uint256 spent) {
+        Outflow[] storage outflows = _outflows[asset];
+        uint256 len = outflows.length;
+        for (uint256 i = _outflowHead[asset]; i < len; ) {
+            if (outflows[i].timestamp + SPENDING_WINDOW > block.timestamp) {
+                spent += outflows[i].amount;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    function _setSpendingLimit(address asset, uint256 limit) internal {
+        uint256 current = spendingLimits[asset];
+        if (current == 0 && limit != 0) {
+            spendingLimitCount++;
+        } else if (current != 0 && limit == 0) {
+            spendingLimitCount--;
+        }
+        spendingLimits[asset] = limit;
+        emit SpendingLimitSet(asset, limit);
+    }
+
+    /**
+     * @dev Count the native value of a call, and the amount of any ERC-20
+     *      transfer, transferFrom out of the vault, approval or allowance
+     *      increase it makes. Approvals count in full because the spender
+     *      can pull that much without going through the vault again, so an
+     *      unlimited approval of a limited token is rejected.
+     *      A limited token only accepts those calls and decreaseAllowance:
+     *      anything else (transferAndCall, ERC-777 send, permit, burn and
+     *      bridge calls, ...) could move it without being counted.
+     */
+    function _recordCallOutflows(
+        address target,
+        uint256 value,
+        bytes calldata data
+    ) internal {
+        if (spendingLimitCount == 0) return;
+
+        _recordOutflow(NATIVE_ASSET, value);
+
+        if (data.length == 0 || spendingLimits[target] == 0) return;
+        if (data.length < 4) revert UnsupportedLimitedTokenCall(target, bytes4(0));
+        bytes4 selector = bytes4(data[:4]);
+
+        if (
+            selector == IERC20.transfer.selector ||
+            selector == IERC20.approve.selector ||
+            selector == INCREASE_ALLOWANCE_SELECTOR ||
+            selector == INCREASE_APPROVAL_SELECTOR
+        ) {
+            // selector + (address, uint256)
+            if (data.length < 68) {
+                revert UnsupportedLimitedTokenCall(target, selector);
+            }
+            (, uint256 amount) = abi.decode(data[4:68], (address, uint256));
+            _recordOutflow(target, amount);
+        } else if (selector == IERC20.transferFrom.selector) {
+            if (data.length < 100) {
+                revert UnsupportedLimitedTokenCall(target, selector);
+            }
+            (address from, , uint256 amount) = abi.decode(
+                data[4:100],
+                (address, address, uint256)
+            );
+            if (from == address(this)) _recordOutflow(target, amount);
+        } else if (selector != DECREASE_ALLOWANCE_SELECTOR) {
+            revert UnsupportedLimitedTokenCall(target, selector);
+        }
+    }
+
+    /// @dev Drop outflows that have left the window, then add `amount`,
+    ///      reverting if that takes the window total over the limit.
+    function _recordOutflow(address asset, uint256 amount) internal {
+        uint256 limit = spendingLimits[asset];
+        if (amount == 0 || limit == 0) return;
+
+        Outflow[] storage outflows = _outflows[asset];
+        uint256 len = outflows.length;
+        uint256 head = _outflowHead[asset];
+        uint256 total = _outflowTotal[asset];
+        while (
+            head < len &&
+            outflows[head].timestamp + SPENDING_WINDOW <= block.timestamp
+        ) {
+            total -= outflows[head].amount;
+            delete outflows[head];
+            unchecked {
+                ++head;
+            }
+        }
+
+        if (amount > limit || total > limit - amount) {
+            revert SpendingLimitExceeded(
+                asset,
+                amount,
+                total < limit ? limit - total : 0
+            );
+        }
+
+        outflows.push(Outflow(uint64(block.timestamp), uint192(amount)));
+        _outflowHead[asset] = head;
+        _outflowTotal[asset] = total + amount;
+    }
+
     // ──────────────────────────────────────────────
     //  Guardian Management
     // ──────────────────────────────────────────────
@@ -384,6 +979,9 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
         // Transfer ownership
         owner = newOwner;
 
+        // Session keys were granted by the old owner
+        sessionKeyGeneration++;
+
         // Clear recovery state
         _clearRecovery();
 
@@ -402,6 +1000,38 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
         emit RecoveryCancelled();
     }
 
+    /**
+     * @notice Get the pending recovery request, if any.
+     * @return newOwner The proposed owner (address(0) when none is pending).
+     * @return executeAfter Timestamp from which the recovery can execute.
+     * @return approvalCount Number of guardians that have approved it.
+     */
+    function getPendingRecovery()
+        external
+        view
+        returns (
+            address newOwner,
+            uint256 executeAfter,
+            uint256 approvalCount
+        )
+    {
+        return (
+            _pendingRecovery.newOwner,
+            _pendingRecovery.executeAfter,
+            _pendingRecovery.approvalCount
+        );
+    }
+
+    /**
+     * @notice Whether `guardian` has approved the pending recovery.
+     * @param guardian The guardian's address.
+     */
+    function hasApprovedRecovery(
+        address guardian
+    ) external view returns (bool) {
+        return recoveryPending && _pendingRecovery.approvals[guardian];
+    }
+
     /**
      * @dev Internal helper to clear all recovery state.
      */
@@ -425,8 +1055,12 @@ contract WalletrixVault is BaseAccount, Initializable, UUPSUpgradeable {
     //  UUPS Upgrade Authorization
     // ──────────────────────────────────────────────
 
-    /// @dev Only the owner can authorize contract upgrades.
-    function _authorizeUpgrade(address) internal view override onlyOwner {}
+    /// @dev Only the owner can authorize contract upgrades, and only while no
+    ///      spending limit is set: a new implementation could skip them, so
+    ///      limits must first be removed through their timelock.
+    function _authorizeUpgrade(address) internal view override onlyOwner {
+        if (spendingLimitCount != 0) revert UpgradeBlockedBySpendingLimits();
+    }
 
     // ──────────────────────────────────────────────
     //  ETH Receive
@@ -4,6 +4,7 @@ pragma solidity ^0.8.28;
 import {Test, console} from "forge-std/Test.sol";
 import {WalletrixVault} from "../src/WalletrixVault.sol";
 import {WalletrixVaultFactory} from "../src/WalletrixVaultFactory.sol";
+import {BaseAccount} from "@account-abstraction/core/BaseAccount.sol";
 import {IEntryPoint} from "@account-abstraction/interfaces/IEntryPoint.sol";
 import {
     PackedUserOperation
@@ -16,7 +17,8 @@ import {
  * @title WalletrixVaultTest
  * @notice Comprehensive Foundry tests for WalletrixVault and WalletrixVaultFactory.
  *         Covers: deployment, EIP-712 signature validation, batch execution,
- *         role-based permissions, guardian management, social recovery with timelock.
+ *         role-based permissions, session keys, spending limits, guardian
+ *         management, social recovery with timelock.
  */
 contract WalletrixVaultTest is Test {
     using MessageHashUtils for bytes32;
@@ -40,6 +42,24 @@ contract WalletrixVaultTest is Test {
 
     uint256 public constant SALT = 0;
 
+    bytes4 internal constant TRANSFER_SELECTOR =
+        bytes4(keccak256("transfer(address,uint256)"));
+
+    bytes4 internal constant APPROVE_SELECTOR =
+        bytes4(keccak256("approve(address,uint256)"));
+
+    bytes4 internal constant TRANSFER_FROM_SELECTOR =
+        bytes4(keccak256("transferFrom(address,address,uint256)"));
+
+    bytes4 internal constant INCREASE_ALLOWANCE_SELECTOR =
+        bytes4(keccak256("increaseAllowance(address,uint256)"));
+
+    bytes4 internal constant INCREASE_APPROVAL_SELECTOR =
+        bytes4(keccak256("increaseApproval(address,uint256)"));
+
+    bytes4 internal constant TRANSFER_AND_CALL_SELECTOR =
+        bytes4(keccak256("transferAndCall(address,uint256,bytes)"));
+
     // ── Setup ──
 
     function setUp() public {
@@ -234,6 +254,506 @@ contract WalletrixVaultTest is Test {
         );
     }
 
+    // ──────────────────────────────────────────────
+    //  Session Key Tests
+    // ──────────────────────────────────────────────
+
+    function test_SessionKeyCanSignPermittedCall() public {
+        (address sessionKey, uint256 sessionPk) = makeAddrAndKey("session");
+        address token = makeAddr("token");
+        _grantTransferSessionKey(sessionKey, token);
+
+        bytes memory callData = abi.encodeCall(
+            vault.execute,
+            (token, 0, abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 1))
+        );
+        uint256 result = _validateAs(sessionPk, callData);
+
+        uint48 validAfter = uint48(block.timestamp);
+        uint48 validUntil = uint48(block.timestamp + 1 days);
+        assertEq(
+            result,
+            (uint256(validUntil) << 160) | (uint256(validAfter) << 208),
+            "Session key should pass with its validity window"
+        );
+        assertTrue(
+            vault.isSessionCallAllowed(
+                sessionKey,
+                token,
+                0,
+                abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 1)
+            ),
+            "Permitted call should be allowed"
+        );
+    }
+
+    function test_SessionKeyRejectsCallsOutsideItsScope() public {
+        (address sessionKey, uint256 sessionPk) = makeAddrAndKey("session");
+        address token = makeAddr("token");
+        _grantTransferSessionKey(sessionKey, token);
+
+        // Different selector on the permitted target
+        bytes memory approve = abi.encodeCall(
+            vault.execute,
+            (token, 0, abi.encodeWithSelector(bytes4(0x095ea7b3), attacker, 1))
+        );
+        assertEq(_validateAs(sessionPk, approve), 1, "Selector not granted");
+
+        // Value above the per-call cap
+        bytes memory tooMuch = abi.encodeCall(
+            vault.execute,
+            (
+                token,
+                0.2 ether,
+                abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 1)
+            )
+        );
+        assertEq(_validateAs(sessionPk, tooMuch), 1, "Value over the cap");
+
+        // One unpermitted call spoils the batch
+        BaseAccount.Call[] memory calls = new BaseAccount.Call[](2);
+        calls[0] = BaseAccount.Call(
+            token,
+            0,
+            abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 1)
+        );
+        calls[1] = BaseAccount.Call(attacker, 0.01 ether, "");
+        bytes memory batch = abi.encodeCall(vault.executeBatch, (calls));
+        assertEq(_validateAs(sessionPk, batch), 1, "Batch with a bad call");
+
+        // Vault admin functions are never reachable
+        bytes memory admin = abi.encodeCall(vault.addGuardian, (attacker));
+        assertEq(_validateAs(sessionPk, admin), 1, "Non-execute calldata");
+    }
+
+    function test_SessionKeyGasCostMustFitItsValueLimit() public {
+        (, uint256 sessionPk) = makeAddrAndKey("session");
+        address token = makeAddr("token");
+        _grantTransferSessionKey(vm.addr(sessionPk), token);
+
+        PackedUserOperation memory userOp = _buildUserOp("");
+        userOp.callData = abi.encodeCall(
+            vault.execute,
+            (token, 0, abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 1))
+        );
+        userOp.accountGasLimits = bytes32((uint256(100_000) << 128) | 50_000);
+        userOp.preVerificationGas = 50_000;
+
+        // 200k gas at 1000 gwei could take 0.2 ETH of the vault's ETH in fees
+        userOp.gasFees = bytes32((uint256(1 gwei) << 128) | 1000 gwei);
+        assertEq(_validateOpAs(sessionPk, userOp), 1, "Gas over valueLimit");
+
+        // At 500 gwei it is exactly the 0.1 ETH valueLimit
+        userOp.gasFees = bytes32((uint256(1 gwei) << 128) | 500 gwei);
+        assertTrue(_validateOpAs(sessionPk, userOp) != 1, "Gas within limit");
+
+        // A paymaster pays the gas, so the vault's ETH is not at risk
+        userOp.gasFees = bytes32((uint256(1 gwei) << 128) | 1000 gwei);
+        userOp.paymasterAndData = abi.encodePacked(
+            makeAddr("paymaster"),
+            uint128(0),
+            uint128(0)
+        );
+        assertTrue(_validateOpAs(sessionPk, userOp) != 1, "Paymaster op");
+    }
+
+    function test_RevokedSessionKeyFails() public {
+        (address sessionKey, uint256 sessionPk) = makeAddrAndKey("session");
+        address token = makeAddr("token");
+        _grantTransferSessionKey(sessionKey, token);
+
+        vm.prank(owner);
+        vault.revokeSessionKey(sessionKey);
+
+        bytes memory callData = abi.encodeCall(
+            vault.execute,
+            (token, 0, abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 1))
+        );
+        assertEq(_validateAs(sessionPk, callData), 1, "Revoked key");
+
+        vm.prank(owner);
+        vm.expectRevert(WalletrixVault.SessionKeyNotFound.selector);
+        vault.revokeSessionKey(sessionKey);
+    }
+
+    function test_RecoveryInvalidatesSessionKeys() public {
+        (address sessionKey, uint256 sessionPk) = makeAddrAndKey("session");
+        address token = makeAddr("token");
+        _grantTransferSessionKey(sessionKey, token);
+        _setupRecovery();
+
+        vm.prank(guardian1);
+        vault.initiateRecovery(newOwner);
+        vm.prank(guardian2);
+        vault.approveRecovery();
+        vm.warp(block.timestamp + 48 hours + 1);
+        vault.executeRecovery();
+
+        bytes memory callData = abi.encodeCall(
+            vault.execute,
+            (token, 0, abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 1))
+        );
+        assertEq(_validateAs(sessionPk, callData), 1, "Old owner's key");
+    }
+
+    function test_GrantSessionKeyValidation() public {
+        WalletrixVault.SessionPermission[]
+            memory permissions = new WalletrixVault.SessionPermission[](1);
+        permissions[0] = WalletrixVault.SessionPermission(
+            address(vault),
+            bytes4(0)
+        );
+        uint48 validUntil = uint48(block.timestamp + 1 days);
+
+        vm.prank(attacker);
+        vm.expectRevert(WalletrixVault.OnlyOwner.selector);
+        vault.grantSessionKey(attacker, 0, validUntil, 0, permissions);
+
+        vm.startPrank(owner);
+        vm.expectRevert(WalletrixVault.InvalidSessionKey.selector);
+        vault.grantSessionKey(owner, 0, validUntil, 0, permissions);
+
+        vm.expectRevert(WalletrixVault.InvalidSessionWindow.selector);
+        vault.grantSessionKey(
+            attacker,
+            0,
+            uint48(block.timestamp),
+            0,
+            permissions
+        );
+
+        vm.expectRevert(WalletrixVault.InvalidSessionPermission.selector);
+        vault.grantSessionKey(attacker, 0, validUntil, 0, permissions);
+        vm.stopPrank();
+    }
+
+    // ──────────────────────────────────────────────
+    //  Spending Limit Tests
+    // ──────────────────────────────────────────────
+
+    function test_SpendingLimitCapsNativeOutflowPerRollingWindow() public {
+        address recipient = makeAddr("recipient");
+        address native = vault.NATIVE_ASSET();
+
+        vm.prank(owner);
+        vault.setSpendingLimit(native, 1 ether);
+
+        vm.prank(owner);
+        vault.execute(recipient, 0.6 ether, "");
+
+        // Twelve hours later only 0.4 ETH of the window is left
+        vm.warp(block.timestamp + 12 hours);
+        vm.prank(owner);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.SpendingLimitExceeded.selector,
+                native,
+                0.5 ether,
+                0.4 ether
+            )
+        );
+        vault.execute(recipient, 0.5 ether, "");
+
+        vm.prank(owner);
+        vault.execute(recipient, 0.4 ether, "");
+        assertEq(vault.spentInWindow(native), 1 ether, "Window is full");
+
+        // Once the first outflow is 24 hours old its 0.6 ETH frees up
+        vm.warp(block.timestamp + 12 hours);
+        assertEq(vault.spentInWindow(native), 0.4 ether, "First outflow left");
+
+        vm.prank(owner);
+        vm.expectRevert();
+        vault.execute(recipient, 0.7 ether, "");
+
+        vm.prank(owner);
+        vault.execute(recipient, 0.6 ether, "");
+        assertEq(recipient.balance, 1.6 ether, "Every allowed send went out");
+    }
+
+    function test_SpendingLimitCountsTokenCallsAcrossABatch() public {
+        address token = makeAddr("token");
+        address other = makeAddr("other");
+
+        vm.prank(owner);
+        vault.setSpendingLimit(token, 100);
+
+        // transfer + approve of the limited token in one batch: 60 + 50 > 100
+        BaseAccount.Call[] memory calls = new BaseAccount.Call[](2);
+        calls[0] = BaseAccount.Call(
+            token,
+            0,
+            abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 60)
+        );
+        calls[1] = BaseAccount.Call(
+            token,
+            0,
+            abi.encodeWithSelector(APPROVE_SELECTOR, attacker, 50)
+        );
+
+        vm.prank(owner);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.SpendingLimitExceeded.selector,
+                token,
+                50,
+                40
+            )
+        );
+        vault.executeBatch(calls);
+
+        // transferFrom only counts when it pulls from the vault
+        calls[1] = BaseAccount.Call(
+            token,
+            0,
+            abi.encodeWithSelector(
+                TRANSFER_FROM_SELECTOR,
+                other,
+                attacker,
+                1000
+            )
+        );
+        vm.prank(owner);
+        vault.executeBatch(calls);
+        assertEq(vault.spentInWindow(token), 60, "Only the transfer counts");
+
+        vm.prank(owner);
+        vm.expectRevert();
+        vault.execute(
+            token,
+            0,
+            abi.encodeWithSelector(
+                TRANSFER_FROM_SELECTOR,
+                address(vault),
+                attacker,
+                41
+            )
+        );
+
+        // Unlimited assets are not tracked
+        vm.prank(owner);
+        vault.execute(
+            other,
+            0,
+            abi.encodeWithSelector(TRANSFER_SELECTOR, attacker, 1e30)
+        );
+        assertEq(vault.spentInWindow(other), 0, "Unlimited asset untracked");
+    }
+
+    function test_SpendingLimitCountsAllowanceIncreases() public {
+        address token = makeAddr("token");
+
+        vm.prank(owner);
+        vault.setSpendingLimit(token, 100);
+
+        vm.prank(owner);
+        vault.execute(
+            token,
+            0,
+            abi.encodeWithSelector(INCREASE_ALLOWANCE_SELECTOR, attacker, 60)
+        );
+
+        // The older increaseApproval name counts the same way
+        vm.prank(owner);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.SpendingLimitExceeded.selector,
+                token,
+                50,
+                40
+            )
+        );
+        vault.execute(
+            token,
+            0,
+            abi.encodeWithSelector(INCREASE_APPROVAL_SELECTOR, attacker, 50)
+        );
+
+        vm.prank(owner);
+        vault.execute(
+            token,
+            0,
+            abi.encodeWithSelector(INCREASE_APPROVAL_SELECTOR, attacker, 40)
+        );
+        assertEq(vault.spentInWindow(token), 100, "Both increases count");
+    }
+
+    function test_SpendingLimitRejectsOtherCallsToLimitedTokens() public {
+        address token = makeAddr("token");
+        address other = makeAddr("other");
+        bytes memory transferAndCall = abi.encodeWithSelector(
+            TRANSFER_AND_CALL_SELECTOR,
+            attacker,
+            1000,
+            ""
+        );
+
+        vm.prank(owner);
+        vault.setSpendingLimit(token, 100);
+
+        // ERC-1363 would move the tokens without the limit seeing them
+        vm.prank(owner);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.UnsupportedLimitedTokenCall.selector,
+                token,
+                TRANSFER_AND_CALL_SELECTOR
+            )
+        );
+        vault.execute(token, 0, transferAndCall);
+
+        // Tokens without a limit take any call
+        vm.prank(owner);
+        vault.execute(other, 0, transferAndCall);
+    }
+
+    function test_SpendingLimitCountsPrefundsInTheWindow() public {
+        address native = vault.NATIVE_ASSET();
+        address recipient = makeAddr("recipient");
+
+        vm.prank(owner);
+        vault.setSpendingLimit(native, 1 ether);
+
+        // Validation can't read the clock, so prefunds add up until settled
+        _validateWithPrefund(0.6 ether);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.SpendingLimitExceeded.selector,
+                native,
+                0.5 ether,
+                0.4 ether
+            )
+        );
+        _validateWithPrefund(0.5 ether);
+
+        // The next execute settles them, leaving 0.4 ETH to send
+        vm.prank(owner);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.SpendingLimitExceeded.selector,
+                native,
+                0.5 ether,
+                0.4 ether
+            )
+        );
+        vault.execute(recipient, 0.5 ether, "");
+
+        vm.prank(owner);
+        vault.execute(recipient, 0.4 ether, "");
+        assertEq(vault.spentInWindow(native), 1 ether, "Prefund counted");
+
+        // A prefund paid while the window is full can't be settled until
+        // the window has room, which blocks every execute until then
+        _validateWithPrefund(0.1 ether);
+        vm.prank(owner);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.SpendingLimitExceeded.selector,
+                native,
+                0.1 ether,
+                0
+            )
+        );
+        vault.execute(recipient, 0, "");
+
+        vm.warp(block.timestamp + 24 hours);
+        vm.prank(owner);
+        vault.execute(recipient, 0, "");
+        assertEq(vault.spentInWindow(native), 0.1 ether, "Prefund settled");
+    }
+
+    function test_LooseningSpendingLimitIsTimelocked() public {
+        address native = vault.NATIVE_ASSET();
+
+        vm.startPrank(owner);
+        vault.setSpendingLimit(native, 1 ether);
+
+        // Raising is queued; the old limit stays in force
+        vault.setSpendingLimit(native, 5 ether);
+        assertEq(vault.spendingLimits(native), 1 ether, "Raise is not instant");
+        (uint256 pendingLimit, uint256 executeAfter) = vault
+            .pendingSpendingLimits(native);
+        assertEq(pendingLimit, 5 ether, "Raise is queued");
+        assertEq(
+            executeAfter,
+            block.timestamp + vault.SPENDING_LIMIT_TIMELOCK(),
+            "Raise waits out the timelock"
+        );
+
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.SpendingLimitExceeded.selector,
+                native,
+                2 ether,
+                1 ether
+            )
+        );
+        vault.execute(attacker, 2 ether, "");
+        vm.stopPrank();
+
+        vm.expectRevert(WalletrixVault.SpendingLimitTimelockNotExpired.selector);
+        vault.applySpendingLimit(native);
+
+        // Anyone can apply it after the timelock
+        vm.warp(executeAfter);
+        vm.prank(attacker);
+        vault.applySpendingLimit(native);
+        assertEq(vault.spendingLimits(native), 5 ether, "Raise applied");
+
+        // Lowering is instant and drops a queued removal
+        vm.startPrank(owner);
+        vault.setSpendingLimit(native, 0);
+        assertEq(vault.spendingLimits(native), 5 ether, "Removal is queued");
+        vault.setSpendingLimit(native, 0.5 ether);
+        assertEq(vault.spendingLimits(native), 0.5 ether, "Lowered at once");
+        (, executeAfter) = vault.pendingSpendingLimits(native);
+        assertEq(executeAfter, 0, "Queued removal dropped");
+
+        vm.expectRevert(WalletrixVault.NoSpendingLimitChangePending.selector);
+        vault.cancelSpendingLimitChange(native);
+        vm.stopPrank();
+
+        vm.prank(attacker);
+        vm.expectRevert(WalletrixVault.OnlyOwner.selector);
+        vault.setSpendingLimit(native, 0.1 ether);
+    }
+
+    function test_SpendingLimitBlocksUpgradeAndLargePrefund() public {
+        address native = vault.NATIVE_ASSET();
+
+        vm.prank(owner);
+        vault.setSpendingLimit(native, 1 ether);
+
+        // A new implementation could ignore the limits
+        address newImplementation = makeAddr("newImplementation");
+        vm.prank(owner);
+        vm.expectRevert(
+            WalletrixVault.UpgradeBlockedBySpendingLimits.selector
+        );
+        vault.upgradeToAndCall(newImplementation, "");
+
+        // Nor can one op's gas prefund move more than the limit
+        bytes32 userOpHash = keccak256("prefund_op");
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(
+            ownerKey,
+            userOpHash.toEthSignedMessageHash()
+        );
+        PackedUserOperation memory userOp = _buildUserOp(
+            abi.encodePacked(r, s, v)
+        );
+
+        vm.prank(address(entryPoint));
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                WalletrixVault.SpendingLimitExceeded.selector,
+                native,
+                2 ether,
+                1 ether
+            )
+        );
+        vault.validateUserOp(userOp, userOpHash, 2 ether);
+    }
+
     // ──────────────────────────────────────────────
     //  Guardian Management Tests
     // ──────────────────────────────────────────────
@@ -348,6 +868,38 @@ contract WalletrixVaultTest is Test {
         );
     }
 
+    function test_PendingRecoveryIsReadable() public {
+        _setupRecovery();
+
+        vm.prank(guardian1);
+        vault.initiateRecovery(newOwner);
+        vm.prank(guardian2);
+        vault.approveRecovery();
+
+        (
+            address proposedOwner,
+            uint256 executeAfter,
+            uint256 approvalCount
+        ) = vault.getPendingRecovery();
+        assertEq(proposedOwner, newOwner, "Proposed owner");
+        assertEq(
+            executeAfter,
+            block.timestamp + vault.RECOVERY_TIMELOCK(),
+            "Timelock end"
+        );
+        assertEq(approvalCount, 2, "Two approvals");
+        assertTrue(vault.hasApprovedRecovery(guardian2), "Guardian 2 approved");
+        assertFalse(vault.hasApprovedRecovery(guardian3), "Guardian 3 has not");
+
+        vm.prank(owner);
+        vault.cancelRecovery();
+
+        (proposedOwner, , approvalCount) = vault.getPendingRecovery();
+        assertEq(proposedOwner, address(0), "Cleared on cancel");
+        assertEq(approvalCount, 0, "Approvals cleared");
+        assertFalse(vault.hasApprovedRecovery(guardian1), "No approval left");
+    }
+
     function test_RecoveryFailsBeforeTimelock() public {
         _setupRecovery();
 
@@ -448,6 +1000,67 @@ contract WalletrixVaultTest is Test {
             });
     }
 
+    /// @dev Grant `key` transfer() on `token`, up to 0.1 ETH per call, for one day.
+    function _grantTransferSessionKey(address key, address token) internal {
+        WalletrixVault.SessionPermission[]
+            memory permissions = new WalletrixVault.SessionPermission[](1);
+        permissions[0] = WalletrixVault.SessionPermission(
+            token,
+            TRANSFER_SELECTOR
+        );
+
+        vm.prank(owner);
+        vault.grantSessionKey(
+            key,
+            uint48(block.timestamp),
+            uint48(block.timestamp + 1 days),
+            0.1 ether,
+            permissions
+        );
+    }
+
+    /// @dev Sign a UserOperation carrying `callData` with `signerKey` and validate it.
+    function _validateAs(
+        uint256 signerKey,
+        bytes memory callData
+    ) internal returns (uint256) {
+        PackedUserOperation memory userOp = _buildUserOp("");
+        userOp.callData = callData;
+        return _validateOpAs(signerKey, userOp);
+    }
+
+    /// @dev Sign `userOp` with `signerKey` and validate it.
+    function _validateOpAs(
+        uint256 signerKey,
+        PackedUserOperation memory userOp
+    ) internal returns (uint256) {
+        bytes32 userOpHash = keccak256(abi.encode("session_op", userOp));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(
+            signerKey,
+            userOpHash.toEthSignedMessageHash()
+        );
+        userOp.signature = abi.encodePacked(r, s, v);
+
+        vm.prank(address(entryPoint));
+        return vault.validateUserOp(userOp, userOpHash, 0);
+    }
+
+    /// @dev Validate an owner-signed UserOperation that pays `prefund` to the EntryPoint.
+    function _validateWithPrefund(uint256 prefund) internal {
+        bytes32 userOpHash = keccak256(abi.encode("prefund_op", prefund));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(
+            ownerKey,
+            userOpHash.toEthSignedMessageHash()
+        );
+
+        vm.prank(address(entryPoint));
+        vault.validateUserOp(
+            _buildUserOp(abi.encodePacked(r, s, v)),
+            userOpHash,
+            prefund
+        );
+    }
+
     function _addThreeGuardians() internal {
         vm.startPrank(owner);
         vault.addGuardian(guardian1);
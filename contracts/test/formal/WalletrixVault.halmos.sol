@@ -13,6 +13,8 @@ import {IEntryPoint} from "@account-abstraction/interfaces/IEntryPoint.sol";
  *      1. Recovery CANNOT bypass the M-of-N guardian threshold.
  *      2. Only the legitimate owner can execute transactions.
  *      3. Ownership transfer can only occur via the recovery mechanism.
+ *      4. The owner cannot move more than the daily limit within 24 hours,
+ *         nor raise the limit before its timelock expires.
  *
  *      Run with:
  *        halmos --contract WalletrixVaultHalmos --solver-timeout-assertion 0
@@ -27,6 +29,7 @@ contract WalletrixVaultHalmos is Test {
     address public constant GUARDIAN_2 = address(0xA2);
     address public constant GUARDIAN_3 = address(0xA3);
     address public constant NEW_OWNER = address(0xBEEF);
+    address public constant RECIPIENT = address(0xD00D);
 
     function setUp() public {
         entryPoint = IEntryPoint(address(0xEEEE));
@@ -156,4 +159,59 @@ contract WalletrixVaultHalmos is Test {
         assert(vault.recoveryPending() == false);
         assert(vault.owner() == OWNER);
     }
+
+    /**
+     * @notice FORMAL PROOF: The owner cannot send more than the daily limit
+     *         within 24 hours, however the sends are sized or spaced.
+     * @dev Models a compromised owner key: both sends are fully symbolic and
+     *      may land anywhere inside one window.
+     */
+    function check_execute_cannot_exceed_daily_limit(
+        uint256 first,
+        uint256 second,
+        uint256 elapsed
+    ) public {
+        address native = vault.NATIVE_ASSET();
+        vm.assume(elapsed < 24 hours);
+        vm.deal(address(vault), 10 ether);
+
+        vm.prank(OWNER);
+        vault.setSpendingLimit(native, 1 ether);
+
+        vm.prank(OWNER);
+        try vault.execute(RECIPIENT, first, "") {} catch {}
+
+        vm.warp(block.timestamp + elapsed);
+
+        vm.prank(OWNER);
+        try vault.execute(RECIPIENT, second, "") {} catch {}
+
+        assert(RECIPIENT.balance <= 1 ether);
+    }
+
+    /**
+     * @notice FORMAL PROOF: A raised limit cannot apply before its timelock.
+     * @dev For any higher limit and any delay shorter than the timelock,
+     *      applySpendingLimit() must revert and the old limit must stand.
+     */
+    function check_limit_raise_requires_timelock(
+        uint256 newLimit,
+        uint256 elapsed
+    ) public {
+        address native = vault.NATIVE_ASSET();
+        vm.assume(newLimit > 1 ether && newLimit <= type(uint192).max);
+        vm.assume(elapsed < 48 hours);
+
+        vm.startPrank(OWNER);
+        vault.setSpendingLimit(native, 1 ether);
+        vault.setSpendingLimit(native, newLimit);
+        vm.stopPrank();
+
+        vm.warp(block.timestamp + elapsed);
+
+        vm.expectRevert(WalletrixVault.SpendingLimitTimelockNotExpired.selector);
+        vault.applySpendingLimit(native);
+
+        assert(vault.spendingLimits(native) == 1 ether);
+    }
 }
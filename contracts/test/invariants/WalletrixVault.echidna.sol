@@ -3,6 +3,7 @@ pragma solidity 0.8.28;
 
 import {WalletrixVault} from "../../src/WalletrixVault.sol";
 import {WalletrixVaultFactory} from "../../src/WalletrixVaultFactory.sol";
+import {BaseAccount} from "@account-abstraction/core/BaseAccount.sol";
 import {IEntryPoint} from "@account-abstraction/interfaces/IEntryPoint.sol";
 import {
     PackedUserOperation
@@ -11,7 +12,9 @@ import {
 /**
  * @title WalletrixVaultEchidna
  * @notice Echidna invariant tests for WalletrixVault.
- * @dev Targets signature replay, ownership integrity, and guardian threshold invariants.
+ * @dev Targets signature replay, ownership integrity, guardian threshold, and
+ *      spending limit invariants. Give the contract an ETH balance
+ *      (balanceContract) so the spending actions have something to move.
  *
  *      Run with:
  *        echidna contracts/test/invariants/WalletrixVault.echidna.sol \
@@ -27,6 +30,12 @@ contract WalletrixVaultEchidna {
     address public constant GUARDIAN_1 = address(0xA1);
     address public constant GUARDIAN_2 = address(0xA2);
     address public constant GUARDIAN_3 = address(0xA3);
+    address public constant RECIPIENT = address(0xBEEF);
+
+    uint256 public constant DAILY_LIMIT = 1 ether;
+
+    /// @dev The native limit as last applied through applyLimit
+    uint256 internal _appliedLimit;
 
     constructor() {
         // Use a dummy EntryPoint address
@@ -136,6 +145,89 @@ contract WalletrixVaultEchidna {
         }
     }
 
+    // ──────────────────────────────────────────────
+    //  Invariant 7: Outflow in the window never exceeds the limit
+    // ──────────────────────────────────────────────
+
+    /// @notice ETH sent in the last 24 hours must stay within the native limit.
+    /// @dev The fuzzed actions only raise the limit, so it never drops below
+    ///      what was already spent.
+    function echidna_spent_within_limit() public view returns (bool) {
+        address native = vault.NATIVE_ASSET();
+        return vault.spentInWindow(native) <= vault.spendingLimits(native);
+    }
+
+    // ──────────────────────────────────────────────
+    //  Invariant 8: Raising a limit cannot bypass its timelock
+    // ──────────────────────────────────────────────
+
+    /// @notice The limit only changes by applying a queued raise.
+    function echidna_limit_changes_only_when_applied()
+        public
+        view
+        returns (bool)
+    {
+        return vault.spendingLimits(vault.NATIVE_ASSET()) == _appliedLimit;
+    }
+
+    /// @notice A queued raise cannot be applied before its timelock expires.
+    function echidna_limit_raise_respects_timelock() public returns (bool) {
+        (, uint256 executeAfter) = vault.pendingSpendingLimits(
+            vault.NATIVE_ASSET()
+        );
+        if (executeAfter == 0 || block.timestamp >= executeAfter) {
+            return true; // Nothing pending, or legitimately applicable
+        }
+
+        try vault.applySpendingLimit(vault.NATIVE_ASSET()) {
+            return false;
+        } catch {
+            return true;
+        }
+    }
+
+    // ──────────────────────────────────────────────
+    //  Fuzzed Actions
+    // ──────────────────────────────────────────────
+
+    /// @notice Try to send up to the vault's whole balance as the owner.
+    function spend(uint256 amount) public {
+        amount = amount % (address(vault).balance + 1);
+        try vault.execute(RECIPIENT, amount, hex"") {} catch {}
+    }
+
+    /// @notice Try to send in a batch, split across several calls.
+    function spendBatch(uint256 amount, uint8 parts) public {
+        uint256 count = uint256(parts % 4) + 1;
+        amount = amount % (address(vault).balance / count + 1);
+
+        BaseAccount.Call[] memory calls = new BaseAccount.Call[](count);
+        for (uint256 i = 0; i < count; ) {
+            calls[i] = BaseAccount.Call(RECIPIENT, amount, hex"");
+            unchecked {
+                ++i;
+            }
+        }
+        try vault.executeBatch(calls) {} catch {}
+    }
+
+    /// @notice Queue a higher native limit.
+    function queueRaise(uint256 increase) public {
+        address native = vault.NATIVE_ASSET();
+        uint256 limit = vault.spendingLimits(native) +
+            (increase % DAILY_LIMIT) +
+            1;
+        try vault.setSpendingLimit(native, limit) {} catch {}
+    }
+
+    /// @notice Apply the queued raise if its timelock has run out.
+    function applyLimit() public {
+        address native = vault.NATIVE_ASSET();
+        try vault.applySpendingLimit(native) {
+            _appliedLimit = vault.spendingLimits(native);
+        } catch {}
+    }
+
     // ──────────────────────────────────────────────
     //  Helpers
     // ──────────────────────────────────────────────
@@ -151,5 +243,8 @@ contract WalletrixVaultEchidna {
         vault.addGuardian(GUARDIAN_2);
         vault.addGuardian(GUARDIAN_3);
         vault.setRecoveryThreshold(2);
+
+        vault.setSpendingLimit(vault.NATIVE_ASSET(), DAILY_LIMIT);
+        _appliedLimit = DAILY_LIMIT;
     }
 }
@@ -1,13 +1,14 @@
 'use client'
 
 import { useState, useEffect, useRef } from 'react'
-import { Wallet, Send, Download, Settings, LogOut, Plus, FileDown, User, Users, Trash2, Menu, X, Lock, ChevronRight, ArrowLeft, Bot } from 'lucide-react'
+import { Wallet, Send, Download, Settings, LogOut, Plus, FileDown, User, Users, Trash2, Menu, X, Lock, ChevronRight, ArrowLeft, Bot, Eye } from 'lucide-react'
 import { useWallet } from '@/contexts/DatabaseWalletContext'
 import { useUser, useClerk, SignedIn, SignedOut, SignInButton, UserButton, useAuth } from '@clerk/nextjs'
 import toast from 'react-hot-toast'
 import { telegramAPI } from '@/lib/api'
 import CreateWallet from '@/components/CreateWallet'
 import ImportWallet from '@/components/ImportWallet'
+import WatchOnlyWallet from '@/components/WatchOnlyWallet'
 import UnlockWallet from '@/components/UnlockWallet'
 import Dashboard from '@/components/Dashboard'
 import SendModal from '@/components/SendModal'
@@ -238,6 +239,11 @@ export default function Home() {
       return
     }
 
+    if (wallet?.watchOnly && (!walletId || walletId === activeWalletId)) {
+      toast.error('Watch-only wallets cannot send. Switch to a wallet with keys to fund the bot.')
+      return
+    }
+
     if (walletId && walletId !== activeWalletId) {
       await switchWallet(walletId)
     } else if (!wallet && activeWalletId) {
@@ -567,6 +573,11 @@ export default function Home() {
                                             Active
                                           </span>
                                         )}
+                                        {w.watchOnly && (
+                                          <span className="rounded-full bg-purple-500/20 px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide text-purple-200">
+                                            Watch-only
+                                          </span>
+                                        )}
                                       </div>
                                       {getWalletCardSummary(w) ? (
                                         <p className="mt-1 text-sm text-slate-300 truncate">
@@ -580,7 +591,7 @@ export default function Home() {
                                     <ChevronRight className="w-5 h-5 text-slate-500 group-hover:text-blue-400 group-hover:translate-x-1 transition-all" />
                                   </div>
                                 </button>
-                                {telegramBotWalletAddress && (
+                                {telegramBotWalletAddress && !w.watchOnly && (
                                   <button
                                     onClick={async () => {
                                       await handleFundBotWallet(telegramBotWalletAddress, w.id)
@@ -594,7 +605,8 @@ export default function Home() {
                                 )}
                                 <button
                                   onClick={async () => {
-                                    if (confirm(`Delete "${w.name || 'Unnamed Wallet'}"? Make sure you've backed up your recovery phrase.`)) {
+                                    const warning = w.watchOnly ? 'Only the watch list is removed.' : "Make sure you've backed up your recovery phrase.";
+                                    if (confirm(`Delete "${w.name || 'Unnamed Wallet'}"? ${warning}`)) {
                                       await deleteDatabaseWallet(w.id);
                                     }
                                   }}
@@ -649,6 +661,13 @@ export default function Home() {
                           <FileDown className="w-5 h-5" />
                           Import Existing Wallet
                         </button>
+                        <button
+                          onClick={() => setView('watch-only')}
+                          className="w-full py-3 px-6 bg-slate-700/50 hover:bg-slate-600/50 text-slate-200 font-medium rounded-xl transition-all duration-300 flex items-center justify-center gap-2 border border-slate-600/50 hover:border-slate-500/50"
+                        >
+                          <Eye className="w-5 h-5" />
+                          Add Watch-only Wallet
+                        </button>
                       </div>
                     </>
                   )}
@@ -744,6 +763,21 @@ export default function Home() {
               </ErrorBoundary>
             </div>
           )}
+
+          {view === 'watch-only' && (
+            <div className="py-8">
+              <button
+                onClick={() => setView('welcome')}
+                className="mb-8 flex items-center gap-2 text-slate-400 hover:text-white transition-colors px-3 py-2 hover:bg-slate-800/50 rounded-lg"
+              >
+                <ArrowLeft className="w-5 h-5" />
+                <span>Back</span>
+              </button>
+              <ErrorBoundary>
+                <WatchOnlyWallet onComplete={() => setView('dashboard')} />
+              </ErrorBoundary>
+            </div>
+          )}
         </div>
 
         {/* Auth handled by Clerk modals */}
@@ -1194,26 +1228,28 @@ export default function Home() {
         {/* Quick Actions Bar */}
         <div className="max-w-4xl mx-auto mb-6 relative" style={{ zIndex: 1 }}>
           <div className="bg-slate-800/60 backdrop-blur-xl rounded-2xl p-4 border border-slate-700/50">
-            <div className={`grid gap-3 ${telegramBotWalletAddress ? 'grid-cols-1 sm:grid-cols-3' : 'grid-cols-2'}`}>
-              <button
-                data-tour="send-button"
-                onClick={() => {
-                  const [chain] = (selectedNetwork || 'ethereum-mainnet').split('-');
-                  let asset;
-                  if (chain === 'bitcoin') {
-                    asset = { name: 'Bitcoin', symbol: 'BTC', balance: balances.bitcoin || '0', priceData: prices.bitcoin, icon: '₿' };
-                  } else if (chain === 'solana') {
-                    asset = { name: 'Solana', symbol: 'SOL', balance: balances.solana || '0', priceData: prices.solana, icon: '◎' };
-                  } else {
-                    asset = { name: 'Ethereum', symbol: 'ETH', balance: balances.ethereum || '0', priceData: prices.ethereum, icon: 'Ξ' };
-                  }
-                  handleQuickAction('send', asset);
-                }}
-                className="flex items-center justify-center gap-3 py-4 px-6 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-400 hover:to-blue-500 text-white font-semibold rounded-xl transition-all hover:scale-[1.02] shadow-lg shadow-blue-500/20"
-              >
-                <Send className="w-5 h-5" />
-                <span>Send</span>
-              </button>
+            <div className={`grid gap-3 ${wallet?.watchOnly ? 'grid-cols-1' : telegramBotWalletAddress ? 'grid-cols-1 sm:grid-cols-3' : 'grid-cols-2'}`}>
+              {!wallet?.watchOnly && (
+                <button
+                  data-tour="send-button"
+                  onClick={() => {
+                    const [chain] = (selectedNetwork || 'ethereum-mainnet').split('-');
+                    let asset;
+                    if (chain === 'bitcoin') {
+                      asset = { name: 'Bitcoin', symbol: 'BTC', balance: balances.bitcoin || '0', priceData: prices.bitcoin, icon: '₿' };
+                    } else if (chain === 'solana') {
+                      asset = { name: 'Solana', symbol: 'SOL', balance: balances.solana || '0', priceData: prices.solana, icon: '◎' };
+                    } else {
+                      asset = { name: 'Ethereum', symbol: 'ETH', balance: balances.ethereum || '0', priceData: prices.ethereum, icon: 'Ξ' };
+                    }
+                    handleQuickAction('send', asset);
+                  }}
+                  className="flex items-center justify-center gap-3 py-4 px-6 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-400 hover:to-blue-500 text-white font-semibold rounded-xl transition-all hover:scale-[1.02] shadow-lg shadow-blue-500/20"
+                >
+                  <Send className="w-5 h-5" />
+                  <span>Send</span>
+                </button>
+              )}
               <button
                 data-tour="receive-button"
                 onClick={() => {
@@ -1233,7 +1269,7 @@ export default function Home() {
                 <Download className="w-5 h-5" />
                 <span>Receive</span>
               </button>
-              {telegramBotWalletAddress && (
+              {telegramBotWalletAddress && !wallet?.watchOnly && (
                 <button
                   onClick={() => handleFundBotWallet(telegramBotWalletAddress)}
                   className="flex items-center justify-center gap-3 py-4 px-6 bg-gradient-to-r from-sky-500 to-cyan-500 hover:from-sky-400 hover:to-cyan-400 text-white font-semibold rounded-xl transition-all hover:scale-[1.02] shadow-lg shadow-sky-500/20"
@@ -1,9 +1,56 @@
 'use client'
 
 import { useState, useEffect, useCallback } from 'react';
-import { X, ArrowUpRight, ArrowDownRight, Search, Filter, Download, Calendar, TrendingUp, SortAsc, SortDesc } from 'lucide-react';
+import { X, ArrowUpRight, ArrowDownRight, Search, Filter, Download, Calendar, TrendingUp, SortAsc, SortDesc, Zap } from 'lucide-react';
 import api, { blockchainAPI } from '../lib/api';
 import toast from 'react-hot-toast';
+import BitcoinFeeBumpModal from './BitcoinFeeBumpModal';
+
+// Net effect of a Bitcoin transaction on `address`, from the per-input/output values in history.
+function mapBitcoinTransaction(tx, address, network) {
+  const sum = (entries) => entries
+    .filter(entry => entry.address === address)
+    .reduce((total, entry) => total + parseFloat(entry.value || 0), 0);
+  const net = sum(tx.outputs || []) - sum(tx.inputs || []);
+  const isIncoming = net > 0;
+
+  return {
+    ...tx,
+    network,
+    txHash: tx.hash,
+    from: tx.inputs?.[0]?.address,
+    to: isIncoming ? address : (tx.outputs || []).find(output => output.address !== address)?.address,
+    isIncoming,
+    amount: Math.abs(net).toFixed(8),
+    tokenSymbol: 'BTC',
+    timestamp: tx.confirmed || tx.received,
+    status: tx.confirmations > 0 ? 'confirmed' : 'pending'
+  };
+}
+
+// A Solana row is summarised by its first transfer touching the wallet; the rest are counted.
+function mapSolanaTransaction(tx, network) {
+  const transfers = tx.transfers || [];
+  const primary = transfers.find(transfer => transfer.direction !== 'self') || transfers[0];
+  const labels = { in: 'Received', out: 'Sent', self: 'Self transfer', mixed: 'Swap / multiple transfers' };
+
+  return {
+    ...tx,
+    network,
+    hash: tx.signature,
+    txHash: tx.signature,
+    from: primary?.from,
+    to: primary?.to,
+    counterparty: primary?.counterparty,
+    isIncoming: tx.direction === 'in',
+    label: labels[tx.direction] || (tx.decoded ? 'Program interaction' : 'Transaction'),
+    amount: primary?.amount || '0',
+    tokenSymbol: primary ? (primary.symbol || (primary.mint ? `${primary.mint.slice(0, 4)}…` : 'SPL')) : 'SOL',
+    extraTransfers: Math.max(transfers.length - 1, 0),
+    timestamp: tx.blockTime ? String(tx.blockTime) : null,
+    status: tx.status === 'failed' ? 'failed' : (tx.confirmationStatus === 'processed' ? 'pending' : 'confirmed'),
+  };
+}
 
 export default function AllTransactionsModal({ isOpen, onClose, transactions: initialTransactions, wallet, selectedNetwork, onTransactionClick }) {
   const [searchTerm, setSearchTerm] = useState('');
@@ -27,6 +74,9 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
   const itemsPerPage = 10;
   const [allTransactions, setAllTransactions] = useState([]);
   const [fetchingFromBlockchain, setFetchingFromBlockchain] = useState(false);
+  const [feeBumpTx, setFeeBumpTx] = useState(null);
+  const [solanaCursor, setSolanaCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
 
   const fetchFreshTransactions = useCallback(async () => {
     if (!wallet) return;
@@ -74,21 +124,32 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
         if (response.success && response.transactions) {
 
           const validTxs = response.transactions
-            .filter(tx => tx.hash && (tx.value_btc || tx.value))
-            .map(tx => ({
-              ...tx,
-              network: selectedNetwork,
-              txHash: tx.hash,
-              amount: tx.value_btc || tx.value || '0',
-              tokenSymbol: 'BTC',
-              status: tx.status || 'confirmed'
-            }));
+            .filter(tx => tx.hash)
+            .map(tx => mapBitcoinTransaction(tx, address, selectedNetwork));
           setAllTransactions(validTxs);
           toast.success(`Loaded ${validTxs.length} transactions from blockchain`);
         } else {
           setAllTransactions([]);
           toast('No transactions found on blockchain');
         }
+      } else if (chain === 'solana') {
+        const address = wallet.solana?.address;
+        if (!address) {
+          toast.error('No Solana address found');
+          return;
+        }
+
+        const response = await blockchainAPI.getSolanaTransactions(address, network, 50);
+
+        if (response.success && response.transactions?.length > 0) {
+          setAllTransactions(response.transactions.map(tx => mapSolanaTransaction(tx, selectedNetwork)));
+          setSolanaCursor(response.nextCursor);
+          toast.success(`Loaded ${response.transactions.length} transactions from blockchain`);
+        } else {
+          setAllTransactions([]);
+          setSolanaCursor(null);
+          toast('No transactions found on blockchain');
+        }
       }
     } catch (error) {
       console.error('Error fetching transactions from blockchain:', error);
@@ -105,6 +166,25 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
     }
   }, [wallet, selectedNetwork, initialTransactions]);
 
+  const loadOlderSolanaTransactions = async () => {
+    if (!solanaCursor || !wallet?.solana?.address) return;
+
+    setLoadingOlder(true);
+    try {
+      const network = selectedNetwork.split('-')[1];
+      const response = await blockchainAPI.getSolanaTransactions(wallet.solana.address, network, 50, solanaCursor);
+      if (response.success) {
+        setAllTransactions(prev => [...prev, ...response.transactions.map(tx => mapSolanaTransaction(tx, selectedNetwork))]);
+        setSolanaCursor(response.nextCursor);
+      }
+    } catch (error) {
+      console.error('Error loading older Solana transactions:', error);
+      toast.error('Failed to load older transactions');
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
   useEffect(() => {
     if (isOpen) {
       setCurrentPage(1);
@@ -127,6 +207,7 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
       setAmountMax('');
       setIsAdvancedSearch(false);
       setAllTransactions([]);
+      setSolanaCursor(null);
     }
   }, [isOpen, wallet?.id, fetchFreshTransactions]);
 
@@ -141,14 +222,16 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
         filtered = filtered.filter(tx =>
           tx.hash?.toLowerCase().includes(search) ||
           tx.from?.toLowerCase().includes(search) ||
-          tx.to?.toLowerCase().includes(search)
+          tx.to?.toLowerCase().includes(search) ||
+          tx.memo?.toLowerCase().includes(search)
         );
       }
 
       if (filterType !== 'all') {
         const isOutgoing = (tx) =>
           tx.from?.toLowerCase() === wallet?.ethereum?.address?.toLowerCase() ||
-          tx.from?.toLowerCase() === wallet?.bitcoin?.address?.toLowerCase();
+          tx.from?.toLowerCase() === wallet?.bitcoin?.address?.toLowerCase() ||
+          (!!wallet?.solana?.address && tx.from === wallet.solana.address);
 
         if (filterType === 'outgoing') {
           filtered = filtered.filter(tx => isOutgoing(tx));
@@ -588,7 +671,7 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
                           <div className="flex-1 min-w-0">
                             <div className="flex items-center gap-3 mb-1">
                               <p className="text-blue-50 font-semibold">
-                                {isOutgoing ? 'Sent' : 'Received'}
+                                {tx.label || (isOutgoing ? 'Sent' : 'Received')}
                               </p>
                               <span className={`px-2 py-1 rounded-lg text-xs font-semibold ${
                                 tx.status === 'confirmed' ? 'bg-green-500/20 text-green-300 border border-green-500/30' :
@@ -606,6 +689,22 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
                               <span className="text-blue-400/60">•</span>
                               <span>{tx.tokenSymbol}</span>
                             </div>
+
+                            {(tx.counterparty || tx.memo || tx.extraTransfers > 0) && (
+                              <div className="flex items-center gap-2 mt-1 text-xs text-blue-300/70">
+                                {tx.counterparty && (
+                                  <span>
+                                    {tx.isIncoming ? 'From' : 'To'} <span className="font-mono">{formatHash(tx.counterparty)}</span>
+                                  </span>
+                                )}
+                                {tx.extraTransfers > 0 && (
+                                  <span className="text-blue-400/60">+{tx.extraTransfers} more transfer{tx.extraTransfers > 1 ? 's' : ''}</span>
+                                )}
+                                {tx.memo && (
+                                  <span className="italic truncate max-w-xs" title={tx.memo}>“{tx.memo}”</span>
+                                )}
+                              </div>
+                            )}
                           </div>
 
                           <div className="text-right">
@@ -622,6 +721,18 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
                                 ${parseFloat(tx.usdValue).toFixed(2)} USD
                               </p>
                             )}
+                            {tx.tokenSymbol === 'BTC' && tx.status === 'pending' && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setFeeBumpTx(tx);
+                                }}
+                                className="mt-1 inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs bg-orange-500/20 hover:bg-orange-500/30 text-orange-200 border border-orange-500/30"
+                              >
+                                <Zap className="w-3 h-3" />
+                                Speed up
+                              </button>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -631,6 +742,18 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
               })}
             </div>
           )}
+
+          {solanaCursor && (
+            <div className="flex justify-center mt-4">
+              <button
+                onClick={loadOlderSolanaTransactions}
+                disabled={loadingOlder}
+                className="px-4 py-2 bg-gradient-to-r from-blue-600/20 to-blue-800/20 hover:from-blue-500/30 hover:to-blue-700/30 border border-blue-500/30 rounded-lg text-blue-100 text-sm font-semibold transition-all duration-300 disabled:opacity-50"
+              >
+                {loadingOlder ? 'Loading...' : 'Load older transactions'}
+              </button>
+            </div>
+          )}
         </div>
 
         {}
@@ -666,6 +789,14 @@ export default function AllTransactionsModal({ isOpen, onClose, transactions: in
           </div>
         )}
       </div>
+
+      <BitcoinFeeBumpModal
+        isOpen={!!feeBumpTx}
+        onClose={() => setFeeBumpTx(null)}
+        tx={feeBumpTx}
+        network={selectedNetwork?.split('-')[1] || 'mainnet'}
+        onBumped={() => fetchFreshTransactions()}
+      />
     </div>
   );
 }
@@ -4,18 +4,25 @@ import { useState, useCallback } from 'react';
 import { Plus, Trash2, Send, ArrowRight, Loader2, Package, AlertCircle, GripVertical } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { ethers } from 'ethers';
+import { blockchainAPI } from '@/lib/api';
+import SimulationPreview from './SimulationPreview';
+
+const vaultInterface = new ethers.Interface([
+    'function executeBatch((address target, uint256 value, bytes data)[] calls)',
+]);
 
 /**
  * BatchTransactionBuilder
  * Queue multiple operations → preview → sign once via EIP-712 → submit.
  * This is a key differentiator of the Smart Vault — do multiple things in one tx.
  */
-export default function BatchTransactionBuilder({ vaultAddress, onSubmit, onClose }) {
+export default function BatchTransactionBuilder({ vaultAddress, ownerAddress, network = 'mainnet', onSubmit, onClose }) {
     const [transactions, setTransactions] = useState([
         { id: 1, to: '', value: '', data: '0x', label: '' },
     ]);
     const [step, setStep] = useState('build'); // 'build' | 'review' | 'signing' | 'submitted'
     const [submitting, setSubmitting] = useState(false);
+    const [simulation, setSimulation] = useState(null);
 
     const addTransaction = () => {
         if (transactions.length >= 10) {
@@ -56,9 +63,30 @@ export default function BatchTransactionBuilder({ vaultAddress, onSubmit, onClos
         return true;
     }, [transactions]);
 
-    const handleReview = () => {
+    const handleReview = async () => {
         if (!validateTransactions()) return;
         setStep('review');
+
+        // Dry-run the whole batch as the owner's executeBatch call on the vault.
+        if (!ownerAddress || !vaultAddress) {
+            setSimulation(null);
+            return;
+        }
+        setSimulation({ loading: true });
+        try {
+            const data = vaultInterface.encodeFunctionData('executeBatch', [
+                transactions.map(tx => [tx.to, ethers.parseEther(tx.value || '0'), tx.data || '0x']),
+            ]);
+            setSimulation(await blockchainAPI.simulateEthereumTransaction({
+                from: ownerAddress,
+                to: vaultAddress,
+                value: '0',
+                data,
+                accounts: [vaultAddress],
+            }, network));
+        } catch (error) {
+            setSimulation({ success: false, error: error.message });
+        }
     };
 
     const handleSubmit = async () => {
@@ -241,6 +269,8 @@ export default function BatchTransactionBuilder({ vaultAddress, onSubmit, onClos
                         </div>
                     ))}
 
+                    <SimulationPreview simulation={simulation} />
+
                     <div className="flex gap-3">
                         <button
                             onClick={() => setStep('build')}
@@ -254,7 +284,7 @@ export default function BatchTransactionBuilder({ vaultAddress, onSubmit, onClos
                             className="flex-1 py-3 bg-gradient-to-r from-cyan-500 to-blue-500 hover:from-cyan-400 hover:to-blue-400 text-white font-semibold rounded-xl transition-all flex items-center justify-center gap-2 shadow-lg shadow-cyan-500/25"
                         >
                             <Send className="w-4 h-4" />
-                            Sign & Submit
+                            {simulation?.willRevert ? 'Submit Anyway' : 'Sign & Submit'}
                         </button>
                     </div>
                 </div>
@@ -0,0 +1,189 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { Lock, Unlock, RefreshCw, Layers } from 'lucide-react';
+import { useWallet } from '@/contexts/DatabaseWalletContext';
+import toast from 'react-hot-toast';
+
+const utxoKey = (utxo) => `${utxo.txHash}:${utxo.outputIndex}`;
+
+/**
+ * UTXO list for the active wallet's Bitcoin address: pick coins for the
+ * next spend, freeze or label them, and consolidate small outputs.
+ * `getPrivateKey` resolves the decrypted Bitcoin key (or null) for consolidation.
+ */
+export default function BitcoinCoinControl({ walletId, network, selected, onSelectionChange, getPrivateKey }) {
+  const { getBitcoinUtxos, updateBitcoinUtxo, consolidateBitcoinUtxos } = useWallet();
+  const [expanded, setExpanded] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [consolidating, setConsolidating] = useState(false);
+  const [data, setData] = useState(null);
+  const [labelDrafts, setLabelDrafts] = useState({});
+
+  const loadUtxos = async () => {
+    setLoading(true);
+    const result = await getBitcoinUtxos(walletId, network);
+    setLoading(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to load UTXOs');
+      return;
+    }
+    setData(result);
+    setLabelDrafts(Object.fromEntries(result.utxos.map((utxo) => [utxoKey(utxo), utxo.label || ''])));
+    onSelectionChange(selected.filter((entry) => result.utxos.some((utxo) => !utxo.frozen && utxoKey(utxo) === utxoKey(entry))));
+  };
+
+  useEffect(() => {
+    if (expanded && walletId) {
+      loadUtxos();
+    }
+  }, [expanded, walletId, network]);
+
+  const isSelected = (utxo) => selected.some((entry) => utxoKey(entry) === utxoKey(utxo));
+
+  const toggleSelected = (utxo) => {
+    if (isSelected(utxo)) {
+      onSelectionChange(selected.filter((entry) => utxoKey(entry) !== utxoKey(utxo)));
+    } else {
+      onSelectionChange([...selected, { txHash: utxo.txHash, outputIndex: utxo.outputIndex }]);
+    }
+  };
+
+  const applyUpdate = (utxo, updated) => {
+    setData((prev) => ({
+      ...prev,
+      utxos: prev.utxos.map((entry) => (utxoKey(entry) === utxoKey(utxo) ? { ...entry, ...updated } : entry)),
+    }));
+  };
+
+  const toggleFrozen = async (utxo) => {
+    const result = await updateBitcoinUtxo(walletId, utxo, { frozen: !utxo.frozen });
+    if (result.success) {
+      applyUpdate(utxo, { frozen: result.utxo.frozen });
+      if (result.utxo.frozen && isSelected(utxo)) {
+        toggleSelected(utxo);
+      }
+    }
+  };
+
+  const saveLabel = async (utxo) => {
+    const draft = labelDrafts[utxoKey(utxo)] || '';
+    if (draft.trim() === (utxo.label || '')) return;
+
+    const result = await updateBitcoinUtxo(walletId, utxo, { label: draft });
+    if (result.success) {
+      applyUpdate(utxo, { label: result.utxo.label });
+    }
+  };
+
+  const handleConsolidate = async () => {
+    const privateKey = await getPrivateKey();
+    if (!privateKey) return;
+
+    setConsolidating(true);
+    const result = await consolidateBitcoinUtxos(walletId, { privateKey, network });
+    setConsolidating(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to consolidate UTXOs');
+      return;
+    }
+    toast.success(`Consolidated ${result.inputs} UTXOs (fee ${result.fee} BTC)`);
+    loadUtxos();
+  };
+
+  const selectedTotal = (data?.utxos || [])
+    .filter(isSelected)
+    .reduce((sum, utxo) => sum + utxo.value, 0);
+
+  return (
+    <div className="rounded-2xl border border-slate-700/50 bg-slate-800/30">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm text-slate-300 hover:text-white"
+      >
+        <span className="flex items-center gap-2">
+          <Layers className="w-4 h-4 text-orange-400" />
+          Coin control
+        </span>
+        <span className="text-xs text-slate-400">
+          {selected.length > 0 ? `${selected.length} selected · ${(selectedTotal / 1e8).toFixed(8)} BTC` : 'Automatic selection'}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="px-4 pb-4 space-y-3">
+          <div className="flex items-center justify-between text-xs text-slate-400">
+            <span>
+              {data ? `${data.summary.spendableValue} BTC spendable · ${data.summary.frozenValue} BTC frozen` : 'Loading UTXOs...'}
+            </span>
+            <button type="button" onClick={loadUtxos} disabled={loading} className="p-1 hover:text-white">
+              <RefreshCw className={`w-3.5 h-3.5 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+
+          <div className="max-h-56 overflow-y-auto space-y-2">
+            {data?.utxos.length === 0 && (
+              <p className="text-xs text-slate-500">No unspent outputs at this address.</p>
+            )}
+            {data?.utxos.map((utxo) => (
+              <div
+                key={utxoKey(utxo)}
+                className={`rounded-xl border p-3 ${utxo.frozen ? 'border-slate-700/50 opacity-60' : isSelected(utxo) ? 'border-orange-500/50 bg-orange-500/10' : 'border-slate-700/50'}`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <label className="flex items-center gap-2 min-w-0">
+                    <input
+                      type="checkbox"
+                      checked={isSelected(utxo)}
+                      disabled={utxo.frozen}
+                      onChange={() => toggleSelected(utxo)}
+                    />
+                    <span className="text-sm font-semibold text-white">{utxo.valueBTC} BTC</span>
+                    {utxo.consolidationCandidate && (
+                      <span className="text-[10px] px-1.5 py-0.5 rounded bg-yellow-500/20 text-yellow-300">small</span>
+                    )}
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => toggleFrozen(utxo)}
+                    className="flex items-center gap-1 text-xs text-slate-400 hover:text-white"
+                    title={utxo.frozen ? 'Unfreeze' : 'Freeze'}
+                  >
+                    {utxo.frozen ? <Lock className="w-3.5 h-3.5 text-blue-400" /> : <Unlock className="w-3.5 h-3.5" />}
+                    {utxo.frozen ? 'Frozen' : 'Freeze'}
+                  </button>
+                </div>
+                <p className="mt-1 text-[11px] font-mono text-slate-500 truncate">
+                  {utxo.txHash.substring(0, 12)}...:{utxo.outputIndex} · {utxo.confirmations} conf
+                </p>
+                <input
+                  type="text"
+                  value={labelDrafts[utxoKey(utxo)] ?? ''}
+                  onChange={(e) => setLabelDrafts((prev) => ({ ...prev, [utxoKey(utxo)]: e.target.value }))}
+                  onBlur={() => saveLabel(utxo)}
+                  placeholder="Label (e.g. source)"
+                  maxLength={100}
+                  className="mt-2 w-full px-2 py-1 text-xs bg-slate-900/60 border border-slate-700/50 rounded-lg text-slate-200 placeholder-slate-600 focus:outline-none focus:border-orange-500/50"
+                />
+              </div>
+            ))}
+          </div>
+
+          {data?.summary.consolidationCandidates > 1 && (
+            <button
+              type="button"
+              onClick={handleConsolidate}
+              disabled={consolidating}
+              className="w-full py-2 text-xs font-medium rounded-lg bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-200 disabled:opacity-50"
+            >
+              {consolidating ? 'Consolidating...' : `Consolidate ${data.summary.consolidationCandidates} small UTXOs`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
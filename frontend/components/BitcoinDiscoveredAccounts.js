@@ -0,0 +1,98 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { Search, RefreshCw } from 'lucide-react';
+import { blockchainAPI } from '@/lib/api';
+
+const ADDRESS_TYPE_LABELS = {
+  legacy: 'Legacy',
+  segwit: 'Native SegWit',
+  taproot: 'Taproot',
+};
+
+// m/84'/0'/0'/0/5 -> "segwit:0"
+const accountKey = (entry) => `${entry.addressType}:${entry.path.split('/')[3].replace("'", '')}`;
+
+/**
+ * Funds found by account discovery on import, grouped per address type and
+ * account with live balances. Sends only spend from the wallet's own
+ * address, so these are shown apart from the spendable balance.
+ */
+export default function BitcoinDiscoveredAccounts({ wallet, network }) {
+  const discovery = wallet?.bitcoin?.discovery;
+  const [accounts, setAccounts] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadBalances = async () => {
+    const entries = discovery.addresses.filter(entry => entry.address !== wallet.bitcoin.address);
+    setLoading(true);
+    try {
+      const results = await Promise.allSettled(entries.map(entry => blockchainAPI.getBitcoinBalance(entry.address, network)));
+      const grouped = {};
+      entries.forEach((entry, index) => {
+        const result = results[index];
+        const key = accountKey(entry);
+        grouped[key] = grouped[key] || { key, addressType: entry.addressType, account: key.split(':')[1], balance: 0, addresses: [] };
+        const balance = result.status === 'fulfilled' && result.value.success ? parseFloat(result.value.balance?.btc || '0') : null;
+        grouped[key].addresses.push({ ...entry, balance });
+        grouped[key].balance += balance || 0;
+      });
+      setAccounts(Object.values(grouped).filter(account => account.balance > 0));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (discovery?.addresses?.length && discovery.network === network) {
+      loadBalances();
+    } else {
+      setAccounts(null);
+    }
+  }, [wallet?.bitcoin?.address, network]);
+
+  if (!accounts?.length) {
+    return null;
+  }
+
+  return (
+    <div className="bg-slate-800/60 backdrop-blur-xl rounded-2xl p-5 border border-slate-700/50">
+      <div className="flex items-center gap-2 mb-2">
+        <Search className="w-4 h-4 text-orange-400" />
+        <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider">Other Bitcoin Accounts</h3>
+        <button
+          onClick={loadBalances}
+          disabled={loading}
+          className="ml-auto p-1.5 hover:bg-slate-700/50 rounded-lg transition-all"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 text-slate-400 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        Found on import. These funds are not in your balance above and cannot be sent from this wallet yet;
+        use a wallet that supports these derivation paths to move them.
+      </p>
+
+      <div className="space-y-3">
+        {accounts.map(account => (
+          <div key={account.key} className="bg-slate-700/40 rounded-xl p-4 border border-slate-600/30 space-y-2">
+            <div className="flex items-center justify-between">
+              <p className="text-white font-medium text-sm">
+                {ADDRESS_TYPE_LABELS[account.addressType] || account.addressType} · Account {account.account}
+              </p>
+              <p className="text-white font-semibold">
+                {account.balance.toFixed(8)} <span className="text-slate-400 text-sm">BTC</span>
+              </p>
+            </div>
+            {account.addresses.filter(entry => entry.balance).map(entry => (
+              <div key={entry.address} className="flex items-center justify-between text-xs">
+                <span className="text-slate-400 font-mono truncate mr-3">{entry.path} · {entry.address}</span>
+                <span className="text-slate-300">{entry.balance.toFixed(8)}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@clerk/nextjs';
+import { X, Zap, Shield } from 'lucide-react';
+import { useWallet } from '@/contexts/DatabaseWalletContext';
+import { blockchainAPI, transactionAPI, walletAPI } from '@/lib/api';
+import { getBitcoinPrivateKey } from '@/lib/utils';
+import toast from 'react-hot-toast';
+
+const FEE_TARGETS = [
+  { id: 'low', name: 'Slow' },
+  { id: 'medium', name: 'Normal' },
+  { id: 'high', name: 'Fast' },
+];
+
+/**
+ * Speed up a pending Bitcoin transaction, either by replacing it (RBF) or by
+ * spending one of its outputs with a high-fee child (CPFP).
+ */
+export default function BitcoinFeeBumpModal({ isOpen, onClose, tx, network = 'mainnet', onBumped }) {
+  const { wallet, activeWalletId } = useWallet();
+  const { getToken } = useAuth();
+  const [options, setOptions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [method, setMethod] = useState('rbf');
+  const [target, setTarget] = useState('high');
+  const [customRate, setCustomRate] = useState('');
+  const [password, setPassword] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !tx?.txHash || !wallet?.bitcoin?.address) return;
+
+    setOptions(null);
+    setPassword('');
+    setCustomRate('');
+    setLoading(true);
+    blockchainAPI.getBitcoinFeeBumpOptions(tx.txHash, wallet.bitcoin.address, network)
+      .then((result) => {
+        if (!result.success) {
+          toast.error(result.error || 'Failed to load fee options');
+          return;
+        }
+        setOptions(result);
+        setMethod(result.canReplace ? 'rbf' : 'cpfp');
+      })
+      .catch(() => toast.error('Failed to load fee options'))
+      .finally(() => setLoading(false));
+  }, [isOpen, tx?.txHash, wallet?.bitcoin?.address, network]);
+
+  if (!isOpen) return null;
+
+  const canCpfp = options?.cpfpOutputs?.length > 0;
+  const selectedRate = customRate ? Number(customRate) : options?.targets?.[target];
+
+  const handleSubmit = async () => {
+    if (!password) {
+      toast.error('Password is required to sign the fee bump');
+      return;
+    }
+    if (!selectedRate || selectedRate <= (options?.feeRate || 0)) {
+      toast.error(`Choose a fee rate above the current ${options?.feeRate} sat/vB`);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const decrypted = await walletAPI.decryptData(wallet.encryptedData || wallet.encrypted, password);
+      if (!decrypted.success) {
+        toast.error('Incorrect password');
+        return;
+      }
+
+      const walletData = JSON.parse(decrypted.decrypted || decrypted.data || '{}');
+      const privateKey = getBitcoinPrivateKey(walletData, wallet?.bitcoin?.addressType);
+      if (!privateKey) {
+        toast.error('Bitcoin key not found in wallet data');
+        return;
+      }
+
+      const token = await getToken();
+      const feeOptions = { network, feeRate: selectedRate };
+      const result = method === 'rbf'
+        ? await transactionAPI.bumpBitcoinFee(token, activeWalletId, privateKey, tx.txHash, feeOptions)
+        : await transactionAPI.cpfpBitcoinTransaction(token, privateKey, tx.txHash, feeOptions);
+
+      if (!result.success) {
+        toast.error(result.error || 'Fee bump failed');
+        return;
+      }
+
+      toast.success(method === 'rbf'
+        ? `Replacement broadcast: ${result.txHash.substring(0, 10)}...`
+        : `Child transaction broadcast: ${result.txHash.substring(0, 10)}...`);
+      onBumped?.(result);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'Fee bump failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-md flex items-center justify-center p-4" style={{ zIndex: 10000 }}>
+      <div className="bg-slate-900/95 rounded-3xl max-w-md w-full border border-blue-500/30 shadow-2xl shadow-blue-500/20 p-6 space-y-5">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-orange-500/20 rounded-xl flex items-center justify-center">
+              <Zap className="w-5 h-5 text-orange-400" />
+            </div>
+            <div>
+              <h3 className="text-lg font-bold text-white">Speed up transaction</h3>
+              <p className="text-xs font-mono text-blue-300/80">{tx?.txHash?.substring(0, 16)}...</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        {loading || !options ? (
+          <p className="text-sm text-blue-200">{loading ? 'Loading fee options...' : 'Fee options unavailable.'}</p>
+        ) : options.confirmed ? (
+          <p className="text-sm text-green-300">This transaction is already confirmed.</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between px-4 py-3 bg-slate-800/30 rounded-xl border border-slate-700/30 text-sm">
+              <span className="text-slate-400">Current fee</span>
+              <span className="text-blue-300">{options.fee} BTC · {options.feeRate} sat/vB</span>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={() => setMethod('rbf')}
+                disabled={!options.canReplace}
+                className={`py-3 rounded-xl text-sm font-medium border ${method === 'rbf' ? 'bg-blue-500/30 border-blue-400/50 text-white' : 'border-slate-700/50 text-slate-300'} disabled:opacity-40 disabled:cursor-not-allowed`}
+              >
+                Replace (RBF)
+              </button>
+              <button
+                onClick={() => setMethod('cpfp')}
+                disabled={!canCpfp}
+                className={`py-3 rounded-xl text-sm font-medium border ${method === 'cpfp' ? 'bg-blue-500/30 border-blue-400/50 text-white' : 'border-slate-700/50 text-slate-300'} disabled:opacity-40 disabled:cursor-not-allowed`}
+              >
+                Child pays (CPFP)
+              </button>
+            </div>
+            <p className="text-xs text-slate-400">
+              {method === 'rbf'
+                ? 'Re-signs the same payment with a higher fee; the original is dropped once the replacement confirms.'
+                : 'Spends your change from this transaction with a high fee so miners include both together.'}
+            </p>
+
+            <div className="space-y-2">
+              <div className="grid grid-cols-3 gap-2">
+                {FEE_TARGETS.map((option) => (
+                  <button
+                    key={option.id}
+                    onClick={() => { setTarget(option.id); setCustomRate(''); }}
+                    className={`py-2 rounded-lg text-xs border ${!customRate && target === option.id ? 'bg-orange-500/20 border-orange-400/50 text-orange-200' : 'border-slate-700/50 text-slate-300'}`}
+                  >
+                    {option.name}
+                    <span className="block text-[10px] text-slate-400">{options.targets?.[option.id] ?? '?'} sat/vB</span>
+                  </button>
+                ))}
+              </div>
+              <input
+                type="number"
+                min="1"
+                step="any"
+                value={customRate}
+                onChange={(e) => setCustomRate(e.target.value)}
+                placeholder="Custom fee rate (sat/vB)"
+                className="w-full px-4 py-3 bg-slate-800/50 border border-slate-700/50 rounded-xl text-white placeholder-slate-500 text-sm focus:outline-none focus:border-orange-500/50"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-sm text-slate-300">
+                <Shield className="w-4 h-4 text-purple-400" />
+                Wallet Password
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full px-4 py-3 bg-slate-800/50 border border-slate-700/50 rounded-xl text-white placeholder-slate-500 text-sm focus:outline-none focus:border-purple-500/50"
+                placeholder="Enter your password to authorize"
+              />
+            </div>
+
+            <button
+              onClick={handleSubmit}
+              disabled={submitting || (!options.canReplace && !canCpfp)}
+              className="w-full py-3 bg-gradient-to-r from-orange-500 to-yellow-500 hover:from-orange-400 hover:to-yellow-400 disabled:from-slate-700 disabled:to-slate-700 text-white font-semibold rounded-xl"
+            >
+              {submitting ? 'Broadcasting...' : `Bump to ${selectedRate || '?'} sat/vB`}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
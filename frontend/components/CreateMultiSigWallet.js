@@ -127,7 +127,7 @@ export default function CreateMultiSigWallet({ onClose, onSuccess }) {
                 requiredSignatures: formData.requiredSignatures,
             };
 
-            if (formData.network === 'ethereum') {
+            if (formData.network === 'ethereum' || formData.network === 'sepolia') {
                 payload.owners = formData.owners.filter(o => o.trim());
             } else {
                 payload.publicKeys = formData.publicKeys.filter(k => k.trim());
@@ -0,0 +1,166 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { PlusCircle, Trash2 } from 'lucide-react';
+import { useWallet } from '@/contexts/DatabaseWalletContext';
+import toast from 'react-hot-toast';
+
+const CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111,
+};
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+/**
+ * ERC-20 tokens the user added to this wallet by contract address. They are
+ * merged with the token lists, so they show up in balances and can be sent by
+ * symbol from the Telegram bot.
+ */
+export default function CustomTokens({ walletId, network }) {
+  const { getCustomTokens, addCustomToken, removeCustomToken } = useWallet();
+  const chainId = CHAIN_IDS[network];
+  const [customTokens, setCustomTokens] = useState([]);
+  const [form, setForm] = useState({ address: '', symbol: '', name: '', decimals: '' });
+  const [showDetails, setShowDetails] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadTokens = async () => {
+    const result = await getCustomTokens(walletId, chainId);
+    setCustomTokens(result.success ? result.tokens : []);
+  };
+
+  useEffect(() => {
+    if (walletId && chainId) {
+      loadTokens();
+    }
+  }, [walletId, chainId]);
+
+  if (!chainId) {
+    return null;
+  }
+
+  const handleAdd = async () => {
+    if (!form.address) {
+      toast.error('⚠️ Enter the token contract address');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await addCustomToken(walletId, {
+        chainId,
+        address: form.address.trim(),
+        ...(form.symbol && { symbol: form.symbol.trim() }),
+        ...(form.name && { name: form.name.trim() }),
+        ...(form.decimals !== '' && { decimals: Number(form.decimals) }),
+      });
+      if (!result.success) {
+        toast.error(result.error || 'Failed to add token');
+        if (result.error?.includes('enter name, symbol and decimals')) {
+          setShowDetails(true);
+        }
+        return;
+      }
+
+      toast.success(`Added ${result.token.symbol}`);
+      setForm({ address: '', symbol: '', name: '', decimals: '' });
+      setShowDetails(false);
+      await loadTokens();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (token) => {
+    const result = await removeCustomToken(walletId, token.id);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to remove token');
+      return;
+    }
+    toast.success(`Removed ${token.symbol}`);
+    await loadTokens();
+  };
+
+  const inputClass = 'px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-blue-500/50';
+
+  return (
+    <div className="bg-slate-800/60 backdrop-blur-xl rounded-2xl p-5 border border-slate-700/50">
+      <div className="flex items-center gap-2 mb-4">
+        <PlusCircle className="w-4 h-4 text-blue-400" />
+        <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider">Custom Tokens</h3>
+      </div>
+
+      {customTokens.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-3">Tokens from the token lists are tracked automatically. Add any other ERC-20 by its contract address.</p>
+      ) : (
+        <div className="space-y-2 mb-3">
+          {customTokens.map(token => (
+            <div key={token.id} className="flex items-center justify-between bg-slate-700/40 rounded-xl px-4 py-2 border border-slate-600/30">
+              <div>
+                <p className="text-white text-sm font-medium">{token.symbol} <span className="text-slate-400 font-normal">{token.name}</span></p>
+                <p className="text-slate-400 text-xs font-mono">{shorten(token.address)} · {token.decimals} decimals</p>
+              </div>
+              <button
+                onClick={() => handleRemove(token)}
+                className="p-1.5 hover:bg-slate-600/50 rounded-lg transition-all"
+                title="Remove token"
+              >
+                <Trash2 className="w-3.5 h-3.5 text-slate-400" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <input
+          type="text"
+          value={form.address}
+          onChange={(e) => setForm(prev => ({ ...prev, address: e.target.value }))}
+          placeholder="Token contract address (0x...)"
+          className={`w-full font-mono ${inputClass}`}
+        />
+        {showDetails && (
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={form.symbol}
+              onChange={(e) => setForm(prev => ({ ...prev, symbol: e.target.value }))}
+              placeholder="Symbol"
+              className={`w-24 ${inputClass}`}
+            />
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name"
+              className={`flex-1 ${inputClass}`}
+            />
+            <input
+              type="number"
+              value={form.decimals}
+              onChange={(e) => setForm(prev => ({ ...prev, decimals: e.target.value }))}
+              placeholder="Decimals"
+              className={`w-24 ${inputClass}`}
+            />
+          </div>
+        )}
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleAdd}
+            disabled={saving}
+            className="rounded-xl bg-gradient-to-r from-blue-500 to-purple-500 px-4 py-2 text-sm font-semibold text-white transition-all hover:from-blue-400 hover:to-purple-400 disabled:opacity-50"
+          >
+            {saving ? 'Adding...' : 'Add Token'}
+          </button>
+          {!showDetails && (
+            <button onClick={() => setShowDetails(true)} className="text-xs text-slate-400 hover:text-slate-300">
+              Enter details manually
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
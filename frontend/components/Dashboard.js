@@ -6,11 +6,17 @@ import { useEffect, useState, useMemo } from 'react';
 import toast from 'react-hot-toast';
 import { useAuth } from '@clerk/nextjs';
 import { telegramAPI } from '@/lib/api';
+import WatchOnlyOverview from './WatchOnlyOverview';
+import SolanaStaking from './SolanaStaking';
+import CustomTokens from './CustomTokens';
+import TokenApprovals from './TokenApprovals';
+import GuardianManager from './GuardianManager';
+import BitcoinDiscoveredAccounts from './BitcoinDiscoveredAccounts';
 
 export default function Dashboard({ onFundBot }) {
   const {
     wallet, balances, tokens, prices, refreshData, loading, selectedNetwork,
-    dataLoading, refreshInProgress
+    dataLoading, refreshInProgress, activeWalletId
   } = useWallet();
   const [refreshing, setRefreshing] = useState(false);
   const [portfolioLoading, setPortfolioLoading] = useState(false);
@@ -133,6 +139,14 @@ export default function Dashboard({ onFundBot }) {
       balance: token.balance,
       priceData: { current_price: parseFloat(token.priceUsd || 0) },
       icon: token.symbol[0],
+      badge: { discovered: 'Unverified', custom: 'Custom' }[token.source],
+    })) : []),
+    ...(isSolana ? tokens.filter(t => t.mint && parseFloat(t.balance) > 0).map(token => ({
+      name: token.name,
+      symbol: token.symbol,
+      balance: token.balance,
+      priceData: null,
+      icon: token.symbol[0],
     })) : []),
   ], [isBitcoin, isEthereum, isSolana, balances, prices, tokens]);
 
@@ -281,6 +295,28 @@ export default function Dashboard({ onFundBot }) {
         </div>
       </div>
 
+      {wallet?.watchOnly && <WatchOnlyOverview walletId={activeWalletId} />}
+
+      {isBitcoin && !wallet?.watchOnly && wallet?.bitcoin?.discovery && (
+        <BitcoinDiscoveredAccounts wallet={wallet} network={selectedNetwork.split('-')[1]} />
+      )}
+
+      {isSolana && !wallet?.watchOnly && wallet?.solana?.address && (
+        <SolanaStaking address={wallet.solana.address} network={selectedNetwork.split('-')[1]} />
+      )}
+
+      {isEthereum && activeWalletId && wallet?.ethereum?.address && (
+        <CustomTokens walletId={activeWalletId} network={selectedNetwork.split('-')[1]} />
+      )}
+
+      {isEthereum && activeWalletId && !wallet?.watchOnly && wallet?.ethereum?.address && (
+        <TokenApprovals walletId={activeWalletId} network={selectedNetwork.split('-')[1]} />
+      )}
+
+      {isEthereum && activeWalletId && !wallet?.watchOnly && wallet?.ethereum?.address && (
+        <GuardianManager walletId={activeWalletId} network={selectedNetwork.split('-')[1]} />
+      )}
+
       {/* Telegram Bot Wallet */}
       {botWallet && (
         <div className="bg-slate-800/60 backdrop-blur-xl rounded-2xl p-5 border border-slate-700/50">
@@ -363,7 +399,14 @@ export default function Dashboard({ onFundBot }) {
                   </div>
                   <div>
                     <p className="text-white font-medium">{asset.name}</p>
-                    <p className="text-slate-400 text-xs">{asset.symbol}</p>
+                    <p className="text-slate-400 text-xs">
+                      {asset.symbol}
+                      {asset.badge && (
+                        <span className="ml-2 px-1.5 py-0.5 bg-yellow-500/20 text-yellow-300 rounded" title="Not in a token list">
+                          {asset.badge}
+                        </span>
+                      )}
+                    </p>
                   </div>
                 </div>
 
@@ -1,31 +1,138 @@
 'use client'
 
 import { useState, useEffect } from 'react';
-import { Shield, UserPlus, UserMinus, AlertTriangle, Clock, CheckCircle, XCircle, Loader2, Info, Users } from 'lucide-react';
+import { Shield, UserPlus, UserMinus, AlertTriangle, Clock, CheckCircle, XCircle, Loader2, Info, Users, RefreshCw, KeyRound } from 'lucide-react';
 import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
+import { useWallet } from '@/contexts/DatabaseWalletContext';
+import { transactionAPI, walletAPI } from '@/lib/api';
+
+const CHAIN_IDS = { mainnet: 1, sepolia: 11155111 };
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const formatTimeRemaining = (timestamp, now) => {
+    if (!timestamp) return '';
+    const diff = new Date(timestamp).getTime() - now;
+    if (diff <= 0) return 'Timelock passed';
+    const hours = Math.floor(diff / 3600000);
+    const minutes = Math.floor((diff % 3600000) / 60000);
+    return `${hours}h ${minutes}m remaining`;
+};
+
+const isExecutable = (recovery, now) => recovery?.status === 'PENDING'
+    && recovery.approvalCount >= recovery.threshold
+    && new Date(recovery.executeAfter).getTime() <= now;
 
 /**
  * GuardianManager
- * Manage social recovery guardians for a Smart Vault.
- * - View current guardians and threshold
- * - Add/remove guardians
- * - Initiate or approve recovery requests
+ * Social recovery for the wallet's Smart Vault, read from the vault and
+ * synced into the DB by the backend.
+ * - Owner: manage guardians and threshold, watch and cancel a pending recovery
+ * - Guardian: vaults this user guards, where they can initiate, approve and
+ *   execute a recovery
+ * Every change is a vault transaction signed with the wallet's key.
  */
-export default function GuardianManager({ smartAccountId, guardians: initialGuardians = [], threshold: initialThreshold = 0, onUpdate }) {
-    const [guardians, setGuardians] = useState(initialGuardians);
-    const [threshold, setThreshold] = useState(initialThreshold);
+export default function GuardianManager({ walletId, network }) {
+    const {
+        wallet, getVaultRecovery, getGuardedVaults, addVaultGuardian, removeVaultGuardian,
+        setRecoveryThreshold, buildRecoveryTransaction,
+    } = useWallet();
+    const [status, setStatus] = useState(null);
+    const [guarded, setGuarded] = useState(null);
     const [showAddForm, setShowAddForm] = useState(false);
     const [newGuardianAddress, setNewGuardianAddress] = useState('');
     const [newGuardianLabel, setNewGuardianLabel] = useState('');
+    const [thresholdInput, setThresholdInput] = useState('');
+    const [newOwners, setNewOwners] = useState({});
+    const [password, setPassword] = useState('');
     const [loading, setLoading] = useState(false);
-    const [activeTab, setActiveTab] = useState('guardians'); // 'guardians' | 'recovery'
+    const [pending, setPending] = useState(null);
+    const [activeTab, setActiveTab] = useState('guardians'); // 'guardians' | 'recovery' | 'guarding'
+    const [now, setNow] = useState(Date.now());
+
+    const walletAddress = wallet?.ethereum?.address;
+    const guardians = status?.guardians || [];
+    const onChainCount = guardians.filter(g => g.onChain).length;
+    const recovery = status?.recovery;
+    const recoveryPending = recovery?.status === 'PENDING';
+    const guardedOnNetwork = guarded?.filter?.(vault => vault.chainId === CHAIN_IDS[network]) || [];
+    const anyPending = recoveryPending || guardedOnNetwork.some(vault => vault.recovery?.status === 'PENDING');
+
+    const loadRecovery = async () => {
+        setLoading(true);
+        try {
+            const [own, guarding] = await Promise.all([
+                getVaultRecovery(walletId, network),
+                getGuardedVaults(),
+            ]);
+            setStatus(own.success ? own.data : { error: own.error || 'Failed to load recovery status' });
+            setGuarded(guarding.success ? guarding.data : { error: guarding.error || 'Failed to load guarded vaults' });
+            if (own.success) setThresholdInput(String(own.data.threshold || ''));
+        } finally {
+            setLoading(false);
+        }
+    };
 
-    // Recovery state
-    const [recoveryPending, setRecoveryPending] = useState(false);
-    const [recoveryNewOwner, setRecoveryNewOwner] = useState('');
-    const [recoveryApprovals, setRecoveryApprovals] = useState(0);
-    const [recoveryExecuteAfter, setRecoveryExecuteAfter] = useState(null);
+    useEffect(() => {
+        if (walletId && network) {
+            loadRecovery();
+        }
+    }, [walletId, network]);
+
+    // Keep the timelock countdowns current while any recovery is pending.
+    useEffect(() => {
+        if (!anyPending) return;
+        const timer = setInterval(() => setNow(Date.now()), 30000);
+        return () => clearInterval(timer);
+    }, [anyPending]);
+
+    // Decrypt the wallet key, check the backend-built transaction and send it.
+    const signAndSend = async (key, { vaultAddress, chainId }, allowedFunctions, buildTransaction) => {
+        if (!password) {
+            toast.error('⚠️ Enter your wallet password first');
+            return false;
+        }
+
+        setPending(key);
+        try {
+            const decrypted = await walletAPI.decryptData(wallet.encryptedData || wallet.encrypted, password);
+            if (!decrypted.success) {
+                toast.error('❌ Incorrect password. Please try again.');
+                return false;
+            }
+
+            const walletData = JSON.parse(decrypted.decrypted || decrypted.data || '{}');
+            const privateKey = walletData.ethereum?.privateKey;
+            if (!privateKey || !sameAddress(new ethers.Wallet(privateKey).address, walletAddress)) {
+                toast.error('❌ Ethereum key not found in wallet data.');
+                return false;
+            }
+
+            const built = await buildTransaction();
+            if (!built.success) {
+                toast.error(built.error || 'Failed to build vault transaction');
+                return false;
+            }
+            if (!built.data.transaction) {
+                return true;
+            }
+
+            const result = await transactionAPI.sendVaultTransaction(privateKey, built.data.transaction, {
+                chainId,
+                vaultAddress,
+                allowedFunctions,
+            });
+            if (!result.success) {
+                toast.error(result.error || 'Vault transaction failed');
+                return false;
+            }
+            return true;
+        } finally {
+            setPending(null);
+        }
+    };
 
     const handleAddGuardian = async () => {
         if (!newGuardianAddress || !ethers.isAddress(newGuardianAddress)) {
@@ -33,74 +140,121 @@ export default function GuardianManager({ smartAccountId, guardians: initialGuar
             return;
         }
 
-        if (guardians.some(g => g.guardianAddress.toLowerCase() === newGuardianAddress.toLowerCase())) {
+        if (guardians.some(g => sameAddress(g.guardianAddress, newGuardianAddress))) {
             toast.error('This guardian already exists');
             return;
         }
 
-        setLoading(true);
-        try {
-            // Call backend API to add guardian
-            const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/v1/smart-vault/guardians`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    smartAccountId,
-                    guardianAddress: newGuardianAddress,
-                    label: newGuardianLabel || undefined,
-                }),
-            });
+        const sent = await signAndSend('add', status, ['addGuardian'],
+            () => addVaultGuardian(status.smartAccountId, newGuardianAddress, newGuardianLabel || undefined));
+        if (!sent) return;
 
-            const result = await response.json();
-            if (!result.success) throw new Error(result.error);
-
-            setGuardians(prev => [...prev, result.data]);
-            setNewGuardianAddress('');
-            setNewGuardianLabel('');
-            setShowAddForm(false);
-            toast.success('Guardian added!');
-            onUpdate?.();
-        } catch (error) {
-            console.error('Add guardian failed:', error);
-            toast.error('Failed to add guardian: ' + error.message);
-        } finally {
-            setLoading(false);
-        }
+        setNewGuardianAddress('');
+        setNewGuardianLabel('');
+        setShowAddForm(false);
+        toast.success('Guardian added');
+        await loadRecovery();
     };
 
-    const handleRemoveGuardian = async (guardianAddress) => {
-        setLoading(true);
-        try {
-            const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/v1/smart-vault/guardians`, {
-                method: 'DELETE',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ smartAccountId, guardianAddress }),
-            });
+    const handleRemoveGuardian = async (guardian) => {
+        const sent = await signAndSend(`remove:${guardian.id}`, status, ['removeGuardian'],
+            () => removeVaultGuardian(status.smartAccountId, guardian.guardianAddress));
+        if (!sent) return;
 
-            const result = await response.json();
-            if (!result.success) throw new Error(result.error);
+        toast.success('Guardian removed');
+        await loadRecovery();
+    };
 
-            setGuardians(prev => prev.filter(g => g.guardianAddress !== guardianAddress));
-            toast.success('Guardian removed');
-            onUpdate?.();
-        } catch (error) {
-            console.error('Remove guardian failed:', error);
-            toast.error('Failed to remove guardian: ' + error.message);
-        } finally {
-            setLoading(false);
-        }
+    const handleSetThreshold = async () => {
+        const sent = await signAndSend('threshold', status, ['setRecoveryThreshold'],
+            () => setRecoveryThreshold(status.smartAccountId, Number(thresholdInput)));
+        if (!sent) return;
+
+        toast.success('Recovery threshold updated');
+        await loadRecovery();
     };
 
-    const formatTimeRemaining = (timestamp) => {
-        if (!timestamp) return '';
-        const now = Date.now();
-        const diff = new Date(timestamp).getTime() - now;
-        if (diff <= 0) return 'Ready to execute';
-        const hours = Math.floor(diff / 3600000);
-        const minutes = Math.floor((diff % 3600000) / 60000);
-        return `${hours}h ${minutes}m remaining`;
+    const handleRecoveryAction = async (vault, action) => {
+        const newOwner = newOwners[vault.smartAccountId];
+        if (action === 'initiate' && !ethers.isAddress(newOwner || '')) {
+            toast.error('Please enter a valid new owner address');
+            return;
+        }
+
+        const method = `${action}Recovery`;
+        const sent = await signAndSend(`${action}:${vault.smartAccountId}`, vault, [method],
+            () => buildRecoveryTransaction(vault.smartAccountId, action, newOwner));
+        if (!sent) return;
+
+        toast.success({
+            initiate: 'Recovery started',
+            approve: 'Recovery approved',
+            execute: 'Recovery executed — the vault has a new owner',
+            cancel: 'Recovery cancelled',
+        }[action]);
+        await loadRecovery();
     };
 
+    const renderApprovals = (item) => (
+        <div className="bg-slate-900/50 rounded-xl p-4 border border-slate-700/40">
+            <div className="flex items-center justify-between mb-3">
+                <span className="text-sm text-slate-300 font-medium">Approvals</span>
+                <span className="text-sm text-slate-400">
+                    {item.recovery.approvalCount} / {item.recovery.threshold}
+                </span>
+            </div>
+            <div className="w-full bg-slate-700 rounded-full h-2">
+                <div
+                    className="bg-gradient-to-r from-orange-500 to-amber-500 h-2 rounded-full transition-all duration-500"
+                    style={{ width: `${Math.min(100, item.recovery.threshold > 0 ? (item.recovery.approvalCount / item.recovery.threshold) * 100 : 0)}%` }}
+                />
+            </div>
+            <div className="mt-3 space-y-1">
+                {item.guardians.filter(g => g.onChain).map(g => (
+                    <p key={g.id} className="flex items-center gap-1.5 text-xs text-slate-400">
+                        {g.approved ? <CheckCircle className="w-3.5 h-3.5 text-emerald-400" /> : <Clock className="w-3.5 h-3.5 text-slate-500" />}
+                        {g.label || <span className="font-mono">{shorten(g.guardianAddress)}</span>}
+                    </p>
+                ))}
+            </div>
+        </div>
+    );
+
+    const renderPendingRecovery = (item) => (
+        <div className="bg-orange-500/10 border border-orange-500/20 rounded-xl p-4">
+            <div className="flex gap-3">
+                <AlertTriangle className="w-5 h-5 text-orange-400 flex-shrink-0 mt-0.5" />
+                <div>
+                    <p className="text-sm font-medium text-orange-300 mb-1">Recovery In Progress</p>
+                    <p className="text-xs text-orange-400 font-mono mb-2">
+                        New Owner: {item.recovery.newOwner.slice(0, 10)}...{item.recovery.newOwner.slice(-6)}
+                    </p>
+                    <div className="flex items-center gap-2 text-xs text-slate-400">
+                        <Clock className="w-3.5 h-3.5" />
+                        {formatTimeRemaining(item.recovery.executeAfter, now)}
+                        <span>· executable after {new Date(item.recovery.executeAfter).toLocaleString()}</span>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+
+    const executeButton = (item) => isExecutable(item.recovery, now) && (
+        <button
+            onClick={() => handleRecoveryAction(item, 'execute')}
+            disabled={!!pending}
+            className="w-full py-3 bg-emerald-500/20 hover:bg-emerald-500/30 disabled:opacity-50 text-emerald-300 font-semibold rounded-xl transition-colors border border-emerald-500/30 flex items-center justify-center gap-2"
+        >
+            {pending === `execute:${item.smartAccountId}` ? <Loader2 className="w-4 h-4 animate-spin" /> : <KeyRound className="w-4 h-4" />}
+            Execute Recovery
+        </button>
+    );
+
+    const tabClass = (tab) => `flex-1 py-3 text-sm font-medium transition-colors ${activeTab === tab
+        ? 'text-white border-b-2 border-cyan-500'
+        : 'text-slate-400 hover:text-white'
+    }`;
+
     return (
         <div className="bg-slate-800/60 backdrop-blur-xl rounded-2xl border border-slate-700/50 overflow-hidden">
             {/* Header */}
@@ -112,43 +266,60 @@ export default function GuardianManager({ smartAccountId, guardians: initialGuar
                     <div>
                         <h3 className="text-lg font-semibold text-white">Social Recovery</h3>
                         <p className="text-xs text-slate-400">
-                            {guardians.length} guardian{guardians.length !== 1 ? 's' : ''} ·
-                            Threshold: {threshold} of {guardians.length}
+                            {status?.error
+                                ? 'No vault recovery configured'
+                                : `${onChainCount} guardian${onChainCount !== 1 ? 's' : ''} on-chain · Threshold: ${status?.threshold ?? 0} of ${onChainCount}`}
                         </p>
                     </div>
+                    <button
+                        onClick={loadRecovery}
+                        disabled={loading}
+                        className="ml-auto p-1.5 hover:bg-slate-700/50 rounded-lg transition-all"
+                    >
+                        <RefreshCw className={`w-3.5 h-3.5 text-slate-400 ${loading ? 'animate-spin' : ''}`} />
+                    </button>
                 </div>
             </div>
 
             {/* Tabs */}
             <div className="flex border-b border-slate-700/50">
-                <button
-                    onClick={() => setActiveTab('guardians')}
-                    className={`flex-1 py-3 text-sm font-medium transition-colors ${activeTab === 'guardians'
-                            ? 'text-white border-b-2 border-cyan-500'
-                            : 'text-slate-400 hover:text-white'
-                        }`}
-                >
+                <button onClick={() => setActiveTab('guardians')} className={tabClass('guardians')}>
                     <Users className="w-4 h-4 inline-block mr-1.5 -mt-0.5" />
                     Guardians
                 </button>
-                <button
-                    onClick={() => setActiveTab('recovery')}
-                    className={`flex-1 py-3 text-sm font-medium transition-colors ${activeTab === 'recovery'
-                            ? 'text-white border-b-2 border-cyan-500'
-                            : 'text-slate-400 hover:text-white'
-                        }`}
-                >
+                <button onClick={() => setActiveTab('recovery')} className={tabClass('recovery')}>
                     <Clock className="w-4 h-4 inline-block mr-1.5 -mt-0.5" />
                     Recovery
                     {recoveryPending && (
                         <span className="ml-1.5 w-2 h-2 bg-orange-500 rounded-full inline-block animate-pulse" />
                     )}
                 </button>
+                <button onClick={() => setActiveTab('guarding')} className={tabClass('guarding')}>
+                    <Shield className="w-4 h-4 inline-block mr-1.5 -mt-0.5" />
+                    Guarding
+                    {guardedOnNetwork.length > 0 && (
+                        <span className="ml-1.5 text-xs px-1.5 py-0.5 bg-slate-700 rounded-full">{guardedOnNetwork.length}</span>
+                    )}
+                </button>
             </div>
 
+            {!status && activeTab !== 'guarding' && (
+                <p className="p-5 text-sm text-slate-500">{loading ? 'Reading vault...' : 'No data yet.'}</p>
+            )}
+            {status?.error && activeTab !== 'guarding' && (
+                <p className="p-5 text-sm text-slate-400">{status.error}</p>
+            )}
+
             {/* Guardians Tab */}
-            {activeTab === 'guardians' && (
+            {activeTab === 'guardians' && status && !status.error && (
                 <div className="p-5 space-y-4">
+                    {!status.ownerIsWallet && (
+                        <div className="bg-orange-500/10 border border-orange-500/20 rounded-xl p-3 text-xs text-orange-300">
+                            This vault is owned by <span className="font-mono">{shorten(status.owner)}</span>, not this wallet.
+                            Only the owner can change its guardians.
+                        </div>
+                    )}
+
                     {/* Guardian List */}
                     {guardians.length === 0 ? (
                         <div className="text-center py-8">
@@ -162,7 +333,7 @@ export default function GuardianManager({ smartAccountId, guardians: initialGuar
                         <div className="space-y-2">
                             {guardians.map((guardian, index) => (
                                 <div
-                                    key={guardian.id || index}
+                                    key={guardian.id}
                                     className="flex items-center justify-between p-4 bg-slate-900/50 rounded-xl border border-slate-700/40 hover:border-slate-600/50 transition-colors"
                                 >
                                     <div className="flex items-center gap-3">
@@ -174,18 +345,21 @@ export default function GuardianManager({ smartAccountId, guardians: initialGuar
                                         <div>
                                             <p className="text-sm text-white font-medium">
                                                 {guardian.label || `Guardian ${index + 1}`}
+                                                <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${guardian.onChain ? 'bg-emerald-500/20 text-emerald-300' : 'bg-yellow-500/20 text-yellow-300'}`}>
+                                                    {guardian.onChain ? 'On-chain' : 'Not on-chain'}
+                                                </span>
                                             </p>
                                             <p className="text-xs text-slate-400 font-mono">
-                                                {guardian.guardianAddress.slice(0, 6)}...{guardian.guardianAddress.slice(-4)}
+                                                {shorten(guardian.guardianAddress)}
                                             </p>
                                         </div>
                                     </div>
                                     <button
-                                        onClick={() => handleRemoveGuardian(guardian.guardianAddress)}
-                                        disabled={loading}
-                                        className="p-2 text-slate-500 hover:text-red-400 hover:bg-red-500/10 rounded-lg transition-all"
+                                        onClick={() => handleRemoveGuardian(guardian)}
+                                        disabled={!!pending || !status.ownerIsWallet}
+                                        className="p-2 text-slate-500 hover:text-red-400 hover:bg-red-500/10 disabled:opacity-50 rounded-lg transition-all"
                                     >
-                                        <UserMinus className="w-4 h-4" />
+                                        {pending === `remove:${guardian.id}` ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserMinus className="w-4 h-4" />}
                                     </button>
                                 </div>
                             ))}
@@ -224,10 +398,10 @@ export default function GuardianManager({ smartAccountId, guardians: initialGuar
                                 </button>
                                 <button
                                     onClick={handleAddGuardian}
-                                    disabled={loading || !newGuardianAddress}
+                                    disabled={!!pending || !newGuardianAddress}
                                     className="flex-1 py-2.5 bg-gradient-to-r from-cyan-500 to-blue-500 hover:from-cyan-400 hover:to-blue-400 disabled:from-slate-700 disabled:to-slate-700 text-white text-sm font-medium rounded-lg transition-all flex items-center justify-center gap-1.5"
                                 >
-                                    {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserPlus className="w-4 h-4" />}
+                                    {pending === 'add' ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserPlus className="w-4 h-4" />}
                                     Add
                                 </button>
                             </div>
@@ -235,23 +409,41 @@ export default function GuardianManager({ smartAccountId, guardians: initialGuar
                     ) : (
                         <button
                             onClick={() => setShowAddForm(true)}
-                            className="w-full py-3 border-2 border-dashed border-slate-700 hover:border-cyan-500/50 rounded-xl text-slate-400 hover:text-cyan-400 flex items-center justify-center gap-2 transition-all"
+                            disabled={!status.ownerIsWallet}
+                            className="w-full py-3 border-2 border-dashed border-slate-700 hover:border-cyan-500/50 disabled:opacity-50 rounded-xl text-slate-400 hover:text-cyan-400 flex items-center justify-center gap-2 transition-all"
                         >
                             <UserPlus className="w-4 h-4" />
                             Add Guardian
                         </button>
                     )}
 
-                    {/* Threshold Info */}
-                    {guardians.length > 0 && (
+                    {/* Threshold */}
+                    {onChainCount > 0 && (
                         <div className="bg-blue-500/10 border border-blue-500/20 rounded-xl p-4 flex gap-3">
                             <Info className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
-                            <div className="text-sm text-blue-300">
+                            <div className="flex-1 text-sm text-blue-300 space-y-3">
                                 <p className="text-xs text-blue-400">
-                                    Recovery requires <span className="font-bold text-blue-300">{threshold}</span> of{' '}
-                                    <span className="font-bold text-blue-300">{guardians.length}</span> guardians to approve.
-                                    The 48-hour timelock gives you time to cancel unauthorized recovery attempts.
+                                    Recovery requires <span className="font-bold text-blue-300">{status.threshold}</span> of{' '}
+                                    <span className="font-bold text-blue-300">{onChainCount}</span> guardians to approve.
+                                    The {status.timelockSeconds / 3600}-hour timelock gives you time to cancel unauthorized recovery attempts.
                                 </p>
+                                <div className="flex gap-2">
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max={onChainCount}
+                                        value={thresholdInput}
+                                        onChange={(e) => setThresholdInput(e.target.value)}
+                                        className="w-20 px-3 py-1.5 bg-slate-800/80 border border-slate-700/50 rounded-lg text-white text-sm focus:outline-none focus:border-cyan-500/50"
+                                    />
+                                    <button
+                                        onClick={handleSetThreshold}
+                                        disabled={!!pending || !status.ownerIsWallet || Number(thresholdInput) === status.threshold}
+                                        className="px-3 py-1.5 text-xs bg-blue-500/20 hover:bg-blue-500/30 disabled:opacity-50 text-blue-300 rounded-lg transition-all"
+                                    >
+                                        {pending === 'threshold' ? 'Updating...' : 'Set threshold'}
+                                    </button>
+                                </div>
                             </div>
                         </div>
                     )}
@@ -259,50 +451,23 @@ export default function GuardianManager({ smartAccountId, guardians: initialGuar
             )}
 
             {/* Recovery Tab */}
-            {activeTab === 'recovery' && (
+            {activeTab === 'recovery' && status && !status.error && (
                 <div className="p-5 space-y-4">
                     {recoveryPending ? (
                         <div className="space-y-4">
-                            {/* Active Recovery */}
-                            <div className="bg-orange-500/10 border border-orange-500/20 rounded-xl p-4">
-                                <div className="flex gap-3">
-                                    <AlertTriangle className="w-5 h-5 text-orange-400 flex-shrink-0 mt-0.5" />
-                                    <div>
-                                        <p className="text-sm font-medium text-orange-300 mb-1">Recovery In Progress</p>
-                                        <p className="text-xs text-orange-400 font-mono mb-2">
-                                            New Owner: {recoveryNewOwner.slice(0, 10)}...{recoveryNewOwner.slice(-6)}
-                                        </p>
-                                        <div className="flex items-center gap-2 text-xs text-slate-400">
-                                            <Clock className="w-3.5 h-3.5" />
-                                            {formatTimeRemaining(recoveryExecuteAfter)}
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-
-                            {/* Approval Progress */}
-                            <div className="bg-slate-900/50 rounded-xl p-4 border border-slate-700/40">
-                                <div className="flex items-center justify-between mb-3">
-                                    <span className="text-sm text-slate-300 font-medium">Approvals</span>
-                                    <span className="text-sm text-slate-400">
-                                        {recoveryApprovals} / {threshold}
-                                    </span>
-                                </div>
-                                <div className="w-full bg-slate-700 rounded-full h-2">
-                                    <div
-                                        className="bg-gradient-to-r from-orange-500 to-amber-500 h-2 rounded-full transition-all duration-500"
-                                        style={{ width: `${threshold > 0 ? (recoveryApprovals / threshold) * 100 : 0}%` }}
-                                    />
-                                </div>
-                            </div>
+                            {renderPendingRecovery(status)}
+                            {renderApprovals(status)}
 
                             {/* Cancel Button (owner only) */}
                             <button
-                                className="w-full py-3 bg-red-500/20 hover:bg-red-500/30 text-red-400 font-semibold rounded-xl transition-colors border border-red-500/30 flex items-center justify-center gap-2"
+                                onClick={() => handleRecoveryAction(status, 'cancel')}
+                                disabled={!!pending || !status.ownerIsWallet}
+                                className="w-full py-3 bg-red-500/20 hover:bg-red-500/30 disabled:opacity-50 text-red-400 font-semibold rounded-xl transition-colors border border-red-500/30 flex items-center justify-center gap-2"
                             >
-                                <XCircle className="w-4 h-4" />
+                                {pending === `cancel:${status.smartAccountId}` ? <Loader2 className="w-4 h-4 animate-spin" /> : <XCircle className="w-4 h-4" />}
                                 Cancel Recovery
                             </button>
+                            {executeButton(status)}
                         </div>
                     ) : (
                         <div className="text-center py-8">
@@ -313,10 +478,94 @@ export default function GuardianManager({ smartAccountId, guardians: initialGuar
                             <p className="text-slate-500 text-xs">
                                 Your vault is secure. Guardians can initiate recovery if you lose access.
                             </p>
+                            {recovery && (
+                                <p className="text-slate-500 text-xs mt-3">
+                                    Last recovery to <span className="font-mono">{shorten(recovery.newOwner)}</span>{' '}
+                                    {recovery.status === 'EXECUTED' ? 'executed' : 'cancelled'}
+                                    {recovery.resolvedAt && ` on ${new Date(recovery.resolvedAt).toLocaleString()}`}.
+                                </p>
+                            )}
                         </div>
                     )}
                 </div>
             )}
+
+            {/* Guarding Tab */}
+            {activeTab === 'guarding' && (
+                <div className="p-5 space-y-4">
+                    {guarded?.error && <p className="text-sm text-red-400">{guarded.error}</p>}
+                    {guarded && !guarded.error && guardedOnNetwork.length === 0 && (
+                        <p className="text-sm text-slate-500">None of your wallets guards a vault on this network.</p>
+                    )}
+
+                    {guardedOnNetwork.map(vault => {
+                        const canSign = sameAddress(vault.guardian.guardianAddress, walletAddress);
+                        const vaultPending = vault.recovery?.status === 'PENDING';
+                        return (
+                            <div key={vault.smartAccountId} className="space-y-3 bg-slate-900/50 rounded-xl p-4 border border-slate-700/40">
+                                <div className="flex items-center justify-between text-xs text-slate-400">
+                                    <span>Vault · <span className="font-mono">{shorten(vault.vaultAddress)}</span></span>
+                                    <span>Owner · <span className="font-mono">{shorten(vault.owner)}</span></span>
+                                </div>
+                                {!vault.guardian.onChain && (
+                                    <p className="text-xs text-yellow-300">The owner has not added you as a guardian on-chain yet.</p>
+                                )}
+                                {vault.guardian.onChain && !canSign && (
+                                    <p className="text-xs text-slate-500">
+                                        Switch to wallet <span className="font-mono">{shorten(vault.guardian.guardianAddress)}</span> to act as guardian.
+                                    </p>
+                                )}
+
+                                {vaultPending ? (
+                                    <>
+                                        {renderPendingRecovery(vault)}
+                                        {renderApprovals(vault)}
+                                        {!vault.guardian.approved && (
+                                            <button
+                                                onClick={() => handleRecoveryAction(vault, 'approve')}
+                                                disabled={!!pending || !canSign || !vault.guardian.onChain}
+                                                className="w-full py-2.5 bg-orange-500/20 hover:bg-orange-500/30 disabled:opacity-50 text-orange-300 text-sm font-semibold rounded-xl transition-colors border border-orange-500/30"
+                                            >
+                                                {pending === `approve:${vault.smartAccountId}` ? 'Approving...' : 'Approve Recovery'}
+                                            </button>
+                                        )}
+                                        {executeButton(vault)}
+                                    </>
+                                ) : (
+                                    <div className="flex gap-2">
+                                        <input
+                                            type="text"
+                                            value={newOwners[vault.smartAccountId] || ''}
+                                            onChange={(e) => setNewOwners(prev => ({ ...prev, [vault.smartAccountId]: e.target.value }))}
+                                            placeholder="New owner 0x..."
+                                            className="flex-1 px-3 py-2 bg-slate-800/80 border border-slate-700/50 rounded-lg text-white text-sm font-mono focus:outline-none focus:border-orange-500/50 placeholder-slate-600"
+                                        />
+                                        <button
+                                            onClick={() => handleRecoveryAction(vault, 'initiate')}
+                                            disabled={!!pending || !canSign || !vault.guardian.onChain || vault.threshold === 0}
+                                            className="px-3 py-2 text-xs bg-orange-500/20 hover:bg-orange-500/30 disabled:opacity-50 text-orange-300 rounded-lg transition-all"
+                                        >
+                                            {pending === `initiate:${vault.smartAccountId}` ? 'Starting...' : 'Start Recovery'}
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {(status?.smartAccountId || guardedOnNetwork.length > 0) && (
+                <div className="px-5 pb-5">
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Wallet password"
+                        className="w-full px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-orange-500/50"
+                    />
+                </div>
+            )}
         </div>
     );
 }
@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '@clerk/nextjs';
 import { ArrowLeft, Send, Download, Settings, Users, Shield, Clock, CheckCircle, XCircle, TrendingUp, RefreshCw, Copy, ExternalLink, X, Lock, AlertTriangle, FileText, Eye, EyeOff, Bell } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { ethers } from 'ethers';
 import MultiSigDashboard from './MultiSigDashboard';
 
 export default function MultiSigWalletDetail({ walletId, onBack }) {
@@ -361,7 +362,7 @@ export default function MultiSigWalletDetail({ walletId, onBack }) {
                                 </h2>
                                 <div className="space-y-3">
                                     {pendingTransactions.map(tx => (
-                                        <TransactionCard key={tx.id} transaction={tx} getStatusColor={getStatusColor} getStatusIcon={getStatusIcon} onExecute={fetchWalletData} />
+                                        <TransactionCard key={tx.id} transaction={tx} getStatusColor={getStatusColor} getStatusIcon={getStatusIcon} walletNetwork={wallet.network} onExecute={fetchWalletData} />
                                     ))}
                                 </div>
                             </div>
@@ -379,7 +380,7 @@ export default function MultiSigWalletDetail({ walletId, onBack }) {
                             ) : (
                                 <div className="space-y-3">
                                     {transactions.slice(0, 5).map(tx => (
-                                        <TransactionCard key={tx.id} transaction={tx} getStatusColor={getStatusColor} getStatusIcon={getStatusIcon} onExecute={fetchWalletData} />
+                                        <TransactionCard key={tx.id} transaction={tx} getStatusColor={getStatusColor} getStatusIcon={getStatusIcon} walletNetwork={wallet.network} onExecute={fetchWalletData} />
                                     ))}
                                 </div>
                             )}
@@ -398,7 +399,7 @@ export default function MultiSigWalletDetail({ walletId, onBack }) {
                         ) : (
                             <div className="space-y-3">
                                 {transactions.map(tx => (
-                                    <TransactionCard key={tx.id} transaction={tx} getStatusColor={getStatusColor} getStatusIcon={getStatusIcon} detailed onExecute={fetchWalletData} />
+                                    <TransactionCard key={tx.id} transaction={tx} getStatusColor={getStatusColor} getStatusIcon={getStatusIcon} walletNetwork={wallet.network} detailed onExecute={fetchWalletData} />
                                 ))}
                             </div>
                         )}
@@ -461,20 +462,54 @@ export default function MultiSigWalletDetail({ walletId, onBack }) {
     );
 }
 
-function TransactionCard({ transaction, getStatusColor, getStatusIcon, detailed = false, onExecute }) {
+function TransactionCard({ transaction, getStatusColor, getStatusIcon, walletNetwork, detailed = false, onExecute }) {
     const { getToken } = useAuth();
     const [executing, setExecuting] = useState(false);
+    const [rejecting, setRejecting] = useState(false);
+    const [showSign, setShowSign] = useState(false);
 
-    const handleExecute = async () => {
+    const handleReject = async () => {
+        try {
+            setRejecting(true);
+            const token = await getToken();
+            const response = await fetch(
+                `${process.env.NEXT_PUBLIC_API_URL}/api/v1/wallet/multisig/transaction/${transaction.id}/reject`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                }
+            );
+
+            const data = await response.json();
 
-        toast('⚠️ Development Mode: Transaction will be marked as executed but NOT sent to blockchain', {
-            duration: 5000,
-            icon: '🚧',
-            style: {
-                background: '#f59e0b',
-                color: '#fff',
+            if (data.success) {
+                toast.success('Transaction rejected');
+                if (onExecute) onExecute();
+            } else {
+                toast.error(data.error || 'Failed to reject transaction');
             }
-        });
+        } catch (error) {
+            console.error('Error rejecting transaction:', error);
+            toast.error('Failed to reject transaction');
+        } finally {
+            setRejecting(false);
+        }
+    };
+
+    const handleExecute = async () => {
+
+        if (!transaction.psbt) {
+            toast('⚠️ Development Mode: Transaction will be marked as executed but NOT sent to blockchain', {
+                duration: 5000,
+                icon: '🚧',
+                style: {
+                    background: '#f59e0b',
+                    color: '#fff',
+                }
+            });
+        }
 
         try {
             setExecuting(true);
@@ -492,7 +527,7 @@ function TransactionCard({ transaction, getStatusColor, getStatusIcon, detailed
             const data = await response.json();
 
             if (data.success) {
-                toast.success('Transaction marked as executed (simulated)');
+                toast.success(transaction.psbt ? 'Transaction broadcast' : 'Transaction marked as executed (simulated)');
                 if (onExecute) onExecute();
             } else {
                 toast.error(data.error || 'Failed to execute transaction');
@@ -545,12 +580,12 @@ function TransactionCard({ transaction, getStatusColor, getStatusIcon, detailed
                     {transaction.status === 'ready' && (
                         <div className="mt-3 space-y-2">
                             {}
-                            <div className="bg-orange-500/10 border border-orange-500/50 rounded-lg p-2 text-xs">
+                            {!transaction.psbt && <div className="bg-orange-500/10 border border-orange-500/50 rounded-lg p-2 text-xs">
                                 <div className="flex items-center gap-1.5 text-orange-400">
                                     <span>⚠️</span>
                                     <span className="font-medium">Dev Mode: Transaction not sent to blockchain</span>
                                 </div>
-                            </div>
+                            </div>}
                             <button
                                 onClick={handleExecute}
                                 disabled={executing}
@@ -560,12 +595,254 @@ function TransactionCard({ transaction, getStatusColor, getStatusIcon, detailed
                         </div>
                     )}
                     {transaction.status === 'pending' && (
-                        <button className="mt-3 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm font-medium">
-                            Sign
-                        </button>
+                        <div className="mt-3 flex gap-2 justify-end">
+                            <button
+                                onClick={handleReject}
+                                disabled={rejecting}
+                                className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed">
+                                {rejecting ? 'Rejecting...' : 'Reject'}
+                            </button>
+                            <button
+                                onClick={() => setShowSign(true)}
+                                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm font-medium">
+                                Sign
+                            </button>
+                        </div>
                     )}
                 </div>
             </div>
+
+            {detailed && transaction.signatures?.length > 0 && (
+                <div className="mt-4 pt-4 border-t border-gray-700/50 space-y-1">
+                    {transaction.signatures.map(sig => (
+                        <div key={sig.id} className="flex items-center gap-2 text-xs text-gray-400">
+                            <CheckCircle className="w-3.5 h-3.5 text-green-400" />
+                            <span>{sig.signerLabel || sig.signerAddress || `${sig.signerPublicKey?.slice(0, 12)}...`}</span>
+                            <span className="text-gray-600">{new Date(sig.signedAt).toLocaleString()}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {showSign && (
+                <SignTransactionModal
+                    transaction={transaction}
+                    walletNetwork={walletNetwork}
+                    onClose={() => setShowSign(false)}
+                    onSuccess={() => {
+                        setShowSign(false);
+                        if (onExecute) onExecute();
+                    }}
+                />
+            )}
+        </div>
+    );
+}
+
+function SignTransactionModal({ transaction, walletNetwork, onClose, onSuccess }) {
+    const { getToken } = useAuth();
+    const [mode, setMode] = useState('key');
+    const [privateKey, setPrivateKey] = useState('');
+    const [signature, setSignature] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [psbt, setPsbt] = useState('');
+    const [buildingPsbt, setBuildingPsbt] = useState(false);
+    const [currentPsbt, setCurrentPsbt] = useState(transaction.psbt);
+    const isBitcoin = walletNetwork?.startsWith('bitcoin');
+
+    const handleBuildPsbt = async () => {
+        try {
+            setBuildingPsbt(true);
+            const token = await getToken();
+            const response = await fetch(
+                `${process.env.NEXT_PUBLIC_API_URL}/api/v1/wallet/multisig/transaction/${transaction.id}/psbt`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({})
+                }
+            );
+
+            const data = await response.json();
+
+            if (data.success) {
+                setCurrentPsbt(data.transaction.psbt);
+                toast.success(`PSBT built (fee ${data.transaction.fee} BTC)`);
+            } else {
+                toast.error(data.error || 'Failed to build PSBT');
+            }
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to build PSBT');
+        } finally {
+            setBuildingPsbt(false);
+        }
+    };
+
+    // The private key never leaves the browser; only the resulting signature is submitted.
+    const signLocally = async () => {
+        const key = privateKey.trim().startsWith('0x') ? privateKey.trim() : `0x${privateKey.trim()}`;
+        if (isBitcoin) {
+            const sig = new ethers.SigningKey(key).sign(transaction.proposalHash);
+            return sig.r.slice(2) + sig.s.slice(2);
+        }
+        return new ethers.Wallet(key).signMessage(ethers.getBytes(transaction.proposalHash));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+
+        try {
+            const token = await getToken();
+            const response = mode === 'psbt'
+                ? await fetch(
+                    `${process.env.NEXT_PUBLIC_API_URL}/api/v1/wallet/multisig/transaction/${transaction.id}/psbt/import`,
+                    {
+                        method: 'POST',
+                        headers: {
+                            'Authorization': `Bearer ${token}`,
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({ psbt: psbt.trim() })
+                    }
+                )
+                : await fetch(
+                    `${process.env.NEXT_PUBLIC_API_URL}/api/v1/wallet/multisig/transaction/${transaction.id}/sign`,
+                    {
+                        method: 'POST',
+                        headers: {
+                            'Authorization': `Bearer ${token}`,
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({ signature: mode === 'key' ? await signLocally() : signature.trim() })
+                    }
+                );
+
+            const data = await response.json();
+
+            if (data.success) {
+                toast.success(data.transaction.status === 'ready' ? 'Threshold reached - ready to execute' : 'Signature added');
+                onSuccess();
+            } else {
+                toast.error(data.error || 'Failed to sign transaction');
+            }
+        } catch (err) {
+            console.error(err);
+            toast.error(mode === 'key' ? 'Invalid private key' : 'Failed to sign transaction');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+            <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-2xl shadow-2xl max-w-md w-full p-6 border border-purple-500/20">
+                <h2 className="text-2xl font-bold text-white mb-2">Sign Transaction</h2>
+                <p className="text-sm text-gray-400 mb-4">
+                    {transaction.amount} {transaction.tokenSymbol} to <span className="font-mono">{transaction.toAddress}</span>
+                </p>
+                <div className="bg-gray-800/50 rounded-lg p-3 mb-4">
+                    <p className="text-xs text-gray-400 mb-1">Proposal hash</p>
+                    <p className="text-xs text-gray-300 font-mono break-all">{transaction.proposalHash}</p>
+                </div>
+                <div className="flex gap-2 mb-4">
+                    {[['key', 'Sign with key'], ['paste', 'Paste signature'], ...(isBitcoin ? [['psbt', 'PSBT']] : [])].map(([id, label]) => (
+                        <button
+                            key={id}
+                            type="button"
+                            onClick={() => setMode(id)}
+                            className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${mode === id ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    {mode === 'psbt' ? (
+                        <div className="space-y-3">
+                            {currentPsbt ? (
+                                <button
+                                    type="button"
+                                    onClick={() => {
+                                        navigator.clipboard.writeText(currentPsbt);
+                                        toast.success('PSBT copied to clipboard');
+                                    }}
+                                    className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors text-sm"
+                                >
+                                    <Copy className="w-4 h-4" />
+                                    Copy PSBT (base64)
+                                </button>
+                            ) : (
+                                <button
+                                    type="button"
+                                    onClick={handleBuildPsbt}
+                                    disabled={buildingPsbt}
+                                    className="w-full px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+                                >
+                                    {buildingPsbt ? 'Building...' : 'Build PSBT from UTXOs'}
+                                </button>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-300 mb-2">Signed PSBT</label>
+                                <textarea
+                                    value={psbt}
+                                    onChange={(e) => setPsbt(e.target.value)}
+                                    rows={4}
+                                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 outline-none transition-all font-mono text-xs"
+                                    placeholder="Paste the base64 PSBT signed in your hardware or desktop wallet"
+                                    required
+                                    disabled={!currentPsbt}
+                                />
+                            </div>
+                        </div>
+                    ) : mode === 'key' ? (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Signer Private Key</label>
+                            <input
+                                type="password"
+                                value={privateKey}
+                                onChange={(e) => setPrivateKey(e.target.value)}
+                                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 outline-none transition-all font-mono"
+                                placeholder={isBitcoin ? 'hex private key' : '0x...'}
+                                required
+                            />
+                            <p className="text-xs text-gray-500 mt-1">Signed in your browser. The key is not sent to the server.</p>
+                        </div>
+                    ) : (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Signature</label>
+                            <textarea
+                                value={signature}
+                                onChange={(e) => setSignature(e.target.value)}
+                                rows={3}
+                                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 outline-none transition-all font-mono text-xs"
+                                placeholder={isBitcoin ? 'Compact (r||s) or DER hex signature over the proposal hash' : 'personal_sign signature over the proposal hash bytes'}
+                                required
+                            />
+                        </div>
+                    )}
+                    <div className="flex gap-3 pt-2">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="flex-1 px-6 py-3 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors font-medium"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="flex-1 px-6 py-3 bg-gradient-to-r from-purple-600 to-blue-600 text-white rounded-lg hover:from-purple-700 hover:to-blue-700 transition-all disabled:opacity-50 font-medium"
+                        >
+                            {loading ? 'Signing...' : 'Submit Signature'}
+                        </button>
+                    </div>
+                </form>
+            </div>
         </div>
     );
 }
@@ -1,20 +1,25 @@
 'use client'
 
 import { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '@clerk/nextjs';
 import { X, Send as SendIcon, AlertCircle, Shield, AlertTriangle, CheckCircle } from 'lucide-react';
 import { useWallet } from '@/contexts/DatabaseWalletContext';
 import { transactionAPI, blockchainAPI, walletAPI } from '@/lib/api';
 import toast from 'react-hot-toast';
+import BitcoinCoinControl from './BitcoinCoinControl';
+import SimulationPreview from './SimulationPreview';
+import { getBitcoinPrivateKey } from '@/lib/utils';
 
 export default function SendModal({
   isOpen,
   onClose,
-  asset,
+  asset: baseAsset,
   initialRecipient = '',
   presetLabel = '',
   presetDescription = '',
 }) {
-  const { wallet, refreshData, selectedNetwork, activeWalletId, balances, prices } = useWallet();
+  const { wallet, refreshData, selectedNetwork, activeWalletId, balances, prices, tokens, sendBitcoinWithCoinControl } = useWallet();
+  const { getToken } = useAuth();
   const [recipient, setRecipient] = useState('');
   const [amount, setAmount] = useState('');
   const [password, setPassword] = useState('');
@@ -25,6 +30,37 @@ export default function SendModal({
   const [showModal, setShowModal] = useState(false);
   const [freshBalance, setFreshBalance] = useState(null);
   const [freshBalanceLoading, setFreshBalanceLoading] = useState(false);
+  const [selectedUtxos, setSelectedUtxos] = useState([]);
+  const [solanaMint, setSolanaMint] = useState('');
+  const [solanaPriority, setSolanaPriority] = useState('medium');
+  const [solanaPriorityFees, setSolanaPriorityFees] = useState(null);
+  const [nonceAccount, setNonceAccount] = useState('');
+  const [creatingNonce, setCreatingNonce] = useState(false);
+  const [evmFees, setEvmFees] = useState(null);
+  const [evmFeeTier, setEvmFeeTier] = useState('normal');
+  const [customFees, setCustomFees] = useState({ maxFeePerGas: '', maxPriorityFeePerGas: '' });
+  const [simulation, setSimulation] = useState(null);
+
+  // On Solana the SOL send flow can switch to any SPL token the wallet holds.
+  const solanaTokens = useMemo(() => (
+    baseAsset?.symbol === 'SOL' ? tokens.filter(token => token.mint && parseFloat(token.balance) > 0) : []
+  ), [baseAsset?.symbol, tokens]);
+
+  const asset = useMemo(() => {
+    const token = solanaTokens.find(item => item.mint === solanaMint);
+    if (!token) return baseAsset;
+    return {
+      name: token.name,
+      symbol: token.symbol,
+      balance: token.balance,
+      priceData: null,
+      icon: token.symbol[0],
+      mint: token.mint,
+      decimals: token.decimals,
+      tokenProgram: token.tokenProgram,
+      sourceAccount: token.sourceAccount,
+    };
+  }, [baseAsset, solanaTokens, solanaMint]);
 
   useEffect(() => {
     if (isOpen) {
@@ -35,9 +71,31 @@ export default function SendModal({
   }, [isOpen]);
 
   const fetchGas = async () => {
+    const [chain, network] = selectedNetwork.split('-');
+    if (chain === 'solana') {
+      try {
+        const fees = await transactionAPI.getSolanaPriorityFees(network);
+        if (fees.success) {
+          setSolanaPriorityFees(fees);
+        }
+      } catch (error) {
+        console.error('Failed to fetch Solana priority fees:', error);
+      }
+      return;
+    }
+
     if (asset && asset.symbol !== 'BTC') {
       try {
-        const [chain, network] = selectedNetwork.split('-');
+        const fees = await blockchainAPI.getEthereumFeeSuggestions(selectedNetwork);
+        if (fees.success) {
+          setEvmFees(fees);
+          return;
+        }
+      } catch (error) {
+        console.error('Failed to fetch fee suggestions:', error);
+      }
+
+      try {
         const gas = await blockchainAPI.getGasPrice(network);
         if (gas.success) {
           setGasPrice(gas.data?.gasPrice || gas.gasPrice);
@@ -57,11 +115,41 @@ export default function SendModal({
       setPassword('');
       setAddressHistory(null);
       setFreshBalance(null);
+      setSelectedUtxos([]);
+      setSolanaMint('');
+      setSolanaPriority('medium');
+      setSolanaPriorityFees(null);
+      setNonceAccount('');
+      setEvmFees(null);
+      setEvmFeeTier('normal');
+      setCustomFees({ maxFeePerGas: '', maxPriorityFeePerGas: '' });
+      setSimulation(null);
     }
   }, [initialRecipient, isOpen]);
 
+  // Fees the EVM send will use: a suggested tier or the user's custom values (gwei).
+  const selectedEvmFees = evmFeeTier === 'custom' ? customFees : evmFees?.tiers?.[evmFeeTier];
+
+  const customFeeWarning = useMemo(() => {
+    if (evmFeeTier !== 'custom' || !evmFees) return null;
+    const maxFee = parseFloat(customFees.maxFeePerGas);
+    const tip = parseFloat(customFees.maxPriorityFeePerGas);
+    if (isNaN(maxFee) || isNaN(tip)) return null;
+    if (tip > maxFee) return 'Priority fee cannot be higher than the max fee.';
+    if (maxFee < parseFloat(evmFees.baseFeePerGas)) {
+      return `Max fee is below the current base fee (${evmFees.baseFeePerGas} gwei); the transaction waits until fees drop.`;
+    }
+    if (tip > parseFloat(evmFees.tiers.fast.maxPriorityFeePerGas) * 2) {
+      return `Priority fee is well above the fast tier (${evmFees.tiers.fast.maxPriorityFeePerGas} gwei).`;
+    }
+    return null;
+  }, [evmFeeTier, evmFees, customFees]);
+
+  const feeSymbol = selectedNetwork?.startsWith('polygon') ? 'MATIC' : 'ETH';
+  const formatWait = (seconds) => (seconds < 60 ? `~${seconds}s` : `~${Math.round(seconds / 60)} min`);
+
   const liveBalance = useMemo(() => {
-    if (!asset?.symbol) return asset?.balance || '0';
+    if (!asset?.symbol || asset.mint) return asset?.balance || '0';
 
     if (asset.symbol === 'BTC') {
       return balances.bitcoin || asset?.balance || '0';
@@ -86,7 +174,7 @@ export default function SendModal({
   }, [asset, balances, selectedNetwork]);
 
   const livePriceData = useMemo(() => {
-    if (!asset?.symbol) return asset?.priceData || null;
+    if (!asset?.symbol || asset.mint) return asset?.priceData || null;
     if (asset.symbol === 'BTC') return prices.bitcoin || asset?.priceData || null;
     if (asset.symbol === 'SOL') return prices.solana || asset?.priceData || null;
     if (asset.symbol === 'ETH') return prices.ethereum || asset?.priceData || null;
@@ -99,6 +187,12 @@ export default function SendModal({
     const fetchFreshBalance = async () => {
       if (!isOpen || !asset?.symbol) return;
 
+      // SPL balances come from the token list loaded with the wallet.
+      if (asset.mint) {
+        setFreshBalance(null);
+        return;
+      }
+
       setFreshBalanceLoading(true);
 
       try {
@@ -144,7 +238,7 @@ export default function SendModal({
     return () => {
       cancelled = true;
     };
-  }, [asset?.symbol, isOpen, selectedNetwork, wallet?.bitcoin?.address, wallet?.ethereum?.address, wallet?.solana?.address]);
+  }, [asset?.symbol, asset?.mint, isOpen, selectedNetwork, wallet?.bitcoin?.address, wallet?.ethereum?.address, wallet?.solana?.address]);
 
   const resolvedBalance = freshBalance ?? liveBalance;
 
@@ -152,7 +246,7 @@ export default function SendModal({
 
   const hasWalletAddress = asset?.symbol === 'BTC'
     ? !!wallet?.bitcoin?.address
-    : asset?.symbol === 'SOL'
+    : asset?.symbol === 'SOL' || asset?.mint
       ? !!wallet?.solana?.address
       : !!wallet?.ethereum?.address;
 
@@ -183,7 +277,7 @@ export default function SendModal({
 
     const fromAddress = asset.symbol === 'BTC'
       ? wallet?.bitcoin?.address
-      : asset.symbol === 'SOL'
+      : asset.symbol === 'SOL' || asset.mint
         ? wallet?.solana?.address
         : wallet?.ethereum?.address;
 
@@ -205,9 +299,97 @@ export default function SendModal({
       return;
     }
 
+    if (evmFeeTier === 'custom' && evmFees) {
+      const maxFee = parseFloat(customFees.maxFeePerGas);
+      const tip = parseFloat(customFees.maxPriorityFeePerGas);
+      if (isNaN(maxFee) || isNaN(tip) || maxFee <= 0 || tip < 0) {
+        toast.error('⚠️ Enter a max fee and priority fee in gwei');
+        return;
+      }
+      if (tip > maxFee) {
+        toast.error('⚠️ Priority fee cannot be higher than the max fee');
+        return;
+      }
+    }
+
     await checkAddressHistory();
 
     setStep(2);
+
+    // EVM sends are dry-run first so reverting token transfers are caught before they burn gas.
+    if (asset.symbol !== 'BTC' && asset.symbol !== 'SOL' && !asset.mint) {
+      setSimulation({ loading: true });
+      try {
+        setSimulation(await transactionAPI.simulateTransfer(fromAddress, recipient, amount, {
+          network: selectedNetwork,
+          ...(asset.symbol !== 'ETH' && { tokenAddress: asset.address, decimals: asset.decimals }),
+        }));
+      } catch (error) {
+        setSimulation({ success: false, error: error.message });
+      }
+    } else {
+      setSimulation(null);
+    }
+  };
+
+  // Decrypts the active Bitcoin key for coin-control actions outside the send flow.
+  const decryptBitcoinPrivateKey = async () => {
+    if (!password) {
+      toast.error('⚠️ Enter your wallet password first');
+      return null;
+    }
+
+    const decrypted = await walletAPI.decryptData(wallet.encryptedData || wallet.encrypted, password);
+    if (!decrypted.success) {
+      toast.error('❌ Incorrect password. Please try again.');
+      return null;
+    }
+
+    const walletData = JSON.parse(decrypted.decrypted || decrypted.data || '{}');
+    const bitcoinKey = getBitcoinPrivateKey(walletData, wallet?.bitcoin?.addressType);
+    if (!bitcoinKey) {
+      toast.error('❌ Bitcoin key not found in wallet data.');
+      return null;
+    }
+    return bitcoinKey;
+  };
+
+  // Creates (or finds) the wallet's durable nonce account so offline-signed sends don't expire.
+  const handleCreateNonceAccount = async () => {
+    if (!password) {
+      toast.error('⚠️ Enter your wallet password first');
+      return;
+    }
+
+    try {
+      setCreatingNonce(true);
+      const decrypted = await walletAPI.decryptData(wallet.encryptedData || wallet.encrypted, password);
+      if (!decrypted.success) {
+        toast.error('❌ Incorrect password. Please try again.');
+        return;
+      }
+
+      const walletData = JSON.parse(decrypted.decrypted || decrypted.data || '{}');
+      if (!walletData.solana?.privateKey) {
+        toast.error('❌ Solana key not found in wallet data.');
+        return;
+      }
+
+      const result = await transactionAPI.createSolanaNonceAccount(walletData.solana.privateKey, {
+        network: selectedNetwork.split('-')[1],
+      });
+      if (!result.success) {
+        toast.error(result.error || 'Failed to create nonce account');
+        return;
+      }
+
+      setNonceAccount(result.nonceAccount);
+      toast.success(result.created ? 'Nonce account created' : 'Using existing nonce account');
+    } catch (error) {
+      toast.error(error.message || 'Failed to create nonce account');
+    } finally {
+      setCreatingNonce(false);
+    }
   };
 
   const handleSend = async () => {
@@ -249,18 +431,50 @@ export default function SendModal({
 
       const [chain, networkName] = selectedNetwork.split('-');
 
-      if (asset.symbol === 'BTC') {
-        if (!walletData.bitcoin?.privateKey) {
-          toast.error('❌ Bitcoin key not found in wallet data.');
+      if (asset.mint) {
+        if (!walletData.solana?.privateKey) {
+          toast.error('❌ Solana key not found in wallet data.');
           return;
         }
-        result = await transactionAPI.sendBitcoinTransaction(
-          walletData.bitcoin.privateKey,
+        result = await transactionAPI.sendSolanaTokenTransaction(
+          walletData.solana.privateKey,
           recipient,
-          parseFloat(amount),
-          null,
-          activeWalletId
+          amount,
+          {
+            network: networkName,
+            mint: asset.mint,
+            decimals: asset.decimals,
+            tokenProgram: asset.tokenProgram,
+            sourceAccount: asset.sourceAccount,
+            priority: solanaPriority,
+            nonceAccount,
+          }
         );
+      } else if (asset.symbol === 'BTC') {
+        if (!walletData.bitcoin?.privateKey) {
+          toast.error('❌ Bitcoin key not found in wallet data.');
+          return;
+        }
+        const addressType = wallet?.bitcoin?.addressType || walletData.bitcoin.addressType || 'legacy';
+        const bitcoinKey = getBitcoinPrivateKey(walletData, addressType);
+        if (activeWalletId) {
+          // Route through the wallet so frozen UTXOs are never spent; a manual pick may mix labels.
+          result = await sendBitcoinWithCoinControl(activeWalletId, {
+            privateKey: bitcoinKey,
+            toAddress: recipient,
+            amount,
+            network: networkName,
+            ...(selectedUtxos.length > 0 && { utxos: selectedUtxos, allowMixedLabels: true }),
+          });
+        } else {
+          result = await transactionAPI.sendBitcoinTransaction(
+            await getToken(),
+            bitcoinKey,
+            recipient,
+            amount,
+            { network: networkName, addressType, walletId: activeWalletId }
+          );
+        }
       } else if (asset.symbol === 'SOL') {
         if (!walletData.solana?.privateKey) {
           toast.error('❌ Solana key not found in wallet data.');
@@ -270,7 +484,7 @@ export default function SendModal({
           walletData.solana.privateKey,
           recipient,
           amount,
-          { network: networkName, walletId: activeWalletId, confirmed: true }
+          { network: networkName, walletId: activeWalletId, priority: solanaPriority, nonceAccount }
         );
       } else if (asset.symbol === 'ETH') {
         if (!walletData.ethereum?.privateKey) {
@@ -281,7 +495,15 @@ export default function SendModal({
           walletData.ethereum.privateKey,
           recipient,
           amount,
-          { network: networkName, walletId: activeWalletId, confirmed: true }
+          {
+            network: networkName,
+            walletId: activeWalletId,
+            confirmed: true,
+            ...(selectedEvmFees && {
+            maxFeePerGas: selectedEvmFees.maxFeePerGas,
+            maxPriorityFeePerGas: selectedEvmFees.maxPriorityFeePerGas,
+          }),
+          }
         );
       } else {
         if (!walletData.ethereum?.privateKey) {
@@ -293,7 +515,16 @@ export default function SendModal({
           asset.address,
           recipient,
           amount,
-          { network: networkName, walletId: activeWalletId, decimals: asset.decimals, confirmed: true }
+          {
+            network: networkName,
+            walletId: activeWalletId,
+            decimals: asset.decimals,
+            confirmed: true,
+            ...(selectedEvmFees && {
+            maxFeePerGas: selectedEvmFees.maxFeePerGas,
+            maxPriorityFeePerGas: selectedEvmFees.maxPriorityFeePerGas,
+          }),
+          }
         );
       }
 
@@ -310,6 +541,10 @@ export default function SendModal({
             } else if (networkName === 'sepolia') {
               explorerUrl = `https://sepolia.etherscan.io/tx/${txHash}`;
             }
+          } else if (chain === 'bitcoin') {
+            explorerUrl = networkName === 'testnet'
+              ? `https://mempool.space/testnet/tx/${txHash}`
+              : `https://mempool.space/tx/${txHash}`;
           }
 
           toast.success(
@@ -438,6 +673,33 @@ export default function SendModal({
               )}
             </div>
 
+            {solanaTokens.length > 0 && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-300">Asset</label>
+                <select
+                  value={solanaMint}
+                  onChange={(e) => {
+                    setSolanaMint(e.target.value);
+                    setAmount('');
+                  }}
+                  className="w-full px-4 py-3 bg-slate-800/50 border border-slate-600/50 rounded-xl text-white focus:outline-none focus:border-blue-500/50"
+                >
+                  <option value="">SOL</option>
+                  {solanaTokens.map(token => (
+                    <option key={token.mint} value={token.mint}>
+                      {token.symbol} · {parseFloat(token.balance).toLocaleString('en-US', { maximumFractionDigits: 6 })}
+                      {token.verified ? '' : ` · ${token.mint.slice(0, 6)}...`}
+                    </option>
+                  ))}
+                </select>
+                {asset?.mint && (
+                  <p className="text-xs text-slate-400">
+                    A token account is created for the recipient if they do not have one yet (paid in SOL from your wallet).
+                  </p>
+                )}
+              </div>
+            )}
+
             {(presetLabel || presetDescription) && (
               <div className="rounded-2xl border border-sky-500/20 bg-sky-500/10 p-4">
                 {presetLabel ? (
@@ -530,8 +792,107 @@ export default function SendModal({
               </div>
             </div>
 
+            {asset?.symbol === 'BTC' && activeWalletId && (
+              <BitcoinCoinControl
+                walletId={activeWalletId}
+                network={selectedNetwork.split('-')[1] || 'mainnet'}
+                selected={selectedUtxos}
+                onSelectionChange={setSelectedUtxos}
+                getPrivateKey={decryptBitcoinPrivateKey}
+              />
+            )}
+
+            {selectedNetwork.startsWith('solana') && (
+              <div className="space-y-3 px-4 py-3 bg-slate-800/30 rounded-xl border border-slate-700/30">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-sm text-slate-400">Priority Fee</span>
+                  <select
+                    value={solanaPriority}
+                    onChange={(e) => setSolanaPriority(e.target.value)}
+                    className="px-3 py-2 bg-slate-800/50 border border-slate-600/50 rounded-lg text-sm text-white focus:outline-none focus:border-blue-500/50"
+                  >
+                    {['low', 'medium', 'high'].map(tier => (
+                      <option key={tier} value={tier}>
+                        {tier.charAt(0).toUpperCase() + tier.slice(1)}
+                        {solanaPriorityFees ? ` · ${solanaPriorityFees.tiers[tier].toLocaleString()} µlamports/CU` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {solanaPriorityFees?.congestion?.multiplier > 1 && (
+                  <p className="text-xs text-amber-300">
+                    Network is congested ({solanaPriorityFees.congestion.averageSlotMs}ms slots); fees are raised accordingly.
+                  </p>
+                )}
+                <div className="space-y-1">
+                  <label className="text-xs text-slate-400">Durable nonce account (optional, for offline signing)</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={nonceAccount}
+                      onChange={(e) => setNonceAccount(e.target.value.trim())}
+                      className="flex-1 px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500/50 font-mono text-xs"
+                      placeholder="Uses a recent blockhash when empty"
+                    />
+                    <button
+                      onClick={handleCreateNonceAccount}
+                      disabled={creatingNonce}
+                      className="px-3 py-2 text-xs bg-blue-500/20 hover:bg-blue-500/30 disabled:opacity-50 text-blue-400 rounded-lg transition-all font-medium"
+                    >
+                      {creatingNonce ? 'Creating...' : 'Create'}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {evmFees && asset?.symbol !== 'BTC' && !selectedNetwork.startsWith('solana') && (
+              <div className="space-y-3 px-4 py-3 bg-slate-800/30 rounded-xl border border-slate-700/30">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-sm text-slate-400">Network Fee</span>
+                  <select
+                    value={evmFeeTier}
+                    onChange={(e) => setEvmFeeTier(e.target.value)}
+                    className="px-3 py-2 bg-slate-800/50 border border-slate-600/50 rounded-lg text-sm text-white focus:outline-none focus:border-blue-500/50"
+                  >
+                    {['slow', 'normal', 'fast'].map(tier => (
+                      <option key={tier} value={tier}>
+                        {tier.charAt(0).toUpperCase() + tier.slice(1)} · {evmFees.tiers[tier].maxPriorityFeePerGas} gwei tip · {formatWait(evmFees.tiers[tier].estimatedSeconds)}
+                      </option>
+                    ))}
+                    <option value="custom">Custom</option>
+                  </select>
+                </div>
+                <p className="text-xs text-slate-400">
+                  Base fee {evmFees.baseFeePerGas} gwei ({evmFees.baseFeeTrend})
+                  {evmFeeTier !== 'custom' && ` · transfer ~${parseFloat(evmFees.tiers[evmFeeTier].transferCost.expected).toFixed(6)} ${feeSymbol}, at most ${parseFloat(evmFees.tiers[evmFeeTier].transferCost.max).toFixed(6)} ${feeSymbol}`}
+                </p>
+                {evmFeeTier === 'custom' && (
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      value={customFees.maxFeePerGas}
+                      onChange={(e) => setCustomFees(prev => ({ ...prev, maxFeePerGas: e.target.value }))}
+                      placeholder={`Max fee (${evmFees.tiers.normal.maxFeePerGas})`}
+                      step="any"
+                      className="flex-1 px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-blue-500/50"
+                    />
+                    <input
+                      type="number"
+                      value={customFees.maxPriorityFeePerGas}
+                      onChange={(e) => setCustomFees(prev => ({ ...prev, maxPriorityFeePerGas: e.target.value }))}
+                      placeholder={`Priority fee (${evmFees.tiers.normal.maxPriorityFeePerGas})`}
+                      step="any"
+                      className="flex-1 px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-blue-500/50"
+                    />
+                  </div>
+                )}
+                {customFeeWarning && <p className="text-xs text-amber-300">{customFeeWarning}</p>}
+              </div>
+            )}
+
             {}
-            {gasPrice && asset?.symbol !== 'BTC' && (
+            {!evmFees && gasPrice && asset?.symbol !== 'BTC' && !selectedNetwork.startsWith('solana') && (
               <div className="flex items-center justify-between px-4 py-3 bg-slate-800/30 rounded-xl border border-slate-700/30">
                 <span className="text-sm text-slate-400">Estimated Network Fee</span>
                 <span className="text-sm text-blue-400 font-medium">
@@ -632,7 +993,15 @@ export default function SendModal({
               </div>
 
               {}
-              {gasPrice && asset?.symbol !== 'BTC' && (
+              {selectedEvmFees && asset?.symbol !== 'BTC' && (
+                <div className="flex items-center justify-between pt-2 border-t border-slate-700/50">
+                  <span className="text-sm text-slate-400">Network Fee</span>
+                  <span className="text-sm text-blue-400 font-medium">
+                    {evmFeeTier.charAt(0).toUpperCase() + evmFeeTier.slice(1)} · max {selectedEvmFees.maxFeePerGas} gwei, tip {selectedEvmFees.maxPriorityFeePerGas} gwei
+                  </span>
+                </div>
+              )}
+              {!selectedEvmFees && gasPrice && asset?.symbol !== 'BTC' && (
                 <div className="flex items-center justify-between pt-2 border-t border-slate-700/50">
                   <span className="text-sm text-slate-400">Network Fee</span>
                   <span className="text-sm text-blue-400 font-medium">
@@ -668,6 +1037,8 @@ export default function SendModal({
               </div>
             )}
 
+            <SimulationPreview simulation={simulation} />
+
             {}
             <div className="bg-amber-500/10 border border-amber-500/30 rounded-2xl p-4 flex gap-3">
               <div className="w-10 h-10 bg-amber-500/20 rounded-xl flex items-center justify-center flex-shrink-0">
@@ -696,7 +1067,7 @@ export default function SendModal({
                 className="flex-1 py-4 px-6 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-400 hover:to-emerald-400 disabled:from-slate-700 disabled:to-slate-700 disabled:cursor-not-allowed text-white font-semibold rounded-xl transition-all duration-200 flex items-center justify-center gap-2 shadow-lg shadow-green-500/25 hover:shadow-green-500/40 disabled:shadow-none hover:scale-[1.02] active:scale-[0.98]"
               >
                 <SendIcon className="w-4 h-4" />
-                {loading ? 'Sending...' : 'Confirm & Send'}
+                {loading ? 'Sending...' : simulation?.willRevert ? 'Send Anyway' : 'Confirm & Send'}
               </button>
             </div>
           </div>
@@ -13,6 +13,12 @@ import toast from 'react-hot-toast'
 import { telegramAPI } from '@/lib/api'
 import TelegramAddressListManager from '@/components/TelegramAddressListManager'
 
+const BITCOIN_ADDRESS_TYPE_OPTIONS = [
+  { id: 'segwit', name: 'Native SegWit (bc1q…)' },
+  { id: 'taproot', name: 'Taproot (bc1p…)' },
+  { id: 'legacy', name: 'Legacy (1…)' },
+]
+
 export default function Settings({ isOpen, onClose, onOpenAccountDetails, onStartTutorial }) {
   const { user: clerkUser } = useUser()
   const { signOut } = useClerk()
@@ -21,6 +27,7 @@ export default function Settings({ isOpen, onClose, onOpenAccountDetails, onStar
     activeWalletId,
     deleteWallet,
     deleteDatabaseWallet,
+    updateBitcoinAddressType,
     importLocalStorageWallet,
     logout,
     user,
@@ -395,6 +402,26 @@ export default function Settings({ isOpen, onClose, onOpenAccountDetails, onStar
                               <span className="text-xs px-2 sm:px-3 py-1 bg-green-500/20 text-green-300 rounded-full whitespace-nowrap">Active</span>
                             )}
                           </div>
+                          {w.addresses?.bitcoin && (
+                            <div className="mt-3 flex items-center justify-between gap-2">
+                              <label className="text-xs text-blue-300">Bitcoin address type</label>
+                              <select
+                                value={w.bitcoinAddressType || 'legacy'}
+                                onChange={(e) => updateBitcoinAddressType(w.id, e.target.value)}
+                                className="text-xs bg-blue-900/40 border border-blue-500/30 rounded-lg px-2 py-1 text-blue-100"
+                              >
+                                {BITCOIN_ADDRESS_TYPE_OPTIONS.map((option) => (
+                                  <option
+                                    key={option.id}
+                                    value={option.id}
+                                    disabled={option.id !== (w.bitcoinAddressType || 'legacy') && !w.bitcoinAddresses?.[option.id]}
+                                  >
+                                    {option.name}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                          )}
                         </div>
                       ))}
                     </div>
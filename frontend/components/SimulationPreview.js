@@ -0,0 +1,65 @@
+'use client'
+
+import { FlaskConical, XCircle, Loader2 } from 'lucide-react';
+
+/**
+ * Result of a pre-send simulation: expected balance changes and gas, or the
+ * revert reason when the transaction would fail on-chain.
+ */
+export default function SimulationPreview({ simulation }) {
+  if (!simulation) return null;
+
+  if (simulation.loading) {
+    return (
+      <div className="flex items-center gap-2 rounded-2xl p-4 border border-slate-700/50 bg-slate-800/50 text-sm text-slate-400">
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Simulating transaction...
+      </div>
+    );
+  }
+
+  if (!simulation.success) {
+    return (
+      <p className="text-xs text-slate-500">
+        Simulation unavailable{simulation.error ? `: ${simulation.error}` : ''}. Check the details carefully.
+      </p>
+    );
+  }
+
+  if (simulation.willRevert) {
+    return (
+      <div className="bg-red-500/10 border border-red-500/30 rounded-2xl p-4 flex gap-3">
+        <XCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+        <div>
+          <p className="text-sm font-semibold text-red-300">This transaction would fail</p>
+          <p className="text-xs text-red-200/80 mt-0.5 break-all">{simulation.revertReason || 'Reverted without a reason'}</p>
+          <p className="text-xs text-red-200/60 mt-1">Sending it anyway would still spend gas.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-2xl p-4 border border-emerald-500/30 bg-emerald-500/10 space-y-2">
+      <div className="flex items-center gap-2">
+        <FlaskConical className="w-4 h-4 text-emerald-400" />
+        <p className="text-sm font-semibold text-emerald-300">Simulated outcome</p>
+      </div>
+      {simulation.balanceChanges.map(change => (
+        <div key={`${change.account}:${change.token || 'native'}`} className="flex items-center justify-between text-sm">
+          <span className="text-slate-400">{change.symbol || 'Unknown token'}</span>
+          <span className={`font-mono ${change.raw.startsWith('-') ? 'text-red-300' : 'text-emerald-300'}`}>
+            {change.amount === null ? change.raw : `${change.raw.startsWith('-') ? '' : '+'}${change.amount}`}
+          </span>
+        </div>
+      ))}
+      <div className="flex items-center justify-between text-xs text-slate-400">
+        <span>Gas used</span>
+        <span>{Number(simulation.gasUsed).toLocaleString()} · ≈ {Number(simulation.networkFee).toFixed(6)} ETH max</span>
+      </div>
+      {simulation.warnings.map(warning => (
+        <p key={warning} className="text-xs text-amber-300">{warning}</p>
+      ))}
+    </div>
+  );
+}
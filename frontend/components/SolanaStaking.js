@@ -0,0 +1,266 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { Coins, RefreshCw } from 'lucide-react';
+import { useWallet } from '@/contexts/DatabaseWalletContext';
+import { blockchainAPI, transactionAPI, walletAPI } from '@/lib/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  active: 'bg-green-500/20 text-green-300',
+  activating: 'bg-sky-500/20 text-sky-300',
+  deactivating: 'bg-yellow-500/20 text-yellow-300',
+  inactive: 'bg-slate-600/40 text-slate-300',
+  initialized: 'bg-slate-600/40 text-slate-300',
+};
+
+const shorten = (value) => `${value.slice(0, 4)}...${value.slice(-4)}`;
+
+/**
+ * Native SOL staking for the active wallet: stake positions with their
+ * activation state by epoch, rewards for recent epochs, and actions to
+ * stake with a validator, unstake and withdraw.
+ */
+export default function SolanaStaking({ address, network }) {
+  const { wallet, refreshData } = useWallet();
+  const [positions, setPositions] = useState(null);
+  const [rewards, setRewards] = useState(null);
+  const [validators, setValidators] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [voteAccount, setVoteAccount] = useState('');
+  const [amount, setAmount] = useState('');
+  const [password, setPassword] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const validatorLabel = (vote) => {
+    const validator = validators.find(entry => entry.voteAccount === vote);
+    return validator ? `${shorten(vote)} · ${validator.commission}% fee` : shorten(vote);
+  };
+
+  const loadStaking = async () => {
+    setLoading(true);
+    try {
+      const [accounts, rewardHistory] = await Promise.all([
+        blockchainAPI.getSolanaStakeAccounts(address, network),
+        blockchainAPI.getSolanaStakeRewards(address, network, 5),
+      ]);
+      setPositions(accounts.success ? accounts : { error: accounts.error });
+      setRewards(rewardHistory.success ? rewardHistory : null);
+    } catch (error) {
+      setPositions({ error: error.response?.data?.error || 'Failed to load stake accounts' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadValidators = async () => {
+    try {
+      const result = await blockchainAPI.getSolanaValidators(network, 50);
+      if (result.success) {
+        setValidators(result.validators.filter(validator => !validator.delinquent));
+      }
+    } catch (error) {
+      console.error('Failed to load validators:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (address) {
+      loadStaking();
+      loadValidators();
+    }
+  }, [address, network]);
+
+  const runAction = async (action, params) => {
+    if (!password) {
+      toast.error('⚠️ Enter your wallet password first');
+      return;
+    }
+
+    setPendingAction(`${action}:${params.stakeAccount || ''}`);
+    try {
+      const decrypted = await walletAPI.decryptData(wallet.encryptedData || wallet.encrypted, password);
+      if (!decrypted.success) {
+        toast.error('❌ Incorrect password. Please try again.');
+        return;
+      }
+
+      const walletData = JSON.parse(decrypted.decrypted || decrypted.data || '{}');
+      if (!walletData.solana?.privateKey) {
+        toast.error('❌ Solana key not found in wallet data.');
+        return;
+      }
+
+      const result = await transactionAPI.sendSolanaStakeTransaction(walletData.solana.privateKey, action, {
+        ...params,
+        network,
+      });
+      if (!result.success) {
+        toast.error(result.error || 'Staking transaction failed');
+        return;
+      }
+
+      const messages = {
+        create: `Staked ${result.amount} SOL`,
+        delegate: 'Stake delegated',
+        deactivate: 'Unstaking started; funds unlock after the epoch ends',
+        withdraw: `Withdrew ${result.amount} SOL`,
+      };
+      toast.success(messages[action]);
+      setAmount('');
+      await loadStaking();
+      refreshData?.();
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleStake = () => {
+    if (!voteAccount || !amount) {
+      toast.error('⚠️ Choose a validator and amount');
+      return;
+    }
+    runAction('create', { voteAccount, amount });
+  };
+
+  return (
+    <div className="bg-slate-800/60 backdrop-blur-xl rounded-2xl p-5 border border-slate-700/50">
+      <div className="flex items-center gap-2 mb-4">
+        <Coins className="w-4 h-4 text-purple-400" />
+        <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider">Staking</h3>
+        {positions?.epoch !== undefined && (
+          <span className="text-xs px-2 py-0.5 bg-purple-500/20 text-purple-300 rounded-full">Epoch {positions.epoch}</span>
+        )}
+        <button
+          onClick={loadStaking}
+          disabled={loading}
+          className="ml-auto p-1.5 hover:bg-slate-700/50 rounded-lg transition-all"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 text-slate-400 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {!positions && <p className="text-sm text-slate-500">{loading ? 'Loading stake accounts...' : 'No data yet.'}</p>}
+      {positions?.error && <p className="text-sm text-red-400">{positions.error}</p>}
+
+      {positions?.stakeAccounts && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-slate-400">Total staked</span>
+            <span className="text-white font-semibold">{parseFloat(positions.totalStaked).toLocaleString('en-US', { maximumFractionDigits: 4 })} SOL</span>
+          </div>
+
+          {positions.stakeAccounts.length === 0 && (
+            <p className="text-sm text-slate-500">No stake accounts yet. Stake idle SOL below to start earning rewards.</p>
+          )}
+
+          {positions.stakeAccounts.map(account => (
+            <div key={account.address} className="bg-slate-700/40 rounded-xl p-4 border border-slate-600/30 space-y-2">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-white font-medium text-sm">{parseFloat(account.balance).toLocaleString('en-US', { maximumFractionDigits: 4 })} SOL</p>
+                  <p className="text-slate-400 text-xs font-mono">{shorten(account.address)}</p>
+                </div>
+                <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${STATUS_STYLES[account.status]}`}>{account.status}</span>
+              </div>
+              <div className="text-xs text-slate-400 space-y-1">
+                {account.voteAccount && <p>Validator {validatorLabel(account.voteAccount)}</p>}
+                {account.status === 'activating' && <p>Earns rewards from epoch {account.activeFromEpoch}</p>}
+                {account.status === 'deactivating' && <p>Withdrawable from epoch {account.withdrawableFromEpoch}</p>}
+                {parseFloat(account.withdrawable) > 0 && <p>{account.withdrawable} SOL withdrawable</p>}
+              </div>
+              <div className="flex gap-2">
+                {(account.status === 'active' || account.status === 'activating') && account.canManage && (
+                  <button
+                    onClick={() => runAction('deactivate', { stakeAccount: account.address })}
+                    disabled={!!pendingAction}
+                    className="px-3 py-1.5 text-xs bg-yellow-500/20 hover:bg-yellow-500/30 disabled:opacity-50 text-yellow-300 rounded-lg transition-all"
+                  >
+                    {pendingAction === `deactivate:${account.address}` ? 'Unstaking...' : 'Unstake'}
+                  </button>
+                )}
+                {parseFloat(account.withdrawable) > 0 && account.canWithdraw && (
+                  <button
+                    onClick={() => runAction('withdraw', { stakeAccount: account.address })}
+                    disabled={!!pendingAction}
+                    className="px-3 py-1.5 text-xs bg-green-500/20 hover:bg-green-500/30 disabled:opacity-50 text-green-300 rounded-lg transition-all"
+                  >
+                    {pendingAction === `withdraw:${account.address}` ? 'Withdrawing...' : 'Withdraw'}
+                  </button>
+                )}
+                {account.status === 'inactive' && account.canManage && voteAccount && (
+                  <button
+                    onClick={() => runAction('delegate', { stakeAccount: account.address, voteAccount })}
+                    disabled={!!pendingAction}
+                    className="px-3 py-1.5 text-xs bg-purple-500/20 hover:bg-purple-500/30 disabled:opacity-50 text-purple-300 rounded-lg transition-all"
+                  >
+                    Restake with selected validator
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {rewards?.rewards?.length > 0 && (
+            <div className="pt-3 border-t border-slate-600/30">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-slate-400 text-xs uppercase tracking-wider">Rewards per epoch</p>
+                <p className="text-xs text-green-300">+{rewards.total} SOL</p>
+              </div>
+              <div className="space-y-1">
+                {rewards.rewards.map(entry => (
+                  <div key={entry.epoch} className="flex items-center justify-between text-xs">
+                    <span className="text-slate-400">Epoch {entry.epoch}</span>
+                    <span className={parseFloat(entry.total) > 0 ? 'text-green-300' : 'text-slate-500'}>+{entry.total} SOL</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="mt-4 pt-4 border-t border-slate-600/30 space-y-2">
+        <select
+          value={voteAccount}
+          onChange={(e) => setVoteAccount(e.target.value)}
+          className="w-full px-3 py-2 bg-slate-800/50 border border-slate-600/50 rounded-lg text-sm text-white focus:outline-none focus:border-purple-500/50"
+        >
+          <option value="">Choose a validator</option>
+          {validators.map(validator => (
+            <option key={validator.voteAccount} value={validator.voteAccount}>
+              {shorten(validator.voteAccount)} · {validator.commission}% fee · {Math.round(validator.activatedStake).toLocaleString()} SOL staked
+            </option>
+          ))}
+        </select>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="Amount (SOL)"
+            step="any"
+            className="flex-1 px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-purple-500/50"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Wallet password"
+            className="flex-1 px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-purple-500/50"
+          />
+        </div>
+        <button
+          onClick={handleStake}
+          disabled={!!pendingAction}
+          className="w-full rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 px-4 py-2.5 text-sm font-semibold text-white transition-all hover:from-purple-400 hover:to-pink-400 disabled:opacity-50"
+        >
+          {pendingAction?.startsWith('create') ? 'Staking...' : 'Stake SOL'}
+        </button>
+        <p className="text-xs text-slate-400">
+          New stake starts earning at the next epoch. Unstaking takes effect at the end of the current epoch before funds can be withdrawn.
+        </p>
+      </div>
+    </div>
+  );
+}
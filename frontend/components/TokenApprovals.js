@@ -0,0 +1,205 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { ShieldAlert, RefreshCw } from 'lucide-react';
+import { useWallet } from '@/contexts/DatabaseWalletContext';
+import { transactionAPI, walletAPI } from '@/lib/api';
+import toast from 'react-hot-toast';
+
+const RISK_STYLES = {
+  high: 'bg-red-500/20 text-red-300',
+  medium: 'bg-yellow-500/20 text-yellow-300',
+  low: 'bg-slate-600/40 text-slate-300',
+};
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+const approvalKey = (owner, approval) => `${owner}:${approval.tokenAddress}:${approval.spender}`;
+
+/**
+ * ERC-20 allowances granted by the wallet and its smart vault, found from
+ * Approval events. Unlimited approvals and unknown spenders are flagged;
+ * revoking sends approve(spender, 0), batched into one vault call for vault
+ * approvals.
+ */
+export default function TokenApprovals({ walletId, network }) {
+  const { wallet, getApprovals, buildRevoke } = useWallet();
+  const [owners, setOwners] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState({});
+  const [password, setPassword] = useState('');
+  const [pending, setPending] = useState(null);
+
+  const loadApprovals = async () => {
+    setLoading(true);
+    try {
+      const result = await getApprovals(walletId, network);
+      setOwners(result.success ? result.owners : { error: result.error || 'Failed to load approvals' });
+      setSelected({});
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (walletId && network) {
+      loadApprovals();
+    }
+  }, [walletId, network]);
+
+  const toggle = (owner, approval) => {
+    const key = approvalKey(owner, approval);
+    setSelected(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const revoke = async (owner, approvals) => {
+    if (!password) {
+      toast.error('⚠️ Enter your wallet password first');
+      return;
+    }
+
+    setPending(approvals.length === 1 ? approvalKey(owner, approvals[0]) : `batch:${owner}`);
+    try {
+      const decrypted = await walletAPI.decryptData(wallet.encryptedData || wallet.encrypted, password);
+      if (!decrypted.success) {
+        toast.error('❌ Incorrect password. Please try again.');
+        return;
+      }
+
+      const walletData = JSON.parse(decrypted.decrypted || decrypted.data || '{}');
+      if (!walletData.ethereum?.privateKey) {
+        toast.error('❌ Ethereum key not found in wallet data.');
+        return;
+      }
+
+      const built = await buildRevoke(walletId, {
+        network,
+        owner,
+        approvals: approvals.map(({ tokenAddress, spender }) => ({ tokenAddress, spender })),
+      });
+      if (!built.success) {
+        toast.error(built.error || 'Failed to build revoke transactions');
+        return;
+      }
+
+      const result = await transactionAPI.revokeApprovals(walletData.ethereum.privateKey, built, { network });
+      if (!result.success) {
+        toast.error(result.error || 'Revoke failed');
+        return;
+      }
+
+      toast.success(approvals.length === 1 ? 'Approval revoked' : `Revoked ${approvals.length} approvals`);
+      await loadApprovals();
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const riskCount = owners?.length
+    ? owners.reduce((count, owner) => count + owner.approvals.filter(approval => approval.risk === 'high').length, 0)
+    : 0;
+
+  return (
+    <div className="bg-slate-800/60 backdrop-blur-xl rounded-2xl p-5 border border-slate-700/50">
+      <div className="flex items-center gap-2 mb-4">
+        <ShieldAlert className="w-4 h-4 text-red-400" />
+        <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider">Token Approvals</h3>
+        {riskCount > 0 && (
+          <span className="text-xs px-2 py-0.5 bg-red-500/20 text-red-300 rounded-full">{riskCount} high risk</span>
+        )}
+        <button
+          onClick={loadApprovals}
+          disabled={loading}
+          className="ml-auto p-1.5 hover:bg-slate-700/50 rounded-lg transition-all"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 text-slate-400 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {!owners && <p className="text-sm text-slate-500">{loading ? 'Scanning approvals...' : 'No data yet.'}</p>}
+      {owners?.error && <p className="text-sm text-red-400">{owners.error}</p>}
+
+      {owners?.length > 0 && owners.map(owner => {
+        const chosen = owner.approvals.filter(approval => !approval.error && selected[approvalKey(owner.owner, approval)]);
+        return (
+          <div key={owner.owner} className="space-y-2 mb-4">
+            <div className="flex items-center justify-between text-xs text-slate-400">
+              <span>{owner.type === 'vault' ? 'Smart vault' : 'Wallet'} · <span className="font-mono">{shorten(owner.owner)}</span></span>
+              {owner.scan?.incompleteFrom != null && !owner.scan.error && (
+                <span className="text-yellow-300">
+                  Approvals before block {owner.scan.incompleteFrom.toLocaleString()} not scanned yet — refresh to continue
+                </span>
+              )}
+            </div>
+
+            {owner.approvals.length === 0 && (
+              <p className="text-sm text-slate-500">No active approvals.</p>
+            )}
+
+            {owner.approvals.map(approval => {
+              const key = approvalKey(owner.owner, approval);
+              return (
+                <div key={key} className="flex items-center gap-3 bg-slate-700/40 rounded-xl px-4 py-2 border border-slate-600/30">
+                  <input
+                    type="checkbox"
+                    checked={!!selected[key]}
+                    onChange={() => toggle(owner.owner, approval)}
+                    disabled={!!approval.error}
+                    className="accent-red-500"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-white text-sm font-medium">
+                      {approval.symbol || shorten(approval.tokenAddress)}{' '}
+                      <span className="text-slate-400 font-normal">
+                        {approval.error ? 'allowance unavailable' : approval.allowance === 'unlimited' ? 'Unlimited' : approval.allowance}
+                      </span>
+                    </p>
+                    <p className="text-slate-400 text-xs">
+                      {approval.spenderLabel || <span className="font-mono">{shorten(approval.spender)}</span>}
+                      {approval.flags?.unknownSpender && <span className="text-yellow-300"> · unknown spender</span>}
+                      {approval.flags?.eoaSpender && <span className="text-red-300"> · not a contract</span>}
+                      {!approval.verified && <span> · unverified token</span>}
+                    </p>
+                  </div>
+                  {approval.risk && (
+                    <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${RISK_STYLES[approval.risk]}`}>{approval.risk}</span>
+                  )}
+                  <button
+                    onClick={() => revoke(owner.owner, [approval])}
+                    disabled={!!pending || !!approval.error}
+                    className="px-3 py-1.5 text-xs bg-red-500/20 hover:bg-red-500/30 disabled:opacity-50 text-red-300 rounded-lg transition-all"
+                  >
+                    {pending === key ? 'Revoking...' : 'Revoke'}
+                  </button>
+                </div>
+              );
+            })}
+
+            {chosen.length > 1 && (
+              <button
+                onClick={() => revoke(owner.owner, chosen)}
+                disabled={!!pending}
+                className="w-full rounded-xl bg-red-500/20 hover:bg-red-500/30 px-4 py-2 text-sm font-semibold text-red-300 transition-all disabled:opacity-50"
+              >
+                {pending === `batch:${owner.owner}`
+                  ? 'Revoking...'
+                  : owner.type === 'vault'
+                    ? `Revoke ${chosen.length} selected in one vault transaction`
+                    : `Revoke ${chosen.length} selected`}
+              </button>
+            )}
+          </div>
+        );
+      })}
+
+      {owners?.length > 0 && owners.some(owner => owner.approvals.length > 0) && (
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Wallet password"
+          className="w-full px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-red-500/50"
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { Eye, RefreshCw, ArrowDownLeft, ArrowUpRight } from 'lucide-react';
+import { useWallet } from '@/contexts/DatabaseWalletContext';
+
+const CHAIN_LABELS = {
+  bitcoin: { name: 'Bitcoin', symbol: 'BTC' },
+  ethereum: { name: 'Ethereum', symbol: 'ETH' },
+  solana: { name: 'Solana', symbol: 'SOL' },
+};
+
+/**
+ * Balances, derived addresses and recent history for every chain of a
+ * watch-only wallet group, loaded from the backend summary endpoint.
+ */
+export default function WatchOnlyOverview({ walletId }) {
+  const { getWatchOnlySummary } = useWallet();
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadSummary = async () => {
+    setLoading(true);
+    const result = await getWatchOnlySummary(walletId);
+    setLoading(false);
+    setSummary(result.success ? result : { error: result.error || 'Failed to load watch-only wallet' });
+  };
+
+  useEffect(() => {
+    if (walletId) {
+      loadSummary();
+    }
+  }, [walletId]);
+
+  return (
+    <div className="bg-slate-800/60 backdrop-blur-xl rounded-2xl p-5 border border-slate-700/50">
+      <div className="flex items-center gap-2 mb-4">
+        <Eye className="w-4 h-4 text-purple-400" />
+        <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider">Watch-only</h3>
+        <button
+          onClick={loadSummary}
+          disabled={loading}
+          className="ml-auto p-1.5 hover:bg-slate-700/50 rounded-lg transition-all"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 text-slate-400 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {!summary && <p className="text-sm text-slate-500">{loading ? 'Scanning addresses...' : 'No data yet.'}</p>}
+      {summary?.error && <p className="text-sm text-red-400">{summary.error}</p>}
+
+      <div className="space-y-3">
+        {Object.entries(summary?.chains || {}).map(([chain, data]) => (
+          <div key={chain} className="bg-slate-700/40 rounded-xl p-4 border border-slate-600/30 space-y-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-white font-medium text-sm">{CHAIN_LABELS[chain]?.name || chain}</p>
+                <p className="text-slate-400 text-xs">
+                  {data.source === 'xpub'
+                    ? `${data.scriptType} · ${data.addressCount} used addresses · gap ${data.gapLimit}`
+                    : data.network}
+                </p>
+              </div>
+              <p className="text-white font-semibold">
+                {data.error ? '—' : parseFloat(data.balance || '0').toLocaleString('en-US', { maximumFractionDigits: 8 })}
+                {' '}<span className="text-slate-400 text-sm">{CHAIN_LABELS[chain]?.symbol}</span>
+              </p>
+            </div>
+
+            {data.error && <p className="text-xs text-red-400">{data.error}</p>}
+
+            {(data.nextReceiveAddress || data.address) && (
+              <div className="pt-2 border-t border-slate-600/30">
+                <p className="text-slate-400 text-xs mb-1">{data.source === 'xpub' ? 'Next receive address' : 'Address'}</p>
+                <p className="text-slate-200 font-mono text-xs break-all">{data.nextReceiveAddress || data.address}</p>
+              </div>
+            )}
+
+            {data.transactions?.length > 0 && (
+              <div className="pt-2 border-t border-slate-600/30 space-y-1.5">
+                {data.transactions.slice(0, 5).map((tx) => (
+                  <div key={tx.hash} className="flex items-center justify-between text-xs">
+                    <span className="flex items-center gap-1.5 text-slate-400 font-mono">
+                      {tx.direction === 'out'
+                        ? <ArrowUpRight className="w-3.5 h-3.5 text-red-400" />
+                        : <ArrowDownLeft className="w-3.5 h-3.5 text-emerald-400" />}
+                      {tx.hash.substring(0, 10)}...
+                    </span>
+                    <span className="text-slate-300">
+                      {tx.amount !== null ? `${tx.direction === 'out' ? '-' : '+'}${tx.amount}` : tx.status}
+                      {tx.timestamp && <span className="ml-2 text-slate-500">{new Date(tx.timestamp).toLocaleDateString()}</span>}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
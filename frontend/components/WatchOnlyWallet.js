@@ -0,0 +1,168 @@
+'use client'
+
+import { useState } from 'react';
+import { Eye, AlertCircle } from 'lucide-react';
+import { useWallet } from '@/contexts/DatabaseWalletContext';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500';
+
+/**
+ * Add a watch-only wallet from an extended public key (xpub/ypub/zpub) and/or
+ * bare addresses. Nothing that can sign is entered or stored.
+ */
+export default function WatchOnlyWallet({ onComplete }) {
+  const { createWatchOnlyWallet, setActiveWalletId } = useWallet();
+  const [walletName, setWalletName] = useState('');
+  const [extendedPublicKey, setExtendedPublicKey] = useState('');
+  const [addresses, setAddresses] = useState({ ethereum: '', bitcoin: '', solana: '' });
+  const [ethereumNetwork, setEthereumNetwork] = useState('mainnet');
+  const [gapLimit, setGapLimit] = useState(20);
+  const [loading, setLoading] = useState(false);
+
+  const setAddress = (chain, value) => setAddresses((prev) => ({ ...prev, [chain]: value }));
+  const hasInput = extendedPublicKey.trim() || Object.values(addresses).some((value) => value.trim());
+
+  const handleCreate = async () => {
+    if (/^[xyzuvt]prv/i.test(extendedPublicKey.trim())) {
+      toast.error('That is a private key. Paste the account public key (xpub/ypub/zpub) instead.');
+      return;
+    }
+
+    setLoading(true);
+    const result = await createWatchOnlyWallet({
+      name: walletName.trim() || 'Watch-only Wallet',
+      extendedPublicKey: extendedPublicKey.trim() || undefined,
+      addresses: Object.fromEntries(
+        Object.entries(addresses)
+          .map(([chain, value]) => [chain, value.trim()])
+          .filter(([, value]) => value)
+      ),
+      networks: { ethereum: ethereumNetwork },
+      gapLimit: Number(gapLimit),
+    });
+    setLoading(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to add watch-only wallet');
+      return;
+    }
+
+    toast.success('Watch-only wallet added');
+    setActiveWalletId(result.wallet.id);
+    onComplete?.(result.wallet);
+  };
+
+  return (
+    <div className="max-w-lg mx-auto">
+      <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-8 border border-purple-500/20">
+        <div className="flex items-center justify-center mb-6">
+          <Eye className="w-16 h-16 text-purple-400" />
+        </div>
+        <h2 className="text-2xl font-bold text-white text-center mb-2">
+          Watch-only Wallet
+        </h2>
+        <p className="text-gray-400 text-center mb-6">
+          Monitor cold storage balances and history without importing any keys
+        </p>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Wallet Name (Optional)
+            </label>
+            <input
+              type="text"
+              value={walletName}
+              onChange={(e) => setWalletName(e.target.value)}
+              className={inputClass}
+              placeholder="e.g., Treasury Cold Storage"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Bitcoin Extended Public Key
+            </label>
+            <textarea
+              value={extendedPublicKey}
+              onChange={(e) => setExtendedPublicKey(e.target.value)}
+              rows={3}
+              disabled={Boolean(addresses.bitcoin.trim())}
+              className={`${inputClass} resize-none font-mono text-xs disabled:opacity-50`}
+              placeholder="xpub..., ypub... or zpub..."
+            />
+            <div className="flex items-center gap-2 mt-2">
+              <label className="text-xs text-gray-400">Gap limit</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={gapLimit}
+                onChange={(e) => setGapLimit(e.target.value)}
+                className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-xs focus:outline-none focus:border-purple-500"
+              />
+              <span className="text-xs text-gray-500">unused addresses before scanning stops</span>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Or single addresses
+            </label>
+            <div className="space-y-2">
+              <input
+                type="text"
+                value={addresses.bitcoin}
+                onChange={(e) => setAddress('bitcoin', e.target.value)}
+                disabled={Boolean(extendedPublicKey.trim())}
+                className={`${inputClass} font-mono text-xs disabled:opacity-50`}
+                placeholder="Bitcoin address"
+              />
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={addresses.ethereum}
+                  onChange={(e) => setAddress('ethereum', e.target.value)}
+                  className={`${inputClass} font-mono text-xs`}
+                  placeholder="Ethereum address (0x...)"
+                />
+                <select
+                  value={ethereumNetwork}
+                  onChange={(e) => setEthereumNetwork(e.target.value)}
+                  className="px-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-xs focus:outline-none focus:border-purple-500"
+                >
+                  <option value="mainnet">Mainnet</option>
+                  <option value="sepolia">Sepolia</option>
+                </select>
+              </div>
+              <input
+                type="text"
+                value={addresses.solana}
+                onChange={(e) => setAddress('solana', e.target.value)}
+                className={`${inputClass} font-mono text-xs`}
+                placeholder="Solana address"
+              />
+            </div>
+          </div>
+
+          <div className="bg-blue-500/10 border border-blue-500/20 rounded-lg p-4 flex gap-3">
+            <AlertCircle className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
+            <p className="text-xs text-blue-300">
+              Watch-only wallets can show balances, history and receive addresses, but cannot send.
+              Scanning an extended key may take a few seconds.
+            </p>
+          </div>
+
+          <button
+            onClick={handleCreate}
+            disabled={loading || !hasInput}
+            className="w-full py-3 px-6 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-colors"
+          >
+            {loading ? 'Scanning...' : 'Add Watch-only Wallet'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,17 @@ import toast from 'react-hot-toast';
 
 const WalletContext = createContext();
 
+// Public addresses for each derived Bitcoin address type, so the default can be switched later.
+function getBitcoinAccountSummary(walletData) {
+  const accounts = walletData.bitcoin?.accounts;
+  if (!accounts) return {};
+  return {
+    addressType: walletData.bitcoin.addressType,
+    addresses: Object.fromEntries(Object.entries(accounts).map(([type, account]) => [type, account.address])),
+    discovery: walletData.bitcoin.discovery?.success ? walletData.bitcoin.discovery : null,
+  };
+}
+
 export function WalletProvider({ children }) {
 
   const { user: clerkUser, isLoaded: isUserLoaded, isSignedIn } = useUser();
@@ -358,9 +369,10 @@ export function WalletProvider({ children }) {
     try {
       setWallet({
         ethereum: { address: walletData.addresses.ethereum },
-        bitcoin: { address: walletData.addresses.bitcoin },
+        bitcoin: { address: walletData.addresses.bitcoin, addressType: walletData.bitcoinAddressType || 'legacy', discovery: walletData.bitcoinDiscovery || null },
         solana: { address: walletData.addresses.solana },
-        encrypted: walletData.encryptedData
+        encrypted: walletData.encryptedData,
+        watchOnly: walletData.watchOnly || null
       });
       setIsLocked(false);
 
@@ -392,7 +404,7 @@ export function WalletProvider({ children }) {
     toast.success('Logged out successfully');
   };
 
-  const createDatabaseWallet = async (name, encryptedData, addresses, description) => {
+  const createDatabaseWallet = async (name, encryptedData, addresses, description, bitcoinAccounts = {}) => {
     try {
 
       const token = await getToken();
@@ -413,7 +425,10 @@ export function WalletProvider({ children }) {
             name,
             encryptedData,
             addresses,
-            description
+            description,
+            bitcoinAddressType: bitcoinAccounts.addressType,
+            bitcoinAddresses: bitcoinAccounts.addresses,
+            bitcoinDiscovery: bitcoinAccounts.discovery
           })
         }
       );
@@ -475,9 +490,10 @@ export function WalletProvider({ children }) {
       setActiveWalletId(walletId);
       setWallet({
         ethereum: { address: walletData.addresses.ethereum },
-        bitcoin: { address: walletData.addresses.bitcoin },
+        bitcoin: { address: walletData.addresses.bitcoin, addressType: walletData.bitcoinAddressType || 'legacy', discovery: walletData.bitcoinDiscovery || null },
         solana: { address: walletData.addresses.solana },
-        encrypted: walletData.encryptedData
+        encrypted: walletData.encryptedData,
+        watchOnly: walletData.watchOnly || null
       });
       setIsLocked(false);
 
@@ -510,7 +526,7 @@ export function WalletProvider({ children }) {
 
         const walletData = {
           ethereum: { address: response.data.addresses.ethereum },
-          bitcoin: { address: response.data.addresses.bitcoin },
+          bitcoin: { address: response.data.addresses.bitcoin, addressType: response.data.bitcoin?.addressType || 'legacy' },
           solana: { address: response.data.addresses.solana },
           encrypted: encryptedResponse.encrypted,
         };
@@ -525,7 +541,8 @@ export function WalletProvider({ children }) {
               bitcoin: response.data.addresses.bitcoin,
               solana: response.data.addresses.solana
             },
-            'Generated wallet'
+            'Generated wallet',
+            getBitcoinAccountSummary(response.data)
           );
 
           // Set wallet state directly — switchWallet reads from userWallets which
@@ -561,6 +578,11 @@ export function WalletProvider({ children }) {
       const response = await walletAPI.importFromMnemonic(mnemonic);
 
       if (response.success) {
+        const discovery = response.data.bitcoin?.discovery;
+        if (discovery?.success && discovery.addresses.length > 0) {
+          toast.success(`Found ${discovery.addresses.length} used Bitcoin address${discovery.addresses.length === 1 ? '' : 'es'} holding ${discovery.balance} BTC`);
+        }
+
         const encryptedResponse = await walletAPI.encryptData(
           JSON.stringify(response.data),
           password
@@ -568,7 +590,11 @@ export function WalletProvider({ children }) {
 
         const walletData = {
           ethereum: { address: response.data.addresses.ethereum },
-          bitcoin: { address: response.data.addresses.bitcoin },
+          bitcoin: {
+            address: response.data.addresses.bitcoin,
+            addressType: response.data.bitcoin?.addressType || 'legacy',
+            discovery: getBitcoinAccountSummary(response.data).discovery || null,
+          },
           solana: { address: response.data.addresses.solana },
           encrypted: encryptedResponse.encrypted,
         };
@@ -583,7 +609,8 @@ export function WalletProvider({ children }) {
               bitcoin: response.data.addresses.bitcoin,
               solana: response.data.addresses.solana
             },
-            'Imported from recovery phrase'
+            'Imported from recovery phrase',
+            getBitcoinAccountSummary(response.data)
           );
 
           // Set wallet state directly — switchWallet reads from userWallets which
@@ -670,6 +697,296 @@ export function WalletProvider({ children }) {
     toast.success('Wallet deleted successfully');
   };
 
+  const updateBitcoinAddressType = async (walletId, addressType) => {
+    try {
+      const response = await authenticatedFetch(
+        `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/v1/wallets/${walletId}/bitcoin-address-type`,
+        {
+          method: 'PATCH',
+          body: JSON.stringify({ addressType })
+        }
+      );
+
+      const data = await response.json();
+
+      if (!data.success) {
+        toast.error(data.error || 'Failed to update Bitcoin address type');
+        return { success: false, error: data.error };
+      }
+
+      setUserWallets(prev => prev.map(w => (w.id === walletId
+        ? { ...w, bitcoinAddressType: addressType, addresses: { ...w.addresses, bitcoin: data.address } }
+        : w)));
+
+      if (activeWalletId === walletId) {
+        setWallet(prev => prev ? { ...prev, bitcoin: { address: data.address, addressType } } : prev);
+        setBalances(prev => ({ ...prev, bitcoin: '0' }));
+        setWalletChangeTimestamp(Date.now());
+      }
+
+      toast.success('Bitcoin address type updated');
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating Bitcoin address type:', error);
+      toast.error('Failed to update Bitcoin address type');
+      return { success: false, error: error.message };
+    }
+  };
+
+  const bitcoinWalletUrl = (walletId, path) =>
+    `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/v1/wallets/${walletId}/bitcoin${path}`;
+
+  const getBitcoinUtxos = async (walletId, network = 'mainnet') => {
+    try {
+      const response = await authenticatedFetch(
+        bitcoinWalletUrl(walletId, `/utxos?network=${encodeURIComponent(network)}`)
+      );
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading Bitcoin UTXOs:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const updateBitcoinUtxo = async (walletId, utxo, changes) => {
+    try {
+      const response = await authenticatedFetch(
+        bitcoinWalletUrl(walletId, `/utxos/${utxo.txHash}/${utxo.outputIndex}`),
+        {
+          method: 'PATCH',
+          body: JSON.stringify(changes)
+        }
+      );
+
+      const data = await response.json();
+      if (!data.success) {
+        toast.error(data.error || 'Failed to update UTXO');
+      }
+      return data;
+    } catch (error) {
+      console.error('Error updating Bitcoin UTXO:', error);
+      toast.error('Failed to update UTXO');
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Coin-controlled spends: the backend skips frozen UTXOs and spends `utxos` exactly when given.
+  const sendBitcoinWithCoinControl = async (walletId, payload) => {
+    try {
+      const response = await authenticatedFetch(bitcoinWalletUrl(walletId, '/send'), {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error sending Bitcoin with coin control:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const consolidateBitcoinUtxos = async (walletId, payload) => {
+    try {
+      const response = await authenticatedFetch(bitcoinWalletUrl(walletId, '/consolidate'), {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error consolidating Bitcoin UTXOs:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Watch-only wallets carry no key material: an xpub/ypub/zpub and/or bare ETH/BTC/SOL addresses.
+  const createWatchOnlyWallet = async (payload) => {
+    try {
+      const response = await authenticatedFetch(
+        `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/v1/wallets/watch-only`,
+        {
+          method: 'POST',
+          body: JSON.stringify(payload)
+        }
+      );
+
+      const data = await response.json();
+      if (data.success) {
+        await loadUserWallets();
+      }
+      return data;
+    } catch (error) {
+      console.error('Error creating watch-only wallet:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const getWatchOnlySummary = async (walletId) => {
+    try {
+      const response = await authenticatedFetch(
+        `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/v1/wallets/${walletId}/watch-only`
+      );
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading watch-only wallet:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const walletTokensUrl = (walletId, path = '') =>
+    `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/v1/wallets/${walletId}/tokens${path}`;
+
+  const getWalletTokens = async (walletId, network = 'mainnet') => {
+    const response = await authenticatedFetch(
+      walletTokensUrl(walletId, `?network=${encodeURIComponent(network)}&discover=true`)
+    );
+    return await response.json();
+  };
+
+  const getCustomTokens = async (walletId, chainId) => {
+    try {
+      const response = await authenticatedFetch(walletTokensUrl(walletId, `/custom?chainId=${chainId}`));
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading custom tokens:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const addCustomToken = async (walletId, token) => {
+    try {
+      const response = await authenticatedFetch(walletTokensUrl(walletId, '/custom'), {
+        method: 'POST',
+        body: JSON.stringify(token)
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        await fetchTokenBalances();
+      }
+      return data;
+    } catch (error) {
+      console.error('Error adding custom token:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const removeCustomToken = async (walletId, tokenId) => {
+    try {
+      const response = await authenticatedFetch(walletTokensUrl(walletId, `/custom/${tokenId}`), {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        await fetchTokenBalances();
+      }
+      return data;
+    } catch (error) {
+      console.error('Error removing custom token:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const walletApprovalsUrl = (walletId, path = '') =>
+    `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/v1/wallets/${walletId}/approvals${path}`;
+
+  const getApprovals = async (walletId, network = 'mainnet') => {
+    try {
+      const response = await authenticatedFetch(walletApprovalsUrl(walletId, `?network=${encodeURIComponent(network)}`));
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading token approvals:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const buildRevoke = async (walletId, { network, owner, approvals }) => {
+    try {
+      const response = await authenticatedFetch(walletApprovalsUrl(walletId, '/revoke'), {
+        method: 'POST',
+        body: JSON.stringify({ network, owner, approvals })
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error building revoke transactions:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const smartVaultUrl = (path) =>
+    `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/v1/smart-vault${path}`;
+
+  const getVaultRecovery = async (walletId, network = 'mainnet') => {
+    try {
+      const response = await authenticatedFetch(smartVaultUrl(`/recovery/wallet/${walletId}?network=${encodeURIComponent(network)}`));
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading vault recovery:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const getGuardedVaults = async () => {
+    try {
+      const response = await authenticatedFetch(smartVaultUrl('/recovery/guarding'));
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading guarded vaults:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const addVaultGuardian = async (smartAccountId, guardianAddress, label) => {
+    try {
+      const response = await authenticatedFetch(smartVaultUrl('/guardians'), {
+        method: 'POST',
+        body: JSON.stringify({ smartAccountId, guardianAddress, label })
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error adding guardian:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const removeVaultGuardian = async (smartAccountId, guardianAddress) => {
+    try {
+      const response = await authenticatedFetch(smartVaultUrl('/guardians'), {
+        method: 'DELETE',
+        body: JSON.stringify({ smartAccountId, guardianAddress })
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error removing guardian:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const setRecoveryThreshold = async (smartAccountId, threshold) => {
+    try {
+      const response = await authenticatedFetch(smartVaultUrl('/guardians/threshold'), {
+        method: 'POST',
+        body: JSON.stringify({ smartAccountId, threshold })
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error building threshold transaction:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const buildRecoveryTransaction = async (smartAccountId, action, newOwner) => {
+    try {
+      const response = await authenticatedFetch(smartVaultUrl('/recovery'), {
+        method: 'POST',
+        body: JSON.stringify({ smartAccountId, action, newOwner })
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error building recovery transaction:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
   const deleteDatabaseWallet = async (walletId) => {
     if (!isSignedIn) {
       toast.error('Please sign in to delete wallet');
@@ -761,7 +1078,15 @@ export function WalletProvider({ children }) {
             newBalances[chain] = balance;
           }
         }
+      } else if (chain === 'bitcoin' && wallet.watchOnly?.bitcoin?.source === 'xpub' && activeWalletId) {
+        // Extended-key wallets spread funds across many derived addresses
+        const summary = await getWatchOnlySummary(activeWalletId);
+        if (summary.success && summary.chains?.bitcoin?.balance) {
+          newBalances.bitcoin = summary.chains.bitcoin.balance;
+        }
       } else if (chain === 'bitcoin') {
+        // Only the wallet's own address is spendable; funds found by discovery are listed per account on the dashboard
+
         const btcBalance = await blockchainAPI.getBitcoinBalance(wallet.bitcoin?.address, network);
 
         if (btcBalance.success) {
@@ -813,13 +1138,19 @@ export function WalletProvider({ children }) {
       const { chain, network } = getNetworkInfo();
 
       if (chain === 'ethereum') {
-        const response = await tokenAPI.getPopularTokenBalances(wallet.ethereum.address, network);
+        // Wallet-scoped view adds the wallet's custom tokens to the token lists and discovered tokens.
+        const response = activeWalletId
+          ? await getWalletTokens(activeWalletId, network)
+          : await tokenAPI.getWalletTokenBalances(wallet.ethereum.address, network);
 
         if (response && response.success && response.tokens) {
           setTokens(response.tokens);
         } else {
           setTokens([]);
         }
+      } else if (chain === 'solana' && wallet.solana?.address) {
+        const response = await blockchainAPI.getSolanaTokenBalances(wallet.solana.address, network);
+        setTokens(response?.success && response.tokens ? response.tokens : []);
       } else {
         setTokens([]);
       }
@@ -970,6 +1301,24 @@ export function WalletProvider({ children }) {
     createDatabaseWallet,
     importLocalStorageWallet,
     deleteDatabaseWallet,
+    updateBitcoinAddressType,
+    getBitcoinUtxos,
+    updateBitcoinUtxo,
+    sendBitcoinWithCoinControl,
+    consolidateBitcoinUtxos,
+    createWatchOnlyWallet,
+    getWatchOnlySummary,
+    getCustomTokens,
+    addCustomToken,
+    removeCustomToken,
+    getApprovals,
+    buildRevoke,
+    getVaultRecovery,
+    getGuardedVaults,
+    addVaultGuardian,
+    removeVaultGuardian,
+    setRecoveryThreshold,
+    buildRecoveryTransaction,
 
     wallet,
     isLocked,
@@ -9,14 +9,233 @@ const api = axios.create({
   },
 });
 
+const solanaKeypair = async (privateKey) => {
+  const { Keypair } = await import('@solana/web3.js');
+  const privateKeyBytes = new Uint8Array(Buffer.from(privateKey, 'hex'));
+  return privateKeyBytes.length === 32
+    ? Keypair.fromSeed(privateKeyBytes)
+    : Keypair.fromSecretKey(privateKeyBytes);
+};
+
+const buildSolanaTransfer = async (params) => {
+  const response = await api.post('/api/v1/blockchain/solana/transactions/build', params);
+  return response.data;
+};
+
+// The backend's caps on the compute budget of a built transaction.
+const MAX_COMPUTE_UNIT_PRICE = 5000000n; // micro-lamports
+const MAX_COMPUTE_UNITS = 1400000;
+
+// Check the server-built transaction before signing: this wallet pays the fee, the
+// expected instruction appears exactly once, and everything else appears at most once
+// and is the quoted compute budget, this wallet's nonce advance or a setup step the
+// caller allows, so a tampered response cannot add transfers, redirect them or
+// inflate the priority fee.
+const signBuiltSolanaTransaction = async (built, keypair, isExpectedInstruction, isAllowedSetup = () => false) => {
+  const {
+    ComputeBudgetInstruction,
+    ComputeBudgetProgram,
+    SystemInstruction,
+    SystemProgram,
+    Transaction,
+  } = await import('@solana/web3.js');
+  const transaction = Transaction.from(Buffer.from(built.transaction, 'base64'));
+
+  if (!transaction.feePayer?.equals(keypair.publicKey)) {
+    throw new Error('Built transaction has an unexpected fee payer');
+  }
+
+  const isAllowedExtra = (instruction) => {
+    if (instruction.programId.equals(ComputeBudgetProgram.programId)) {
+      // Only the limit and price the fee was quoted with
+      const type = ComputeBudgetInstruction.decodeInstructionType(instruction);
+      if (type === 'SetComputeUnitLimit') {
+        const { units } = ComputeBudgetInstruction.decodeSetComputeUnitLimit(instruction);
+        return units <= MAX_COMPUTE_UNITS && units === built.computeUnitLimit;
+      }
+      if (type === 'SetComputeUnitPrice') {
+        const microLamports = BigInt(ComputeBudgetInstruction.decodeSetComputeUnitPrice(instruction).microLamports);
+        return microLamports <= MAX_COMPUTE_UNIT_PRICE && microLamports === BigInt(built.computeUnitPrice);
+      }
+      return false;
+    }
+    return instruction.programId.equals(SystemProgram.programId)
+      && SystemInstruction.decodeInstructionType(instruction) === 'AdvanceNonceAccount'
+      && SystemInstruction.decodeNonceAdvance(instruction).authorizedPubkey.equals(keypair.publicKey);
+  };
+
+  const safely = (check, instruction) => {
+    try {
+      return check(instruction);
+    } catch {
+      return false;
+    }
+  };
+
+  let expected = 0;
+  const extras = new Set();
+  for (const instruction of transaction.instructions) {
+    if (safely(isExpectedInstruction, instruction)) {
+      expected += 1;
+      continue;
+    }
+    const identity = [
+      instruction.programId.toBase58(),
+      ...instruction.keys.map(({ pubkey }) => pubkey.toBase58()),
+      instruction.data.toString('hex'),
+    ].join(':');
+    if (extras.has(identity)
+      || (!safely(isAllowedExtra, instruction) && !safely(isAllowedSetup, instruction))) {
+      throw new Error('Built transaction contains an unexpected instruction');
+    }
+    extras.add(identity);
+  }
+  if (expected !== 1) {
+    throw new Error('Built transaction does not match the requested transfer');
+  }
+
+  transaction.partialSign(keypair);
+  return transaction.serialize().toString('base64');
+};
+
+// A createAccountWithSeed funded by and derived from this wallet, at the address the backend returned.
+const isOwnSeededAccount = (created, keypair, address, programId) => created.fromPubkey.equals(keypair.publicKey)
+  && created.basePubkey.equals(keypair.publicKey)
+  && created.newAccountPubkey.toBase58() === address
+  && created.programId.equals(programId);
+
+// A Bitcoin key that signs in the browser. `publicKey` is the compressed key the backend
+// builds from; taproot (BIP-86) signs with it tweaked to the P2TR output key.
+const bitcoinSigningKey = async (privateKey, addressType) => {
+  const { secp256k1, schnorr } = await import('@noble/curves/secp256k1');
+  const { crypto } = await import('bitcoinjs-lib');
+  const key = Buffer.from(String(privateKey).replace(/^0x/, ''), 'hex');
+  const publicKey = Buffer.from(secp256k1.getPublicKey(key, true));
+
+  if (addressType !== 'taproot') {
+    return {
+      publicKey,
+      signer: { publicKey, sign: (hash) => Buffer.from(secp256k1.sign(hash, key).toCompactRawBytes()) },
+    };
+  }
+
+  const { n } = secp256k1.CURVE;
+  const scalar = BigInt(`0x${key.toString('hex')}`);
+  const tweak = BigInt(`0x${crypto.taggedHash('TapTweak', publicKey.subarray(1, 33)).toString('hex')}`);
+  const evenScalar = publicKey[0] === 3 ? n - scalar : scalar;
+  const tweaked = Buffer.from(((evenScalar + tweak) % n).toString(16).padStart(64, '0'), 'hex');
+  return {
+    publicKey,
+    signer: {
+      publicKey: Buffer.from(secp256k1.getPublicKey(tweaked, true)),
+      signSchnorr: (hash) => Buffer.from(schnorr.sign(hash, tweaked)),
+    },
+  };
+};
+
+const BITCOIN_NETWORK_NAMES = { mainnet: 'bitcoin', testnet: 'testnet', regtest: 'regtest' };
+
+// bitcoinjs-lib with the two curve operations it needs for taproot outputs, on @noble/curves.
+const loadBitcoinLib = async () => {
+  const bitcoin = await import('bitcoinjs-lib');
+  const { secp256k1 } = await import('@noble/curves/secp256k1');
+  const { CURVE, ProjectivePoint } = secp256k1;
+  const liftX = (x) => ProjectivePoint.fromHex(Buffer.concat([Buffer.from([2]), Buffer.from(x)]));
+
+  bitcoin.initEccLib({
+    isXOnlyPoint: (x) => {
+      try {
+        return x.length === 32 && Boolean(liftX(x));
+      } catch {
+        return false;
+      }
+    },
+    xOnlyPointAddTweak: (x, tweak) => {
+      const scalar = BigInt(`0x${Buffer.from(tweak).toString('hex')}`);
+      if (scalar >= CURVE.n) {
+        return null;
+      }
+      const point = scalar === 0n ? liftX(x) : liftX(x).add(ProjectivePoint.BASE.multiply(scalar));
+      if (point.equals(ProjectivePoint.ZERO)) {
+        return null;
+      }
+      const compressed = point.toRawBytes(true);
+      return { parity: compressed[0] === 3 ? 1 : 0, xOnlyPubkey: compressed.subarray(1) };
+    },
+  });
+  return bitcoin;
+};
+
+// Check the server-built PSBT before signing: every input spends this key's address, the
+// fee is the one quoted and the outputs are the ones the caller expects, so a tampered
+// response cannot redirect funds or burn them as fee.
+const signBuiltBitcoinTransaction = async (built, key, addressType, areExpectedOutputs) => {
+  const { Psbt, Transaction, networks, payments } = await loadBitcoinLib();
+  const network = networks[BITCOIN_NETWORK_NAMES[built.network]] || networks.testnet;
+  const psbt = Psbt.fromBase64(built.psbt, { network });
+
+  const ownScript = {
+    legacy: () => payments.p2pkh({ pubkey: key.publicKey, network }),
+    segwit: () => payments.p2wpkh({ pubkey: key.publicKey, network }),
+    taproot: () => payments.p2tr({ internalPubkey: key.publicKey.subarray(1, 33), network }),
+  }[addressType]().output;
+
+  const prevouts = psbt.data.inputs.map((input, index) => (input.witnessUtxo
+    || Transaction.fromBuffer(input.nonWitnessUtxo).outs[psbt.txInputs[index].index]));
+  if (!prevouts.every((prevout) => prevout?.script.equals(ownScript))) {
+    throw new Error('Built transaction spends an unexpected input');
+  }
+
+  const { ethers } = await import('ethers');
+  const inputTotal = prevouts.reduce((sum, prevout) => sum + prevout.value, 0);
+  const outputTotal = psbt.txOutputs.reduce((sum, output) => sum + output.value, 0);
+  if (inputTotal - outputTotal !== Number(ethers.parseUnits(built.fee, 8))) {
+    throw new Error('Built transaction fee does not match the quote');
+  }
+  if (!areExpectedOutputs(psbt.txOutputs, ownScript)) {
+    throw new Error('Built transaction does not match the requested payment');
+  }
+
+  psbt.signAllInputs(key.signer);
+  psbt.finalizeAllInputs();
+  return psbt.extractTransaction().toHex();
+};
+
+const sendSignedBitcoinTransaction = async (token, transaction, built) => {
+  const response = await api.post('/api/v1/blockchain/bitcoin/transactions/send', {
+    transaction,
+    network: built.network,
+  }, {
+    headers: { Authorization: `Bearer ${token}` },
+    validateStatus: (status) => status < 500,
+  });
+  if (!response.data.success) {
+    return response.data;
+  }
+
+  const { psbt, ...summary } = built;
+  return { ...summary, ...response.data };
+};
+
+const sendSignedSolanaTransaction = async (transaction, built, network) => {
+  const response = await api.post('/api/v1/blockchain/solana/transactions/send', {
+    transaction,
+    network,
+    lastValidBlockHeight: built.durableNonce ? undefined : built.lastValidBlockHeight,
+  }, {
+    validateStatus: (status) => status < 500,
+  });
+  return response.data;
+};
+
 export const walletAPI = {
-  generateWallet: async () => {
-    const response = await api.post('/api/v1/wallet/generate');
+  generateWallet: async (bitcoinAddressType) => {
+    const response = await api.post('/api/v1/wallet/generate', { bitcoinAddressType });
     return response.data;
   },
 
-  importFromMnemonic: async (mnemonic) => {
-    const response = await api.post('/api/v1/wallet/import/mnemonic', { mnemonic });
+  importFromMnemonic: async (mnemonic, bitcoinAddressType) => {
+    const response = await api.post('/api/v1/wallet/import/mnemonic', { mnemonic, bitcoinAddressType });
     return response.data;
   },
 
@@ -65,15 +284,72 @@ export const blockchainAPI = {
     return response.data;
   },
 
+  // SPL and Token-2022 holdings aggregated per mint, with name/symbol metadata.
+  getSolanaTokenBalances: async (address, network = 'mainnet-beta') => {
+    const response = await api.get(`/api/v1/blockchain/solana/tokens/${address}?network=${network}`);
+    return response.data;
+  },
+
   getGasPrice: async (network = 'mainnet') => {
     const response = await api.get(`/api/v1/blockchain/ethereum/gas-price?network=${network}`);
     return response.data;
   },
 
+  // EIP-1559 base fee plus slow/normal/fast tips (gwei) with confirmation estimates.
+  getEthereumFeeSuggestions: async (network = 'mainnet') => {
+    const response = await api.get(`/api/v1/blockchain/ethereum/fee-suggestions?network=${network}`, {
+      validateStatus: (status) => status < 500,
+    });
+    return response.data;
+  },
+
+  // Dry-run before signing: revert reason, gas used and the sender's native/token balance changes.
+  simulateEthereumTransaction: async (tx, network = 'mainnet') => {
+    const response = await api.post('/api/v1/blockchain/ethereum/simulate', { ...tx, network }, {
+      validateStatus: (status) => status < 500,
+    });
+    return response.data;
+  },
+
   getBitcoinFeeEstimate: async (network = 'mainnet') => {
     const response = await api.get(`/api/v1/blockchain/bitcoin/fee-estimate?network=${network}`);
     return response.data;
   },
+
+  getSolanaValidators: async (network = 'mainnet-beta', limit = 50) => {
+    const response = await api.get(`/api/v1/blockchain/solana/staking/validators?network=${network}&limit=${limit}`);
+    return response.data;
+  },
+
+  getSolanaStakeAccounts: async (address, network = 'mainnet-beta') => {
+    const response = await api.get(`/api/v1/blockchain/solana/staking/accounts/${address}?network=${network}`);
+    return response.data;
+  },
+
+  getSolanaStakeRewards: async (address, network = 'mainnet-beta', epochs = 5) => {
+    const response = await api.get(`/api/v1/blockchain/solana/staking/rewards/${address}?network=${network}&epochs=${epochs}`);
+    return response.data;
+  },
+
+  // Decoded Solana history; pass the previous page's `nextCursor` as `before` to load older entries.
+  getSolanaTransactions: async (address, network = 'mainnet-beta', limit = 20, before) => {
+    const params = new URLSearchParams({ network, limit: String(limit) });
+    if (before) params.append('before', before);
+    const response = await api.get(`/api/v1/blockchain/solana/transactions/${address}?${params}`);
+    return response.data;
+  },
+
+  getBitcoinTransactions: async (address, network = 'mainnet', limit = 50) => {
+    const response = await api.get(`/api/v1/blockchain/bitcoin/transactions/${address}?network=${network}&limit=${limit}`);
+    return response.data;
+  },
+
+  getBitcoinFeeBumpOptions: async (txHash, address, network = 'mainnet') => {
+    const response = await api.get(`/api/v1/blockchain/bitcoin/fee-bump/${txHash}?address=${address}&network=${network}`, {
+      validateStatus: (status) => status < 500,
+    });
+    return response.data;
+  },
 };
 
 export const tokenAPI = {
@@ -97,6 +373,11 @@ export const tokenAPI = {
     return response.data;
   },
 
+  getWalletTokenBalances: async (address, network = 'mainnet', discover = true) => {
+    const response = await api.get(`/api/v1/tokens/balances/wallet/${address}?network=${network}&discover=${discover}`);
+    return response.data;
+  },
+
   getPopularTokens: async () => {
     const response = await api.get('/api/v1/tokens/popular');
     return response.data;
@@ -205,6 +486,42 @@ export const databaseWalletAPI = {
   },
 };
 
+// Public EVM RPCs per chainId, the chains the backend serves. Deployments can
+// point them at their own nodes.
+const EVM_RPC_URLS = {
+  1: process.env.NEXT_PUBLIC_ETHEREUM_MAINNET_RPC || 'https://eth.llamarpc.com',
+  11155111: process.env.NEXT_PUBLIC_ETHEREUM_SEPOLIA_RPC || 'https://ethereum-sepolia-rpc.publicnode.com',
+  137: process.env.NEXT_PUBLIC_POLYGON_MAINNET_RPC || 'https://polygon-rpc.com',
+  42161: process.env.NEXT_PUBLIC_ARBITRUM_ONE_RPC || 'https://arb1.arbitrum.io/rpc',
+  10: process.env.NEXT_PUBLIC_OPTIMISM_MAINNET_RPC || 'https://mainnet.optimism.io',
+  8453: process.env.NEXT_PUBLIC_BASE_MAINNET_RPC || 'https://mainnet.base.org',
+};
+
+// A provider fixed to `chainId`, so what gets signed is only valid on that
+// chain whatever the RPC reports.
+const getEvmProvider = (ethers, chainId) => {
+  const rpcUrl = EVM_RPC_URLS[chainId];
+  if (!rpcUrl) {
+    throw new Error(`No RPC configured for chain ${chainId}`);
+  }
+  return new ethers.JsonRpcProvider(rpcUrl, Number(chainId), { staticNetwork: true });
+};
+
+// Fee fields for a send: the chosen tier or custom values (gwei) when given,
+// otherwise the provider's own EIP-1559 suggestion.
+const resolveEvmFees = async (ethers, provider, options) => {
+  if (options.maxFeePerGas && options.maxPriorityFeePerGas) {
+    const maxFeePerGas = ethers.parseUnits(String(options.maxFeePerGas), 'gwei');
+    const maxPriorityFeePerGas = ethers.parseUnits(String(options.maxPriorityFeePerGas), 'gwei');
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      throw new Error('Priority fee cannot be higher than the max fee');
+    }
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+  const feeData = await provider.getFeeData();
+  return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+};
+
 export const transactionAPI = {
   sendEthereumTransaction: async (privateKey, to, amount, options = {}) => {
 
@@ -219,13 +536,10 @@ export const transactionAPI = {
       const provider = new ethers.JsonRpcProvider(rpcUrl);
       const wallet = new ethers.Wallet(privateKey, provider);
 
-      const feeData = await provider.getFeeData();
-
       const tx = {
         to,
         value: ethers.parseEther(amount.toString()),
-        maxFeePerGas: feeData.maxFeePerGas,
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+        ...(await resolveEvmFees(ethers, provider, options)),
       };
 
       const transaction = await wallet.sendTransaction(tx);
@@ -250,6 +564,23 @@ export const transactionAPI = {
     }
   },
 
+  // Simulates the transfer sendEthereumTransaction or sendTokenTransaction would sign.
+  simulateTransfer: async (from, to, amount, options = {}) => {
+    const { ethers } = await import('ethers');
+
+    const tx = options.tokenAddress
+      ? {
+        from,
+        to: options.tokenAddress,
+        value: '0',
+        data: new ethers.Interface(['function transfer(address to, uint256 amount) returns (bool)'])
+          .encodeFunctionData('transfer', [to, ethers.parseUnits(amount.toString(), options.decimals || 18)]),
+      }
+      : { from, to, value: ethers.parseEther(amount.toString()).toString(), data: '0x' };
+
+    return blockchainAPI.simulateEthereumTransaction(tx, options.network);
+  },
+
   sendTokenTransaction: async (privateKey, tokenAddress, to, amount, options = {}) => {
     const { ethers } = await import('ethers');
 
@@ -267,7 +598,7 @@ export const transactionAPI = {
       const contract = new ethers.Contract(tokenAddress, abi, wallet);
 
       const amountWei = ethers.parseUnits(amount.toString(), decimals);
-      const transaction = await contract.transfer(to, amountWei);
+      const transaction = await contract.transfer(to, amountWei, await resolveEvmFees(ethers, provider, options));
       await transaction.wait();
 
       return {
@@ -290,70 +621,501 @@ export const transactionAPI = {
     }
   },
 
-  sendBitcoinTransaction: async (privateKey, to, amount, fee = null, walletId = null) => {
+  // Signs the revoke transactions built by the backend. Each one is decoded first
+  // so nothing but approve(spender, 0) — directly or inside a vault executeBatch —
+  // is ever signed.
+  revokeApprovals: async (privateKey, built, options = {}) => {
+    const { ethers } = await import('ethers');
 
-    return {
-      success: false,
-      error: 'Bitcoin transactions not yet implemented in frontend. Please use backend API.',
-    };
+    try {
+      const network = options.network || 'mainnet';
+      const rpcUrl = network === 'mainnet'
+        ? 'https://eth.llamarpc.com'
+        : 'https://ethereum-sepolia-rpc.publicnode.com';
+
+      const erc20 = new ethers.Interface(['function approve(address spender, uint256 amount) returns (bool)']);
+      const vault = new ethers.Interface(['function executeBatch((address target, uint256 value, bytes data)[] calls)']);
+      const isRevoke = (data) => {
+        try {
+          return erc20.decodeFunctionData('approve', data)[1] === 0n;
+        } catch {
+          return false;
+        }
+      };
+
+      for (const tx of built.transactions) {
+        if (BigInt(tx.value || 0) !== 0n) {
+          throw new Error('Revoke transaction must not send value');
+        }
+        if (built.mode === 'vault') {
+          const [calls] = vault.decodeFunctionData('executeBatch', tx.data);
+          if (ethers.getAddress(tx.to) !== ethers.getAddress(built.owner)
+            || calls.some(([, value, data]) => value !== 0n || !isRevoke(data))) {
+            throw new Error('Vault batch contains a call that is not a revoke');
+          }
+        } else if (!isRevoke(tx.data)) {
+          throw new Error('Transaction is not a revoke');
+        }
+      }
+
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const wallet = new ethers.Wallet(privateKey, provider);
+
+      const hashes = [];
+      for (const tx of built.transactions) {
+        const transaction = await wallet.sendTransaction({ to: tx.to, data: tx.data, value: 0n });
+        await transaction.wait();
+        hashes.push(transaction.hash);
+      }
+
+      return {
+        success: true,
+        transactionHashes: hashes,
+      };
+    } catch (error) {
+      console.error('Revoke approvals error:', error);
+      return {
+        success: false,
+        error: error.message || 'Revoke failed',
+      };
+    }
   },
 
-  sendSolanaTransaction: async (privateKey, to, amount, options = {}) => {
+  // Signs a vault management transaction built by the backend (guardians,
+  // recovery). It must call the expected vault, send no value, and decode as
+  // one of the allowed vault functions.
+  sendVaultTransaction: async (privateKey, tx, options = {}) => {
+    const { ethers } = await import('ethers');
+
     try {
-      const { Connection, Keypair, PublicKey, SystemProgram, Transaction, LAMPORTS_PER_SOL, sendAndConfirmTransaction } = await import('@solana/web3.js');
+      const vault = new ethers.Interface([
+        'function addGuardian(address guardian)',
+        'function removeGuardian(address guardian)',
+        'function setRecoveryThreshold(uint256 threshold)',
+        'function initiateRecovery(address newOwner)',
+        'function approveRecovery()',
+        'function executeRecovery()',
+        'function cancelRecovery()',
+      ]);
+
+      if (ethers.getAddress(tx.to) !== ethers.getAddress(options.vaultAddress)) {
+        throw new Error('Transaction is not addressed to the vault');
+      }
+      if (BigInt(tx.value || 0) !== 0n) {
+        throw new Error('Vault transaction must not send value');
+      }
+      const call = vault.parseTransaction({ data: tx.data });
+      if (!call || !options.allowedFunctions.includes(call.name)) {
+        throw new Error('Transaction does not match the requested vault action');
+      }
 
-      const network = options.network || 'mainnet-beta';
-      let rpcUrl;
-
-      if (network === 'mainnet-beta' || network === 'mainnet') {
-        rpcUrl = 'https://api.mainnet-beta.solana.com';
-      } else if (network === 'devnet') {
-        rpcUrl = 'https://api.devnet.solana.com';
-      } else if (network === 'testnet') {
-        rpcUrl = 'https://api.testnet.solana.com';
-      } else {
-        rpcUrl = 'https://api.mainnet-beta.solana.com';
+      // Sent on the vault's own chain, not the dashboard's selected network.
+      const provider = getEvmProvider(ethers, options.chainId);
+      const wallet = new ethers.Wallet(privateKey, provider);
+
+      const transaction = await wallet.sendTransaction({ to: tx.to, data: tx.data, value: 0n });
+      await transaction.wait();
+
+      return {
+        success: true,
+        transactionHash: transaction.hash,
+      };
+    } catch (error) {
+      console.error('Vault transaction error:', error);
+      return {
+        success: false,
+        error: error.shortMessage || error.message || 'Vault transaction failed',
+      };
+    }
+  },
+
+  // The backend builds an unsigned PSBT from the public key; the key never leaves the browser.
+  sendBitcoinTransaction: async (token, privateKey, to, amount, options = {}) => {
+    try {
+      const { address, networks } = await import('bitcoinjs-lib');
+      const { ethers } = await import('ethers');
+
+      const network = options.network || 'mainnet';
+      const addressType = options.addressType || 'legacy';
+      const key = await bitcoinSigningKey(privateKey, addressType);
+      const response = await api.post('/api/v1/blockchain/bitcoin/transactions/build', {
+        publicKey: key.publicKey.toString('hex'),
+        toAddress: to,
+        amount: String(amount),
+        network,
+        addressType,
+        feeRate: options.feeRate,
+        feePriority: options.feePriority,
+      }, {
+        headers: { Authorization: `Bearer ${token}` },
+        validateStatus: (status) => status < 500,
+      });
+      const built = response.data;
+      if (!built.success) {
+        return built;
+      }
+
+      const recipientScript = address.toOutputScript(to, networks[BITCOIN_NETWORK_NAMES[network]] || networks.testnet);
+      const amountSats = Number(ethers.parseUnits(String(amount), 8));
+      const signed = await signBuiltBitcoinTransaction(built, key, addressType, (outputs, ownScript) => {
+        const payments = outputs.filter((output) => !output.script.equals(ownScript));
+        if (recipientScript.equals(ownScript)) {
+          return payments.length === 0 && outputs.some((output) => output.value === amountSats);
+        }
+        return payments.length === 1 && payments[0].script.equals(recipientScript) && payments[0].value === amountSats;
+      });
+
+      return await sendSignedBitcoinTransaction(token, signed, built);
+    } catch (error) {
+      console.error('Bitcoin transaction error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message || 'Bitcoin transaction failed',
+      };
+    }
+  },
+
+  // Replace-by-fee: the backend rebuilds the unconfirmed transaction at a higher fee rate, topping up
+  // only from the wallet's unfrozen coins, for the browser to sign.
+  bumpBitcoinFee: async (token, walletId, privateKey, txHash, options = {}) => {
+    try {
+      const { publicKey } = await bitcoinSigningKey(privateKey);
+      const response = await api.post(`/api/v1/wallets/${walletId}/bitcoin/rbf`, {
+        publicKey: publicKey.toString('hex'),
+        txHash,
+        network: options.network || 'mainnet',
+        feeRate: options.feeRate,
+        feePriority: options.feePriority,
+        allowMixedLabels: options.allowMixedLabels,
+      }, {
+        headers: { Authorization: `Bearer ${token}` },
+        validateStatus: (status) => status < 500,
+      });
+      const built = response.data;
+      if (!built.success) {
+        return built;
+      }
+
+      // The replaced transaction's payments are kept; change back to this wallet absorbs the fee.
+      const key = await bitcoinSigningKey(privateKey, built.addressType);
+      const signed = await signBuiltBitcoinTransaction(built, key, built.addressType, () => true);
+      return await sendSignedBitcoinTransaction(token, signed, built);
+    } catch (error) {
+      console.error('Bitcoin replacement error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message || 'Bitcoin replacement failed',
+      };
+    }
+  },
+
+  // Child-pays-for-parent: spend one of the pending transaction's outputs back to this wallet with a high fee.
+  cpfpBitcoinTransaction: async (token, privateKey, txHash, options = {}) => {
+    try {
+      const { publicKey } = await bitcoinSigningKey(privateKey);
+      const response = await api.post('/api/v1/blockchain/bitcoin/cpfp', {
+        publicKey: publicKey.toString('hex'),
+        txHash,
+        outputIndex: options.outputIndex,
+        network: options.network || 'mainnet',
+        feeRate: options.feeRate,
+        feePriority: options.feePriority,
+      }, {
+        headers: { Authorization: `Bearer ${token}` },
+        validateStatus: (status) => status < 500,
+      });
+      const built = response.data;
+      if (!built.success) {
+        return built;
       }
 
-      const connection = new Connection(rpcUrl, 'confirmed');
+      const key = await bitcoinSigningKey(privateKey, built.addressType);
+      const signed = await signBuiltBitcoinTransaction(built, key, built.addressType, (outputs, ownScript) => (
+        outputs.every((output) => output.script.equals(ownScript))
+      ));
+      return await sendSignedBitcoinTransaction(token, signed, built);
+    } catch (error) {
+      console.error('Bitcoin CPFP error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message || 'Bitcoin CPFP transaction failed',
+      };
+    }
+  },
 
-      const privateKeyBytes = new Uint8Array(Buffer.from(privateKey, 'hex'));
-      const fromKeypair = privateKeyBytes.length === 32
-        ? Keypair.fromSeed(privateKeyBytes)
-        : Keypair.fromSecretKey(privateKeyBytes);
+  // Estimated priority fee tiers (micro-lamports per compute unit) for the Solana send form.
+  getSolanaPriorityFees: async (network = 'mainnet-beta') => {
+    const response = await api.get(`/api/v1/blockchain/solana/priority-fees?network=${network}`, {
+      validateStatus: (status) => status < 500,
+    });
+    return response.data;
+  },
 
-      const toPublicKey = new PublicKey(to);
-      const lamports = Math.floor(parseFloat(amount) * LAMPORTS_PER_SOL);
+  getSolanaNonceAccount: async (address, network = 'mainnet-beta') => {
+    const response = await api.get(`/api/v1/blockchain/solana/nonce/${address}?network=${network}`, {
+      validateStatus: (status) => status < 500,
+    });
+    return response.data;
+  },
 
-      const transaction = new Transaction().add(
-        SystemProgram.transfer({
-          fromPubkey: fromKeypair.publicKey,
-          toPubkey: toPublicKey,
-          lamports,
-        })
-      );
+  // The backend builds the transaction with compute budget instructions; the key never leaves the browser.
+  sendSolanaTransaction: async (privateKey, to, amount, options = {}) => {
+    try {
+      const { SystemInstruction, SystemProgram } = await import('@solana/web3.js');
+      const { ethers } = await import('ethers');
 
-      const signature = await sendAndConfirmTransaction(
-        connection,
-        transaction,
-        [fromKeypair]
-      );
+      const fromKeypair = await solanaKeypair(privateKey);
+      const network = options.network || 'mainnet-beta';
+      const built = await buildSolanaTransfer({
+        from: fromKeypair.publicKey.toBase58(),
+        to,
+        amount: String(amount),
+        network,
+        priority: options.priority,
+        computeUnitPrice: options.computeUnitPrice,
+        nonceAccount: options.nonceAccount || undefined,
+      });
+
+      const signed = await signBuiltSolanaTransaction(built, fromKeypair, (instruction) => {
+        if (!instruction.programId.equals(SystemProgram.programId)
+          || SystemInstruction.decodeInstructionType(instruction) !== 'Transfer') {
+          return false;
+        }
+        const transfer = SystemInstruction.decodeTransfer(instruction);
+        return transfer.fromPubkey.equals(fromKeypair.publicKey)
+          && transfer.toPubkey.toBase58() === to
+          && transfer.lamports === ethers.parseUnits(String(amount), 9);
+      });
+
+      const result = await sendSignedSolanaTransaction(signed, built, network);
+      if (!result.success) {
+        return result;
+      }
 
       return {
         success: true,
-        transactionHash: signature,
+        transactionHash: result.signature,
         data: {
-          hash: signature,
+          hash: result.signature,
           from: fromKeypair.publicKey.toString(),
           to,
           amount,
+          fee: built.fee,
+          status: result.status,
         },
       };
     } catch (error) {
       console.error('Solana transaction error:', error);
       return {
         success: false,
-        error: error.message || 'Solana transaction failed',
+        error: error.response?.data?.error || error.message || 'Solana transaction failed',
+      };
+    }
+  },
+
+  // SPL / Token-2022 transfer; the backend adds the recipient's associated token account when it is missing.
+  sendSolanaTokenTransaction: async (privateKey, to, amount, options = {}) => {
+    try {
+      const { PublicKey, SystemProgram } = await import('@solana/web3.js');
+      const {
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+        TOKEN_PROGRAM_ID,
+        TOKEN_2022_PROGRAM_ID,
+        decodeTransferCheckedInstruction,
+        getAssociatedTokenAddressSync,
+      } = await import('@solana/spl-token');
+      const { ethers } = await import('ethers');
+
+      const fromKeypair = await solanaKeypair(privateKey);
+      const network = options.network || 'mainnet-beta';
+      const built = await buildSolanaTransfer({
+        from: fromKeypair.publicKey.toBase58(),
+        to,
+        amount: String(amount),
+        mint: options.mint,
+        sourceAccount: options.sourceAccount,
+        network,
+        priority: options.priority,
+        computeUnitPrice: options.computeUnitPrice,
+        nonceAccount: options.nonceAccount || undefined,
+      });
+
+      const mint = new PublicKey(options.mint);
+      const programId = built.tokenProgram === 'token-2022' ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+      const recipient = new PublicKey(to);
+      const destination = getAssociatedTokenAddressSync(mint, recipient, true, programId);
+      // CreateIdempotent of the recipient's account for this mint, with this wallet paying the rent
+      const isRecipientAccountSetup = (instruction) => instruction.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)
+        && instruction.data.length === 1 && instruction.data[0] === 1
+        && instruction.keys.length === 6
+        && [fromKeypair.publicKey, destination, recipient, mint, SystemProgram.programId, programId]
+          .every((pubkey, index) => instruction.keys[index].pubkey.equals(pubkey));
+
+      const signed = await signBuiltSolanaTransaction(built, fromKeypair, (instruction) => {
+        if (!instruction.programId.equals(programId)) {
+          return false;
+        }
+        try {
+          const { keys, data } = decodeTransferCheckedInstruction(instruction, programId);
+          return keys.mint.pubkey.equals(mint)
+            && keys.destination.pubkey.equals(destination)
+            && keys.owner.pubkey.equals(fromKeypair.publicKey)
+            && data.amount === ethers.parseUnits(String(amount), data.decimals);
+        } catch {
+          return false;
+        }
+      }, isRecipientAccountSetup);
+
+      const result = await sendSignedSolanaTransaction(signed, built, network);
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        transactionHash: result.signature,
+        data: {
+          hash: result.signature,
+          from: fromKeypair.publicKey.toString(),
+          to,
+          mint: options.mint,
+          amount,
+          fee: built.fee,
+          status: result.status,
+          createdRecipientAccount: built.createsRecipientAccount,
+        },
+      };
+    } catch (error) {
+      console.error('Solana token transaction error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message || 'Solana token transaction failed',
+      };
+    }
+  },
+
+  // Native staking: `action` is create, delegate, deactivate or withdraw; the backend builds, the browser signs.
+  sendSolanaStakeTransaction: async (privateKey, action, params = {}) => {
+    try {
+      const { StakeInstruction, StakeProgram, SystemInstruction, SystemProgram } = await import('@solana/web3.js');
+
+      const fromKeypair = await solanaKeypair(privateKey);
+      const network = params.network || 'mainnet-beta';
+      const response = await api.post(`/api/v1/blockchain/solana/staking/${action}`, {
+        ...params,
+        from: fromKeypair.publicKey.toBase58(),
+        network,
+      }, {
+        validateStatus: (status) => status < 500,
+      });
+      const built = response.data;
+      if (!built.success) {
+        return built;
+      }
+
+      if (action === 'create') {
+        // The new stake account must stay under this wallet's staker and withdrawer authority.
+        const { Transaction } = await import('@solana/web3.js');
+        const initializes = Transaction.from(Buffer.from(built.transaction, 'base64')).instructions
+          .filter(instruction => instruction.programId.equals(StakeProgram.programId)
+            && StakeInstruction.decodeInstructionType(instruction) === 'Initialize')
+          .map(instruction => StakeInstruction.decodeInitialize(instruction).authorized);
+        if (initializes.length !== 1 || !initializes.every(authorized => authorized.staker.equals(fromKeypair.publicKey)
+          && authorized.withdrawer.equals(fromKeypair.publicKey))) {
+          throw new Error('Built stake account has unexpected authorities');
+        }
+      }
+
+      const expectedType = { create: 'Delegate', delegate: 'Delegate', deactivate: 'Deactivate', withdraw: 'Withdraw' }[action];
+      // A new stake account is created at the returned address and initialized; the authorities were checked above.
+      const isStakeAccountSetup = (instruction) => action === 'create' && (
+        (instruction.programId.equals(StakeProgram.programId)
+          && StakeInstruction.decodeInstructionType(instruction) === 'Initialize'
+          && StakeInstruction.decodeInitialize(instruction).stakePubkey.toBase58() === built.stakeAccount)
+        || (instruction.programId.equals(SystemProgram.programId)
+          && SystemInstruction.decodeInstructionType(instruction) === 'CreateWithSeed'
+          && isOwnSeededAccount(SystemInstruction.decodeCreateWithSeed(instruction), fromKeypair, built.stakeAccount, StakeProgram.programId)));
+      const signed = await signBuiltSolanaTransaction(built, fromKeypair, (instruction) => {
+        if (!instruction.programId.equals(StakeProgram.programId)
+          || StakeInstruction.decodeInstructionType(instruction) !== expectedType) {
+          return false;
+        }
+        if (expectedType === 'Delegate') {
+          const delegate = StakeInstruction.decodeDelegate(instruction);
+          return delegate.authorizedPubkey.equals(fromKeypair.publicKey)
+            && delegate.votePubkey.toBase58() === params.voteAccount;
+        }
+        if (expectedType === 'Withdraw') {
+          return StakeInstruction.decodeWithdraw(instruction).toPubkey.equals(fromKeypair.publicKey);
+        }
+        return StakeInstruction.decodeDeactivate(instruction).authorizedPubkey.equals(fromKeypair.publicKey);
+      }, isStakeAccountSetup);
+
+      const result = await sendSignedSolanaTransaction(signed, built, network);
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        transactionHash: result.signature,
+        stakeAccount: built.stakeAccount,
+        amount: built.amount,
+        status: result.status,
+      };
+    } catch (error) {
+      console.error('Solana staking error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message || 'Solana staking transaction failed',
+      };
+    }
+  },
+
+  // Durable nonce account derived from the wallet address, so transfers signed offline don't expire.
+  createSolanaNonceAccount: async (privateKey, options = {}) => {
+    try {
+      const { SystemInstruction, SystemProgram } = await import('@solana/web3.js');
+
+      const fromKeypair = await solanaKeypair(privateKey);
+      const network = options.network || 'mainnet-beta';
+      const response = await api.post('/api/v1/blockchain/solana/nonce/build', {
+        from: fromKeypair.publicKey.toBase58(),
+        network,
+        seed: options.seed,
+      });
+      const built = response.data;
+
+      if (built.exists) {
+        return { success: true, nonceAccount: built.nonceAccount, created: false };
+      }
+
+      const signed = await signBuiltSolanaTransaction(built, fromKeypair, (instruction) => (
+        instruction.programId.equals(SystemProgram.programId)
+        && SystemInstruction.decodeInstructionType(instruction) === 'InitializeNonceAccount'
+        && SystemInstruction.decodeNonceInitialize(instruction).authorizedPubkey.equals(fromKeypair.publicKey)
+      ), (instruction) => (
+        instruction.programId.equals(SystemProgram.programId)
+        && SystemInstruction.decodeInstructionType(instruction) === 'CreateWithSeed'
+        && isOwnSeededAccount(SystemInstruction.decodeCreateWithSeed(instruction), fromKeypair, built.nonceAccount, SystemProgram.programId)
+      ));
+
+      const result = await sendSignedSolanaTransaction(signed, built, network);
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        nonceAccount: built.nonceAccount,
+        created: true,
+        transactionHash: result.signature,
+      };
+    } catch (error) {
+      console.error('Solana nonce account error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message || 'Failed to create nonce account',
       };
     }
   },
@@ -101,6 +101,12 @@ export function isValidBitcoinAddress(address) {
          /^bc1[a-z0-9]{39,59}$/.test(address);
 }
 
+// Picks the key for the wallet's selected Bitcoin address type from decrypted wallet data.
+export function getBitcoinPrivateKey(walletData, addressType) {
+  const type = addressType || walletData?.bitcoin?.addressType || 'legacy';
+  return walletData?.bitcoin?.accounts?.[type]?.privateKey || walletData?.bitcoin?.privateKey || null;
+}
+
 export function generateColor(seed) {
   let hash = 0;
   for (let i = 0; i < seed.length; i++) {